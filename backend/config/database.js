@@ -1,4 +1,4 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 require('dotenv').config();
 
 // Database configuration
@@ -69,6 +69,10 @@ const transaction = async (callback) => {
   }
 };
 
+// Open a connection of its own, outside the pool, for long-lived uses such as LISTEN.
+// The caller connects and ends it.
+const createClient = () => new Client(dbConfig);
+
 // Graceful shutdown
 const closePool = async () => {
   try {
@@ -83,6 +87,7 @@ module.exports = {
   pool,
   query,
   transaction,
+  createClient,
   testConnection,
   closePool
 };
\ No newline at end of file
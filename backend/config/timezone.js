@@ -0,0 +1,127 @@
+require('dotenv').config();
+
+// Timezone used for patients without their own, unless APP_TIMEZONE names another
+const DEFAULT_TIMEZONE = 'UTC';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// Intl formatters are expensive to build, so keep one per timezone
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+// Check an IANA timezone name such as 'Europe/Amsterdam'
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Installation-wide timezone from APP_TIMEZONE
+const getInstallationTimezone = () => (
+  isValidTimezone(process.env.APP_TIMEZONE) ? process.env.APP_TIMEZONE : DEFAULT_TIMEZONE
+);
+
+// Timezone to use for a patient or medication: its own when set, else the installation's
+const resolveTimezone = (timezone) => (
+  isValidTimezone(timezone) ? timezone : getInstallationTimezone()
+);
+
+// Calendar date and wall-clock time of an instant in a timezone
+const getLocalParts = (instant, timezone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(resolveTimezone(timezone)).formatToParts(new Date(instant))) {
+    parts[type] = value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+};
+
+// YYYY-MM-DD of an instant in a timezone
+const toLocalDateString = (instant = new Date(), timezone = null) => getLocalParts(instant, timezone).date;
+
+// HH:MM:SS of an instant in a timezone
+const toLocalTimeString = (instant = new Date(), timezone = null) => getLocalParts(instant, timezone).time;
+
+// Minutes the timezone is ahead of UTC at an instant
+const getOffsetMinutes = (instant, timezone) => {
+  const { date, time } = getLocalParts(instant, timezone);
+  const wholeSeconds = Math.floor(new Date(instant).getTime() / 1000) * 1000;
+  return Math.round((Date.parse(`${date}T${time}Z`) - wholeSeconds) / MS_PER_MINUTE);
+};
+
+// Instant at which a wall-clock date (YYYY-MM-DD) and time (HH:MM[:SS]) occur in a timezone.
+// Times repeated by a DST change resolve to their first occurrence; times skipped by one
+// resolve to the same distance past the change (02:30 becomes 03:30).
+const zonedDateTimeToUtc = (date, time, timezone = null) => {
+  const [hours = 0, minutes = 0, seconds = 0] = String(time).split(':').map(Number);
+  const [year, month, day] = String(date).slice(0, 10).split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const wanted = new Date(wallClock).toISOString().substring(11, 19);
+
+  // Offsets a day either side cover any DST change on the date itself
+  const candidates = [wallClock - MS_PER_DAY, wallClock + MS_PER_DAY]
+    .map(instant => wallClock - getOffsetMinutes(instant, timezone) * MS_PER_MINUTE);
+  const matching = candidates.filter(instant => getLocalParts(instant, timezone).time === wanted);
+
+  return new Date(matching.length > 0 ? Math.min(...matching) : candidates[0]);
+};
+
+// Add days to a YYYY-MM-DD date without going through any timezone
+const addDays = (date, days) => {
+  const [year, month, day] = String(date).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+// Calendar dates some timezone (UTC-12 to UTC+14) is on at any moment between two instants
+const getCalendarDatesBetween = (start, end) => {
+  const dates = [];
+  const last = toLocalDateString(new Date(new Date(end).getTime() + 14 * 60 * MS_PER_MINUTE), 'UTC');
+
+  for (
+    let date = toLocalDateString(new Date(new Date(start).getTime() - 12 * 60 * MS_PER_MINUTE), 'UTC');
+    date <= last;
+    date = addDays(date, 1)
+  ) {
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getInstallationTimezone,
+  resolveTimezone,
+  toLocalDateString,
+  toLocalTimeString,
+  zonedDateTimeToUtc,
+  addDays,
+  getCalendarDatesBetween
+};
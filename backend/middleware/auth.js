@@ -0,0 +1,57 @@
+const AuthService = require('../services/AuthService');
+
+const SESSION_COOKIE = 'session_token';
+
+const authService = new AuthService();
+
+// Read the session token from "Authorization: Bearer <token>" or the session cookie
+const getRequestToken = (req) => {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim() || null;
+  }
+
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('=')) || null;
+    }
+  }
+
+  return null;
+};
+
+// Reject requests without a valid session; sets req.user for downstream handlers
+const requireAuth = async (req, res, next) => {
+  try {
+    const user = await authService.authenticate(getRequestToken(req));
+
+    if (!user) {
+      return res.status(401).json({
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to authenticate request',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  getRequestToken,
+  requireAuth
+};
@@ -0,0 +1,217 @@
+const PatientService = require('../services/PatientService');
+const MedicationRepository = require('../repositories/MedicationRepository');
+const NotificationRepository = require('../repositories/NotificationRepository');
+const StorageLocationRepository = require('../repositories/StorageLocationRepository');
+const PatientMember = require('../models/PatientMember');
+
+const patientService = new PatientService();
+const medicationRepository = new MedicationRepository();
+const notificationRepository = new NotificationRepository();
+const storageLocationRepository = new StorageLocationRepository();
+
+// Respond to a failed patient lookup: 404 for patients the user cannot see, 403 for missing rights
+const sendAccessError = (res, error, action) => {
+  if (error.message === 'Patient not found') {
+    return res.status(404).json({
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Patient not found'
+      }
+    });
+  }
+
+  if (error.message.includes('Insufficient permissions')) {
+    return res.status(403).json({
+      error: {
+        code: 'FORBIDDEN',
+        message: error.message
+      }
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: `Failed to ${action}`,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
+  });
+};
+
+// Resolve the patient_id query or body parameter to a patient the signed-in user can access.
+// Sets req.patient (null when no patient_id was given) so routes can scope their queries;
+// req.patient.role holds the user's role for that patient.
+const resolvePatient = async (req, res, next) => {
+  const rawId = req.query.patient_id ?? req.body?.patient_id;
+
+  if (rawId === undefined || rawId === null || rawId === '') {
+    req.patient = null;
+    return next();
+  }
+
+  const patientId = parseInt(rawId);
+  if (!Number.isInteger(patientId) || String(patientId) !== String(rawId).trim()) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid patient ID',
+        details: [{ field: 'patient_id', message: 'Patient ID must be an integer' }]
+      }
+    });
+  }
+
+  try {
+    req.patient = await patientService.getPatientForUser(patientId, req.user.id);
+    next();
+  } catch (error) {
+    sendAccessError(res, error, 'resolve patient');
+  }
+};
+
+// Require the resolved patient (if any) to grant the user a permission. Use after resolvePatient.
+const requirePatientPermission = (permission) => (req, res, next) => {
+  if (req.patient && !PatientMember.hasPermission(req.patient.role, permission)) {
+    return sendAccessError(res, new Error('Insufficient permissions for this patient'), 'authorize request');
+  }
+
+  next();
+};
+
+// Check the user's role on the patient a medication belongs to. Loads the medication from
+// :medicationId, :medicineId or :id unless an earlier middleware already set req.medication.
+// Invalid or unknown IDs are passed through so the route can answer with its usual 400/404.
+// Medications without a patient belong to nobody and are reported as missing.
+const authorizeMedication = (permission) => async (req, res, next) => {
+  try {
+    if (!req.medication) {
+      const medicationId = parseInt(req.params.medicationId ?? req.params.medicineId ?? req.params.id);
+      if (!Number.isInteger(medicationId)) {
+        return next();
+      }
+
+      const medication = await medicationRepository.findById(medicationId);
+      if (!medication) {
+        return next();
+      }
+
+      req.medication = medication;
+    }
+
+    if (!req.medication.patient_id) {
+      throw new Error('Patient not found');
+    }
+
+    req.patient = await patientService.getPatientForUser(req.medication.patient_id, req.user.id, permission);
+    next();
+  } catch (error) {
+    if (error.message === 'Patient not found') {
+      // Medications of patients the user cannot see are reported as missing
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Medication not found'
+        }
+      });
+    }
+
+    sendAccessError(res, error, 'authorize medication');
+  }
+};
+
+// Check the user's role on the patient a notification belongs to, loaded from :id into
+// req.notification. Like authorizeMedication, invalid or unknown IDs are passed through and
+// notifications without a patient are reported as missing.
+const authorizeNotification = (permission) => async (req, res, next) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+    if (!Number.isInteger(notificationId)) {
+      return next();
+    }
+
+    const notification = await notificationRepository.findById(notificationId);
+    if (!notification) {
+      return next();
+    }
+
+    if (!notification.patient_id) {
+      throw new Error('Patient not found');
+    }
+
+    req.notification = notification;
+    req.patient = await patientService.getPatientForUser(notification.patient_id, req.user.id, permission);
+    next();
+  } catch (error) {
+    if (error.message === 'Patient not found') {
+      // Notifications of patients the user cannot see are reported as missing
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Notification not found'
+        }
+      });
+    }
+
+    sendAccessError(res, error, 'authorize notification');
+  }
+};
+
+// Check the user's role on the patient a storage location belongs to, loaded from
+// :locationId or :id into req.location. Like authorizeMedication, invalid or unknown IDs are
+// passed through.
+const authorizeLocation = (permission) => async (req, res, next) => {
+  try {
+    const locationId = parseInt(req.params.locationId ?? req.params.id);
+    if (!Number.isInteger(locationId)) {
+      return next();
+    }
+
+    const location = await storageLocationRepository.findById(locationId);
+    if (!location) {
+      return next();
+    }
+
+    req.location = location;
+    req.patient = await patientService.getPatientForUser(location.patient_id, req.user.id, permission);
+    next();
+  } catch (error) {
+    if (error.message === 'Patient not found') {
+      // Locations of patients the user cannot see are reported as missing
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Location not found'
+        }
+      });
+    }
+
+    sendAccessError(res, error, 'authorize location');
+  }
+};
+
+// Only owners (or users who have not joined anyone else's patient) may change shared settings
+const requireSettingsAccess = async (req, res, next) => {
+  try {
+    if (!(await patientService.canManageSettings(req.user.id))) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only patient owners can change settings'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    sendAccessError(res, error, 'authorize settings change');
+  }
+};
+
+module.exports = {
+  resolvePatient,
+  requirePatientPermission,
+  authorizeMedication,
+  authorizeNotification,
+  authorizeLocation,
+  requireSettingsAccess
+};
@@ -0,0 +1,33 @@
+-- Structured recurrence rules for frequencies
+-- Replaces name-based guessing with machine-readable recurrence columns
+
+ALTER TABLE frequencies
+    ADD COLUMN recurrence_type TEXT NOT NULL DEFAULT 'daily'
+        CHECK (recurrence_type IN ('daily', 'interval', 'weekly', 'monthly', 'hourly', 'as_needed')),
+    -- Every N days, counted from the medication start date
+    ADD COLUMN interval_days INT CHECK (interval_days IS NULL OR interval_days > 0),
+    -- Days of week (0 = Sunday ... 6 = Saturday); empty means the start date's weekday
+    ADD COLUMN weekdays INT[] CHECK (weekdays IS NULL OR weekdays <@ ARRAY[0, 1, 2, 3, 4, 5, 6]),
+    -- Day of month; NULL means the start date's day, clamped to short months
+    ADD COLUMN day_of_month INT CHECK (day_of_month IS NULL OR day_of_month BETWEEN 1 AND 31),
+    -- Every N hours, expanded from each configured dose time
+    ADD COLUMN interval_hours INT CHECK (interval_hours IS NULL OR interval_hours BETWEEN 1 AND 24);
+
+ALTER TABLE frequencies
+    ADD CONSTRAINT check_recurrence_parameters CHECK (
+        (recurrence_type <> 'interval' OR interval_days IS NOT NULL) AND
+        (recurrence_type <> 'hourly' OR interval_hours IS NOT NULL)
+    );
+
+-- Backfill the seeded frequencies
+UPDATE frequencies SET recurrence_type = 'hourly', interval_hours = 4 WHERE name = 'Every 4 hours';
+UPDATE frequencies SET recurrence_type = 'hourly', interval_hours = 6 WHERE name = 'Every 6 hours';
+UPDATE frequencies SET recurrence_type = 'hourly', interval_hours = 8 WHERE name = 'Every 8 hours';
+UPDATE frequencies SET recurrence_type = 'hourly', interval_hours = 12 WHERE name = 'Every 12 hours';
+UPDATE frequencies SET recurrence_type = 'as_needed' WHERE name = 'As needed';
+UPDATE frequencies SET recurrence_type = 'weekly' WHERE name = 'Weekly';
+UPDATE frequencies SET recurrence_type = 'weekly', weekdays = ARRAY[1, 4] WHERE name = 'Twice weekly';
+UPDATE frequencies SET recurrence_type = 'monthly' WHERE name = 'Monthly';
+UPDATE frequencies SET recurrence_type = 'interval', interval_days = 2 WHERE name = 'Every other day';
+
+CREATE INDEX idx_frequencies_recurrence ON frequencies(recurrence_type);
@@ -0,0 +1,36 @@
+-- Dose administration events
+-- One row per scheduled dose slot (dose + date + time) recording what happened to it
+
+CREATE TABLE dose_events (
+    id SERIAL PRIMARY KEY,
+    medicine_id INT NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+    -- NULL for unscheduled doses, or when the dose configuration was later removed
+    medicine_dose_id INT REFERENCES medicine_doses(id) ON DELETE SET NULL,
+    scheduled_date DATE NOT NULL,
+    scheduled_time TIME NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('given', 'skipped', 'refused', 'late')),
+    dose_amount NUMERIC(10,2) CHECK (dose_amount IS NULL OR dose_amount > 0),
+    given_at TIMESTAMP WITH TIME ZONE,
+    given_by TEXT,
+    note TEXT,
+    -- DOSE_GIVEN audit row written alongside the inventory change
+    audit_log_id INT REFERENCES audit_logs(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+
+    CONSTRAINT check_given_at CHECK (status NOT IN ('given', 'late') OR given_at IS NOT NULL)
+);
+
+-- A scheduled slot can only have one recorded outcome
+CREATE UNIQUE INDEX idx_dose_events_slot
+    ON dose_events(medicine_dose_id, scheduled_date, scheduled_time)
+    WHERE medicine_dose_id IS NOT NULL;
+
+-- Index for daily schedule lookups
+CREATE INDEX idx_dose_events_date ON dose_events(scheduled_date, medicine_id);
+
+-- Index for per-medication history
+CREATE INDEX idx_dose_events_medicine ON dose_events(medicine_id, scheduled_date);
+
+CREATE TRIGGER update_dose_events_updated_at BEFORE UPDATE ON dose_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
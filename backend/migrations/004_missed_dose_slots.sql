@@ -0,0 +1,14 @@
+-- Missed-dose notifications per scheduled slot
+-- Each MISSED_DOSE notification carries its slot in the payload and is resolved once the slot is recorded
+
+ALTER TABLE notifications
+    ADD COLUMN resolved_at TIMESTAMP WITH TIME ZONE;
+
+-- At most one missed-dose notification per slot (older payloads without slot keys are unaffected)
+CREATE UNIQUE INDEX idx_notifications_missed_dose_slot
+    ON notifications (medicine_id, (payload->>'medicine_dose_id'), (payload->>'scheduled_date'), (payload->>'slot_time'))
+    WHERE type = 'MISSED_DOSE';
+
+-- Index for finding open missed-dose notifications
+CREATE INDEX idx_notifications_unresolved ON notifications(type, created_at)
+    WHERE resolved_at IS NULL;
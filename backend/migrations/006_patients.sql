@@ -0,0 +1,66 @@
+-- Patient profiles
+-- Medications belong to a patient; notifications and audit logs inherit the patient of their medication
+
+CREATE TABLE patients (
+    id SERIAL PRIMARY KEY,
+    owner_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    date_of_birth DATE,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX idx_patients_owner ON patients(owner_id);
+
+CREATE TRIGGER update_patients_updated_at BEFORE UPDATE ON patients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Existing medications are moved to a patient of the first account signed up after this
+-- upgrade (see 007_patient_sharing.sql); every medication added since belongs to a patient
+ALTER TABLE medications ADD COLUMN patient_id INT REFERENCES patients(id) ON DELETE CASCADE;
+ALTER TABLE notifications ADD COLUMN patient_id INT REFERENCES patients(id) ON DELETE CASCADE;
+ALTER TABLE audit_logs ADD COLUMN patient_id INT REFERENCES patients(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_medications_patient ON medications(patient_id);
+CREATE INDEX idx_notifications_patient ON notifications(patient_id);
+CREATE INDEX idx_audit_logs_patient ON audit_logs(patient_id);
+
+-- Copy the medication's patient onto notifications and audit rows as they are written
+CREATE OR REPLACE FUNCTION set_patient_from_medication()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.patient_id IS NULL AND NEW.medicine_id IS NOT NULL THEN
+        SELECT patient_id INTO NEW.patient_id FROM medications WHERE id = NEW.medicine_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER set_notifications_patient BEFORE INSERT ON notifications
+    FOR EACH ROW EXECUTE FUNCTION set_patient_from_medication();
+
+CREATE TRIGGER set_audit_logs_patient BEFORE INSERT ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION set_patient_from_medication();
+
+-- Deleting a patient deletes its medications. The audit row of a deleted medication keeps it
+-- in old_values, as the row cannot point at the medication or at a patient being deleted
+CREATE OR REPLACE FUNCTION audit_medication_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO audit_logs (medicine_id, patient_id, action, old_values, created_at)
+        VALUES (NULL, (SELECT id FROM patients WHERE id = OLD.patient_id), 'DELETED', row_to_json(OLD), now());
+        RETURN OLD;
+    ELSIF TG_OP = 'UPDATE' THEN
+        INSERT INTO audit_logs (medicine_id, action, old_values, new_values, created_at)
+        VALUES (NEW.id, 'UPDATED', row_to_json(OLD), row_to_json(NEW), now());
+        RETURN NEW;
+    ELSIF TG_OP = 'INSERT' THEN
+        INSERT INTO audit_logs (medicine_id, action, new_values, created_at)
+        VALUES (NEW.id, 'CREATED', row_to_json(NEW), now());
+        RETURN NEW;
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,73 @@
+-- Sharing patients between users
+-- Access to a patient is granted by membership; the creator (patients.owner_id) is always an owner member
+
+CREATE TABLE patient_members (
+    id SERIAL PRIMARY KEY,
+    patient_id INT NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'caregiver', 'viewer')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (patient_id, user_id)
+);
+
+CREATE INDEX idx_patient_members_user ON patient_members(user_id);
+
+CREATE TRIGGER update_patient_members_updated_at BEFORE UPDATE ON patient_members
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Existing patients start out shared with nobody but their creator
+INSERT INTO patient_members (patient_id, user_id, role)
+SELECT id, owner_id, 'owner' FROM patients;
+
+-- Medications recorded before patients existed, with their notifications and audit logs, are
+-- moved to a new patient of the first account signed up afterwards. Accounts are created in
+-- this same upgrade, so there is nobody to give them to while migrating.
+CREATE OR REPLACE FUNCTION adopt_unassigned_medications()
+RETURNS TRIGGER AS $$
+DECLARE
+    adopting_patient_id INT;
+BEGIN
+    IF EXISTS (SELECT 1 FROM medications WHERE patient_id IS NULL) THEN
+        INSERT INTO patients (owner_id, name) VALUES (NEW.id, NEW.name)
+        RETURNING id INTO adopting_patient_id;
+
+        INSERT INTO patient_members (patient_id, user_id, role)
+        VALUES (adopting_patient_id, NEW.id, 'owner');
+
+        UPDATE notifications SET patient_id = adopting_patient_id
+        WHERE patient_id IS NULL AND medicine_id IN (SELECT id FROM medications WHERE patient_id IS NULL);
+        UPDATE audit_logs SET patient_id = adopting_patient_id
+        WHERE patient_id IS NULL AND medicine_id IN (SELECT id FROM medications WHERE patient_id IS NULL);
+        UPDATE medications SET patient_id = adopting_patient_id WHERE patient_id IS NULL;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER adopt_unassigned_medications AFTER INSERT ON users
+    FOR EACH ROW EXECUTE FUNCTION adopt_unassigned_medications();
+
+-- Invitations are addressed to an email and accepted by the user who signs in with it
+CREATE TABLE patient_invitations (
+    id SERIAL PRIMARY KEY,
+    patient_id INT NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'caregiver', 'viewer')),
+    invited_by INT REFERENCES users(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+    responded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX idx_patient_invitations_email ON patient_invitations(email, status);
+
+-- Only one open invitation per patient and email
+CREATE UNIQUE INDEX idx_patient_invitations_pending ON patient_invitations(patient_id, email)
+    WHERE status = 'pending';
+
+-- Who performed each audited change (NULL for background jobs and rows written before accounts)
+ALTER TABLE audit_logs ADD COLUMN user_id INT REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_audit_logs_user ON audit_logs(user_id);
@@ -0,0 +1,14 @@
+-- As-needed (PRN) dosing limits
+-- Only used for medications whose frequency has recurrence_type 'as_needed'
+
+ALTER TABLE medications
+    -- Amount taken per PRN dose, offered as the default on the dashboard
+    ADD COLUMN prn_dose_amount NUMERIC(10,2) CHECK (prn_dose_amount IS NULL OR prn_dose_amount > 0),
+    -- Minimum hours between two PRN doses
+    ADD COLUMN prn_min_interval_hours NUMERIC(5,2) CHECK (prn_min_interval_hours IS NULL OR prn_min_interval_hours > 0),
+    -- Maximum amount (in tablets) within any rolling 24 hours
+    ADD COLUMN prn_max_daily_amount NUMERIC(10,2) CHECK (prn_max_daily_amount IS NULL OR prn_max_daily_amount > 0);
+
+-- PRN doses are stored as unscheduled dose events; index them by administration time
+CREATE INDEX idx_dose_events_given_at ON dose_events(medicine_id, given_at)
+    WHERE given_at IS NOT NULL;
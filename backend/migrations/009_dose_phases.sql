@@ -0,0 +1,29 @@
+-- Dose phases (tapering and step-dose regimens)
+-- A phase is a date range inside a medication with its own set of doses.
+-- On dates covered by a phase its doses replace the medication's unphased doses.
+
+CREATE TABLE dose_phases (
+    id SERIAL PRIMARY KEY,
+    medicine_id INT NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    -- NULL keeps the phase running until the medication ends
+    end_date DATE,
+    label TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+
+    CONSTRAINT check_phase_date_range CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+-- NULL for doses that apply outside all phases
+ALTER TABLE medicine_doses
+    ADD COLUMN phase_id INT REFERENCES dose_phases(id) ON DELETE CASCADE;
+
+-- Index for loading the phases of a medication in date order
+CREATE INDEX idx_dose_phases_medicine ON dose_phases(medicine_id, start_date);
+
+CREATE INDEX idx_medicine_doses_phase ON medicine_doses(phase_id)
+    WHERE phase_id IS NOT NULL;
+
+CREATE TRIGGER update_dose_phases_updated_at BEFORE UPDATE ON dose_phases
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
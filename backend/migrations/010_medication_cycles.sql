@@ -0,0 +1,15 @@
+-- Cyclic regimens (N days on, M days off)
+-- The cycle is evaluated on top of the frequency: a dose is only due when the
+-- frequency occurs on the date and the date falls in an "on" part of the cycle
+
+ALTER TABLE medications
+    -- Length of the taking part of the cycle, in days
+    ADD COLUMN cycle_days_on INTEGER CHECK (cycle_days_on IS NULL OR cycle_days_on > 0),
+    -- Length of the break that follows it, in days
+    ADD COLUMN cycle_days_off INTEGER CHECK (cycle_days_off IS NULL OR cycle_days_off > 0),
+    -- First day of the first cycle; the medication start date when null
+    ADD COLUMN cycle_start_date DATE,
+    ADD CONSTRAINT medications_cycle_complete CHECK (
+        (cycle_days_on IS NULL AND cycle_days_off IS NULL) OR
+        (cycle_days_on IS NOT NULL AND cycle_days_off IS NOT NULL)
+    );
@@ -0,0 +1,6 @@
+-- Timezone of each patient (IANA name such as 'Europe/Amsterdam')
+-- Dates and dose times of a patient's medications are wall-clock values in this timezone;
+-- patients without one (and medications without a patient) use the APP_TIMEZONE setting
+
+ALTER TABLE patients
+    ADD COLUMN timezone VARCHAR(64);
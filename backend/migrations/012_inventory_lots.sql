@@ -0,0 +1,37 @@
+-- Inventory lots (boxes or packs with their own lot number and expiry date)
+-- Lots hold part of a medication's total_tablets; doses are taken from the lot that
+-- expires first. Stock outside any lot has no known expiry and is used after the lots.
+
+CREATE TABLE inventory_lots (
+    id SERIAL PRIMARY KEY,
+    medicine_id INT NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+    quantity NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    lot_number TEXT,
+    -- NULL for stock without an expiry date, which is used after all dated lots
+    expiry_date DATE,
+    received_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Index for taking stock in first-expiry-first-out order
+CREATE INDEX idx_inventory_lots_fefo ON inventory_lots(medicine_id, expiry_date, received_date)
+    WHERE quantity > 0;
+
+-- Index for finding lots that expire soon
+CREATE INDEX idx_inventory_lots_expiry ON inventory_lots(expiry_date)
+    WHERE quantity > 0 AND expiry_date IS NOT NULL;
+
+CREATE TRIGGER update_inventory_lots_updated_at BEFORE UPDATE ON inventory_lots
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Expiry warnings
+ALTER TABLE notifications
+    DROP CONSTRAINT notifications_type_check,
+    ADD CONSTRAINT notifications_type_check
+        CHECK (type IN ('BUY_SOON', 'DOSE_DUE', 'MISSED_DOSE', 'EXPIRING_SOON'));
+
+-- At most one expiry warning per lot
+CREATE UNIQUE INDEX idx_notifications_expiring_lot
+    ON notifications ((payload->>'lot_id'))
+    WHERE type = 'EXPIRING_SOON';
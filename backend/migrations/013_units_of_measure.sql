@@ -0,0 +1,16 @@
+-- Units of measure for doses and stock
+-- Doses, stock (total_tablets) and the package size (sheet_size) are all counted in the
+-- medication's dose unit; the package unit only names what stock is bought in.
+-- Medications dosed from a liquid (e.g. insulin pens at 100 units/ml) may describe their
+-- package by volume and concentration, from which the package size is derived.
+
+ALTER TABLE medications
+    ADD COLUMN dose_unit VARCHAR(20) NOT NULL DEFAULT 'tablet'
+        CHECK (dose_unit IN ('tablet', 'capsule', 'ml', 'puff', 'unit', 'patch', 'drop')),
+    ADD COLUMN package_unit VARCHAR(20) NOT NULL DEFAULT 'sheet'
+        CHECK (package_unit IN ('sheet', 'bottle', 'inhaler', 'pen', 'cartridge', 'vial', 'box', 'tube')),
+    -- Volume of liquid in one package, in ml
+    ADD COLUMN package_volume_ml NUMERIC(10,2) CHECK (package_volume_ml IS NULL OR package_volume_ml > 0),
+    -- Dose units per ml of that liquid; not used when doses are measured in ml
+    ADD COLUMN units_per_ml NUMERIC(10,2) CHECK (units_per_ml IS NULL OR units_per_ml > 0);
+
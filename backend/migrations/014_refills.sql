@@ -0,0 +1,25 @@
+-- Refills (restocks bought from a pharmacy)
+-- Each refill receives its stock as an inventory lot and keeps what was bought, where,
+-- at what cost and on which prescription. Quantities are in the medication's dose unit.
+
+CREATE TABLE refills (
+    id SERIAL PRIMARY KEY,
+    medicine_id INT NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+    -- The lot the refill's stock was received into; kept when the lot is removed
+    lot_id INT REFERENCES inventory_lots(id) ON DELETE SET NULL,
+    refill_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    quantity NUMERIC(10,2) NOT NULL CHECK (quantity > 0),
+    pharmacy TEXT,
+    cost NUMERIC(10,2) CHECK (cost IS NULL OR cost >= 0),
+    prescription_reference TEXT,
+    notes TEXT,
+    user_id INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Index for a medication's refill history, newest first
+CREATE INDEX idx_refills_medicine_date ON refills(medicine_id, refill_date DESC);
+
+CREATE TRIGGER update_refills_updated_at BEFORE UPDATE ON refills
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
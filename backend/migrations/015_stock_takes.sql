@@ -0,0 +1,24 @@
+-- Stock-takes (sessions in which the stock of many medications is counted at once)
+-- Each counted medication is set to its count, and the discrepancy from the expected
+-- stock (counted - expected) is logged as an INVENTORY_RECONCILED audit entry whose
+-- new_values hold the stock-take's ID.
+
+CREATE TABLE stock_takes (
+    id SERIAL PRIMARY KEY,
+    -- The patient whose stock was counted; NULL for a count across all medications
+    patient_id INT REFERENCES patients(id) ON DELETE SET NULL,
+    notes TEXT,
+    user_id INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX idx_stock_takes_patient ON stock_takes(patient_id, created_at DESC);
+
+ALTER TABLE audit_logs
+    DROP CONSTRAINT audit_logs_action_check,
+    ADD CONSTRAINT audit_logs_action_check
+        CHECK (action IN ('DOSE_GIVEN', 'INVENTORY_UPDATED', 'INVENTORY_RECONCILED', 'CREATED', 'UPDATED', 'DELETED'));
+
+-- Index for drift reports and the counts of a stock-take
+CREATE INDEX idx_audit_logs_reconciled ON audit_logs(medicine_id, created_at)
+    WHERE action = 'INVENTORY_RECONCILED';
@@ -0,0 +1,13 @@
+-- Medication costs
+-- Prices are per dose unit. A lot received from a refill is priced at the refill's cost
+-- divided by its quantity; the medication's own unit price is used for stock without a
+-- priced lot. Spend reports sum the cost of refills.
+
+ALTER TABLE medications
+    ADD COLUMN unit_price NUMERIC(10,4) CHECK (unit_price IS NULL OR unit_price >= 0);
+
+ALTER TABLE inventory_lots
+    ADD COLUMN unit_price NUMERIC(10,4) CHECK (unit_price IS NULL OR unit_price >= 0);
+
+-- Index for spend reports by month
+CREATE INDEX idx_refills_date ON refills(refill_date) WHERE cost IS NOT NULL;
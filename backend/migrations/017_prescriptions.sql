@@ -0,0 +1,55 @@
+-- Prescriptions (what a prescriber authorized for a medication)
+-- A medication's current prescription is the one issued last. Each refill recorded against
+-- a prescription uses one of its authorized refills; PRESCRIPTION_RENEWAL notifications
+-- warn when an active medication's prescription runs out of refills or nears its expiry.
+
+-- Prescribers, shared like routes and frequencies
+CREATE TABLE prescribers (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    practice TEXT,
+    phone TEXT,
+    email TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TRIGGER update_prescribers_updated_at BEFORE UPDATE ON prescribers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE prescriptions (
+    id SERIAL PRIMARY KEY,
+    medicine_id INT NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+    -- Kept when the prescriber is removed from the directory
+    prescriber_id INT REFERENCES prescribers(id) ON DELETE SET NULL,
+    prescription_number TEXT,
+    issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    -- NULL for a prescription that does not expire
+    expiry_date DATE CHECK (expiry_date IS NULL OR expiry_date >= issue_date),
+    authorized_refills INT NOT NULL DEFAULT 0 CHECK (authorized_refills >= 0),
+    refills_used INT NOT NULL DEFAULT 0 CHECK (refills_used >= 0 AND refills_used <= authorized_refills),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Index for a medication's prescriptions, the current one first
+CREATE INDEX idx_prescriptions_medicine_issue ON prescriptions(medicine_id, issue_date DESC, id DESC);
+
+CREATE TRIGGER update_prescriptions_updated_at BEFORE UPDATE ON prescriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The prescription a refill was filled on; the refill is kept when the prescription is removed
+ALTER TABLE refills
+    ADD COLUMN prescription_id INT REFERENCES prescriptions(id) ON DELETE SET NULL;
+
+-- Renewal reminders
+ALTER TABLE notifications
+    DROP CONSTRAINT notifications_type_check,
+    ADD CONSTRAINT notifications_type_check
+        CHECK (type IN ('BUY_SOON', 'DOSE_DUE', 'MISSED_DOSE', 'EXPIRING_SOON', 'PRESCRIPTION_RENEWAL'));
+
+-- At most one renewal reminder per prescription and reason (no refills left, or expiring)
+CREATE UNIQUE INDEX idx_notifications_prescription_renewal
+    ON notifications ((payload->>'prescription_id'), (payload->>'reason'))
+    WHERE type = 'PRESCRIPTION_RENEWAL';
@@ -0,0 +1,24 @@
+-- Pharmacies
+-- A medication may name the pharmacy it is usually bought at, so the shopping list and
+-- buy-soon notifications can be grouped into one trip per pharmacy.
+
+-- Pharmacies, shared like routes and frequencies
+CREATE TABLE pharmacies (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    address TEXT,
+    phone TEXT,
+    -- Free-form opening hours, e.g. "Mon-Fri 9-18, Sat 9-12"
+    hours TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TRIGGER update_pharmacies_updated_at BEFORE UPDATE ON pharmacies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The preferred pharmacy of a medication; the medication is kept when the pharmacy is removed
+ALTER TABLE medications
+    ADD COLUMN pharmacy_id INT REFERENCES pharmacies(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_medications_pharmacy ON medications(pharmacy_id);
@@ -0,0 +1,46 @@
+-- Storage locations (home, a travel kit, a relative's house)
+-- Each location holds part of a medication's total_tablets; stock that was never moved to a
+-- location stays unassigned (total_tablets minus what the locations hold). Doses are taken
+-- from a chosen location or the default one, transfers between locations are logged as
+-- INVENTORY_TRANSFERRED audit entries, and stock that leaves without a location (a lower
+-- count, a removed lot) comes out of the unassigned stock first.
+
+-- Locations of a patient, seen and managed by its members like its medications; a
+-- medication is only kept at its own patient's locations
+CREATE TABLE storage_locations (
+    id SERIAL PRIMARY KEY,
+    patient_id INT NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    -- Where doses are taken from when none is chosen
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Index for a patient's locations
+CREATE INDEX idx_storage_locations_patient ON storage_locations(patient_id);
+
+-- At most one default location per patient
+CREATE UNIQUE INDEX idx_storage_locations_default ON storage_locations(patient_id) WHERE is_default;
+
+CREATE TRIGGER update_storage_locations_updated_at BEFORE UPDATE ON storage_locations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Stock of a medication at a location, in its dose unit; a removed location's stock
+-- becomes unassigned again
+CREATE TABLE location_stock (
+    medicine_id INT NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+    location_id INT NOT NULL REFERENCES storage_locations(id) ON DELETE CASCADE,
+    quantity NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    PRIMARY KEY (medicine_id, location_id)
+);
+
+-- Index for the medications kept at a location
+CREATE INDEX idx_location_stock_location ON location_stock(location_id);
+
+ALTER TABLE audit_logs
+    DROP CONSTRAINT audit_logs_action_check,
+    ADD CONSTRAINT audit_logs_action_check
+        CHECK (action IN ('DOSE_GIVEN', 'INVENTORY_UPDATED', 'INVENTORY_RECONCILED', 'INVENTORY_TRANSFERRED', 'CREATED', 'UPDATED', 'DELETED'));
@@ -0,0 +1,49 @@
+-- Notification delivery channels (email, webhook, web push)
+-- Users opt in to a channel by adding it; every notification written for a patient queues a
+-- delivery to each enabled channel of the patient's members (every user for notifications of
+-- unassigned medications). The delivery job sends due deliveries and retries failed ones
+-- with a growing delay until they run out of attempts.
+
+CREATE TABLE notification_channels (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL CHECK (channel IN ('email', 'webhook', 'web_push')),
+    -- Email address, webhook URL or push service endpoint
+    target TEXT NOT NULL,
+    -- Key the webhook body is signed with (HMAC-SHA256), if any
+    secret TEXT,
+    -- Push subscription keys ({ p256dh, auth })
+    keys JSONB,
+    is_enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (user_id, channel, target)
+);
+
+CREATE INDEX idx_notification_channels_user ON notification_channels(user_id);
+
+CREATE TRIGGER update_notification_channels_updated_at BEFORE UPDATE ON notification_channels
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per notification and channel, updated on every attempt
+CREATE TABLE notification_deliveries (
+    id SERIAL PRIMARY KEY,
+    notification_id INT NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+    channel_id INT NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INT NOT NULL DEFAULT 0 CHECK (attempts >= 0),
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    last_error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (notification_id, channel_id)
+);
+
+-- Index for the delivery job's due deliveries
+CREATE INDEX idx_notification_deliveries_due ON notification_deliveries(next_attempt_at)
+    WHERE status = 'pending';
+CREATE INDEX idx_notification_deliveries_channel ON notification_deliveries(channel_id, created_at);
+
+CREATE TRIGGER update_notification_deliveries_updated_at BEFORE UPDATE ON notification_deliveries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
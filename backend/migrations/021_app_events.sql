@@ -0,0 +1,47 @@
+-- Real-time events
+-- New notifications, doses given and stock changes are announced on the app_events channel
+-- with pg_notify, which Postgres delivers once the writing transaction commits. The API
+-- listens on it and streams the events to signed-in users over Server-Sent Events. Every
+-- stock change (doses, manual counts, refills and lots, stock-takes, transfers) writes an
+-- audit entry, so the audit log is where those are picked up.
+
+CREATE OR REPLACE FUNCTION notify_app_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    event_type TEXT;
+    event_action TEXT;
+    event_quantity_change NUMERIC;
+BEGIN
+    -- The fields are read in separate branches: a trigger function is compiled for each
+    -- table it is attached to, and notifications have no action or quantity_change
+    IF TG_TABLE_NAME = 'notifications' THEN
+        event_type := 'notification';
+    ELSE
+        event_action := NEW.action;
+        event_quantity_change := NEW.quantity_change;
+        event_type := CASE WHEN NEW.action = 'DOSE_GIVEN' THEN 'dose_given' ELSE 'inventory' END;
+    END IF;
+
+    -- patient_id was copied from the medication by the BEFORE INSERT trigger; the payload
+    -- stays small (pg_notify payloads are limited to 8000 bytes) and listeners load the rest
+    PERFORM pg_notify('app_events', json_build_object(
+        'type', event_type,
+        'id', NEW.id,
+        'medicine_id', NEW.medicine_id,
+        'patient_id', NEW.patient_id,
+        'action', event_action,
+        'quantity_change', event_quantity_change,
+        'created_at', NEW.created_at
+    )::text);
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER notifications_app_event AFTER INSERT ON notifications
+    FOR EACH ROW EXECUTE FUNCTION notify_app_event();
+
+CREATE TRIGGER audit_logs_app_event AFTER INSERT ON audit_logs
+    FOR EACH ROW
+    WHEN (NEW.action IN ('DOSE_GIVEN', 'INVENTORY_UPDATED', 'INVENTORY_RECONCILED', 'INVENTORY_TRANSFERRED'))
+    EXECUTE FUNCTION notify_app_event();
@@ -0,0 +1,47 @@
+-- Notification preferences and quiet hours
+-- Each patient can turn notification types off, set how far ahead dose reminders, missed-dose
+-- alerts and buy-soon alerts are raised, and keep quiet hours (in the patient's timezone).
+-- The row without a patient holds the preferences for unassigned medications; patients
+-- without a row use the defaults below. Notifications raised during quiet hours are held
+-- until they end: they stay hidden, and their deliveries and events wait until then.
+
+CREATE TABLE notification_preferences (
+    id SERIAL PRIMARY KEY,
+    patient_id INT REFERENCES patients(id) ON DELETE CASCADE,
+    disabled_types TEXT[] NOT NULL DEFAULT '{}',
+    minutes_ahead INT NOT NULL DEFAULT 15 CHECK (minutes_ahead BETWEEN 5 AND 120),
+    hours_overdue INT NOT NULL DEFAULT 1 CHECK (hours_overdue BETWEEN 1 AND 24),
+    buy_soon_days_ahead INT NOT NULL DEFAULT 1 CHECK (buy_soon_days_ahead BETWEEN 1 AND 30),
+    quiet_hours_enabled BOOLEAN NOT NULL DEFAULT false,
+    quiet_hours_start TIME NOT NULL DEFAULT '22:00',
+    quiet_hours_end TIME NOT NULL DEFAULT '07:00',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    CHECK (quiet_hours_start <> quiet_hours_end)
+);
+
+-- One row per patient, and one for unassigned medications
+CREATE UNIQUE INDEX idx_notification_preferences_patient
+    ON notification_preferences ((COALESCE(patient_id, 0)));
+
+CREATE TRIGGER update_notification_preferences_updated_at BEFORE UPDATE ON notification_preferences
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- When a notification raised during quiet hours is released
+ALTER TABLE notifications ADD COLUMN held_until TIMESTAMP WITH TIME ZONE;
+
+-- Index for the release job's held notifications
+CREATE INDEX idx_notifications_held ON notifications(held_until) WHERE held_until IS NOT NULL;
+
+-- Held notifications are announced when they are released rather than when written
+DROP TRIGGER notifications_app_event ON notifications;
+
+CREATE TRIGGER notifications_app_event AFTER INSERT ON notifications
+    FOR EACH ROW
+    WHEN (NEW.held_until IS NULL)
+    EXECUTE FUNCTION notify_app_event();
+
+CREATE TRIGGER notifications_released_app_event AFTER UPDATE OF held_until ON notifications
+    FOR EACH ROW
+    WHEN (OLD.held_until IS NOT NULL AND NEW.held_until IS NULL)
+    EXECUTE FUNCTION notify_app_event();
@@ -0,0 +1,43 @@
+-- Snoozing, acknowledging and escalating dose reminders
+-- A dose reminder can be snoozed for a while or acknowledged. One that is left unacknowledged
+-- is raised again every renotify_minutes, up to max_renotifications times, and once its dose
+-- is reported missed the patient's secondary caregiver is told as well. Recording the dose
+-- acknowledges its reminder.
+
+-- When a snoozed reminder is raised again
+ALTER TABLE notifications ADD COLUMN snoozed_until TIMESTAMP WITH TIME ZONE;
+
+-- When someone confirmed they have seen to the notification
+ALTER TABLE notifications ADD COLUMN acknowledged_at TIMESTAMP WITH TIME ZONE;
+
+-- How many times a reminder has been raised again, or a missed dose passed on
+ALTER TABLE notifications ADD COLUMN escalation_level INT NOT NULL DEFAULT 0;
+
+-- When users were last told about the notification; set when it is written, released after
+-- quiet hours or raised again
+ALTER TABLE notifications ADD COLUMN notified_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE notifications SET notified_at = created_at WHERE held_until IS NULL;
+
+-- Reminders and missed doses from before are not raised again or escalated
+UPDATE notifications SET acknowledged_at = created_at WHERE type IN ('DOSE_DUE', 'MISSED_DOSE');
+
+ALTER TABLE notifications ALTER COLUMN notified_at SET DEFAULT now();
+
+-- Index for the reminder job's open reminders and missed doses
+CREATE INDEX idx_notifications_unacknowledged ON notifications(type)
+    WHERE acknowledged_at IS NULL AND resolved_at IS NULL AND type IN ('DOSE_DUE', 'MISSED_DOSE');
+
+ALTER TABLE notification_preferences
+    ADD COLUMN renotify_minutes INT NOT NULL DEFAULT 15 CHECK (renotify_minutes BETWEEN 5 AND 120),
+    ADD COLUMN max_renotifications INT NOT NULL DEFAULT 2 CHECK (max_renotifications BETWEEN 0 AND 5),
+    ADD COLUMN escalation_user_id INT REFERENCES users(id) ON DELETE SET NULL;
+
+-- Released and raised-again notifications are announced like new ones; this replaces the
+-- release trigger, since releasing a notification sets notified_at too
+DROP TRIGGER notifications_released_app_event ON notifications;
+
+CREATE TRIGGER notifications_notified_app_event AFTER UPDATE OF notified_at ON notifications
+    FOR EACH ROW
+    WHEN (NEW.held_until IS NULL AND NEW.notified_at IS DISTINCT FROM OLD.notified_at)
+    EXECUTE FUNCTION notify_app_event();
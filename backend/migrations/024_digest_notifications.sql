@@ -0,0 +1,14 @@
+-- Digest notifications
+-- A morning digest per patient (and one for medications without a patient) lists the day's
+-- schedule, medications running low and the doses missed the day before; a weekly digest
+-- sums up the last week's adherence. A digest belongs to a patient rather than a medication.
+
+ALTER TABLE notifications
+    DROP CONSTRAINT notifications_type_check,
+    ADD CONSTRAINT notifications_type_check
+        CHECK (type IN ('BUY_SOON', 'DOSE_DUE', 'MISSED_DOSE', 'EXPIRING_SOON', 'PRESCRIPTION_RENEWAL', 'DIGEST'));
+
+-- At most one digest per patient, period (daily or weekly) and first day covered
+CREATE UNIQUE INDEX idx_notifications_digest
+    ON notifications ((COALESCE(patient_id, 0)), (payload->>'period'), (payload->>'start_date'))
+    WHERE type = 'DIGEST';
@@ -0,0 +1,168 @@
+const { zonedDateTimeToUtc } = require('../config/timezone');
+
+const STATUSES = ['given', 'skipped', 'refused', 'late'];
+const COMPLETED_STATUSES = ['given', 'late'];
+
+// Minutes after the scheduled time before a dose counts as late
+const LATE_GRACE_MINUTES = 60;
+
+// Format a DATE column (Date from pg, or string) as YYYY-MM-DD
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    const month = (value.getMonth() + 1).toString().padStart(2, '0');
+    const day = value.getDate().toString().padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return value;
+};
+
+class DoseEvent {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.medicine_id = data.medicine_id !== undefined ? data.medicine_id : null;
+    this.medicine_dose_id = data.medicine_dose_id !== undefined ? data.medicine_dose_id : null;
+    this.scheduled_date = data.scheduled_date !== undefined ? data.scheduled_date : null;
+    this.scheduled_time = data.scheduled_time !== undefined ? data.scheduled_time : null;
+    this.status = data.status !== undefined ? data.status : null;
+    this.dose_amount = data.dose_amount !== undefined ? data.dose_amount : null;
+    this.given_at = data.given_at !== undefined ? data.given_at : null;
+    this.given_by = data.given_by || '';
+    this.note = data.note || '';
+    this.audit_log_id = data.audit_log_id !== undefined ? data.audit_log_id : null;
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    // Required field validations
+    if (this.medicine_id === null || this.medicine_id === undefined) {
+      errors.push({ field: 'medicine_id', message: 'Medicine ID is required' });
+    } else if (!Number.isInteger(this.medicine_id) || this.medicine_id <= 0) {
+      errors.push({ field: 'medicine_id', message: 'Medicine ID must be a positive integer' });
+    }
+
+    if (!this.scheduled_date) {
+      errors.push({ field: 'scheduled_date', message: 'Scheduled date is required' });
+    } else if (typeof this.scheduled_date !== 'string' || !this.scheduled_date.match(/^\d{4}-\d{2}-\d{2}$/)) {
+      errors.push({ field: 'scheduled_date', message: 'Scheduled date must be in YYYY-MM-DD format' });
+    }
+
+    if (!this.scheduled_time) {
+      errors.push({ field: 'scheduled_time', message: 'Scheduled time is required' });
+    } else if (!DoseEvent.isValidTime(this.scheduled_time)) {
+      errors.push({ field: 'scheduled_time', message: 'Scheduled time must be in HH:MM format (24-hour)' });
+    }
+
+    if (!STATUSES.includes(this.status)) {
+      errors.push({ field: 'status', message: `Status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    // Optional field validations
+    if (this.medicine_dose_id !== null && this.medicine_dose_id !== undefined) {
+      if (!Number.isInteger(this.medicine_dose_id) || this.medicine_dose_id <= 0) {
+        errors.push({ field: 'medicine_dose_id', message: 'Medicine dose ID must be a positive integer' });
+      }
+    }
+
+    if (this.dose_amount !== null && this.dose_amount !== undefined) {
+      if (typeof this.dose_amount !== 'number' || this.dose_amount <= 0) {
+        errors.push({ field: 'dose_amount', message: 'Dose amount must be a positive number' });
+      }
+    }
+
+    if (this.isCompleted()) {
+      if (!this.given_at) {
+        errors.push({ field: 'given_at', message: 'Given time is required when a dose is given' });
+      } else if (isNaN(new Date(this.given_at))) {
+        errors.push({ field: 'given_at', message: 'Given time must be a valid timestamp' });
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Whether the dose was actually taken (and consumed inventory)
+  isCompleted() {
+    return COMPLETED_STATUSES.includes(this.status);
+  }
+
+  // Key identifying the scheduled slot this event belongs to
+  getSlotKey() {
+    return DoseEvent.slotKey(this.medicine_dose_id, this.scheduled_time);
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      medicine_id: this.medicine_id,
+      medicine_dose_id: this.medicine_dose_id,
+      scheduled_date: this.scheduled_date,
+      scheduled_time: this.scheduled_time,
+      status: this.status,
+      dose_amount: this.dose_amount,
+      given_at: this.given_at,
+      given_by: this.given_by.trim() || null,
+      note: this.note.trim() || null,
+      audit_log_id: this.audit_log_id
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new DoseEvent({
+      id: row.id,
+      medicine_id: row.medicine_id,
+      medicine_dose_id: row.medicine_dose_id,
+      scheduled_date: toDateString(row.scheduled_date),
+      scheduled_time: row.scheduled_time,
+      status: row.status,
+      dose_amount: row.dose_amount !== null && row.dose_amount !== undefined ? parseFloat(row.dose_amount) : null,
+      given_at: row.given_at,
+      given_by: row.given_by,
+      note: row.note,
+      audit_log_id: row.audit_log_id,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+
+  // Validate time format (HH:MM or HH:MM:SS in 24-hour format)
+  static isValidTime(timeString) {
+    return typeof timeString === 'string' &&
+      /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/.test(timeString);
+  }
+
+  // Normalize "H:MM", "HH:MM" and "HH:MM:SS" to "HH:MM"
+  static normalizeTime(timeOfDay) {
+    const [hours, minutes] = String(timeOfDay).split(':');
+    return `${hours.padStart(2, '0')}:${minutes}`;
+  }
+
+  // Slot key shared by schedule entries and events
+  static slotKey(medicineDoseId, timeOfDay) {
+    return `${medicineDoseId}@${DoseEvent.normalizeTime(timeOfDay)}`;
+  }
+
+  // Decide between 'given' and 'late' for a dose taken at givenAt; the slot is a
+  // wall-clock date and time in the medication's timezone
+  static determineGivenStatus(scheduledDate, scheduledTime, givenAt, timezone = null, graceMinutes = LATE_GRACE_MINUTES) {
+    const scheduledAt = zonedDateTimeToUtc(scheduledDate, DoseEvent.normalizeTime(scheduledTime), timezone);
+
+    const minutesLate = (new Date(givenAt) - scheduledAt) / (1000 * 60);
+    return minutesLate > graceMinutes ? 'late' : 'given';
+  }
+
+  // Get all valid statuses
+  static getStatuses() {
+    return [...STATUSES];
+  }
+}
+
+module.exports = DoseEvent;
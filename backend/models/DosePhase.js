@@ -0,0 +1,132 @@
+// Format a DATE column (Date from pg, or string) as YYYY-MM-DD
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    const month = (value.getMonth() + 1).toString().padStart(2, '0');
+    const day = value.getDate().toString().padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return value;
+};
+
+class DosePhase {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.medicine_id = data.medicine_id !== undefined ? data.medicine_id : null;
+    this.start_date = data.start_date !== undefined ? data.start_date : null;
+    this.end_date = data.end_date !== undefined ? data.end_date : null;
+    this.label = data.label || '';
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (this.medicine_id === null || this.medicine_id === undefined) {
+      errors.push({ field: 'medicine_id', message: 'Medicine ID is required' });
+    } else if (!Number.isInteger(this.medicine_id) || this.medicine_id <= 0) {
+      errors.push({ field: 'medicine_id', message: 'Medicine ID must be a positive integer' });
+    }
+
+    if (!this.start_date) {
+      errors.push({ field: 'start_date', message: 'Phase start date is required' });
+    } else if (!this.isValidDate(this.start_date)) {
+      errors.push({ field: 'start_date', message: 'Phase start date must be a valid date in YYYY-MM-DD format' });
+    }
+
+    if (this.end_date && !this.isValidDate(this.end_date)) {
+      errors.push({ field: 'end_date', message: 'Phase end date must be a valid date in YYYY-MM-DD format' });
+    }
+
+    // A phase may be a single day, so the end date only has to be on or after the start
+    if (this.isValidDate(this.start_date) && this.isValidDate(this.end_date) && this.end_date < this.start_date) {
+      errors.push({ field: 'end_date', message: 'Phase end date cannot be before its start date' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  isValidDate(dateString) {
+    if (!dateString || typeof dateString !== 'string') return false;
+
+    if (!dateString.match(/^\d{4}-\d{2}-\d{2}$/)) {
+      return false;
+    }
+
+    const date = new Date(dateString);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === dateString;
+  }
+
+  // Check if the phase is in effect on a date (YYYY-MM-DD)
+  coversDate(date) {
+    return date >= this.start_date && (!this.end_date || date <= this.end_date);
+  }
+
+  // Check if two phases share at least one day
+  overlaps(other) {
+    const endsBefore = (phase, date) => phase.end_date !== null && phase.end_date !== '' && phase.end_date < date;
+    return !endsBefore(this, other.start_date) && !endsBefore(other, this.start_date);
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      medicine_id: this.medicine_id,
+      start_date: this.start_date,
+      end_date: this.end_date || null,
+      label: this.label.trim() || null
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new DosePhase({
+      id: row.id,
+      medicine_id: row.medicine_id,
+      start_date: toDateString(row.start_date),
+      end_date: toDateString(row.end_date),
+      label: row.label,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+
+  // Sort phases chronologically
+  static sortByStartDate(phases) {
+    return phases.sort((a, b) => String(a.start_date).localeCompare(String(b.start_date)));
+  }
+
+  // Find the first pair of phases that share a day, or null when none overlap
+  static findOverlap(phases) {
+    const sorted = DosePhase.sortByStartDate([...phases]);
+
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i - 1].overlaps(sorted[i])) {
+        return [sorted[i - 1], sorted[i]];
+      }
+    }
+
+    return null;
+  }
+
+  // Phase of a medication in effect on a date, or null
+  static findForDate(phases, date) {
+    return phases.find(phase => phase.coversDate(date)) || null;
+  }
+
+  // Doses of one medication that apply on a date: the covering phase's doses,
+  // or the unphased doses when no phase covers it
+  static resolveDoses(doses, phases, date) {
+    const phase = DosePhase.findForDate(phases, date);
+    const phaseId = phase ? phase.id : null;
+
+    return doses.filter(dose => (dose.phase_id ?? null) === phaseId);
+  }
+}
+
+module.exports = DosePhase;
@@ -1,8 +1,26 @@
+const RECURRENCE_TYPES = ['daily', 'interval', 'weekly', 'monthly', 'hourly', 'as_needed'];
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Convert a DATE value (YYYY-MM-DD string or Date from pg) to a whole day number
+const toDayNumber = (value) => {
+  if (value instanceof Date) {
+    return Math.floor(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) / MS_PER_DAY);
+  }
+
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return Math.floor(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+};
+
 class Frequency {
   constructor(data = {}) {
     this.id = data.id !== undefined ? data.id : null;
     this.name = data.name || '';
     this.description = data.description || '';
+    this.recurrence_type = data.recurrence_type || 'daily';
+    this.interval_days = data.interval_days !== undefined ? data.interval_days : null;
+    this.weekdays = Array.isArray(data.weekdays) ? data.weekdays : [];
+    this.day_of_month = data.day_of_month !== undefined ? data.day_of_month : null;
+    this.interval_hours = data.interval_hours !== undefined ? data.interval_hours : null;
     this.created_at = data.created_at !== undefined ? data.created_at : null;
   }
 
@@ -25,6 +43,33 @@ class Frequency {
       errors.push({ field: 'description', message: 'Description must be 255 characters or less' });
     }
 
+    // Recurrence validations
+    if (!RECURRENCE_TYPES.includes(this.recurrence_type)) {
+      errors.push({ field: 'recurrence_type', message: `Recurrence type must be one of: ${RECURRENCE_TYPES.join(', ')}` });
+    }
+
+    if (this.recurrence_type === 'interval') {
+      if (!Number.isInteger(this.interval_days) || this.interval_days < 1) {
+        errors.push({ field: 'interval_days', message: 'Interval days must be a positive integer' });
+      }
+    }
+
+    if (this.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push({ field: 'weekdays', message: 'Weekdays must be integers between 0 (Sunday) and 6 (Saturday)' });
+    }
+
+    if (this.day_of_month !== null && this.day_of_month !== undefined) {
+      if (!Number.isInteger(this.day_of_month) || this.day_of_month < 1 || this.day_of_month > 31) {
+        errors.push({ field: 'day_of_month', message: 'Day of month must be an integer between 1 and 31' });
+      }
+    }
+
+    if (this.recurrence_type === 'hourly') {
+      if (!Number.isInteger(this.interval_hours) || this.interval_hours < 1 || this.interval_hours > 24) {
+        errors.push({ field: 'interval_hours', message: 'Interval hours must be an integer between 1 and 24' });
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -51,12 +96,114 @@ class Frequency {
     return !medications.some(medication => medication.frequency_id === this.id);
   }
 
+  // Check if doses are due on a given date; anchorDate is the medication start date
+  occursOn(date, anchorDate = null) {
+    const dayNumber = toDayNumber(date);
+    const anchorDayNumber = anchorDate ? toDayNumber(anchorDate) : dayNumber;
+
+    if (dayNumber < anchorDayNumber) {
+      return false;
+    }
+
+    const checkDate = new Date(dayNumber * MS_PER_DAY);
+    const anchor = new Date(anchorDayNumber * MS_PER_DAY);
+
+    switch (this.recurrence_type) {
+      case 'interval':
+        return (dayNumber - anchorDayNumber) % (this.interval_days || 1) === 0;
+      case 'weekly': {
+        const weekdays = this.weekdays.length > 0 ? this.weekdays : [anchor.getUTCDay()];
+        return weekdays.includes(checkDate.getUTCDay());
+      }
+      case 'monthly': {
+        // Clamp to the last day of short months (e.g. 31st -> 30th/28th)
+        const targetDay = this.day_of_month || anchor.getUTCDate();
+        const lastDayOfMonth = new Date(Date.UTC(checkDate.getUTCFullYear(), checkDate.getUTCMonth() + 1, 0)).getUTCDate();
+        return checkDate.getUTCDate() === Math.min(targetDay, lastDayOfMonth);
+      }
+      case 'as_needed':
+        return false;
+      default:
+        return true;
+    }
+  }
+
+  // Expand configured dose times into the slots due on a single day.
+  // For hourly recurrences each dose repeats every interval_hours until midnight;
+  // explicitly configured times take precedence over expanded ones.
+  expandDoseTimes(doses) {
+    if (this.recurrence_type !== 'hourly' || !this.interval_hours) {
+      return doses
+        .map(dose => ({ dose, time_of_day: dose.time_of_day }))
+        .sort((a, b) => String(a.time_of_day).localeCompare(String(b.time_of_day)));
+    }
+
+    const slotsByMinute = new Map();
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    // Keep the HH:MM or HH:MM:SS format of the configured dose
+    const toTimeString = (minutes, template) => {
+      const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+      return template.length > 5 ? `${time}:00` : time;
+    };
+
+    for (const dose of doses) {
+      slotsByMinute.set(toMinutes(dose.time_of_day), { dose, time_of_day: dose.time_of_day });
+    }
+
+    for (const dose of doses) {
+      const step = this.interval_hours * 60;
+      for (let slot = toMinutes(dose.time_of_day) + step; slot < 24 * 60; slot += step) {
+        if (!slotsByMinute.has(slot)) {
+          slotsByMinute.set(slot, { dose, time_of_day: toTimeString(slot, dose.time_of_day) });
+        }
+      }
+    }
+
+    return Array.from(slotsByMinute.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([, slot]) => slot);
+  }
+
+  // Total dose amount taken on a day when doses are due
+  getDosingDayAmount(doses) {
+    return this.expandDoseTimes(doses).reduce((sum, slot) => sum + slot.dose.dose_amount, 0);
+  }
+
+  // Average dose amount per calendar day, spreading non-daily doses over the period
+  getAverageDailyAmount(doses) {
+    return this.getDosingDayAmount(doses) * this.getAverageDailyOccurrence();
+  }
+
+  // Average fraction of days on which doses are due (used for consumption estimates)
+  getAverageDailyOccurrence() {
+    switch (this.recurrence_type) {
+      case 'interval':
+        return 1 / (this.interval_days || 1);
+      case 'weekly':
+        return (this.weekdays.length || 1) / 7;
+      case 'monthly':
+        return 12 / 365.25;
+      case 'as_needed':
+        return 0;
+      default:
+        return 1;
+    }
+  }
+
   // Convert to database format
   toDbFormat() {
     return {
       id: this.id,
       name: this.name.trim(),
-      description: this.description.trim()
+      description: this.description.trim(),
+      recurrence_type: this.recurrence_type,
+      interval_days: this.interval_days,
+      weekdays: this.weekdays.length > 0 ? this.weekdays : null,
+      day_of_month: this.day_of_month,
+      interval_hours: this.interval_hours
     };
   }
 
@@ -66,10 +213,25 @@ class Frequency {
       id: row.id,
       name: row.name,
       description: row.description,
+      recurrence_type: row.recurrence_type,
+      interval_days: row.interval_days,
+      weekdays: row.weekdays,
+      day_of_month: row.day_of_month,
+      interval_hours: row.interval_hours,
       created_at: row.created_at
     });
   }
 
+  // Get the recurrence rule of a medication, defaulting to daily when none is set
+  static forMedication(medication) {
+    return medication.frequency || new Frequency({ recurrence_type: 'daily' });
+  }
+
+  // Get supported recurrence types
+  static getRecurrenceTypes() {
+    return [...RECURRENCE_TYPES];
+  }
+
   // Sort frequencies alphabetically by name
   static sortByName(frequencies) {
     return frequencies.sort((a, b) => 
@@ -80,23 +242,23 @@ class Frequency {
   // Get common frequency presets
   static getCommonFrequencies() {
     return [
-      { name: 'Once daily', description: 'Take once per day' },
-      { name: 'Twice daily', description: 'Take twice per day (every 12 hours)' },
-      { name: 'Three times daily', description: 'Take three times per day (every 8 hours)' },
-      { name: 'Four times daily', description: 'Take four times per day (every 6 hours)' },
-      { name: 'Every other day', description: 'Take every other day' },
-      { name: 'Weekly', description: 'Take once per week' },
-      { name: 'Twice weekly', description: 'Take twice per week' },
-      { name: 'Monthly', description: 'Take once per month' },
-      { name: 'As needed', description: 'Take as needed (PRN)' },
-      { name: 'Before meals', description: 'Take before meals' },
-      { name: 'With meals', description: 'Take with meals' },
-      { name: 'After meals', description: 'Take after meals' },
-      { name: 'At bedtime', description: 'Take at bedtime' },
-      { name: 'Every 4 hours', description: 'Take every 4 hours' },
-      { name: 'Every 6 hours', description: 'Take every 6 hours' },
-      { name: 'Every 8 hours', description: 'Take every 8 hours' },
-      { name: 'Every 12 hours', description: 'Take every 12 hours' }
+      { name: 'Once daily', description: 'Take once per day', recurrence_type: 'daily' },
+      { name: 'Twice daily', description: 'Take twice per day (every 12 hours)', recurrence_type: 'daily' },
+      { name: 'Three times daily', description: 'Take three times per day (every 8 hours)', recurrence_type: 'daily' },
+      { name: 'Four times daily', description: 'Take four times per day (every 6 hours)', recurrence_type: 'daily' },
+      { name: 'Every other day', description: 'Take every other day', recurrence_type: 'interval', interval_days: 2 },
+      { name: 'Weekly', description: 'Take once per week', recurrence_type: 'weekly' },
+      { name: 'Twice weekly', description: 'Take twice per week', recurrence_type: 'weekly', weekdays: [1, 4] },
+      { name: 'Monthly', description: 'Take once per month', recurrence_type: 'monthly' },
+      { name: 'As needed', description: 'Take as needed (PRN)', recurrence_type: 'as_needed' },
+      { name: 'Before meals', description: 'Take before meals', recurrence_type: 'daily' },
+      { name: 'With meals', description: 'Take with meals', recurrence_type: 'daily' },
+      { name: 'After meals', description: 'Take after meals', recurrence_type: 'daily' },
+      { name: 'At bedtime', description: 'Take at bedtime', recurrence_type: 'daily' },
+      { name: 'Every 4 hours', description: 'Take every 4 hours', recurrence_type: 'hourly', interval_hours: 4 },
+      { name: 'Every 6 hours', description: 'Take every 6 hours', recurrence_type: 'hourly', interval_hours: 6 },
+      { name: 'Every 8 hours', description: 'Take every 8 hours', recurrence_type: 'hourly', interval_hours: 8 },
+      { name: 'Every 12 hours', description: 'Take every 12 hours', recurrence_type: 'hourly', interval_hours: 12 }
     ];
   }
 
@@ -114,7 +276,7 @@ class Frequency {
     );
   }
 
-  // Group frequencies by type
+  // Group frequencies by recurrence type
   static groupByType(frequencies) {
     const groups = {
       daily: [],
@@ -125,18 +287,22 @@ class Frequency {
     };
 
     frequencies.forEach(frequency => {
-      const name = frequency.name.toLowerCase();
-      
-      if (name.includes('daily') || name.includes('day') || name.includes('hour')) {
-        groups.daily.push(frequency);
-      } else if (name.includes('weekly') || name.includes('week')) {
-        groups.weekly.push(frequency);
-      } else if (name.includes('monthly') || name.includes('month')) {
-        groups.monthly.push(frequency);
-      } else if (name.includes('needed') || name.includes('prn')) {
-        groups.asNeeded.push(frequency);
-      } else {
-        groups.other.push(frequency);
+      switch (frequency.recurrence_type) {
+        case 'daily':
+        case 'hourly':
+          groups.daily.push(frequency);
+          break;
+        case 'weekly':
+          groups.weekly.push(frequency);
+          break;
+        case 'monthly':
+          groups.monthly.push(frequency);
+          break;
+        case 'as_needed':
+          groups.asNeeded.push(frequency);
+          break;
+        default:
+          groups.other.push(frequency);
       }
     });
 
@@ -0,0 +1,165 @@
+// Format a DATE column (Date from pg, or string) as YYYY-MM-DD
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    const month = (value.getMonth() + 1).toString().padStart(2, '0');
+    const day = value.getDate().toString().padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return value;
+};
+
+// NUMERIC columns come back from pg as strings
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class InventoryLot {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.medicine_id = data.medicine_id !== undefined ? data.medicine_id : null;
+    this.quantity = data.quantity !== undefined ? data.quantity : 0;
+    this.lot_number = data.lot_number || '';
+    this.expiry_date = data.expiry_date !== undefined ? data.expiry_date : null;
+    this.received_date = data.received_date !== undefined ? data.received_date : null;
+    this.unit_price = data.unit_price !== undefined ? data.unit_price : null;
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (this.medicine_id === null || this.medicine_id === undefined) {
+      errors.push({ field: 'medicine_id', message: 'Medicine ID is required' });
+    } else if (!Number.isInteger(this.medicine_id) || this.medicine_id <= 0) {
+      errors.push({ field: 'medicine_id', message: 'Medicine ID must be a positive integer' });
+    }
+
+    if (typeof this.quantity !== 'number' || isNaN(this.quantity) || this.quantity < 0) {
+      errors.push({ field: 'quantity', message: 'Quantity must be a non-negative number' });
+    }
+
+    if (this.lot_number && this.lot_number.length > 100) {
+      errors.push({ field: 'lot_number', message: 'Lot number must be 100 characters or less' });
+    }
+
+    if (this.expiry_date && !this.isValidDate(this.expiry_date)) {
+      errors.push({ field: 'expiry_date', message: 'Expiry date must be a valid date in YYYY-MM-DD format' });
+    }
+
+    if (this.received_date && !this.isValidDate(this.received_date)) {
+      errors.push({ field: 'received_date', message: 'Received date must be a valid date in YYYY-MM-DD format' });
+    }
+
+    if (this.unit_price !== null && (typeof this.unit_price !== 'number' || isNaN(this.unit_price) || this.unit_price < 0)) {
+      errors.push({ field: 'unit_price', message: 'Unit price must be a non-negative number' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  isValidDate(dateString) {
+    if (!dateString || typeof dateString !== 'string') return false;
+
+    if (!dateString.match(/^\d{4}-\d{2}-\d{2}$/)) {
+      return false;
+    }
+
+    const date = new Date(dateString);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === dateString;
+  }
+
+  // Days from a date (YYYY-MM-DD) until the lot expires, negative once expired; null without an expiry date
+  getDaysUntilExpiry(today) {
+    if (!this.expiry_date) {
+      return null;
+    }
+
+    return Math.round((Date.parse(this.expiry_date) - Date.parse(today)) / MS_PER_DAY);
+  }
+
+  // A lot can still be used on its expiry date
+  isExpired(today) {
+    return Boolean(this.expiry_date) && this.expiry_date < today;
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      medicine_id: this.medicine_id,
+      quantity: this.quantity,
+      lot_number: this.lot_number.trim() || null,
+      expiry_date: this.expiry_date || null,
+      received_date: this.received_date || null,
+      unit_price: this.unit_price
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new InventoryLot({
+      id: row.id,
+      medicine_id: row.medicine_id,
+      quantity: parseFloat(row.quantity),
+      lot_number: row.lot_number,
+      expiry_date: toDateString(row.expiry_date),
+      received_date: toDateString(row.received_date),
+      unit_price: toNumberOrNull(row.unit_price),
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+
+  // Sort lots in the order stock is taken from them: soonest expiry first, lots
+  // without an expiry date last, and the oldest delivery first among equals
+  static sortForConsumption(lots) {
+    const byDate = (a, b) => {
+      if (a === b) return 0;
+      if (!a) return 1;
+      if (!b) return -1;
+      return a < b ? -1 : 1;
+    };
+
+    return lots.sort((a, b) =>
+      byDate(a.expiry_date, b.expiry_date) ||
+      byDate(a.received_date, b.received_date) ||
+      (a.id ?? 0) - (b.id ?? 0)
+    );
+  }
+
+  // Price per dose unit of the stock in use: that of the first lot with stock and a price,
+  // in the order stock is taken from them; null when no lot with stock is priced
+  static getCurrentUnitPrice(lots) {
+    const priced = InventoryLot.sortForConsumption([...lots])
+      .find(lot => lot.quantity > 0 && lot.unit_price !== null && lot.unit_price !== undefined);
+
+    return priced ? priced.unit_price : null;
+  }
+
+  // Split an amount over lots first-expiry-first-out.
+  // Returns [{ lot, quantity }] for each lot that gives stock; an amount larger than
+  // all lots together takes them all and leaves the rest to stock outside the lots.
+  static allocate(lots, amount) {
+    const allocations = [];
+    let remaining = amount;
+
+    for (const lot of InventoryLot.sortForConsumption([...lots])) {
+      if (remaining <= 0) break;
+      if (lot.quantity <= 0) continue;
+
+      const quantity = Math.min(lot.quantity, remaining);
+      allocations.push({ lot, quantity });
+      // Quantities have two decimals; keep float rounding from leaving a sliver behind
+      remaining = Math.round((remaining - quantity) * 100) / 100;
+    }
+
+    return allocations;
+  }
+}
+
+module.exports = InventoryLot;
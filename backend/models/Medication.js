@@ -1,15 +1,56 @@
+const UnitOfMeasure = require('./UnitOfMeasure');
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
+
+// Round tablet amounts to the precision stored in the database
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Parse an optional NUMERIC column (pg returns strings)
+const toNumberOrNull = (value) =>
+  value !== null && value !== undefined ? parseFloat(value) : null;
+
+// Format a DATE column (Date from pg, or string) as YYYY-MM-DD
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    const month = (value.getMonth() + 1).toString().padStart(2, '0');
+    const day = value.getDate().toString().padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return value;
+};
+
+// Days since the epoch for a Date or YYYY-MM-DD string, ignoring the time of day
+const toDayNumber = (value) => {
+  const [year, month, day] = toDateString(value).slice(0, 10).split('-').map(Number);
+  return Math.floor(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+};
+
 class Medication {
   constructor(data = {}) {
     this.id = data.id !== undefined ? data.id : null;
+    this.patient_id = data.patient_id !== undefined ? data.patient_id : null;
     this.name = data.name || '';
     this.strength = data.strength || '';
     this.route_id = data.route_id !== undefined ? data.route_id : null;
     this.frequency_id = data.frequency_id !== undefined ? data.frequency_id : null;
+    this.pharmacy_id = data.pharmacy_id !== undefined ? data.pharmacy_id : null;
     this.start_date = data.start_date !== undefined ? data.start_date : null;
     this.end_date = data.end_date !== undefined ? data.end_date : null;
     this.sheet_size = data.sheet_size !== undefined ? data.sheet_size : 10;
     this.total_tablets = data.total_tablets !== undefined ? data.total_tablets : 0;
+    this.dose_unit = data.dose_unit || 'tablet';
+    this.package_unit = data.package_unit || 'sheet';
+    this.package_volume_ml = data.package_volume_ml !== undefined ? data.package_volume_ml : null;
+    this.units_per_ml = data.units_per_ml !== undefined ? data.units_per_ml : null;
+    this.unit_price = data.unit_price !== undefined ? data.unit_price : null;
     this.notes = data.notes || '';
+    this.prn_dose_amount = data.prn_dose_amount !== undefined ? data.prn_dose_amount : null;
+    this.prn_min_interval_hours = data.prn_min_interval_hours !== undefined ? data.prn_min_interval_hours : null;
+    this.prn_max_daily_amount = data.prn_max_daily_amount !== undefined ? data.prn_max_daily_amount : null;
+    this.cycle_days_on = data.cycle_days_on !== undefined ? data.cycle_days_on : null;
+    this.cycle_days_off = data.cycle_days_off !== undefined ? data.cycle_days_off : null;
+    this.cycle_start_date = data.cycle_start_date !== undefined ? data.cycle_start_date : null;
     this.created_at = data.created_at !== undefined ? data.created_at : null;
     this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
   }
@@ -59,6 +100,40 @@ class Medication {
       }
     }
 
+    // Unit of measure validations
+    if (!UnitOfMeasure.isDoseUnit(this.dose_unit)) {
+      errors.push({ field: 'dose_unit', message: `Dose unit must be one of: ${UnitOfMeasure.getDoseUnits().join(', ')}` });
+    }
+
+    if (!UnitOfMeasure.isPackageUnit(this.package_unit)) {
+      errors.push({ field: 'package_unit', message: `Package unit must be one of: ${UnitOfMeasure.getPackageUnits().join(', ')}` });
+    }
+
+    const volumeFields = {
+      package_volume_ml: 'Package volume',
+      units_per_ml: 'Units per ml'
+    };
+
+    for (const [field, label] of Object.entries(volumeFields)) {
+      const value = this[field];
+      if (value !== null && value !== undefined && (typeof value !== 'number' || value <= 0)) {
+        errors.push({ field, message: `${label} must be a positive number` });
+      }
+    }
+
+    // Doses in ml need no concentration; one given anyway is dropped when saving
+    if (this.package_volume_ml && this.dose_unit !== 'ml' && !this.units_per_ml) {
+      errors.push({ field: 'units_per_ml', message: 'Units per ml is required to count a package volume in doses' });
+    } else if (this.package_volume_ml > 0 && !Number.isInteger(this.getPackageSize())) {
+      errors.push({ field: 'package_volume_ml', message: 'Package volume must hold a whole number of dose units' });
+    }
+
+    // Price of one dose unit, for stock without a priced lot
+    if (this.unit_price !== null && this.unit_price !== undefined &&
+        (typeof this.unit_price !== 'number' || isNaN(this.unit_price) || this.unit_price < 0)) {
+      errors.push({ field: 'unit_price', message: 'Unit price must be a non-negative number' });
+    }
+
     // Foreign key validations
     if (this.route_id !== null && this.route_id !== undefined) {
       if (!Number.isInteger(this.route_id) || this.route_id <= 0) {
@@ -72,6 +147,62 @@ class Medication {
       }
     }
 
+    if (this.pharmacy_id !== null && this.pharmacy_id !== undefined) {
+      if (!Number.isInteger(this.pharmacy_id) || this.pharmacy_id <= 0) {
+        errors.push({ field: 'pharmacy_id', message: 'Pharmacy ID must be a positive integer' });
+      }
+    }
+
+    if (this.patient_id !== null && this.patient_id !== undefined) {
+      if (!Number.isInteger(this.patient_id) || this.patient_id <= 0) {
+        errors.push({ field: 'patient_id', message: 'Patient ID must be a positive integer' });
+      }
+    }
+
+    // As-needed (PRN) limit validations
+    const prnFields = {
+      prn_dose_amount: 'PRN dose amount',
+      prn_min_interval_hours: 'Minimum interval between PRN doses',
+      prn_max_daily_amount: 'Maximum PRN amount per 24 hours'
+    };
+
+    for (const [field, label] of Object.entries(prnFields)) {
+      const value = this[field];
+      if (value !== null && value !== undefined && (typeof value !== 'number' || value <= 0)) {
+        errors.push({ field, message: `${label} must be a positive number` });
+      }
+    }
+
+    if (this.prn_dose_amount && this.prn_max_daily_amount &&
+        this.prn_dose_amount > this.prn_max_daily_amount) {
+      errors.push({ field: 'prn_dose_amount', message: 'PRN dose amount cannot exceed the maximum per 24 hours' });
+    }
+
+    // Cycle (N days on, M days off) validations
+    const cycleFields = {
+      cycle_days_on: 'Cycle days on',
+      cycle_days_off: 'Cycle days off'
+    };
+
+    for (const [field, label] of Object.entries(cycleFields)) {
+      const value = this[field];
+      if (value !== null && value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+        errors.push({ field, message: `${label} must be a positive integer` });
+      }
+    }
+
+    if ((this.cycle_days_on == null) !== (this.cycle_days_off == null)) {
+      errors.push({ field: 'cycle_days_off', message: 'Cycle days on and days off must be set together' });
+    }
+
+    if (this.cycle_start_date) {
+      if (!this.isValidDate(this.cycle_start_date)) {
+        errors.push({ field: 'cycle_start_date', message: 'Cycle start date must be a valid date' });
+      } else if (!this.hasCycle()) {
+        errors.push({ field: 'cycle_start_date', message: 'Cycle start date requires cycle days on and days off' });
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -110,26 +241,82 @@ class Medication {
     return true;
   }
 
+  // Dose units in one package: derived from the volume for liquids, else the sheet size
+  getPackageSize() {
+    if (this.package_volume_ml > 0) {
+      const unitsPerMl = this.dose_unit === 'ml' ? 1 : this.units_per_ml;
+      if (unitsPerMl > 0) {
+        return roundAmount(this.package_volume_ml * unitsPerMl);
+      }
+    }
+
+    return this.sheet_size;
+  }
+
+  // Convert an amount in the dose unit, the package unit or ml (given a concentration)
+  // to dose units
+  convertToDoseUnits(amount, unit = this.dose_unit) {
+    if (!unit || unit === this.dose_unit) {
+      return amount;
+    }
+
+    if (typeof amount !== 'number' || isNaN(amount)) {
+      throw new Error('Amount must be a number');
+    }
+
+    if (unit === this.package_unit) {
+      return roundAmount(amount * this.getPackageSize());
+    }
+
+    if (unit === 'ml' && this.units_per_ml > 0) {
+      return roundAmount(amount * this.units_per_ml);
+    }
+
+    throw new Error(`Cannot convert ${unit} to ${UnitOfMeasure.getLabel(this.dose_unit)}`);
+  }
+
+  // Stock (or another amount in dose units) as whole packages plus loose dose units
+  getPackageEquivalent(amount = this.total_tablets) {
+    const packageSize = this.getPackageSize();
+    if (!(packageSize > 0)) {
+      return { full_packages: 0, remaining_units: amount, total_packages: 0 };
+    }
+
+    const fullPackages = Math.floor(amount / packageSize);
+    return {
+      full_packages: fullPackages,
+      remaining_units: roundAmount(amount - fullPackages * packageSize),
+      total_packages: roundAmount(amount / packageSize)
+    };
+  }
+
+  // Amount in dose units with the unit name, e.g. '12 puffs'
+  formatAmount(amount) {
+    return UnitOfMeasure.format(amount, this.dose_unit);
+  }
+
   // Calculate total tablets from sheet count
   calculateTotalTabletsFromSheets(sheetCount) {
     if (!Number.isInteger(sheetCount) || sheetCount < 0) {
       throw new Error('Sheet count must be a non-negative integer');
     }
     
-    if (!Number.isInteger(this.sheet_size) || this.sheet_size <= 0) {
+    const packageSize = this.getPackageSize();
+    if (!Number.isInteger(packageSize) || packageSize <= 0) {
       throw new Error('Sheet size must be a positive integer');
     }
 
-    return sheetCount * this.sheet_size;
+    return sheetCount * packageSize;
   }
 
   // Calculate sheet equivalent from total tablets
   calculateSheetEquivalent() {
-    if (!Number.isInteger(this.sheet_size) || this.sheet_size <= 0) {
+    const packageSize = this.getPackageSize();
+    if (!Number.isInteger(packageSize) || packageSize <= 0) {
       return 0;
     }
 
-    return Math.floor(this.total_tablets / this.sheet_size);
+    return Math.floor(this.total_tablets / packageSize);
   }
 
   // Update inventory safely
@@ -161,19 +348,142 @@ class Medication {
     };
   }
 
+  // Whether the medication is taken as needed rather than on a schedule
+  isAsNeeded() {
+    return this.frequency?.recurrence_type === 'as_needed';
+  }
+
+  // Whether the medication follows an on/off cycle
+  hasCycle() {
+    return Boolean(this.cycle_days_on && this.cycle_days_off);
+  }
+
+  // Check if a date falls in an "on" part of the cycle. Cycles repeat from the
+  // cycle start date (the medication start date by default); dates before the
+  // anchor and medications without a cycle are always "on"
+  isCycleOnDate(date) {
+    if (!this.hasCycle()) {
+      return true;
+    }
+
+    const anchor = this.cycle_start_date || this.start_date;
+    if (!anchor) {
+      return true;
+    }
+
+    const offset = toDayNumber(date) - toDayNumber(anchor);
+    if (offset < 0) {
+      return true;
+    }
+
+    return offset % (this.cycle_days_on + this.cycle_days_off) < this.cycle_days_on;
+  }
+
+  // Share of days in the "on" part of the cycle, used to average consumption
+  getCycleOnFraction() {
+    if (!this.hasCycle()) {
+      return 1;
+    }
+
+    return this.cycle_days_on / (this.cycle_days_on + this.cycle_days_off);
+  }
+
+  // Earliest administration time that can still affect the PRN limits at `at`
+  getPrnLookbackStart(at = new Date()) {
+    const hours = Math.max(24, this.prn_min_interval_hours || 0);
+    return new Date(new Date(at).getTime() - hours * MS_PER_HOUR);
+  }
+
+  // Check a PRN dose against the minimum interval and the rolling 24-hour maximum.
+  // doseEvents are earlier administrations of this medication (given_at, dose_amount);
+  // returns what was taken in the last 24 hours, the violated limits and, when the dose
+  // is not allowed at `at`, the earliest time it will be (null if it never fits).
+  getPrnStatus(doseEvents, amount = null, at = new Date()) {
+    const now = new Date(at).getTime();
+    const doseAmount = amount ?? this.prn_dose_amount ?? 1;
+
+    const taken = doseEvents
+      .filter(event => event.given_at && event.dose_amount)
+      .map(event => ({ time: new Date(event.given_at).getTime(), amount: event.dose_amount }))
+      .filter(event => event.time <= now)
+      .sort((a, b) => a.time - b.time);
+
+    const lastTaken = taken.length > 0 ? taken[taken.length - 1].time : null;
+    const window = taken.filter(event => event.time > now - 24 * MS_PER_HOUR);
+    const takenLast24h = roundAmount(window.reduce((sum, event) => sum + event.amount, 0));
+
+    const violations = [];
+    let nextAllowed = now;
+
+    if (this.prn_min_interval_hours && lastTaken !== null) {
+      const earliest = lastTaken + this.prn_min_interval_hours * MS_PER_HOUR;
+      if (earliest > now) {
+        violations.push(`Minimum interval of ${this.prn_min_interval_hours} hours since the last dose has not passed`);
+        nextAllowed = Math.max(nextAllowed, earliest);
+      }
+    }
+
+    if (this.prn_max_daily_amount) {
+      if (doseAmount > this.prn_max_daily_amount) {
+        violations.push(`Dose of ${doseAmount} exceeds the maximum of ${this.prn_max_daily_amount} per 24 hours`);
+        nextAllowed = null;
+      } else if (roundAmount(takenLast24h + doseAmount) > this.prn_max_daily_amount) {
+        violations.push(
+          `Dose would exceed the maximum of ${this.prn_max_daily_amount} per 24 hours (${takenLast24h} already taken)`
+        );
+
+        // Earlier doses leave the rolling window 24 hours after they were taken
+        let remaining = takenLast24h;
+        for (const event of window) {
+          remaining = roundAmount(remaining - event.amount);
+          if (roundAmount(remaining + doseAmount) <= this.prn_max_daily_amount) {
+            if (nextAllowed !== null) {
+              nextAllowed = Math.max(nextAllowed, event.time + 24 * MS_PER_HOUR);
+            }
+            break;
+          }
+        }
+      }
+    }
+
+    return {
+      dose_amount: doseAmount,
+      min_interval_hours: this.prn_min_interval_hours,
+      max_daily_amount: this.prn_max_daily_amount,
+      last_taken_at: lastTaken !== null ? new Date(lastTaken).toISOString() : null,
+      taken_last_24h: takenLast24h,
+      can_take: violations.length === 0,
+      next_allowed_at: violations.length > 0 && nextAllowed !== null ? new Date(nextAllowed).toISOString() : null,
+      violations
+    };
+  }
+
   // Convert to database format
   toDbFormat() {
     return {
       id: this.id,
+      patient_id: this.patient_id,
       name: this.name.trim(),
       strength: this.strength.trim(),
       route_id: this.route_id,
       frequency_id: this.frequency_id,
+      pharmacy_id: this.pharmacy_id ?? null,
       start_date: this.start_date,
       end_date: this.end_date,
-      sheet_size: this.sheet_size,
+      sheet_size: this.getPackageSize(),
       total_tablets: this.total_tablets,
+      dose_unit: this.dose_unit,
+      package_unit: this.package_unit,
+      package_volume_ml: this.package_volume_ml,
+      units_per_ml: this.dose_unit === 'ml' ? null : this.units_per_ml,
+      unit_price: this.unit_price ?? null,
       notes: this.notes.trim(),
+      prn_dose_amount: this.prn_dose_amount,
+      prn_min_interval_hours: this.prn_min_interval_hours,
+      prn_max_daily_amount: this.prn_max_daily_amount,
+      cycle_days_on: this.cycle_days_on,
+      cycle_days_off: this.cycle_days_off,
+      cycle_start_date: this.hasCycle() ? this.cycle_start_date || null : null,
       updated_at: new Date().toISOString()
     };
   }
@@ -182,15 +492,28 @@ class Medication {
   static fromDbRow(row) {
     return new Medication({
       id: row.id,
+      patient_id: row.patient_id,
       name: row.name,
       strength: row.strength,
       route_id: row.route_id,
       frequency_id: row.frequency_id,
-      start_date: row.start_date,
-      end_date: row.end_date,
+      pharmacy_id: row.pharmacy_id ?? null,
+      start_date: toDateString(row.start_date),
+      end_date: toDateString(row.end_date),
       sheet_size: row.sheet_size,
       total_tablets: parseFloat(row.total_tablets),
+      dose_unit: row.dose_unit,
+      package_unit: row.package_unit,
+      package_volume_ml: toNumberOrNull(row.package_volume_ml),
+      units_per_ml: toNumberOrNull(row.units_per_ml),
+      unit_price: toNumberOrNull(row.unit_price),
       notes: row.notes,
+      prn_dose_amount: toNumberOrNull(row.prn_dose_amount),
+      prn_min_interval_hours: toNumberOrNull(row.prn_min_interval_hours),
+      prn_max_daily_amount: toNumberOrNull(row.prn_max_daily_amount),
+      cycle_days_on: row.cycle_days_on ?? null,
+      cycle_days_off: row.cycle_days_off ?? null,
+      cycle_start_date: toDateString(row.cycle_start_date ?? null),
       created_at: row.created_at,
       updated_at: row.updated_at
     });
@@ -6,6 +6,7 @@ class MedicineDose {
     this.time_of_day = data.time_of_day !== undefined ? data.time_of_day : null;
     this.route_override = data.route_override !== undefined ? data.route_override : null;
     this.instructions = data.instructions || '';
+    this.phase_id = data.phase_id !== undefined ? data.phase_id : null;
     this.created_at = data.created_at !== undefined ? data.created_at : null;
   }
 
@@ -41,6 +42,12 @@ class MedicineDose {
       }
     }
 
+    if (this.phase_id !== null && this.phase_id !== undefined) {
+      if (!Number.isInteger(this.phase_id) || this.phase_id <= 0) {
+        errors.push({ field: 'phase_id', message: 'Phase ID must be a positive integer' });
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -129,7 +136,8 @@ class MedicineDose {
       dose_amount: this.dose_amount,
       time_of_day: this.time_of_day,
       route_override: this.route_override,
-      instructions: this.instructions.trim()
+      instructions: this.instructions.trim(),
+      phase_id: this.phase_id
     };
   }
 
@@ -142,6 +150,7 @@ class MedicineDose {
       time_of_day: row.time_of_day,
       route_override: row.route_override,
       instructions: row.instructions,
+      phase_id: row.phase_id ?? null,
       created_at: row.created_at
     });
   }
@@ -0,0 +1,120 @@
+const User = require('./User');
+
+const CHANNELS = ['email', 'webhook', 'web_push'];
+
+// Whether a string is an absolute URL with one of the given protocols
+const isUrl = (value, protocols) => {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+class NotificationChannel {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.user_id = data.user_id !== undefined ? data.user_id : null;
+    this.channel = data.channel || '';
+    this.target = data.target || '';
+    this.secret = data.secret || '';
+    this.keys = data.keys !== undefined ? data.keys : null;
+    this.is_enabled = data.is_enabled !== false;
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+    const target = typeof this.target === 'string' ? this.target.trim() : '';
+
+    if (!this.user_id) {
+      errors.push({ field: 'user_id', message: 'User ID is required' });
+    }
+
+    if (!CHANNELS.includes(this.channel)) {
+      errors.push({ field: 'channel', message: `Channel must be one of: ${CHANNELS.join(', ')}` });
+    }
+
+    if (!target) {
+      errors.push({ field: 'target', message: 'Target is required' });
+    } else if (target.length > 2000) {
+      errors.push({ field: 'target', message: 'Target must be 2000 characters or less' });
+    } else if (this.channel === 'email' && !User.isValidEmail(target)) {
+      errors.push({ field: 'target', message: 'Target must be a valid email address' });
+    } else if (this.channel === 'webhook' && !isUrl(target, ['http:', 'https:'])) {
+      errors.push({ field: 'target', message: 'Target must be an http or https URL' });
+    } else if (this.channel === 'web_push' && !isUrl(target, ['https:'])) {
+      errors.push({ field: 'target', message: 'Push endpoint must be an https URL' });
+    }
+
+    if (this.secret && this.channel !== 'webhook') {
+      errors.push({ field: 'secret', message: 'Only webhooks have a signing secret' });
+    } else if (this.secret && this.secret.trim().length > 200) {
+      errors.push({ field: 'secret', message: 'Secret must be 200 characters or less' });
+    }
+
+    if (this.channel === 'web_push') {
+      if (!this.keys || typeof this.keys.p256dh !== 'string' || typeof this.keys.auth !== 'string' ||
+          !this.keys.p256dh || !this.keys.auth) {
+        errors.push({ field: 'keys', message: 'Push subscription keys p256dh and auth are required' });
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Never expose the webhook secret or push keys in API responses
+  toJSON() {
+    return {
+      id: this.id,
+      channel: this.channel,
+      target: this.target,
+      has_secret: Boolean(this.secret),
+      is_enabled: this.is_enabled,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    const target = this.target.trim();
+
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      channel: this.channel,
+      target: this.channel === 'email' ? User.normalizeEmail(target) : target,
+      secret: this.secret.trim() || null,
+      keys: this.channel === 'web_push' ? { p256dh: this.keys.p256dh, auth: this.keys.auth } : null,
+      is_enabled: this.is_enabled
+    };
+  }
+
+  // Get the channel types
+  static getChannels() {
+    return [...CHANNELS];
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new NotificationChannel({
+      id: row.id,
+      user_id: row.user_id,
+      channel: row.channel,
+      target: row.target,
+      secret: row.secret,
+      keys: typeof row.keys === 'string' ? JSON.parse(row.keys) : row.keys,
+      is_enabled: row.is_enabled,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+}
+
+module.exports = NotificationChannel;
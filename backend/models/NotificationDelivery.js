@@ -0,0 +1,63 @@
+const STATUSES = ['pending', 'sent', 'failed'];
+
+// A delivery is given up after this many failed attempts
+const MAX_ATTEMPTS = 5;
+
+// Wait after the first failed attempt; it doubles with every further failure (1, 2, 4, 8 minutes)
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+class NotificationDelivery {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.notification_id = data.notification_id !== undefined ? data.notification_id : null;
+    this.channel_id = data.channel_id !== undefined ? data.channel_id : null;
+    this.status = data.status || 'pending';
+    this.attempts = data.attempts !== undefined ? data.attempts : 0;
+    this.next_attempt_at = data.next_attempt_at !== undefined ? data.next_attempt_at : null;
+    this.last_error = data.last_error !== undefined ? data.last_error : null;
+    this.sent_at = data.sent_at !== undefined ? data.sent_at : null;
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Delay before retrying a delivery that has failed the given number of attempts
+  static getRetryDelay(attempts) {
+    return RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+  }
+
+  // State of a delivery after its attempt number `attempts` failed: retried later, or given
+  // up once it is out of attempts (or the failure is permanent)
+  static afterFailure(attempts, permanent = false, now = new Date()) {
+    if (permanent || attempts >= MAX_ATTEMPTS) {
+      return { status: 'failed', next_attempt_at: null };
+    }
+
+    return {
+      status: 'pending',
+      next_attempt_at: new Date(now.getTime() + NotificationDelivery.getRetryDelay(attempts))
+    };
+  }
+
+  // Get all valid statuses
+  static getStatuses() {
+    return [...STATUSES];
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new NotificationDelivery({
+      id: row.id,
+      notification_id: row.notification_id,
+      channel_id: row.channel_id,
+      status: row.status,
+      attempts: row.attempts,
+      next_attempt_at: row.next_attempt_at,
+      last_error: row.last_error,
+      sent_at: row.sent_at,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+}
+
+module.exports = NotificationDelivery;
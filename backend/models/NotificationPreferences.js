@@ -0,0 +1,160 @@
+const { resolveTimezone, toLocalDateString, toLocalTimeString, zonedDateTimeToUtc, addDays } = require('../config/timezone');
+
+const TYPES = ['BUY_SOON', 'DOSE_DUE', 'MISSED_DOSE', 'EXPIRING_SOON', 'PRESCRIPTION_RENEWAL', 'DIGEST'];
+
+const DEFAULTS = {
+  minutes_ahead: 15,
+  hours_overdue: 1,
+  buy_soon_days_ahead: 1,
+  renotify_minutes: 15,
+  max_renotifications: 2,
+  quiet_hours_start: '22:00',
+  quiet_hours_end: '07:00'
+};
+
+// Lead times, reminder repeats and the range each may be set within
+const LIMITS = {
+  minutes_ahead: { min: 5, max: 120, label: 'Minutes ahead' },
+  hours_overdue: { min: 1, max: 24, label: 'Hours overdue' },
+  buy_soon_days_ahead: { min: 1, max: 30, label: 'Buy-soon days ahead' },
+  renotify_minutes: { min: 5, max: 120, label: 'Re-notify minutes' },
+  max_renotifications: { min: 0, max: 5, label: 'Maximum re-notifications' }
+};
+
+const TIME_REGEX = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+class NotificationPreferences {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.patient_id = data.patient_id !== undefined ? data.patient_id : null;
+    this.disabled_types = Array.isArray(data.disabled_types) ? data.disabled_types : [];
+    this.minutes_ahead = data.minutes_ahead ?? DEFAULTS.minutes_ahead;
+    this.hours_overdue = data.hours_overdue ?? DEFAULTS.hours_overdue;
+    this.buy_soon_days_ahead = data.buy_soon_days_ahead ?? DEFAULTS.buy_soon_days_ahead;
+    // How often an unacknowledged dose reminder is raised again, and how many times
+    this.renotify_minutes = data.renotify_minutes ?? DEFAULTS.renotify_minutes;
+    this.max_renotifications = data.max_renotifications ?? DEFAULTS.max_renotifications;
+    // Patient member told about missed doses nobody acknowledged
+    this.escalation_user_id = data.escalation_user_id !== undefined ? data.escalation_user_id : null;
+    this.quiet_hours_enabled = data.quiet_hours_enabled === true;
+    this.quiet_hours_start = data.quiet_hours_start || DEFAULTS.quiet_hours_start;
+    this.quiet_hours_end = data.quiet_hours_end || DEFAULTS.quiet_hours_end;
+    // Timezone quiet hours are kept in: the patient's, or the installation's
+    this.timezone = resolveTimezone(data.timezone);
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (!Array.isArray(this.disabled_types) || this.disabled_types.some(type => !TYPES.includes(type))) {
+      errors.push({ field: 'disabled_types', message: `Disabled types must be any of: ${TYPES.join(', ')}` });
+    }
+
+    for (const [field, { min, max, label }] of Object.entries(LIMITS)) {
+      if (!Number.isInteger(this[field]) || this[field] < min || this[field] > max) {
+        errors.push({ field, message: `${label} must be an integer between ${min} and ${max}` });
+      }
+    }
+
+    if (this.escalation_user_id !== null) {
+      if (!Number.isInteger(this.escalation_user_id) || this.escalation_user_id < 1) {
+        errors.push({ field: 'escalation_user_id', message: 'Secondary caregiver must be a user ID' });
+      } else if (this.patient_id === null) {
+        errors.push({ field: 'escalation_user_id', message: 'Only a patient can have a secondary caregiver' });
+      }
+    }
+
+    if (!TIME_REGEX.test(this.quiet_hours_start)) {
+      errors.push({ field: 'quiet_hours_start', message: 'Quiet hours start must be in HH:MM format (24-hour)' });
+    }
+
+    if (!TIME_REGEX.test(this.quiet_hours_end)) {
+      errors.push({ field: 'quiet_hours_end', message: 'Quiet hours end must be in HH:MM format (24-hour)' });
+    } else if (this.quiet_hours_end === this.quiet_hours_start) {
+      errors.push({ field: 'quiet_hours_end', message: 'Quiet hours must end at a different time than they start' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Whether notifications of a type are raised at all
+  isTypeEnabled(type) {
+    return !this.disabled_types.includes(type);
+  }
+
+  // When the quiet hours an instant falls in end, or null outside quiet hours. Quiet hours
+  // that start later in the day than they end run overnight.
+  getQuietHoursEnd(instant = new Date()) {
+    if (!this.quiet_hours_enabled) {
+      return null;
+    }
+
+    const date = toLocalDateString(instant, this.timezone);
+    const time = toLocalTimeString(instant, this.timezone).substring(0, 5);
+    const start = this.quiet_hours_start;
+    const end = this.quiet_hours_end;
+
+    if (start < end) {
+      return time >= start && time < end ? zonedDateTimeToUtc(date, end, this.timezone) : null;
+    }
+
+    if (time >= start) {
+      return zonedDateTimeToUtc(addDays(date, 1), end, this.timezone);
+    }
+
+    return time < end ? zonedDateTimeToUtc(date, end, this.timezone) : null;
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      patient_id: this.patient_id,
+      disabled_types: [...new Set(this.disabled_types)],
+      minutes_ahead: this.minutes_ahead,
+      hours_overdue: this.hours_overdue,
+      buy_soon_days_ahead: this.buy_soon_days_ahead,
+      renotify_minutes: this.renotify_minutes,
+      max_renotifications: this.max_renotifications,
+      escalation_user_id: this.escalation_user_id,
+      quiet_hours_enabled: this.quiet_hours_enabled,
+      quiet_hours_start: this.quiet_hours_start,
+      quiet_hours_end: this.quiet_hours_end
+    };
+  }
+
+  // Get the notification types that can be turned off
+  static getTypes() {
+    return [...TYPES];
+  }
+
+  // Create from database row; TIME columns come back as HH:MM:SS, and the columns of a
+  // patient without preferences as null
+  static fromDbRow(row) {
+    return new NotificationPreferences({
+      id: row.id,
+      patient_id: row.patient_id,
+      disabled_types: row.disabled_types,
+      minutes_ahead: row.minutes_ahead,
+      hours_overdue: row.hours_overdue,
+      buy_soon_days_ahead: row.buy_soon_days_ahead,
+      renotify_minutes: row.renotify_minutes,
+      max_renotifications: row.max_renotifications,
+      escalation_user_id: row.escalation_user_id,
+      quiet_hours_enabled: row.quiet_hours_enabled,
+      quiet_hours_start: row.quiet_hours_start?.substring(0, 5),
+      quiet_hours_end: row.quiet_hours_end?.substring(0, 5),
+      timezone: row.patient_timezone,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+}
+
+module.exports = NotificationPreferences;
@@ -0,0 +1,93 @@
+const { isValidTimezone } = require('../config/timezone');
+
+// Format a DATE column (Date from pg, or string) as YYYY-MM-DD
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    const month = (value.getMonth() + 1).toString().padStart(2, '0');
+    const day = value.getDate().toString().padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return value;
+};
+
+class Patient {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.owner_id = data.owner_id !== undefined ? data.owner_id : null;
+    this.name = data.name || '';
+    this.date_of_birth = data.date_of_birth !== undefined ? data.date_of_birth : null;
+    this.notes = data.notes || '';
+    this.timezone = data.timezone || null;
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (!Number.isInteger(this.owner_id) || this.owner_id <= 0) {
+      errors.push({ field: 'owner_id', message: 'Owner ID must be a positive integer' });
+    }
+
+    if (!this.name || !this.name.trim()) {
+      errors.push({ field: 'name', message: 'Name is required' });
+    } else if (this.name.trim().length > 100) {
+      errors.push({ field: 'name', message: 'Name must be 100 characters or less' });
+    }
+
+    if (this.date_of_birth) {
+      if (!Patient.isValidDate(this.date_of_birth)) {
+        errors.push({ field: 'date_of_birth', message: 'Date of birth must be a valid date (YYYY-MM-DD)' });
+      } else if (this.date_of_birth > new Date().toISOString().split('T')[0]) {
+        errors.push({ field: 'date_of_birth', message: 'Date of birth cannot be in the future' });
+      }
+    }
+
+    if (this.timezone && !isValidTimezone(this.timezone)) {
+      errors.push({ field: 'timezone', message: 'Timezone must be a valid IANA timezone name' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  static isValidDate(dateString) {
+    if (typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+      return false;
+    }
+
+    const date = new Date(dateString);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === dateString;
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      owner_id: this.owner_id,
+      name: this.name.trim(),
+      date_of_birth: this.date_of_birth || null,
+      notes: this.notes.trim() || null,
+      timezone: this.timezone || null
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new Patient({
+      id: row.id,
+      owner_id: row.owner_id,
+      name: row.name,
+      date_of_birth: toDateString(row.date_of_birth),
+      notes: row.notes,
+      timezone: row.timezone,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+}
+
+module.exports = Patient;
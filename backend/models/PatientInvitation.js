@@ -0,0 +1,86 @@
+const PatientMember = require('./PatientMember');
+const User = require('./User');
+
+const STATUSES = ['pending', 'accepted', 'declined', 'revoked'];
+
+class PatientInvitation {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.patient_id = data.patient_id !== undefined ? data.patient_id : null;
+    this.email = data.email || '';
+    this.role = data.role || '';
+    this.invited_by = data.invited_by !== undefined ? data.invited_by : null;
+    this.status = data.status || 'pending';
+    this.responded_at = data.responded_at !== undefined ? data.responded_at : null;
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.patient_name = data.patient_name !== undefined ? data.patient_name : null;
+    this.invited_by_name = data.invited_by_name !== undefined ? data.invited_by_name : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (!Number.isInteger(this.patient_id) || this.patient_id <= 0) {
+      errors.push({ field: 'patient_id', message: 'Patient ID must be a positive integer' });
+    }
+
+    if (!this.email || !this.email.trim()) {
+      errors.push({ field: 'email', message: 'Email is required' });
+    } else if (!User.isValidEmail(this.email.trim())) {
+      errors.push({ field: 'email', message: 'Email must be a valid email address' });
+    }
+
+    if (!PatientMember.isValidRole(this.role)) {
+      errors.push({ field: 'role', message: `Role must be one of: ${PatientMember.getRoles().join(', ')}` });
+    }
+
+    if (!STATUSES.includes(this.status)) {
+      errors.push({ field: 'status', message: `Status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  isPending() {
+    return this.status === 'pending';
+  }
+
+  // Check whether the invitation is addressed to a user
+  isFor(user) {
+    return !!user && User.normalizeEmail(user.email) === User.normalizeEmail(this.email);
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      patient_id: this.patient_id,
+      email: User.normalizeEmail(this.email),
+      role: this.role,
+      invited_by: this.invited_by,
+      status: this.status
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new PatientInvitation({
+      id: row.id,
+      patient_id: row.patient_id,
+      email: row.email,
+      role: row.role,
+      invited_by: row.invited_by,
+      status: row.status,
+      responded_at: row.responded_at,
+      created_at: row.created_at,
+      patient_name: row.patient_name,
+      invited_by_name: row.invited_by_name
+    });
+  }
+}
+
+module.exports = PatientInvitation;
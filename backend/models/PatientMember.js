@@ -0,0 +1,83 @@
+const ROLES = ['owner', 'caregiver', 'viewer'];
+
+// What each role may do with a patient's medications
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'record_doses', 'manage_inventory', 'manage_medications', 'manage_patient'],
+  caregiver: ['view', 'record_doses', 'manage_inventory'],
+  viewer: ['view']
+};
+
+class PatientMember {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.patient_id = data.patient_id !== undefined ? data.patient_id : null;
+    this.user_id = data.user_id !== undefined ? data.user_id : null;
+    this.role = data.role || '';
+    this.user_name = data.user_name !== undefined ? data.user_name : null;
+    this.user_email = data.user_email !== undefined ? data.user_email : null;
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (!Number.isInteger(this.patient_id) || this.patient_id <= 0) {
+      errors.push({ field: 'patient_id', message: 'Patient ID must be a positive integer' });
+    }
+
+    if (!Number.isInteger(this.user_id) || this.user_id <= 0) {
+      errors.push({ field: 'user_id', message: 'User ID must be a positive integer' });
+    }
+
+    if (!PatientMember.isValidRole(this.role)) {
+      errors.push({ field: 'role', message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  static isValidRole(role) {
+    return ROLES.includes(role);
+  }
+
+  // Get all valid roles
+  static getRoles() {
+    return [...ROLES];
+  }
+
+  // Check whether a role grants a permission
+  static hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      patient_id: this.patient_id,
+      user_id: this.user_id,
+      role: this.role
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new PatientMember({
+      id: row.id,
+      patient_id: row.patient_id,
+      user_id: row.user_id,
+      role: row.role,
+      user_name: row.user_name,
+      user_email: row.user_email,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+}
+
+module.exports = PatientMember;
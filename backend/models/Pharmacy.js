@@ -0,0 +1,65 @@
+class Pharmacy {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.name = data.name || '';
+    this.address = data.address || '';
+    this.phone = data.phone || '';
+    this.hours = data.hours || '';
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (!this.name || this.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Pharmacy name is required' });
+    } else if (this.name.trim().length > 200) {
+      errors.push({ field: 'name', message: 'Pharmacy name must be 200 characters or less' });
+    }
+
+    if (this.address && this.address.trim().length > 500) {
+      errors.push({ field: 'address', message: 'Address must be 500 characters or less' });
+    }
+
+    if (this.phone && this.phone.trim().length > 50) {
+      errors.push({ field: 'phone', message: 'Phone must be 50 characters or less' });
+    }
+
+    if (this.hours && this.hours.trim().length > 200) {
+      errors.push({ field: 'hours', message: 'Hours must be 200 characters or less' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      name: this.name.trim(),
+      address: this.address.trim() || null,
+      phone: this.phone.trim() || null,
+      hours: this.hours.trim() || null
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new Pharmacy({
+      id: row.id,
+      name: row.name,
+      address: row.address,
+      phone: row.phone,
+      hours: row.hours,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+}
+
+module.exports = Pharmacy;
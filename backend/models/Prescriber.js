@@ -0,0 +1,65 @@
+class Prescriber {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.name = data.name || '';
+    this.practice = data.practice || '';
+    this.phone = data.phone || '';
+    this.email = data.email || '';
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (!this.name || this.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Prescriber name is required' });
+    } else if (this.name.trim().length > 200) {
+      errors.push({ field: 'name', message: 'Prescriber name must be 200 characters or less' });
+    }
+
+    if (this.practice && this.practice.trim().length > 200) {
+      errors.push({ field: 'practice', message: 'Practice must be 200 characters or less' });
+    }
+
+    if (this.phone && this.phone.trim().length > 50) {
+      errors.push({ field: 'phone', message: 'Phone must be 50 characters or less' });
+    }
+
+    if (this.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.email.trim())) {
+      errors.push({ field: 'email', message: 'Email must be a valid email address' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      name: this.name.trim(),
+      practice: this.practice.trim() || null,
+      phone: this.phone.trim() || null,
+      email: this.email.trim() || null
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new Prescriber({
+      id: row.id,
+      name: row.name,
+      practice: row.practice,
+      phone: row.phone,
+      email: row.email,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+}
+
+module.exports = Prescriber;
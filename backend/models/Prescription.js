@@ -0,0 +1,152 @@
+// Format a DATE column (Date from pg, or string) as YYYY-MM-DD
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    const month = (value.getMonth() + 1).toString().padStart(2, '0');
+    const day = value.getDate().toString().padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return value;
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class Prescription {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.medicine_id = data.medicine_id !== undefined ? data.medicine_id : null;
+    this.prescriber_id = data.prescriber_id !== undefined ? data.prescriber_id : null;
+    this.prescription_number = data.prescription_number || '';
+    this.issue_date = data.issue_date !== undefined ? data.issue_date : null;
+    this.expiry_date = data.expiry_date !== undefined ? data.expiry_date : null;
+    this.authorized_refills = data.authorized_refills !== undefined ? data.authorized_refills : 0;
+    this.refills_used = data.refills_used !== undefined ? data.refills_used : 0;
+    this.notes = data.notes || '';
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (this.medicine_id === null || this.medicine_id === undefined) {
+      errors.push({ field: 'medicine_id', message: 'Medicine ID is required' });
+    } else if (!Number.isInteger(this.medicine_id) || this.medicine_id <= 0) {
+      errors.push({ field: 'medicine_id', message: 'Medicine ID must be a positive integer' });
+    }
+
+    if (this.prescriber_id !== null && (!Number.isInteger(this.prescriber_id) || this.prescriber_id <= 0)) {
+      errors.push({ field: 'prescriber_id', message: 'Prescriber ID must be a positive integer' });
+    }
+
+    if (this.prescription_number && this.prescription_number.length > 100) {
+      errors.push({ field: 'prescription_number', message: 'Prescription number must be 100 characters or less' });
+    }
+
+    if (this.issue_date && !this.isValidDate(this.issue_date)) {
+      errors.push({ field: 'issue_date', message: 'Issue date must be a valid date in YYYY-MM-DD format' });
+    }
+
+    if (this.expiry_date && !this.isValidDate(this.expiry_date)) {
+      errors.push({ field: 'expiry_date', message: 'Expiry date must be a valid date in YYYY-MM-DD format' });
+    } else if (this.expiry_date && this.issue_date && this.isValidDate(this.issue_date) && this.expiry_date < this.issue_date) {
+      errors.push({ field: 'expiry_date', message: 'Expiry date must be on or after the issue date' });
+    }
+
+    if (!Number.isInteger(this.authorized_refills) || this.authorized_refills < 0) {
+      errors.push({ field: 'authorized_refills', message: 'Authorized refills must be a non-negative integer' });
+    }
+
+    if (!Number.isInteger(this.refills_used) || this.refills_used < 0) {
+      errors.push({ field: 'refills_used', message: 'Refills used must be a non-negative integer' });
+    } else if (Number.isInteger(this.authorized_refills) && this.refills_used > this.authorized_refills) {
+      errors.push({ field: 'refills_used', message: 'Refills used cannot exceed the authorized refills' });
+    }
+
+    if (this.notes && this.notes.length > 1000) {
+      errors.push({ field: 'notes', message: 'Notes must be 1000 characters or less' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  isValidDate(dateString) {
+    if (!dateString || typeof dateString !== 'string') return false;
+
+    if (!dateString.match(/^\d{4}-\d{2}-\d{2}$/)) {
+      return false;
+    }
+
+    const date = new Date(dateString);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === dateString;
+  }
+
+  getRefillsRemaining() {
+    return Math.max(this.authorized_refills - this.refills_used, 0);
+  }
+
+  // Days from a date (YYYY-MM-DD) until the prescription expires, negative once expired;
+  // null for a prescription without an expiry date
+  getDaysUntilExpiry(today) {
+    if (!this.expiry_date) {
+      return null;
+    }
+
+    return Math.round((Date.parse(this.expiry_date) - Date.parse(today)) / MS_PER_DAY);
+  }
+
+  // A prescription can still be filled on its expiry date
+  isExpired(today) {
+    return Boolean(this.expiry_date) && this.expiry_date < today;
+  }
+
+  // Why a refill on a date cannot be filled on this prescription; null when it can
+  getRefillError(date) {
+    if (this.isExpired(date)) {
+      return `Prescription expired on ${this.expiry_date}`;
+    }
+
+    if (this.getRefillsRemaining() === 0) {
+      return 'Prescription has no refills remaining';
+    }
+
+    return null;
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      medicine_id: this.medicine_id,
+      prescriber_id: this.prescriber_id,
+      prescription_number: this.prescription_number.trim() || null,
+      issue_date: this.issue_date || null,
+      expiry_date: this.expiry_date || null,
+      authorized_refills: this.authorized_refills,
+      refills_used: this.refills_used,
+      notes: this.notes.trim() || null
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new Prescription({
+      id: row.id,
+      medicine_id: row.medicine_id,
+      prescriber_id: row.prescriber_id,
+      prescription_number: row.prescription_number,
+      issue_date: toDateString(row.issue_date),
+      expiry_date: toDateString(row.expiry_date) || null,
+      authorized_refills: row.authorized_refills,
+      refills_used: row.refills_used,
+      notes: row.notes,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+}
+
+module.exports = Prescription;
@@ -0,0 +1,132 @@
+// Format a DATE column (Date from pg, or string) as YYYY-MM-DD
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    const month = (value.getMonth() + 1).toString().padStart(2, '0');
+    const day = value.getDate().toString().padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return value;
+};
+
+// NUMERIC columns come back from pg as strings
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+class Refill {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.medicine_id = data.medicine_id !== undefined ? data.medicine_id : null;
+    this.lot_id = data.lot_id !== undefined ? data.lot_id : null;
+    this.refill_date = data.refill_date !== undefined ? data.refill_date : null;
+    this.quantity = data.quantity !== undefined ? data.quantity : null;
+    this.pharmacy = data.pharmacy || '';
+    this.cost = data.cost !== undefined ? data.cost : null;
+    this.prescription_reference = data.prescription_reference || '';
+    this.prescription_id = data.prescription_id !== undefined ? data.prescription_id : null;
+    this.notes = data.notes || '';
+    this.user_id = data.user_id !== undefined ? data.user_id : null;
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (this.medicine_id === null || this.medicine_id === undefined) {
+      errors.push({ field: 'medicine_id', message: 'Medicine ID is required' });
+    } else if (!Number.isInteger(this.medicine_id) || this.medicine_id <= 0) {
+      errors.push({ field: 'medicine_id', message: 'Medicine ID must be a positive integer' });
+    }
+
+    if (typeof this.quantity !== 'number' || isNaN(this.quantity) || this.quantity <= 0) {
+      errors.push({ field: 'quantity', message: 'Quantity must be a positive number' });
+    }
+
+    if (this.refill_date && !this.isValidDate(this.refill_date)) {
+      errors.push({ field: 'refill_date', message: 'Refill date must be a valid date in YYYY-MM-DD format' });
+    }
+
+    if (this.cost !== null && (typeof this.cost !== 'number' || isNaN(this.cost) || this.cost < 0)) {
+      errors.push({ field: 'cost', message: 'Cost must be a non-negative number' });
+    }
+
+    if (this.pharmacy && this.pharmacy.length > 200) {
+      errors.push({ field: 'pharmacy', message: 'Pharmacy must be 200 characters or less' });
+    }
+
+    if (this.prescription_reference && this.prescription_reference.length > 100) {
+      errors.push({ field: 'prescription_reference', message: 'Prescription reference must be 100 characters or less' });
+    }
+
+    if (this.prescription_id !== null && (!Number.isInteger(this.prescription_id) || this.prescription_id <= 0)) {
+      errors.push({ field: 'prescription_id', message: 'Prescription ID must be a positive integer' });
+    }
+
+    if (this.notes && this.notes.length > 1000) {
+      errors.push({ field: 'notes', message: 'Notes must be 1000 characters or less' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  isValidDate(dateString) {
+    if (!dateString || typeof dateString !== 'string') return false;
+
+    if (!dateString.match(/^\d{4}-\d{2}-\d{2}$/)) {
+      return false;
+    }
+
+    const date = new Date(dateString);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === dateString;
+  }
+
+  // Cost of one dose unit of the refill, to four decimals; null without a cost
+  getUnitPrice() {
+    if (this.cost === null || !(this.quantity > 0)) {
+      return null;
+    }
+
+    return Math.round((this.cost / this.quantity) * 10000) / 10000;
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      medicine_id: this.medicine_id,
+      lot_id: this.lot_id,
+      refill_date: this.refill_date || null,
+      quantity: this.quantity,
+      pharmacy: this.pharmacy.trim() || null,
+      cost: this.cost,
+      prescription_reference: this.prescription_reference.trim() || null,
+      prescription_id: this.prescription_id,
+      notes: this.notes.trim() || null,
+      user_id: this.user_id
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new Refill({
+      id: row.id,
+      medicine_id: row.medicine_id,
+      lot_id: row.lot_id,
+      refill_date: toDateString(row.refill_date),
+      quantity: parseFloat(row.quantity),
+      pharmacy: row.pharmacy,
+      cost: toNumberOrNull(row.cost),
+      prescription_reference: row.prescription_reference,
+      prescription_id: row.prescription_id,
+      notes: row.notes,
+      user_id: row.user_id,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+}
+
+module.exports = Refill;
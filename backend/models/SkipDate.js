@@ -1,3 +1,5 @@
+const { toLocalDateString } = require('../config/timezone');
+
 class SkipDate {
   constructor(data = {}) {
     this.id = data.id !== undefined ? data.id : null;
@@ -53,42 +55,31 @@ class SkipDate {
     return this.skip_date === dateString;
   }
 
-  // Check if skip date is in the past
-  isPastDate() {
+  // Check if skip date is in the past, judged by today in the given (or installation) timezone
+  isPastDate(timezone = null) {
     if (!this.isValidDate(this.skip_date)) {
       return false;
     }
 
-    const skipDate = new Date(this.skip_date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Reset time to start of day
-
-    return skipDate < today;
+    return this.skip_date < toLocalDateString(new Date(), timezone);
   }
 
   // Check if skip date is in the future
-  isFutureDate() {
+  isFutureDate(timezone = null) {
     if (!this.isValidDate(this.skip_date)) {
       return false;
     }
 
-    const skipDate = new Date(this.skip_date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Reset time to start of day
-
-    return skipDate > today;
+    return this.skip_date > toLocalDateString(new Date(), timezone);
   }
 
   // Check if skip date is today
-  isToday() {
+  isToday(timezone = null) {
     if (!this.isValidDate(this.skip_date)) {
       return false;
     }
 
-    const skipDate = new Date(this.skip_date);
-    const today = new Date();
-    
-    return skipDate.toISOString().slice(0, 10) === today.toISOString().slice(0, 10);
+    return this.skip_date === toLocalDateString(new Date(), timezone);
   }
 
   // Get formatted date for display
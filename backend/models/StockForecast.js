@@ -0,0 +1,110 @@
+const Frequency = require('./Frequency');
+const DosePhase = require('./DosePhase');
+const { addDays } = require('../config/timezone');
+
+// How far ahead a schedule is walked to find the run-out date (longest allowed course)
+const SEARCH_DAYS = 3650;
+
+// Amounts have two decimals; keep float sums from drifting
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Forecast of a medication's stock, found by walking its future schedule day by day:
+// skip dates, the end date, the frequency, tapering phases and on/off cycles all count.
+// Days are counted from today (YYYY-MM-DD in the patient's timezone); today's own doses
+// are taken to be covered by the current stock, so the walk starts tomorrow.
+class StockForecast {
+  constructor({ medication, doses = [], phases = [], skipDates = [], dailyConsumption = 0, today }) {
+    this.medication = medication;
+    this.doses = doses;
+    this.phases = phases;
+    this.skipDates = new Set(skipDates.map(skipDate => skipDate.skip_date));
+    // Average daily use; as-needed medications use it on every day they are active
+    this.dailyConsumption = dailyConsumption;
+    this.today = today;
+    this.frequency = Frequency.forMedication(medication);
+  }
+
+  // A tapering medication may have no doses today but still use stock in a later phase
+  hasConsumption() {
+    return this.dailyConsumption > 0 || this.phases.length > 0;
+  }
+
+  isSkipDate(date) {
+    return this.skipDates.has(date);
+  }
+
+  // Stock used on a date: nothing on skip dates, outside the course, on days the frequency
+  // has no doses and in the "off" part of a cycle
+  getConsumptionOnDate(date) {
+    const medication = this.medication;
+
+    if (this.isSkipDate(date) || !medication.isActiveOnDate(date)) {
+      return 0;
+    }
+
+    if (medication.isAsNeeded()) {
+      return this.dailyConsumption;
+    }
+
+    if (!this.frequency.occursOn(date, medication.start_date) || !medication.isCycleOnDate(date)) {
+      return 0;
+    }
+
+    return this.frequency.getDosingDayAmount(DosePhase.resolveDoses(this.doses, this.phases, date));
+  }
+
+  // Walk the schedule. Returns:
+  // - days_remaining: days the stock covers; null when it lasts the whole course (or the
+  //   search window)
+  // - run_out_date: the first date the stock cannot cover its doses
+  // - quantity_needed_for_period: stock used over the next periodDays days
+  // - quantity_needed_until_end / shortfall_until_end: stock used until the end date and
+  //   how much of it is missing; null without an end date
+  // stock defaults to the medication's total; a location forecasts its own share
+  forecast(periodDays = 1, stock = this.medication.total_tablets) {
+    const medication = this.medication;
+    const endDate = medication.end_date || null;
+    let used = 0;
+    let periodNeed = 0;
+    let runOutDay = null;
+
+    if (this.hasConsumption()) {
+      for (let day = 1; day <= SEARCH_DAYS; day++) {
+        const date = addDays(this.today, day);
+
+        // The course is over
+        if (endDate && date > endDate) {
+          break;
+        }
+
+        const consumption = this.getConsumptionOnDate(date);
+        used = roundAmount(used + consumption);
+
+        if (day <= periodDays) {
+          periodNeed = roundAmount(periodNeed + consumption);
+        }
+
+        if (runOutDay === null && used > stock) {
+          runOutDay = day;
+        }
+
+        // Without an end date there is nothing left to add up
+        if (runOutDay !== null && !endDate && day >= periodDays) {
+          break;
+        }
+      }
+    }
+
+    return {
+      daily_consumption: this.dailyConsumption,
+      days_remaining: runOutDay === null ? null : runOutDay - 1,
+      run_out_date: runOutDay === null ? null : addDays(this.today, runOutDay),
+      quantity_needed_for_period: periodNeed,
+      course_end_date: endDate,
+      quantity_needed_until_end: endDate ? used : null,
+      shortfall_until_end: endDate ? Math.max(0, roundAmount(used - stock)) : null
+    };
+  }
+}
+
+module.exports = StockForecast;
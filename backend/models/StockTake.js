@@ -0,0 +1,76 @@
+// Most medications one stock-take can count
+const MAX_COUNTS = 500;
+
+class StockTake {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.patient_id = data.patient_id !== undefined ? data.patient_id : null;
+    this.notes = data.notes || '';
+    this.user_id = data.user_id !== undefined ? data.user_id : null;
+    // Counted stock: [{ medication_id, counted_quantity }] in each medication's dose unit
+    this.counts = Array.isArray(data.counts) ? data.counts : [];
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (this.counts.length === 0) {
+      errors.push({ field: 'counts', message: 'At least one counted medication is required' });
+    } else if (this.counts.length > MAX_COUNTS) {
+      errors.push({ field: 'counts', message: `A stock-take can count at most ${MAX_COUNTS} medications` });
+    }
+
+    const seen = new Set();
+    this.counts.forEach((count, index) => {
+      if (!Number.isInteger(count.medication_id) || count.medication_id <= 0) {
+        errors.push({ field: `counts[${index}].medication_id`, message: 'Medication ID must be a positive integer' });
+      } else if (seen.has(count.medication_id)) {
+        errors.push({ field: `counts[${index}].medication_id`, message: 'Each medication can only be counted once' });
+      } else {
+        seen.add(count.medication_id);
+      }
+
+      if (typeof count.counted_quantity !== 'number' || isNaN(count.counted_quantity) || count.counted_quantity < 0) {
+        errors.push({ field: `counts[${index}].counted_quantity`, message: 'Counted quantity must be a non-negative number' });
+      }
+    });
+
+    if (this.patient_id !== null && (!Number.isInteger(this.patient_id) || this.patient_id <= 0)) {
+      errors.push({ field: 'patient_id', message: 'Patient ID must be a positive integer' });
+    }
+
+    if (this.notes && this.notes.length > 1000) {
+      errors.push({ field: 'notes', message: 'Notes must be 1000 characters or less' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      patient_id: this.patient_id,
+      notes: this.notes.trim() || null,
+      user_id: this.user_id
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new StockTake({
+      id: row.id,
+      patient_id: row.patient_id,
+      notes: row.notes,
+      user_id: row.user_id,
+      created_at: row.created_at
+    });
+  }
+}
+
+module.exports = StockTake;
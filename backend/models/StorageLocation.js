@@ -0,0 +1,90 @@
+// Quantities have two decimals; keep float rounding from leaving a sliver behind
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class StorageLocation {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.patient_id = data.patient_id !== undefined ? data.patient_id : null;
+    this.name = data.name || '';
+    this.description = data.description || '';
+    this.is_default = data.is_default === true;
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (!Number.isInteger(this.patient_id) || this.patient_id <= 0) {
+      errors.push({ field: 'patient_id', message: 'Patient ID must be a positive integer' });
+    }
+
+    if (!this.name || this.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Location name is required' });
+    } else if (this.name.trim().length > 100) {
+      errors.push({ field: 'name', message: 'Location name must be 100 characters or less' });
+    }
+
+    if (this.description && this.description.trim().length > 500) {
+      errors.push({ field: 'description', message: 'Description must be 500 characters or less' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      patient_id: this.patient_id,
+      name: this.name.trim(),
+      description: this.description.trim() || null,
+      is_default: this.is_default
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new StorageLocation({
+      id: row.id,
+      patient_id: row.patient_id,
+      name: row.name,
+      description: row.description,
+      is_default: row.is_default,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+
+  // Split an amount over a medication's stock at its locations ({ location_id,
+  // location_name, quantity }), in the order given.
+  // Returns [{ location_id, location_name, quantity }] for each location that gives stock;
+  // an amount larger than all of them together takes them all.
+  static allocate(stocks, amount) {
+    const allocations = [];
+    let remaining = amount;
+
+    for (const stock of stocks) {
+      if (remaining <= 0) break;
+      if (stock.quantity <= 0) continue;
+
+      const quantity = Math.min(stock.quantity, remaining);
+      allocations.push({ location_id: stock.location_id, location_name: stock.location_name, quantity });
+      remaining = roundAmount(remaining - quantity);
+    }
+
+    return allocations;
+  }
+
+  // Stock of a medication outside every location
+  static getUnassignedQuantity(totalTablets, stocks) {
+    const held = stocks.reduce((sum, stock) => sum + stock.quantity, 0);
+    return Math.max(0, roundAmount(totalTablets - held));
+  }
+}
+
+module.exports = StorageLocation;
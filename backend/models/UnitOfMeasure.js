@@ -0,0 +1,58 @@
+// Units doses and stock are counted in, with their singular and plural names
+const DOSE_UNITS = {
+  tablet: { singular: 'tablet', plural: 'tablets' },
+  capsule: { singular: 'capsule', plural: 'capsules' },
+  ml: { singular: 'ml', plural: 'ml' },
+  puff: { singular: 'puff', plural: 'puffs' },
+  unit: { singular: 'unit', plural: 'units' },
+  patch: { singular: 'patch', plural: 'patches' },
+  drop: { singular: 'drop', plural: 'drops' }
+};
+
+// Packages stock is bought in
+const PACKAGE_UNITS = {
+  sheet: { singular: 'sheet', plural: 'sheets' },
+  bottle: { singular: 'bottle', plural: 'bottles' },
+  inhaler: { singular: 'inhaler', plural: 'inhalers' },
+  pen: { singular: 'pen', plural: 'pens' },
+  cartridge: { singular: 'cartridge', plural: 'cartridges' },
+  vial: { singular: 'vial', plural: 'vials' },
+  box: { singular: 'box', plural: 'boxes' },
+  tube: { singular: 'tube', plural: 'tubes' }
+};
+
+class UnitOfMeasure {
+  static getDoseUnits() {
+    return Object.keys(DOSE_UNITS);
+  }
+
+  static getPackageUnits() {
+    return Object.keys(PACKAGE_UNITS);
+  }
+
+  static isDoseUnit(unit) {
+    return Object.prototype.hasOwnProperty.call(DOSE_UNITS, unit);
+  }
+
+  static isPackageUnit(unit) {
+    return Object.prototype.hasOwnProperty.call(PACKAGE_UNITS, unit);
+  }
+
+  // Name of a unit for an amount ('1 tablet' but '2 tablets', '0.5 tablets');
+  // unknown units are returned as given
+  static getLabel(unit, amount = 2) {
+    const names = DOSE_UNITS[unit] || PACKAGE_UNITS[unit];
+    if (!names) {
+      return unit;
+    }
+
+    return Number(amount) === 1 ? names.singular : names.plural;
+  }
+
+  // Amount with its unit, e.g. '12 puffs'; doses without a unit are in tablets
+  static format(amount, unit = 'tablet') {
+    return `${amount} ${UnitOfMeasure.getLabel(unit || 'tablet', amount)}`;
+  }
+}
+
+module.exports = UnitOfMeasure;
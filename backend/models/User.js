@@ -0,0 +1,101 @@
+const MIN_PASSWORD_LENGTH = 8;
+
+class User {
+  constructor(data = {}) {
+    this.id = data.id !== undefined ? data.id : null;
+    this.email = data.email || '';
+    this.name = data.name || '';
+    this.password_hash = data.password_hash !== undefined ? data.password_hash : null;
+    this.last_login_at = data.last_login_at !== undefined ? data.last_login_at : null;
+    this.created_at = data.created_at !== undefined ? data.created_at : null;
+    this.updated_at = data.updated_at !== undefined ? data.updated_at : null;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (!this.email || !this.email.trim()) {
+      errors.push({ field: 'email', message: 'Email is required' });
+    } else if (!User.isValidEmail(this.email.trim())) {
+      errors.push({ field: 'email', message: 'Email must be a valid email address' });
+    }
+
+    if (!this.name || !this.name.trim()) {
+      errors.push({ field: 'name', message: 'Name is required' });
+    } else if (this.name.trim().length > 100) {
+      errors.push({ field: 'name', message: 'Name must be 100 characters or less' });
+    }
+
+    if (!this.password_hash) {
+      errors.push({ field: 'password', message: 'Password is required' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Validate a plain-text password before hashing
+  static validatePassword(password) {
+    const errors = [];
+
+    if (!password || typeof password !== 'string') {
+      errors.push({ field: 'password', message: 'Password is required' });
+    } else if (password.length < MIN_PASSWORD_LENGTH) {
+      errors.push({ field: 'password', message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Basic email format check
+  static isValidEmail(email) {
+    return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  }
+
+  // Emails are compared case-insensitively
+  static normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  // Never expose the password hash in API responses
+  toJSON() {
+    return {
+      id: this.id,
+      email: this.email,
+      name: this.name,
+      last_login_at: this.last_login_at,
+      created_at: this.created_at
+    };
+  }
+
+  // Convert to database format
+  toDbFormat() {
+    return {
+      id: this.id,
+      email: User.normalizeEmail(this.email),
+      name: this.name.trim(),
+      password_hash: this.password_hash
+    };
+  }
+
+  // Create from database row
+  static fromDbRow(row) {
+    return new User({
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      password_hash: row.password_hash,
+      last_login_at: row.last_login_at,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    });
+  }
+}
+
+module.exports = User;
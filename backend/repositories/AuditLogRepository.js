@@ -1,5 +1,23 @@
 const { query } = require('../config/database');
 
+// Condition limiting audit logs to one patient ({ patient_id }) or to the patients a user is a
+// member of ({ accessible_by }); adds its value to values
+const buildScopeCondition = (scope, values) => {
+  if (scope.patient_id) {
+    values.push(scope.patient_id);
+    return `al.patient_id = $${values.length}`;
+  }
+
+  if (scope.accessible_by) {
+    values.push(scope.accessible_by);
+    return `al.patient_id IN (
+      SELECT patient_id FROM patient_members WHERE user_id = $${values.length}
+    )`;
+  }
+
+  return null;
+};
+
 class AuditLogRepository {
   // Create a new audit log entry
   async create(auditData) {
@@ -9,6 +27,7 @@ class AuditLogRepository {
       old_values = null,
       new_values = null,
       quantity_change = null,
+      user_id = null,
       created_at = new Date()
     } = auditData;
 
@@ -17,15 +36,15 @@ class AuditLogRepository {
       throw new Error('Action is required for audit log');
     }
 
-    const validActions = ['DOSE_GIVEN', 'INVENTORY_UPDATED', 'CREATED', 'UPDATED', 'DELETED'];
+    const validActions = ['DOSE_GIVEN', 'INVENTORY_UPDATED', 'INVENTORY_RECONCILED', 'INVENTORY_TRANSFERRED', 'CREATED', 'UPDATED', 'DELETED'];
     if (!validActions.includes(action)) {
       throw new Error(`Invalid action: ${action}. Must be one of: ${validActions.join(', ')}`);
     }
 
     const insertQuery = `
       INSERT INTO audit_logs (
-        medicine_id, action, old_values, new_values, quantity_change, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6)
+        medicine_id, action, old_values, new_values, quantity_change, user_id, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `;
 
@@ -35,6 +54,7 @@ class AuditLogRepository {
       old_values ? JSON.stringify(old_values) : null,
       new_values ? JSON.stringify(new_values) : null,
       quantity_change,
+      user_id,
       created_at
     ];
 
@@ -42,16 +62,19 @@ class AuditLogRepository {
     return this.formatAuditLog(result.rows[0]);
   }
 
-  // Find audit log by ID
-  async findById(id) {
+  // Find audit log by ID, optionally only among the logs a user can access
+  async findById(id, accessibleBy = null) {
+    const values = [id];
+    const scopeCondition = buildScopeCondition({ accessible_by: accessibleBy }, values);
     const selectQuery = `
-      SELECT al.*, m.name as medication_name
+      SELECT al.*, m.name as medication_name, m.dose_unit, u.name as user_name
       FROM audit_logs al
       LEFT JOIN medications m ON al.medicine_id = m.id
-      WHERE al.id = $1
+      LEFT JOIN users u ON al.user_id = u.id
+      WHERE al.id = $1${scopeCondition ? ` AND ${scopeCondition}` : ''}
     `;
 
-    const result = await query(selectQuery, [id]);
+    const result = await query(selectQuery, values);
 
     if (result.rows.length === 0) {
       return null;
@@ -73,6 +96,13 @@ class AuditLogRepository {
       values.push(options.medicine_id);
     }
 
+    // Filter by patient, or to the logs the user can access
+    const scopeCondition = buildScopeCondition(options, values);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
+      paramCount = values.length;
+    }
+
     // Filter by action
     if (options.action) {
       paramCount++;
@@ -130,9 +160,10 @@ class AuditLogRepository {
     }
 
     const selectQuery = `
-      SELECT al.*, m.name as medication_name
+      SELECT al.*, m.name as medication_name, m.dose_unit, u.name as user_name
       FROM audit_logs al
       LEFT JOIN medications m ON al.medicine_id = m.id
+      LEFT JOIN users u ON al.user_id = u.id
       ${whereClause}
       ${orderBy}
       ${limitClause}
@@ -153,9 +184,10 @@ class AuditLogRepository {
     return await this.findAll({ ...options, action });
   }
 
-  // Find recent audit logs
-  async findRecent(limit = 50, medicineId = null) {
+  // Find recent audit logs, optionally scoped ({ patient_id } or { accessible_by })
+  async findRecent(limit = 50, medicineId = null, scope = {}) {
     const options = {
+      ...scope,
       limit,
       sort_by: 'created_at',
       sort_direction: 'desc'
@@ -168,21 +200,30 @@ class AuditLogRepository {
     return await this.findAll(options);
   }
 
-  // Get audit log statistics
-  async getStats(medicineId = null) {
-    let whereClause = '';
-    let values = [];
+  // Get audit log statistics, optionally scoped ({ patient_id } or { accessible_by })
+  async getStats(medicineId = null, scope = {}) {
+    const whereConditions = [];
+    const values = [];
 
     if (medicineId) {
-      whereClause = 'WHERE al.medicine_id = $1';
       values.push(medicineId);
+      whereConditions.push(`al.medicine_id = $${values.length}`);
+    }
+
+    const scopeCondition = buildScopeCondition(scope, values);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
     }
 
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
     const statsQuery = `
       SELECT 
         COUNT(*) as total_logs,
         COUNT(CASE WHEN action = 'DOSE_GIVEN' THEN 1 END) as dose_given_count,
         COUNT(CASE WHEN action = 'INVENTORY_UPDATED' THEN 1 END) as inventory_updated_count,
+        COUNT(CASE WHEN action = 'INVENTORY_RECONCILED' THEN 1 END) as inventory_reconciled_count,
+        COUNT(CASE WHEN action = 'INVENTORY_TRANSFERRED' THEN 1 END) as inventory_transferred_count,
         COUNT(CASE WHEN action = 'CREATED' THEN 1 END) as created_count,
         COUNT(CASE WHEN action = 'UPDATED' THEN 1 END) as updated_count,
         COUNT(CASE WHEN action = 'DELETED' THEN 1 END) as deleted_count,
@@ -201,6 +242,8 @@ class AuditLogRepository {
       total_logs: parseInt(result.rows[0].total_logs),
       dose_given_count: parseInt(result.rows[0].dose_given_count),
       inventory_updated_count: parseInt(result.rows[0].inventory_updated_count),
+      inventory_reconciled_count: parseInt(result.rows[0].inventory_reconciled_count),
+      inventory_transferred_count: parseInt(result.rows[0].inventory_transferred_count),
       created_count: parseInt(result.rows[0].created_count),
       updated_count: parseInt(result.rows[0].updated_count),
       deleted_count: parseInt(result.rows[0].deleted_count),
@@ -212,8 +255,8 @@ class AuditLogRepository {
     };
   }
 
-  // Get daily activity summary
-  async getDailyActivity(startDate, endDate, medicineId = null) {
+  // Get daily activity summary, optionally scoped ({ patient_id } or { accessible_by })
+  async getDailyActivity(startDate, endDate, medicineId = null, scope = {}) {
     let whereConditions = [
       'al.created_at >= $1',
       'al.created_at <= $2'
@@ -225,6 +268,11 @@ class AuditLogRepository {
       values.push(medicineId);
     }
 
+    const scopeCondition = buildScopeCondition(scope, values);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
+    }
+
     const activityQuery = `
       SELECT 
         DATE(al.created_at) as activity_date,
@@ -305,11 +353,14 @@ class AuditLogRepository {
       SELECT 
         al.*,
         m.name as medication_name,
+        m.dose_unit,
+        u.name as user_name,
         LAG(CAST(al.new_values->>'total_tablets' AS NUMERIC)) OVER (ORDER BY al.created_at) as previous_inventory
       FROM audit_logs al
       LEFT JOIN medications m ON al.medicine_id = m.id
+      LEFT JOIN users u ON al.user_id = u.id
       WHERE al.medicine_id = $1
-        AND (al.action = 'INVENTORY_UPDATED' OR al.action = 'DOSE_GIVEN' OR al.action = 'CREATED')
+        AND al.action IN ('INVENTORY_UPDATED', 'INVENTORY_RECONCILED', 'DOSE_GIVEN', 'CREATED')
         AND al.quantity_change IS NOT NULL
       ORDER BY al.created_at DESC
       LIMIT $2
@@ -347,7 +398,11 @@ class AuditLogRepository {
     return {
       id: row.id,
       medicine_id: row.medicine_id,
+      patient_id: row.patient_id,
+      user_id: row.user_id || null,
+      user_name: row.user_name || null,
       medication_name: row.medication_name || null,
+      dose_unit: row.dose_unit || null,
       action: row.action,
       old_values: oldValues,
       new_values: newValues,
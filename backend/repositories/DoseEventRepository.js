@@ -0,0 +1,181 @@
+const { query } = require('../config/database');
+const DoseEvent = require('../models/DoseEvent');
+
+class DoseEventRepository {
+  // Record the outcome of a dose slot, replacing any earlier outcome for the same slot.
+  // Pass a transaction client to write as part of a larger transaction.
+  async record(eventData, client = null) {
+    const event = new DoseEvent(eventData);
+    const validation = event.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = event.toDbFormat();
+
+    const insertQuery = `
+      INSERT INTO dose_events (
+        medicine_id, medicine_dose_id, scheduled_date, scheduled_time, status,
+        dose_amount, given_at, given_by, note, audit_log_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (medicine_dose_id, scheduled_date, scheduled_time) WHERE medicine_dose_id IS NOT NULL
+      DO UPDATE SET
+        status = EXCLUDED.status,
+        dose_amount = EXCLUDED.dose_amount,
+        given_at = EXCLUDED.given_at,
+        given_by = EXCLUDED.given_by,
+        note = EXCLUDED.note,
+        audit_log_id = EXCLUDED.audit_log_id
+      RETURNING *
+    `;
+
+    const values = [
+      dbData.medicine_id,
+      dbData.medicine_dose_id,
+      dbData.scheduled_date,
+      dbData.scheduled_time,
+      dbData.status,
+      dbData.dose_amount,
+      dbData.given_at,
+      dbData.given_by,
+      dbData.note,
+      dbData.audit_log_id
+    ];
+
+    try {
+      const result = client
+        ? await client.query(insertQuery, values)
+        : await query(insertQuery, values);
+      return DoseEvent.fromDbRow(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Invalid medicine_id or medicine_dose_id provided');
+      }
+      throw error;
+    }
+  }
+
+  // Find dose event by ID
+  async findById(id) {
+    const selectQuery = 'SELECT * FROM dose_events WHERE id = $1';
+    const result = await query(selectQuery, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return DoseEvent.fromDbRow(result.rows[0]);
+  }
+
+  // Find the event recorded for a specific scheduled slot
+  async findBySlot(medicineDoseId, scheduledDate, scheduledTime) {
+    const selectQuery = `
+      SELECT * FROM dose_events
+      WHERE medicine_dose_id = $1 AND scheduled_date = $2 AND scheduled_time = $3
+    `;
+
+    const result = await query(selectQuery, [medicineDoseId, scheduledDate, scheduledTime]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return DoseEvent.fromDbRow(result.rows[0]);
+  }
+
+  // Find all events scheduled on a date, optionally limited to some medications
+  async findByDate(date, medicineIds = null) {
+    const values = [date];
+    let selectQuery = `
+      SELECT * FROM dose_events
+      WHERE scheduled_date = $1
+    `;
+
+    if (Array.isArray(medicineIds)) {
+      if (medicineIds.length === 0) {
+        return [];
+      }
+
+      const placeholders = medicineIds.map((_, index) => `$${index + 2}`).join(',');
+      selectQuery += ` AND medicine_id IN (${placeholders})`;
+      values.push(...medicineIds);
+    }
+
+    selectQuery += ' ORDER BY scheduled_time ASC, id ASC';
+
+    const result = await query(selectQuery, values);
+    return result.rows.map(row => DoseEvent.fromDbRow(row));
+  }
+
+  // Find doses actually taken since a point in time, oldest first (used for PRN limits)
+  async findGivenSince(medicineIds, since) {
+    if (medicineIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = medicineIds.map((_, index) => `$${index + 2}`).join(',');
+    const selectQuery = `
+      SELECT * FROM dose_events
+      WHERE given_at >= $1
+        AND status IN ('given', 'late')
+        AND medicine_id IN (${placeholders})
+      ORDER BY given_at ASC
+    `;
+
+    const result = await query(selectQuery, [since, ...medicineIds]);
+    return result.rows.map(row => DoseEvent.fromDbRow(row));
+  }
+
+  // Find events for a medication, newest first
+  async findByMedicationId(medicineId, options = {}) {
+    const { startDate, endDate, status, limit = 100, offset = 0 } = options;
+    const conditions = ['medicine_id = $1'];
+    const values = [medicineId];
+    let paramCount = 2;
+
+    if (startDate) {
+      conditions.push(`scheduled_date >= $${paramCount}`);
+      values.push(startDate);
+      paramCount++;
+    }
+
+    if (endDate) {
+      conditions.push(`scheduled_date <= $${paramCount}`);
+      values.push(endDate);
+      paramCount++;
+    }
+
+    if (status) {
+      conditions.push(`status = $${paramCount}`);
+      values.push(status);
+      paramCount++;
+    }
+
+    const selectQuery = `
+      SELECT * FROM dose_events
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY scheduled_date DESC, scheduled_time DESC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `;
+    values.push(limit, offset);
+
+    const result = await query(selectQuery, values);
+    return result.rows.map(row => DoseEvent.fromDbRow(row));
+  }
+
+  // Delete dose event
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Dose event not found');
+    }
+
+    const deleteQuery = 'DELETE FROM dose_events WHERE id = $1 RETURNING *';
+    const result = await query(deleteQuery, [id]);
+
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = DoseEventRepository;
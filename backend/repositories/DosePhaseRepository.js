@@ -0,0 +1,150 @@
+const { query, transaction } = require('../config/database');
+const DosePhase = require('../models/DosePhase');
+const MedicineDose = require('../models/MedicineDose');
+
+class DosePhaseRepository {
+  // Find phase by ID
+  async findById(id) {
+    const selectQuery = 'SELECT * FROM dose_phases WHERE id = $1';
+    const result = await query(selectQuery, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return DosePhase.fromDbRow(result.rows[0]);
+  }
+
+  // Find all phases of a medication in date order
+  async findByMedicationId(medicineId) {
+    const selectQuery = `
+      SELECT * FROM dose_phases
+      WHERE medicine_id = $1
+      ORDER BY start_date ASC
+    `;
+
+    const result = await query(selectQuery, [medicineId]);
+    return result.rows.map(row => DosePhase.fromDbRow(row));
+  }
+
+  // Find phases for multiple medications
+  async findByMedicationIds(medicineIds) {
+    if (!Array.isArray(medicineIds) || medicineIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = medicineIds.map((_, index) => `$${index + 1}`).join(',');
+    const selectQuery = `
+      SELECT * FROM dose_phases
+      WHERE medicine_id IN (${placeholders})
+      ORDER BY medicine_id, start_date ASC
+    `;
+
+    const result = await query(selectQuery, medicineIds);
+    return result.rows.map(row => DosePhase.fromDbRow(row));
+  }
+
+  // Save the full list of phases (each with its doses) for a medication.
+  // Phases and doses are matched by id so recorded dose events stay linked to
+  // unchanged doses; anything missing from the list is deleted.
+  async syncForMedication(medicineId, phasesData) {
+    return await transaction(async (client) => {
+      const existingResult = await client.query(
+        'SELECT id FROM dose_phases WHERE medicine_id = $1',
+        [medicineId]
+      );
+      const existingPhaseIds = new Set(existingResult.rows.map(row => row.id));
+      const savedPhases = [];
+
+      for (const phaseData of phasesData) {
+        const phase = new DosePhase({ ...phaseData, medicine_id: medicineId });
+        const validation = phase.validate();
+
+        if (!validation.isValid) {
+          throw new Error(`Validation failed for dose phase: ${validation.errors.map(e => e.message).join(', ')}`);
+        }
+
+        const dbData = phase.toDbFormat();
+        const phaseResult = existingPhaseIds.has(phaseData.id)
+          ? await client.query(
+            `UPDATE dose_phases SET
+              start_date = $2,
+              end_date = $3,
+              label = $4,
+              updated_at = now()
+            WHERE id = $1
+            RETURNING *`,
+            [phaseData.id, dbData.start_date, dbData.end_date, dbData.label]
+          )
+          : await client.query(
+            `INSERT INTO dose_phases (medicine_id, start_date, end_date, label)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *`,
+            [medicineId, dbData.start_date, dbData.end_date, dbData.label]
+          );
+
+        const savedPhase = DosePhase.fromDbRow(phaseResult.rows[0]);
+        savedPhase.doses = await this.syncPhaseDoses(client, medicineId, savedPhase.id, phaseData.doses || []);
+        savedPhases.push(savedPhase);
+      }
+
+      await client.query(
+        'DELETE FROM dose_phases WHERE medicine_id = $1 AND NOT (id = ANY($2::int[]))',
+        [medicineId, savedPhases.map(phase => phase.id)]
+      );
+
+      return savedPhases;
+    });
+  }
+
+  // Save the doses of one phase inside a sync transaction
+  async syncPhaseDoses(client, medicineId, phaseId, dosesData) {
+    const existingResult = await client.query(
+      'SELECT id FROM medicine_doses WHERE phase_id = $1',
+      [phaseId]
+    );
+    const existingDoseIds = new Set(existingResult.rows.map(row => row.id));
+    const savedDoses = [];
+
+    for (const doseData of dosesData) {
+      const dose = new MedicineDose({ ...doseData, medicine_id: medicineId, phase_id: phaseId });
+      const validation = dose.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed for dose: ${validation.errors.map(e => e.message).join(', ')}`);
+      }
+
+      const dbData = dose.toDbFormat();
+      const doseResult = existingDoseIds.has(doseData.id)
+        ? await client.query(
+          `UPDATE medicine_doses SET
+            dose_amount = $2,
+            time_of_day = $3,
+            route_override = $4,
+            instructions = $5,
+            updated_at = now()
+          WHERE id = $1
+          RETURNING *`,
+          [doseData.id, dbData.dose_amount, dbData.time_of_day, dbData.route_override, dbData.instructions]
+        )
+        : await client.query(
+          `INSERT INTO medicine_doses (
+            medicine_id, dose_amount, time_of_day, route_override, instructions, phase_id
+          ) VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *`,
+          [medicineId, dbData.dose_amount, dbData.time_of_day, dbData.route_override, dbData.instructions, phaseId]
+        );
+
+      savedDoses.push(MedicineDose.fromDbRow(doseResult.rows[0]));
+    }
+
+    await client.query(
+      'DELETE FROM medicine_doses WHERE phase_id = $1 AND NOT (id = ANY($2::int[]))',
+      [phaseId, savedDoses.map(dose => dose.id)]
+    );
+
+    return savedDoses;
+  }
+}
+
+module.exports = DosePhaseRepository;
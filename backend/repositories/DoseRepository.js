@@ -15,8 +15,8 @@ class DoseRepository {
     
     const insertQuery = `
       INSERT INTO medicine_doses (
-        medicine_id, dose_amount, time_of_day, route_override, instructions
-      ) VALUES ($1, $2, $3, $4, $5)
+        medicine_id, dose_amount, time_of_day, route_override, instructions, phase_id
+      ) VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
     `;
     
@@ -25,7 +25,8 @@ class DoseRepository {
       dbData.dose_amount,
       dbData.time_of_day,
       dbData.route_override,
-      dbData.instructions
+      dbData.instructions,
+      dbData.phase_id
     ];
 
     try {
@@ -216,6 +217,7 @@ class DoseRepository {
         time_of_day = $3,
         route_override = $4,
         instructions = $5,
+        phase_id = $6,
         updated_at = now()
       WHERE id = $1
       RETURNING *
@@ -226,7 +228,8 @@ class DoseRepository {
       dbData.dose_amount,
       dbData.time_of_day,
       dbData.route_override,
-      dbData.instructions
+      dbData.instructions,
+      dbData.phase_id
     ];
 
     try {
@@ -282,8 +285,8 @@ class DoseRepository {
         
         const insertQuery = `
           INSERT INTO medicine_doses (
-            medicine_id, dose_amount, time_of_day, route_override, instructions
-          ) VALUES ($1, $2, $3, $4, $5)
+            medicine_id, dose_amount, time_of_day, route_override, instructions, phase_id
+          ) VALUES ($1, $2, $3, $4, $5, $6)
           RETURNING *
         `;
         
@@ -292,7 +295,8 @@ class DoseRepository {
           dbData.dose_amount,
           dbData.time_of_day,
           dbData.route_override,
-          dbData.instructions
+          dbData.instructions,
+          dbData.phase_id
         ];
 
         const result = await client.query(insertQuery, values);
@@ -324,8 +328,8 @@ class DoseRepository {
         
         const insertQuery = `
           INSERT INTO medicine_doses (
-            medicine_id, dose_amount, time_of_day, route_override, instructions
-          ) VALUES ($1, $2, $3, $4, $5)
+            medicine_id, dose_amount, time_of_day, route_override, instructions, phase_id
+          ) VALUES ($1, $2, $3, $4, $5, $6)
           RETURNING *
         `;
         
@@ -334,7 +338,8 @@ class DoseRepository {
           dbData.dose_amount,
           dbData.time_of_day,
           dbData.route_override,
-          dbData.instructions
+          dbData.instructions,
+          dbData.phase_id
         ];
 
         const result = await client.query(insertQuery, values);
@@ -20,12 +20,22 @@ class FrequencyRepository {
     const dbData = frequency.toDbFormat();
     
     const insertQuery = `
-      INSERT INTO frequencies (name, description)
-      VALUES ($1, $2)
+      INSERT INTO frequencies (
+        name, description, recurrence_type, interval_days, weekdays,
+        day_of_month, interval_hours
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `;
     
-    const values = [dbData.name, dbData.description];
+    const values = [
+      dbData.name,
+      dbData.description,
+      dbData.recurrence_type,
+      dbData.interval_days,
+      dbData.weekdays,
+      dbData.day_of_month,
+      dbData.interval_hours
+    ];
 
     const result = await query(insertQuery, values);
     return Frequency.fromDbRow(result.rows[0]);
@@ -108,12 +118,26 @@ class FrequencyRepository {
       UPDATE frequencies SET
         name = $2,
         description = $3,
+        recurrence_type = $4,
+        interval_days = $5,
+        weekdays = $6,
+        day_of_month = $7,
+        interval_hours = $8,
         updated_at = now()
       WHERE id = $1
       RETURNING *
     `;
     
-    const values = [id, dbData.name, dbData.description];
+    const values = [
+      id,
+      dbData.name,
+      dbData.description,
+      dbData.recurrence_type,
+      dbData.interval_days,
+      dbData.weekdays,
+      dbData.day_of_month,
+      dbData.interval_hours
+    ];
     const result = await query(updateQuery, values);
     
     return Frequency.fromDbRow(result.rows[0]);
@@ -184,7 +208,7 @@ class FrequencyRepository {
         COUNT(DISTINCT CASE WHEN m.start_date <= CURRENT_DATE AND (m.end_date IS NULL OR m.end_date >= CURRENT_DATE) THEN m.id END) as active_medication_count
       FROM frequencies f
       LEFT JOIN medications m ON f.id = m.frequency_id
-      GROUP BY f.id, f.name, f.description, f.created_at, f.updated_at
+      GROUP BY f.id
       ORDER BY f.name ASC
     `;
 
@@ -225,15 +249,30 @@ class FrequencyRepository {
         const dbData = frequency.toDbFormat();
         
         const insertQuery = `
-          INSERT INTO frequencies (name, description)
-          VALUES ($1, $2)
+          INSERT INTO frequencies (
+            name, description, recurrence_type, interval_days, weekdays,
+            day_of_month, interval_hours
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7)
           ON CONFLICT (name) DO UPDATE SET
             description = EXCLUDED.description,
+            recurrence_type = EXCLUDED.recurrence_type,
+            interval_days = EXCLUDED.interval_days,
+            weekdays = EXCLUDED.weekdays,
+            day_of_month = EXCLUDED.day_of_month,
+            interval_hours = EXCLUDED.interval_hours,
             updated_at = now()
           RETURNING *
         `;
         
-        const values = [dbData.name, dbData.description];
+        const values = [
+          dbData.name,
+          dbData.description,
+          dbData.recurrence_type,
+          dbData.interval_days,
+          dbData.weekdays,
+          dbData.day_of_month,
+          dbData.interval_hours
+        ];
         const result = await client.query(insertQuery, values);
         createdFrequencies.push(Frequency.fromDbRow(result.rows[0]));
       }
@@ -280,7 +319,7 @@ class FrequencyRepository {
         COUNT(DISTINCT m.id) as usage_count
       FROM frequencies f
       LEFT JOIN medications m ON f.id = m.frequency_id
-      GROUP BY f.id, f.name, f.description, f.created_at, f.updated_at
+      GROUP BY f.id
       HAVING COUNT(DISTINCT m.id) > 0
       ORDER BY usage_count DESC, f.name ASC
       LIMIT $1
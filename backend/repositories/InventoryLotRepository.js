@@ -0,0 +1,259 @@
+const { query, transaction } = require('../config/database');
+const InventoryLot = require('../models/InventoryLot');
+const StorageLocationRepository = require('./StorageLocationRepository');
+const { resolveTimezone } = require('../config/timezone');
+
+// Lots in the order stock is taken from them
+const CONSUMPTION_ORDER = 'expiry_date ASC NULLS LAST, received_date ASC, id ASC';
+
+class InventoryLotRepository {
+  constructor() {
+    this.storageLocationRepository = new StorageLocationRepository();
+  }
+
+  // Receive a lot; its quantity is added to the medication's stock
+  async create(lotData, userId = null) {
+    const lot = new InventoryLot(lotData);
+    const validation = lot.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    return await transaction(async (client) => await this.insert(client, lot, userId));
+  }
+
+  // Find lot by ID
+  async findById(id) {
+    const result = await query('SELECT * FROM inventory_lots WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return InventoryLot.fromDbRow(result.rows[0]);
+  }
+
+  // Find the lots of a medication in the order they are used, including empty ones
+  async findByMedicationId(medicineId) {
+    const selectQuery = `
+      SELECT * FROM inventory_lots
+      WHERE medicine_id = $1
+      ORDER BY ${CONSUMPTION_ORDER}
+    `;
+
+    const result = await query(selectQuery, [medicineId]);
+    return result.rows.map(row => InventoryLot.fromDbRow(row));
+  }
+
+  // Update a lot; a changed quantity changes the medication's stock by the same amount
+  async update(id, lotData, userId = null) {
+    return await transaction(async (client) => {
+      const existingResult = await client.query('SELECT * FROM inventory_lots WHERE id = $1 FOR UPDATE', [id]);
+      if (existingResult.rows.length === 0) {
+        throw new Error('Inventory lot not found');
+      }
+
+      const existing = InventoryLot.fromDbRow(existingResult.rows[0]);
+      const lot = new InventoryLot({ ...existing, ...lotData, id, medicine_id: existing.medicine_id });
+      const validation = lot.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+      }
+
+      const dbData = lot.toDbFormat();
+      const updateQuery = `
+        UPDATE inventory_lots SET
+          quantity = $2,
+          lot_number = $3,
+          expiry_date = $4,
+          received_date = COALESCE($5, received_date),
+          unit_price = $6,
+          updated_at = now()
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      const result = await client.query(updateQuery, [
+        id,
+        dbData.quantity,
+        dbData.lot_number,
+        dbData.expiry_date,
+        dbData.received_date,
+        dbData.unit_price
+      ]);
+
+      const updated = InventoryLot.fromDbRow(result.rows[0]);
+      const quantityChange = updated.quantity - existing.quantity;
+
+      if (quantityChange !== 0) {
+        await this.changeStock(client, updated.medicine_id, quantityChange, `Corrected lot ${this.describe(updated)}`, userId);
+      }
+
+      return updated;
+    });
+  }
+
+  // Delete a lot; whatever it still held leaves the medication's stock with it
+  async delete(id, userId = null) {
+    return await transaction(async (client) => (await this.remove(client, id, userId)) !== null);
+  }
+
+  // Insert a validated lot and add its quantity to the medication's stock, inside the
+  // caller's transaction; the audit reason reads '<action> <lot number>'
+  async insert(client, lot, userId = null, action = 'Received lot') {
+    const dbData = lot.toDbFormat();
+    const insertQuery = `
+      INSERT INTO inventory_lots (
+        medicine_id, quantity, lot_number, expiry_date, received_date, unit_price
+      ) VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_DATE), $6)
+      RETURNING *
+    `;
+
+    let result;
+    try {
+      result = await client.query(insertQuery, [
+        dbData.medicine_id,
+        dbData.quantity,
+        dbData.lot_number,
+        dbData.expiry_date,
+        dbData.received_date,
+        dbData.unit_price
+      ]);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Invalid medicine_id provided');
+      }
+      throw error;
+    }
+
+    const created = InventoryLot.fromDbRow(result.rows[0]);
+    await this.changeStock(client, created.medicine_id, created.quantity, `${action} ${this.describe(created)}`, userId);
+
+    return created;
+  }
+
+  // Delete a lot inside the caller's transaction and take what it still held out of the
+  // medication's stock. Returns the deleted lot, or null when there was none.
+  async remove(client, id, userId = null, action = 'Removed lot') {
+    const result = await client.query('DELETE FROM inventory_lots WHERE id = $1 RETURNING *', [id]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const deleted = InventoryLot.fromDbRow(result.rows[0]);
+    if (deleted.quantity > 0) {
+      await this.changeStock(client, deleted.medicine_id, -deleted.quantity, `${action} ${this.describe(deleted)}`, userId);
+    }
+
+    return deleted;
+  }
+
+  // Take an amount from a medication's lots first-expiry-first-out, inside the caller's
+  // transaction. Returns what was taken from each lot; an amount beyond the lots is left
+  // to stock outside them.
+  async consume(medicineId, amount, client) {
+    if (!(amount > 0)) {
+      return [];
+    }
+
+    const lotsResult = await client.query(
+      `SELECT * FROM inventory_lots WHERE medicine_id = $1 AND quantity > 0 ORDER BY ${CONSUMPTION_ORDER} FOR UPDATE`,
+      [medicineId]
+    );
+    const lots = lotsResult.rows.map(row => InventoryLot.fromDbRow(row));
+    const allocations = InventoryLot.allocate(lots, amount);
+
+    for (const { lot, quantity } of allocations) {
+      await client.query(
+        'UPDATE inventory_lots SET quantity = GREATEST(quantity - $2, 0), updated_at = now() WHERE id = $1',
+        [lot.id, quantity]
+      );
+    }
+
+    return allocations.map(({ lot, quantity }) => ({
+      lot_id: lot.id,
+      lot_number: lot.lot_number || null,
+      expiry_date: lot.expiry_date,
+      quantity
+    }));
+  }
+
+  // Shrink the lots of a medication (first-expiry-first-out) so they hold no more than its
+  // stock, after the stock was counted lower by hand. Returns what was taken from each lot.
+  async trimToTotal(medicineId, totalTablets, client) {
+    const result = await client.query(
+      'SELECT COALESCE(SUM(quantity), 0) AS lot_total FROM inventory_lots WHERE medicine_id = $1',
+      [medicineId]
+    );
+    const excess = Math.round((parseFloat(result.rows[0].lot_total) - totalTablets) * 100) / 100;
+
+    return excess > 0 ? await this.consume(medicineId, excess, client) : [];
+  }
+
+  // Lots with stock left that expire on or before a date, with their medication.
+  // Lots of medications that ended before fromDate are left out.
+  async findExpiringBy(date, fromDate) {
+    const selectQuery = `
+      SELECT l.*, m.name as medication_name, m.strength as medication_strength,
+        m.dose_unit, m.patient_id, p.timezone as patient_timezone
+      FROM inventory_lots l
+      JOIN medications m ON l.medicine_id = m.id
+      LEFT JOIN patients p ON m.patient_id = p.id
+      WHERE l.quantity > 0
+        AND l.expiry_date IS NOT NULL
+        AND l.expiry_date <= $1
+        AND (m.end_date IS NULL OR m.end_date >= $2)
+      ORDER BY l.expiry_date ASC, l.id ASC
+    `;
+
+    const result = await query(selectQuery, [date, fromDate]);
+
+    return result.rows.map(row => {
+      const lot = InventoryLot.fromDbRow(row);
+      lot.medication_name = row.medication_name;
+      lot.medication_strength = row.medication_strength;
+      lot.dose_unit = row.dose_unit;
+      lot.patient_id = row.patient_id;
+      lot.timezone = resolveTimezone(row.patient_timezone);
+      return lot;
+    });
+  }
+
+  // Change a medication's stock by a lot's quantity change and record it in the audit log;
+  // stock that leaves comes out of the unassigned stock first, then out of the locations
+  async changeStock(client, medicineId, quantityChange, reason, userId) {
+    const result = await client.query(
+      `UPDATE medications SET
+        total_tablets = GREATEST(total_tablets + $2, 0),
+        updated_at = now()
+      WHERE id = $1
+      RETURNING total_tablets`,
+      [medicineId, quantityChange]
+    );
+    const totalTablets = parseFloat(result.rows[0]?.total_tablets ?? 0);
+
+    const locations = quantityChange < 0
+      ? await this.storageLocationRepository.trimToTotal(medicineId, totalTablets, client)
+      : [];
+
+    await client.query(
+      `INSERT INTO audit_logs (medicine_id, action, quantity_change, new_values, user_id, created_at)
+      VALUES ($1, 'INVENTORY_UPDATED', $2, $3, $4, now())`,
+      [
+        medicineId,
+        quantityChange,
+        JSON.stringify({ total_tablets: totalTablets, reason, ...(locations.length > 0 && { locations }) }),
+        userId
+      ]
+    );
+  }
+
+  // Lot number for messages, or its ID when it has none
+  describe(lot) {
+    return lot.lot_number || `#${lot.id}`;
+  }
+}
+
+module.exports = InventoryLotRepository;
@@ -1,7 +1,18 @@
 const { query, transaction } = require('../config/database');
 const Medication = require('../models/Medication');
+const Frequency = require('../models/Frequency');
+const { resolveTimezone, toLocalDateString, addDays } = require('../config/timezone');
+const DoseEventRepository = require('./DoseEventRepository');
+const InventoryLotRepository = require('./InventoryLotRepository');
+const StorageLocationRepository = require('./StorageLocationRepository');
 
 class MedicationRepository {
+  constructor() {
+    this.doseEventRepository = new DoseEventRepository();
+    this.inventoryLotRepository = new InventoryLotRepository();
+    this.storageLocationRepository = new StorageLocationRepository();
+  }
+
   // Create a new medication
   async create(medicationData) {
     const medication = new Medication(medicationData);
@@ -16,8 +27,11 @@ class MedicationRepository {
     const insertQuery = `
       INSERT INTO medications (
         name, strength, route_id, frequency_id, start_date, end_date,
-        sheet_size, total_tablets, notes
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        sheet_size, total_tablets, notes, patient_id,
+        prn_dose_amount, prn_min_interval_hours, prn_max_daily_amount,
+        cycle_days_on, cycle_days_off, cycle_start_date,
+        dose_unit, package_unit, package_volume_ml, units_per_ml, unit_price, pharmacy_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
       RETURNING *
     `;
     
@@ -30,7 +44,20 @@ class MedicationRepository {
       dbData.end_date,
       dbData.sheet_size,
       dbData.total_tablets,
-      dbData.notes
+      dbData.notes,
+      dbData.patient_id,
+      dbData.prn_dose_amount,
+      dbData.prn_min_interval_hours,
+      dbData.prn_max_daily_amount,
+      dbData.cycle_days_on,
+      dbData.cycle_days_off,
+      dbData.cycle_start_date,
+      dbData.dose_unit,
+      dbData.package_unit,
+      dbData.package_volume_ml,
+      dbData.units_per_ml,
+      dbData.unit_price,
+      dbData.pharmacy_id
     ];
 
     try {
@@ -38,6 +65,12 @@ class MedicationRepository {
       return Medication.fromDbRow(result.rows[0]);
     } catch (error) {
       if (error.code === '23503') { // Foreign key violation
+        if (error.constraint === 'medications_patient_id_fkey') {
+          throw new Error('Invalid patient_id provided');
+        }
+        if (error.constraint === 'medications_pharmacy_id_fkey') {
+          throw new Error('Invalid pharmacy_id provided');
+        }
         throw new Error('Invalid route_id or frequency_id provided');
       }
       throw error;
@@ -47,10 +80,14 @@ class MedicationRepository {
   // Find medication by ID
   async findById(id) {
     const selectQuery = `
-      SELECT m.*, r.name as route_name, f.name as frequency_name
+      SELECT m.*, r.name as route_name, f.name as frequency_name,
+             f.recurrence_type, f.interval_days, f.weekdays, f.day_of_month, f.interval_hours,
+             p.timezone as patient_timezone, ph.name as pharmacy_name
       FROM medications m
       LEFT JOIN routes r ON m.route_id = r.id
       LEFT JOIN frequencies f ON m.frequency_id = f.id
+      LEFT JOIN patients p ON m.patient_id = p.id
+      LEFT JOIN pharmacies ph ON m.pharmacy_id = ph.id
       WHERE m.id = $1
     `;
 
@@ -60,12 +97,8 @@ class MedicationRepository {
       return null;
     }
 
-    const medication = Medication.fromDbRow(result.rows[0]);
-    // Add route and frequency names for convenience
-    medication.route_name = result.rows[0].route_name;
-    medication.frequency_name = result.rows[0].frequency_name;
-    
-    return medication;
+    // Add route and frequency details for convenience
+    return this.fromJoinedRow(result.rows[0]);
   }
 
   // Find all medications with optional filtering
@@ -75,6 +108,21 @@ class MedicationRepository {
     let paramCount = 0;
 
     // Build WHERE clause based on filters
+    if (filters.patient_id) {
+      paramCount++;
+      whereConditions.push(`m.patient_id = $${paramCount}`);
+      values.push(filters.patient_id);
+    }
+
+    // Only medications of patients the user is a member of
+    if (filters.accessible_by) {
+      paramCount++;
+      whereConditions.push(`m.patient_id IN (
+        SELECT patient_id FROM patient_members WHERE user_id = $${paramCount}
+      )`);
+      values.push(filters.accessible_by);
+    }
+
     if (filters.active !== undefined) {
       if (filters.active) {
         whereConditions.push(`(m.end_date IS NULL OR m.end_date >= CURRENT_DATE)`);
@@ -129,48 +177,79 @@ class MedicationRepository {
     }
 
     const selectQuery = `
-      SELECT m.*, r.name as route_name, f.name as frequency_name
+      SELECT m.*, r.name as route_name, f.name as frequency_name,
+             f.recurrence_type, f.interval_days, f.weekdays, f.day_of_month, f.interval_hours,
+             p.timezone as patient_timezone, ph.name as pharmacy_name
       FROM medications m
       LEFT JOIN routes r ON m.route_id = r.id
       LEFT JOIN frequencies f ON m.frequency_id = f.id
+      LEFT JOIN patients p ON m.patient_id = p.id
+      LEFT JOIN pharmacies ph ON m.pharmacy_id = ph.id
       ${whereClause}
       ${orderBy}
     `;
 
     const result = await query(selectQuery, values);
     
-    return result.rows.map(row => {
-      const medication = Medication.fromDbRow(row);
-      medication.route_name = row.route_name;
-      medication.frequency_name = row.frequency_name;
-      return medication;
-    });
+    return result.rows.map(row => this.fromJoinedRow(row));
   }
 
-  // Find active medications for a specific date
-  async findActiveByDate(date) {
+  // Find active medications for a specific date, optionally for one patient or only those a
+  // user can access (those of the user's patients)
+  async findActiveByDate(date, patientId = null, accessibleBy = null) {
+    const values = [date];
+    let scopeCondition = '';
+    if (patientId) {
+      values.push(patientId);
+      scopeCondition = 'AND m.patient_id = $2';
+    } else if (accessibleBy) {
+      values.push(accessibleBy);
+      scopeCondition = `AND m.patient_id IN (
+          SELECT patient_id FROM patient_members WHERE user_id = $2
+        )`;
+    }
+
     const selectQuery = `
-      SELECT m.*, r.name as route_name, f.name as frequency_name
+      SELECT m.*, r.name as route_name, f.name as frequency_name,
+             f.recurrence_type, f.interval_days, f.weekdays, f.day_of_month, f.interval_hours,
+             p.timezone as patient_timezone, ph.name as pharmacy_name
       FROM medications m
       LEFT JOIN routes r ON m.route_id = r.id
       LEFT JOIN frequencies f ON m.frequency_id = f.id
+      LEFT JOIN patients p ON m.patient_id = p.id
+      LEFT JOIN pharmacies ph ON m.pharmacy_id = ph.id
       WHERE m.start_date <= $1 
         AND (m.end_date IS NULL OR m.end_date >= $1)
         AND NOT EXISTS (
           SELECT 1 FROM skip_dates sd 
           WHERE sd.medicine_id = m.id AND sd.skip_date = $1
         )
+        ${scopeCondition}
       ORDER BY m.name ASC
     `;
 
-    const result = await query(selectQuery, [date]);
+    const result = await query(selectQuery, values);
     
-    return result.rows.map(row => {
-      const medication = Medication.fromDbRow(row);
-      medication.route_name = row.route_name;
-      medication.frequency_name = row.frequency_name;
-      return medication;
-    });
+    return result.rows.map(row => this.fromJoinedRow(row));
+  }
+
+  // Build a medication from a row joined with routes, frequencies, its patient and pharmacy
+  fromJoinedRow(row) {
+    const medication = Medication.fromDbRow(row);
+    medication.route_name = row.route_name;
+    medication.pharmacy_name = row.pharmacy_name || null;
+    medication.timezone = resolveTimezone(row.patient_timezone);
+    medication.frequency_name = row.frequency_name;
+    medication.frequency = row.frequency_id ? Frequency.fromDbRow({
+      id: row.frequency_id,
+      name: row.frequency_name,
+      recurrence_type: row.recurrence_type,
+      interval_days: row.interval_days,
+      weekdays: row.weekdays,
+      day_of_month: row.day_of_month,
+      interval_hours: row.interval_hours
+    }) : null;
+    return medication;
   }
 
   // Update medication
@@ -202,6 +281,19 @@ class MedicationRepository {
         sheet_size = $8,
         total_tablets = $9,
         notes = $10,
+        patient_id = $11,
+        prn_dose_amount = $12,
+        prn_min_interval_hours = $13,
+        prn_max_daily_amount = $14,
+        cycle_days_on = $15,
+        cycle_days_off = $16,
+        cycle_start_date = $17,
+        dose_unit = $18,
+        package_unit = $19,
+        package_volume_ml = $20,
+        units_per_ml = $21,
+        unit_price = $22,
+        pharmacy_id = $23,
         updated_at = now()
       WHERE id = $1
       RETURNING *
@@ -217,14 +309,41 @@ class MedicationRepository {
       dbData.end_date,
       dbData.sheet_size,
       dbData.total_tablets,
-      dbData.notes
+      dbData.notes,
+      dbData.patient_id,
+      dbData.prn_dose_amount,
+      dbData.prn_min_interval_hours,
+      dbData.prn_max_daily_amount,
+      dbData.cycle_days_on,
+      dbData.cycle_days_off,
+      dbData.cycle_start_date,
+      dbData.dose_unit,
+      dbData.package_unit,
+      dbData.package_volume_ml,
+      dbData.units_per_ml,
+      dbData.unit_price,
+      dbData.pharmacy_id
     ];
 
     try {
       const result = await query(updateQuery, values);
-      return Medication.fromDbRow(result.rows[0]);
+      const updated = Medication.fromDbRow(result.rows[0]);
+
+      // Lower stock comes out of the unassigned stock first, then out of the locations
+      if (updated.total_tablets < existing.total_tablets) {
+        await transaction(async (client) =>
+          await this.storageLocationRepository.trimToTotal(id, updated.total_tablets, client));
+      }
+
+      return updated;
     } catch (error) {
       if (error.code === '23503') { // Foreign key violation
+        if (error.constraint === 'medications_patient_id_fkey') {
+          throw new Error('Invalid patient_id provided');
+        }
+        if (error.constraint === 'medications_pharmacy_id_fkey') {
+          throw new Error('Invalid pharmacy_id provided');
+        }
         throw new Error('Invalid route_id or frequency_id provided');
       }
       throw error;
@@ -232,7 +351,7 @@ class MedicationRepository {
   }
 
   // Update inventory only
-  async updateInventory(id, totalTablets, reason = 'Manual update') {
+  async updateInventory(id, totalTablets, reason = 'Manual update', userId = null) {
     const existing = await this.findById(id);
     if (!existing) {
       throw new Error('Medication not found');
@@ -253,26 +372,41 @@ class MedicationRepository {
       `;
       
       const result = await client.query(updateQuery, [id, totalTablets]);
+
+      // A lower count comes out of the lots that expire first, and out of the locations
+      // once the unassigned stock is used up
+      const lots = await this.inventoryLotRepository.trimToTotal(id, totalTablets, client);
+      const locations = await this.storageLocationRepository.trimToTotal(id, totalTablets, client);
       
       // Log inventory change
       const quantityChange = totalTablets - existing.total_tablets;
       const auditQuery = `
-        INSERT INTO audit_logs (medicine_id, action, quantity_change, new_values, created_at)
-        VALUES ($1, 'INVENTORY_UPDATED', $2, $3, now())
+        INSERT INTO audit_logs (medicine_id, action, quantity_change, new_values, user_id, created_at)
+        VALUES ($1, 'INVENTORY_UPDATED', $2, $3, $4, now())
       `;
       
       await client.query(auditQuery, [
         id, 
         quantityChange, 
-        JSON.stringify({ total_tablets: totalTablets, reason })
+        JSON.stringify({
+          total_tablets: totalTablets,
+          reason,
+          ...(lots.length > 0 && { lots }),
+          ...(locations.length > 0 && { locations })
+        }),
+        userId
       ]);
       
       return Medication.fromDbRow(result.rows[0]);
     });
   }
 
-  // Mark dose as given (consume tablets)
-  async markDoseGiven(id, doseAmount, timestamp = new Date()) {
+  // Mark dose as given (consume tablets). When a slot ({ medicine_dose_id, scheduled_date,
+  // scheduled_time, status, given_by, note }) is provided, a dose event is recorded with it.
+  // userId is the acting user recorded on the audit row. The dose is taken from locationId
+  // (the default location when null); what that location cannot cover comes out of the
+  // unassigned stock, then the other locations.
+  async markDoseGiven(id, doseAmount, timestamp = new Date(), slot = null, userId = null, locationId = null) {
     const existing = await this.findById(id);
     if (!existing) {
       throw new Error('Medication not found');
@@ -295,14 +429,22 @@ class MedicationRepository {
       `;
       
       const result = await client.query(updateQuery, [id, consumeResult.remaining]);
+
+      // Take the dose from the lots that expire first
+      consumeResult.lots = await this.inventoryLotRepository.consume(id, consumeResult.consumed, client);
+      consumeResult.locations = [
+        ...await this.storageLocationRepository.take(id, locationId, consumeResult.consumed, client),
+        ...await this.storageLocationRepository.trimToTotal(id, consumeResult.remaining, client)
+      ];
       
       // Log dose given
       const auditQuery = `
-        INSERT INTO audit_logs (medicine_id, action, quantity_change, new_values, created_at)
-        VALUES ($1, 'DOSE_GIVEN', $2, $3, $4)
+        INSERT INTO audit_logs (medicine_id, action, quantity_change, new_values, user_id, created_at)
+        VALUES ($1, 'DOSE_GIVEN', $2, $3, $4, $5)
+        RETURNING id
       `;
       
-      await client.query(auditQuery, [
+      const auditResult = await client.query(auditQuery, [
         id, 
         -consumeResult.consumed, 
         JSON.stringify({ 
@@ -310,13 +452,33 @@ class MedicationRepository {
           consumed: consumeResult.consumed,
           remaining: consumeResult.remaining,
           was_short: consumeResult.wasShort,
-          timestamp: timestamp.toISOString()
+          lots: consumeResult.lots,
+          ...(consumeResult.locations.length > 0 && { locations: consumeResult.locations }),
+          timestamp: timestamp.toISOString(),
+          ...(slot && {
+            medicine_dose_id: slot.medicine_dose_id,
+            scheduled_date: slot.scheduled_date,
+            scheduled_time: slot.scheduled_time,
+            status: slot.status
+          })
         }),
+        userId,
         timestamp
       ]);
       
       const updatedMedication = Medication.fromDbRow(result.rows[0]);
       updatedMedication.dose_result = consumeResult;
+
+      // Link the administration to its scheduled slot
+      if (slot) {
+        updatedMedication.dose_event = await this.doseEventRepository.record({
+          ...slot,
+          medicine_id: id,
+          dose_amount: doseAmount,
+          given_at: timestamp,
+          audit_log_id: auditResult.rows[0]?.id ?? null
+        }, client);
+      }
       
       return updatedMedication;
     });
@@ -330,14 +492,10 @@ class MedicationRepository {
     }
 
     // Check if medication has future doses or is currently active
-    const today = new Date().toISOString().split('T')[0];
+    const today = toLocalDateString(new Date(), existing.timezone);
     if (!existing.end_date || existing.end_date >= today) {
       // Soft delete by setting end_date to yesterday
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      const endDate = yesterday.toISOString().split('T')[0];
-      
-      return await this.update(id, { end_date: endDate });
+      return await this.update(id, { end_date: addDays(today, -1) });
     }
 
     // Hard delete if already ended
@@ -360,14 +518,18 @@ class MedicationRepository {
     // This is a simplified version - in practice you'd calculate based on actual dose consumption
     const selectQuery = `
       SELECT m.*, r.name as route_name, f.name as frequency_name,
+             f.recurrence_type, f.interval_days, f.weekdays, f.day_of_month, f.interval_hours,
+             p.timezone as patient_timezone, ph.name as pharmacy_name,
              COALESCE(SUM(md.dose_amount), 0) as daily_consumption
       FROM medications m
       LEFT JOIN routes r ON m.route_id = r.id
       LEFT JOIN frequencies f ON m.frequency_id = f.id
+      LEFT JOIN patients p ON m.patient_id = p.id
+      LEFT JOIN pharmacies ph ON m.pharmacy_id = ph.id
       LEFT JOIN medicine_doses md ON m.id = md.medicine_id
       WHERE m.start_date <= CURRENT_DATE 
         AND (m.end_date IS NULL OR m.end_date >= CURRENT_DATE)
-      GROUP BY m.id, r.name, f.name
+      GROUP BY m.id, r.id, f.id, p.id, ph.id
       HAVING m.total_tablets <= (COALESCE(SUM(md.dose_amount), 1) * $1)
       ORDER BY (m.total_tablets / NULLIF(SUM(md.dose_amount), 0)) ASC
     `;
@@ -375,9 +537,7 @@ class MedicationRepository {
     const result = await query(selectQuery, [daysAhead]);
     
     return result.rows.map(row => {
-      const medication = Medication.fromDbRow(row);
-      medication.route_name = row.route_name;
-      medication.frequency_name = row.frequency_name;
+      const medication = this.fromJoinedRow(row);
       medication.daily_consumption = parseFloat(row.daily_consumption);
       medication.days_remaining = medication.daily_consumption > 0 
         ? Math.floor(medication.total_tablets / medication.daily_consumption)
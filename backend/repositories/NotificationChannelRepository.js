@@ -0,0 +1,107 @@
+const { query } = require('../config/database');
+const NotificationChannel = require('../models/NotificationChannel');
+
+class NotificationChannelRepository {
+  // Add a channel for a user; adding one the user already has (a browser subscribing to push
+  // again) refreshes its secret or keys and enables it
+  async create(channelData) {
+    const channel = new NotificationChannel(channelData);
+    const validation = channel.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = channel.toDbFormat();
+
+    const insertQuery = `
+      INSERT INTO notification_channels (user_id, channel, target, secret, keys, is_enabled)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id, channel, target)
+      DO UPDATE SET secret = EXCLUDED.secret, keys = EXCLUDED.keys, is_enabled = EXCLUDED.is_enabled, updated_at = now()
+      RETURNING *
+    `;
+
+    const result = await query(insertQuery, [
+      dbData.user_id,
+      dbData.channel,
+      dbData.target,
+      dbData.secret,
+      dbData.keys ? JSON.stringify(dbData.keys) : null,
+      dbData.is_enabled
+    ]);
+
+    return NotificationChannel.fromDbRow(result.rows[0]);
+  }
+
+  // Find channel by ID
+  async findById(id) {
+    const result = await query('SELECT * FROM notification_channels WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return NotificationChannel.fromDbRow(result.rows[0]);
+  }
+
+  // Find a user's channels, oldest first
+  async findByUserId(userId) {
+    const result = await query(
+      'SELECT * FROM notification_channels WHERE user_id = $1 ORDER BY created_at ASC, id ASC',
+      [userId]
+    );
+
+    return result.rows.map(row => NotificationChannel.fromDbRow(row));
+  }
+
+  // Update channel; returns null when it does not exist
+  async update(id, channelData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const channel = new NotificationChannel({ ...existing, ...channelData, id, user_id: existing.user_id, channel: existing.channel });
+    const validation = channel.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = channel.toDbFormat();
+
+    const updateQuery = `
+      UPDATE notification_channels SET
+        target = $2,
+        secret = $3,
+        is_enabled = $4,
+        updated_at = now()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(updateQuery, [id, dbData.target, dbData.secret, dbData.is_enabled]);
+      return NotificationChannel.fromDbRow(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error('This channel has already been added');
+      }
+      throw error;
+    }
+  }
+
+  // Turn a channel off without removing it (a push subscription the browser dropped)
+  async disable(id) {
+    await query('UPDATE notification_channels SET is_enabled = false, updated_at = now() WHERE id = $1', [id]);
+  }
+
+  // Delete channel; its deliveries go with it
+  async delete(id) {
+    const result = await query('DELETE FROM notification_channels WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = NotificationChannelRepository;
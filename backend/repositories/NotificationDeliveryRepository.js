@@ -0,0 +1,113 @@
+const { query } = require('../config/database');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const NotificationChannel = require('../models/NotificationChannel');
+const NotificationRepository = require('./NotificationRepository');
+
+// How long a claimed delivery is held for its sender; one whose sender died while sending
+// becomes due again afterwards
+const CLAIM_MINUTES = 5;
+
+class NotificationDeliveryRepository {
+  constructor() {
+    this.notificationRepository = new NotificationRepository();
+  }
+
+  // Claim up to `limit` due deliveries for an attempt and count it. Each comes with its
+  // channel and notification; deliveries claimed by another sender are skipped.
+  async claimDue(limit = 50) {
+    const claimQuery = `
+      WITH claimed AS (
+        UPDATE notification_deliveries SET
+          attempts = attempts + 1,
+          next_attempt_at = now() + INTERVAL '1 minute' * $2,
+          updated_at = now()
+        WHERE id IN (
+          SELECT id FROM notification_deliveries
+          WHERE status = 'pending' AND next_attempt_at <= now()
+          ORDER BY next_attempt_at ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      )
+      SELECT c.*,
+             to_jsonb(nc) AS channel_row,
+             to_jsonb(n) || jsonb_build_object('medication_name', m.name, 'medication_strength', m.strength) AS notification_row
+      FROM claimed c
+      JOIN notification_channels nc ON c.channel_id = nc.id
+      JOIN notifications n ON c.notification_id = n.id
+      LEFT JOIN medications m ON n.medicine_id = m.id
+      ORDER BY c.next_attempt_at ASC, c.id ASC
+    `;
+
+    const result = await query(claimQuery, [limit, CLAIM_MINUTES]);
+
+    return result.rows.map(row => {
+      const delivery = NotificationDelivery.fromDbRow(row);
+      delivery.channel = NotificationChannel.fromDbRow(row.channel_row);
+      delivery.notification = this.notificationRepository.formatNotification(row.notification_row);
+      return delivery;
+    });
+  }
+
+  // Record a successful attempt
+  async markSent(id) {
+    const updateQuery = `
+      UPDATE notification_deliveries SET
+        status = 'sent',
+        sent_at = now(),
+        next_attempt_at = NULL,
+        last_error = NULL,
+        updated_at = now()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery, [id]);
+    return result.rows.length > 0 ? NotificationDelivery.fromDbRow(result.rows[0]) : null;
+  }
+
+  // Record a failed attempt; the delivery is retried at nextAttemptAt, or given up without one
+  async markFailed(id, errorMessage, nextAttemptAt = null) {
+    const updateQuery = `
+      UPDATE notification_deliveries SET
+        status = $2,
+        next_attempt_at = $3,
+        last_error = $4,
+        updated_at = now()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery, [
+      id,
+      nextAttemptAt ? 'pending' : 'failed',
+      nextAttemptAt,
+      String(errorMessage).slice(0, 1000)
+    ]);
+    return result.rows.length > 0 ? NotificationDelivery.fromDbRow(result.rows[0]) : null;
+  }
+
+  // Recent deliveries to a channel, newest first, with what was delivered
+  async findByChannelId(channelId, limit = 20) {
+    const selectQuery = `
+      SELECT d.*, n.type AS notification_type, n.message AS notification_message
+      FROM notification_deliveries d
+      JOIN notifications n ON d.notification_id = n.id
+      WHERE d.channel_id = $1
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT $2
+    `;
+
+    const result = await query(selectQuery, [channelId, limit]);
+
+    return result.rows.map(row => {
+      const delivery = NotificationDelivery.fromDbRow(row);
+      delivery.notification_type = row.notification_type;
+      delivery.notification_message = row.notification_message;
+      return delivery;
+    });
+  }
+}
+
+module.exports = NotificationDeliveryRepository;
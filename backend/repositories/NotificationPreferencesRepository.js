@@ -0,0 +1,102 @@
+const { query } = require('../config/database');
+const NotificationPreferences = require('../models/NotificationPreferences');
+const PatientMemberRepository = require('./PatientMemberRepository');
+
+// Stored preference columns; the patient comes from the join so patients without a row get one
+const PREFERENCE_COLUMNS = `
+  np.id, np.disabled_types, np.minutes_ahead, np.hours_overdue, np.buy_soon_days_ahead,
+  np.renotify_minutes, np.max_renotifications, np.escalation_user_id, np.quiet_hours_enabled, np.quiet_hours_start, np.quiet_hours_end, np.created_at, np.updated_at
+`;
+
+class NotificationPreferencesRepository {
+  constructor() {
+    this.patientMemberRepository = new PatientMemberRepository();
+  }
+
+  // Find the preferences of a patient, or of unassigned medications when patientId is null;
+  // the defaults when none have been saved
+  async findByPatientId(patientId = null) {
+    const selectQuery = `
+      SELECT $1::int AS patient_id, p.timezone AS patient_timezone, ${PREFERENCE_COLUMNS}
+      FROM (SELECT 1) AS one
+      LEFT JOIN notification_preferences np ON np.patient_id IS NOT DISTINCT FROM $1::int
+      LEFT JOIN patients p ON p.id = $1::int
+    `;
+
+    const result = await query(selectQuery, [patientId]);
+    return NotificationPreferences.fromDbRow(result.rows[0]);
+  }
+
+  // Find the preferences of every patient and of unassigned medications (patient_id null)
+  async findAll() {
+    const selectQuery = `
+      SELECT p.id AS patient_id, p.timezone AS patient_timezone, ${PREFERENCE_COLUMNS}
+      FROM patients p
+      LEFT JOIN notification_preferences np ON np.patient_id = p.id
+      UNION ALL
+      SELECT NULL, NULL, ${PREFERENCE_COLUMNS}
+      FROM (SELECT 1) AS one
+      LEFT JOIN notification_preferences np ON np.patient_id IS NULL
+    `;
+
+    const result = await query(selectQuery);
+    return result.rows.map(row => NotificationPreferences.fromDbRow(row));
+  }
+
+  // Save the preferences of a patient (or of unassigned medications); fields left out keep
+  // their current values
+  async save(patientId, preferencesData) {
+    const existing = await this.findByPatientId(patientId);
+    const preferences = new NotificationPreferences({ ...existing, ...preferencesData, patient_id: patientId });
+    const validation = preferences.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    if (preferences.escalation_user_id !== null &&
+        !(await this.patientMemberRepository.findByPatientAndUser(patientId, preferences.escalation_user_id))) {
+      throw new Error('Validation failed: Secondary caregiver must be a member of the patient');
+    }
+
+    const dbData = preferences.toDbFormat();
+
+    const upsertQuery = `
+      INSERT INTO notification_preferences (
+        patient_id, disabled_types, minutes_ahead, hours_overdue, buy_soon_days_ahead,
+        renotify_minutes, max_renotifications, escalation_user_id,
+        quiet_hours_enabled, quiet_hours_start, quiet_hours_end
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT ((COALESCE(patient_id, 0)))
+      DO UPDATE SET
+        disabled_types = EXCLUDED.disabled_types,
+        minutes_ahead = EXCLUDED.minutes_ahead,
+        hours_overdue = EXCLUDED.hours_overdue,
+        buy_soon_days_ahead = EXCLUDED.buy_soon_days_ahead,
+        renotify_minutes = EXCLUDED.renotify_minutes,
+        max_renotifications = EXCLUDED.max_renotifications,
+        escalation_user_id = EXCLUDED.escalation_user_id,
+        quiet_hours_enabled = EXCLUDED.quiet_hours_enabled,
+        quiet_hours_start = EXCLUDED.quiet_hours_start,
+        quiet_hours_end = EXCLUDED.quiet_hours_end
+    `;
+
+    await query(upsertQuery, [
+      dbData.patient_id,
+      dbData.disabled_types,
+      dbData.minutes_ahead,
+      dbData.hours_overdue,
+      dbData.buy_soon_days_ahead,
+      dbData.renotify_minutes,
+      dbData.max_renotifications,
+      dbData.escalation_user_id,
+      dbData.quiet_hours_enabled,
+      dbData.quiet_hours_start,
+      dbData.quiet_hours_end
+    ]);
+
+    return await this.findByPatientId(patientId);
+  }
+}
+
+module.exports = NotificationPreferencesRepository;
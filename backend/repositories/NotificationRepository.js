@@ -1,15 +1,22 @@
 const { query } = require('../config/database');
+const UnitOfMeasure = require('../models/UnitOfMeasure');
 
 class NotificationRepository {
-  // Create a new notification
+  // Create a new notification and queue its delivery to the enabled channels of the
+  // patient's members.
+  // The patient's secondary caregiver is only told about doses once they are escalated.
+  // A notification held_until a time (the end of quiet hours) stays hidden and is
+  // delivered from then on.
   async create(notificationData) {
     const {
       medicine_id = null,
+      patient_id = null,
       type,
       message,
       payload = null,
       is_read = false,
-      created_at = new Date()
+      created_at = new Date(),
+      held_until = null
     } = notificationData;
 
     // Validate required fields
@@ -21,16 +28,33 @@ class NotificationRepository {
       throw new Error('Notification message is required');
     }
 
-    const validTypes = ['BUY_SOON', 'DOSE_DUE', 'MISSED_DOSE'];
+    const validTypes = ['BUY_SOON', 'DOSE_DUE', 'MISSED_DOSE', 'EXPIRING_SOON', 'PRESCRIPTION_RENEWAL', 'DIGEST'];
     if (!validTypes.includes(type)) {
       throw new Error(`Invalid notification type: ${type}. Must be one of: ${validTypes.join(', ')}`);
     }
 
+    // Without a patient_id, the patient is copied from the medication by a trigger, so it
+    // is read back from the inserted row
     const insertQuery = `
-      INSERT INTO notifications (
-        medicine_id, type, message, payload, is_read, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING *
+      WITH inserted AS (
+        INSERT INTO notifications (
+          medicine_id, type, message, payload, is_read, created_at, held_until, patient_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      ), queued AS (
+        INSERT INTO notification_deliveries (notification_id, channel_id, next_attempt_at)
+        SELECT i.id, nc.id, COALESCE(i.held_until, now())
+        FROM inserted i
+        JOIN notification_channels nc ON nc.is_enabled
+        WHERE nc.user_id IN (SELECT pm.user_id FROM patient_members pm WHERE pm.patient_id = i.patient_id)
+          AND NOT EXISTS (
+            SELECT 1 FROM notification_preferences np
+            WHERE np.patient_id = i.patient_id
+              AND np.escalation_user_id = nc.user_id
+              AND i.type IN ('DOSE_DUE', 'MISSED_DOSE')
+          )
+      )
+      SELECT * FROM inserted
     `;
     
     const values = [
@@ -39,7 +63,9 @@ class NotificationRepository {
       message,
       payload ? JSON.stringify(payload) : null,
       is_read,
-      created_at
+      created_at,
+      held_until,
+      patient_id
     ];
 
     const result = await query(insertQuery, values);
@@ -49,9 +75,11 @@ class NotificationRepository {
   // Find notification by ID
   async findById(id) {
     const selectQuery = `
-      SELECT n.*, m.name as medication_name, m.strength as medication_strength
+      SELECT n.*, m.name as medication_name, m.strength as medication_strength,
+             m.pharmacy_id, ph.name as pharmacy_name
       FROM notifications n
       LEFT JOIN medications m ON n.medicine_id = m.id
+      LEFT JOIN pharmacies ph ON m.pharmacy_id = ph.id
       WHERE n.id = $1
     `;
 
@@ -64,9 +92,10 @@ class NotificationRepository {
     return this.formatNotification(result.rows[0]);
   }
 
-  // Find all notifications with filtering and pagination
+  // Find all notifications with filtering and pagination; held notifications are left out
+  // until they are released
   async findAll(options = {}) {
-    let whereConditions = [];
+    let whereConditions = ['n.held_until IS NULL'];
     let values = [];
     let paramCount = 0;
 
@@ -77,6 +106,22 @@ class NotificationRepository {
       values.push(options.medicine_id);
     }
 
+    // Filter by patient
+    if (options.patient_id) {
+      paramCount++;
+      whereConditions.push(`n.patient_id = $${paramCount}`);
+      values.push(options.patient_id);
+    }
+
+    // Only notifications of patients the user is a member of
+    if (options.accessible_by) {
+      paramCount++;
+      whereConditions.push(`n.patient_id IN (
+        SELECT patient_id FROM patient_members WHERE user_id = $${paramCount}
+      )`);
+      values.push(options.accessible_by);
+    }
+
     // Filter by notification type
     if (options.type) {
       paramCount++;
@@ -104,7 +149,7 @@ class NotificationRepository {
       values.push(options.end_date);
     }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
     
     // Build ORDER BY clause
     const sortBy = options.sort_by || 'created_at';
@@ -130,9 +175,11 @@ class NotificationRepository {
     }
 
     const selectQuery = `
-      SELECT n.*, m.name as medication_name, m.strength as medication_strength
+      SELECT n.*, m.name as medication_name, m.strength as medication_strength,
+             m.pharmacy_id, ph.name as pharmacy_name
       FROM notifications n
       LEFT JOIN medications m ON n.medicine_id = m.id
+      LEFT JOIN pharmacies ph ON m.pharmacy_id = ph.id
       ${whereClause}
       ${orderBy}
       ${limitClause}
@@ -272,13 +319,13 @@ class NotificationRepository {
     return result.rows.length;
   }
 
-  // Get notification statistics
+  // Get notification statistics, leaving out held notifications
   async getStats(medicineId = null) {
-    let whereClause = '';
+    let whereClause = 'WHERE n.held_until IS NULL';
     let values = [];
 
     if (medicineId) {
-      whereClause = 'WHERE n.medicine_id = $1';
+      whereClause += ' AND n.medicine_id = $1';
       values.push(medicineId);
     }
 
@@ -290,6 +337,9 @@ class NotificationRepository {
         COUNT(CASE WHEN type = 'BUY_SOON' THEN 1 END) as buy_soon_count,
         COUNT(CASE WHEN type = 'DOSE_DUE' THEN 1 END) as dose_due_count,
         COUNT(CASE WHEN type = 'MISSED_DOSE' THEN 1 END) as missed_dose_count,
+        COUNT(CASE WHEN type = 'EXPIRING_SOON' THEN 1 END) as expiring_soon_count,
+        COUNT(CASE WHEN type = 'PRESCRIPTION_RENEWAL' THEN 1 END) as prescription_renewal_count,
+        COUNT(CASE WHEN type = 'DIGEST' THEN 1 END) as digest_count,
         MIN(created_at) as earliest_notification,
         MAX(created_at) as latest_notification
       FROM notifications n
@@ -305,6 +355,9 @@ class NotificationRepository {
       buy_soon_count: parseInt(result.rows[0].buy_soon_count),
       dose_due_count: parseInt(result.rows[0].dose_due_count),
       missed_dose_count: parseInt(result.rows[0].missed_dose_count),
+      expiring_soon_count: parseInt(result.rows[0].expiring_soon_count),
+      prescription_renewal_count: parseInt(result.rows[0].prescription_renewal_count),
+      digest_count: parseInt(result.rows[0].digest_count),
       earliest_notification: result.rows[0].earliest_notification,
       latest_notification: result.rows[0].latest_notification
     };
@@ -324,7 +377,93 @@ class NotificationRepository {
     return parseInt(result.rows[0].count) > 0;
   }
 
-  // Get notification summary by type
+  // Find open missed-dose notifications for the given scheduled dates
+  async findUnresolvedMissedDoses(scheduledDates) {
+    if (!Array.isArray(scheduledDates) || scheduledDates.length === 0) {
+      return [];
+    }
+
+    const selectQuery = `
+      SELECT *
+      FROM notifications
+      WHERE type = 'MISSED_DOSE'
+        AND resolved_at IS NULL
+        AND payload->>'scheduled_date' = ANY($1)
+      ORDER BY created_at ASC
+    `;
+
+    const result = await query(selectQuery, [scheduledDates]);
+    return result.rows.map(row => this.formatNotification(row));
+  }
+
+  // Resolve (and dismiss) the missed-dose notification for a slot once it has been recorded
+  async resolveMissedDose(medicineId, medicineDoseId, scheduledDate, slotTime, resolution) {
+    const updateQuery = `
+      UPDATE notifications
+      SET is_read = true,
+          resolved_at = now(),
+          payload = payload || jsonb_build_object('resolution', $5::text)
+      WHERE type = 'MISSED_DOSE'
+        AND resolved_at IS NULL
+        AND medicine_id = $1
+        AND payload->>'medicine_dose_id' = $2
+        AND payload->>'scheduled_date' = $3
+        AND payload->>'slot_time' = $4
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery, [
+      medicineId,
+      String(medicineDoseId),
+      scheduledDate,
+      slotTime,
+      resolution
+    ]);
+
+    return result.rows.map(row => this.formatNotification(row));
+  }
+
+  // Resolve (and dismiss) a medication's open buy-soon notifications once it has been
+  // restocked; runs on the caller's transaction client when given
+  async resolveBuySoon(medicineId, resolution, client = null) {
+    const updateQuery = `
+      UPDATE notifications
+      SET is_read = true,
+          resolved_at = now(),
+          payload = payload || jsonb_build_object('resolution', $2::text)
+      WHERE type = 'BUY_SOON'
+        AND resolved_at IS NULL
+        AND medicine_id = $1
+      RETURNING *
+    `;
+
+    const values = [medicineId, resolution];
+    const result = client ? await client.query(updateQuery, values) : await query(updateQuery, values);
+
+    return result.rows.map(row => this.formatNotification(row));
+  }
+
+  // Resolve (and dismiss) a medication's open prescription renewal notifications once it
+  // has a new prescription; runs on the caller's transaction client when given
+  async resolvePrescriptionRenewal(medicineId, resolution, client = null) {
+    const updateQuery = `
+      UPDATE notifications
+      SET is_read = true,
+          resolved_at = now(),
+          payload = payload || jsonb_build_object('resolution', $2::text)
+      WHERE type = 'PRESCRIPTION_RENEWAL'
+        AND resolved_at IS NULL
+        AND medicine_id = $1
+      RETURNING *
+    `;
+
+    const values = [medicineId, resolution];
+    const result = client ? await client.query(updateQuery, values) : await query(updateQuery, values);
+
+    return result.rows.map(row => this.formatNotification(row));
+  }
+
+  // Get notification summary by type, leaving out held notifications
   async getSummaryByType() {
     const summaryQuery = `
       SELECT 
@@ -333,6 +472,7 @@ class NotificationRepository {
         COUNT(CASE WHEN is_read = false THEN 1 END) as unread_count,
         MAX(created_at) as latest_notification
       FROM notifications
+      WHERE held_until IS NULL
       GROUP BY type
       ORDER BY type
     `;
@@ -347,24 +487,218 @@ class NotificationRepository {
     }));
   }
 
+  // Release the held notifications whose quiet hours have ended; their deliveries were
+  // queued for that time already
+  async releaseHeld() {
+    const updateQuery = `
+      UPDATE notifications
+      SET held_until = NULL,
+          notified_at = now()
+      WHERE held_until <= now()
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery);
+    return result.rows.map(row => this.formatNotification(row));
+  }
+
+  // Snooze an open dose reminder for some minutes: it counts as read until then, and its
+  // pending deliveries wait as well. Null when there is no such reminder.
+  async snooze(id, minutes) {
+    const snoozeQuery = `
+      WITH snoozed AS (
+        UPDATE notifications
+        SET snoozed_until = now() + INTERVAL '1 minute' * $2,
+            is_read = true
+        WHERE id = $1
+          AND type = 'DOSE_DUE'
+          AND acknowledged_at IS NULL
+          AND resolved_at IS NULL
+        RETURNING *
+      ), postponed AS (
+        UPDATE notification_deliveries d
+        SET next_attempt_at = s.snoozed_until,
+            updated_at = now()
+        FROM snoozed s
+        WHERE d.notification_id = s.id AND d.status = 'pending'
+      )
+      SELECT * FROM snoozed
+    `;
+
+    const result = await query(snoozeQuery, [id, minutes]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.formatNotification(result.rows[0]);
+  }
+
+  // Acknowledge a notification, which stops it from being raised again or escalated;
+  // acknowledging it again keeps the first time. Null when it does not exist.
+  async acknowledge(id) {
+    const updateQuery = `
+      UPDATE notifications
+      SET acknowledged_at = COALESCE(acknowledged_at, now()),
+          snoozed_until = NULL,
+          is_read = true
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.formatNotification(result.rows[0]);
+  }
+
+  // Acknowledge the open dose reminders whose slot has been recorded since
+  async acknowledgeRecordedDoses() {
+    const updateQuery = `
+      UPDATE notifications n
+      SET acknowledged_at = now(),
+          snoozed_until = NULL
+      WHERE n.type = 'DOSE_DUE'
+        AND n.acknowledged_at IS NULL
+        AND EXISTS (
+          SELECT 1 FROM dose_events de
+          WHERE de.medicine_dose_id = (n.payload->>'medicine_dose_id')::int
+            AND de.scheduled_date = (n.payload->>'scheduled_date')::date
+            AND de.scheduled_time = (n.payload->>'slot_time')::time
+        )
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery);
+    return result.rows.map(row => this.formatNotification(row));
+  }
+
+  // Raise open dose reminders again: snoozed ones once their snooze is over, and
+  // unacknowledged ones renotify_minutes after they were last raised, up to
+  // max_renotifications times (per the patient's preferences, or the defaults given).
+  // They become unread, and their deliveries are sent again.
+  async renotifyDueReminders(defaultRenotifyMinutes, defaultMaxRenotifications) {
+    const renotifyQuery = `
+      WITH due AS (
+        SELECT n.id, n.snoozed_until IS NULL AS repeated
+        FROM notifications n
+        LEFT JOIN notification_preferences np ON np.patient_id IS NOT DISTINCT FROM n.patient_id
+        WHERE n.type = 'DOSE_DUE'
+          AND n.acknowledged_at IS NULL
+          AND n.resolved_at IS NULL
+          AND n.held_until IS NULL
+          AND (
+            n.snoozed_until <= now()
+            OR (
+              n.snoozed_until IS NULL
+              AND n.escalation_level < COALESCE(np.max_renotifications, $2)
+              AND n.notified_at <= now() - INTERVAL '1 minute' * COALESCE(np.renotify_minutes, $1)
+            )
+          )
+      ), renotified AS (
+        UPDATE notifications n
+        SET is_read = false,
+            snoozed_until = NULL,
+            notified_at = now(),
+            escalation_level = n.escalation_level + CASE WHEN due.repeated THEN 1 ELSE 0 END
+        FROM due
+        WHERE n.id = due.id
+        RETURNING n.*
+      ), requeued AS (
+        UPDATE notification_deliveries d
+        SET status = 'pending',
+            attempts = 0,
+            next_attempt_at = now(),
+            last_error = NULL,
+            updated_at = now()
+        FROM renotified r
+        WHERE d.notification_id = r.id
+      )
+      SELECT * FROM renotified
+    `;
+
+    const result = await query(renotifyQuery, [defaultRenotifyMinutes, defaultMaxRenotifications]);
+    return result.rows.map(row => this.formatNotification(row));
+  }
+
+  // Pass open missed doses on to the patient's secondary caregiver, once, by queueing
+  // deliveries to their channels. Doses whose reminder was acknowledged are left alone.
+  async escalateMissedDoses() {
+    const escalateQuery = `
+      WITH escalated AS (
+        UPDATE notifications n
+        SET escalation_level = n.escalation_level + 1
+        FROM notification_preferences np
+        WHERE n.type = 'MISSED_DOSE'
+          AND n.acknowledged_at IS NULL
+          AND n.resolved_at IS NULL
+          AND n.held_until IS NULL
+          AND n.escalation_level = 0
+          AND np.patient_id = n.patient_id
+          AND np.escalation_user_id IS NOT NULL
+          AND EXISTS (
+            SELECT 1 FROM patient_members pm
+            WHERE pm.patient_id = n.patient_id AND pm.user_id = np.escalation_user_id
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM notifications r
+            WHERE r.type = 'DOSE_DUE'
+              AND r.acknowledged_at IS NOT NULL
+              AND r.medicine_id = n.medicine_id
+              AND r.payload->>'medicine_dose_id' = n.payload->>'medicine_dose_id'
+              AND r.payload->>'scheduled_date' = n.payload->>'scheduled_date'
+              AND r.payload->>'slot_time' = n.payload->>'slot_time'
+          )
+        RETURNING n.*, np.escalation_user_id
+      ), queued AS (
+        INSERT INTO notification_deliveries (notification_id, channel_id)
+        SELECT e.id, nc.id
+        FROM escalated e
+        JOIN notification_channels nc ON nc.is_enabled AND nc.user_id = e.escalation_user_id
+        ON CONFLICT (notification_id, channel_id) DO NOTHING
+      )
+      SELECT * FROM escalated
+    `;
+
+    const result = await query(escalateQuery);
+    return result.rows.map(row => ({
+      ...this.formatNotification(row),
+      escalation_user_id: row.escalation_user_id
+    }));
+  }
+
   // Format notification for consistent output
   formatNotification(row) {
     return {
       id: row.id,
       medicine_id: row.medicine_id,
+      patient_id: row.patient_id,
       medication_name: row.medication_name || null,
       medication_strength: row.medication_strength || null,
+      pharmacy_id: row.pharmacy_id ?? null,
+      pharmacy_name: row.pharmacy_name || null,
       type: row.type,
       message: row.message,
-      payload: row.payload ? JSON.parse(row.payload) : null,
+      payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : (row.payload || null),
       is_read: row.is_read,
+      resolved_at: row.resolved_at,
+      held_until: row.held_until,
+      snoozed_until: row.snoozed_until,
+      acknowledged_at: row.acknowledged_at,
+      escalation_level: row.escalation_level,
+      notified_at: row.notified_at,
       created_at: row.created_at
     };
   }
 
   // Convenience method to create buy-soon notification
-  async createBuySoonNotification(medicineId, alertData) {
-    const message = `${alertData.medication_name} is running low. ${alertData.current_tablets} tablets remaining (${alertData.days_remaining} days).`;
+  async createBuySoonNotification(medicineId, alertData, heldUntil = null) {
+    const remaining = UnitOfMeasure.format(alertData.current_tablets, alertData.dose_unit);
+    const where = alertData.pharmacy_name ? ` Buy at ${alertData.pharmacy_name}.` : '';
+    const message = `${alertData.medication_name} is running low. ${remaining} remaining (${alertData.days_remaining} days).${where}`;
     
     // Check if similar notification already exists
     const exists = await this.existsByTypeAndMedication('BUY_SOON', medicineId, 24);
@@ -376,32 +710,127 @@ class NotificationRepository {
       medicine_id: medicineId,
       type: 'BUY_SOON',
       message: message,
-      payload: alertData
+      payload: alertData,
+      held_until: heldUntil
     });
   }
 
   // Convenience method to create dose due notification
-  async createDoseDueNotification(medicineId, doseData) {
-    const message = `Time to take ${doseData.medication_name} - ${doseData.dose_amount} tablets at ${doseData.time_of_day}.`;
+  async createDoseDueNotification(medicineId, doseData, heldUntil = null) {
+    const dose = UnitOfMeasure.format(doseData.dose_amount, doseData.dose_unit);
+    const message = `Time to take ${doseData.medication_name} - ${dose} at ${doseData.time_of_day}.`;
     
     return await this.create({
       medicine_id: medicineId,
       type: 'DOSE_DUE',
       message: message,
-      payload: doseData
+      payload: doseData,
+      held_until: heldUntil
     });
   }
 
   // Convenience method to create missed dose notification
-  async createMissedDoseNotification(medicineId, doseData) {
-    const message = `Missed dose: ${doseData.medication_name} - ${doseData.dose_amount} tablets at ${doseData.time_of_day}.`;
+  async createMissedDoseNotification(medicineId, doseData, heldUntil = null) {
+    const dose = UnitOfMeasure.format(doseData.dose_amount, doseData.dose_unit);
+    const message = `Missed dose: ${doseData.medication_name} - ${dose} at ${doseData.time_of_day}.`;
     
-    return await this.create({
-      medicine_id: medicineId,
-      type: 'MISSED_DOSE',
-      message: message,
-      payload: doseData
-    });
+    try {
+      return await this.create({
+        medicine_id: medicineId,
+        type: 'MISSED_DOSE',
+        message: message,
+        payload: doseData,
+        held_until: heldUntil
+      });
+    } catch (error) {
+      if (error.code === '23505') { // Slot already has a missed-dose notification
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Convenience method to create an expiry warning for an inventory lot
+  async createExpiringSoonNotification(medicineId, lotData, heldUntil = null) {
+    const lot = lotData.lot_number ? `Lot ${lotData.lot_number}` : 'A lot';
+    const when = lotData.days_until_expiry < 0
+      ? `expired on ${lotData.expiry_date}`
+      : `expires on ${lotData.expiry_date} (${lotData.days_until_expiry} days)`;
+    const left = UnitOfMeasure.format(lotData.quantity, lotData.dose_unit);
+    const message = `${lot} of ${lotData.medication_name} ${when}. ${left} left in it.`;
+
+    try {
+      return await this.create({
+        medicine_id: medicineId,
+        type: 'EXPIRING_SOON',
+        message: message,
+        payload: lotData,
+        held_until: heldUntil
+      });
+    } catch (error) {
+      if (error.code === '23505') { // Lot already has an expiry warning
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Convenience method to ask for a prescription renewal, because the prescription has no
+  // refills left (reason 'no_refills') or expires soon (reason 'expiring')
+  async createPrescriptionRenewalNotification(medicineId, prescriptionData, heldUntil = null) {
+    let why;
+    if (prescriptionData.reason === 'no_refills') {
+      why = 'has no refills left';
+    } else if (prescriptionData.days_until_expiry < 0) {
+      why = `expired on ${prescriptionData.expiry_date}`;
+    } else {
+      why = `expires on ${prescriptionData.expiry_date} (${prescriptionData.days_until_expiry} days)`;
+    }
+    const from = prescriptionData.prescriber_name ? ` Ask ${prescriptionData.prescriber_name} for a renewal.` : ' Ask for a renewal.';
+    const message = `The prescription for ${prescriptionData.medication_name} ${why}.${from}`;
+
+    try {
+      return await this.create({
+        medicine_id: medicineId,
+        type: 'PRESCRIPTION_RENEWAL',
+        message: message,
+        payload: prescriptionData,
+        held_until: heldUntil
+      });
+    } catch (error) {
+      if (error.code === '23505') { // Prescription already has a reminder for this reason
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Convenience method to create a patient's digest (patientId null: of medications without
+  // a patient), the daily one or the weekly adherence summary
+  async createDigestNotification(patientId, digestData, heldUntil = null) {
+    let message;
+    if (digestData.period === 'weekly') {
+      const rate = digestData.adherence_rate === null ? 'No doses were scheduled' : `${digestData.adherence_rate}% of doses taken`;
+      message = `Week of ${digestData.start_date}: ${rate}, ${digestData.missed_doses} missed.`;
+    } else {
+      const doses = digestData.schedule.length === 1 ? '1 dose' : `${digestData.schedule.length} doses`;
+      message = `Today: ${doses} scheduled, ${digestData.low_stock.length} running low, ${digestData.missed_yesterday.length} missed yesterday.`;
+    }
+
+    try {
+      return await this.create({
+        patient_id: patientId,
+        type: 'DIGEST',
+        message: message,
+        payload: digestData,
+        held_until: heldUntil
+      });
+    } catch (error) {
+      if (error.code === '23505') { // Patient already has this digest
+        return null;
+      }
+      throw error;
+    }
   }
 }
 
@@ -0,0 +1,122 @@
+const { query, transaction } = require('../config/database');
+const PatientInvitation = require('../models/PatientInvitation');
+
+const SELECT_WITH_NAMES = `
+  SELECT pi.*, p.name as patient_name, u.name as invited_by_name
+  FROM patient_invitations pi
+  JOIN patients p ON p.id = pi.patient_id
+  LEFT JOIN users u ON u.id = pi.invited_by
+`;
+
+class PatientInvitationRepository {
+  // Create a pending invitation
+  async create(invitationData) {
+    const invitation = new PatientInvitation({ ...invitationData, status: 'pending' });
+    const validation = invitation.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = invitation.toDbFormat();
+
+    const insertQuery = `
+      INSERT INTO patient_invitations (patient_id, email, role, invited_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(insertQuery, [
+        dbData.patient_id,
+        dbData.email,
+        dbData.role,
+        dbData.invited_by
+      ]);
+      return PatientInvitation.fromDbRow(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error('An invitation is already pending for this email');
+      }
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Invalid patient_id provided');
+      }
+      throw error;
+    }
+  }
+
+  // Find invitation by ID
+  async findById(id) {
+    const result = await query(`${SELECT_WITH_NAMES} WHERE pi.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return PatientInvitation.fromDbRow(result.rows[0]);
+  }
+
+  // Find the open invitations for a patient
+  async findPendingByPatientId(patientId) {
+    const result = await query(
+      `${SELECT_WITH_NAMES} WHERE pi.patient_id = $1 AND pi.status = 'pending' ORDER BY pi.created_at DESC`,
+      [patientId]
+    );
+    return result.rows.map(row => PatientInvitation.fromDbRow(row));
+  }
+
+  // Find the open invitations addressed to an email
+  async findPendingByEmail(email) {
+    const result = await query(
+      `${SELECT_WITH_NAMES} WHERE pi.email = $1 AND pi.status = 'pending' ORDER BY pi.created_at DESC`,
+      [email]
+    );
+    return result.rows.map(row => PatientInvitation.fromDbRow(row));
+  }
+
+  // Close a pending invitation without granting access
+  async updateStatus(id, status) {
+    const updateQuery = `
+      UPDATE patient_invitations SET status = $2, responded_at = now()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery, [id, status]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Invitation not found');
+    }
+
+    return PatientInvitation.fromDbRow(result.rows[0]);
+  }
+
+  // Accept an invitation: grant the role and close the invitation together
+  async accept(id, userId) {
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE patient_invitations SET status = 'accepted', responded_at = now()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Invitation not found');
+      }
+
+      const invitation = PatientInvitation.fromDbRow(result.rows[0]);
+
+      await client.query(
+        `INSERT INTO patient_members (patient_id, user_id, role)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (patient_id, user_id) DO UPDATE SET role = EXCLUDED.role`,
+        [invitation.patient_id, userId, invitation.role]
+      );
+
+      return invitation;
+    });
+  }
+}
+
+module.exports = PatientInvitationRepository;
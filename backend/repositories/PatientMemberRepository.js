@@ -0,0 +1,76 @@
+const { query } = require('../config/database');
+const PatientMember = require('../models/PatientMember');
+
+class PatientMemberRepository {
+  // Find all members of a patient with their names
+  async findByPatientId(patientId) {
+    const selectQuery = `
+      SELECT pm.*, u.name as user_name, u.email as user_email
+      FROM patient_members pm
+      JOIN users u ON u.id = pm.user_id
+      WHERE pm.patient_id = $1
+      ORDER BY
+        CASE pm.role WHEN 'owner' THEN 1 WHEN 'caregiver' THEN 2 ELSE 3 END,
+        u.name ASC
+    `;
+
+    const result = await query(selectQuery, [patientId]);
+    return result.rows.map(row => PatientMember.fromDbRow(row));
+  }
+
+  // Find a single membership
+  async findByPatientAndUser(patientId, userId) {
+    const result = await query(
+      'SELECT * FROM patient_members WHERE patient_id = $1 AND user_id = $2',
+      [patientId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return PatientMember.fromDbRow(result.rows[0]);
+  }
+
+  // Get the distinct roles a user holds across all patients
+  async findRolesByUserId(userId) {
+    const result = await query(
+      'SELECT DISTINCT role FROM patient_members WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows.map(row => row.role);
+  }
+
+  // Change a member's role
+  async updateRole(patientId, userId, role) {
+    if (!PatientMember.isValidRole(role)) {
+      throw new Error(`Validation failed: Role must be one of: ${PatientMember.getRoles().join(', ')}`);
+    }
+
+    const updateQuery = `
+      UPDATE patient_members SET role = $3
+      WHERE patient_id = $1 AND user_id = $2
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery, [patientId, userId, role]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Member not found');
+    }
+
+    return PatientMember.fromDbRow(result.rows[0]);
+  }
+
+  // Remove a user from a patient
+  async delete(patientId, userId) {
+    const result = await query(
+      'DELETE FROM patient_members WHERE patient_id = $1 AND user_id = $2 RETURNING id',
+      [patientId, userId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = PatientMemberRepository;
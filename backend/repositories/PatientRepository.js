@@ -0,0 +1,163 @@
+const { query, transaction } = require('../config/database');
+const Patient = require('../models/Patient');
+
+class PatientRepository {
+  // Create a new patient profile
+  async create(patientData) {
+    const patient = new Patient(patientData);
+    const validation = patient.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = patient.toDbFormat();
+
+    const insertQuery = `
+      INSERT INTO patients (owner_id, name, date_of_birth, notes, timezone)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    try {
+      return await transaction(async (client) => {
+        const result = await client.query(insertQuery, [
+          dbData.owner_id,
+          dbData.name,
+          dbData.date_of_birth,
+          dbData.notes,
+          dbData.timezone
+        ]);
+
+        // The creator is the first owner of the patient
+        await client.query(
+          `INSERT INTO patient_members (patient_id, user_id, role) VALUES ($1, $2, 'owner')`,
+          [result.rows[0].id, dbData.owner_id]
+        );
+
+        const created = Patient.fromDbRow(result.rows[0]);
+        created.role = 'owner';
+        return created;
+      });
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Invalid owner_id provided');
+      }
+      throw error;
+    }
+  }
+
+  // Find patient by ID
+  async findById(id) {
+    const result = await query('SELECT * FROM patients WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return Patient.fromDbRow(result.rows[0]);
+  }
+
+  // Find a patient together with the user's role, or null when the user is not a member
+  async findByIdForUser(id, userId) {
+    const selectQuery = `
+      SELECT p.*, pm.role
+      FROM patients p
+      JOIN patient_members pm ON pm.patient_id = p.id AND pm.user_id = $2
+      WHERE p.id = $1
+    `;
+
+    const result = await query(selectQuery, [id, userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const patient = Patient.fromDbRow(result.rows[0]);
+    patient.role = result.rows[0].role;
+    return patient;
+  }
+
+  // Find the first patient a user created, with the user's role, or null when there is none
+  async findFirstOwnedBy(userId) {
+    const selectQuery = `
+      SELECT p.*, pm.role
+      FROM patients p
+      JOIN patient_members pm ON pm.patient_id = p.id AND pm.user_id = p.owner_id
+      WHERE p.owner_id = $1
+      ORDER BY p.id ASC
+      LIMIT 1
+    `;
+
+    const result = await query(selectQuery, [userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const patient = Patient.fromDbRow(result.rows[0]);
+    patient.role = result.rows[0].role;
+    return patient;
+  }
+
+  // Find all patients a user is a member of, with their role and active medication count
+  async findByUserId(userId) {
+    const selectQuery = `
+      SELECT p.*, pm.role,
+             COUNT(m.id) FILTER (WHERE m.end_date IS NULL OR m.end_date >= CURRENT_DATE) as active_medications
+      FROM patients p
+      JOIN patient_members pm ON pm.patient_id = p.id AND pm.user_id = $1
+      LEFT JOIN medications m ON m.patient_id = p.id
+      GROUP BY p.id, pm.role
+      ORDER BY p.name ASC
+    `;
+
+    const result = await query(selectQuery, [userId]);
+
+    return result.rows.map(row => {
+      const patient = Patient.fromDbRow(row);
+      patient.role = row.role;
+      patient.active_medications = parseInt(row.active_medications) || 0;
+      return patient;
+    });
+  }
+
+  // Update patient details
+  async update(id, patientData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Patient not found');
+    }
+
+    // Ownership cannot be changed through an update
+    const patient = new Patient({ ...existing, ...patientData, id, owner_id: existing.owner_id });
+    const validation = patient.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = patient.toDbFormat();
+
+    const updateQuery = `
+      UPDATE patients SET
+        name = $2,
+        date_of_birth = $3,
+        notes = $4,
+        timezone = $5
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery, [id, dbData.name, dbData.date_of_birth, dbData.notes, dbData.timezone]);
+    return Patient.fromDbRow(result.rows[0]);
+  }
+
+  // Delete patient (medications and notifications cascade)
+  async delete(id) {
+    const result = await query('DELETE FROM patients WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = PatientRepository;
@@ -0,0 +1,92 @@
+const { query } = require('../config/database');
+const Pharmacy = require('../models/Pharmacy');
+
+class PharmacyRepository {
+  // Create a new pharmacy
+  async create(pharmacyData) {
+    const pharmacy = new Pharmacy(pharmacyData);
+    const validation = pharmacy.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = pharmacy.toDbFormat();
+    const insertQuery = `
+      INSERT INTO pharmacies (name, address, phone, hours)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const result = await query(insertQuery, [dbData.name, dbData.address, dbData.phone, dbData.hours]);
+    return Pharmacy.fromDbRow(result.rows[0]);
+  }
+
+  // Find pharmacy by ID
+  async findById(id) {
+    const result = await query('SELECT * FROM pharmacies WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return Pharmacy.fromDbRow(result.rows[0]);
+  }
+
+  // Find all pharmacies by name, with how many medications prefer each
+  async findAll() {
+    const selectQuery = `
+      SELECT ph.*, COUNT(m.id) AS medication_count
+      FROM pharmacies ph
+      LEFT JOIN medications m ON m.pharmacy_id = ph.id
+      GROUP BY ph.id
+      ORDER BY LOWER(ph.name) ASC, ph.id ASC
+    `;
+
+    const result = await query(selectQuery);
+
+    return result.rows.map(row => {
+      const pharmacy = Pharmacy.fromDbRow(row);
+      pharmacy.medication_count = parseInt(row.medication_count);
+      return pharmacy;
+    });
+  }
+
+  // Update pharmacy; returns null when it does not exist
+  async update(id, pharmacyData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const pharmacy = new Pharmacy({ ...existing, ...pharmacyData, id });
+    const validation = pharmacy.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = pharmacy.toDbFormat();
+    const updateQuery = `
+      UPDATE pharmacies SET
+        name = $2,
+        address = $3,
+        phone = $4,
+        hours = $5,
+        updated_at = now()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery, [id, dbData.name, dbData.address, dbData.phone, dbData.hours]);
+    return Pharmacy.fromDbRow(result.rows[0]);
+  }
+
+  // Delete pharmacy; medications that preferred it are kept without a preferred pharmacy
+  async delete(id) {
+    const result = await query('DELETE FROM pharmacies WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = PharmacyRepository;
@@ -0,0 +1,92 @@
+const { query } = require('../config/database');
+const Prescriber = require('../models/Prescriber');
+
+class PrescriberRepository {
+  // Create a new prescriber
+  async create(prescriberData) {
+    const prescriber = new Prescriber(prescriberData);
+    const validation = prescriber.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = prescriber.toDbFormat();
+    const insertQuery = `
+      INSERT INTO prescribers (name, practice, phone, email)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const result = await query(insertQuery, [dbData.name, dbData.practice, dbData.phone, dbData.email]);
+    return Prescriber.fromDbRow(result.rows[0]);
+  }
+
+  // Find prescriber by ID
+  async findById(id) {
+    const result = await query('SELECT * FROM prescribers WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return Prescriber.fromDbRow(result.rows[0]);
+  }
+
+  // Find all prescribers by name, with how many prescriptions each has written
+  async findAll() {
+    const selectQuery = `
+      SELECT pr.*, COUNT(rx.id) AS prescription_count
+      FROM prescribers pr
+      LEFT JOIN prescriptions rx ON rx.prescriber_id = pr.id
+      GROUP BY pr.id
+      ORDER BY LOWER(pr.name) ASC, pr.id ASC
+    `;
+
+    const result = await query(selectQuery);
+
+    return result.rows.map(row => {
+      const prescriber = Prescriber.fromDbRow(row);
+      prescriber.prescription_count = parseInt(row.prescription_count);
+      return prescriber;
+    });
+  }
+
+  // Update prescriber; returns null when it does not exist
+  async update(id, prescriberData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const prescriber = new Prescriber({ ...existing, ...prescriberData, id });
+    const validation = prescriber.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = prescriber.toDbFormat();
+    const updateQuery = `
+      UPDATE prescribers SET
+        name = $2,
+        practice = $3,
+        phone = $4,
+        email = $5,
+        updated_at = now()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await query(updateQuery, [id, dbData.name, dbData.practice, dbData.phone, dbData.email]);
+    return Prescriber.fromDbRow(result.rows[0]);
+  }
+
+  // Delete prescriber; their prescriptions are kept without a prescriber
+  async delete(id) {
+    const result = await query('DELETE FROM prescribers WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = PrescriberRepository;
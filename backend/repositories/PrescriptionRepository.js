@@ -0,0 +1,227 @@
+const { query, transaction } = require('../config/database');
+const Prescription = require('../models/Prescription');
+const NotificationRepository = require('./NotificationRepository');
+const { resolveTimezone } = require('../config/timezone');
+
+// Prescriptions with the name of their prescriber
+const SELECT_PRESCRIPTIONS = `
+  SELECT rx.*, pr.name AS prescriber_name
+  FROM prescriptions rx
+  LEFT JOIN prescribers pr ON rx.prescriber_id = pr.id
+`;
+
+// A medication's prescriptions, the current (last issued) one first
+const ORDER_CURRENT_FIRST = 'ORDER BY rx.issue_date DESC, rx.id DESC';
+
+class PrescriptionRepository {
+  constructor() {
+    this.notificationRepository = new NotificationRepository();
+  }
+
+  // Create a prescription. It becomes the medication's current prescription when it is
+  // the last issued, so the medication's open renewal notifications are resolved.
+  async create(prescriptionData) {
+    const prescription = new Prescription(prescriptionData);
+    const validation = prescription.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = prescription.toDbFormat();
+
+    const created = await transaction(async (client) => {
+      const insertQuery = `
+        INSERT INTO prescriptions (
+          medicine_id, prescriber_id, prescription_number, issue_date, expiry_date,
+          authorized_refills, refills_used, notes
+        ) VALUES ($1, $2, $3, COALESCE($4, CURRENT_DATE), $5, $6, $7, $8)
+        RETURNING id
+      `;
+
+      const result = await client.query(insertQuery, [
+        dbData.medicine_id,
+        dbData.prescriber_id,
+        dbData.prescription_number,
+        dbData.issue_date,
+        dbData.expiry_date,
+        dbData.authorized_refills,
+        dbData.refills_used,
+        dbData.notes
+      ]);
+
+      const current = await this.findCurrentByMedicationId(dbData.medicine_id, client);
+      if (current && current.id === result.rows[0].id) {
+        await this.notificationRepository.resolvePrescriptionRenewal(dbData.medicine_id, 'renewed', client);
+      }
+
+      return result.rows[0].id;
+    });
+
+    return await this.findById(created);
+  }
+
+  // Find prescription by ID
+  async findById(id) {
+    const result = await query(`${SELECT_PRESCRIPTIONS} WHERE rx.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.withDetails(result.rows[0]);
+  }
+
+  // Find the prescriptions of a medication, the current one first
+  async findByMedicationId(medicineId) {
+    const result = await query(
+      `${SELECT_PRESCRIPTIONS} WHERE rx.medicine_id = $1 ${ORDER_CURRENT_FIRST}`,
+      [medicineId]
+    );
+
+    return result.rows.map(row => this.withDetails(row));
+  }
+
+  // Find the prescription a medication is currently on (the last issued), or null;
+  // runs on the caller's transaction client when given
+  async findCurrentByMedicationId(medicineId, client = null) {
+    const selectQuery = `${SELECT_PRESCRIPTIONS} WHERE rx.medicine_id = $1 ${ORDER_CURRENT_FIRST} LIMIT 1`;
+    const result = client ? await client.query(selectQuery, [medicineId]) : await query(selectQuery, [medicineId]);
+
+    return result.rows.length > 0 ? this.withDetails(result.rows[0]) : null;
+  }
+
+  // Update the details of a prescription
+  async update(id, prescriptionData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Prescription not found');
+    }
+
+    const prescription = new Prescription({ ...existing, ...prescriptionData, id, medicine_id: existing.medicine_id });
+    const validation = prescription.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = prescription.toDbFormat();
+    const updateQuery = `
+      UPDATE prescriptions SET
+        prescriber_id = $2,
+        prescription_number = $3,
+        issue_date = COALESCE($4, issue_date),
+        expiry_date = $5,
+        authorized_refills = $6,
+        refills_used = $7,
+        notes = $8,
+        updated_at = now()
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    await query(updateQuery, [
+      id,
+      dbData.prescriber_id,
+      dbData.prescription_number,
+      dbData.issue_date,
+      dbData.expiry_date,
+      dbData.authorized_refills,
+      dbData.refills_used,
+      dbData.notes
+    ]);
+
+    return await this.findById(id);
+  }
+
+  // Delete prescription; refills filled on it are kept
+  async delete(id) {
+    const result = await query('DELETE FROM prescriptions WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  // Use one refill of a medication's prescription for a refill on a date (YYYY-MM-DD), on the
+  // caller's transaction. Without a prescription ID the current prescription is used, and
+  // medications without any prescription are refilled without one (returns null).
+  async useRefill(client, medicineId, prescriptionId, date) {
+    const selectQuery = prescriptionId
+      ? `${SELECT_PRESCRIPTIONS} WHERE rx.id = $2 AND rx.medicine_id = $1 FOR UPDATE OF rx`
+      : `${SELECT_PRESCRIPTIONS} WHERE rx.medicine_id = $1 ${ORDER_CURRENT_FIRST} LIMIT 1 FOR UPDATE OF rx`;
+
+    const result = await client.query(selectQuery, prescriptionId ? [medicineId, prescriptionId] : [medicineId]);
+
+    if (result.rows.length === 0) {
+      if (prescriptionId) {
+        throw new Error('Validation failed: Prescription not found for this medication');
+      }
+      return null;
+    }
+
+    const prescription = this.withDetails(result.rows[0]);
+    const refillError = prescription.getRefillError(date);
+    if (refillError) {
+      throw new Error(`Validation failed: ${refillError}`);
+    }
+
+    await client.query(
+      'UPDATE prescriptions SET refills_used = refills_used + 1, updated_at = now() WHERE id = $1',
+      [prescription.id]
+    );
+
+    prescription.refills_used++;
+    prescription.refills_remaining = prescription.getRefillsRemaining();
+    return prescription;
+  }
+
+  // Give back the refill a removed refill used, on the caller's transaction
+  async returnRefill(client, prescriptionId) {
+    await client.query(
+      'UPDATE prescriptions SET refills_used = GREATEST(refills_used - 1, 0), updated_at = now() WHERE id = $1',
+      [prescriptionId]
+    );
+  }
+
+  // Current prescriptions that are out of refills or expire by a date, of medications
+  // started by `activeBy` that have not ended before `activeFrom`
+  async findNeedingRenewal(expiringBy, activeBy, activeFrom) {
+    const selectQuery = `
+      SELECT * FROM (
+        SELECT DISTINCT ON (rx.medicine_id)
+          rx.*, pr.name AS prescriber_name,
+          m.name AS medication_name, m.strength AS medication_strength,
+          m.patient_id, p.timezone AS patient_timezone
+        FROM prescriptions rx
+        JOIN medications m ON rx.medicine_id = m.id
+        LEFT JOIN prescribers pr ON rx.prescriber_id = pr.id
+        LEFT JOIN patients p ON m.patient_id = p.id
+        WHERE m.start_date <= $2
+          AND (m.end_date IS NULL OR m.end_date >= $3)
+        ORDER BY rx.medicine_id, rx.issue_date DESC, rx.id DESC
+      ) current
+      WHERE current.refills_used >= current.authorized_refills
+         OR current.expiry_date <= $1
+      ORDER BY current.expiry_date ASC NULLS LAST, current.id ASC
+    `;
+
+    const result = await query(selectQuery, [expiringBy, activeBy, activeFrom]);
+
+    return result.rows.map(row => {
+      const prescription = this.withDetails(row);
+      prescription.medication_name = row.medication_name;
+      prescription.medication_strength = row.medication_strength;
+      prescription.patient_id = row.patient_id;
+      prescription.timezone = resolveTimezone(row.patient_timezone);
+      return prescription;
+    });
+  }
+
+  // Build a prescription from a row joined with its prescriber
+  withDetails(row) {
+    const prescription = Prescription.fromDbRow(row);
+    prescription.prescriber_name = row.prescriber_name || null;
+    prescription.refills_remaining = prescription.getRefillsRemaining();
+    return prescription;
+  }
+}
+
+module.exports = PrescriptionRepository;
@@ -0,0 +1,268 @@
+const { query, transaction } = require('../config/database');
+const Refill = require('../models/Refill');
+const InventoryLot = require('../models/InventoryLot');
+const InventoryLotRepository = require('./InventoryLotRepository');
+const NotificationRepository = require('./NotificationRepository');
+const PrescriptionRepository = require('./PrescriptionRepository');
+const { toLocalDateString } = require('../config/timezone');
+
+// Refills with the lot number and expiry date of the lot they were received into
+const SELECT_REFILLS = `
+  SELECT r.*, l.lot_number, l.expiry_date
+  FROM refills r
+  LEFT JOIN inventory_lots l ON r.lot_id = l.id
+`;
+
+// Values and condition limiting refill spend to dates and to one patient's medications
+// (patient_id) or to those of the patients a user is a member of (accessible_by)
+const buildSpendFilter = ({ start_date, end_date, patient_id = null, accessible_by = null }) => {
+  if (patient_id) {
+    return { values: [start_date, end_date, patient_id], condition: 'AND m.patient_id = $3' };
+  }
+
+  if (accessible_by) {
+    return {
+      values: [start_date, end_date, accessible_by],
+      condition: `AND m.patient_id IN (
+          SELECT patient_id FROM patient_members WHERE user_id = $3
+        )`
+    };
+  }
+
+  return { values: [start_date, end_date], condition: '' };
+};
+
+class RefillRepository {
+  constructor() {
+    this.inventoryLotRepository = new InventoryLotRepository();
+    this.notificationRepository = new NotificationRepository();
+    this.prescriptionRepository = new PrescriptionRepository();
+  }
+
+  // Record a refill: its stock is received as a new lot (with the lot number and expiry
+  // date from lotData, priced at the refill's cost per dose unit), added to the
+  // medication's stock, and any open buy-soon notification for the medication is resolved.
+  // The refill uses one refill of its prescription: the one given by prescription_id, or
+  // the medication's current prescription when none is given (an explicit null fills it
+  // without a prescription). Returns the refill, the prescription with its refills
+  // remaining (null without one) and the notifications it resolved.
+  async create(refillData, lotData = {}, userId = null) {
+    const withoutPrescription = refillData.prescription_id === null;
+    const refill = new Refill({ ...refillData, user_id: userId });
+    const lot = new InventoryLot({
+      medicine_id: refill.medicine_id,
+      quantity: refill.quantity,
+      lot_number: lotData.lot_number,
+      expiry_date: lotData.expiry_date || null,
+      received_date: refill.refill_date,
+      unit_price: refill.getUnitPrice()
+    });
+
+    // The lot shares the refill's medication, quantity and date, so only its own details add errors
+    const errors = [
+      ...refill.validate().errors,
+      ...lot.validate().errors.filter(e => ['lot_number', 'expiry_date'].includes(e.field))
+    ];
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.map(e => e.message).join(', ')}`);
+    }
+
+    return await transaction(async (client) => {
+      const prescription = withoutPrescription ? null : await this.prescriptionRepository.useRefill(
+        client,
+        refill.medicine_id,
+        refill.prescription_id,
+        refill.refill_date || toLocalDateString()
+      );
+      refill.prescription_id = prescription ? prescription.id : null;
+
+      const receivedLot = await this.inventoryLotRepository.insert(client, lot, userId, 'Refilled into lot');
+      const dbData = refill.toDbFormat();
+
+      const insertQuery = `
+        INSERT INTO refills (
+          medicine_id, lot_id, refill_date, quantity, pharmacy, cost,
+          prescription_reference, notes, user_id, prescription_id
+        ) VALUES ($1, $2, COALESCE($3, CURRENT_DATE), $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `;
+
+      const result = await client.query(insertQuery, [
+        dbData.medicine_id,
+        receivedLot.id,
+        dbData.refill_date,
+        dbData.quantity,
+        dbData.pharmacy,
+        dbData.cost,
+        dbData.prescription_reference,
+        dbData.notes,
+        dbData.user_id,
+        dbData.prescription_id
+      ]);
+
+      const resolvedNotifications = await this.notificationRepository.resolveBuySoon(refill.medicine_id, 'refilled', client);
+
+      return {
+        refill: this.withLot(Refill.fromDbRow(result.rows[0]), receivedLot),
+        prescription,
+        resolved_notifications: resolvedNotifications
+      };
+    });
+  }
+
+  // Find refill by ID
+  async findById(id) {
+    const result = await query(`${SELECT_REFILLS} WHERE r.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.withLot(Refill.fromDbRow(result.rows[0]), InventoryLot.fromDbRow(result.rows[0]));
+  }
+
+  // Find the refills of a medication, newest first
+  async findByMedicationId(medicineId) {
+    const result = await query(
+      `${SELECT_REFILLS} WHERE r.medicine_id = $1 ORDER BY r.refill_date DESC, r.id DESC`,
+      [medicineId]
+    );
+
+    return result.rows.map(row => this.withLot(Refill.fromDbRow(row), InventoryLot.fromDbRow(row)));
+  }
+
+  // Update the details of a refill. Its quantity is not changed here: the stock it
+  // brought in is corrected through its lot. A changed cost reprices the lot.
+  async update(id, refillData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Refill not found');
+    }
+
+    const refill = new Refill({ ...existing, ...refillData, id, medicine_id: existing.medicine_id, quantity: existing.quantity });
+    const validation = refill.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = refill.toDbFormat();
+    const updateQuery = `
+      UPDATE refills SET
+        refill_date = COALESCE($2, refill_date),
+        pharmacy = $3,
+        cost = $4,
+        prescription_reference = $5,
+        notes = $6,
+        updated_at = now()
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    await query(updateQuery, [
+      id,
+      dbData.refill_date,
+      dbData.pharmacy,
+      dbData.cost,
+      dbData.prescription_reference,
+      dbData.notes
+    ]);
+
+    if (existing.lot_id && refill.cost !== existing.cost) {
+      await query(
+        'UPDATE inventory_lots SET unit_price = $2, updated_at = now() WHERE id = $1',
+        [existing.lot_id, refill.getUnitPrice()]
+      );
+    }
+
+    return await this.findById(id);
+  }
+
+  // Delete a refill recorded by mistake, with its lot and whatever the lot still holds.
+  // The refill it used is given back to its prescription.
+  async delete(id, userId = null) {
+    return await transaction(async (client) => {
+      const result = await client.query('DELETE FROM refills WHERE id = $1 RETURNING *', [id]);
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      const deleted = Refill.fromDbRow(result.rows[0]);
+      if (deleted.lot_id) {
+        await this.inventoryLotRepository.remove(client, deleted.lot_id, userId, 'Removed refill lot');
+      }
+
+      if (deleted.prescription_id) {
+        await this.prescriptionRepository.returnRefill(client, deleted.prescription_id);
+      }
+
+      return true;
+    });
+  }
+
+  // Refill spend per month (YYYY-MM) between two dates, optionally of one patient's
+  // medications or only those a user can access. Refills without a cost are counted but add
+  // nothing to the spend.
+  async getSpendByMonth(filters) {
+    const { values, condition } = buildSpendFilter(filters);
+    const result = await query(`
+      SELECT to_char(r.refill_date, 'YYYY-MM') AS month,
+             COALESCE(SUM(r.cost), 0) AS total_cost,
+             COUNT(*) AS refill_count,
+             COUNT(*) - COUNT(r.cost) AS unpriced_count
+      FROM refills r
+      JOIN medications m ON r.medicine_id = m.id
+      WHERE r.refill_date BETWEEN $1 AND $2
+        ${condition}
+      GROUP BY month
+      ORDER BY month ASC
+    `, values);
+
+    return result.rows.map(row => ({
+      month: row.month,
+      total_cost: parseFloat(row.total_cost),
+      refill_count: parseInt(row.refill_count),
+      unpriced_count: parseInt(row.unpriced_count)
+    }));
+  }
+
+  // Refill spend per medication between two dates, the most spent on first
+  async getSpendByMedication(filters) {
+    const { values, condition } = buildSpendFilter(filters);
+    const result = await query(`
+      SELECT m.id AS medication_id, m.name AS medication_name, m.strength AS medication_strength,
+             m.dose_unit,
+             COALESCE(SUM(r.cost), 0) AS total_cost,
+             SUM(r.quantity) AS total_quantity,
+             COUNT(*) AS refill_count,
+             COUNT(*) - COUNT(r.cost) AS unpriced_count
+      FROM refills r
+      JOIN medications m ON r.medicine_id = m.id
+      WHERE r.refill_date BETWEEN $1 AND $2
+        ${condition}
+      GROUP BY m.id
+      ORDER BY total_cost DESC, m.name ASC
+    `, values);
+
+    return result.rows.map(row => ({
+      medication_id: row.medication_id,
+      medication_name: row.medication_name,
+      medication_strength: row.medication_strength || null,
+      dose_unit: row.dose_unit,
+      total_cost: parseFloat(row.total_cost),
+      total_quantity: parseFloat(row.total_quantity),
+      refill_count: parseInt(row.refill_count),
+      unpriced_count: parseInt(row.unpriced_count)
+    }));
+  }
+
+  // Add the lot number and expiry date of the refill's lot (null once the lot is gone)
+  withLot(refill, lot) {
+    refill.lot_number = refill.lot_id ? lot.lot_number || null : null;
+    refill.expiry_date = refill.lot_id ? lot.expiry_date || null : null;
+    return refill;
+  }
+}
+
+module.exports = RefillRepository;
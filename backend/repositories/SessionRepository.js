@@ -0,0 +1,62 @@
+const { query } = require('../config/database');
+const User = require('../models/User');
+
+class SessionRepository {
+  // Create a session for a user
+  async create(userId, tokenHash, expiresAt, userAgent = null) {
+    const insertQuery = `
+      INSERT INTO user_sessions (user_id, token_hash, expires_at, user_agent)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const result = await query(insertQuery, [userId, tokenHash, expiresAt, userAgent]);
+    return result.rows[0];
+  }
+
+  // Find the user for an unexpired session and mark the session as used
+  async findUserByTokenHash(tokenHash) {
+    const selectQuery = `
+      UPDATE user_sessions s
+      SET last_used_at = now()
+      FROM users u
+      WHERE s.user_id = u.id
+        AND s.token_hash = $1
+        AND s.expires_at > now()
+      RETURNING u.*, s.id as session_id, s.expires_at as session_expires_at
+    `;
+
+    const result = await query(selectQuery, [tokenHash]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      user: User.fromDbRow(row),
+      session_id: row.session_id,
+      expires_at: row.session_expires_at
+    };
+  }
+
+  // Delete a session (logout)
+  async deleteByTokenHash(tokenHash) {
+    const result = await query('DELETE FROM user_sessions WHERE token_hash = $1 RETURNING id', [tokenHash]);
+    return result.rows.length > 0;
+  }
+
+  // Delete all sessions for a user
+  async deleteByUserId(userId) {
+    const result = await query('DELETE FROM user_sessions WHERE user_id = $1 RETURNING id', [userId]);
+    return result.rows.length;
+  }
+
+  // Remove expired sessions
+  async deleteExpired() {
+    const result = await query('DELETE FROM user_sessions WHERE expires_at <= now() RETURNING id');
+    return result.rows.length;
+  }
+}
+
+module.exports = SessionRepository;
@@ -0,0 +1,168 @@
+const { query, transaction } = require('../config/database');
+const StockTake = require('../models/StockTake');
+const InventoryLotRepository = require('./InventoryLotRepository');
+const StorageLocationRepository = require('./StorageLocationRepository');
+
+// Amounts have two decimals; keep float differences from drifting
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Counts of a stock-take, from the INVENTORY_RECONCILED audit entries it logged
+const SELECT_COUNTS = `
+  SELECT al.medicine_id, m.name AS medication_name, m.dose_unit,
+         al.old_values->>'total_tablets' AS expected_quantity,
+         al.new_values->>'total_tablets' AS counted_quantity,
+         al.quantity_change AS discrepancy
+  FROM audit_logs al
+  LEFT JOIN medications m ON al.medicine_id = m.id
+  WHERE al.action = 'INVENTORY_RECONCILED' AND al.new_values->>'stock_take_id' = $1::text
+  ORDER BY m.name ASC
+`;
+
+class StockTakeRepository {
+  constructor() {
+    this.inventoryLotRepository = new InventoryLotRepository();
+    this.storageLocationRepository = new StorageLocationRepository();
+  }
+
+  // Record a stock-take. Every counted medication's stock is set to its count (a lower
+  // count comes out of the lots that expire first) and the discrepancy from the expected
+  // stock is logged as INVENTORY_RECONCILED. Counts are in dose units; the whole
+  // stock-take is recorded or none of it.
+  async create(stockTakeData, userId = null) {
+    const stockTake = new StockTake({ ...stockTakeData, user_id: userId });
+    const validation = stockTake.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    return await transaction(async (client) => {
+      const dbData = stockTake.toDbFormat();
+      const result = await client.query(
+        'INSERT INTO stock_takes (patient_id, notes, user_id) VALUES ($1, $2, $3) RETURNING *',
+        [dbData.patient_id, dbData.notes, dbData.user_id]
+      );
+      const created = StockTake.fromDbRow(result.rows[0]);
+
+      for (const count of stockTake.counts) {
+        // Lock the medication so a dose given meanwhile is not lost from the expected stock
+        const medicationResult = await client.query(
+          'SELECT id, name, dose_unit, total_tablets FROM medications WHERE id = $1 FOR UPDATE',
+          [count.medication_id]
+        );
+        if (medicationResult.rows.length === 0) {
+          throw new Error('Medication not found');
+        }
+
+        const medication = medicationResult.rows[0];
+        const expected = parseFloat(medication.total_tablets);
+        const discrepancy = roundAmount(count.counted_quantity - expected);
+
+        await client.query(
+          'UPDATE medications SET total_tablets = $2, updated_at = now() WHERE id = $1',
+          [medication.id, count.counted_quantity]
+        );
+
+        const lots = await this.inventoryLotRepository.trimToTotal(medication.id, count.counted_quantity, client);
+        const locations = await this.storageLocationRepository.trimToTotal(medication.id, count.counted_quantity, client);
+
+        await client.query(`
+          INSERT INTO audit_logs (medicine_id, action, old_values, new_values, quantity_change, user_id, created_at)
+          VALUES ($1, 'INVENTORY_RECONCILED', $2, $3, $4, $5, now())
+        `, [
+          medication.id,
+          JSON.stringify({ total_tablets: expected }),
+          JSON.stringify({
+            total_tablets: count.counted_quantity,
+            stock_take_id: created.id,
+            ...(lots.length > 0 && { lots }),
+            ...(locations.length > 0 && { locations })
+          }),
+          discrepancy,
+          userId
+        ]);
+
+        created.counts.push({
+          medication_id: medication.id,
+          medication_name: medication.name,
+          dose_unit: medication.dose_unit,
+          expected_quantity: expected,
+          counted_quantity: count.counted_quantity,
+          discrepancy
+        });
+      }
+
+      return created;
+    });
+  }
+
+  // Find a stock-take with its counts
+  async findById(id) {
+    const result = await query('SELECT * FROM stock_takes WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const stockTake = StockTake.fromDbRow(result.rows[0]);
+    const counts = await query(SELECT_COUNTS, [id]);
+    stockTake.counts = counts.rows.map(row => this.formatCount(row));
+
+    return stockTake;
+  }
+
+  // Find stock-takes, newest first, with how many medications they counted and how many
+  // of those were off. With accessible_by, only the stock-takes of the user's patients and
+  // the unassigned ones they recorded, which may count any medication they can manage
+  async findAll(options = {}) {
+    const values = [];
+    let whereClause = '';
+
+    if (options.patient_id) {
+      values.push(options.patient_id);
+      whereClause = `WHERE st.patient_id = $${values.length}`;
+    } else if (options.accessible_by) {
+      values.push(options.accessible_by);
+      whereClause = `WHERE (st.patient_id IN (
+          SELECT patient_id FROM patient_members WHERE user_id = $${values.length}
+        ) OR (st.patient_id IS NULL AND st.user_id = $${values.length}))`;
+    }
+
+    values.push(options.limit || 50);
+
+    const result = await query(`
+      SELECT st.*,
+             COUNT(al.id) AS medication_count,
+             COUNT(CASE WHEN al.quantity_change <> 0 THEN 1 END) AS discrepancy_count
+      FROM stock_takes st
+      LEFT JOIN audit_logs al
+        ON al.action = 'INVENTORY_RECONCILED' AND al.new_values->>'stock_take_id' = st.id::text
+      ${whereClause}
+      GROUP BY st.id
+      ORDER BY st.created_at DESC, st.id DESC
+      LIMIT $${values.length}
+    `, values);
+
+    return result.rows.map(row => {
+      const stockTake = StockTake.fromDbRow(row);
+      delete stockTake.counts;
+      stockTake.medication_count = parseInt(row.medication_count);
+      stockTake.discrepancy_count = parseInt(row.discrepancy_count);
+      return stockTake;
+    });
+  }
+
+  // A counted medication of a stock-take
+  formatCount(row) {
+    return {
+      medication_id: row.medicine_id,
+      medication_name: row.medication_name || null,
+      dose_unit: row.dose_unit || null,
+      expected_quantity: parseFloat(row.expected_quantity),
+      counted_quantity: parseFloat(row.counted_quantity),
+      discrepancy: parseFloat(row.discrepancy)
+    };
+  }
+}
+
+module.exports = StockTakeRepository;
@@ -0,0 +1,286 @@
+const { query, transaction } = require('../config/database');
+const StorageLocation = require('../models/StorageLocation');
+
+// A medication's stock at its locations in the order it is used when no location is
+// chosen: the default location first, then by name
+const STOCK_ORDER = 'sl.is_default DESC, LOWER(sl.name) ASC, sl.id ASC';
+
+const SELECT_STOCK = `
+  SELECT ls.medicine_id, ls.location_id, ls.quantity, sl.name AS location_name, sl.is_default
+  FROM location_stock ls
+  JOIN storage_locations sl ON ls.location_id = sl.id
+`;
+
+const fromStockRow = (row) => ({
+  location_id: row.location_id,
+  location_name: row.location_name,
+  is_default: row.is_default,
+  quantity: parseFloat(row.quantity)
+});
+
+class StorageLocationRepository {
+  // Create a new location; a new default location replaces the previous one
+  async create(locationData) {
+    const location = new StorageLocation(locationData);
+    const validation = location.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = location.toDbFormat();
+
+    return await transaction(async (client) => {
+      if (dbData.is_default) {
+        await client.query(
+          'UPDATE storage_locations SET is_default = false WHERE is_default AND patient_id = $1',
+          [dbData.patient_id]
+        );
+      }
+
+      const result = await client.query(
+        `INSERT INTO storage_locations (patient_id, name, description, is_default)
+        VALUES ($1, $2, $3, $4) RETURNING *`,
+        [dbData.patient_id, dbData.name, dbData.description, dbData.is_default]
+      );
+
+      return StorageLocation.fromDbRow(result.rows[0]);
+    });
+  }
+
+  // Find location by ID
+  async findById(id) {
+    const result = await query('SELECT * FROM storage_locations WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return StorageLocation.fromDbRow(result.rows[0]);
+  }
+
+  // Find the locations of a patient (patient_id) or of the patients a user is a member of
+  // (accessible_by), the default first and then by name, with how many medications have
+  // stock at each
+  async findAll(options = {}) {
+    const values = [];
+    let scopeCondition = '';
+
+    if (options.patient_id) {
+      values.push(options.patient_id);
+      scopeCondition = `WHERE sl.patient_id = $${values.length}`;
+    } else if (options.accessible_by) {
+      values.push(options.accessible_by);
+      scopeCondition = `WHERE sl.patient_id IN (
+        SELECT patient_id FROM patient_members WHERE user_id = $${values.length}
+      )`;
+    }
+
+    const selectQuery = `
+      SELECT sl.*, COUNT(ls.medicine_id) FILTER (WHERE ls.quantity > 0) AS medication_count
+      FROM storage_locations sl
+      LEFT JOIN location_stock ls ON ls.location_id = sl.id
+      ${scopeCondition}
+      GROUP BY sl.id
+      ORDER BY ${STOCK_ORDER}
+    `;
+
+    const result = await query(selectQuery, values);
+
+    return result.rows.map(row => {
+      const location = StorageLocation.fromDbRow(row);
+      location.medication_count = parseInt(row.medication_count);
+      return location;
+    });
+  }
+
+  // Update location; returns null when it does not exist. A location stays with its patient.
+  async update(id, locationData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const location = new StorageLocation({ ...existing, ...locationData, id, patient_id: existing.patient_id });
+    const validation = location.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = location.toDbFormat();
+
+    return await transaction(async (client) => {
+      if (dbData.is_default) {
+        await client.query(
+          'UPDATE storage_locations SET is_default = false WHERE is_default AND patient_id = $1 AND id <> $2',
+          [dbData.patient_id, id]
+        );
+      }
+
+      const updateQuery = `
+        UPDATE storage_locations SET
+          name = $2,
+          description = $3,
+          is_default = $4,
+          updated_at = now()
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      const result = await client.query(updateQuery, [id, dbData.name, dbData.description, dbData.is_default]);
+      return StorageLocation.fromDbRow(result.rows[0]);
+    });
+  }
+
+  // Delete location; the stock it held becomes unassigned
+  async delete(id) {
+    const result = await query('DELETE FROM storage_locations WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  // Stock of a medication at the locations it is kept at, in the order it is used
+  async findStockByMedicationId(medicineId) {
+    const result = await query(`${SELECT_STOCK} WHERE ls.medicine_id = $1 ORDER BY ${STOCK_ORDER}`, [medicineId]);
+    return result.rows.map(fromStockRow);
+  }
+
+  // Stock of the medications kept at a location
+  async findStockByLocationId(locationId) {
+    const result = await query(`${SELECT_STOCK} WHERE ls.location_id = $1`, [locationId]);
+
+    return result.rows.map(row => ({ medicine_id: row.medicine_id, ...fromStockRow(row) }));
+  }
+
+  // Take an amount from one location (the default one when none is given), inside the
+  // caller's transaction. Takes no more than the location holds; returns what was taken.
+  async take(medicineId, locationId, amount, client) {
+    if (!(amount > 0)) {
+      return [];
+    }
+
+    const stocks = await this.lockStock(medicineId, client);
+    const stock = locationId
+      ? stocks.find(s => s.location_id === locationId)
+      : stocks.find(s => s.is_default);
+
+    const allocations = stock ? StorageLocation.allocate([stock], amount) : [];
+    await this.deduct(medicineId, allocations, client);
+
+    return allocations;
+  }
+
+  // Shrink a medication's stock at its locations so they hold no more than its total,
+  // after stock left without a location (a lower count, a removed lot or a dose the chosen
+  // location could not cover). The unassigned stock goes first; returns what was taken.
+  async trimToTotal(medicineId, totalTablets, client) {
+    const stocks = await this.lockStock(medicineId, client);
+    const held = stocks.reduce((sum, stock) => sum + stock.quantity, 0);
+    const excess = Math.round((held - totalTablets) * 100) / 100;
+
+    if (excess <= 0) {
+      return [];
+    }
+
+    const allocations = StorageLocation.allocate(stocks, excess);
+    await this.deduct(medicineId, allocations, client);
+
+    return allocations;
+  }
+
+  // Move stock of a medication between two of its patient's locations, or between a location
+  // and the unassigned stock (a null location), and log it as INVENTORY_TRANSFERRED. The
+  // stock total does not change.
+  async transfer(medicineId, transferData, userId = null) {
+    const { from_location_id = null, to_location_id = null, quantity, notes = null } = transferData;
+
+    return await transaction(async (client) => {
+      const medicationResult = await client.query(
+        'SELECT id, patient_id, total_tablets FROM medications WHERE id = $1 FOR UPDATE',
+        [medicineId]
+      );
+      if (medicationResult.rows.length === 0) {
+        throw new Error('Medication not found');
+      }
+
+      const { patient_id: patientId } = medicationResult.rows[0];
+      const totalTablets = parseFloat(medicationResult.rows[0].total_tablets);
+      const stocks = await this.lockStock(medicineId, client);
+
+      // Other patients' locations are treated as missing
+      const [from, to] = await Promise.all([from_location_id, to_location_id].map(async (id) => {
+        if (id === null) return null;
+
+        const result = await client.query(
+          'SELECT * FROM storage_locations WHERE id = $1 AND patient_id = $2',
+          [id, patientId]
+        );
+        if (result.rows.length === 0) {
+          throw new Error('Validation failed: Location not found');
+        }
+        return StorageLocation.fromDbRow(result.rows[0]);
+      }));
+
+      const available = from
+        ? (stocks.find(s => s.location_id === from.id)?.quantity ?? 0)
+        : StorageLocation.getUnassignedQuantity(totalTablets, stocks);
+
+      if (quantity > available) {
+        throw new Error(`Validation failed: Only ${available} available ${from ? `at ${from.name}` : 'outside the locations'}`);
+      }
+
+      if (from) {
+        await this.deduct(medicineId, [{ location_id: from.id, quantity }], client);
+      }
+
+      if (to) {
+        await client.query(
+          `INSERT INTO location_stock (medicine_id, location_id, quantity)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (medicine_id, location_id)
+          DO UPDATE SET quantity = location_stock.quantity + EXCLUDED.quantity, updated_at = now()`,
+          [medicineId, to.id, quantity]
+        );
+      }
+
+      const transfer = {
+        quantity,
+        from_location_id: from?.id ?? null,
+        from_location: from?.name ?? null,
+        to_location_id: to?.id ?? null,
+        to_location: to?.name ?? null,
+        notes: notes || null
+      };
+
+      await client.query(
+        `INSERT INTO audit_logs (medicine_id, action, quantity_change, new_values, user_id, created_at)
+        VALUES ($1, 'INVENTORY_TRANSFERRED', 0, $2, $3, now())`,
+        [medicineId, JSON.stringify({ total_tablets: totalTablets, ...transfer }), userId]
+      );
+
+      return transfer;
+    });
+  }
+
+  // Lock and read a medication's stock at its locations, inside the caller's transaction
+  async lockStock(medicineId, client) {
+    const result = await client.query(
+      `${SELECT_STOCK} WHERE ls.medicine_id = $1 ORDER BY ${STOCK_ORDER} FOR UPDATE OF ls`,
+      [medicineId]
+    );
+    return result.rows.map(fromStockRow);
+  }
+
+  // Take allocated quantities out of a medication's locations
+  async deduct(medicineId, allocations, client) {
+    for (const { location_id, quantity } of allocations) {
+      await client.query(
+        `UPDATE location_stock SET quantity = GREATEST(quantity - $3, 0), updated_at = now()
+        WHERE medicine_id = $1 AND location_id = $2`,
+        [medicineId, location_id, quantity]
+      );
+    }
+  }
+}
+
+module.exports = StorageLocationRepository;
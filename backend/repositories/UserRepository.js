@@ -0,0 +1,75 @@
+const { query } = require('../config/database');
+const User = require('../models/User');
+
+class UserRepository {
+  // Create a new user (password must already be hashed)
+  async create(userData) {
+    const user = new User(userData);
+    const validation = user.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const dbData = user.toDbFormat();
+
+    const insertQuery = `
+      INSERT INTO users (email, name, password_hash)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(insertQuery, [dbData.email, dbData.name, dbData.password_hash]);
+      return User.fromDbRow(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error('An account with this email already exists');
+      }
+      throw error;
+    }
+  }
+
+  // Find user by ID
+  async findById(id) {
+    const result = await query('SELECT * FROM users WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return User.fromDbRow(result.rows[0]);
+  }
+
+  // Find user by email (case-insensitive)
+  async findByEmail(email) {
+    const result = await query(
+      'SELECT * FROM users WHERE LOWER(email) = $1',
+      [User.normalizeEmail(email)]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return User.fromDbRow(result.rows[0]);
+  }
+
+  // Record a successful login
+  async updateLastLogin(id) {
+    const result = await query(
+      'UPDATE users SET last_login_at = now() WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    return result.rows.length > 0 ? User.fromDbRow(result.rows[0]) : null;
+  }
+
+  // Count registered users
+  async count() {
+    const result = await query('SELECT COUNT(*) as count FROM users');
+    return parseInt(result.rows[0].count);
+  }
+}
+
+module.exports = UserRepository;
@@ -1,11 +1,17 @@
 const express = require('express');
 const AuditLogRepository = require('../repositories/AuditLogRepository');
+const { resolvePatient, authorizeMedication } = require('../middleware/patientScope');
 
 const router = express.Router();
 const auditLogRepository = new AuditLogRepository();
 
+// Logs of the patient_id patient, or of every patient the user can access
+const getScope = (req) => (
+    req.patient ? { patient_id: req.patient.id } : { accessible_by: req.user.id }
+);
+
 // Get all audit logs with filtering and pagination
-router.get('/', async (req, res) => {
+router.get('/', resolvePatient, async (req, res) => {
     try {
         const {
             medicine_id,
@@ -37,6 +43,7 @@ router.get('/', async (req, res) => {
 
         const options = {
             medicine_id: medicine_id ? parseInt(medicine_id) : undefined,
+            ...getScope(req),
             action,
             start_date,
             end_date,
@@ -68,13 +75,14 @@ router.get('/', async (req, res) => {
 });
 
 // Get recent audit logs with default limit (must be before /:id route)
-router.get('/recent', async (req, res) => {
+router.get('/recent', resolvePatient, async (req, res) => {
     try {
         const { medicine_id } = req.query;
 
         const recentLogs = await auditLogRepository.findRecent(
             50,
-            medicine_id ? parseInt(medicine_id) : null
+            medicine_id ? parseInt(medicine_id) : null,
+            getScope(req)
         );
 
         res.json({
@@ -92,14 +100,15 @@ router.get('/recent', async (req, res) => {
 });
 
 // Get recent audit logs with custom limit (must be before /:id route)
-router.get('/recent/:limit', async (req, res) => {
+router.get('/recent/:limit', resolvePatient, async (req, res) => {
     try {
         const { limit } = req.params;
         const { medicine_id } = req.query;
 
         const recentLogs = await auditLogRepository.findRecent(
             limit ? parseInt(limit) : 50,
-            medicine_id ? parseInt(medicine_id) : null
+            medicine_id ? parseInt(medicine_id) : null,
+            getScope(req)
         );
 
         res.json({
@@ -120,7 +129,8 @@ router.get('/recent/:limit', async (req, res) => {
 router.get('/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const auditLog = await auditLogRepository.findById(parseInt(id));
+        // Logs of patients the user cannot access are reported as missing
+        const auditLog = await auditLogRepository.findById(parseInt(id), req.user.id);
 
         if (!auditLog) {
             return res.status(404).json({
@@ -144,7 +154,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Get audit logs for a specific medication
-router.get('/medication/:medicineId', async (req, res) => {
+router.get('/medication/:medicineId', authorizeMedication('view'), async (req, res) => {
     try {
         const { medicineId } = req.params;
         const { limit, sort_by, sort_direction } = req.query;
@@ -172,12 +182,12 @@ router.get('/medication/:medicineId', async (req, res) => {
 });
 
 // Get audit log statistics
-router.get('/stats/summary', async (req, res) => {
+router.get('/stats/summary', resolvePatient, async (req, res) => {
     try {
         const { medicine_id } = req.query;
         const medicineId = medicine_id ? parseInt(medicine_id) : null;
 
-        const stats = await auditLogRepository.getStats(medicineId);
+        const stats = await auditLogRepository.getStats(medicineId, getScope(req));
 
         res.json({
             success: true,
@@ -194,7 +204,7 @@ router.get('/stats/summary', async (req, res) => {
 });
 
 // Get daily activity summary
-router.get('/stats/daily-activity', async (req, res) => {
+router.get('/stats/daily-activity', resolvePatient, async (req, res) => {
     try {
         const { start_date, end_date, medicine_id } = req.query;
 
@@ -206,7 +216,7 @@ router.get('/stats/daily-activity', async (req, res) => {
         }
 
         const medicineId = medicine_id ? parseInt(medicine_id) : null;
-        const activity = await auditLogRepository.getDailyActivity(start_date, end_date, medicineId);
+        const activity = await auditLogRepository.getDailyActivity(start_date, end_date, medicineId, getScope(req));
 
         res.json({
             success: true,
@@ -223,7 +233,7 @@ router.get('/stats/daily-activity', async (req, res) => {
 });
 
 // Get compliance data for a medication
-router.get('/compliance/:medicineId', async (req, res) => {
+router.get('/compliance/:medicineId', authorizeMedication('view'), async (req, res) => {
     try {
         const { medicineId } = req.params;
         const { start_date, end_date } = req.query;
@@ -256,7 +266,7 @@ router.get('/compliance/:medicineId', async (req, res) => {
 });
 
 // Get inventory timeline for a medication
-router.get('/inventory-timeline/:medicineId', async (req, res) => {
+router.get('/inventory-timeline/:medicineId', authorizeMedication('view'), async (req, res) => {
     try {
         const { medicineId } = req.params;
         const { limit } = req.query;
@@ -281,7 +291,7 @@ router.get('/inventory-timeline/:medicineId', async (req, res) => {
 });
 
 // Export audit logs
-router.get('/export/logs', async (req, res) => {
+router.get('/export/logs', resolvePatient, async (req, res) => {
     try {
         const {
             medicine_id,
@@ -293,6 +303,7 @@ router.get('/export/logs', async (req, res) => {
 
         const options = {
             medicine_id: medicine_id ? parseInt(medicine_id) : undefined,
+            ...getScope(req),
             action,
             start_date,
             end_date
@@ -0,0 +1,158 @@
+const express = require('express');
+const AuthService = require('../services/AuthService');
+const { SESSION_COOKIE, getRequestToken, requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+const authService = new AuthService();
+
+// Cookie options for the session token
+const sessionCookieOptions = (expiresAt) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/',
+  ...(expiresAt && { expires: new Date(expiresAt) })
+});
+
+// Validation middleware for credentials
+const validateCredentials = (req, res, next) => {
+  const { email, password } = req.body;
+
+  const errors = [];
+
+  if (!email || typeof email !== 'string' || email.trim().length === 0) {
+    errors.push({ field: 'email', message: 'Email is required' });
+  }
+
+  if (!password || typeof password !== 'string') {
+    errors.push({ field: 'password', message: 'Password is required' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid credentials data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// POST /api/auth/register - Create an account and sign in
+router.post('/register', validateCredentials, async (req, res) => {
+  try {
+    if (process.env.ALLOW_REGISTRATION === 'false') {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Registration is disabled'
+        }
+      });
+    }
+
+    const { email, name, password } = req.body;
+
+    await authService.register({ email, name, password });
+    const session = await authService.login(email, password, req.headers['user-agent'] || null);
+
+    res.cookie(SESSION_COOKIE, session.token, sessionCookieOptions(session.expires_at));
+    res.status(201).json({
+      data: session,
+      message: 'Account created successfully'
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        error: {
+          code: 'CONFLICT',
+          message: 'An account with this email already exists'
+        }
+      });
+    }
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to register',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// POST /api/auth/login - Sign in with email and password
+router.post('/login', validateCredentials, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const session = await authService.login(email, password, req.headers['user-agent'] || null);
+
+    res.cookie(SESSION_COOKIE, session.token, sessionCookieOptions(session.expires_at));
+    res.json({
+      data: session,
+      message: 'Signed in successfully'
+    });
+  } catch (error) {
+    if (error.message === 'Invalid email or password') {
+      return res.status(401).json({
+        error: {
+          code: 'UNAUTHORIZED',
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Error signing in:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to sign in',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', async (req, res) => {
+  try {
+    await authService.logout(getRequestToken(req));
+
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+    res.json({
+      message: 'Signed out successfully'
+    });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to sign out',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// GET /api/auth/me - Current user
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    data: req.user
+  });
+});
+
+module.exports = router;
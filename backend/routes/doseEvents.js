@@ -0,0 +1,165 @@
+const express = require('express');
+const MedicationService = require('../services/MedicationService');
+const { authorizeMedication } = require('../middleware/patientScope');
+
+const router = express.Router({ mergeParams: true });
+const medicationService = new MedicationService();
+
+// Validation middleware for dose event data
+const validateDoseEventData = (req, res, next) => {
+  const { medicine_dose_id, scheduled_date, scheduled_time, status } = req.body;
+
+  const errors = [];
+
+  if (!Number.isInteger(medicine_dose_id) || medicine_dose_id <= 0) {
+    errors.push({ field: 'medicine_dose_id', message: 'Medicine dose ID is required and must be a positive integer' });
+  }
+
+  if (!scheduled_date || !scheduled_date.match(/^\d{4}-\d{2}-\d{2}$/)) {
+    errors.push({ field: 'scheduled_date', message: 'Scheduled date is required and must be in YYYY-MM-DD format' });
+  }
+
+  if (scheduled_time && !scheduled_time.match(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)) {
+    errors.push({ field: 'scheduled_time', message: 'Scheduled time must be in HH:MM format (24-hour)' });
+  }
+
+  if (!['skipped', 'refused'].includes(status)) {
+    errors.push({ field: 'status', message: 'Status must be skipped or refused; use mark-dose-given for taken doses' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid dose event data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Parse medication ID from the parent route
+const parseMedicationId = (req, res) => {
+  const medicationId = parseInt(req.params.medicationId);
+
+  if (!Number.isInteger(medicationId)) {
+    res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid medication ID',
+        details: [{ field: 'medicationId', message: 'Medication ID must be an integer' }]
+      }
+    });
+    return null;
+  }
+
+  return medicationId;
+};
+
+// GET /api/medications/:medicationId/dose-events - List recorded dose events
+router.get('/', authorizeMedication('view'), async (req, res) => {
+  try {
+    const medicationId = parseMedicationId(req, res);
+    if (medicationId === null) return;
+
+    const { start_date, end_date, status, limit = 100, offset = 0 } = req.query;
+
+    const events = await medicationService.getDoseEvents(medicationId, {
+      startDate: start_date,
+      endDate: end_date,
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      data: events,
+      count: events.length,
+      medication_id: medicationId
+    });
+  } catch (error) {
+    console.error('Error fetching dose events:', error);
+
+    if (error.message.includes('Medication not found')) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Medication not found'
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch dose events',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// POST /api/medications/:medicationId/dose-events - Record a skipped or refused dose
+router.post('/', validateDoseEventData, authorizeMedication('record_doses'), async (req, res) => {
+  try {
+    const medicationId = parseMedicationId(req, res);
+    if (medicationId === null) return;
+
+    const { medicine_dose_id, scheduled_date, scheduled_time, status, given_by, note } = req.body;
+
+    const event = await medicationService.recordMissedDose(medicationId, {
+      medicine_dose_id,
+      scheduled_date,
+      scheduled_time,
+      status,
+      given_by: given_by?.trim() || null,
+      note: note?.trim() || null
+    });
+
+    res.status(201).json({
+      data: event,
+      message: `Dose marked as ${status}`
+    });
+  } catch (error) {
+    console.error('Error recording dose event:', error);
+
+    if (error.message.includes('Medication not found')) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Medication not found'
+        }
+      });
+    }
+
+    if (error.message.includes('already been given')) {
+      return res.status(409).json({
+        error: {
+          code: 'CONFLICT',
+          message: error.message
+        }
+      });
+    }
+
+    if (error.message.includes('Validation failed') || error.message.includes('Invalid')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to record dose event',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const DoseRepository = require('../repositories/DoseRepository');
 const MedicationRepository = require('../repositories/MedicationRepository');
 const AuditLogRepository = require('../repositories/AuditLogRepository');
+const { authorizeMedication } = require('../middleware/patientScope');
 
 const router = express.Router({ mergeParams: true });
 const doseRepository = new DoseRepository();
@@ -79,7 +80,7 @@ const validateMedicationExists = async (req, res, next) => {
 };
 
 // GET /api/medications/:medicationId/doses - Get all doses for a medication
-router.get('/', validateMedicationExists, async (req, res) => {
+router.get('/', validateMedicationExists, authorizeMedication('view'), async (req, res) => {
   try {
     const medicationId = parseInt(req.params.medicationId);
     const doses = await doseRepository.findByMedicationId(medicationId);
@@ -102,7 +103,7 @@ router.get('/', validateMedicationExists, async (req, res) => {
 });
 
 // GET /api/medications/:medicationId/doses/:doseId - Get specific dose
-router.get('/:doseId', validateMedicationExists, async (req, res) => {
+router.get('/:doseId', validateMedicationExists, authorizeMedication('view'), async (req, res) => {
   try {
     const doseId = parseInt(req.params.doseId);
     
@@ -153,7 +154,7 @@ router.get('/:doseId', validateMedicationExists, async (req, res) => {
 });
 
 // POST /api/medications/:medicationId/doses - Create new dose
-router.post('/', validateMedicationExists, validateDoseData, async (req, res) => {
+router.post('/', validateMedicationExists, authorizeMedication('manage_medications'), validateDoseData, async (req, res) => {
   try {
     const medicationId = parseInt(req.params.medicationId);
     
@@ -170,6 +171,7 @@ router.post('/', validateMedicationExists, validateDoseData, async (req, res) =>
     // Log the creation
     await auditLogRepository.create({
       medicine_id: medicationId,
+      user_id: req.user.id,
       action: 'DOSE_CREATED',
       new_values: dose.toDbFormat()
     });
@@ -201,7 +203,7 @@ router.post('/', validateMedicationExists, validateDoseData, async (req, res) =>
 });
 
 // PUT /api/medications/:medicationId/doses/:doseId - Update dose
-router.put('/:doseId', validateMedicationExists, validateDoseData, async (req, res) => {
+router.put('/:doseId', validateMedicationExists, authorizeMedication('manage_medications'), validateDoseData, async (req, res) => {
   try {
     const medicationId = parseInt(req.params.medicationId);
     const doseId = parseInt(req.params.doseId);
@@ -248,6 +250,7 @@ router.put('/:doseId', validateMedicationExists, validateDoseData, async (req, r
     // Log the update
     await auditLogRepository.create({
       medicine_id: medicationId,
+      user_id: req.user.id,
       action: 'DOSE_UPDATED',
       old_values: existingDose.toDbFormat(),
       new_values: updatedDose.toDbFormat()
@@ -280,7 +283,7 @@ router.put('/:doseId', validateMedicationExists, validateDoseData, async (req, r
 });
 
 // DELETE /api/medications/:medicationId/doses/:doseId - Delete dose
-router.delete('/:doseId', validateMedicationExists, async (req, res) => {
+router.delete('/:doseId', validateMedicationExists, authorizeMedication('manage_medications'), async (req, res) => {
   try {
     const medicationId = parseInt(req.params.medicationId);
     const doseId = parseInt(req.params.doseId);
@@ -321,6 +324,7 @@ router.delete('/:doseId', validateMedicationExists, async (req, res) => {
       // Log the deletion
       await auditLogRepository.create({
         medicine_id: medicationId,
+        user_id: req.user.id,
         action: 'DOSE_DELETED',
         old_values: existingDose.toDbFormat()
       });
@@ -0,0 +1,38 @@
+const express = require('express');
+const EventStreamService = require('../services/EventStreamService');
+
+const router = express.Router();
+const eventStreamService = new EventStreamService();
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL_MS = 25000;
+// How long browsers wait before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 5000;
+
+// GET /api/events - Server-Sent Events stream of the signed-in user's events:
+// "notification" (a new notification), "dose_given" and "inventory" (stock changes)
+router.get('/', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const unsubscribe = eventStreamService.subscribe(req.user.id, (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
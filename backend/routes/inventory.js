@@ -0,0 +1,382 @@
+const express = require('express');
+const InventoryService = require('../services/InventoryService');
+const PatientService = require('../services/PatientService');
+const StockTakeRepository = require('../repositories/StockTakeRepository');
+const UnitOfMeasure = require('../models/UnitOfMeasure');
+const { resolvePatient, requirePatientPermission, authorizeLocation } = require('../middleware/patientScope');
+
+const router = express.Router();
+const inventoryService = new InventoryService();
+const patientService = new PatientService();
+const stockTakeRepository = new StockTakeRepository();
+
+const isValidDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(new Date(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+// Quote a CSV field, doubling any quotes inside it
+const toCsvField = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Parse an optional whole-number query parameter; NaN when it is not one
+const parseDays = (value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  return /^\d+$/.test(String(value)) ? parseInt(value) : NaN;
+};
+
+// GET /api/inventory/shopping-list?days=7&horizon=30&patient_id=N&format=csv - Everything
+// that runs out within `days` days, with the whole packages to buy to cover `horizon` days,
+// also grouped by preferred pharmacy
+router.get('/shopping-list', resolvePatient, async (req, res) => {
+  const days = parseDays(req.query.days, 7);
+  const horizon = parseDays(req.query.horizon, days);
+
+  const errors = [];
+  if (!Number.isInteger(days) || days < 1 || days > 30) {
+    errors.push({ field: 'days', message: 'Days must be an integer between 1 and 30' });
+  }
+  if (!Number.isInteger(horizon) || horizon < days || horizon > 365) {
+    errors.push({ field: 'horizon', message: 'Horizon must be an integer between days and 365' });
+  }
+  if (req.query.format !== undefined && !['json', 'csv'].includes(req.query.format)) {
+    errors.push({ field: 'format', message: 'Format must be json or csv' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid shopping list parameters',
+        details: errors
+      }
+    });
+  }
+
+  try {
+    // Without a patient, only the medications of the user's patients
+    const shoppingList = req.patient
+      ? await inventoryService.getShoppingList(days, horizon, req.patient.id)
+      : await inventoryService.getShoppingList(days, horizon, null, req.user.id);
+
+    if (req.query.format === 'csv') {
+      const csvHeaders = [
+        'Pharmacy', 'Medication', 'Strength', 'In Stock', 'Runs Out', 'Days Remaining',
+        'Needed', 'Short', 'Packages To Buy', 'Package', 'Quantity To Buy'
+      ];
+
+      // One block of rows per pharmacy trip
+      const items = shoppingList.pharmacies.flatMap(group => group.items);
+      const csvRows = items.map(item => [
+        item.pharmacy_name || '',
+        item.medication_name,
+        item.medication_strength || '',
+        UnitOfMeasure.format(item.current_tablets, item.dose_unit),
+        item.run_out_date || '',
+        item.days_remaining ?? '',
+        UnitOfMeasure.format(item.quantity_needed, item.dose_unit),
+        UnitOfMeasure.format(item.quantity_short, item.dose_unit),
+        item.packages_to_buy,
+        `${UnitOfMeasure.getLabel(item.package_unit, 1)} of ${UnitOfMeasure.format(item.package_size, item.dose_unit)}`,
+        UnitOfMeasure.format(item.quantity_to_buy, item.dose_unit)
+      ]);
+
+      const csvContent = [
+        csvHeaders.join(','),
+        ...csvRows.map(row => row.map(toCsvField).join(','))
+      ].join('\n');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="shopping_list_${shoppingList.generated_on}.csv"`);
+      return res.send(csvContent);
+    }
+
+    res.json({
+      data: shoppingList
+    });
+  } catch (error) {
+    console.error('Error building shopping list:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to build shopping list',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// GET /api/inventory/locations/:locationId/buy-soon?days=1 - Medications running out at a
+// storage location, each forecast from the stock kept there
+router.get('/locations/:locationId/buy-soon', authorizeLocation('view'), async (req, res) => {
+  const locationId = parseInt(req.params.locationId);
+  const days = parseDays(req.query.days, 1);
+
+  const errors = [];
+  if (!Number.isInteger(locationId) || locationId <= 0) {
+    errors.push({ field: 'locationId', message: 'Location ID must be a positive integer' });
+  }
+  if (!Number.isInteger(days) || days < 1 || days > 30) {
+    errors.push({ field: 'days', message: 'Days must be an integer between 1 and 30' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid buy-soon parameters',
+        details: errors
+      }
+    });
+  }
+
+  try {
+    const alerts = await inventoryService.calculateLocationBuySoonAlerts(locationId, days);
+
+    res.json({
+      data: alerts,
+      count: alerts.length,
+      location_id: locationId,
+      days_ahead: days
+    });
+  } catch (error) {
+    console.error('Error calculating location buy-soon alerts:', error);
+
+    if (error.message.includes('Location not found')) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Location not found'
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to calculate buy-soon alerts',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// Validation middleware for stock-take data
+const validateStockTakeData = (req, res, next) => {
+  const { counts, notes } = req.body;
+  const errors = [];
+
+  if (!Array.isArray(counts) || counts.length === 0) {
+    errors.push({ field: 'counts', message: 'Counts must be a non-empty array' });
+  } else {
+    counts.forEach((count, index) => {
+      if (!Number.isInteger(count?.medication_id) || count.medication_id <= 0) {
+        errors.push({ field: `counts[${index}].medication_id`, message: 'Medication ID must be a positive integer' });
+      }
+
+      if (typeof count?.counted_quantity !== 'number' || isNaN(count.counted_quantity) || count.counted_quantity < 0) {
+        errors.push({ field: `counts[${index}].counted_quantity`, message: 'Counted quantity must be a non-negative number' });
+      }
+
+      if (count?.unit !== undefined && count.unit !== null && typeof count.unit !== 'string') {
+        errors.push({ field: `counts[${index}].unit`, message: 'Unit must be a string' });
+      }
+    });
+  }
+
+  if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.trim().length > 1000)) {
+    errors.push({ field: 'notes', message: 'Notes must be a string of 1000 characters or less' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid stock-take data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// POST /api/inventory/stock-takes - Record counted stock for many medications at once:
+// each is set to its count and the discrepancy from the expected stock is logged
+router.post('/stock-takes', resolvePatient, requirePatientPermission('manage_inventory'), validateStockTakeData, async (req, res) => {
+  try {
+    const stockTake = await inventoryService.reconcileInventory({
+      patient_id: req.patient?.id ?? null,
+      notes: req.body.notes?.trim() || '',
+      counts: req.body.counts.map(count => ({
+        medication_id: count.medication_id,
+        counted_quantity: count.counted_quantity,
+        unit: count.unit || null
+      }))
+    }, req.user.id);
+
+    res.status(201).json({
+      data: stockTake,
+      message: 'Stock-take recorded successfully'
+    });
+  } catch (error) {
+    console.error('Error recording stock-take:', error);
+
+    if (error.message.includes('Medication not found')) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Medication not found'
+        }
+      });
+    }
+
+    if (error.message.includes('Insufficient permissions')) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Insufficient permissions for this patient'
+        }
+      });
+    }
+
+    if (error.message.includes('Validation failed') || error.message.includes('Cannot convert')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to record stock-take',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// GET /api/inventory/stock-takes?patient_id=N - Past stock-takes, newest first
+router.get('/stock-takes', resolvePatient, async (req, res) => {
+  try {
+    const stockTakes = await stockTakeRepository.findAll(
+      req.patient ? { patient_id: req.patient.id } : { accessible_by: req.user.id }
+    );
+
+    res.json({
+      data: stockTakes,
+      count: stockTakes.length
+    });
+  } catch (error) {
+    console.error('Error fetching stock-takes:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch stock-takes',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// GET /api/inventory/stock-takes/:id - A stock-take with its expected and counted stock
+router.get('/stock-takes/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid stock-take ID',
+          details: [{ field: 'id', message: 'ID must be an integer' }]
+        }
+      });
+    }
+
+    const stockTake = await stockTakeRepository.findById(id);
+
+    // Stock-takes of patients the user cannot see, and unassigned ones another user recorded
+    // (they may count that user's patients' medications), are reported as missing
+    const visible = stockTake && (stockTake.patient_id
+      ? await patientService.getPatientForUser(stockTake.patient_id, req.user.id).then(() => true, () => false)
+      : stockTake.user_id === req.user.id);
+
+    if (!visible) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Stock-take not found'
+        }
+      });
+    }
+
+    res.json({
+      data: stockTake
+    });
+  } catch (error) {
+    console.error('Error fetching stock-take:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch stock-take',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// GET /api/inventory/drift?medicine_id=N&start_date=YYYY-MM-DD&end_date=YYYY-MM-DD&patient_id=N -
+// How counted stock has drifted from the expected stock at past stock-takes
+router.get('/drift', resolvePatient, async (req, res) => {
+  const { medicine_id, start_date, end_date } = req.query;
+  const errors = [];
+
+  if (medicine_id !== undefined && !/^\d+$/.test(medicine_id)) {
+    errors.push({ field: 'medicine_id', message: 'Medicine ID must be an integer' });
+  }
+  if (start_date !== undefined && !isValidDateString(start_date)) {
+    errors.push({ field: 'start_date', message: 'Start date must be in YYYY-MM-DD format' });
+  }
+  if (end_date !== undefined && !isValidDateString(end_date)) {
+    errors.push({ field: 'end_date', message: 'End date must be in YYYY-MM-DD format' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid drift report parameters',
+        details: errors
+      }
+    });
+  }
+
+  try {
+    const drift = await inventoryService.getInventoryDrift({
+      medicine_id: medicine_id ? parseInt(medicine_id) : undefined,
+      ...(req.patient ? { patient_id: req.patient.id } : { accessible_by: req.user.id }),
+      start_date,
+      // Include the whole end day
+      end_date: end_date ? `${end_date}T23:59:59.999Z` : undefined
+    });
+
+    res.json({
+      data: drift
+    });
+  } catch (error) {
+    console.error('Error fetching inventory drift:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch inventory drift',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+module.exports = router;
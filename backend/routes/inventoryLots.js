@@ -0,0 +1,266 @@
+const express = require('express');
+const InventoryLotRepository = require('../repositories/InventoryLotRepository');
+const MedicationRepository = require('../repositories/MedicationRepository');
+const { authorizeMedication } = require('../middleware/patientScope');
+const { toLocalDateString } = require('../config/timezone');
+
+const router = express.Router({ mergeParams: true });
+const inventoryLotRepository = new InventoryLotRepository();
+const medicationRepository = new MedicationRepository();
+
+const isValidDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(new Date(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+// Validation middleware for lot data; on updates only the fields sent are checked
+const validateLotData = (req, res, next) => {
+  const { quantity, lot_number, expiry_date, received_date, unit_price } = req.body;
+  const isUpdate = req.method === 'PUT';
+
+  const errors = [];
+
+  if (quantity !== undefined || !isUpdate) {
+    if (typeof quantity !== 'number' || isNaN(quantity) || quantity < 0) {
+      errors.push({ field: 'quantity', message: 'Quantity is required and must be a non-negative number' });
+    }
+  }
+
+  if (lot_number !== undefined && lot_number !== null) {
+    if (typeof lot_number !== 'string' || lot_number.trim().length > 100) {
+      errors.push({ field: 'lot_number', message: 'Lot number must be a string of 100 characters or less' });
+    }
+  }
+
+  if (expiry_date !== undefined && expiry_date !== null && expiry_date !== '' && !isValidDateString(expiry_date)) {
+    errors.push({ field: 'expiry_date', message: 'Expiry date must be in YYYY-MM-DD format' });
+  }
+
+  if (received_date !== undefined && received_date !== null && received_date !== '' && !isValidDateString(received_date)) {
+    errors.push({ field: 'received_date', message: 'Received date must be in YYYY-MM-DD format' });
+  }
+
+  if (unit_price !== undefined && unit_price !== null && (typeof unit_price !== 'number' || isNaN(unit_price) || unit_price < 0)) {
+    errors.push({ field: 'unit_price', message: 'Unit price must be a non-negative number' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid inventory lot data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Middleware to validate medication exists
+const validateMedicationExists = async (req, res, next) => {
+  try {
+    const medicationId = parseInt(req.params.medicationId);
+    
+    if (!Number.isInteger(medicationId)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid medication ID',
+          details: [{ field: 'medicationId', message: 'Medication ID must be an integer' }]
+        }
+      });
+    }
+    
+    const medication = await medicationRepository.findById(medicationId);
+    if (!medication) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Medication not found'
+        }
+      });
+    }
+    
+    req.medication = medication;
+    next();
+  } catch (error) {
+    console.error('Error validating medication:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to validate medication',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Middleware to load a lot of the medication
+const validateLotExists = async (req, res, next) => {
+  try {
+    const lotId = parseInt(req.params.lotId);
+
+    if (!Number.isInteger(lotId)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid lot ID',
+          details: [{ field: 'lotId', message: 'Lot ID must be an integer' }]
+        }
+      });
+    }
+
+    const lot = await inventoryLotRepository.findById(lotId);
+    if (!lot || lot.medicine_id !== req.medication.id) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Inventory lot not found for this medication'
+        }
+      });
+    }
+
+    req.lot = lot;
+    next();
+  } catch (error) {
+    console.error('Error validating inventory lot:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to validate inventory lot',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Lot as returned by the API, with its expiry relative to the patient's today
+const formatLot = (lot, today) => ({
+  ...lot,
+  days_until_expiry: lot.getDaysUntilExpiry(today),
+  is_expired: lot.isExpired(today)
+});
+
+// GET /api/medications/:medicationId/lots - Lots of a medication in the order they are used
+router.get('/', validateMedicationExists, authorizeMedication('view'), async (req, res) => {
+  try {
+    const lots = await inventoryLotRepository.findByMedicationId(req.medication.id);
+    const today = toLocalDateString(new Date(), req.medication.timezone);
+    const lotTotal = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+    res.json({
+      data: lots.map(lot => formatLot(lot, today)),
+      count: lots.length,
+      medication_id: req.medication.id,
+      total_tablets: req.medication.total_tablets,
+      // Stock not assigned to any lot, used after the lots
+      untracked_tablets: Math.max(0, Math.round((req.medication.total_tablets - lotTotal) * 100) / 100)
+    });
+  } catch (error) {
+    console.error('Error fetching inventory lots:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch inventory lots',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// POST /api/medications/:medicationId/lots - Receive a lot; its quantity is added to the stock
+router.post('/', validateMedicationExists, authorizeMedication('manage_inventory'), validateLotData, async (req, res) => {
+  try {
+    const lot = await inventoryLotRepository.create({
+      medicine_id: req.medication.id,
+      quantity: req.body.quantity,
+      lot_number: req.body.lot_number?.trim() || null,
+      expiry_date: req.body.expiry_date || null,
+      received_date: req.body.received_date || null,
+      unit_price: req.body.unit_price ?? null
+    }, req.user.id);
+
+    res.status(201).json({
+      data: formatLot(lot, toLocalDateString(new Date(), req.medication.timezone)),
+      message: 'Inventory lot created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating inventory lot:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create inventory lot',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// PUT /api/medications/:medicationId/lots/:lotId - Update a lot; quantity corrections change the stock
+router.put('/:lotId', validateMedicationExists, authorizeMedication('manage_inventory'), validateLotExists, validateLotData, async (req, res) => {
+  try {
+    const changes = {};
+    if (req.body.quantity !== undefined) changes.quantity = req.body.quantity;
+    if (req.body.lot_number !== undefined) changes.lot_number = req.body.lot_number?.trim() || '';
+    if (req.body.expiry_date !== undefined) changes.expiry_date = req.body.expiry_date || null;
+    if (req.body.received_date) changes.received_date = req.body.received_date;
+    if (req.body.unit_price !== undefined) changes.unit_price = req.body.unit_price;
+
+    const lot = await inventoryLotRepository.update(req.lot.id, changes, req.user.id);
+
+    res.json({
+      data: formatLot(lot, toLocalDateString(new Date(), req.medication.timezone)),
+      message: 'Inventory lot updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating inventory lot:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update inventory lot',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// DELETE /api/medications/:medicationId/lots/:lotId - Remove a lot and whatever it still held
+router.delete('/:lotId', validateMedicationExists, authorizeMedication('manage_inventory'), validateLotExists, async (req, res) => {
+  try {
+    await inventoryLotRepository.delete(req.lot.id, req.user.id);
+
+    res.json({
+      message: 'Inventory lot deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting inventory lot:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete inventory lot',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const PatientService = require('../services/PatientService');
+
+const router = express.Router();
+const patientService = new PatientService();
+
+// Validate the :id parameter
+const parseInvitationId = (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (!Number.isInteger(id)) {
+    res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid invitation ID',
+        details: [{ field: 'id', message: 'ID must be an integer' }]
+      }
+    });
+    return null;
+  }
+
+  return id;
+};
+
+// Shared error responses
+const handleInvitationError = (res, error, action) => {
+  if (error.message === 'Invitation not found') {
+    return res.status(404).json({
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Invitation not found'
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: `Failed to ${action}`,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
+  });
+};
+
+// GET /api/invitations - Open invitations addressed to the signed-in user
+router.get('/', async (req, res) => {
+  try {
+    const invitations = await patientService.getInvitationsForUser(req.user);
+
+    res.json({
+      data: invitations,
+      count: invitations.length
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    handleInvitationError(res, error, 'fetch invitations');
+  }
+});
+
+// POST /api/invitations/:id/accept - Join the patient with the invited role
+router.post('/:id/accept', async (req, res) => {
+  try {
+    const id = parseInvitationId(req, res);
+    if (id === null) return;
+
+    const invitation = await patientService.acceptInvitation(id, req.user);
+
+    res.json({
+      data: invitation,
+      message: 'Invitation accepted'
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    handleInvitationError(res, error, 'accept invitation');
+  }
+});
+
+// POST /api/invitations/:id/decline - Decline an invitation
+router.post('/:id/decline', async (req, res) => {
+  try {
+    const id = parseInvitationId(req, res);
+    if (id === null) return;
+
+    const invitation = await patientService.declineInvitation(id, req.user);
+
+    res.json({
+      data: invitation,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    console.error('Error declining invitation:', error);
+    handleInvitationError(res, error, 'decline invitation');
+  }
+});
+
+module.exports = router;
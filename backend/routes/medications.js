@@ -1,12 +1,18 @@
 const express = require('express');
 const MedicationService = require('../services/MedicationService');
+const PatientService = require('../services/PatientService');
 const DoseRepository = require('../repositories/DoseRepository');
 const SkipDateRepository = require('../repositories/SkipDateRepository');
+const DosePhaseRepository = require('../repositories/DosePhaseRepository');
+const UnitOfMeasure = require('../models/UnitOfMeasure');
+const { resolvePatient, requirePatientPermission, authorizeMedication } = require('../middleware/patientScope');
 
 const router = express.Router();
 const medicationService = new MedicationService();
+const patientService = new PatientService();
 const doseRepository = new DoseRepository();
 const skipDateRepository = new SkipDateRepository();
+const dosePhaseRepository = new DosePhaseRepository();
 
 // Import nested routes
 const doseRoutes = require('./doses');
@@ -45,6 +51,84 @@ const validateMedicationData = (req, res, next) => {
     errors.push({ field: 'total_tablets', message: 'Total tablets must be a non-negative number' });
   }
   
+  // Units of measure default to tablets in sheets
+  if (req.body.dose_unit !== undefined && !UnitOfMeasure.isDoseUnit(req.body.dose_unit)) {
+    errors.push({ field: 'dose_unit', message: `Dose unit must be one of: ${UnitOfMeasure.getDoseUnits().join(', ')}` });
+  }
+  
+  if (req.body.package_unit !== undefined && !UnitOfMeasure.isPackageUnit(req.body.package_unit)) {
+    errors.push({ field: 'package_unit', message: `Package unit must be one of: ${UnitOfMeasure.getPackageUnits().join(', ')}` });
+  }
+  
+  for (const field of ['package_volume_ml', 'units_per_ml']) {
+    const value = req.body[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value <= 0)) {
+      errors.push({ field, message: `${field} must be a positive number` });
+    }
+  }
+  
+  // The preferred pharmacy is optional; null clears it
+  if (req.body.pharmacy_id !== undefined && req.body.pharmacy_id !== null &&
+      (!Number.isInteger(req.body.pharmacy_id) || req.body.pharmacy_id <= 0)) {
+    errors.push({ field: 'pharmacy_id', message: 'pharmacy_id must be a positive integer' });
+  }
+  
+  // Unit price is optional; null clears it
+  if (req.body.unit_price !== undefined && req.body.unit_price !== null &&
+      (typeof req.body.unit_price !== 'number' || isNaN(req.body.unit_price) || req.body.unit_price < 0)) {
+    errors.push({ field: 'unit_price', message: 'unit_price must be a non-negative number' });
+  }
+  
+  // As-needed limits are optional; null clears them
+  for (const field of ['prn_dose_amount', 'prn_min_interval_hours', 'prn_max_daily_amount']) {
+    const value = req.body[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value <= 0)) {
+      errors.push({ field, message: `${field} must be a positive number` });
+    }
+  }
+  
+  // On/off cycles are optional; days on and days off are set (or cleared) together
+  for (const field of ['cycle_days_on', 'cycle_days_off']) {
+    const value = req.body[field];
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value <= 0)) {
+      errors.push({ field, message: `${field} must be a positive integer` });
+    }
+  }
+  
+  if ((req.body.cycle_days_on == null) !== (req.body.cycle_days_off == null)) {
+    errors.push({ field: 'cycle_days_off', message: 'cycle_days_on and cycle_days_off must be provided together' });
+  }
+  
+  if (req.body.cycle_start_date && !String(req.body.cycle_start_date).match(/^\d{4}-\d{2}-\d{2}$/)) {
+    errors.push({ field: 'cycle_start_date', message: 'Cycle start date must be in YYYY-MM-DD format' });
+  }
+  
+  // Tapering phases are optional; each needs a date range and its own doses
+  if (req.body.phases !== undefined) {
+    if (!Array.isArray(req.body.phases)) {
+      errors.push({ field: 'phases', message: 'Phases must be an array' });
+    } else {
+      req.body.phases.forEach((phase, index) => {
+        if (!phase?.start_date || !String(phase.start_date).match(/^\d{4}-\d{2}-\d{2}$/)) {
+          errors.push({ field: `phases[${index}].start_date`, message: 'Phase start date is required and must be in YYYY-MM-DD format' });
+        }
+        if (phase?.end_date && !String(phase.end_date).match(/^\d{4}-\d{2}-\d{2}$/)) {
+          errors.push({ field: `phases[${index}].end_date`, message: 'Phase end date must be in YYYY-MM-DD format' });
+        } else if (phase?.end_date && phase.end_date < phase.start_date) {
+          errors.push({ field: `phases[${index}].end_date`, message: 'Phase end date cannot be before its start date' });
+        }
+        if (!Array.isArray(phase?.doses) || phase.doses.length === 0) {
+          errors.push({ field: `phases[${index}].doses`, message: 'Each phase needs at least one dose' });
+        } else if (phase.doses.some(dose =>
+          typeof dose.dose_amount !== 'number' || dose.dose_amount <= 0 ||
+          !String(dose.time_of_day).match(/^([01]?[0-9]|2[0-3]):[0-5][0-9]/)
+        )) {
+          errors.push({ field: `phases[${index}].doses`, message: 'Phase doses need a positive dose amount and a time in HH:MM format' });
+        }
+      });
+    }
+  }
+  
   if (errors.length > 0) {
     return res.status(400).json({
       error: {
@@ -58,11 +142,39 @@ const validateMedicationData = (req, res, next) => {
   next();
 };
 
+// Shape tapering phases from the request body for the service; dose times from the
+// API come back as HH:MM:SS, so they are trimmed to the HH:MM the models expect
+const normalizePhases = (phases) => phases.map(phase => ({
+  id: phase.id,
+  start_date: phase.start_date,
+  end_date: phase.end_date || null,
+  label: phase.label?.trim() || null,
+  doses: phase.doses.map(dose => ({
+    id: dose.id,
+    dose_amount: dose.dose_amount,
+    time_of_day: String(dose.time_of_day).slice(0, 5),
+    route_override: dose.route_override ? parseInt(dose.route_override) : null,
+    instructions: dose.instructions?.trim() || null
+  }))
+}));
+
+// Attach each phase's doses so phases read back in the shape they are saved in
+const withPhaseDoses = (phases, doses) => phases.map(phase => {
+  phase.doses = doses.filter(dose => dose.phase_id === phase.id);
+  return phase;
+});
+
 // GET /api/medications - Get all medications with filtering
-router.get('/', async (req, res) => {
+router.get('/', resolvePatient, async (req, res) => {
   try {
     const filters = {};
     
+    if (req.patient) {
+      filters.patient_id = req.patient.id;
+    } else {
+      filters.accessible_by = req.user.id;
+    }
+    
     // Parse query parameters
     if (req.query.date) {
       if (!req.query.date.match(/^\d{4}-\d{2}-\d{2}$/)) {
@@ -117,6 +229,10 @@ router.get('/', async (req, res) => {
     if (req.query.include_details === 'true') {
       for (const medication of medications) {
         medication.doses = await doseRepository.findByMedicationId(medication.id);
+        medication.phases = withPhaseDoses(
+          await dosePhaseRepository.findByMedicationId(medication.id),
+          medication.doses
+        );
         medication.skip_dates = await skipDateRepository.findByMedicationId(medication.id);
       }
     }
@@ -139,7 +255,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/medications/:id - Get specific medication
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorizeMedication('view'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -157,6 +273,7 @@ router.get('/:id', async (req, res) => {
     
     // Include related data
     medication.doses = await doseRepository.findByMedicationId(id);
+    medication.phases = withPhaseDoses(await dosePhaseRepository.findByMedicationId(id), medication.doses);
     medication.skip_dates = await skipDateRepository.findByMedicationId(id);
     
     // Include inventory stats
@@ -187,22 +304,38 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST /api/medications - Create new medication
-router.post('/', validateMedicationData, async (req, res) => {
+// POST /api/medications - Create new medication for patient_id, or for the user's own patient
+router.post('/', validateMedicationData, resolvePatient, requirePatientPermission('manage_medications'), async (req, res) => {
   try {
+    const patient = req.patient ?? await patientService.getOwnPatient(req.user);
+
     const medicationData = {
+      patient_id: patient.id,
       name: req.body.name.trim(),
       strength: req.body.strength?.trim() || null,
       route_id: req.body.route_id || null,
       frequency_id: req.body.frequency_id || null,
+      pharmacy_id: req.body.pharmacy_id || null,
       start_date: req.body.start_date,
       end_date: req.body.end_date || null,
       sheet_size: req.body.sheet_size || 10,
       total_tablets: req.body.total_tablets || 0,
-      notes: req.body.notes?.trim() || null
+      dose_unit: req.body.dose_unit || 'tablet',
+      package_unit: req.body.package_unit || 'sheet',
+      package_volume_ml: req.body.package_volume_ml ?? null,
+      units_per_ml: req.body.units_per_ml ?? null,
+      unit_price: req.body.unit_price ?? null,
+      notes: req.body.notes?.trim() || null,
+      prn_dose_amount: req.body.prn_dose_amount ?? null,
+      prn_min_interval_hours: req.body.prn_min_interval_hours ?? null,
+      prn_max_daily_amount: req.body.prn_max_daily_amount ?? null,
+      cycle_days_on: req.body.cycle_days_on ?? null,
+      cycle_days_off: req.body.cycle_days_off ?? null,
+      cycle_start_date: req.body.cycle_start_date || null,
+      ...(req.body.phases && { phases: normalizePhases(req.body.phases) })
     };
     
-    const medication = await medicationService.createMedication(medicationData);
+    const medication = await medicationService.createMedication(medicationData, req.user.id);
     
     res.status(201).json({
       data: medication,
@@ -230,8 +363,8 @@ router.post('/', validateMedicationData, async (req, res) => {
   }
 });
 
-// PUT /api/medications/:id - Update medication
-router.put('/:id', validateMedicationData, async (req, res) => {
+// PUT /api/medications/:id - Update medication (owners of both the current and the new patient)
+router.put('/:id', validateMedicationData, authorizeMedication('manage_medications'), resolvePatient, requirePatientPermission('manage_medications'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -250,14 +383,28 @@ router.put('/:id', validateMedicationData, async (req, res) => {
       strength: req.body.strength?.trim() || null,
       route_id: req.body.route_id || null,
       frequency_id: req.body.frequency_id || null,
+      pharmacy_id: req.body.pharmacy_id || null,
       start_date: req.body.start_date,
       end_date: req.body.end_date || null,
       sheet_size: req.body.sheet_size || 10,
       total_tablets: req.body.total_tablets || 0,
-      notes: req.body.notes?.trim() || null
+      dose_unit: req.body.dose_unit || 'tablet',
+      package_unit: req.body.package_unit || 'sheet',
+      package_volume_ml: req.body.package_volume_ml ?? null,
+      units_per_ml: req.body.units_per_ml ?? null,
+      unit_price: req.body.unit_price ?? null,
+      notes: req.body.notes?.trim() || null,
+      prn_dose_amount: req.body.prn_dose_amount ?? null,
+      prn_min_interval_hours: req.body.prn_min_interval_hours ?? null,
+      prn_max_daily_amount: req.body.prn_max_daily_amount ?? null,
+      cycle_days_on: req.body.cycle_days_on ?? null,
+      cycle_days_off: req.body.cycle_days_off ?? null,
+      cycle_start_date: req.body.cycle_start_date || null,
+      ...(req.body.phases && { phases: normalizePhases(req.body.phases) }),
+      ...(req.patient && { patient_id: req.patient.id })
     };
     
-    const medication = await medicationService.updateMedication(id, updateData);
+    const medication = await medicationService.updateMedication(id, updateData, req.user.id);
     
     res.json({
       data: medication,
@@ -295,7 +442,7 @@ router.put('/:id', validateMedicationData, async (req, res) => {
 });
 
 // DELETE /api/medications/:id - Delete medication
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorizeMedication('manage_medications'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -309,7 +456,7 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    const result = await medicationService.deleteMedication(id);
+    const result = await medicationService.deleteMedication(id, req.user.id);
     
     if (result.soft) {
       res.json({
@@ -345,11 +492,16 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Import skip date routes
+// Import skip date, dose event, inventory lot, refill and prescription routes
 const skipDateRoutes = require('./skipDates');
+const doseEventRoutes = require('./doseEvents');
+const inventoryLotRoutes = require('./inventoryLots');
+const refillRoutes = require('./refills');
+const prescriptionRoutes = require('./prescriptions');
+const stockLocationRoutes = require('./stockLocations');
 
 // POST /api/medications/:id/mark-dose-given - Mark dose as given
-router.post('/:id/mark-dose-given', async (req, res) => {
+router.post('/:id/mark-dose-given', authorizeMedication('record_doses'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -363,7 +515,10 @@ router.post('/:id/mark-dose-given', async (req, res) => {
       });
     }
     
-    const { dose_amount, timestamp } = req.body;
+    const {
+      dose_amount, timestamp, medicine_dose_id, scheduled_date, scheduled_time, given_by, note, override_limits,
+      location_id
+    } = req.body;
     
     if (!dose_amount || typeof dose_amount !== 'number' || dose_amount <= 0) {
       return res.status(400).json({
@@ -374,13 +529,61 @@ router.post('/:id/mark-dose-given', async (req, res) => {
         }
       });
     }
+
+    // Optional scheduled slot the dose belongs to
+    const slotErrors = [];
+
+    if (medicine_dose_id !== undefined && medicine_dose_id !== null &&
+        (!Number.isInteger(medicine_dose_id) || medicine_dose_id <= 0)) {
+      slotErrors.push({ field: 'medicine_dose_id', message: 'Medicine dose ID must be a positive integer' });
+    }
+
+    if (scheduled_date && !scheduled_date.match(/^\d{4}-\d{2}-\d{2}$/)) {
+      slotErrors.push({ field: 'scheduled_date', message: 'Scheduled date must be in YYYY-MM-DD format' });
+    }
+
+    if (scheduled_time && !scheduled_time.match(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)) {
+      slotErrors.push({ field: 'scheduled_time', message: 'Scheduled time must be in HH:MM format (24-hour)' });
+    }
+
+    if ((scheduled_date || scheduled_time) && !medicine_dose_id) {
+      slotErrors.push({ field: 'medicine_dose_id', message: 'Medicine dose ID is required when a scheduled slot is given' });
+    }
+
+    if (slotErrors.length > 0) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid dose slot',
+          details: slotErrors
+        }
+      });
+    }
+
+    // Optional location the dose is taken from; the default location otherwise
+    if (location_id !== undefined && location_id !== null && (!Number.isInteger(location_id) || location_id <= 0)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid location',
+          details: [{ field: 'location_id', message: 'Location ID must be a positive integer' }]
+        }
+      });
+    }
     
     const doseData = {
       dose_amount,
-      timestamp: timestamp ? new Date(timestamp) : new Date()
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
+      medicine_dose_id: medicine_dose_id || null,
+      scheduled_date: scheduled_date || null,
+      scheduled_time: scheduled_time || null,
+      given_by: given_by?.trim() || null,
+      note: note?.trim() || null,
+      override_limits: override_limits === true,
+      location_id: location_id || null
     };
     
-    const result = await medicationService.markDoseGiven(id, doseData);
+    const result = await medicationService.markDoseGiven(id, doseData, req.user.id);
     
     res.json({
       data: result,
@@ -398,6 +601,25 @@ router.post('/:id/mark-dose-given', async (req, res) => {
       });
     }
     
+    if (error.message.includes('PRN limit exceeded')) {
+      return res.status(409).json({
+        error: {
+          code: 'PRN_LIMIT_EXCEEDED',
+          message: error.message.replace('Failed to mark dose as given: ', ''),
+          details: 'Send override_limits: true to record the dose anyway'
+        }
+      });
+    }
+    
+    if (error.message.includes('already been given')) {
+      return res.status(409).json({
+        error: {
+          code: 'CONFLICT',
+          message: error.message
+        }
+      });
+    }
+    
     if (error.message.includes('validation') || error.message.includes('Invalid') || error.message.includes('Cannot mark')) {
       return res.status(400).json({
         error: {
@@ -418,7 +640,7 @@ router.post('/:id/mark-dose-given', async (req, res) => {
 });
 
 // POST /api/medications/:id/update-inventory - Update inventory manually
-router.post('/:id/update-inventory', async (req, res) => {
+router.post('/:id/update-inventory', authorizeMedication('manage_inventory'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -445,7 +667,7 @@ router.post('/:id/update-inventory', async (req, res) => {
       });
     }
     
-    const updatedMedication = await medicationService.updateInventory(id, inventoryData);
+    const updatedMedication = await medicationService.updateInventory(id, inventoryData, req.user.id);
     
     res.json({
       data: updatedMedication,
@@ -463,7 +685,8 @@ router.post('/:id/update-inventory', async (req, res) => {
       });
     }
     
-    if (error.message.includes('validation') || error.message.includes('Invalid') || error.message.includes('must be')) {
+    if (error.message.includes('validation') || error.message.includes('Invalid') || error.message.includes('must be') ||
+        error.message.includes('Cannot convert')) {
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
@@ -482,8 +705,14 @@ router.post('/:id/update-inventory', async (req, res) => {
   }
 });
 
-// Nested routes for doses and skip dates
+// Nested routes for doses, skip dates, dose events, inventory lots, refills, prescriptions
+// and stock at storage locations
 router.use('/:medicationId/doses', doseRoutes);
 router.use('/:medicationId/skip-dates', skipDateRoutes);
+router.use('/:medicationId/dose-events', doseEventRoutes);
+router.use('/:medicationId/lots', inventoryLotRoutes);
+router.use('/:medicationId/refills', refillRoutes);
+router.use('/:medicationId/prescriptions', prescriptionRoutes);
+router.use('/:medicationId/locations', stockLocationRoutes);
 
 module.exports = router;
\ No newline at end of file
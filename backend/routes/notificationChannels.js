@@ -0,0 +1,278 @@
+const express = require('express');
+const NotificationDeliveryService = require('../services/NotificationDeliveryService');
+const NotificationChannel = require('../models/NotificationChannel');
+
+const router = express.Router();
+const deliveryService = new NotificationDeliveryService();
+
+// Validation middleware for adding a channel
+const validateChannelData = (req, res, next) => {
+  const { channel, target, secret, subscription } = req.body;
+
+  const errors = [];
+
+  if (!NotificationChannel.getChannels().includes(channel)) {
+    errors.push({ field: 'channel', message: `Channel must be one of: ${NotificationChannel.getChannels().join(', ')}` });
+  }
+
+  if (channel === 'web_push') {
+    // The browser's PushSubscription as JSON
+    if (!subscription || typeof subscription !== 'object' || typeof subscription.endpoint !== 'string' ||
+        !subscription.keys || typeof subscription.keys !== 'object') {
+      errors.push({ field: 'subscription', message: 'Subscription with an endpoint and keys is required' });
+    }
+  } else if (channel === 'webhook' && (typeof target !== 'string' || target.trim().length === 0)) {
+    errors.push({ field: 'target', message: 'Target URL is required' });
+  } else if (target !== undefined && target !== null && typeof target !== 'string') {
+    errors.push({ field: 'target', message: 'Target must be a string' });
+  }
+
+  if (secret !== undefined && secret !== null && typeof secret !== 'string') {
+    errors.push({ field: 'secret', message: 'Secret must be a string' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid channel data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Validation middleware for changing a channel
+const validateChannelUpdate = (req, res, next) => {
+  const { target, secret, is_enabled } = req.body;
+
+  const errors = [];
+
+  if (target !== undefined && (typeof target !== 'string' || target.trim().length === 0)) {
+    errors.push({ field: 'target', message: 'Target must be a non-empty string' });
+  }
+
+  if (secret !== undefined && secret !== null && typeof secret !== 'string') {
+    errors.push({ field: 'secret', message: 'Secret must be a string' });
+  }
+
+  if (is_enabled !== undefined && typeof is_enabled !== 'boolean') {
+    errors.push({ field: 'is_enabled', message: 'Is enabled must be a boolean' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid channel data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Validate the :id parameter
+const parseChannelId = (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (!Number.isInteger(id)) {
+    res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid channel ID',
+        details: [{ field: 'id', message: 'ID must be an integer' }]
+      }
+    });
+    return null;
+  }
+
+  return id;
+};
+
+// Shared error responses
+const handleChannelError = (res, error, action) => {
+  if (error.message === 'Channel not found') {
+    return res.status(404).json({
+      error: {
+        code: 'NOT_FOUND',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.includes('already')) {
+    return res.status(409).json({
+      error: {
+        code: 'CONFLICT',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.includes('Validation failed')) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.includes('Delivery failed')) {
+    return res.status(502).json({
+      error: {
+        code: 'DELIVERY_FAILED',
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: `Failed to ${action}`,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
+  });
+};
+
+// GET /api/notifications/channels - The signed-in user's delivery channels
+router.get('/', async (req, res) => {
+  try {
+    const channels = await deliveryService.getChannels(req.user.id);
+
+    res.json({
+      data: channels,
+      count: channels.length
+    });
+  } catch (error) {
+    console.error('Error fetching notification channels:', error);
+    handleChannelError(res, error, 'fetch notification channels');
+  }
+});
+
+// GET /api/notifications/channels/available - Channel types this server can deliver to, with
+// the VAPID public key browsers subscribe to push with
+router.get('/available', (req, res) => {
+  res.json({
+    data: deliveryService.getAvailableChannels()
+  });
+});
+
+// POST /api/notifications/channels - Opt in to a channel (an email address defaults to the
+// account's); subscribing the same push endpoint again refreshes it
+router.post('/', validateChannelData, async (req, res) => {
+  try {
+    const { channel, target, secret, subscription } = req.body;
+
+    const channelData = channel === 'web_push'
+      ? { channel, target: subscription.endpoint, keys: subscription.keys }
+      : {
+          channel,
+          target: channel === 'email' ? (target?.trim() || req.user.email) : target.trim(),
+          secret: secret?.trim() || ''
+        };
+
+    const created = await deliveryService.addChannel(req.user.id, channelData);
+
+    res.status(201).json({
+      data: created,
+      message: 'Channel added successfully'
+    });
+  } catch (error) {
+    console.error('Error adding notification channel:', error);
+    handleChannelError(res, error, 'add notification channel');
+  }
+});
+
+// PUT /api/notifications/channels/:id - Change a channel or turn it on or off
+router.put('/:id', validateChannelUpdate, async (req, res) => {
+  try {
+    const id = parseChannelId(req, res);
+    if (id === null) return;
+
+    const updateData = {};
+    if (req.body.target !== undefined) updateData.target = req.body.target.trim();
+    if (req.body.secret !== undefined) updateData.secret = req.body.secret?.trim() || '';
+    if (req.body.is_enabled !== undefined) updateData.is_enabled = req.body.is_enabled;
+
+    const channel = await deliveryService.updateChannel(id, req.user.id, updateData);
+
+    res.json({
+      data: channel,
+      message: 'Channel updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating notification channel:', error);
+    handleChannelError(res, error, 'update notification channel');
+  }
+});
+
+// DELETE /api/notifications/channels/:id - Opt out of a channel
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseChannelId(req, res);
+    if (id === null) return;
+
+    await deliveryService.removeChannel(id, req.user.id);
+
+    res.json({
+      message: 'Channel removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing notification channel:', error);
+    handleChannelError(res, error, 'remove notification channel');
+  }
+});
+
+// POST /api/notifications/channels/:id/test - Send a test message now
+router.post('/:id/test', async (req, res) => {
+  try {
+    const id = parseChannelId(req, res);
+    if (id === null) return;
+
+    const result = await deliveryService.sendTestMessage(id, req.user.id);
+
+    res.json({
+      data: result,
+      message: 'Test message sent successfully'
+    });
+  } catch (error) {
+    console.error('Error sending test message:', error);
+    handleChannelError(res, error, 'send test message');
+  }
+});
+
+// GET /api/notifications/channels/:id/deliveries - Recent delivery attempts to a channel
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const id = parseChannelId(req, res);
+    if (id === null) return;
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Limit must be an integer between 1 and 100'
+        }
+      });
+    }
+
+    const deliveries = await deliveryService.getDeliveries(id, req.user.id, limit);
+
+    res.json({
+      data: deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    console.error('Error fetching deliveries:', error);
+    handleChannelError(res, error, 'fetch deliveries');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const NotificationPreferencesRepository = require('../repositories/NotificationPreferencesRepository');
+const NotificationPreferences = require('../models/NotificationPreferences');
+const { resolvePatient, requirePatientPermission, requireSettingsAccess } = require('../middleware/patientScope');
+
+const router = express.Router();
+const notificationPreferencesRepository = new NotificationPreferencesRepository();
+
+// Validation middleware for changing preferences; the model checks the ranges and times
+const validatePreferencesData = (req, res, next) => {
+  const {
+    disabled_types,
+    minutes_ahead,
+    hours_overdue,
+    buy_soon_days_ahead,
+    renotify_minutes,
+    max_renotifications,
+    escalation_user_id,
+    quiet_hours_enabled,
+    quiet_hours_start,
+    quiet_hours_end
+  } = req.body;
+
+  const errors = [];
+
+  if (disabled_types !== undefined &&
+      (!Array.isArray(disabled_types) || disabled_types.some(type => typeof type !== 'string'))) {
+    errors.push({ field: 'disabled_types', message: 'Disabled types must be an array of notification types' });
+  }
+
+  const integers = { minutes_ahead, hours_overdue, buy_soon_days_ahead, renotify_minutes, max_renotifications };
+  for (const [field, value] of Object.entries(integers)) {
+    if (value !== undefined && !Number.isInteger(value)) {
+      errors.push({ field, message: `${field} must be an integer` });
+    }
+  }
+
+  if (escalation_user_id !== undefined && escalation_user_id !== null && !Number.isInteger(escalation_user_id)) {
+    errors.push({ field: 'escalation_user_id', message: 'Secondary caregiver must be a user ID or null' });
+  }
+
+  if (quiet_hours_enabled !== undefined && typeof quiet_hours_enabled !== 'boolean') {
+    errors.push({ field: 'quiet_hours_enabled', message: 'Quiet hours enabled must be a boolean' });
+  }
+
+  for (const [field, value] of Object.entries({ quiet_hours_start, quiet_hours_end })) {
+    if (value !== undefined && typeof value !== 'string') {
+      errors.push({ field, message: `${field} must be a time in HH:MM format` });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid notification preferences',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Preferences for unassigned medications are shared settings; a patient's need the right
+// to manage the patient's medications
+const authorizePreferencesChange = (req, res, next) => (
+  req.patient ? requirePatientPermission('manage_medications')(req, res, next) : requireSettingsAccess(req, res, next)
+);
+
+// GET /api/notifications/preferences - Notification preferences of the patient_id patient,
+// or of unassigned medications
+router.get('/', resolvePatient, async (req, res) => {
+  try {
+    const preferences = await notificationPreferencesRepository.findByPatientId(req.patient ? req.patient.id : null);
+
+    res.json({
+      data: preferences,
+      types: NotificationPreferences.getTypes()
+    });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch notification preferences',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// PUT /api/notifications/preferences - Change notification preferences; fields left out keep
+// their current values
+router.put('/', resolvePatient, authorizePreferencesChange, validatePreferencesData, async (req, res) => {
+  try {
+    const fields = [
+      'disabled_types',
+      'minutes_ahead',
+      'hours_overdue',
+      'buy_soon_days_ahead',
+      'renotify_minutes',
+      'max_renotifications',
+      'escalation_user_id',
+      'quiet_hours_enabled',
+      'quiet_hours_start',
+      'quiet_hours_end'
+    ];
+    const preferencesData = {};
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        preferencesData[field] = req.body[field];
+      }
+    }
+
+    const preferences = await notificationPreferencesRepository.save(req.patient ? req.patient.id : null, preferencesData);
+
+    res.json({
+      data: preferences,
+      message: 'Notification preferences updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update notification preferences',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+module.exports = router;
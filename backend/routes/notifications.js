@@ -1,14 +1,31 @@
 const express = require('express');
 const NotificationRepository = require('../repositories/NotificationRepository');
+const { resolvePatient, authorizeNotification } = require('../middleware/patientScope');
+const notificationChannelRoutes = require('./notificationChannels');
+const notificationPreferenceRoutes = require('./notificationPreferences');
 
 const router = express.Router();
 const notificationRepository = new NotificationRepository();
 
+// How long a dose reminder can be snoozed for, in minutes
+const SNOOZE_MINUTES = [10, 30, 60];
+
+// Delivery channels and preferences are mounted first so /channels and /preferences are not
+// taken for a notification ID
+router.use('/channels', notificationChannelRoutes);
+router.use('/preferences', notificationPreferenceRoutes);
+
 // GET /api/notifications - Get all notifications
-router.get('/', async (req, res) => {
+router.get('/', resolvePatient, async (req, res) => {
   try {
     const filters = {};
 
+    if (req.patient) {
+      filters.patient_id = req.patient.id;
+    } else {
+      filters.accessible_by = req.user.id;
+    }
+
     // Parse query parameters
     if (req.query.is_read !== undefined) {
       filters.is_read = req.query.is_read === 'true';
@@ -66,7 +83,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/notifications/:id - Get specific notification
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorizeNotification('view'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
 
@@ -107,7 +124,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/notifications/:id/mark-read - Mark notification as read
-router.post('/:id/mark-read', async (req, res) => {
+router.post('/:id/mark-read', authorizeNotification('view'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
 
@@ -148,10 +165,128 @@ router.post('/:id/mark-read', async (req, res) => {
   }
 });
 
+// POST /api/notifications/:id/snooze - Snooze a dose reminder for 10, 30 or 60 minutes;
+// it is raised again afterwards
+router.post('/:id/snooze', authorizeNotification('record_doses'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid notification ID',
+          details: [{ field: 'id', message: 'ID must be an integer' }]
+        }
+      });
+    }
+
+    const { minutes } = req.body;
+    if (!SNOOZE_MINUTES.includes(minutes)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid snooze duration',
+          details: [{ field: 'minutes', message: `Minutes must be one of: ${SNOOZE_MINUTES.join(', ')}` }]
+        }
+      });
+    }
+
+    const existing = await notificationRepository.findById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Notification not found'
+        }
+      });
+    }
+
+    if (existing.type !== 'DOSE_DUE') {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Only dose reminders can be snoozed'
+        }
+      });
+    }
+
+    const notification = await notificationRepository.snooze(id, minutes);
+
+    if (!notification) {
+      return res.status(409).json({
+        error: {
+          code: 'CONFLICT',
+          message: 'Dose reminder has already been acknowledged'
+        }
+      });
+    }
+
+    res.json({
+      data: notification,
+      message: `Dose reminder snoozed for ${minutes} minutes`
+    });
+  } catch (error) {
+    console.error('Error snoozing notification:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to snooze notification',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// POST /api/notifications/:id/acknowledge - Acknowledge a notification so it is not raised
+// again or escalated
+router.post('/:id/acknowledge', authorizeNotification('record_doses'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid notification ID',
+          details: [{ field: 'id', message: 'ID must be an integer' }]
+        }
+      });
+    }
+
+    const notification = await notificationRepository.acknowledge(id);
+
+    if (!notification) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Notification not found'
+        }
+      });
+    }
+
+    res.json({
+      data: notification,
+      message: 'Notification acknowledged'
+    });
+  } catch (error) {
+    console.error('Error acknowledging notification:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to acknowledge notification',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
 // POST /api/notifications/mark-all-read - Mark all notifications as read
-router.post('/mark-all-read', async (req, res) => {
+router.post('/mark-all-read', resolvePatient, async (req, res) => {
   try {
     let count = 0;
+    const scope = req.patient ? { patient_id: req.patient.id } : { accessible_by: req.user.id };
 
     // Allow filtering which notifications to mark as read
     if (req.body.medicine_id) {
@@ -166,17 +301,16 @@ router.post('/mark-all-read', async (req, res) => {
         });
       }
 
-      const notifications = await notificationRepository.markAllAsReadForMedication(medicineId);
-      count = notifications.length;
-    } else {
-      // Mark all unread notifications as read
-      const unreadNotifications = await notificationRepository.findUnread();
-      const notificationIds = unreadNotifications.map(n => n.id);
+      scope.medicine_id = medicineId;
+    }
 
-      if (notificationIds.length > 0) {
-        await notificationRepository.markMultipleAsRead(notificationIds);
-        count = notificationIds.length;
-      }
+    // Mark the unread notifications the user can see as read
+    const unreadNotifications = await notificationRepository.findUnread(scope);
+    const notificationIds = unreadNotifications.map(n => n.id);
+
+    if (notificationIds.length > 0) {
+      await notificationRepository.markMultipleAsRead(notificationIds);
+      count = notificationIds.length;
     }
 
     res.json({
@@ -196,7 +330,7 @@ router.post('/mark-all-read', async (req, res) => {
 });
 
 // DELETE /api/notifications/:id - Delete notification
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorizeNotification('record_doses'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
 
@@ -237,9 +371,12 @@ router.delete('/:id', async (req, res) => {
 });
 
 // GET /api/notifications/unread-count - Get count of unread notifications
-router.get('/unread-count', async (req, res) => {
+router.get('/unread-count', resolvePatient, async (req, res) => {
   try {
-    const unreadNotifications = await notificationRepository.findUnread({ limit: 1000 });
+    const unreadNotifications = await notificationRepository.findUnread({
+      limit: 1000,
+      ...(req.patient ? { patient_id: req.patient.id } : { accessible_by: req.user.id })
+    });
     const count = unreadNotifications.length;
 
     res.json({
@@ -0,0 +1,353 @@
+const express = require('express');
+const PatientService = require('../services/PatientService');
+const PatientMember = require('../models/PatientMember');
+const { isValidTimezone } = require('../config/timezone');
+
+const router = express.Router();
+const patientService = new PatientService();
+
+// Validation middleware
+const validatePatientData = (req, res, next) => {
+  const { name, date_of_birth } = req.body;
+
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push({ field: 'name', message: 'Name is required and must be a non-empty string' });
+  }
+
+  if (date_of_birth && (typeof date_of_birth !== 'string' || !date_of_birth.match(/^\d{4}-\d{2}-\d{2}$/))) {
+    errors.push({ field: 'date_of_birth', message: 'Date of birth must be in YYYY-MM-DD format' });
+  }
+
+  // Empty uses the installation timezone
+  if (req.body.timezone && !isValidTimezone(req.body.timezone)) {
+    errors.push({ field: 'timezone', message: 'Timezone must be a valid IANA timezone name' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid patient data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Validation middleware for invitations
+const validateInvitationData = (req, res, next) => {
+  const { email, role } = req.body;
+
+  const errors = [];
+
+  if (!email || typeof email !== 'string' || email.trim().length === 0) {
+    errors.push({ field: 'email', message: 'Email is required' });
+  }
+
+  if (!PatientMember.isValidRole(role)) {
+    errors.push({ field: 'role', message: `Role must be one of: ${PatientMember.getRoles().join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid invitation data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Validate an integer route parameter
+const parseIdParam = (req, res, param, label) => {
+  const id = parseInt(req.params[param]);
+
+  if (!Number.isInteger(id)) {
+    res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: `Invalid ${label}`,
+        details: [{ field: param, message: 'ID must be an integer' }]
+      }
+    });
+    return null;
+  }
+
+  return id;
+};
+
+// Validate the :id parameter
+const parsePatientId = (req, res) => parseIdParam(req, res, 'id', 'patient ID');
+
+// Shared error responses
+const handlePatientError = (res, error, action) => {
+  if (['Patient not found', 'Member not found', 'Invitation not found'].includes(error.message)) {
+    return res.status(404).json({
+      error: {
+        code: 'NOT_FOUND',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.includes('Insufficient permissions')) {
+    return res.status(403).json({
+      error: {
+        code: 'FORBIDDEN',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.includes('already')) {
+    return res.status(409).json({
+      error: {
+        code: 'CONFLICT',
+        message: error.message.replace(/^Failed to create invitation: /, '')
+      }
+    });
+  }
+
+  if (error.message.includes('Validation failed')) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: `Failed to ${action}`,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
+  });
+};
+
+// GET /api/patients - Patients the current user looks after
+router.get('/', async (req, res) => {
+  try {
+    const patients = await patientService.getPatientsForUser(req.user.id);
+
+    res.json({
+      data: patients,
+      count: patients.length
+    });
+  } catch (error) {
+    console.error('Error fetching patients:', error);
+    handlePatientError(res, error, 'fetch patients');
+  }
+});
+
+// GET /api/patients/:id - Get specific patient
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parsePatientId(req, res);
+    if (id === null) return;
+
+    const patient = await patientService.getPatientForUser(id, req.user.id);
+
+    res.json({
+      data: patient
+    });
+  } catch (error) {
+    console.error('Error fetching patient:', error);
+    handlePatientError(res, error, 'fetch patient');
+  }
+});
+
+// POST /api/patients - Create a patient
+router.post('/', validatePatientData, async (req, res) => {
+  try {
+    const patient = await patientService.createPatient(req.user.id, {
+      name: req.body.name.trim(),
+      date_of_birth: req.body.date_of_birth || null,
+      notes: req.body.notes?.trim() || null,
+      timezone: req.body.timezone || null
+    });
+
+    res.status(201).json({
+      data: patient,
+      message: 'Patient created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating patient:', error);
+    handlePatientError(res, error, 'create patient');
+  }
+});
+
+// PUT /api/patients/:id - Update a patient
+router.put('/:id', validatePatientData, async (req, res) => {
+  try {
+    const id = parsePatientId(req, res);
+    if (id === null) return;
+
+    const patient = await patientService.updatePatient(id, req.user.id, {
+      name: req.body.name.trim(),
+      date_of_birth: req.body.date_of_birth || null,
+      notes: req.body.notes?.trim() || null,
+      timezone: req.body.timezone || null
+    });
+
+    res.json({
+      data: patient,
+      message: 'Patient updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating patient:', error);
+    handlePatientError(res, error, 'update patient');
+  }
+});
+
+// DELETE /api/patients/:id - Delete a patient and their medications
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parsePatientId(req, res);
+    if (id === null) return;
+
+    await patientService.deletePatient(id, req.user.id);
+
+    res.json({
+      message: 'Patient deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting patient:', error);
+    handlePatientError(res, error, 'delete patient');
+  }
+});
+
+// GET /api/patients/:id/members - Everyone who can access the patient
+router.get('/:id/members', async (req, res) => {
+  try {
+    const id = parsePatientId(req, res);
+    if (id === null) return;
+
+    const members = await patientService.getMembers(id, req.user.id);
+
+    res.json({
+      data: members,
+      count: members.length
+    });
+  } catch (error) {
+    console.error('Error fetching patient members:', error);
+    handlePatientError(res, error, 'fetch patient members');
+  }
+});
+
+// PUT /api/patients/:id/members/:userId - Change a member's role
+router.put('/:id/members/:userId', async (req, res) => {
+  try {
+    const id = parsePatientId(req, res);
+    if (id === null) return;
+    const memberUserId = parseIdParam(req, res, 'userId', 'user ID');
+    if (memberUserId === null) return;
+
+    if (!PatientMember.isValidRole(req.body.role)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid member data',
+          details: [{ field: 'role', message: `Role must be one of: ${PatientMember.getRoles().join(', ')}` }]
+        }
+      });
+    }
+
+    const member = await patientService.updateMemberRole(id, req.user.id, memberUserId, req.body.role);
+
+    res.json({
+      data: member,
+      message: 'Member updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating patient member:', error);
+    handlePatientError(res, error, 'update patient member');
+  }
+});
+
+// DELETE /api/patients/:id/members/:userId - Remove a member (or leave the patient)
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const id = parsePatientId(req, res);
+    if (id === null) return;
+    const memberUserId = parseIdParam(req, res, 'userId', 'user ID');
+    if (memberUserId === null) return;
+
+    await patientService.removeMember(id, req.user.id, memberUserId);
+
+    res.json({
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing patient member:', error);
+    handlePatientError(res, error, 'remove patient member');
+  }
+});
+
+// GET /api/patients/:id/invitations - Open invitations for the patient
+router.get('/:id/invitations', async (req, res) => {
+  try {
+    const id = parsePatientId(req, res);
+    if (id === null) return;
+
+    const invitations = await patientService.getPendingInvitations(id, req.user.id);
+
+    res.json({
+      data: invitations,
+      count: invitations.length
+    });
+  } catch (error) {
+    console.error('Error fetching patient invitations:', error);
+    handlePatientError(res, error, 'fetch patient invitations');
+  }
+});
+
+// POST /api/patients/:id/invitations - Invite someone by email
+router.post('/:id/invitations', validateInvitationData, async (req, res) => {
+  try {
+    const id = parsePatientId(req, res);
+    if (id === null) return;
+
+    const invitation = await patientService.inviteMember(id, req.user.id, {
+      email: req.body.email.trim(),
+      role: req.body.role
+    });
+
+    res.status(201).json({
+      data: invitation,
+      message: 'Invitation created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating patient invitation:', error);
+    handlePatientError(res, error, 'create invitation');
+  }
+});
+
+// DELETE /api/patients/:id/invitations/:invitationId - Revoke an open invitation
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    const id = parsePatientId(req, res);
+    if (id === null) return;
+    const invitationId = parseIdParam(req, res, 'invitationId', 'invitation ID');
+    if (invitationId === null) return;
+
+    await patientService.revokeInvitation(id, req.user.id, invitationId);
+
+    res.json({
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking patient invitation:', error);
+    handlePatientError(res, error, 'revoke invitation');
+  }
+});
+
+module.exports = router;
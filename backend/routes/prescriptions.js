@@ -0,0 +1,299 @@
+const express = require('express');
+const PrescriptionRepository = require('../repositories/PrescriptionRepository');
+const PrescriberRepository = require('../repositories/PrescriberRepository');
+const MedicationRepository = require('../repositories/MedicationRepository');
+const { authorizeMedication } = require('../middleware/patientScope');
+
+const router = express.Router({ mergeParams: true });
+const prescriptionRepository = new PrescriptionRepository();
+const prescriberRepository = new PrescriberRepository();
+const medicationRepository = new MedicationRepository();
+
+const isValidDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(new Date(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+const isOptionalString = (value, maxLength) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim().length <= maxLength);
+
+const isOptionalCount = (value) => value === undefined || (Number.isInteger(value) && value >= 0);
+
+// Validation middleware for prescription data; on updates only the fields sent are checked
+const validatePrescriptionData = async (req, res, next) => {
+  const { prescriber_id, prescription_number, issue_date, expiry_date, authorized_refills, refills_used, notes } = req.body;
+
+  const errors = [];
+
+  if (prescriber_id !== undefined && prescriber_id !== null && (!Number.isInteger(prescriber_id) || prescriber_id <= 0)) {
+    errors.push({ field: 'prescriber_id', message: 'Prescriber ID must be a positive integer' });
+  }
+
+  if (!isOptionalString(prescription_number, 100)) {
+    errors.push({ field: 'prescription_number', message: 'Prescription number must be a string of 100 characters or less' });
+  }
+
+  if (issue_date !== undefined && issue_date !== null && issue_date !== '' && !isValidDateString(issue_date)) {
+    errors.push({ field: 'issue_date', message: 'Issue date must be in YYYY-MM-DD format' });
+  }
+
+  if (expiry_date !== undefined && expiry_date !== null && expiry_date !== '' && !isValidDateString(expiry_date)) {
+    errors.push({ field: 'expiry_date', message: 'Expiry date must be in YYYY-MM-DD format' });
+  }
+
+  if (!isOptionalCount(authorized_refills)) {
+    errors.push({ field: 'authorized_refills', message: 'Authorized refills must be a non-negative integer' });
+  }
+
+  if (!isOptionalCount(refills_used)) {
+    errors.push({ field: 'refills_used', message: 'Refills used must be a non-negative integer' });
+  }
+
+  if (!isOptionalString(notes, 1000)) {
+    errors.push({ field: 'notes', message: 'Notes must be a string of 1000 characters or less' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid prescription data',
+        details: errors
+      }
+    });
+  }
+
+  try {
+    if (prescriber_id && !(await prescriberRepository.findById(prescriber_id))) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid prescription data',
+          details: [{ field: 'prescriber_id', message: 'Prescriber not found' }]
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error validating prescriber:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to validate prescriber',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Middleware to validate medication exists
+const validateMedicationExists = async (req, res, next) => {
+  try {
+    const medicationId = parseInt(req.params.medicationId);
+
+    if (!Number.isInteger(medicationId)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid medication ID',
+          details: [{ field: 'medicationId', message: 'Medication ID must be an integer' }]
+        }
+      });
+    }
+
+    const medication = await medicationRepository.findById(medicationId);
+    if (!medication) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Medication not found'
+        }
+      });
+    }
+
+    req.medication = medication;
+    next();
+  } catch (error) {
+    console.error('Error validating medication:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to validate medication',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Middleware to load a prescription of the medication
+const validatePrescriptionExists = async (req, res, next) => {
+  try {
+    const prescriptionId = parseInt(req.params.prescriptionId);
+
+    if (!Number.isInteger(prescriptionId)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid prescription ID',
+          details: [{ field: 'prescriptionId', message: 'Prescription ID must be an integer' }]
+        }
+      });
+    }
+
+    const prescription = await prescriptionRepository.findById(prescriptionId);
+    if (!prescription || prescription.medicine_id !== req.medication.id) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Prescription not found for this medication'
+        }
+      });
+    }
+
+    req.prescription = prescription;
+    next();
+  } catch (error) {
+    console.error('Error validating prescription:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to validate prescription',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// GET /api/medications/:medicationId/prescriptions - Prescriptions of a medication, the
+// current (last issued) one first
+router.get('/', validateMedicationExists, authorizeMedication('view'), async (req, res) => {
+  try {
+    const prescriptions = await prescriptionRepository.findByMedicationId(req.medication.id);
+
+    res.json({
+      data: prescriptions,
+      count: prescriptions.length,
+      medication_id: req.medication.id,
+      current_prescription_id: prescriptions.length > 0 ? prescriptions[0].id : null
+    });
+  } catch (error) {
+    console.error('Error fetching prescriptions:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch prescriptions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// GET /api/medications/:medicationId/prescriptions/:prescriptionId - Get a single prescription
+router.get('/:prescriptionId', validateMedicationExists, authorizeMedication('view'), validatePrescriptionExists, async (req, res) => {
+  res.json({
+    data: req.prescription
+  });
+});
+
+// POST /api/medications/:medicationId/prescriptions - Add a prescription; a newly issued
+// one resolves the medication's renewal notifications
+router.post('/', validateMedicationExists, authorizeMedication('manage_medications'), validatePrescriptionData, async (req, res) => {
+  try {
+    const prescription = await prescriptionRepository.create({
+      medicine_id: req.medication.id,
+      prescriber_id: req.body.prescriber_id ?? null,
+      prescription_number: req.body.prescription_number?.trim() || '',
+      issue_date: req.body.issue_date || null,
+      expiry_date: req.body.expiry_date || null,
+      authorized_refills: req.body.authorized_refills ?? 0,
+      refills_used: req.body.refills_used ?? 0,
+      notes: req.body.notes?.trim() || ''
+    });
+
+    res.status(201).json({
+      data: prescription,
+      message: 'Prescription created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating prescription:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create prescription',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// PUT /api/medications/:medicationId/prescriptions/:prescriptionId - Update a prescription
+router.put('/:prescriptionId', validateMedicationExists, authorizeMedication('manage_medications'), validatePrescriptionExists, validatePrescriptionData, async (req, res) => {
+  try {
+    const changes = {};
+    if (req.body.prescriber_id !== undefined) changes.prescriber_id = req.body.prescriber_id;
+    if (req.body.prescription_number !== undefined) changes.prescription_number = req.body.prescription_number?.trim() || '';
+    if (req.body.issue_date) changes.issue_date = req.body.issue_date;
+    if (req.body.expiry_date !== undefined) changes.expiry_date = req.body.expiry_date || null;
+    if (req.body.authorized_refills !== undefined) changes.authorized_refills = req.body.authorized_refills;
+    if (req.body.refills_used !== undefined) changes.refills_used = req.body.refills_used;
+    if (req.body.notes !== undefined) changes.notes = req.body.notes?.trim() || '';
+
+    const prescription = await prescriptionRepository.update(req.prescription.id, changes);
+
+    res.json({
+      data: prescription,
+      message: 'Prescription updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating prescription:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update prescription',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// DELETE /api/medications/:medicationId/prescriptions/:prescriptionId - Remove a prescription;
+// refills filled on it are kept
+router.delete('/:prescriptionId', validateMedicationExists, authorizeMedication('manage_medications'), validatePrescriptionExists, async (req, res) => {
+  try {
+    await prescriptionRepository.delete(req.prescription.id);
+
+    res.json({
+      message: 'Prescription deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting prescription:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete prescription',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,300 @@
+const express = require('express');
+const RefillRepository = require('../repositories/RefillRepository');
+const MedicationRepository = require('../repositories/MedicationRepository');
+const { authorizeMedication } = require('../middleware/patientScope');
+
+const router = express.Router({ mergeParams: true });
+const refillRepository = new RefillRepository();
+const medicationRepository = new MedicationRepository();
+
+const isValidDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(new Date(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+const isOptionalString = (value, maxLength) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim().length <= maxLength);
+
+// Validation middleware for refill data; on updates only the fields sent are checked
+const validateRefillData = (req, res, next) => {
+  const { quantity, refill_date, pharmacy, cost, prescription_reference, prescription_id, notes, lot_number, expiry_date } = req.body;
+  const isUpdate = req.method === 'PUT';
+
+  const errors = [];
+
+  if (isUpdate) {
+    if (quantity !== undefined) {
+      errors.push({ field: 'quantity', message: 'The quantity of a refill cannot be changed; correct its lot instead' });
+    }
+  } else if (typeof quantity !== 'number' || isNaN(quantity) || quantity <= 0) {
+    errors.push({ field: 'quantity', message: 'Quantity is required and must be a positive number' });
+  }
+
+  if (refill_date !== undefined && refill_date !== null && refill_date !== '' && !isValidDateString(refill_date)) {
+    errors.push({ field: 'refill_date', message: 'Refill date must be in YYYY-MM-DD format' });
+  }
+
+  if (cost !== undefined && cost !== null && (typeof cost !== 'number' || isNaN(cost) || cost < 0)) {
+    errors.push({ field: 'cost', message: 'Cost must be a non-negative number' });
+  }
+
+  if (!isOptionalString(pharmacy, 200)) {
+    errors.push({ field: 'pharmacy', message: 'Pharmacy must be a string of 200 characters or less' });
+  }
+
+  if (!isOptionalString(prescription_reference, 100)) {
+    errors.push({ field: 'prescription_reference', message: 'Prescription reference must be a string of 100 characters or less' });
+  }
+
+  if (!isOptionalString(notes, 1000)) {
+    errors.push({ field: 'notes', message: 'Notes must be a string of 1000 characters or less' });
+  }
+
+  // The lot details and prescription belong to the refill as received and are only set when recording it
+  if (isUpdate) {
+    if (prescription_id !== undefined) {
+      errors.push({ field: 'prescription_id', message: 'The prescription of a refill cannot be changed' });
+    }
+  } else {
+    if (prescription_id !== undefined && prescription_id !== null && (!Number.isInteger(prescription_id) || prescription_id <= 0)) {
+      errors.push({ field: 'prescription_id', message: 'Prescription ID must be a positive integer, or null to refill without a prescription' });
+    }
+
+    if (!isOptionalString(lot_number, 100)) {
+      errors.push({ field: 'lot_number', message: 'Lot number must be a string of 100 characters or less' });
+    }
+
+    if (expiry_date !== undefined && expiry_date !== null && expiry_date !== '' && !isValidDateString(expiry_date)) {
+      errors.push({ field: 'expiry_date', message: 'Expiry date must be in YYYY-MM-DD format' });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid refill data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Middleware to validate medication exists
+const validateMedicationExists = async (req, res, next) => {
+  try {
+    const medicationId = parseInt(req.params.medicationId);
+
+    if (!Number.isInteger(medicationId)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid medication ID',
+          details: [{ field: 'medicationId', message: 'Medication ID must be an integer' }]
+        }
+      });
+    }
+
+    const medication = await medicationRepository.findById(medicationId);
+    if (!medication) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Medication not found'
+        }
+      });
+    }
+
+    req.medication = medication;
+    next();
+  } catch (error) {
+    console.error('Error validating medication:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to validate medication',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Middleware to load a refill of the medication
+const validateRefillExists = async (req, res, next) => {
+  try {
+    const refillId = parseInt(req.params.refillId);
+
+    if (!Number.isInteger(refillId)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid refill ID',
+          details: [{ field: 'refillId', message: 'Refill ID must be an integer' }]
+        }
+      });
+    }
+
+    const refill = await refillRepository.findById(refillId);
+    if (!refill || refill.medicine_id !== req.medication.id) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Refill not found for this medication'
+        }
+      });
+    }
+
+    req.refill = refill;
+    next();
+  } catch (error) {
+    console.error('Error validating refill:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to validate refill',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// GET /api/medications/:medicationId/refills - Refill history of a medication, newest first
+router.get('/', validateMedicationExists, authorizeMedication('view'), async (req, res) => {
+  try {
+    const refills = await refillRepository.findByMedicationId(req.medication.id);
+
+    res.json({
+      data: refills,
+      count: refills.length,
+      medication_id: req.medication.id,
+      dose_unit: req.medication.dose_unit
+    });
+  } catch (error) {
+    console.error('Error fetching refills:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch refills',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// GET /api/medications/:medicationId/refills/:refillId - Get a single refill
+router.get('/:refillId', validateMedicationExists, authorizeMedication('view'), validateRefillExists, async (req, res) => {
+  res.json({
+    data: req.refill
+  });
+});
+
+// POST /api/medications/:medicationId/refills - Record a refill: receive its stock as a lot,
+// use one refill of its prescription (prescription_id, by default the current one; null for
+// none) and resolve the medication's buy-soon notifications. The quantity may be given in
+// another unit (e.g. 2 pens), which is converted to the medication's dose unit.
+router.post('/', validateMedicationExists, authorizeMedication('manage_inventory'), validateRefillData, async (req, res) => {
+  try {
+    const quantity = req.medication.convertToDoseUnits(req.body.quantity, req.body.unit || req.medication.dose_unit);
+
+    const { refill, prescription, resolved_notifications } = await refillRepository.create({
+      medicine_id: req.medication.id,
+      quantity,
+      refill_date: req.body.refill_date || null,
+      pharmacy: req.body.pharmacy?.trim() || '',
+      cost: req.body.cost ?? null,
+      prescription_reference: req.body.prescription_reference?.trim() || '',
+      prescription_id: req.body.prescription_id,
+      notes: req.body.notes?.trim() || ''
+    }, {
+      lot_number: req.body.lot_number?.trim() || '',
+      expiry_date: req.body.expiry_date || null
+    }, req.user.id);
+
+    res.status(201).json({
+      data: refill,
+      prescription,
+      resolved_notifications: resolved_notifications.length,
+      message: 'Refill recorded successfully'
+    });
+  } catch (error) {
+    console.error('Error recording refill:', error);
+
+    if (error.message.includes('Validation failed') || error.message.includes('Cannot convert')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to record refill',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// PUT /api/medications/:medicationId/refills/:refillId - Update the details of a refill
+router.put('/:refillId', validateMedicationExists, authorizeMedication('manage_inventory'), validateRefillExists, validateRefillData, async (req, res) => {
+  try {
+    const changes = {};
+    if (req.body.refill_date) changes.refill_date = req.body.refill_date;
+    if (req.body.pharmacy !== undefined) changes.pharmacy = req.body.pharmacy?.trim() || '';
+    if (req.body.cost !== undefined) changes.cost = req.body.cost;
+    if (req.body.prescription_reference !== undefined) changes.prescription_reference = req.body.prescription_reference?.trim() || '';
+    if (req.body.notes !== undefined) changes.notes = req.body.notes?.trim() || '';
+
+    const refill = await refillRepository.update(req.refill.id, changes);
+
+    res.json({
+      data: refill,
+      message: 'Refill updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating refill:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update refill',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// DELETE /api/medications/:medicationId/refills/:refillId - Remove a refill recorded by
+// mistake, with its lot and whatever the lot still holds, giving back its prescription refill
+router.delete('/:refillId', validateMedicationExists, authorizeMedication('manage_inventory'), validateRefillExists, async (req, res) => {
+  try {
+    await refillRepository.delete(req.refill.id, req.user.id);
+
+    res.json({
+      message: 'Refill deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting refill:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete refill',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const ReportService = require('../services/ReportService');
+const { resolvePatient } = require('../middleware/patientScope');
+
+const router = express.Router();
+const reportService = new ReportService();
+
+const isValidDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(new Date(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+// GET /api/reports/spend?start_date=YYYY-MM-DD&end_date=YYYY-MM-DD&patient_id=N - Refill
+// spend per month and per medication, by default over the last twelve months
+router.get('/spend', resolvePatient, async (req, res) => {
+  const { start_date, end_date } = req.query;
+  const errors = [];
+
+  if (start_date !== undefined && !isValidDateString(start_date)) {
+    errors.push({ field: 'start_date', message: 'Start date must be in YYYY-MM-DD format' });
+  }
+  if (end_date !== undefined && !isValidDateString(end_date)) {
+    errors.push({ field: 'end_date', message: 'End date must be in YYYY-MM-DD format' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid spend report parameters',
+        details: errors
+      }
+    });
+  }
+
+  try {
+    const report = await reportService.getSpendReport({
+      start_date,
+      end_date,
+      // Without a patient, only the spend on the user's patients
+      ...(req.patient ? { patient_id: req.patient.id } : { accessible_by: req.user.id })
+    });
+
+    res.json({
+      data: report
+    });
+  } catch (error) {
+    console.error('Error fetching spend report:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch spend report',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+module.exports = router;
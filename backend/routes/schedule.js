@@ -1,13 +1,16 @@
 const express = require('express');
 const ScheduleService = require('../services/ScheduleService');
+const { resolvePatient } = require('../middleware/patientScope');
+const { toLocalDateString } = require('../config/timezone');
 
 const router = express.Router();
 const scheduleService = new ScheduleService();
 
-// GET /api/schedule/daily?date=YYYY-MM-DD - Get daily schedule
-router.get('/daily', async (req, res) => {
+// GET /api/schedule/daily?date=YYYY-MM-DD&patient_id=N - Get daily schedule
+router.get('/daily', resolvePatient, async (req, res) => {
     try {
-        const date = req.query.date || new Date().toISOString().split('T')[0];
+        // Today in the patient's timezone (the installation's without a patient)
+        const date = req.query.date || toLocalDateString(new Date(), req.patient?.timezone);
 
         // Validate date format
         if (!date.match(/^\d{4}-\d{2}-\d{2}$/)) {
@@ -20,7 +23,10 @@ router.get('/daily', async (req, res) => {
             });
         }
 
-        const schedule = await scheduleService.generateDailySchedule(date);
+        // Without a patient, the medications of every patient the user can access
+        const schedule = req.patient
+            ? await scheduleService.generateDailySchedule(date, req.patient.id)
+            : await scheduleService.generateDailySchedule(date, null, req.user.id);
 
         res.json({
             data: schedule
@@ -37,10 +43,11 @@ router.get('/daily', async (req, res) => {
     }
 });
 
-// GET /api/schedule/summary?date=YYYY-MM-DD - Get schedule summary
-router.get('/summary', async (req, res) => {
+// GET /api/schedule/summary?date=YYYY-MM-DD&patient_id=N - Get schedule summary
+router.get('/summary', resolvePatient, async (req, res) => {
     try {
-        const date = req.query.date || new Date().toISOString().split('T')[0];
+        // Today in the patient's timezone (the installation's without a patient)
+        const date = req.query.date || toLocalDateString(new Date(), req.patient?.timezone);
 
         // Validate date format
         if (!date.match(/^\d{4}-\d{2}-\d{2}$/)) {
@@ -53,7 +60,9 @@ router.get('/summary', async (req, res) => {
             });
         }
 
-        const summary = await scheduleService.getScheduleSummary(date);
+        const summary = req.patient
+            ? await scheduleService.getScheduleSummary(date, req.patient.id)
+            : await scheduleService.getScheduleSummary(date, null, req.user.id);
 
         res.json({
             data: summary
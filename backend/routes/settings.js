@@ -1,10 +1,26 @@
 const express = require('express');
 const RouteRepository = require('../repositories/RouteRepository');
 const FrequencyRepository = require('../repositories/FrequencyRepository');
+const PrescriberRepository = require('../repositories/PrescriberRepository');
+const PharmacyRepository = require('../repositories/PharmacyRepository');
+const StorageLocationRepository = require('../repositories/StorageLocationRepository');
+const PatientService = require('../services/PatientService');
+const Frequency = require('../models/Frequency');
+const {
+  resolvePatient,
+  requirePatientPermission,
+  authorizeLocation,
+  requireSettingsAccess
+} = require('../middleware/patientScope');
+const { getInstallationTimezone } = require('../config/timezone');
 
 const router = express.Router();
 const routeRepository = new RouteRepository();
 const frequencyRepository = new FrequencyRepository();
+const prescriberRepository = new PrescriberRepository();
+const pharmacyRepository = new PharmacyRepository();
+const storageLocationRepository = new StorageLocationRepository();
+const patientService = new PatientService();
 
 // Validation middleware for route data
 const validateRouteData = (req, res, next) => {
@@ -39,6 +55,16 @@ const validateFrequencyData = (req, res, next) => {
     errors.push({ field: 'name', message: 'Name is required and must be a non-empty string' });
   }
   
+  const { recurrence_type, weekdays } = req.body;
+  
+  if (recurrence_type !== undefined && !Frequency.getRecurrenceTypes().includes(recurrence_type)) {
+    errors.push({ field: 'recurrence_type', message: `Recurrence type must be one of: ${Frequency.getRecurrenceTypes().join(', ')}` });
+  }
+  
+  if (weekdays !== undefined && weekdays !== null && !Array.isArray(weekdays)) {
+    errors.push({ field: 'weekdays', message: 'Weekdays must be an array of integers (0-6)' });
+  }
+  
   if (errors.length > 0) {
     return res.status(400).json({
       error: {
@@ -52,6 +78,95 @@ const validateFrequencyData = (req, res, next) => {
   next();
 };
 
+// Validation middleware for prescriber data
+const validatePrescriberData = (req, res, next) => {
+  const { name, practice, phone, email } = req.body;
+
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push({ field: 'name', message: 'Name is required and must be a non-empty string' });
+  }
+
+  for (const [field, value] of Object.entries({ practice, phone, email })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      errors.push({ field, message: `${field.charAt(0).toUpperCase() + field.slice(1)} must be a string` });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid prescriber data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Validation middleware for pharmacy data
+const validatePharmacyData = (req, res, next) => {
+  const { name, address, phone, hours } = req.body;
+
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push({ field: 'name', message: 'Name is required and must be a non-empty string' });
+  }
+
+  for (const [field, value] of Object.entries({ address, phone, hours })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      errors.push({ field, message: `${field.charAt(0).toUpperCase() + field.slice(1)} must be a string` });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid pharmacy data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Validation middleware for storage location data
+const validateLocationData = (req, res, next) => {
+  const { name, description, is_default } = req.body;
+
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push({ field: 'name', message: 'Name is required and must be a non-empty string' });
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    errors.push({ field: 'description', message: 'Description must be a string' });
+  }
+
+  if (is_default !== undefined && typeof is_default !== 'boolean') {
+    errors.push({ field: 'is_default', message: 'Is default must be a boolean' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid location data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
 // Routes endpoints
 // GET /api/settings/routes - Get all routes
 router.get('/routes', async (req, res) => {
@@ -116,7 +231,7 @@ router.get('/routes/:id', async (req, res) => {
 });
 
 // POST /api/settings/routes - Create new route
-router.post('/routes', validateRouteData, async (req, res) => {
+router.post('/routes', requireSettingsAccess, validateRouteData, async (req, res) => {
   try {
     const routeData = {
       name: req.body.name.trim(),
@@ -152,7 +267,7 @@ router.post('/routes', validateRouteData, async (req, res) => {
 });
 
 // PUT /api/settings/routes/:id - Update route
-router.put('/routes/:id', validateRouteData, async (req, res) => {
+router.put('/routes/:id', requireSettingsAccess, validateRouteData, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -209,7 +324,7 @@ router.put('/routes/:id', validateRouteData, async (req, res) => {
 });
 
 // DELETE /api/settings/routes/:id - Delete route
-router.delete('/routes/:id', async (req, res) => {
+router.delete('/routes/:id', requireSettingsAccess, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -325,11 +440,16 @@ router.get('/frequencies/:id', async (req, res) => {
 });
 
 // POST /api/settings/frequencies - Create new frequency
-router.post('/frequencies', validateFrequencyData, async (req, res) => {
+router.post('/frequencies', requireSettingsAccess, validateFrequencyData, async (req, res) => {
   try {
     const frequencyData = {
       name: req.body.name.trim(),
-      description: req.body.description?.trim() || null
+      description: req.body.description?.trim() || null,
+      recurrence_type: req.body.recurrence_type || 'daily',
+      interval_days: req.body.interval_days ?? null,
+      weekdays: req.body.weekdays || [],
+      day_of_month: req.body.day_of_month ?? null,
+      interval_hours: req.body.interval_hours ?? null
     };
     
     const frequency = await frequencyRepository.create(frequencyData);
@@ -350,6 +470,15 @@ router.post('/frequencies', validateFrequencyData, async (req, res) => {
       });
     }
     
+    if (error.message.startsWith('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+    
     res.status(500).json({
       error: {
         code: 'INTERNAL_ERROR',
@@ -361,7 +490,7 @@ router.post('/frequencies', validateFrequencyData, async (req, res) => {
 });
 
 // PUT /api/settings/frequencies/:id - Update frequency
-router.put('/frequencies/:id', validateFrequencyData, async (req, res) => {
+router.put('/frequencies/:id', requireSettingsAccess, validateFrequencyData, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -377,7 +506,12 @@ router.put('/frequencies/:id', validateFrequencyData, async (req, res) => {
     
     const updateData = {
       name: req.body.name.trim(),
-      description: req.body.description?.trim() || null
+      description: req.body.description?.trim() || null,
+      recurrence_type: req.body.recurrence_type || 'daily',
+      interval_days: req.body.interval_days ?? null,
+      weekdays: req.body.weekdays || [],
+      day_of_month: req.body.day_of_month ?? null,
+      interval_hours: req.body.interval_hours ?? null
     };
     
     const frequency = await frequencyRepository.update(id, updateData);
@@ -407,6 +541,15 @@ router.put('/frequencies/:id', validateFrequencyData, async (req, res) => {
       });
     }
     
+    if (error.message.startsWith('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+    
     res.status(500).json({
       error: {
         code: 'INTERNAL_ERROR',
@@ -418,7 +561,7 @@ router.put('/frequencies/:id', validateFrequencyData, async (req, res) => {
 });
 
 // DELETE /api/settings/frequencies/:id - Delete frequency
-router.delete('/frequencies/:id', async (req, res) => {
+router.delete('/frequencies/:id', requireSettingsAccess, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -470,4 +613,491 @@ router.delete('/frequencies/:id', async (req, res) => {
   }
 });
 
+// Prescribers endpoints
+// GET /api/settings/prescribers - Get all prescribers
+router.get('/prescribers', async (req, res) => {
+  try {
+    const prescribers = await prescriberRepository.findAll();
+
+    res.json({
+      data: prescribers,
+      count: prescribers.length
+    });
+  } catch (error) {
+    console.error('Error fetching prescribers:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch prescribers',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// POST /api/settings/prescribers - Create new prescriber
+router.post('/prescribers', requireSettingsAccess, validatePrescriberData, async (req, res) => {
+  try {
+    const prescriber = await prescriberRepository.create({
+      name: req.body.name.trim(),
+      practice: req.body.practice?.trim() || '',
+      phone: req.body.phone?.trim() || '',
+      email: req.body.email?.trim() || ''
+    });
+
+    res.status(201).json({
+      data: prescriber,
+      message: 'Prescriber created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating prescriber:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create prescriber',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// PUT /api/settings/prescribers/:id - Update prescriber
+router.put('/prescribers/:id', requireSettingsAccess, validatePrescriberData, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid prescriber ID',
+          details: [{ field: 'id', message: 'ID must be an integer' }]
+        }
+      });
+    }
+
+    const prescriber = await prescriberRepository.update(id, {
+      name: req.body.name.trim(),
+      practice: req.body.practice?.trim() || '',
+      phone: req.body.phone?.trim() || '',
+      email: req.body.email?.trim() || ''
+    });
+
+    if (!prescriber) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Prescriber not found'
+        }
+      });
+    }
+
+    res.json({
+      data: prescriber,
+      message: 'Prescriber updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating prescriber:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update prescriber',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// DELETE /api/settings/prescribers/:id - Delete prescriber; their prescriptions are kept
+router.delete('/prescribers/:id', requireSettingsAccess, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid prescriber ID',
+          details: [{ field: 'id', message: 'ID must be an integer' }]
+        }
+      });
+    }
+
+    const deleted = await prescriberRepository.delete(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Prescriber not found'
+        }
+      });
+    }
+
+    res.json({
+      message: 'Prescriber deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting prescriber:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete prescriber',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// Pharmacies endpoints
+// GET /api/settings/pharmacies - Get all pharmacies
+router.get('/pharmacies', async (req, res) => {
+  try {
+    const pharmacies = await pharmacyRepository.findAll();
+
+    res.json({
+      data: pharmacies,
+      count: pharmacies.length
+    });
+  } catch (error) {
+    console.error('Error fetching pharmacies:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch pharmacies',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// POST /api/settings/pharmacies - Create new pharmacy
+router.post('/pharmacies', requireSettingsAccess, validatePharmacyData, async (req, res) => {
+  try {
+    const pharmacy = await pharmacyRepository.create({
+      name: req.body.name.trim(),
+      address: req.body.address?.trim() || '',
+      phone: req.body.phone?.trim() || '',
+      hours: req.body.hours?.trim() || ''
+    });
+
+    res.status(201).json({
+      data: pharmacy,
+      message: 'Pharmacy created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating pharmacy:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create pharmacy',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// PUT /api/settings/pharmacies/:id - Update pharmacy
+router.put('/pharmacies/:id', requireSettingsAccess, validatePharmacyData, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid pharmacy ID',
+          details: [{ field: 'id', message: 'ID must be an integer' }]
+        }
+      });
+    }
+
+    const pharmacy = await pharmacyRepository.update(id, {
+      name: req.body.name.trim(),
+      address: req.body.address?.trim() || '',
+      phone: req.body.phone?.trim() || '',
+      hours: req.body.hours?.trim() || ''
+    });
+
+    if (!pharmacy) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Pharmacy not found'
+        }
+      });
+    }
+
+    res.json({
+      data: pharmacy,
+      message: 'Pharmacy updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating pharmacy:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update pharmacy',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// DELETE /api/settings/pharmacies/:id - Delete pharmacy; medications that
+// preferred it are kept
+router.delete('/pharmacies/:id', requireSettingsAccess, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid pharmacy ID',
+          details: [{ field: 'id', message: 'ID must be an integer' }]
+        }
+      });
+    }
+
+    const deleted = await pharmacyRepository.delete(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Pharmacy not found'
+        }
+      });
+    }
+
+    res.json({
+      message: 'Pharmacy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting pharmacy:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete pharmacy',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// Storage locations endpoints; each location belongs to a patient and is managed by those
+// who may manage its medications
+// GET /api/settings/locations?patient_id=N - Get the storage locations of patient_id, or of
+// the user's patients, the default one first
+router.get('/locations', resolvePatient, async (req, res) => {
+  try {
+    const locations = await storageLocationRepository.findAll(
+      req.patient ? { patient_id: req.patient.id } : { accessible_by: req.user.id }
+    );
+
+    res.json({
+      data: locations,
+      count: locations.length
+    });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch locations',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// POST /api/settings/locations - Create new storage location for patient_id, or for the
+// user's own patient; a new default location replaces the patient's previous one
+router.post('/locations', validateLocationData, resolvePatient, requirePatientPermission('manage_medications'), async (req, res) => {
+  try {
+    const patient = req.patient ?? await patientService.getOwnPatient(req.user);
+
+    const location = await storageLocationRepository.create({
+      patient_id: patient.id,
+      name: req.body.name.trim(),
+      description: req.body.description?.trim() || '',
+      is_default: req.body.is_default === true
+    });
+
+    res.status(201).json({
+      data: location,
+      message: 'Location created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating location:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create location',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// PUT /api/settings/locations/:id - Update storage location
+router.put('/locations/:id', validateLocationData, authorizeLocation('manage_medications'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid location ID',
+          details: [{ field: 'id', message: 'ID must be an integer' }]
+        }
+      });
+    }
+
+    const location = await storageLocationRepository.update(id, {
+      name: req.body.name.trim(),
+      description: req.body.description?.trim() || '',
+      is_default: req.body.is_default === true
+    });
+
+    if (!location) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Location not found'
+        }
+      });
+    }
+
+    res.json({
+      data: location,
+      message: 'Location updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating location:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update location',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// DELETE /api/settings/locations/:id - Delete storage location; the stock kept there
+// stays in the medications' totals, outside any location
+router.delete('/locations/:id', authorizeLocation('manage_medications'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid location ID',
+          details: [{ field: 'id', message: 'ID must be an integer' }]
+        }
+      });
+    }
+
+    const deleted = await storageLocationRepository.delete(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Location not found'
+        }
+      });
+    }
+
+    res.json({
+      message: 'Location deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete location',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// GET /api/settings/timezone - Installation timezone (set with APP_TIMEZONE) and the names
+// patients can choose from
+router.get('/timezone', (req, res) => {
+  res.json({
+    data: {
+      timezone: getInstallationTimezone(),
+      available: Intl.supportedValuesOf('timeZone')
+    }
+  });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const SkipDateRepository = require('../repositories/SkipDateRepository');
 const MedicationRepository = require('../repositories/MedicationRepository');
 const AuditLogRepository = require('../repositories/AuditLogRepository');
+const { authorizeMedication } = require('../middleware/patientScope');
 
 const router = express.Router({ mergeParams: true });
 const skipDateRepository = new SkipDateRepository();
@@ -71,7 +72,7 @@ const validateMedicationExists = async (req, res, next) => {
 };
 
 // GET /api/medications/:medicationId/skip-dates - Get all skip dates for a medication
-router.get('/', validateMedicationExists, async (req, res) => {
+router.get('/', validateMedicationExists, authorizeMedication('view'), async (req, res) => {
   try {
     const medicationId = parseInt(req.params.medicationId);
     const skipDates = await skipDateRepository.findByMedicationId(medicationId);
@@ -94,7 +95,7 @@ router.get('/', validateMedicationExists, async (req, res) => {
 });
 
 // POST /api/medications/:medicationId/skip-dates - Create new skip date
-router.post('/', validateMedicationExists, validateSkipDateData, async (req, res) => {
+router.post('/', validateMedicationExists, authorizeMedication('manage_medications'), validateSkipDateData, async (req, res) => {
   try {
     const medicationId = parseInt(req.params.medicationId);
     const skipDate = req.body.skip_date;
@@ -138,6 +139,7 @@ router.post('/', validateMedicationExists, validateSkipDateData, async (req, res
     // Log the creation
     await auditLogRepository.create({
       medicine_id: medicationId,
+      user_id: req.user.id,
       action: 'SKIP_DATE_CREATED',
       new_values: createdSkipDate.toDbFormat()
     });
@@ -178,7 +180,7 @@ router.post('/', validateMedicationExists, validateSkipDateData, async (req, res
 });
 
 // DELETE /api/medications/:medicationId/skip-dates/:skipDateId - Delete skip date
-router.delete('/:skipDateId', validateMedicationExists, async (req, res) => {
+router.delete('/:skipDateId', validateMedicationExists, authorizeMedication('manage_medications'), async (req, res) => {
   try {
     const medicationId = parseInt(req.params.medicationId);
     const skipDateId = parseInt(req.params.skipDateId);
@@ -219,6 +221,7 @@ router.delete('/:skipDateId', validateMedicationExists, async (req, res) => {
       // Log the deletion
       await auditLogRepository.create({
         medicine_id: medicationId,
+        user_id: req.user.id,
         action: 'SKIP_DATE_DELETED',
         old_values: existingSkipDate.toDbFormat()
       });
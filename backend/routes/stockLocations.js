@@ -0,0 +1,173 @@
+const express = require('express');
+const StorageLocationRepository = require('../repositories/StorageLocationRepository');
+const MedicationRepository = require('../repositories/MedicationRepository');
+const InventoryService = require('../services/InventoryService');
+const { authorizeMedication } = require('../middleware/patientScope');
+
+const router = express.Router({ mergeParams: true });
+const storageLocationRepository = new StorageLocationRepository();
+const medicationRepository = new MedicationRepository();
+const inventoryService = new InventoryService();
+
+const isOptionalLocationId = (value) => value === undefined || value === null ||
+  (Number.isInteger(value) && value > 0);
+
+// Validation middleware for transfers; a missing location stands for the stock kept outside
+// the locations
+const validateTransferData = (req, res, next) => {
+  const { from_location_id, to_location_id, quantity, notes } = req.body;
+
+  const errors = [];
+
+  if (!isOptionalLocationId(from_location_id)) {
+    errors.push({ field: 'from_location_id', message: 'From location ID must be a positive integer' });
+  }
+
+  if (!isOptionalLocationId(to_location_id)) {
+    errors.push({ field: 'to_location_id', message: 'To location ID must be a positive integer' });
+  }
+
+  if ((from_location_id ?? null) === (to_location_id ?? null)) {
+    errors.push({ field: 'to_location_id', message: 'Transfer must move stock to a different location' });
+  }
+
+  if (typeof quantity !== 'number' || isNaN(quantity) || quantity <= 0) {
+    errors.push({ field: 'quantity', message: 'Quantity must be a positive number' });
+  }
+
+  if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.trim().length > 1000)) {
+    errors.push({ field: 'notes', message: 'Notes must be a string of 1000 characters or less' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid transfer data',
+        details: errors
+      }
+    });
+  }
+
+  next();
+};
+
+// Middleware to validate medication exists
+const validateMedicationExists = async (req, res, next) => {
+  try {
+    const medicationId = parseInt(req.params.medicationId);
+
+    if (!Number.isInteger(medicationId)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid medication ID',
+          details: [{ field: 'medicationId', message: 'Medication ID must be an integer' }]
+        }
+      });
+    }
+
+    const medication = await medicationRepository.findById(medicationId);
+    if (!medication) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Medication not found'
+        }
+      });
+    }
+
+    req.medication = medication;
+    next();
+  } catch (error) {
+    console.error('Error validating medication:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to validate medication',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// GET /api/medications/:medicationId/locations?days=7 - Stock of a medication at each
+// storage location, each with its own buy-soon forecast, and the stock kept outside them
+router.get('/', validateMedicationExists, authorizeMedication('view'), async (req, res) => {
+  const days = req.query.days === undefined ? 7 : parseInt(req.query.days);
+
+  if (!Number.isInteger(days) || days < 1 || days > 30) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid days parameter',
+        details: [{ field: 'days', message: 'Days must be an integer between 1 and 30' }]
+      }
+    });
+  }
+
+  try {
+    const locationStock = await inventoryService.getLocationStock(req.medication, days);
+
+    res.json({
+      data: locationStock
+    });
+  } catch (error) {
+    console.error('Error fetching location stock:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch location stock',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+// POST /api/medications/:medicationId/locations/transfers - Move stock between locations,
+// or between a location and the stock kept outside them; logged as INVENTORY_TRANSFERRED
+router.post('/transfers', validateMedicationExists, authorizeMedication('manage_inventory'), validateTransferData, async (req, res) => {
+  try {
+    const transfer = await storageLocationRepository.transfer(req.medication.id, {
+      from_location_id: req.body.from_location_id ?? null,
+      to_location_id: req.body.to_location_id ?? null,
+      quantity: req.body.quantity,
+      notes: req.body.notes?.trim() || null
+    }, req.user.id);
+
+    res.status(201).json({
+      data: transfer,
+      message: 'Stock transferred successfully'
+    });
+  } catch (error) {
+    console.error('Error transferring stock:', error);
+
+    if (error.message === 'Medication not found') {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Medication not found'
+        }
+      });
+    }
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to transfer stock',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -7,8 +7,17 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Allowed browser origins (comma-separated); credentials are needed for the session cookie
+const corsOrigins = (process.env.CORS_ORIGIN || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: corsOrigins,
+  credentials: true
+}));
 app.use(express.json());
 
 // Health check endpoint
@@ -30,23 +39,36 @@ app.get('/health', async (req, res) => {
 });
 
 // Import routes
+const { requireAuth } = require('./middleware/auth');
+const authRoutes = require('./routes/auth');
+const patientRoutes = require('./routes/patients');
+const invitationRoutes = require('./routes/invitations');
 const medicationRoutes = require('./routes/medications');
 const settingsRoutes = require('./routes/settings');
 const notificationRoutes = require('./routes/notifications');
 const scheduleRoutes = require('./routes/schedule');
 const auditRoutes = require('./routes/audit');
+const inventoryRoutes = require('./routes/inventory');
+const reportRoutes = require('./routes/reports');
+const eventRoutes = require('./routes/events');
 
 // Basic API route
 app.get('/api', (req, res) => {
   res.json({ message: 'Medication Management API' });
 });
 
-// API routes
-app.use('/api/medications', medicationRoutes);
-app.use('/api/settings', settingsRoutes);
-app.use('/api/notifications', notificationRoutes);
-app.use('/api/schedule', scheduleRoutes);
-app.use('/api/audit', auditRoutes);
+// API routes (everything except sign-in requires a session)
+app.use('/api/auth', authRoutes);
+app.use('/api/patients', requireAuth, patientRoutes);
+app.use('/api/invitations', requireAuth, invitationRoutes);
+app.use('/api/medications', requireAuth, medicationRoutes);
+app.use('/api/settings', requireAuth, settingsRoutes);
+app.use('/api/notifications', requireAuth, notificationRoutes);
+app.use('/api/schedule', requireAuth, scheduleRoutes);
+app.use('/api/audit', requireAuth, auditRoutes);
+app.use('/api/inventory', requireAuth, inventoryRoutes);
+app.use('/api/reports', requireAuth, reportRoutes);
+app.use('/api/events', requireAuth, eventRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const UserRepository = require('../repositories/UserRepository');
+const SessionRepository = require('../repositories/SessionRepository');
+const User = require('../models/User');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEY_LENGTH = 64;
+const DEFAULT_SESSION_TTL_HOURS = 24 * 7;
+
+class AuthService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.sessionRepository = new SessionRepository();
+    this.sessionTtlHours = parseInt(process.env.SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS;
+  }
+
+  // Hash a password as "scrypt:<salt>:<key>"
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt:${salt}:${key.toString('hex')}`;
+  }
+
+  // Check a password against a stored hash in constant time
+  async verifyPassword(password, passwordHash) {
+    const [scheme, salt, storedKey] = String(passwordHash).split(':');
+    if (scheme !== 'scrypt' || !salt || !storedKey) {
+      return false;
+    }
+
+    const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    const stored = Buffer.from(storedKey, 'hex');
+
+    return stored.length === key.length && crypto.timingSafeEqual(stored, key);
+  }
+
+  // Only the hash of a session token is stored
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Create an account
+  async register({ email, name, password }) {
+    try {
+      const passwordValidation = User.validatePassword(password);
+      if (!passwordValidation.isValid) {
+        throw new Error(`Validation failed: ${passwordValidation.errors.map(e => e.message).join(', ')}`);
+      }
+
+      const existing = await this.userRepository.findByEmail(email);
+      if (existing) {
+        throw new Error('An account with this email already exists');
+      }
+
+      const passwordHash = await this.hashPassword(password);
+      return await this.userRepository.create({ email, name, password_hash: passwordHash });
+    } catch (error) {
+      throw new Error(`Failed to register: ${error.message}`);
+    }
+  }
+
+  // Verify credentials and start a session
+  async login(email, password, userAgent = null) {
+    const user = await this.userRepository.findByEmail(email);
+
+    // Same message for unknown email and wrong password
+    if (!user || !(await this.verifyPassword(password || '', user.password_hash))) {
+      throw new Error('Invalid email or password');
+    }
+
+    const session = await this.createSession(user.id, userAgent);
+    const updatedUser = await this.userRepository.updateLastLogin(user.id);
+
+    return {
+      user: updatedUser || user,
+      token: session.token,
+      expires_at: session.expires_at
+    };
+  }
+
+  // Issue a new opaque session token
+  async createSession(userId, userAgent = null) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.sessionTtlHours * 60 * 60 * 1000);
+
+    await this.sessionRepository.create(userId, this.hashToken(token), expiresAt, userAgent);
+
+    return { token, expires_at: expiresAt };
+  }
+
+  // Resolve a session token to its user, or null if invalid or expired
+  async authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    const session = await this.sessionRepository.findUserByTokenHash(this.hashToken(token));
+    return session ? session.user : null;
+  }
+
+  // End a session
+  async logout(token) {
+    if (!token) {
+      return false;
+    }
+
+    return await this.sessionRepository.deleteByTokenHash(this.hashToken(token));
+  }
+}
+
+module.exports = AuthService;
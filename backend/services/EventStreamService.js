@@ -0,0 +1,148 @@
+const { createClient } = require('../config/database');
+const NotificationRepository = require('../repositories/NotificationRepository');
+const PatientMemberRepository = require('../repositories/PatientMemberRepository');
+
+// Postgres channel the database triggers announce events on (migration 021)
+const EVENT_CHANNEL = 'app_events';
+const RECONNECT_DELAY_MS = 5000;
+
+class EventStreamService {
+  constructor() {
+    this.notificationRepository = new NotificationRepository();
+    this.patientMemberRepository = new PatientMemberRepository();
+    this.subscribers = new Set();
+    this.client = null;
+    this.reconnectTimer = null;
+  }
+
+  // Start sending a user's events to send(type, data); returns a function that stops it.
+  // The database is only listened to while someone is subscribed.
+  subscribe(userId, send) {
+    const subscriber = { userId, send };
+    this.subscribers.add(subscriber);
+
+    if (!this.client && !this.reconnectTimer) {
+      this.listen();
+    }
+
+    return () => {
+      this.subscribers.delete(subscriber);
+      if (this.subscribers.size === 0) {
+        this.close();
+      }
+    };
+  }
+
+  // Open a connection of its own and LISTEN on the event channel; a lost connection is
+  // reopened after a delay. Events raised while it was down are not replayed; the
+  // clients catch up by refetching when their stream reconnects.
+  async listen() {
+    const client = createClient();
+    this.client = client;
+
+    client.on('notification', (message) => {
+      this.handleMessage(message.payload).catch((error) => {
+        console.error('Error handling event:', error);
+      });
+    });
+
+    client.on('error', (error) => {
+      console.error('Event stream connection error:', error.message);
+      this.reconnect(client);
+    });
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${EVENT_CHANNEL}`);
+    } catch (error) {
+      console.error('Failed to listen for events:', error.message);
+      this.reconnect(client);
+    }
+  }
+
+  // Drop a failed connection and try again later if anyone is still subscribed
+  reconnect(client) {
+    if (this.client !== client) {
+      return;
+    }
+
+    this.client = null;
+    client.end().catch(() => {});
+
+    if (this.subscribers.size > 0 && !this.reconnectTimer) {
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        if (this.subscribers.size > 0) {
+          this.listen();
+        }
+      }, RECONNECT_DELAY_MS);
+    }
+  }
+
+  // Stop listening
+  close() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      client.end().catch(() => {});
+    }
+  }
+
+  // Send an event from the database to the subscribers who can see its patient
+  async handleMessage(payload) {
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      console.error('Ignoring malformed event:', payload);
+      return;
+    }
+
+    const data = await this.buildEventData(event);
+    if (!data) {
+      return;
+    }
+
+    const recipients = await this.getRecipients(event.patient_id);
+
+    for (const subscriber of this.subscribers) {
+      if (recipients.has(subscriber.userId)) {
+        subscriber.send(event.type, data);
+      }
+    }
+  }
+
+  // What is sent for an event: the whole notification for new notifications, the audit
+  // entry's details for doses and stock changes
+  async buildEventData(event) {
+    if (event.type === 'notification') {
+      return await this.notificationRepository.findById(event.id);
+    }
+
+    return {
+      audit_log_id: event.id,
+      medicine_id: event.medicine_id,
+      patient_id: event.patient_id,
+      action: event.action,
+      quantity_change: event.quantity_change !== null ? parseFloat(event.quantity_change) : null,
+      created_at: event.created_at
+    };
+  }
+
+  // Users who see a patient's events: its members, or nobody for a row without a patient
+  async getRecipients(patientId) {
+    if (patientId === null || patientId === undefined) {
+      return new Set();
+    }
+
+    const members = await this.patientMemberRepository.findByPatientId(patientId);
+    return new Set(members.map(member => member.user_id));
+  }
+}
+
+module.exports = EventStreamService;
@@ -2,6 +2,55 @@ const MedicationRepository = require('../repositories/MedicationRepository');
 const DoseRepository = require('../repositories/DoseRepository');
 const SkipDateRepository = require('../repositories/SkipDateRepository');
 const AuditLogRepository = require('../repositories/AuditLogRepository');
+const DoseEventRepository = require('../repositories/DoseEventRepository');
+const DosePhaseRepository = require('../repositories/DosePhaseRepository');
+const StockTakeRepository = require('../repositories/StockTakeRepository');
+const PharmacyRepository = require('../repositories/PharmacyRepository');
+const StorageLocationRepository = require('../repositories/StorageLocationRepository');
+const PatientService = require('./PatientService');
+const Frequency = require('../models/Frequency');
+const UnitOfMeasure = require('../models/UnitOfMeasure');
+const DosePhase = require('../models/DosePhase');
+const StockForecast = require('../models/StockForecast');
+const StorageLocation = require('../models/StorageLocation');
+const { toLocalDateString, addDays } = require('../config/timezone');
+
+// Days of recent use averaged to estimate consumption of as-needed medications
+const PRN_USAGE_DAYS = 14;
+
+// Longest stretch a shopping list can buy for
+const MAX_SHOPPING_HORIZON_DAYS = 365;
+
+// Group shopping list items into one trip per pharmacy, by pharmacy name, with the items
+// without a preferred pharmacy last
+const groupByPharmacy = (items, pharmacies) => {
+  const groups = new Map();
+
+  for (const item of items) {
+    if (!groups.has(item.pharmacy_id)) {
+      const pharmacy = pharmacies.find(p => p.id === item.pharmacy_id);
+      groups.set(item.pharmacy_id, {
+        pharmacy_id: item.pharmacy_id,
+        pharmacy_name: item.pharmacy_name,
+        address: pharmacy?.address || null,
+        phone: pharmacy?.phone || null,
+        hours: pharmacy?.hours || null,
+        items: [],
+        total_packages: 0
+      });
+    }
+
+    const group = groups.get(item.pharmacy_id);
+    group.items.push(item);
+    group.total_packages += item.packages_to_buy;
+  }
+
+  return [...groups.values()].sort((a, b) => {
+    if (a.pharmacy_id === null) return 1;
+    if (b.pharmacy_id === null) return -1;
+    return a.pharmacy_name.localeCompare(b.pharmacy_name);
+  });
+};
 
 class InventoryService {
   constructor() {
@@ -9,6 +58,53 @@ class InventoryService {
     this.doseRepository = new DoseRepository();
     this.skipDateRepository = new SkipDateRepository();
     this.auditLogRepository = new AuditLogRepository();
+    this.doseEventRepository = new DoseEventRepository();
+    this.dosePhaseRepository = new DosePhaseRepository();
+    this.stockTakeRepository = new StockTakeRepository();
+    this.pharmacyRepository = new PharmacyRepository();
+    this.storageLocationRepository = new StorageLocationRepository();
+    this.patientService = new PatientService();
+  }
+
+  // Doses of a medication in effect on a date (today in its patient's timezone by default),
+  // following its tapering phases
+  async getDosesOnDate(medication, date = toLocalDateString(new Date(), medication.timezone)) {
+    const doses = await this.doseRepository.findByMedicationId(medication.id);
+    const phases = await this.dosePhaseRepository.findByMedicationId(medication.id);
+
+    return DosePhase.resolveDoses(doses, phases, date);
+  }
+
+  // Average daily consumption: from the schedule, or from recent use for as-needed medications
+  async getDailyConsumption(medication, doses) {
+    if (!medication.isAsNeeded()) {
+      // Cycle-off days are spread over the average like the frequency's non-dosing days
+      return Frequency.forMedication(medication).getAverageDailyAmount(doses) * medication.getCycleOnFraction();
+    }
+
+    const since = new Date();
+    since.setDate(since.getDate() - PRN_USAGE_DAYS);
+
+    const doseEvents = await this.doseEventRepository.findGivenSince([medication.id], since);
+    const taken = doseEvents.reduce((sum, event) => sum + (event.dose_amount || 0), 0);
+
+    return taken / PRN_USAGE_DAYS;
+  }
+
+  // Forecast of a medication's stock over its future schedule, from today in its patient's timezone
+  async getStockForecast(medication) {
+    const today = toLocalDateString(new Date(), medication.timezone);
+    const doses = await this.doseRepository.findByMedicationId(medication.id);
+    const phases = await this.dosePhaseRepository.findByMedicationId(medication.id);
+
+    return new StockForecast({
+      medication,
+      doses,
+      phases,
+      skipDates: await this.skipDateRepository.findByMedicationId(medication.id),
+      dailyConsumption: await this.getDailyConsumption(medication, DosePhase.resolveDoses(doses, phases, today)),
+      today
+    });
   }
 
   // Track dose consumption and update inventory
@@ -27,8 +123,8 @@ class InventoryService {
         throw new Error('Medication not found');
       }
 
-      // Validate that medication is active on the given date
-      const doseDate = timestamp.toISOString().split('T')[0];
+      // Validate that medication is active on the given date, in the patient's timezone
+      const doseDate = toLocalDateString(timestamp, medication.timezone);
       if (!medication.isActiveOnDate(doseDate)) {
         throw new Error('Cannot consume dose for inactive medication on this date');
       }
@@ -54,16 +150,17 @@ class InventoryService {
     }
   }
 
-  // Calculate buy-soon alerts for medications
-  async calculateBuySoonAlerts(daysAhead = 1) {
+  // Calculate buy-soon alerts for medications, optionally only a patient's or only those a
+  // user can access
+  async calculateBuySoonAlerts(daysAhead = 1, patientId = null, accessibleBy = null) {
     if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > 30) {
       throw new Error('Days ahead must be an integer between 1 and 30');
     }
 
     try {
-      // Get all active medications
-      const today = new Date().toISOString().split('T')[0];
-      const activeMedications = await this.medicationRepository.findActiveByDate(today);
+      // Get all active medications (today in the installation timezone)
+      const today = toLocalDateString();
+      const activeMedications = await this.medicationRepository.findActiveByDate(today, patientId, accessibleBy);
       
       const alerts = [];
 
@@ -87,43 +184,94 @@ class InventoryService {
     }
   }
 
-  // Calculate alert for a specific medication
-  async calculateMedicationAlert(medication, daysAhead = 1) {
+  // Calculate buy-soon alerts for the medications kept at a location (those of its patient),
+  // each forecast from the stock at that location alone
+  async calculateLocationBuySoonAlerts(locationId, daysAhead = 1) {
+    if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > 30) {
+      throw new Error('Days ahead must be an integer between 1 and 30');
+    }
+
     try {
-      // Get daily consumption
-      const doses = await this.doseRepository.findByMedicationId(medication.id);
-      const dailyConsumption = doses.reduce((sum, dose) => sum + dose.dose_amount, 0);
+      const location = await this.storageLocationRepository.findById(locationId);
+      if (!location) {
+        throw new Error('Location not found');
+      }
 
-      if (dailyConsumption === 0) {
-        return {
-          medication_id: medication.id,
-          medication_name: medication.name,
-          medication_strength: medication.strength,
-          current_tablets: medication.total_tablets,
-          daily_consumption: 0,
-          days_remaining: null,
-          tablets_needed_for_period: 0,
-          needs_refill: false,
-          alert_level: 'none'
-        };
+      const stocks = await this.storageLocationRepository.findStockByLocationId(locationId);
+      const activeMedications = await this.medicationRepository.findActiveByDate(toLocalDateString(), location.patient_id);
+
+      const alerts = [];
+
+      for (const medication of activeMedications) {
+        const stock = stocks.find(s => s.medicine_id === medication.id);
+        if (!stock) continue;
+
+        const alert = await this.calculateMedicationAlert(medication, daysAhead, stock);
+        if (alert.needs_refill) {
+          alerts.push(alert);
+        }
       }
 
-      // Calculate days remaining with current inventory
-      const daysRemaining = Math.floor(medication.total_tablets / dailyConsumption);
-      
-      // Calculate tablets needed for the specified period
-      const tabletsNeededForPeriod = dailyConsumption * daysAhead;
-      
-      // Determine if refill is needed
-      const needsRefill = medication.total_tablets <= tabletsNeededForPeriod;
-      
+      alerts.sort((a, b) => {
+        if (a.days_remaining === null) return 1;
+        if (b.days_remaining === null) return -1;
+        return a.days_remaining - b.days_remaining;
+      });
+
+      return alerts;
+    } catch (error) {
+      throw new Error(`Failed to calculate location buy-soon alerts: ${error.message}`);
+    }
+  }
+
+  // Stock of a medication at each location it is kept at, each with its own forecast as if
+  // every dose came out of that location, and the stock kept outside the locations
+  async getLocationStock(medication, daysAhead = 7) {
+    try {
+      const stocks = await this.storageLocationRepository.findStockByMedicationId(medication.id);
+
+      const locations = [];
+      for (const stock of stocks) {
+        const alert = await this.calculateMedicationAlert(medication, daysAhead, stock);
+        locations.push({
+          ...stock,
+          days_remaining: alert.days_remaining,
+          run_out_date: alert.run_out_date,
+          needs_refill: alert.needs_refill,
+          alert_level: alert.alert_level
+        });
+      }
+
+      return {
+        medication_id: medication.id,
+        total_tablets: medication.total_tablets,
+        dose_unit: medication.dose_unit,
+        unassigned_quantity: StorageLocation.getUnassignedQuantity(medication.total_tablets, stocks),
+        locations
+      };
+    } catch (error) {
+      throw new Error(`Failed to get location stock: ${error.message}`);
+    }
+  }
+
+  // Calculate alert for a specific medication from the forecast of its schedule; given a
+  // location's stock ({ location_id, location_name, quantity }) only that stock counts
+  async calculateMedicationAlert(medication, daysAhead = 1, location = null) {
+    try {
+      const stock = location ? location.quantity : medication.total_tablets;
+      const forecast = (await this.getStockForecast(medication)).forecast(daysAhead, stock);
+      const daysRemaining = forecast.days_remaining;
+
+      // Stock that lasts the whole course (or has no use) needs no refill
+      const needsRefill = daysRemaining !== null && daysRemaining <= daysAhead;
+
       // Determine alert level
       let alertLevel = 'none';
       if (daysRemaining === 0) {
         alertLevel = 'critical'; // Out of stock
       } else if (daysRemaining === 1) {
         alertLevel = 'urgent'; // Exactly 1 day remaining
-      } else if (daysRemaining <= daysAhead) {
+      } else if (needsRefill) {
         alertLevel = 'warning'; // Within the alert threshold
       }
 
@@ -131,10 +279,19 @@ class InventoryService {
         medication_id: medication.id,
         medication_name: medication.name,
         medication_strength: medication.strength,
-        current_tablets: medication.total_tablets,
-        daily_consumption: dailyConsumption,
+        patient_id: medication.patient_id ?? null,
+        pharmacy_id: medication.pharmacy_id ?? null,
+        pharmacy_name: medication.pharmacy_name ?? null,
+        ...(location && { location_id: location.location_id, location_name: location.location_name }),
+        current_tablets: stock,
+        dose_unit: medication.dose_unit,
+        daily_consumption: forecast.daily_consumption,
         days_remaining: daysRemaining,
-        tablets_needed_for_period: tabletsNeededForPeriod,
+        run_out_date: forecast.run_out_date,
+        tablets_needed_for_period: forecast.quantity_needed_for_period,
+        course_end_date: forecast.course_end_date,
+        quantity_needed_until_end: forecast.quantity_needed_until_end,
+        shortfall_until_end: forecast.shortfall_until_end,
         needs_refill: needsRefill,
         alert_level: alertLevel
       };
@@ -174,35 +331,22 @@ class InventoryService {
         throw new Error('Medication not found');
       }
 
-      const doses = await this.doseRepository.findByMedicationId(medicationId);
-      const dailyConsumption = doses.reduce((sum, dose) => sum + dose.dose_amount, 0);
-
-      // Calculate sheet equivalents
-      const fullSheets = Math.floor(medication.total_tablets / medication.sheet_size);
-      const remainingTablets = medication.total_tablets % medication.sheet_size;
-      const totalSheets = medication.total_tablets / medication.sheet_size;
+      const doses = await this.getDosesOnDate(medication);
+      const dailyConsumption = await this.getDailyConsumption(medication, doses);
 
-      // Calculate days remaining
-      const daysRemaining = dailyConsumption > 0 
-        ? Math.floor(medication.total_tablets / dailyConsumption) 
-        : null;
+      // Calculate package (sheet) equivalents
+      const packages = medication.getPackageEquivalent();
 
       // Get recent consumption history (last 7 days)
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-      
-      const recentConsumption = await this.getConsumptionHistory(
-        medicationId, 
-        sevenDaysAgo.toISOString().split('T')[0],
-        new Date().toISOString().split('T')[0]
-      );
+      const today = toLocalDateString(new Date(), medication.timezone);
+      const recentConsumption = await this.getConsumptionHistory(medicationId, addDays(today, -7), today);
 
       // Calculate average daily consumption from history
       const actualDailyConsumption = recentConsumption.length > 0
         ? recentConsumption.reduce((sum, entry) => sum + entry.quantity_consumed, 0) / 7
         : dailyConsumption;
 
-      // Get buy-soon alert
+      // Get buy-soon alert, with the days remaining on the schedule
       const alert = await this.calculateMedicationAlert(medication, 1);
 
       return {
@@ -211,15 +355,20 @@ class InventoryService {
         medication_strength: medication.strength,
         inventory: {
           total_tablets: medication.total_tablets,
-          sheet_size: medication.sheet_size,
-          full_sheets: fullSheets,
-          remaining_tablets: remainingTablets,
-          total_sheets: totalSheets
+          sheet_size: medication.getPackageSize(),
+          full_sheets: packages.full_packages,
+          remaining_tablets: packages.remaining_units,
+          total_sheets: packages.total_packages,
+          dose_unit: medication.dose_unit,
+          package_unit: medication.package_unit,
+          package_volume_ml: medication.package_volume_ml,
+          units_per_ml: medication.units_per_ml
         },
         consumption: {
           scheduled_daily: dailyConsumption,
           actual_daily_average: actualDailyConsumption,
-          days_remaining_scheduled: daysRemaining,
+          days_remaining_scheduled: alert.days_remaining,
+          run_out_date: alert.run_out_date,
           days_remaining_actual: actualDailyConsumption > 0 
             ? Math.floor(medication.total_tablets / actualDailyConsumption)
             : null
@@ -297,22 +446,29 @@ class InventoryService {
         let newTotalTablets;
         let reason = update.reason || 'Bulk inventory update';
 
-        if (update.total_tablets !== undefined) {
-          newTotalTablets = update.total_tablets;
-        } else if (update.sheet_count !== undefined) {
+        // Amounts in another unit than the dose unit need the medication to convert them
+        const findMedication = async () => {
           const medication = await this.medicationRepository.findById(update.medication_id);
           if (!medication) {
             throw new Error('Medication not found');
           }
-          newTotalTablets = update.sheet_count * medication.sheet_size;
-          reason = `Bulk update via sheet count: ${update.sheet_count} sheets`;
+          return medication;
+        };
+
+        if (update.total_tablets !== undefined) {
+          newTotalTablets = update.unit
+            ? (await findMedication()).convertToDoseUnits(update.total_tablets, update.unit)
+            : update.total_tablets;
+        } else if (update.sheet_count !== undefined) {
+          const medication = await findMedication();
+          newTotalTablets = update.sheet_count * medication.getPackageSize();
+          reason = `Bulk update via ${medication.package_unit} count: ` +
+            UnitOfMeasure.format(update.sheet_count, medication.package_unit);
         } else if (update.add_tablets !== undefined) {
-          const medication = await this.medicationRepository.findById(update.medication_id);
-          if (!medication) {
-            throw new Error('Medication not found');
-          }
-          newTotalTablets = medication.total_tablets + update.add_tablets;
-          reason = `Bulk update: added ${update.add_tablets} tablets`;
+          const medication = await findMedication();
+          const added = medication.convertToDoseUnits(update.add_tablets, update.unit);
+          newTotalTablets = medication.total_tablets + added;
+          reason = `Bulk update: added ${medication.formatAmount(added)}`;
         } else {
           throw new Error('Must provide total_tablets, sheet_count, or add_tablets');
         }
@@ -351,6 +507,115 @@ class InventoryService {
     };
   }
 
+  // Record a stock-take: set each medication to its counted stock and log the discrepancy
+  // from the expected stock. Counts ({ medication_id, counted_quantity, unit }) may be in
+  // the package unit; the user needs the right to manage the inventory of every counted
+  // medication, and with a patient_id every medication must be that patient's.
+  async reconcileInventory(stockTakeData, userId) {
+    try {
+      const counts = Array.isArray(stockTakeData.counts) ? stockTakeData.counts : [];
+      const patientId = stockTakeData.patient_id ?? null;
+      const doseCounts = [];
+
+      for (const count of counts) {
+        const medication = Number.isInteger(count.medication_id)
+          ? await this.medicationRepository.findById(count.medication_id)
+          : null;
+        if (!medication) {
+          throw new Error('Medication not found');
+        }
+
+        if (patientId && medication.patient_id !== patientId) {
+          throw new Error(`Validation failed: ${medication.name} is not a medication of this patient`);
+        }
+
+        if (medication.patient_id) {
+          // Medications of patients the user cannot see are reported as missing
+          await this.patientService.getPatientForUser(medication.patient_id, userId, 'manage_inventory')
+            .catch((error) => {
+              throw new Error(error.message === 'Patient not found' ? 'Medication not found' : error.message);
+            });
+        }
+
+        doseCounts.push({
+          medication_id: medication.id,
+          counted_quantity: count.unit
+            ? medication.convertToDoseUnits(count.counted_quantity, count.unit)
+            : count.counted_quantity
+        });
+      }
+
+      return await this.stockTakeRepository.create({ ...stockTakeData, counts: doseCounts }, userId);
+    } catch (error) {
+      throw new Error(`Failed to reconcile inventory: ${error.message}`);
+    }
+  }
+
+  // How counted stock has drifted from the expected stock, per medication, from the
+  // INVENTORY_RECONCILED entries of stock-takes (optionally of one medication, of one patient
+  // or only those a user can access, between two dates). Positive drift is stock found,
+  // negative stock missing.
+  async getInventoryDrift(options = {}) {
+    try {
+      const reconciliations = await this.auditLogRepository.findAll({
+        action: 'INVENTORY_RECONCILED',
+        medicine_id: options.medicine_id,
+        patient_id: options.patient_id,
+        accessible_by: options.accessible_by,
+        start_date: options.start_date,
+        end_date: options.end_date,
+        sort_by: 'created_at',
+        sort_direction: 'asc'
+      });
+
+      const byMedication = new Map();
+      for (const log of reconciliations) {
+        if (!byMedication.has(log.medicine_id)) {
+          byMedication.set(log.medicine_id, {
+            medication_id: log.medicine_id,
+            medication_name: log.medication_name,
+            dose_unit: log.dose_unit,
+            stock_takes: 0,
+            discrepancies: 0,
+            net_drift: 0,
+            absolute_drift: 0,
+            average_drift: 0,
+            last_reconciled_at: null,
+            history: []
+          });
+        }
+
+        const drift = byMedication.get(log.medicine_id);
+        const discrepancy = log.quantity_change || 0;
+
+        drift.stock_takes++;
+        if (discrepancy !== 0) drift.discrepancies++;
+        drift.net_drift = Math.round((drift.net_drift + discrepancy) * 100) / 100;
+        drift.absolute_drift = Math.round((drift.absolute_drift + Math.abs(discrepancy)) * 100) / 100;
+        drift.average_drift = Math.round((drift.net_drift / drift.stock_takes) * 100) / 100;
+        drift.last_reconciled_at = log.created_at;
+        drift.history.push({
+          stock_take_id: log.new_values?.stock_take_id ?? null,
+          reconciled_at: log.created_at,
+          expected_quantity: log.old_values?.total_tablets ?? null,
+          counted_quantity: log.new_values?.total_tablets ?? null,
+          discrepancy
+        });
+      }
+
+      // Medications that drift the most first
+      const medications = [...byMedication.values()]
+        .sort((a, b) => b.absolute_drift - a.absolute_drift);
+
+      return {
+        total_reconciliations: reconciliations.length,
+        medications
+      };
+    } catch (error) {
+      throw new Error(`Failed to get inventory drift: ${error.message}`);
+    }
+  }
+
   // Calculate projected inventory depletion dates
   async calculateDepletionProjections(medicationId, projectionDays = 30) {
     if (!medicationId || !Number.isInteger(parseInt(medicationId))) {
@@ -367,48 +632,50 @@ class InventoryService {
         throw new Error('Medication not found');
       }
 
-      const doses = await this.doseRepository.findByMedicationId(medicationId);
-      const dailyConsumption = doses.reduce((sum, dose) => sum + dose.dose_amount, 0);
+      // The depletion date is the last day the stock covers; the schedule is walked
+      // past skip dates, the end date, phases and cycles to find it
+      const stockForecast = await this.getStockForecast(medication);
+      const today = stockForecast.today;
+      const forecast = stockForecast.forecast(projectionDays);
+      const daysUntilDepletion = forecast.days_remaining;
+      const result = {
+        medication_id: medicationId,
+        current_tablets: medication.total_tablets,
+        dose_unit: medication.dose_unit,
+        package_unit: medication.package_unit,
+        package_size: medication.getPackageSize(),
+        current_packages: medication.getPackageEquivalent().total_packages,
+        daily_consumption: forecast.daily_consumption,
+        depletion_date: daysUntilDepletion !== null ? addDays(today, daysUntilDepletion) : null,
+        days_until_depletion: daysUntilDepletion,
+        run_out_date: forecast.run_out_date,
+        quantity_needed_until_end: forecast.quantity_needed_until_end,
+        shortfall_until_end: forecast.shortfall_until_end
+      };
 
-      if (dailyConsumption === 0) {
-        return {
-          medication_id: medicationId,
-          current_tablets: medication.total_tablets,
-          daily_consumption: 0,
-          depletion_date: null,
-          days_until_depletion: null,
-          projections: []
-        };
+      if (!stockForecast.hasConsumption()) {
+        return { ...result, projections: [] };
       }
 
-      // Calculate depletion date
-      const daysUntilDepletion = Math.floor(medication.total_tablets / dailyConsumption);
-      const depletionDate = new Date();
-      depletionDate.setDate(depletionDate.getDate() + daysUntilDepletion);
-
       // Generate daily projections
       const projections = [];
       let remainingTablets = medication.total_tablets;
       
-      for (let day = 0; day <= Math.min(projectionDays, daysUntilDepletion); day++) {
-        const projectionDate = new Date();
-        projectionDate.setDate(projectionDate.getDate() + day);
-        
-        // Check if this date should be skipped
-        const dateStr = projectionDate.toISOString().split('T')[0];
-        const isSkipDate = await this.skipDateRepository.shouldSkipOnDate(medicationId, dateStr);
+      for (let day = 0; day <= Math.min(projectionDays, daysUntilDepletion ?? projectionDays); day++) {
+        const dateStr = addDays(today, day);
+        const isSkipDate = stockForecast.isSkipDate(dateStr);
         
         // For day 0, show current tablets before consumption
         const tabletsBeforeConsumption = remainingTablets;
-        
-        if (!isSkipDate && medication.isActiveOnDate(dateStr) && day > 0) {
-          remainingTablets -= dailyConsumption;
-        }
+        const consumptionOnDate = day > 0 ? stockForecast.getConsumptionOnDate(dateStr) : 0;
+        remainingTablets -= consumptionOnDate;
 
+        const remainingOnDate = Math.max(0, day === 0 ? tabletsBeforeConsumption : remainingTablets);
         projections.push({
           date: dateStr,
-          remaining_tablets: Math.max(0, day === 0 ? tabletsBeforeConsumption : remainingTablets),
-          consumption_on_date: (!isSkipDate && medication.isActiveOnDate(dateStr) && day > 0) ? dailyConsumption : 0,
+          remaining_tablets: remainingOnDate,
+          remaining_packages: medication.getPackageEquivalent(remainingOnDate).total_packages,
+          consumption_on_date: consumptionOnDate,
           is_skip_date: isSkipDate,
           is_active: medication.isActiveOnDate(dateStr)
         });
@@ -419,11 +686,7 @@ class InventoryService {
       }
 
       return {
-        medication_id: medicationId,
-        current_tablets: medication.total_tablets,
-        daily_consumption: dailyConsumption,
-        depletion_date: depletionDate.toISOString().split('T')[0],
-        days_until_depletion: daysUntilDepletion,
+        ...result,
         projections: projections
       };
     } catch (error) {
@@ -431,11 +694,72 @@ class InventoryService {
     }
   }
 
+  // Shopping list of the medications that run out within daysAhead days, with the whole
+  // packages to buy so the stock covers horizonDays days (the alert window by default).
+  // A course that ends sooner is only bought for until its end date. The items are also
+  // grouped by their preferred pharmacy.
+  async getShoppingList(daysAhead = 7, horizonDays = daysAhead, patientId = null, accessibleBy = null) {
+    if (!Number.isInteger(horizonDays) || horizonDays < daysAhead || horizonDays > MAX_SHOPPING_HORIZON_DAYS) {
+      throw new Error(`Horizon must be an integer between the alert days and ${MAX_SHOPPING_HORIZON_DAYS}`);
+    }
+
+    const alerts = await this.calculateBuySoonAlerts(daysAhead, patientId, accessibleBy);
+
+    try {
+      const items = [];
+
+      for (const alert of alerts) {
+        const medication = await this.medicationRepository.findById(alert.medication_id);
+        const quantityNeeded = horizonDays === daysAhead
+          ? alert.tablets_needed_for_period
+          : (await this.getStockForecast(medication)).forecast(horizonDays).quantity_needed_for_period;
+
+        const packageSize = medication.getPackageSize();
+        const quantityShort = Math.max(0, Math.round((quantityNeeded - medication.total_tablets) * 100) / 100);
+        const packagesToBuy = packageSize > 0 ? Math.ceil(quantityShort / packageSize) : 0;
+
+        items.push({
+          medication_id: medication.id,
+          medication_name: medication.name,
+          medication_strength: medication.strength,
+          patient_id: medication.patient_id,
+          pharmacy_id: medication.pharmacy_id ?? null,
+          pharmacy_name: medication.pharmacy_name ?? null,
+          current_tablets: medication.total_tablets,
+          dose_unit: medication.dose_unit,
+          days_remaining: alert.days_remaining,
+          run_out_date: alert.run_out_date,
+          alert_level: alert.alert_level,
+          quantity_needed: quantityNeeded,
+          quantity_short: quantityShort,
+          package_unit: medication.package_unit,
+          package_size: packageSize,
+          packages_to_buy: packagesToBuy,
+          quantity_to_buy: packagesToBuy * packageSize
+        });
+      }
+
+      const pharmacies = items.some(item => item.pharmacy_id !== null)
+        ? await this.pharmacyRepository.findAll()
+        : [];
+
+      return {
+        days_ahead: daysAhead,
+        horizon_days: horizonDays,
+        generated_on: toLocalDateString(),
+        items,
+        pharmacies: groupByPharmacy(items, pharmacies),
+        total_packages: items.reduce((sum, item) => sum + item.packages_to_buy, 0)
+      };
+    } catch (error) {
+      throw new Error(`Failed to build shopping list: ${error.message}`);
+    }
+  }
+
   // Get inventory summary for all active medications
   async getInventorySummary() {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      const activeMedications = await this.medicationRepository.findActiveByDate(today);
+      const activeMedications = await this.medicationRepository.findActiveByDate(toLocalDateString());
       
       const summary = {
         total_medications: activeMedications.length,
@@ -473,7 +797,9 @@ class InventoryService {
           name: medication.name,
           strength: medication.strength,
           total_tablets: medication.total_tablets,
+          dose_unit: medication.dose_unit,
           days_remaining: alert.days_remaining,
+          run_out_date: alert.run_out_date,
           alert_level: alert.alert_level,
           needs_refill: alert.needs_refill
         });
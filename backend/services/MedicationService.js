@@ -2,6 +2,18 @@ const MedicationRepository = require('../repositories/MedicationRepository');
 const DoseRepository = require('../repositories/DoseRepository');
 const SkipDateRepository = require('../repositories/SkipDateRepository');
 const AuditLogRepository = require('../repositories/AuditLogRepository');
+const DoseEventRepository = require('../repositories/DoseEventRepository');
+const NotificationRepository = require('../repositories/NotificationRepository');
+const DosePhaseRepository = require('../repositories/DosePhaseRepository');
+const InventoryLotRepository = require('../repositories/InventoryLotRepository');
+const StorageLocationRepository = require('../repositories/StorageLocationRepository');
+const Frequency = require('../models/Frequency');
+const UnitOfMeasure = require('../models/UnitOfMeasure');
+const DoseEvent = require('../models/DoseEvent');
+const DosePhase = require('../models/DosePhase');
+const StockForecast = require('../models/StockForecast');
+const InventoryLot = require('../models/InventoryLot');
+const { toLocalDateString, toLocalTimeString, addDays } = require('../config/timezone');
 
 class MedicationService {
   constructor() {
@@ -9,10 +21,15 @@ class MedicationService {
     this.doseRepository = new DoseRepository();
     this.skipDateRepository = new SkipDateRepository();
     this.auditLogRepository = new AuditLogRepository();
+    this.doseEventRepository = new DoseEventRepository();
+    this.notificationRepository = new NotificationRepository();
+    this.dosePhaseRepository = new DosePhaseRepository();
+    this.inventoryLotRepository = new InventoryLotRepository();
+    this.storageLocationRepository = new StorageLocationRepository();
   }
 
-  // Create medication with business logic validation
-  async createMedication(medicationData) {
+  // Create medication with business logic validation. userId is the acting user for the audit log.
+  async createMedication(medicationData, userId = null) {
     try {
       // Additional business logic validation
       this.validateMedicationBusinessRules(medicationData);
@@ -20,11 +37,17 @@ class MedicationService {
       // Create the medication
       const medication = await this.medicationRepository.create(medicationData);
       
+      // Save tapering phases sent with the medication
+      if (Array.isArray(medicationData.phases)) {
+        medication.phases = await this.dosePhaseRepository.syncForMedication(medication.id, medicationData.phases);
+      }
+      
       // Log creation
       await this.auditLogRepository.create({
         medicine_id: medication.id,
         action: 'CREATED',
-        new_values: medication.toDbFormat()
+        new_values: medication.toDbFormat(),
+        user_id: userId
       });
       
       return medication;
@@ -56,7 +79,7 @@ class MedicationService {
   }
 
   // Update medication with business logic
-  async updateMedication(id, updateData) {
+  async updateMedication(id, updateData, userId = null) {
     if (!id || !Number.isInteger(parseInt(id))) {
       throw new Error('Valid medication ID is required');
     }
@@ -74,12 +97,18 @@ class MedicationService {
       // Update the medication
       const updatedMedication = await this.medicationRepository.update(id, updateData);
       
+      // Phases are only replaced when the update includes them
+      if (Array.isArray(updateData.phases)) {
+        updatedMedication.phases = await this.dosePhaseRepository.syncForMedication(id, updateData.phases);
+      }
+      
       // Log update
       await this.auditLogRepository.create({
         medicine_id: id,
         action: 'UPDATED',
         old_values: existingMedication.toDbFormat(),
-        new_values: updatedMedication.toDbFormat()
+        new_values: updatedMedication.toDbFormat(),
+        user_id: userId
       });
       
       return updatedMedication;
@@ -89,7 +118,7 @@ class MedicationService {
   }
 
   // Delete medication with business logic
-  async deleteMedication(id) {
+  async deleteMedication(id, userId = null) {
     if (!id || !Number.isInteger(parseInt(id))) {
       throw new Error('Valid medication ID is required');
     }
@@ -101,23 +130,20 @@ class MedicationService {
       }
 
       // Check if medication has future doses or active schedule
-      const today = new Date().toISOString().split('T')[0];
+      const today = toLocalDateString(new Date(), existingMedication.timezone);
       const isCurrentlyActive = existingMedication.isActiveOnDate(today);
       
       if (isCurrentlyActive) {
         // Soft delete by setting end_date to yesterday
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        const endDate = yesterday.toISOString().split('T')[0];
-        
-        const updatedMedication = await this.medicationRepository.update(id, { end_date: endDate });
+        const updatedMedication = await this.medicationRepository.update(id, { end_date: addDays(today, -1) });
         
         // Log soft deletion
         await this.auditLogRepository.create({
           medicine_id: id,
           action: 'SOFT_DELETED',
           old_values: existingMedication.toDbFormat(),
-          new_values: updatedMedication.toDbFormat()
+          new_values: updatedMedication.toDbFormat(),
+          user_id: userId
         });
         
         return { deleted: true, soft: true, medication: updatedMedication };
@@ -129,7 +155,8 @@ class MedicationService {
         await this.auditLogRepository.create({
           medicine_id: id,
           action: 'DELETED',
-          old_values: existingMedication.toDbFormat()
+          old_values: existingMedication.toDbFormat(),
+          user_id: userId
         });
         
         return { deleted, soft: false };
@@ -140,7 +167,7 @@ class MedicationService {
   }
 
   // Update inventory with business logic and validation
-  async updateInventory(id, inventoryData) {
+  async updateInventory(id, inventoryData, userId = null) {
     if (!id || !Number.isInteger(parseInt(id))) {
       throw new Error('Valid medication ID is required');
     }
@@ -153,22 +180,28 @@ class MedicationService {
 
       let newTotalTablets;
       let reason = inventoryData.reason || 'Manual update';
+      // Amounts may be given in another unit (packages, or ml of a concentrated liquid)
+      const unit = inventoryData.unit || existingMedication.dose_unit;
 
       // Handle different inventory update methods
       if (inventoryData.total_tablets !== undefined) {
         // Direct tablet count update
-        newTotalTablets = inventoryData.total_tablets;
+        newTotalTablets = existingMedication.convertToDoseUnits(inventoryData.total_tablets, unit);
       } else if (inventoryData.sheet_count !== undefined) {
-        // Sheet-to-tablet conversion
+        // Package-to-dose-unit conversion (sheets, inhalers, pens, ...)
+        const { package_unit: packageUnit } = existingMedication;
         newTotalTablets = this.convertSheetsToTablets(
           inventoryData.sheet_count, 
-          existingMedication.sheet_size
+          existingMedication.getPackageSize()
         );
-        reason = `Updated via sheet count: ${inventoryData.sheet_count} sheets`;
+        reason = `Updated via ${packageUnit} count: ${UnitOfMeasure.format(inventoryData.sheet_count, packageUnit)}`;
       } else if (inventoryData.add_tablets !== undefined) {
         // Add tablets to existing inventory
-        newTotalTablets = existingMedication.total_tablets + inventoryData.add_tablets;
-        reason = `Added ${inventoryData.add_tablets} tablets`;
+        const added = existingMedication.convertToDoseUnits(inventoryData.add_tablets, unit);
+        newTotalTablets = existingMedication.total_tablets + added;
+        reason = unit === existingMedication.dose_unit
+          ? `Added ${existingMedication.formatAmount(added)}`
+          : `Added ${UnitOfMeasure.format(inventoryData.add_tablets, unit)} (${existingMedication.formatAmount(added)})`;
       } else {
         throw new Error('Must provide total_tablets, sheet_count, or add_tablets');
       }
@@ -182,7 +215,8 @@ class MedicationService {
       const updatedMedication = await this.medicationRepository.updateInventory(
         id, 
         newTotalTablets, 
-        reason
+        reason,
+        userId
       );
 
       return updatedMedication;
@@ -192,7 +226,7 @@ class MedicationService {
   }
 
   // Mark dose as given with business logic
-  async markDoseGiven(id, doseData) {
+  async markDoseGiven(id, doseData, userId = null) {
     if (!id || !Number.isInteger(parseInt(id))) {
       throw new Error('Valid medication ID is required');
     }
@@ -208,10 +242,25 @@ class MedicationService {
         throw new Error('Valid dose amount is required');
       }
 
+      // The dose comes out of the chosen location, which must be one of the medication's
+      // patient's, or the default one when none is chosen
+      const locationId = doseData.location_id ?? null;
+      if (locationId) {
+        const location = await this.storageLocationRepository.findById(locationId);
+        if (!location || location.patient_id !== existingMedication.patient_id) {
+          throw new Error('Invalid location_id provided');
+        }
+      }
+
       const timestamp = doseData.timestamp ? new Date(doseData.timestamp) : new Date();
+
+      // Resolve the scheduled slot this dose belongs to, if one was given
+      let slot = doseData.medicine_dose_id
+        ? await this.resolveDoseSlot(id, doseData, timestamp, existingMedication.timezone)
+        : null;
       
-      // Check if medication is active on the given date
-      const doseDate = timestamp.toISOString().split('T')[0];
+      // Check if medication is active on the given date, in the patient's timezone
+      const doseDate = slot ? slot.scheduled_date : toLocalDateString(timestamp, existingMedication.timezone);
       if (!existingMedication.isActiveOnDate(doseDate)) {
         throw new Error('Cannot mark dose for inactive medication on this date');
       }
@@ -224,19 +273,164 @@ class MedicationService {
         throw new Error('Cannot mark dose on a skip date');
       }
 
+      // As-needed doses are checked against their limits and kept as unscheduled dose events.
+      // Exceeding a limit is refused unless the caller explicitly overrides it.
+      let prnWarnings = null;
+      if (!slot && existingMedication.isAsNeeded()) {
+        const prnStatus = await this.getPrnStatus(existingMedication, doseData.dose_amount, timestamp);
+
+        if (!prnStatus.can_take) {
+          if (!doseData.override_limits) {
+            throw new Error(`PRN limit exceeded: ${prnStatus.violations.join('; ')}`);
+          }
+          prnWarnings = prnStatus.violations;
+        }
+
+        slot = {
+          medicine_dose_id: null,
+          scheduled_date: doseDate,
+          scheduled_time: toLocalTimeString(timestamp, existingMedication.timezone),
+          status: 'given',
+          given_by: doseData.given_by,
+          note: doseData.note
+        };
+      }
+
       // Mark dose as given
       const result = await this.medicationRepository.markDoseGiven(
         id, 
         doseData.dose_amount, 
-        timestamp
+        timestamp,
+        slot,
+        userId,
+        locationId
       );
 
+      if (slot?.medicine_dose_id) {
+        await this.resolveMissedDoseNotification(id, slot);
+      }
+
+      if (prnWarnings) {
+        result.prn_warnings = prnWarnings;
+      }
+
       return result;
     } catch (error) {
       throw new Error(`Failed to mark dose as given: ${error.message}`);
     }
   }
 
+  // PRN limits of a medication at a point in time, based on the doses taken before it
+  async getPrnStatus(medication, amount = null, at = new Date()) {
+    const doseEvents = await this.doseEventRepository.findGivenSince(
+      [medication.id],
+      medication.getPrnLookbackStart(at)
+    );
+
+    return medication.getPrnStatus(doseEvents, amount, at);
+  }
+
+  // Build the slot for a scheduled dose and make sure it has not already been taken.
+  // Slot dates and times are wall-clock values in the medication's timezone.
+  async resolveDoseSlot(id, doseData, timestamp, timezone = null) {
+    const dose = await this.doseRepository.findById(doseData.medicine_dose_id);
+    if (!dose || dose.medicine_id !== parseInt(id)) {
+      throw new Error('Invalid dose slot for this medication');
+    }
+
+    const scheduledDate = doseData.scheduled_date || toLocalDateString(timestamp, timezone);
+    const scheduledTime = doseData.scheduled_time || dose.time_of_day;
+
+    const existingEvent = await this.doseEventRepository.findBySlot(dose.id, scheduledDate, scheduledTime);
+    if (existingEvent && existingEvent.isCompleted()) {
+      throw new Error('Cannot mark dose: this slot has already been given');
+    }
+
+    return {
+      medicine_dose_id: dose.id,
+      scheduled_date: scheduledDate,
+      scheduled_time: scheduledTime,
+      status: DoseEvent.determineGivenStatus(scheduledDate, scheduledTime, timestamp, timezone),
+      given_by: doseData.given_by,
+      note: doseData.note
+    };
+  }
+
+  // Dismiss the missed-dose notification for a slot that now has a recorded outcome.
+  // The dose itself is already saved, so a failure here is only logged.
+  async resolveMissedDoseNotification(id, slot) {
+    try {
+      await this.notificationRepository.resolveMissedDose(
+        parseInt(id),
+        slot.medicine_dose_id,
+        slot.scheduled_date,
+        DoseEvent.normalizeTime(slot.scheduled_time),
+        slot.status
+      );
+    } catch (error) {
+      console.error('Failed to resolve missed dose notification:', error.message);
+    }
+  }
+
+  // Record a scheduled dose that was not taken (skipped or refused)
+  async recordMissedDose(id, eventData) {
+    if (!id || !Number.isInteger(parseInt(id))) {
+      throw new Error('Valid medication ID is required');
+    }
+
+    try {
+      const existingMedication = await this.medicationRepository.findById(id);
+      if (!existingMedication) {
+        throw new Error('Medication not found');
+      }
+
+      if (!['skipped', 'refused'].includes(eventData.status)) {
+        throw new Error('Invalid status: use mark-dose-given for doses that were taken');
+      }
+
+      const dose = await this.doseRepository.findById(eventData.medicine_dose_id);
+      if (!dose || dose.medicine_id !== parseInt(id)) {
+        throw new Error('Invalid dose slot for this medication');
+      }
+
+      const scheduledTime = eventData.scheduled_time || dose.time_of_day;
+      const existingEvent = await this.doseEventRepository.findBySlot(dose.id, eventData.scheduled_date, scheduledTime);
+      if (existingEvent && existingEvent.isCompleted()) {
+        throw new Error('Cannot record dose: this slot has already been given');
+      }
+
+      const event = await this.doseEventRepository.record({
+        medicine_id: parseInt(id),
+        medicine_dose_id: dose.id,
+        scheduled_date: eventData.scheduled_date,
+        scheduled_time: scheduledTime,
+        status: eventData.status,
+        given_by: eventData.given_by,
+        note: eventData.note
+      });
+
+      await this.resolveMissedDoseNotification(id, event);
+
+      return event;
+    } catch (error) {
+      throw new Error(`Failed to record dose event: ${error.message}`);
+    }
+  }
+
+  // Get recorded dose events for a medication
+  async getDoseEvents(id, options = {}) {
+    try {
+      const existingMedication = await this.medicationRepository.findById(id);
+      if (!existingMedication) {
+        throw new Error('Medication not found');
+      }
+
+      return await this.doseEventRepository.findByMedicationId(id, options);
+    } catch (error) {
+      throw new Error(`Failed to get dose events: ${error.message}`);
+    }
+  }
+
   // Sheet-to-tablet conversion utility
   convertSheetsToTablets(sheetCount, sheetSize) {
     if (!Number.isInteger(sheetCount) || sheetCount < 0) {
@@ -279,27 +473,48 @@ class MedicationService {
         throw new Error('Medication not found');
       }
 
-      // Get doses for daily consumption calculation
-      const doses = await this.doseRepository.findByMedicationId(id);
-      const dailyConsumption = doses.reduce((sum, dose) => sum + dose.dose_amount, 0);
-
-      // Calculate sheet equivalents
-      const sheetInfo = this.convertTabletsToSheets(medication.total_tablets, medication.sheet_size);
-
-      // Calculate days remaining
-      const daysRemaining = dailyConsumption > 0 
-        ? Math.floor(medication.total_tablets / dailyConsumption)
-        : null;
+      // Today's doses give the average daily consumption (averaged for non-daily frequencies)
+      const today = toLocalDateString(new Date(), medication.timezone);
+      const allDoses = await this.doseRepository.findByMedicationId(id);
+      const phases = await this.dosePhaseRepository.findByMedicationId(id);
+      const dailyConsumption = Frequency.forMedication(medication).getAverageDailyAmount(
+        DosePhase.resolveDoses(allDoses, phases, today)
+      ) * medication.getCycleOnFraction();
+
+      // Calculate package (sheet) equivalents
+      const sheetInfo = this.convertTabletsToSheets(medication.total_tablets, medication.getPackageSize());
+
+      // Days remaining and the run-out date follow the future schedule
+      const forecast = new StockForecast({
+        medication,
+        doses: allDoses,
+        phases,
+        skipDates: await this.skipDateRepository.findByMedicationId(id),
+        dailyConsumption,
+        today
+      }).forecast();
+
+      // The stock in use is priced by its lot, or else by the medication's unit price
+      const lots = await this.inventoryLotRepository.findByMedicationId(id);
+      const unitPrice = InventoryLot.getCurrentUnitPrice(lots) ?? medication.unit_price;
 
       return {
         total_tablets: medication.total_tablets,
-        sheet_size: medication.sheet_size,
+        sheet_size: medication.getPackageSize(),
+        dose_unit: medication.dose_unit,
+        package_unit: medication.package_unit,
         full_sheets: sheetInfo.fullSheets,
         remaining_tablets: sheetInfo.remainingTablets,
         total_sheets: sheetInfo.totalSheets,
         daily_consumption: dailyConsumption,
-        days_remaining: daysRemaining,
-        is_low_inventory: daysRemaining !== null && daysRemaining <= 1
+        days_remaining: forecast.days_remaining,
+        run_out_date: forecast.run_out_date,
+        course_end_date: forecast.course_end_date,
+        quantity_needed_until_end: forecast.quantity_needed_until_end,
+        shortfall_until_end: forecast.shortfall_until_end,
+        is_low_inventory: forecast.days_remaining !== null && forecast.days_remaining <= 1,
+        unit_price: unitPrice,
+        cost_per_day: unitPrice !== null ? Math.round(dailyConsumption * unitPrice * 100) / 100 : null
       };
     } catch (error) {
       throw new Error(`Failed to get inventory stats: ${error.message}`);
@@ -354,6 +569,14 @@ class MedicationService {
       }
     }
 
+    // Tapering phases may not overlap, so every date has a single dose set
+    if (Array.isArray(medicationData.phases)) {
+      const overlap = DosePhase.findOverlap(medicationData.phases.map(phase => new DosePhase(phase)));
+      if (overlap) {
+        throw new Error(`Invalid dose phases: phases starting ${overlap[0].start_date} and ${overlap[1].start_date} overlap`);
+      }
+    }
+
     // If updating an existing medication, validate inventory changes
     if (existingMedication && medicationData.total_tablets !== undefined) {
       const inventoryChange = medicationData.total_tablets - existingMedication.total_tablets;
@@ -0,0 +1,169 @@
+const NotificationChannelRepository = require('../repositories/NotificationChannelRepository');
+const NotificationDeliveryRepository = require('../repositories/NotificationDeliveryRepository');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { createChannelAdapters, formatMessage } = require('./channels');
+
+const CHANNEL_NAMES = {
+  email: 'Email',
+  webhook: 'Webhook',
+  web_push: 'Push'
+};
+
+class NotificationDeliveryService {
+  // Adapters can be passed in to deliver through other servers (the tests' stand-ins)
+  constructor(adapters = createChannelAdapters()) {
+    this.adapters = adapters;
+    this.notificationChannelRepository = new NotificationChannelRepository();
+    this.notificationDeliveryRepository = new NotificationDeliveryRepository();
+  }
+
+  // Which channel types this server can deliver to; push subscribers need the public key
+  getAvailableChannels() {
+    return {
+      email: { configured: this.adapters.email.isConfigured() },
+      webhook: { configured: this.adapters.webhook.isConfigured() },
+      web_push: {
+        configured: this.adapters.web_push.isConfigured(),
+        public_key: this.adapters.web_push.isConfigured() ? this.adapters.web_push.publicKey : null
+      }
+    };
+  }
+
+  // List the channels a user receives notifications on
+  async getChannels(userId) {
+    return await this.notificationChannelRepository.findByUserId(userId);
+  }
+
+  // Get one of the user's channels; other users' channels are treated as missing
+  async getChannelForUser(id, userId) {
+    const channel = await this.notificationChannelRepository.findById(id);
+    if (!channel || channel.user_id !== userId) {
+      throw new Error('Channel not found');
+    }
+    return channel;
+  }
+
+  // Webhooks and pushes may only be sent to public addresses (or hosts the operator allowed)
+  async validateTarget(channel, target) {
+    if (!['webhook', 'web_push'].includes(channel) || typeof target !== 'string') {
+      return;
+    }
+
+    try {
+      await this.adapters[channel].checkTarget(target.trim());
+    } catch (error) {
+      throw new Error(`Validation failed: ${error.message}`);
+    }
+  }
+
+  // Opt a user in to a channel
+  async addChannel(userId, channelData) {
+    const adapter = this.adapters[channelData.channel];
+    if (adapter && !adapter.isConfigured()) {
+      throw new Error(`Validation failed: ${CHANNEL_NAMES[channelData.channel]} delivery is not set up on this server`);
+    }
+
+    await this.validateTarget(channelData.channel, channelData.target);
+
+    return await this.notificationChannelRepository.create({ ...channelData, user_id: userId });
+  }
+
+  // Change a user's channel (its target, secret or whether it is enabled)
+  async updateChannel(id, userId, channelData) {
+    const channel = await this.getChannelForUser(id, userId);
+    await this.validateTarget(channel.channel, channelData.target);
+
+    return await this.notificationChannelRepository.update(id, channelData);
+  }
+
+  // Opt a user out of a channel
+  async removeChannel(id, userId) {
+    await this.getChannelForUser(id, userId);
+
+    return await this.notificationChannelRepository.delete(id);
+  }
+
+  // Recent delivery attempts to one of the user's channels
+  async getDeliveries(id, userId, limit = 20) {
+    await this.getChannelForUser(id, userId);
+
+    return await this.notificationDeliveryRepository.findByChannelId(id, limit);
+  }
+
+  // Send a test message to one of the user's channels right away, without retries
+  async sendTestMessage(id, userId) {
+    const channel = await this.getChannelForUser(id, userId);
+    const adapter = this.adapters[channel.channel];
+
+    if (!adapter.isConfigured()) {
+      throw new Error(`Validation failed: ${CHANNEL_NAMES[channel.channel]} delivery is not set up on this server`);
+    }
+
+    try {
+      await adapter.send(channel, formatMessage({
+        id: null,
+        type: 'TEST',
+        message: 'Notifications will be delivered here.',
+        created_at: new Date()
+      }));
+    } catch (error) {
+      if (adapter.classifyFailure(error) === 'disable') {
+        await this.notificationChannelRepository.disable(channel.id);
+      }
+      throw new Error(`Delivery failed: ${error.message}`);
+    }
+
+    return { channel_id: channel.id, sent_at: new Date().toISOString() };
+  }
+
+  // Attempt the due deliveries (new ones and retries whose wait is over)
+  async processDueDeliveries(limit = 50) {
+    const deliveries = await this.notificationDeliveryRepository.claimDue(limit);
+    const result = { deliveries_processed: deliveries.length, sent: 0, retrying: 0, failed: 0 };
+
+    for (const delivery of deliveries) {
+      const outcome = await this.attemptDelivery(delivery);
+      result[outcome]++;
+    }
+
+    return result;
+  }
+
+  // Attempt one claimed delivery and record the outcome: 'sent', 'retrying' or 'failed'
+  async attemptDelivery(delivery) {
+    const { channel } = delivery;
+    const adapter = this.adapters[channel.channel];
+
+    let error;
+    let permanent = false;
+
+    if (!channel.is_enabled) {
+      error = new Error('Channel is disabled');
+      permanent = true;
+    } else if (!adapter || !adapter.isConfigured()) {
+      error = new Error(`${CHANNEL_NAMES[channel.channel] || channel.channel} delivery is not set up on this server`);
+      permanent = true;
+    } else {
+      try {
+        await adapter.send(channel, formatMessage(delivery.notification));
+        await this.notificationDeliveryRepository.markSent(delivery.id);
+        return 'sent';
+      } catch (sendError) {
+        error = sendError;
+        const classification = adapter.classifyFailure(sendError);
+        permanent = classification !== 'retry';
+
+        if (classification === 'disable') {
+          await this.notificationChannelRepository.disable(channel.id);
+        }
+      }
+    }
+
+    const { next_attempt_at } = NotificationDelivery.afterFailure(delivery.attempts, permanent);
+    await this.notificationDeliveryRepository.markFailed(delivery.id, error.message, next_attempt_at);
+
+    return next_attempt_at ? 'retrying' : 'failed';
+  }
+}
+
+module.exports = NotificationDeliveryService;
@@ -2,28 +2,130 @@ const NotificationRepository = require('../repositories/NotificationRepository')
 const InventoryService = require('./InventoryService');
 const MedicationRepository = require('../repositories/MedicationRepository');
 const DoseRepository = require('../repositories/DoseRepository');
+const DosePhaseRepository = require('../repositories/DosePhaseRepository');
+const InventoryLotRepository = require('../repositories/InventoryLotRepository');
+const PrescriptionRepository = require('../repositories/PrescriptionRepository');
+const NotificationPreferencesRepository = require('../repositories/NotificationPreferencesRepository');
+const ScheduleService = require('./ScheduleService');
+const NotificationDeliveryService = require('./NotificationDeliveryService');
+const DoseEvent = require('../models/DoseEvent');
+const DosePhase = require('../models/DosePhase');
+const Frequency = require('../models/Frequency');
+const NotificationPreferences = require('../models/NotificationPreferences');
+const { toLocalDateString, zonedDateTimeToUtc, getCalendarDatesBetween, addDays } = require('../config/timezone');
 const cron = require('node-cron');
 
+// Preferences for a patient's medications (patientId null: unassigned ones) from the lookup
+// loadPreferences() builds; patients added since use the defaults
+const getPreferences = (preferences, patientId) => (
+  preferences.get(patientId ?? null) || new NotificationPreferences({ patient_id: patientId ?? null })
+);
+
+// The longest lead time anyone has set, so one pass covers every patient
+const getLongest = (preferences, field) => (
+  Math.max(new NotificationPreferences()[field], ...[...preferences.values()].map(p => p[field]))
+);
+
+// Schedule entries of a date for one patient (null: medications without a patient) in time
+// order, from a lookup of daily schedules by date so each date is only worked out once
+const loadScheduleEntries = async (scheduleService, schedules, date, patientId) => {
+  if (!schedules.has(date)) {
+    schedules.set(date, await scheduleService.generateDailySchedule(date));
+  }
+
+  return Object.values(schedules.get(date).schedule)
+    .flat()
+    .filter(entry => (entry.patient_id ?? null) === patientId)
+    .sort((a, b) => a.time_of_day.localeCompare(b.time_of_day));
+};
+
+// A scheduled dose as a digest lists it
+const toDigestDose = (entry) => ({
+  medication_id: entry.medication_id,
+  medication_name: entry.medication_name,
+  medication_strength: entry.medication_strength,
+  dose_amount: entry.dose_amount,
+  dose_unit: entry.dose_unit,
+  time_of_day: entry.time_of_day,
+  status: entry.status
+});
+
+// Add a schedule entry's outcome to adherence counts: taken (on time or late), late,
+// skipped (or refused) and missed (nothing recorded)
+const countOutcome = (counts, status) => {
+  counts.scheduled_doses++;
+  if (status === 'given' || status === 'late') {
+    counts.taken_doses++;
+  }
+  if (status === 'late') {
+    counts.late_doses++;
+  }
+  if (status === 'skipped' || status === 'refused') {
+    counts.skipped_doses++;
+  }
+  if (status === 'pending') {
+    counts.missed_doses++;
+  }
+};
+
+const newOutcomeCounts = () => ({
+  scheduled_doses: 0,
+  taken_doses: 0,
+  late_doses: 0,
+  skipped_doses: 0,
+  missed_doses: 0
+});
+
+// Share of scheduled doses taken, as a whole percentage; null without scheduled doses
+const getAdherenceRate = (counts) => (
+  counts.scheduled_doses === 0 ? null : Math.round((counts.taken_doses / counts.scheduled_doses) * 100)
+);
+
 class NotificationService {
   constructor() {
     this.notificationRepository = new NotificationRepository();
     this.inventoryService = new InventoryService();
     this.medicationRepository = new MedicationRepository();
     this.doseRepository = new DoseRepository();
+    this.dosePhaseRepository = new DosePhaseRepository();
+    this.inventoryLotRepository = new InventoryLotRepository();
+    this.prescriptionRepository = new PrescriptionRepository();
+    this.notificationPreferencesRepository = new NotificationPreferencesRepository();
+    this.scheduleService = new ScheduleService();
+    this.deliveryService = new NotificationDeliveryService();
     this.backgroundJobs = new Map();
   }
 
-  // Generate buy-soon alerts for all medications
-  async generateBuySoonAlerts(daysAhead = 1) {
-    if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > 30) {
+  // Load every patient's notification preferences, keyed by patient ID (null for
+  // unassigned medications)
+  async loadPreferences() {
+    const preferences = await this.notificationPreferencesRepository.findAll();
+    return new Map(preferences.map(p => [p.patient_id, p]));
+  }
+
+  // Generate buy-soon alerts for all medications, daysAhead days ahead or as far as each
+  // patient's preferences say
+  async generateBuySoonAlerts(daysAhead = null) {
+    if (daysAhead !== null && (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > 30)) {
       throw new Error('Days ahead must be an integer between 1 and 30');
     }
 
     try {
-      const alerts = await this.inventoryService.calculateBuySoonAlerts(daysAhead);
+      const now = new Date();
+      const preferences = await this.loadPreferences();
+      const alerts = await this.inventoryService.calculateBuySoonAlerts(
+        daysAhead ?? getLongest(preferences, 'buy_soon_days_ahead')
+      );
       const notifications = [];
 
       for (const alert of alerts) {
+        // Alerts were raised for the longest lead time; hold each patient to their own
+        const patientPreferences = getPreferences(preferences, alert.patient_id);
+        if (!patientPreferences.isTypeEnabled('BUY_SOON') ||
+            (daysAhead === null && alert.days_remaining > patientPreferences.buy_soon_days_ahead)) {
+          continue;
+        }
+
         if (alert.needs_refill) {
           // Check if we already have a recent buy-soon notification for this medication
           const existingNotification = await this.notificationRepository.existsByTypeAndMedication(
@@ -35,7 +137,8 @@ class NotificationService {
           if (!existingNotification) {
             const notification = await this.notificationRepository.createBuySoonNotification(
               alert.medication_id,
-              alert
+              alert,
+              patientPreferences.getQuietHoursEnd(now)
             );
             
             if (notification) {
@@ -55,62 +158,211 @@ class NotificationService {
     }
   }
 
-  // Generate dose due notifications for upcoming doses
-  async generateDoseDueNotifications(minutesAhead = 15) {
-    if (!Number.isInteger(minutesAhead) || minutesAhead < 1 || minutesAhead > 120) {
-      throw new Error('Minutes ahead must be an integer between 1 and 120');
+  // Generate each patient's morning digest for today in the patient's timezone: the day's
+  // schedule, the medications running low (per the patient's buy-soon lead time) and the
+  // doses missed yesterday. Patients with nothing to report get none, and each gets at most
+  // one a day. Medications without a patient are left out.
+  async generateDailyDigests() {
+    try {
+      const now = new Date();
+      const preferences = await this.loadPreferences();
+      const alerts = await this.inventoryService.calculateBuySoonAlerts(getLongest(preferences, 'buy_soon_days_ahead'));
+      const schedules = new Map();
+      const notifications = [];
+
+      for (const patientPreferences of preferences.values()) {
+        // Medications without a patient have nobody to send a digest to
+        if (patientPreferences.patient_id === null || !patientPreferences.isTypeEnabled('DIGEST')) {
+          continue;
+        }
+
+        const patientId = patientPreferences.patient_id;
+        const today = toLocalDateString(now, patientPreferences.timezone);
+        const yesterday = addDays(today, -1);
+
+        const schedule = (await loadScheduleEntries(this.scheduleService, schedules, today, patientId))
+          .map(toDigestDose);
+        const missedYesterday = (await loadScheduleEntries(this.scheduleService, schedules, yesterday, patientId))
+          .filter(entry => entry.status === 'pending')
+          .map(entry => ({ ...toDigestDose(entry), scheduled_date: yesterday }));
+        const lowStock = alerts
+          .filter(alert => (alert.patient_id ?? null) === patientId &&
+            alert.days_remaining <= patientPreferences.buy_soon_days_ahead)
+          .map(alert => ({
+            medication_id: alert.medication_id,
+            medication_name: alert.medication_name,
+            medication_strength: alert.medication_strength,
+            current_tablets: alert.current_tablets,
+            dose_unit: alert.dose_unit,
+            days_remaining: alert.days_remaining,
+            pharmacy_name: alert.pharmacy_name
+          }));
+
+        if (schedule.length === 0 && missedYesterday.length === 0 && lowStock.length === 0) {
+          continue;
+        }
+
+        const notification = await this.notificationRepository.createDigestNotification(
+          patientId,
+          {
+            period: 'daily',
+            start_date: today,
+            end_date: today,
+            schedule,
+            low_stock: lowStock,
+            missed_yesterday: missedYesterday
+          },
+          patientPreferences.getQuietHoursEnd(now)
+        );
+
+        if (notification) {
+          notifications.push(notification);
+        }
+      }
+
+      return {
+        patients_checked: preferences.size,
+        notifications_created: notifications.length,
+        notifications: notifications
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate daily digests: ${error.message}`);
     }
+  }
 
+  // Generate each patient's weekly adherence summary for the seven days up to yesterday in
+  // the patient's timezone: how many scheduled doses were taken, late, skipped or missed,
+  // overall and per medication. Patients without scheduled doses get none, and medications
+  // without a patient are left out.
+  async generateWeeklyDigests() {
     try {
       const now = new Date();
-      const targetTime = new Date(now.getTime() + (minutesAhead * 60 * 1000));
-      const today = now.toISOString().split('T')[0];
-      
-      // Get all active medications for today
-      const activeMedications = await this.medicationRepository.findActiveByDate(today);
+      const preferences = await this.loadPreferences();
+      const schedules = new Map();
       const notifications = [];
 
-      for (const medication of activeMedications) {
-        // Get doses for this medication
-        const doses = await this.doseRepository.findByMedicationId(medication.id);
-        
-        for (const dose of doses) {
-          // Create a datetime for the dose today
-          const doseDateTime = new Date(`${today}T${dose.time_of_day}`);
-          
-          // Check if this dose is due within the specified time window
-          if (doseDateTime >= now && doseDateTime <= targetTime) {
-            // Check if we already have a notification for this dose today
-            const existingNotification = await this.notificationRepository.existsByTypeAndMedication(
-              'DOSE_DUE',
-              medication.id,
-              1 // Within last 1 hour
-            );
+      for (const patientPreferences of preferences.values()) {
+        // Medications without a patient have nobody to send a digest to
+        if (patientPreferences.patient_id === null || !patientPreferences.isTypeEnabled('DIGEST')) {
+          continue;
+        }
 
-            if (!existingNotification) {
-              const doseData = {
-                medication_name: medication.name,
-                medication_strength: medication.strength,
-                dose_amount: dose.dose_amount,
-                time_of_day: dose.time_of_day,
-                route: dose.route_override || medication.route_name,
-                instructions: dose.instructions,
-                scheduled_time: doseDateTime.toISOString()
-              };
-
-              const notification = await this.notificationRepository.createDoseDueNotification(
-                medication.id,
-                doseData
-              );
-              
-              notifications.push(notification);
+        const patientId = patientPreferences.patient_id;
+        const today = toLocalDateString(now, patientPreferences.timezone);
+        const startDate = addDays(today, -7);
+        const endDate = addDays(today, -1);
+        const totals = newOutcomeCounts();
+        const byMedication = new Map();
+
+        for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+          for (const entry of await loadScheduleEntries(this.scheduleService, schedules, date, patientId)) {
+            if (!byMedication.has(entry.medication_id)) {
+              byMedication.set(entry.medication_id, {
+                medication_id: entry.medication_id,
+                medication_name: entry.medication_name,
+                medication_strength: entry.medication_strength,
+                ...newOutcomeCounts()
+              });
             }
+
+            countOutcome(totals, entry.status);
+            countOutcome(byMedication.get(entry.medication_id), entry.status);
+          }
+        }
+
+        if (totals.scheduled_doses === 0) {
+          continue;
+        }
+
+        const medications = [...byMedication.values()]
+          .map(counts => ({ ...counts, adherence_rate: getAdherenceRate(counts) }))
+          .sort((a, b) => a.medication_name.localeCompare(b.medication_name));
+
+        const notification = await this.notificationRepository.createDigestNotification(
+          patientId,
+          {
+            period: 'weekly',
+            start_date: startDate,
+            end_date: endDate,
+            ...totals,
+            adherence_rate: getAdherenceRate(totals),
+            medications
+          },
+          patientPreferences.getQuietHoursEnd(now)
+        );
+
+        if (notification) {
+          notifications.push(notification);
+        }
+      }
+
+      return {
+        patients_checked: preferences.size,
+        notifications_created: notifications.length,
+        notifications: notifications
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate weekly digests: ${error.message}`);
+    }
+  }
+
+  // Generate dose due notifications for doses due within minutesAhead minutes, or as far
+  // ahead as each patient's preferences say
+  async generateDoseDueNotifications(minutesAhead = null) {
+    if (minutesAhead !== null && (!Number.isInteger(minutesAhead) || minutesAhead < 1 || minutesAhead > 120)) {
+      throw new Error('Minutes ahead must be an integer between 1 and 120');
+    }
+
+    try {
+      const now = new Date();
+      const preferences = await this.loadPreferences();
+      const longestMinutesAhead = minutesAhead ?? getLongest(preferences, 'minutes_ahead');
+      const targetTime = new Date(now.getTime() + (longestMinutesAhead * 60 * 1000));
+      const notifications = [];
+      const checkedMedicationIds = new Set();
+
+      // Dose times are wall-clock times in each patient's timezone, so the window can fall
+      // on a different date per patient; check every date some timezone is on
+      for (const date of getCalendarDatesBetween(now, targetTime)) {
+        const activeMedications = await this.medicationRepository.findActiveByDate(date);
+
+        for (const medication of activeMedications) {
+          if (toLocalDateString(now, medication.timezone) !== date &&
+              toLocalDateString(targetTime, medication.timezone) !== date) {
+            continue;
           }
+
+          const patientPreferences = getPreferences(preferences, medication.patient_id);
+          if (!patientPreferences.isTypeEnabled('DOSE_DUE')) {
+            continue;
+          }
+          checkedMedicationIds.add(medication.id);
+
+          // Only dates the frequency is due on and in the "on" part of any cycle, as in the schedule
+          const frequency = Frequency.forMedication(medication);
+          if (!frequency.occursOn(date, medication.start_date) || !medication.isCycleOnDate(date)) {
+            continue;
+          }
+          const medicationTargetTime = new Date(
+            now.getTime() + ((minutesAhead ?? patientPreferences.minutes_ahead) * 60 * 1000)
+          );
+
+          // Get the date's doses for this medication, following its tapering phases, at
+          // every time an hourly frequency repeats them
+          const doseSlots = frequency.expandDoseTimes(DosePhase.resolveDoses(
+            await this.doseRepository.findByMedicationId(medication.id),
+            await this.dosePhaseRepository.findByMedicationId(medication.id),
+            date
+          ));
+
+          notifications.push(...await this.createDoseDueNotifications(
+            medication, doseSlots, date, now, medicationTargetTime, patientPreferences.getQuietHoursEnd(now)
+          ));
         }
       }
 
       return {
-        medications_checked: activeMedications.length,
+        medications_checked: checkedMedicationIds.size,
         notifications_created: notifications.length,
         notifications: notifications
       };
@@ -119,64 +371,158 @@ class NotificationService {
     }
   }
 
-  // Generate missed dose notifications for overdue doses
-  async generateMissedDoseNotifications(hoursOverdue = 1) {
-    if (!Number.isInteger(hoursOverdue) || hoursOverdue < 1 || hoursOverdue > 24) {
+  // Notify about the dose slots ({ dose, time_of_day }) of a medication on a date that are due
+  // between now and targetTime, held until heldUntil during quiet hours
+  async createDoseDueNotifications(medication, doseSlots, date, now, targetTime, heldUntil = null) {
+    const notifications = [];
+
+    for (const { dose, time_of_day } of doseSlots) {
+      // The instant the dose is due in the patient's timezone
+      const doseDateTime = zonedDateTimeToUtc(date, time_of_day, medication.timezone);
+
+      // Check if this dose is due within the specified time window
+      if (doseDateTime < now || doseDateTime > targetTime) {
+        continue;
+      }
+
+      // Check if we already have a notification for this dose today
+      const existingNotification = await this.notificationRepository.existsByTypeAndMedication(
+        'DOSE_DUE',
+        medication.id,
+        1 // Within last 1 hour
+      );
+
+      if (!existingNotification) {
+        const doseData = {
+          medication_name: medication.name,
+          medication_strength: medication.strength,
+          medicine_dose_id: dose.id,
+          dose_amount: dose.dose_amount,
+          dose_unit: medication.dose_unit,
+          time_of_day,
+          route: dose.route_override || medication.route_name,
+          instructions: dose.instructions,
+          scheduled_date: date,
+          slot_time: DoseEvent.normalizeTime(time_of_day),
+          scheduled_time: doseDateTime.toISOString()
+        };
+
+        const notification = await this.notificationRepository.createDoseDueNotification(
+          medication.id,
+          doseData,
+          heldUntil
+        );
+        
+        notifications.push(notification);
+      }
+    }
+
+    return notifications;
+  }
+
+  // Generate missed dose notifications for scheduled slots that have no recorded outcome
+  // hoursOverdue hours (or as long as each patient's preferences say) after they were due.
+  // Looks back 24 hours so late-evening slots are still caught after midnight.
+  async generateMissedDoseNotifications(hoursOverdue = null) {
+    if (hoursOverdue !== null && (!Number.isInteger(hoursOverdue) || hoursOverdue < 1 || hoursOverdue > 24)) {
       throw new Error('Hours overdue must be an integer between 1 and 24');
     }
 
     try {
       const now = new Date();
-      const overdueThreshold = new Date(now.getTime() - (hoursOverdue * 60 * 60 * 1000));
-      const today = now.toISOString().split('T')[0];
-      
-      // Get all active medications for today
-      const activeMedications = await this.medicationRepository.findActiveByDate(today);
+      const preferences = await this.loadPreferences();
+      const lookbackStart = new Date(now.getTime() - (24 * 60 * 60 * 1000));
+      // Slots are wall-clock times in each patient's timezone; check every date some timezone is on
+      const dates = getCalendarDatesBetween(lookbackStart, now);
+
       const notifications = [];
+      const recordedSlots = new Map();
+      let medicationsChecked = 0;
+      let missedSlots = 0;
 
-      for (const medication of activeMedications) {
-        // Get doses for this medication
-        const doses = await this.doseRepository.findByMedicationId(medication.id);
-        
-        for (const dose of doses) {
-          // Create a datetime for the dose today
-          const doseDateTime = new Date(`${today}T${dose.time_of_day}`);
-          
-          // Check if this dose is overdue
-          if (doseDateTime <= overdueThreshold) {
-            // Check if we already have a missed dose notification for this dose today
-            const existingNotification = await this.notificationRepository.existsByTypeAndMedication(
-              'MISSED_DOSE',
-              medication.id,
-              6 // Within last 6 hours to avoid spam
-            );
+      for (const date of dates) {
+        const dailySchedule = await this.scheduleService.generateDailySchedule(date);
+        const entries = Object.values(dailySchedule.schedule).flat();
+        medicationsChecked += dailySchedule.total_medications;
 
-            if (!existingNotification) {
-              const doseData = {
-                medication_name: medication.name,
-                medication_strength: medication.strength,
-                dose_amount: dose.dose_amount,
-                time_of_day: dose.time_of_day,
-                route: dose.route_override || medication.route_name,
-                instructions: dose.instructions,
-                scheduled_time: doseDateTime.toISOString(),
-                hours_overdue: Math.floor((now - doseDateTime) / (1000 * 60 * 60))
-              };
-
-              const notification = await this.notificationRepository.createMissedDoseNotification(
-                medication.id,
-                doseData
-              );
-              
-              notifications.push(notification);
-            }
+        for (const entry of entries) {
+          const slotTime = DoseEvent.normalizeTime(entry.time_of_day);
+
+          if (entry.status !== 'pending') {
+            recordedSlots.set(`${entry.medication_id}|${entry.dose_id}|${date}|${slotTime}`, entry.status);
+            continue;
+          }
+
+          const patientPreferences = getPreferences(preferences, entry.patient_id);
+          if (!patientPreferences.isTypeEnabled('MISSED_DOSE')) {
+            continue;
+          }
+
+          const overdueThreshold = new Date(
+            now.getTime() - ((hoursOverdue ?? patientPreferences.hours_overdue) * 60 * 60 * 1000)
+          );
+          const slotDateTime = zonedDateTimeToUtc(date, entry.time_of_day, entry.timezone);
+          if (slotDateTime > overdueThreshold || slotDateTime <= lookbackStart) {
+            continue;
           }
+
+          missedSlots++;
+
+          const doseData = {
+            medication_name: entry.medication_name,
+            medication_strength: entry.medication_strength,
+            medicine_dose_id: entry.dose_id,
+            dose_amount: entry.dose_amount,
+            dose_unit: entry.dose_unit,
+            time_of_day: entry.time_of_day,
+            route: entry.route,
+            instructions: entry.instructions,
+            scheduled_date: date,
+            slot_time: slotTime,
+            scheduled_time: slotDateTime.toISOString(),
+            hours_overdue: Math.floor((now - slotDateTime) / (1000 * 60 * 60))
+          };
+
+          // Returns null when this slot already has a missed-dose notification
+          const notification = await this.notificationRepository.createMissedDoseNotification(
+            entry.medication_id,
+            doseData,
+            patientPreferences.getQuietHoursEnd(now)
+          );
+
+          if (notification) {
+            notifications.push(notification);
+          }
+        }
+      }
+
+      // Resolve notifications for slots that have since been recorded
+      let notificationsResolved = 0;
+      const openNotifications = await this.notificationRepository.findUnresolvedMissedDoses(dates);
+
+      for (const notification of openNotifications) {
+        const { medicine_dose_id, scheduled_date, slot_time } = notification.payload || {};
+        const resolution = recordedSlots.get(
+          `${notification.medicine_id}|${medicine_dose_id}|${scheduled_date}|${slot_time}`
+        );
+
+        if (resolution) {
+          const resolved = await this.notificationRepository.resolveMissedDose(
+            notification.medicine_id,
+            medicine_dose_id,
+            scheduled_date,
+            slot_time,
+            resolution
+          );
+          notificationsResolved += resolved.length;
         }
       }
 
       return {
-        medications_checked: activeMedications.length,
+        medications_checked: medicationsChecked,
+        missed_slots: missedSlots,
         notifications_created: notifications.length,
+        notifications_resolved: notificationsResolved,
         notifications: notifications
       };
     } catch (error) {
@@ -184,6 +530,145 @@ class NotificationService {
     }
   }
 
+  // Warn about inventory lots with stock left that expire within daysAhead days
+  // (or already have), once per lot
+  async generateExpiringSoonNotifications(daysAhead = 30) {
+    if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > 365) {
+      throw new Error('Days ahead must be an integer between 1 and 365');
+    }
+
+    try {
+      // A day either side of the installation's today covers every patient timezone
+      const now = new Date();
+      const today = toLocalDateString(now);
+      const preferences = await this.loadPreferences();
+      const lots = await this.inventoryLotRepository.findExpiringBy(addDays(today, daysAhead + 1), addDays(today, -1));
+      const notifications = [];
+      let lotsExpiring = 0;
+
+      for (const lot of lots) {
+        const patientPreferences = getPreferences(preferences, lot.patient_id);
+        if (!patientPreferences.isTypeEnabled('EXPIRING_SOON')) {
+          continue;
+        }
+
+        const daysUntilExpiry = lot.getDaysUntilExpiry(toLocalDateString(new Date(), lot.timezone));
+        if (daysUntilExpiry > daysAhead) {
+          continue;
+        }
+
+        lotsExpiring++;
+
+        // Returns null when this lot already has an expiry warning
+        const notification = await this.notificationRepository.createExpiringSoonNotification(
+          lot.medicine_id,
+          {
+            medication_name: lot.medication_name,
+            medication_strength: lot.medication_strength,
+            lot_id: lot.id,
+            lot_number: lot.lot_number || null,
+            quantity: lot.quantity,
+            dose_unit: lot.dose_unit,
+            expiry_date: lot.expiry_date,
+            days_until_expiry: daysUntilExpiry
+          },
+          patientPreferences.getQuietHoursEnd(now)
+        );
+
+        if (notification) {
+          notifications.push(notification);
+        }
+      }
+
+      return {
+        lots_checked: lots.length,
+        lots_expiring: lotsExpiring,
+        notifications_created: notifications.length,
+        notifications: notifications
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate expiring soon notifications: ${error.message}`);
+    }
+  }
+
+  // Ask for a renewal of active medications' current prescriptions that have no refills left
+  // or expire within daysAhead days (or already have), once per prescription and reason
+  async generatePrescriptionRenewalNotifications(daysAhead = 30) {
+    if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > 365) {
+      throw new Error('Days ahead must be an integer between 1 and 365');
+    }
+
+    try {
+      // A day either side of the installation's today covers every patient timezone
+      const now = new Date();
+      const today = toLocalDateString(now);
+      const preferences = await this.loadPreferences();
+      const prescriptions = await this.prescriptionRepository.findNeedingRenewal(
+        addDays(today, daysAhead + 1),
+        addDays(today, 1),
+        addDays(today, -1)
+      );
+      const notifications = [];
+      let prescriptionsDue = 0;
+
+      for (const prescription of prescriptions) {
+        const patientPreferences = getPreferences(preferences, prescription.patient_id);
+        if (!patientPreferences.isTypeEnabled('PRESCRIPTION_RENEWAL')) {
+          continue;
+        }
+
+        const daysUntilExpiry = prescription.getDaysUntilExpiry(toLocalDateString(new Date(), prescription.timezone));
+        const reasons = [];
+
+        if (prescription.refills_remaining === 0) {
+          reasons.push('no_refills');
+        }
+        if (daysUntilExpiry !== null && daysUntilExpiry <= daysAhead) {
+          reasons.push('expiring');
+        }
+
+        if (reasons.length === 0) {
+          continue;
+        }
+
+        prescriptionsDue++;
+
+        for (const reason of reasons) {
+          // Returns null when the prescription already has a reminder for this reason
+          const notification = await this.notificationRepository.createPrescriptionRenewalNotification(
+            prescription.medicine_id,
+            {
+              medication_name: prescription.medication_name,
+              medication_strength: prescription.medication_strength,
+              prescription_id: prescription.id,
+              prescription_number: prescription.prescription_number || null,
+              prescriber_name: prescription.prescriber_name,
+              reason,
+              authorized_refills: prescription.authorized_refills,
+              refills_remaining: prescription.refills_remaining,
+              expiry_date: prescription.expiry_date,
+              days_until_expiry: daysUntilExpiry
+            },
+            patientPreferences.getQuietHoursEnd(now)
+          );
+
+          if (notification) {
+            notifications.push(notification);
+          }
+        }
+      }
+
+      return {
+        prescriptions_checked: prescriptions.length,
+        prescriptions_due: prescriptionsDue,
+        notifications_created: notifications.length,
+        notifications: notifications
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate prescription renewal notifications: ${error.message}`);
+    }
+  }
+
   // Get all notifications with filtering options
   async getNotifications(options = {}) {
     try {
@@ -293,6 +778,42 @@ class NotificationService {
     }
   }
 
+  // Release the notifications held back during quiet hours that have now ended
+  async releaseHeldNotifications() {
+    try {
+      const released = await this.notificationRepository.releaseHeld();
+      return {
+        notifications_released: released.length,
+        notifications: released
+      };
+    } catch (error) {
+      throw new Error(`Failed to release held notifications: ${error.message}`);
+    }
+  }
+
+  // Move dose reminders along: acknowledge the ones whose dose has been recorded, raise
+  // snoozed and unacknowledged ones again, and pass missed doses on to secondary caregivers
+  async processDoseReminders() {
+    try {
+      const defaults = new NotificationPreferences();
+      const acknowledged = await this.notificationRepository.acknowledgeRecordedDoses();
+      const renotified = await this.notificationRepository.renotifyDueReminders(
+        defaults.renotify_minutes,
+        defaults.max_renotifications
+      );
+      const escalated = await this.notificationRepository.escalateMissedDoses();
+
+      return {
+        reminders_acknowledged: acknowledged.length,
+        reminders_renotified: renotified.length,
+        missed_doses_escalated: escalated.length,
+        notifications: [...renotified, ...escalated]
+      };
+    } catch (error) {
+      throw new Error(`Failed to process dose reminders: ${error.message}`);
+    }
+  }
+
   // Start background job for buy-soon alerts
   startBuySoonAlertJob(cronExpression = '0 8 * * *') { // Daily at 8 AM
     if (this.backgroundJobs.has('buySoonAlerts')) {
@@ -302,7 +823,7 @@ class NotificationService {
     const job = cron.schedule(cronExpression, async () => {
       try {
         console.log('Running buy-soon alerts job...');
-        const result = await this.generateBuySoonAlerts(1);
+        const result = await this.generateBuySoonAlerts();
         console.log(`Buy-soon alerts job completed: ${result.notifications_created} notifications created`);
       } catch (error) {
         console.error('Buy-soon alerts job failed:', error.message);
@@ -321,8 +842,65 @@ class NotificationService {
     };
   }
 
+  // Start background job for the morning digests; DAILY_DIGEST_CRON overrides the schedule
+  startDailyDigestJob(cronExpression = process.env.DAILY_DIGEST_CRON || '0 7 * * *') { // Daily at 7 AM
+    if (this.backgroundJobs.has('dailyDigests')) {
+      this.stopDailyDigestJob();
+    }
+
+    const job = cron.schedule(cronExpression, async () => {
+      try {
+        console.log('Running daily digest job...');
+        const result = await this.generateDailyDigests();
+        console.log(`Daily digest job completed: ${result.notifications_created} notifications created`);
+      } catch (error) {
+        console.error('Daily digest job failed:', error.message);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.backgroundJobs.set('dailyDigests', job);
+    job.start();
+
+    return {
+      job_name: 'dailyDigests',
+      cron_expression: cronExpression,
+      status: 'started'
+    };
+  }
+
+  // Start background job for the weekly adherence summaries; WEEKLY_DIGEST_CRON overrides
+  // the schedule
+  startWeeklyDigestJob(cronExpression = process.env.WEEKLY_DIGEST_CRON || '0 7 * * 1') { // Mondays at 7 AM
+    if (this.backgroundJobs.has('weeklyDigests')) {
+      this.stopWeeklyDigestJob();
+    }
+
+    const job = cron.schedule(cronExpression, async () => {
+      try {
+        console.log('Running weekly digest job...');
+        const result = await this.generateWeeklyDigests();
+        console.log(`Weekly digest job completed: ${result.notifications_created} notifications created`);
+      } catch (error) {
+        console.error('Weekly digest job failed:', error.message);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.backgroundJobs.set('weeklyDigests', job);
+    job.start();
+
+    return {
+      job_name: 'weeklyDigests',
+      cron_expression: cronExpression,
+      status: 'started'
+    };
+  }
+
   // Start background job for dose due notifications
-  startDoseDueNotificationJob(cronExpression = '*/15 * * * *') { // Every 15 minutes
+  startDoseDueNotificationJob(cronExpression = '*/5 * * * *') { // Every 5 minutes, the shortest lead time
     if (this.backgroundJobs.has('doseDueNotifications')) {
       this.stopDoseDueNotificationJob();
     }
@@ -330,7 +908,7 @@ class NotificationService {
     const job = cron.schedule(cronExpression, async () => {
       try {
         console.log('Running dose due notifications job...');
-        const result = await this.generateDoseDueNotifications(15);
+        const result = await this.generateDoseDueNotifications();
         console.log(`Dose due notifications job completed: ${result.notifications_created} notifications created`);
       } catch (error) {
         console.error('Dose due notifications job failed:', error.message);
@@ -358,8 +936,8 @@ class NotificationService {
     const job = cron.schedule(cronExpression, async () => {
       try {
         console.log('Running missed dose notifications job...');
-        const result = await this.generateMissedDoseNotifications(1);
-        console.log(`Missed dose notifications job completed: ${result.notifications_created} notifications created`);
+        const result = await this.generateMissedDoseNotifications();
+        console.log(`Missed dose notifications job completed: ${result.notifications_created} notifications created, ${result.notifications_resolved} resolved`);
       } catch (error) {
         console.error('Missed dose notifications job failed:', error.message);
       }
@@ -377,6 +955,62 @@ class NotificationService {
     };
   }
 
+  // Start background job for inventory expiry warnings
+  startExpiringSoonNotificationJob(cronExpression = '0 7 * * *') { // Daily at 7 AM
+    if (this.backgroundJobs.has('expiringSoonNotifications')) {
+      this.stopExpiringSoonNotificationJob();
+    }
+
+    const job = cron.schedule(cronExpression, async () => {
+      try {
+        console.log('Running expiring soon notifications job...');
+        const result = await this.generateExpiringSoonNotifications(30);
+        console.log(`Expiring soon notifications job completed: ${result.notifications_created} notifications created`);
+      } catch (error) {
+        console.error('Expiring soon notifications job failed:', error.message);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.backgroundJobs.set('expiringSoonNotifications', job);
+    job.start();
+    
+    return {
+      job_name: 'expiringSoonNotifications',
+      cron_expression: cronExpression,
+      status: 'started'
+    };
+  }
+
+  // Start background job for prescription renewal reminders
+  startPrescriptionRenewalNotificationJob(cronExpression = '0 8 * * *') { // Daily at 8 AM
+    if (this.backgroundJobs.has('prescriptionRenewalNotifications')) {
+      this.stopPrescriptionRenewalNotificationJob();
+    }
+
+    const job = cron.schedule(cronExpression, async () => {
+      try {
+        console.log('Running prescription renewal notifications job...');
+        const result = await this.generatePrescriptionRenewalNotifications(30);
+        console.log(`Prescription renewal notifications job completed: ${result.notifications_created} notifications created`);
+      } catch (error) {
+        console.error('Prescription renewal notifications job failed:', error.message);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.backgroundJobs.set('prescriptionRenewalNotifications', job);
+    job.start();
+    
+    return {
+      job_name: 'prescriptionRenewalNotifications',
+      cron_expression: cronExpression,
+      status: 'started'
+    };
+  }
+
   // Start background job for cleanup
   startCleanupJob(cronExpression = '0 2 * * 0') { // Weekly on Sunday at 2 AM
     if (this.backgroundJobs.has('cleanup')) {
@@ -405,6 +1039,93 @@ class NotificationService {
     };
   }
 
+  // Start background job that delivers notifications to the users' channels
+  startDeliveryJob(cronExpression = '* * * * *') { // Every minute
+    if (this.backgroundJobs.has('deliveries')) {
+      this.stopDeliveryJob();
+    }
+
+    const job = cron.schedule(cronExpression, async () => {
+      try {
+        const result = await this.deliveryService.processDueDeliveries();
+        if (result.deliveries_processed > 0) {
+          console.log(`Delivery job completed: ${result.sent} sent, ${result.retrying} to retry, ${result.failed} failed`);
+        }
+      } catch (error) {
+        console.error('Delivery job failed:', error.message);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.backgroundJobs.set('deliveries', job);
+    job.start();
+
+    return {
+      job_name: 'deliveries',
+      cron_expression: cronExpression,
+      status: 'started'
+    };
+  }
+
+  // Start background job that releases notifications held during quiet hours
+  startHeldNotificationReleaseJob(cronExpression = '* * * * *') { // Every minute
+    if (this.backgroundJobs.has('heldNotificationRelease')) {
+      this.stopHeldNotificationReleaseJob();
+    }
+
+    const job = cron.schedule(cronExpression, async () => {
+      try {
+        const result = await this.releaseHeldNotifications();
+        if (result.notifications_released > 0) {
+          console.log(`Held notification release job completed: ${result.notifications_released} notifications released`);
+        }
+      } catch (error) {
+        console.error('Held notification release job failed:', error.message);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.backgroundJobs.set('heldNotificationRelease', job);
+    job.start();
+
+    return {
+      job_name: 'heldNotificationRelease',
+      cron_expression: cronExpression,
+      status: 'started'
+    };
+  }
+
+  // Start background job that snoozes, repeats and escalates dose reminders
+  startDoseReminderJob(cronExpression = '* * * * *') { // Every minute
+    if (this.backgroundJobs.has('doseReminders')) {
+      this.stopDoseReminderJob();
+    }
+
+    const job = cron.schedule(cronExpression, async () => {
+      try {
+        const result = await this.processDoseReminders();
+        if (result.reminders_renotified > 0 || result.missed_doses_escalated > 0) {
+          console.log(`Dose reminder job completed: ${result.reminders_renotified} reminders repeated, ${result.missed_doses_escalated} missed doses escalated`);
+        }
+      } catch (error) {
+        console.error('Dose reminder job failed:', error.message);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.backgroundJobs.set('doseReminders', job);
+    job.start();
+
+    return {
+      job_name: 'doseReminders',
+      cron_expression: cronExpression,
+      status: 'started'
+    };
+  }
+
   // Stop buy-soon alert job
   stopBuySoonAlertJob() {
     const job = this.backgroundJobs.get('buySoonAlerts');
@@ -416,6 +1137,28 @@ class NotificationService {
     return { job_name: 'buySoonAlerts', status: 'not_running' };
   }
 
+  // Stop daily digest job
+  stopDailyDigestJob() {
+    const job = this.backgroundJobs.get('dailyDigests');
+    if (job) {
+      job.stop();
+      this.backgroundJobs.delete('dailyDigests');
+      return { job_name: 'dailyDigests', status: 'stopped' };
+    }
+    return { job_name: 'dailyDigests', status: 'not_running' };
+  }
+
+  // Stop weekly digest job
+  stopWeeklyDigestJob() {
+    const job = this.backgroundJobs.get('weeklyDigests');
+    if (job) {
+      job.stop();
+      this.backgroundJobs.delete('weeklyDigests');
+      return { job_name: 'weeklyDigests', status: 'stopped' };
+    }
+    return { job_name: 'weeklyDigests', status: 'not_running' };
+  }
+
   // Stop dose due notification job
   stopDoseDueNotificationJob() {
     const job = this.backgroundJobs.get('doseDueNotifications');
@@ -438,6 +1181,28 @@ class NotificationService {
     return { job_name: 'missedDoseNotifications', status: 'not_running' };
   }
 
+  // Stop inventory expiry warning job
+  stopExpiringSoonNotificationJob() {
+    const job = this.backgroundJobs.get('expiringSoonNotifications');
+    if (job) {
+      job.stop();
+      this.backgroundJobs.delete('expiringSoonNotifications');
+      return { job_name: 'expiringSoonNotifications', status: 'stopped' };
+    }
+    return { job_name: 'expiringSoonNotifications', status: 'not_running' };
+  }
+
+  // Stop prescription renewal reminder job
+  stopPrescriptionRenewalNotificationJob() {
+    const job = this.backgroundJobs.get('prescriptionRenewalNotifications');
+    if (job) {
+      job.stop();
+      this.backgroundJobs.delete('prescriptionRenewalNotifications');
+      return { job_name: 'prescriptionRenewalNotifications', status: 'stopped' };
+    }
+    return { job_name: 'prescriptionRenewalNotifications', status: 'not_running' };
+  }
+
   // Stop cleanup job
   stopCleanupJob() {
     const job = this.backgroundJobs.get('cleanup');
@@ -449,14 +1214,54 @@ class NotificationService {
     return { job_name: 'cleanup', status: 'not_running' };
   }
 
+  // Stop delivery job
+  stopDeliveryJob() {
+    const job = this.backgroundJobs.get('deliveries');
+    if (job) {
+      job.stop();
+      this.backgroundJobs.delete('deliveries');
+      return { job_name: 'deliveries', status: 'stopped' };
+    }
+    return { job_name: 'deliveries', status: 'not_running' };
+  }
+
+  // Stop held notification release job
+  stopHeldNotificationReleaseJob() {
+    const job = this.backgroundJobs.get('heldNotificationRelease');
+    if (job) {
+      job.stop();
+      this.backgroundJobs.delete('heldNotificationRelease');
+      return { job_name: 'heldNotificationRelease', status: 'stopped' };
+    }
+    return { job_name: 'heldNotificationRelease', status: 'not_running' };
+  }
+
+  // Stop dose reminder job
+  stopDoseReminderJob() {
+    const job = this.backgroundJobs.get('doseReminders');
+    if (job) {
+      job.stop();
+      this.backgroundJobs.delete('doseReminders');
+      return { job_name: 'doseReminders', status: 'stopped' };
+    }
+    return { job_name: 'doseReminders', status: 'not_running' };
+  }
+
   // Start all background jobs with default schedules
   startAllBackgroundJobs() {
     const results = [];
     
     results.push(this.startBuySoonAlertJob());
+    results.push(this.startDailyDigestJob());
+    results.push(this.startWeeklyDigestJob());
     results.push(this.startDoseDueNotificationJob());
     results.push(this.startMissedDoseNotificationJob());
+    results.push(this.startExpiringSoonNotificationJob());
+    results.push(this.startPrescriptionRenewalNotificationJob());
     results.push(this.startCleanupJob());
+    results.push(this.startDeliveryJob());
+    results.push(this.startHeldNotificationReleaseJob());
+    results.push(this.startDoseReminderJob());
     
     return {
       message: 'All background jobs started',
@@ -469,9 +1274,16 @@ class NotificationService {
     const results = [];
     
     results.push(this.stopBuySoonAlertJob());
+    results.push(this.stopDailyDigestJob());
+    results.push(this.stopWeeklyDigestJob());
     results.push(this.stopDoseDueNotificationJob());
     results.push(this.stopMissedDoseNotificationJob());
+    results.push(this.stopExpiringSoonNotificationJob());
+    results.push(this.stopPrescriptionRenewalNotificationJob());
     results.push(this.stopCleanupJob());
+    results.push(this.stopDeliveryJob());
+    results.push(this.stopHeldNotificationReleaseJob());
+    results.push(this.stopDoseReminderJob());
     
     return {
       message: 'All background jobs stopped',
@@ -503,25 +1315,39 @@ class NotificationService {
       const results = [];
       
       // Generate buy-soon alerts
-      const buySoonResult = await this.generateBuySoonAlerts(1);
+      const buySoonResult = await this.generateBuySoonAlerts();
       results.push({
         type: 'buy_soon',
         ...buySoonResult
       });
       
       // Generate dose due notifications
-      const doseDueResult = await this.generateDoseDueNotifications(15);
+      const doseDueResult = await this.generateDoseDueNotifications();
       results.push({
         type: 'dose_due',
         ...doseDueResult
       });
       
       // Generate missed dose notifications
-      const missedDoseResult = await this.generateMissedDoseNotifications(1);
+      const missedDoseResult = await this.generateMissedDoseNotifications();
       results.push({
         type: 'missed_dose',
         ...missedDoseResult
       });
+
+      // Generate inventory expiry warnings
+      const expiringSoonResult = await this.generateExpiringSoonNotifications(30);
+      results.push({
+        type: 'expiring_soon',
+        ...expiringSoonResult
+      });
+
+      // Generate prescription renewal reminders
+      const prescriptionRenewalResult = await this.generatePrescriptionRenewalNotifications(30);
+      results.push({
+        type: 'prescription_renewal',
+        ...prescriptionRenewalResult
+      });
       
       return {
         message: 'Immediate notification check completed',
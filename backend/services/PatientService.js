@@ -0,0 +1,205 @@
+const PatientRepository = require('../repositories/PatientRepository');
+const PatientMemberRepository = require('../repositories/PatientMemberRepository');
+const PatientInvitationRepository = require('../repositories/PatientInvitationRepository');
+const UserRepository = require('../repositories/UserRepository');
+const PatientMember = require('../models/PatientMember');
+const User = require('../models/User');
+
+class PatientService {
+  constructor() {
+    this.patientRepository = new PatientRepository();
+    this.patientMemberRepository = new PatientMemberRepository();
+    this.patientInvitationRepository = new PatientInvitationRepository();
+    this.userRepository = new UserRepository();
+  }
+
+  // List the patients a user looks after, with the user's role for each
+  async getPatientsForUser(userId) {
+    return await this.patientRepository.findByUserId(userId);
+  }
+
+  // Get a patient the user is a member of and check the user's role allows the permission.
+  // Patients the user is not a member of are treated as missing.
+  async getPatientForUser(id, userId, permission = 'view') {
+    if (!id || !Number.isInteger(parseInt(id))) {
+      throw new Error('Valid patient ID is required');
+    }
+
+    const patient = await this.patientRepository.findByIdForUser(id, userId);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+
+    if (!PatientMember.hasPermission(patient.role, permission)) {
+      throw new Error('Insufficient permissions for this patient');
+    }
+
+    return patient;
+  }
+
+  // Create a patient owned by the user
+  async createPatient(userId, patientData) {
+    try {
+      return await this.patientRepository.create({ ...patientData, owner_id: userId });
+    } catch (error) {
+      throw new Error(`Failed to create patient: ${error.message}`);
+    }
+  }
+
+  // The patient medications are added to when the user does not choose one: the first patient
+  // the user created, or a new one named after the user
+  async getOwnPatient(user) {
+    const patient = await this.patientRepository.findFirstOwnedBy(user.id);
+    if (patient) {
+      return patient;
+    }
+
+    return await this.createPatient(user.id, { name: user.name });
+  }
+
+  // Update a patient the user owns
+  async updatePatient(id, userId, updateData) {
+    await this.getPatientForUser(id, userId, 'manage_patient');
+
+    try {
+      return await this.patientRepository.update(id, updateData);
+    } catch (error) {
+      throw new Error(`Failed to update patient: ${error.message}`);
+    }
+  }
+
+  // Delete a patient and everything scoped to them
+  async deletePatient(id, userId) {
+    await this.getPatientForUser(id, userId, 'manage_patient');
+
+    try {
+      return await this.patientRepository.delete(id);
+    } catch (error) {
+      throw new Error(`Failed to delete patient: ${error.message}`);
+    }
+  }
+
+  // List everyone who can access a patient
+  async getMembers(patientId, userId) {
+    await this.getPatientForUser(patientId, userId);
+
+    return await this.patientMemberRepository.findByPatientId(patientId);
+  }
+
+  // Change another member's role
+  async updateMemberRole(patientId, userId, memberUserId, role) {
+    const patient = await this.getPatientForUser(patientId, userId, 'manage_patient');
+
+    if (memberUserId === patient.owner_id) {
+      throw new Error('Validation failed: The patient creator must remain an owner');
+    }
+
+    try {
+      return await this.patientMemberRepository.updateRole(patientId, memberUserId, role);
+    } catch (error) {
+      if (error.message === 'Member not found') {
+        throw error;
+      }
+      throw new Error(`Failed to update member: ${error.message}`);
+    }
+  }
+
+  // Remove a member; any member may remove themselves, owners may remove anyone but the creator
+  async removeMember(patientId, userId, memberUserId) {
+    const permission = memberUserId === userId ? 'view' : 'manage_patient';
+    const patient = await this.getPatientForUser(patientId, userId, permission);
+
+    if (memberUserId === patient.owner_id) {
+      throw new Error('Validation failed: The patient creator cannot be removed');
+    }
+
+    const deleted = await this.patientMemberRepository.delete(patientId, memberUserId);
+    if (!deleted) {
+      throw new Error('Member not found');
+    }
+
+    return deleted;
+  }
+
+  // List the open invitations for a patient
+  async getPendingInvitations(patientId, userId) {
+    await this.getPatientForUser(patientId, userId, 'manage_patient');
+
+    return await this.patientInvitationRepository.findPendingByPatientId(patientId);
+  }
+
+  // Invite someone by email to share a patient with the given role
+  async inviteMember(patientId, userId, { email, role }) {
+    await this.getPatientForUser(patientId, userId, 'manage_patient');
+
+    const existingUser = await this.userRepository.findByEmail(email);
+    if (existingUser) {
+      const membership = await this.patientMemberRepository.findByPatientAndUser(patientId, existingUser.id);
+      if (membership) {
+        throw new Error('This user already has access to this patient');
+      }
+    }
+
+    try {
+      return await this.patientInvitationRepository.create({
+        patient_id: patientId,
+        email,
+        role,
+        invited_by: userId
+      });
+    } catch (error) {
+      throw new Error(`Failed to create invitation: ${error.message}`);
+    }
+  }
+
+  // Withdraw an invitation that has not been answered yet
+  async revokeInvitation(patientId, userId, invitationId) {
+    await this.getPatientForUser(patientId, userId, 'manage_patient');
+
+    const invitation = await this.patientInvitationRepository.findById(invitationId);
+    if (!invitation || invitation.patient_id !== patientId || !invitation.isPending()) {
+      throw new Error('Invitation not found');
+    }
+
+    return await this.patientInvitationRepository.updateStatus(invitationId, 'revoked');
+  }
+
+  // Open invitations addressed to the user's email
+  async getInvitationsForUser(user) {
+    return await this.patientInvitationRepository.findPendingByEmail(User.normalizeEmail(user.email));
+  }
+
+  // Get an open invitation addressed to the user
+  async getInvitationForUser(invitationId, user) {
+    const invitation = await this.patientInvitationRepository.findById(invitationId);
+    if (!invitation || !invitation.isPending() || !invitation.isFor(user)) {
+      throw new Error('Invitation not found');
+    }
+
+    return invitation;
+  }
+
+  // Accept an invitation and join the patient with its role
+  async acceptInvitation(invitationId, user) {
+    await this.getInvitationForUser(invitationId, user);
+
+    return await this.patientInvitationRepository.accept(invitationId, user.id);
+  }
+
+  // Decline an invitation
+  async declineInvitation(invitationId, user) {
+    await this.getInvitationForUser(invitationId, user);
+
+    return await this.patientInvitationRepository.updateStatus(invitationId, 'declined');
+  }
+
+  // Shared master data (routes, frequencies) may be changed by owners and by users who
+  // have not joined anyone else's patient; caregivers and viewers only read it
+  async canManageSettings(userId) {
+    const roles = await this.patientMemberRepository.findRolesByUserId(userId);
+
+    return roles.length === 0 || roles.includes('owner');
+  }
+}
+
+module.exports = PatientService;
@@ -0,0 +1,94 @@
+const RefillRepository = require('../repositories/RefillRepository');
+const { toLocalDateString } = require('../config/timezone');
+
+// Spend reports cover at most three years
+const MAX_SPEND_MONTHS = 36;
+
+// Months (YYYY-MM) from the month of one date to the month of another, both included
+const getMonthsBetween = (startDate, endDate) => {
+  const months = [];
+  let [year, month] = startDate.split('-').map(Number);
+  const [endYear, endMonth] = endDate.split('-').map(Number);
+
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+
+  return months;
+};
+
+// First day of the month `count` months before the month of a date (YYYY-MM-DD)
+const startOfMonthsBefore = (date, count) => {
+  const [year, month] = date.split('-').map(Number);
+  const first = new Date(Date.UTC(year, month - 1 - count, 1));
+  return first.toISOString().slice(0, 10);
+};
+
+const roundCost = (value) => Math.round(value * 100) / 100;
+
+class ReportService {
+  constructor() {
+    this.refillRepository = new RefillRepository();
+  }
+
+  // What was spent on refills, per month and per medication, between two dates
+  // (YYYY-MM-DD, by default the last twelve months up to today), optionally of one patient
+  // (patient_id) or only what a user can access (accessible_by). Months without refills
+  // are reported with no spend so the months line up on a chart.
+  async getSpendReport(options = {}) {
+    const endDate = options.end_date || toLocalDateString();
+    const startDate = options.start_date || startOfMonthsBefore(endDate, 11);
+
+    if (startDate > endDate) {
+      throw new Error('Validation failed: Start date must be on or before the end date');
+    }
+
+    const months = getMonthsBetween(startDate, endDate);
+    if (months.length > MAX_SPEND_MONTHS) {
+      throw new Error(`Validation failed: Spend reports cover at most ${MAX_SPEND_MONTHS} months`);
+    }
+
+    try {
+      const filters = {
+        start_date: startDate,
+        end_date: endDate,
+        patient_id: options.patient_id ?? null,
+        accessible_by: options.accessible_by ?? null
+      };
+      const [spendByMonth, byMedication] = await Promise.all([
+        this.refillRepository.getSpendByMonth(filters),
+        this.refillRepository.getSpendByMedication(filters)
+      ]);
+
+      const monthTotals = new Map(spendByMonth.map(entry => [entry.month, entry]));
+      const byMonth = months.map(month => monthTotals.get(month) || {
+        month,
+        total_cost: 0,
+        refill_count: 0,
+        unpriced_count: 0
+      });
+
+      const totalCost = roundCost(byMonth.reduce((sum, entry) => sum + entry.total_cost, 0));
+
+      return {
+        start_date: startDate,
+        end_date: endDate,
+        total_cost: totalCost,
+        average_monthly_cost: roundCost(totalCost / months.length),
+        refill_count: byMonth.reduce((sum, entry) => sum + entry.refill_count, 0),
+        unpriced_count: byMonth.reduce((sum, entry) => sum + entry.unpriced_count, 0),
+        by_month: byMonth,
+        by_medication: byMedication
+      };
+    } catch (error) {
+      throw new Error(`Failed to get spend report: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ReportService;
@@ -1,16 +1,25 @@
 const MedicationRepository = require('../repositories/MedicationRepository');
 const DoseRepository = require('../repositories/DoseRepository');
 const SkipDateRepository = require('../repositories/SkipDateRepository');
+const DoseEventRepository = require('../repositories/DoseEventRepository');
+const DosePhaseRepository = require('../repositories/DosePhaseRepository');
+const Frequency = require('../models/Frequency');
+const DoseEvent = require('../models/DoseEvent');
+const DosePhase = require('../models/DosePhase');
+const { toLocalDateString, toLocalTimeString, zonedDateTimeToUtc, addDays } = require('../config/timezone');
 
 class ScheduleService {
   constructor() {
     this.medicationRepository = new MedicationRepository();
     this.doseRepository = new DoseRepository();
     this.skipDateRepository = new SkipDateRepository();
+    this.doseEventRepository = new DoseEventRepository();
+    this.dosePhaseRepository = new DosePhaseRepository();
   }
 
-  // Generate daily medication schedule for a specific date
-  async generateDailySchedule(date) {
+  // Generate daily medication schedule for a specific date, optionally for one patient or for
+  // the medications a user can access
+  async generateDailySchedule(date, patientId = null, accessibleBy = null) {
     try {
       // Validate date format
       if (!date || !date.match(/^\d{4}-\d{2}-\d{2}$/)) {
@@ -18,7 +27,7 @@ class ScheduleService {
       }
 
       // Get active medications for the date
-      const activeMedications = await this.medicationRepository.findActiveByDate(date);
+      const activeMedications = await this.medicationRepository.findActiveByDate(date, patientId, accessibleBy);
       
       if (activeMedications.length === 0) {
         return {
@@ -30,44 +39,81 @@ class ScheduleService {
             evening: [],
             night: []
           },
+          as_needed: [],
           total_medications: 0,
-          total_doses: 0
+          total_doses: 0,
+          completed_doses: 0,
+          pending_doses: 0,
+          skipped_medications: []
         };
       }
 
       // Get medication IDs
       const medicationIds = activeMedications.map(med => med.id);
 
-      // Get all doses for active medications
+      // Get all doses for active medications, and the tapering phases that select among them
       const allDoses = await this.doseRepository.findByMedicationIds(medicationIds);
+      const allPhases = await this.dosePhaseRepository.findByMedicationIds(medicationIds);
 
       // Get skip dates for active medications on this date
       const skipDates = await this.skipDateRepository.findByDate(date);
       const skippedMedicationIds = new Set(skipDates.map(skip => skip.medicine_id));
 
-      // Filter out medications that should be skipped
+      // Filter out medications that should be skipped, are not due per their frequency
+      // or are in the off part of their cycle
       const scheduledMedications = activeMedications.filter(med => 
-        !skippedMedicationIds.has(med.id)
+        !skippedMedicationIds.has(med.id) &&
+        Frequency.forMedication(med).occursOn(date, med.start_date) &&
+        med.isCycleOnDate(date)
+      );
+
+      // Get recorded outcomes for today's slots
+      const doseEvents = await this.doseEventRepository.findByDate(
+        date,
+        scheduledMedications.map(med => med.id)
+      );
+      const eventsBySlot = new Map(
+        doseEvents
+          .filter(event => event.medicine_dose_id !== null)
+          .map(event => [event.getSlotKey(), event])
       );
 
       // Build schedule entries
       const scheduleEntries = [];
       
       for (const medication of scheduledMedications) {
-        const medicationDoses = allDoses.filter(dose => dose.medicine_id === medication.id);
+        const phases = allPhases.filter(phase => phase.medicine_id === medication.id);
+        const phase = DosePhase.findForDate(phases, date);
+        const medicationDoses = DosePhase.resolveDoses(
+          allDoses.filter(dose => dose.medicine_id === medication.id),
+          phases,
+          date
+        );
+        const frequency = Frequency.forMedication(medication);
+        const doseSlots = frequency.expandDoseTimes(medicationDoses);
+        const dailyConsumption = frequency.getDosingDayAmount(medicationDoses);
         
-        for (const dose of medicationDoses) {
+        for (const { dose, time_of_day } of doseSlots) {
+          const event = eventsBySlot.get(DoseEvent.slotKey(dose.id, time_of_day)) || null;
+
           scheduleEntries.push({
             medication_id: medication.id,
+            patient_id: medication.patient_id,
+            timezone: medication.timezone,
             medication_name: medication.name,
             medication_strength: medication.strength,
             route: dose.route_name || medication.route_name,
             dose_id: dose.id,
             dose_amount: dose.dose_amount,
-            time_of_day: dose.time_of_day,
+            dose_unit: medication.dose_unit,
+            time_of_day,
             instructions: dose.instructions,
+            phase_id: phase ? phase.id : null,
+            phase_label: phase ? phase.label : null,
             remaining_tablets: medication.total_tablets,
-            is_low_inventory: medication.total_tablets <= this.calculateDailyConsumption(medicationDoses)
+            is_low_inventory: medication.total_tablets <= dailyConsumption,
+            status: event ? event.status : 'pending',
+            dose_event: event
           });
         }
       }
@@ -75,12 +121,20 @@ class ScheduleService {
       // Group by time periods
       const groupedSchedule = this.groupScheduleByTimePeriod(scheduleEntries);
 
+      const asNeeded = await this.buildAsNeededEntries(
+        activeMedications.filter(med => !skippedMedicationIds.has(med.id) && med.isAsNeeded()),
+        allDoses
+      );
+
       return {
         date,
         medications: scheduledMedications,
         schedule: groupedSchedule,
+        as_needed: asNeeded,
         total_medications: scheduledMedications.length,
         total_doses: scheduleEntries.length,
+        completed_doses: scheduleEntries.filter(entry => entry.dose_event?.isCompleted()).length,
+        pending_doses: scheduleEntries.filter(entry => entry.status === 'pending').length,
         skipped_medications: activeMedications.filter(med => 
           skippedMedicationIds.has(med.id)
         ).map(med => ({
@@ -94,8 +148,41 @@ class ScheduleService {
     }
   }
 
+  // As-needed medications with their PRN limits as of now, including when the next dose is allowed
+  async buildAsNeededEntries(medications, allDoses, at = new Date()) {
+    if (medications.length === 0) {
+      return [];
+    }
+
+    const since = new Date(Math.min(...medications.map(med => med.getPrnLookbackStart(at).getTime())));
+    const doseEvents = await this.doseEventRepository.findGivenSince(medications.map(med => med.id), since);
+
+    return medications.map(medication => {
+      // Fall back to a configured dose when no PRN dose amount is set
+      const configuredDose = allDoses.find(dose => dose.medicine_id === medication.id);
+      const doseAmount = medication.prn_dose_amount ?? configuredDose?.dose_amount ?? 1;
+      const status = medication.getPrnStatus(
+        doseEvents.filter(event => event.medicine_id === medication.id),
+        doseAmount,
+        at
+      );
+
+      return {
+        medication_id: medication.id,
+        patient_id: medication.patient_id,
+        medication_name: medication.name,
+        medication_strength: medication.strength,
+        route: medication.route_name,
+        instructions: configuredDose?.instructions || null,
+        remaining_tablets: medication.total_tablets,
+        dose_unit: medication.dose_unit,
+        ...status
+      };
+    });
+  }
+
   // Generate schedule for multiple days
-  async generateMultiDaySchedule(startDate, endDate) {
+  async generateMultiDaySchedule(startDate, endDate, patientId = null) {
     try {
       // Validate date formats
       if (!startDate?.match(/^\d{4}-\d{2}-\d{2}$/) || !endDate?.match(/^\d{4}-\d{2}-\d{2}$/)) {
@@ -116,14 +203,10 @@ class ScheduleService {
       }
 
       const schedules = [];
-      const currentDate = new Date(start);
 
-      while (currentDate <= end) {
-        const dateStr = currentDate.toISOString().split('T')[0];
-        const dailySchedule = await this.generateDailySchedule(dateStr);
+      for (let dateStr = startDate; dateStr <= endDate; dateStr = addDays(dateStr, 1)) {
+        const dailySchedule = await this.generateDailySchedule(dateStr, patientId);
         schedules.push(dailySchedule);
-        
-        currentDate.setDate(currentDate.getDate() + 1);
       }
 
       return {
@@ -137,23 +220,18 @@ class ScheduleService {
     }
   }
 
-  // Get schedule for current week
+  // Get schedule for current week (today in the installation timezone by default)
   async getWeeklySchedule(referenceDate = null) {
     try {
-      const refDate = referenceDate ? new Date(referenceDate) : new Date();
+      const refDate = referenceDate || toLocalDateString();
       
       // Get start of week (Monday)
-      const startOfWeek = new Date(refDate);
-      const dayOfWeek = startOfWeek.getDay();
+      const dayOfWeek = new Date(`${refDate}T00:00:00Z`).getUTCDay();
       const daysToMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-      startOfWeek.setDate(startOfWeek.getDate() + daysToMonday);
+      const startDate = addDays(refDate, daysToMonday);
       
       // Get end of week (Sunday)
-      const endOfWeek = new Date(startOfWeek);
-      endOfWeek.setDate(endOfWeek.getDate() + 6);
-
-      const startDate = startOfWeek.toISOString().split('T')[0];
-      const endDate = endOfWeek.toISOString().split('T')[0];
+      const endDate = addDays(startDate, 6);
 
       return await this.generateMultiDaySchedule(startDate, endDate);
     } catch (error) {
@@ -161,7 +239,7 @@ class ScheduleService {
     }
   }
 
-  // Calculate active days for a medication (excluding skip dates)
+  // Calculate active days for a medication (excluding skip dates and cycle-off days)
   async calculateActiveDays(medicationId, startDate = null, endDate = null) {
     try {
       const medication = await this.medicationRepository.findById(medicationId);
@@ -169,29 +247,35 @@ class ScheduleService {
         throw new Error('Medication not found');
       }
 
-      const medStartDate = new Date(startDate || medication.start_date);
-      const medEndDate = endDate ? new Date(endDate) : 
-                         (medication.end_date ? new Date(medication.end_date) : new Date());
+      // Ongoing medications count up to today in the patient's timezone
+      const medStartDate = startDate || medication.start_date;
+      const medEndDate = endDate || medication.end_date || toLocalDateString(new Date(), medication.timezone);
 
       if (medStartDate > medEndDate) {
         return 0;
       }
 
-      // Calculate total days in range
-      const totalDays = Math.ceil((medEndDate - medStartDate) / (1000 * 60 * 60 * 24)) + 1;
-
       // Get skip dates in the range
-      const skipDates = await this.skipDateRepository.findByDateRange(
-        medStartDate.toISOString().split('T')[0],
-        medEndDate.toISOString().split('T')[0],
-        medicationId
-      );
+      const skipDates = await this.skipDateRepository.findByDateRange(medStartDate, medEndDate, medicationId);
+
+      // Days in the off part of an on/off cycle are not active; a skip date on one of them
+      // doesn't remove a second day
+      let totalDays = 0;
+      let cycleOffDays = 0;
+      for (let dateStr = medStartDate; dateStr <= medEndDate; dateStr = addDays(dateStr, 1)) {
+        totalDays++;
+        if (!medication.isCycleOnDate(dateStr)) {
+          cycleOffDays++;
+        }
+      }
+      const skippedOnDays = skipDates.filter(skip => medication.isCycleOnDate(skip.skip_date)).length;
 
-      const activeDays = totalDays - skipDates.length;
+      const activeDays = totalDays - cycleOffDays - skippedOnDays;
       
       return {
         total_days: totalDays,
         skip_days: skipDates.length,
+        cycle_off_days: cycleOffDays,
         active_days: Math.max(0, activeDays),
         skip_dates: skipDates.map(skip => skip.skip_date)
       };
@@ -208,9 +292,10 @@ class ScheduleService {
         throw new Error('Medication not found');
       }
 
+      // Dose times are wall-clock times in the patient's timezone
       const fromDate = fromDateTime ? new Date(fromDateTime) : new Date();
-      const currentDate = fromDate.toISOString().split('T')[0];
-      const currentTime = fromDate.toTimeString().split(' ')[0].substring(0, 5); // HH:MM format
+      const currentDate = toLocalDateString(fromDate, medication.timezone);
+      const currentTime = toLocalTimeString(fromDate, medication.timezone).substring(0, 5); // HH:MM format
 
       // Check if medication is active today
       if (!medication.isActiveOnDate(currentDate)) {
@@ -225,30 +310,38 @@ class ScheduleService {
       }
 
       // Get doses for this medication
-      const doses = await this.doseRepository.findByMedicationId(medicationId);
-      if (doses.length === 0) {
+      const allDoses = await this.doseRepository.findByMedicationId(medicationId);
+      if (allDoses.length === 0) {
         return null;
       }
 
-      // Find next dose today
-      const futureDosesToday = doses.filter(dose => dose.time_of_day > currentTime);
+      const phases = await this.dosePhaseRepository.findByMedicationId(medicationId);
+      const doses = DosePhase.resolveDoses(allDoses, phases, currentDate);
+
+      // Find next dose today, if the frequency makes today a dosing day
+      const frequency = Frequency.forMedication(medication);
+      const futureDosesToday = frequency.occursOn(currentDate, medication.start_date) &&
+        medication.isCycleOnDate(currentDate)
+        ? frequency.expandDoseTimes(doses).filter(slot => slot.time_of_day > currentTime)
+        : [];
       
       if (futureDosesToday.length > 0) {
         // Return earliest future dose today
-        const nextDose = futureDosesToday.sort((a, b) => 
+        const nextSlot = futureDosesToday.sort((a, b) => 
           a.time_of_day.localeCompare(b.time_of_day)
         )[0];
         
         return {
           date: currentDate,
-          time: nextDose.time_of_day,
-          dose: nextDose,
+          time: nextSlot.time_of_day,
+          scheduled_at: zonedDateTimeToUtc(currentDate, nextSlot.time_of_day, medication.timezone).toISOString(),
+          dose: nextSlot.dose,
           medication: medication
         };
       }
 
-      // No more doses today, look for tomorrow
-      return await this.findNextNonSkipDate(medicationId, fromDate, 1);
+      // No more doses today, look from tomorrow onwards
+      return await this.findNextNonSkipDate(medicationId, fromDate);
     } catch (error) {
       throw new Error(`Failed to get next scheduled dose: ${error.message}`);
     }
@@ -304,17 +397,23 @@ class ScheduleService {
         return null;
       }
 
-      const searchDate = new Date(fromDate);
-      searchDate.setDate(searchDate.getDate() + daysAhead + 1);
+      const phases = await this.dosePhaseRepository.findByMedicationId(medicationId);
+      const frequency = Frequency.forMedication(medication);
+      const searchDate = addDays(toLocalDateString(new Date(fromDate), medication.timezone), daysAhead + 1);
 
-      // Limit search to 30 days ahead
-      for (let i = 0; i < 30; i++) {
-        const checkDate = new Date(searchDate);
-        checkDate.setDate(checkDate.getDate() + i);
-        const checkDateStr = checkDate.toISOString().split('T')[0];
+      // Limit search to one year ahead (covers monthly and long interval frequencies)
+      for (let i = 0; i < 366; i++) {
+        const checkDateStr = addDays(searchDate, i);
+
+        // Check if medication is active and due on this date
+        if (!medication.isActiveOnDate(checkDateStr) || !frequency.occursOn(checkDateStr, medication.start_date) ||
+            !medication.isCycleOnDate(checkDateStr)) {
+          continue;
+        }
 
-        // Check if medication is active on this date
-        if (!medication.isActiveOnDate(checkDateStr)) {
+        // Tapering phases can leave a day without doses
+        const dosesOnDate = DosePhase.resolveDoses(doses, phases, checkDateStr);
+        if (dosesOnDate.length === 0) {
           continue;
         }
 
@@ -322,34 +421,35 @@ class ScheduleService {
         const isSkipDate = await this.skipDateRepository.shouldSkipOnDate(medicationId, checkDateStr);
         if (!isSkipDate) {
           // Found a non-skip date, return first dose of the day
-          const firstDose = doses.sort((a, b) => 
-            a.time_of_day.localeCompare(b.time_of_day)
-          )[0];
+          const firstSlot = frequency.expandDoseTimes(dosesOnDate)[0];
 
           return {
             date: checkDateStr,
-            time: firstDose.time_of_day,
-            dose: firstDose,
+            time: firstSlot.time_of_day,
+            scheduled_at: zonedDateTimeToUtc(checkDateStr, firstSlot.time_of_day, medication.timezone).toISOString(),
+            dose: firstSlot.dose,
             medication: medication
           };
         }
       }
 
-      return null; // No non-skip date found within 30 days
+      return null; // No non-skip date found within the search window
     } catch (error) {
       throw new Error(`Failed to find next non-skip date: ${error.message}`);
     }
   }
 
   // Get schedule summary for dashboard
-  async getScheduleSummary(date) {
+  async getScheduleSummary(date, patientId = null, accessibleBy = null) {
     try {
-      const schedule = await this.generateDailySchedule(date);
+      const schedule = await this.generateDailySchedule(date, patientId, accessibleBy);
       
       const summary = {
         date: schedule.date,
         total_medications: schedule.total_medications,
         total_doses: schedule.total_doses,
+        completed_doses: schedule.completed_doses,
+        pending_doses: schedule.pending_doses,
         periods: {
           morning: schedule.schedule.morning.length,
           afternoon: schedule.schedule.afternoon.length,
@@ -0,0 +1,57 @@
+const nodemailer = require('nodemailer');
+
+// Sends notifications as plain-text email over SMTP (SMTP_* environment variables)
+class EmailChannel {
+  constructor(options = {}) {
+    this.host = options.host ?? process.env.SMTP_HOST;
+    this.port = parseInt(options.port ?? process.env.SMTP_PORT ?? 587);
+    this.secure = String(options.secure ?? process.env.SMTP_SECURE) === 'true';
+    this.user = options.user ?? process.env.SMTP_USER;
+    this.password = options.password ?? process.env.SMTP_PASSWORD;
+    this.from = options.from ?? process.env.SMTP_FROM ?? 'medications@localhost';
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.transporter = null;
+  }
+
+  // Email needs an SMTP server
+  isConfigured() {
+    return Boolean(this.host);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        auth: this.user ? { user: this.user, pass: this.password } : undefined,
+        connectionTimeout: this.timeoutMs,
+        greetingTimeout: this.timeoutMs,
+        socketTimeout: this.timeoutMs
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(channel, message) {
+    const lines = [message.body];
+    if (message.url) {
+      lines.push('', `Open the app: ${message.url}`);
+    }
+
+    await this.getTransporter().sendMail({
+      from: this.from,
+      to: channel.target,
+      subject: message.title,
+      text: lines.join('\n')
+    });
+  }
+
+  // The server rejecting the message for good (5xx) is not retried; connection problems and
+  // temporary rejections (4xx) are
+  classifyFailure(error) {
+    return error.responseCode >= 500 ? 'fail' : 'retry';
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,93 @@
+const dns = require('dns');
+const webpush = require('web-push');
+const { getAllowedHosts, checkPublicHost } = require('./publicAddress');
+
+// Keep undelivered pushes at the push service for a day
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Sends notifications to a browser's push subscription, signed with the server's VAPID keys
+// (VAPID_* environment variables) and shown by the service worker. The endpoint comes from the
+// browser, so like webhooks only public addresses are reached unless the operator allowed a
+// host (WEBHOOK_ALLOWED_HOSTS).
+class WebPushChannel {
+  constructor(options = {}) {
+    this.publicKey = options.publicKey ?? process.env.VAPID_PUBLIC_KEY;
+    this.privateKey = options.privateKey ?? process.env.VAPID_PRIVATE_KEY;
+    this.subject = options.subject ?? process.env.VAPID_SUBJECT ?? 'mailto:medications@localhost';
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.allowedHosts = options.allowedHosts ?? getAllowedHosts();
+    this.lookup = options.lookup ?? dns.promises.lookup;
+  }
+
+  // Push needs a VAPID key pair
+  isConfigured() {
+    return Boolean(this.publicKey && this.privateKey);
+  }
+
+  // Check that a push endpoint's host is allowed or resolves only to public addresses; throws
+  // when it is not
+  async checkTarget(target) {
+    let url;
+    try {
+      url = new URL(target);
+    } catch {
+      throw new Error('Push endpoint must be a URL');
+    }
+
+    await checkPublicHost(url, { allowedHosts: this.allowedHosts, lookup: this.lookup });
+  }
+
+  async send(channel, message) {
+    // Checked on every send as well, as the host may resolve elsewhere by now
+    await this.checkTarget(channel.target);
+
+    const payload = JSON.stringify({
+      title: message.title,
+      body: message.body,
+      url: message.url,
+      tag: message.notification.id ? `notification-${message.notification.id}` : 'notification-test',
+      notification_id: message.notification.id
+    });
+
+    // web-push encrypts the payload and signs the request; it is sent here so any push
+    // service URL works the same way
+    const request = webpush.generateRequestDetails(
+      { endpoint: channel.target, keys: channel.keys },
+      payload,
+      {
+        vapidDetails: { subject: this.subject, publicKey: this.publicKey, privateKey: this.privateKey },
+        TTL: PUSH_TTL_SECONDS
+      }
+    );
+
+    const response = await fetch(request.endpoint, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Push service responded with HTTP ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+  }
+
+  // A subscription the push service no longer knows (404, 410) is turned off; blocked
+  // endpoints, redirects (which are not followed) and other client errors except timeouts and
+  // rate limits are not retried
+  classifyFailure(error) {
+    if (error.statusCode === 404 || error.statusCode === 410) {
+      return 'disable';
+    }
+    if (error.blockedTarget ||
+        (error.statusCode >= 300 && error.statusCode < 500 && error.statusCode !== 408 && error.statusCode !== 429)) {
+      return 'fail';
+    }
+    return 'retry';
+  }
+}
+
+module.exports = WebPushChannel;
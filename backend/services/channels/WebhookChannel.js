@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const { getAllowedHosts, checkPublicHost } = require('./publicAddress');
+
+// Whether an HTTP status means the request will never succeed as it is. Redirects are not
+// followed, so they never succeed either.
+const isPermanentStatus = (status) => status >= 300 && status < 500 && status !== 408 && status !== 429;
+
+// POSTs notifications as JSON to a user's URL. With a secret, the body is signed with
+// HMAC-SHA256 in the X-Signature-256 header ("sha256=<hex>") so the receiver can verify it.
+// Only public addresses are reached, unless the operator allowed a host (WEBHOOK_ALLOWED_HOSTS).
+class WebhookChannel {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs ?? parseInt(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+    this.allowedHosts = options.allowedHosts ?? getAllowedHosts();
+    this.lookup = options.lookup ?? dns.promises.lookup;
+  }
+
+  // Webhooks need no server setup
+  isConfigured() {
+    return true;
+  }
+
+  // Check that a target is an http or https URL whose host is allowed or resolves only to
+  // public addresses; throws when it is not
+  async checkTarget(target) {
+    let url;
+    try {
+      url = new URL(target);
+    } catch {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('Target must be an http or https URL');
+    }
+
+    await checkPublicHost(url, { allowedHosts: this.allowedHosts, lookup: this.lookup });
+  }
+
+  async send(channel, message) {
+    // Checked on every send as well, as the host may resolve elsewhere by now
+    await this.checkTarget(channel.target);
+
+    const body = JSON.stringify({
+      event: 'notification',
+      title: message.title,
+      message: message.body,
+      url: message.url,
+      notification: message.notification,
+      sent_at: new Date().toISOString()
+    });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'medication-manager-webhook'
+    };
+    if (channel.secret) {
+      const signature = crypto.createHmac('sha256', channel.secret).update(body).digest('hex');
+      headers['X-Signature-256'] = `sha256=${signature}`;
+    }
+
+    const response = await fetch(channel.target, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Webhook responded with HTTP ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+  }
+
+  // Blocked targets, redirects and client errors other than timeouts and rate limits are
+  // not retried
+  classifyFailure(error) {
+    return error.blockedTarget || isPermanentStatus(error.statusCode) ? 'fail' : 'retry';
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,92 @@
+const EmailChannel = require('./EmailChannel');
+const WebhookChannel = require('./WebhookChannel');
+const WebPushChannel = require('./WebPushChannel');
+const UnitOfMeasure = require('../../models/UnitOfMeasure');
+
+// Headline of a delivered notification by type
+const TITLES = {
+  BUY_SOON: 'Running low',
+  DOSE_DUE: 'Dose due',
+  MISSED_DOSE: 'Missed dose',
+  EXPIRING_SOON: 'Expiring soon',
+  PRESCRIPTION_RENEWAL: 'Prescription renewal',
+  DIGEST: 'Digest',
+  TEST: 'Test notification'
+};
+
+// Headline of a digest by period
+const DIGEST_TITLES = {
+  daily: 'Daily digest',
+  weekly: 'Weekly adherence summary'
+};
+
+// Headline of a dose reminder raised again, or of a missed dose passed on to a secondary
+// caregiver
+const ESCALATED_TITLES = {
+  DOSE_DUE: 'Dose still due',
+  MISSED_DOSE: 'Missed dose, nobody has seen to it'
+};
+
+// One adapter per channel type. An adapter has isConfigured(), send(channel, message), which
+// throws when the delivery failed, and classifyFailure(error): 'retry', 'fail' (give up) or
+// 'disable' (give up and turn the channel off).
+const createChannelAdapters = (options = {}) => ({
+  email: new EmailChannel(options.email),
+  webhook: new WebhookChannel(options.webhook),
+  web_push: new WebPushChannel(options.web_push)
+});
+
+// A scheduled dose as a digest line, e.g. '08:00 Aspirin 100mg, 1 tablet'
+const formatDigestDose = (dose) => {
+  const strength = dose.medication_strength ? ` ${dose.medication_strength}` : '';
+  const time = String(dose.time_of_day).substring(0, 5);
+  return `${time} ${dose.medication_name}${strength}, ${UnitOfMeasure.format(dose.dose_amount, dose.dose_unit)}`;
+};
+
+// The digest's summary followed by a section per list in its payload, as plain text
+const formatDigestBody = (notification) => {
+  const digest = notification.payload || {};
+  const lines = [notification.message];
+  const section = (heading, items) => {
+    if (items && items.length > 0) {
+      lines.push('', heading, ...items.map(item => `- ${item}`));
+    }
+  };
+
+  if (digest.period === 'weekly') {
+    section('Per medication:', (digest.medications || []).map(medication =>
+      `${medication.medication_name}: ${medication.taken_doses} of ${medication.scheduled_doses} taken` +
+      (medication.adherence_rate === null ? '' : ` (${medication.adherence_rate}%)`) +
+      (medication.missed_doses > 0 ? `, ${medication.missed_doses} missed` : '')
+    ));
+  } else {
+    section("Today's doses:", (digest.schedule || []).map(formatDigestDose));
+    section('Running low:', (digest.low_stock || []).map(item =>
+      `${item.medication_name}: ${UnitOfMeasure.format(item.current_tablets, item.dose_unit)} left ` +
+      `(${item.days_remaining} days)${item.pharmacy_name ? `, buy at ${item.pharmacy_name}` : ''}`
+    ));
+    section('Missed yesterday:', (digest.missed_yesterday || []).map(formatDigestDose));
+  }
+
+  return lines.join('\n');
+};
+
+// What every channel sends for a notification: a title, the notification's message as the
+// body (a digest's lists as well) and a link to the app (APP_URL) when one is set
+const formatMessage = (notification, appUrl = process.env.APP_URL) => {
+  const label = (notification.escalation_level > 0 && ESCALATED_TITLES[notification.type]) ||
+    (notification.type === 'DIGEST' && DIGEST_TITLES[notification.payload?.period]) ||
+    TITLES[notification.type] || 'Notification';
+
+  return {
+    title: notification.medication_name ? `${label}: ${notification.medication_name}` : label,
+    body: notification.type === 'DIGEST' ? formatDigestBody(notification) : notification.message,
+    url: appUrl ? `${appUrl.replace(/\/+$/, '')}/` : null,
+    notification
+  };
+};
+
+module.exports = {
+  createChannelAdapters,
+  formatMessage
+};
@@ -0,0 +1,53 @@
+const net = require('net');
+
+// Addresses notifications may not be sent to: this host, private and shared networks,
+// link-local (where cloud metadata services live), multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Hosts from a comma-separated list, lowercased
+const parseHosts = (value) => (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// Hosts the operator allows notifications to be sent to although they are not public
+const getAllowedHosts = () => parseHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
+
+// Check that a URL's host is one of allowedHosts or resolves (with a dns.promises.lookup-like
+// function) only to public addresses; throws an error marked blockedTarget when it is not
+const checkPublicHost = async (url, { allowedHosts, lookup }) => {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts.includes(host)) {
+    return;
+  }
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await lookup(host, { all: true })).map(entry => entry.address);
+    } catch {
+      throw new Error(`Target host ${host} could not be resolved`);
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    const error = new Error('Target must be a public address');
+    error.blockedTarget = true;
+    throw error;
+  }
+};
+
+module.exports = {
+  getAllowedHosts,
+  checkPublicHost
+};
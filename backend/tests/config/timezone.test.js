@@ -0,0 +1,86 @@
+const {
+  isValidTimezone,
+  resolveTimezone,
+  toLocalDateString,
+  toLocalTimeString,
+  zonedDateTimeToUtc,
+  addDays,
+  getCalendarDatesBetween
+} = require('../../config/timezone');
+
+describe('timezone helpers', () => {
+  const originalTimezone = process.env.APP_TIMEZONE;
+
+  afterEach(() => {
+    jest.useRealTimers();
+    if (originalTimezone === undefined) {
+      delete process.env.APP_TIMEZONE;
+    } else {
+      process.env.APP_TIMEZONE = originalTimezone;
+    }
+  });
+
+  describe('resolveTimezone', () => {
+    test('should accept IANA names only', () => {
+      expect(isValidTimezone('Europe/Amsterdam')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+
+    test('should fall back to the installation timezone', () => {
+      process.env.APP_TIMEZONE = 'Asia/Tokyo';
+
+      expect(resolveTimezone('America/Chicago')).toBe('America/Chicago');
+      expect(resolveTimezone(null)).toBe('Asia/Tokyo');
+    });
+
+    test('should fall back to UTC for an invalid installation timezone', () => {
+      process.env.APP_TIMEZONE = 'Not/AZone';
+
+      expect(resolveTimezone(null)).toBe('UTC');
+    });
+  });
+
+  describe('toLocalDateString', () => {
+    test('should give today in several zones at the same moment', () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-03-10T23:30:00Z'));
+
+      expect(toLocalDateString(new Date(), 'UTC')).toBe('2024-03-10');
+      expect(toLocalDateString(new Date(), 'America/Los_Angeles')).toBe('2024-03-10');
+      expect(toLocalDateString(new Date(), 'Europe/Berlin')).toBe('2024-03-11');
+      expect(toLocalDateString(new Date(), 'Pacific/Auckland')).toBe('2024-03-11');
+      expect(toLocalTimeString(new Date(), 'Asia/Kolkata')).toBe('05:00:00');
+    });
+  });
+
+  describe('zonedDateTimeToUtc', () => {
+    test('should convert wall-clock times in different zones', () => {
+      expect(zonedDateTimeToUtc('2024-01-15', '08:00', 'UTC').toISOString()).toBe('2024-01-15T08:00:00.000Z');
+      expect(zonedDateTimeToUtc('2024-01-15', '08:00', 'America/New_York').toISOString()).toBe('2024-01-15T13:00:00.000Z');
+      expect(zonedDateTimeToUtc('2024-01-15', '08:00', 'Asia/Tokyo').toISOString()).toBe('2024-01-14T23:00:00.000Z');
+    });
+
+    test('should move times skipped by a DST change past the change', () => {
+      expect(zonedDateTimeToUtc('2024-03-10', '02:30', 'America/New_York').toISOString()).toBe('2024-03-10T07:30:00.000Z');
+      expect(zonedDateTimeToUtc('2024-03-31', '02:30', 'Europe/Amsterdam').toISOString()).toBe('2024-03-31T01:30:00.000Z');
+    });
+
+    test('should use the first occurrence of times repeated by a DST change', () => {
+      expect(zonedDateTimeToUtc('2024-10-27', '02:30', 'Europe/Amsterdam').toISOString()).toBe('2024-10-27T00:30:00.000Z');
+    });
+  });
+
+  describe('calendar dates', () => {
+    test('should add days across month and year ends', () => {
+      expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+      expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+      expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+    });
+
+    test('should list every date some zone is on between two instants', () => {
+      expect(getCalendarDatesBetween(new Date('2024-01-15T10:00:00Z'), new Date('2024-01-15T11:00:00Z')))
+        .toEqual(['2024-01-14', '2024-01-15', '2024-01-16']);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const request = require('supertest');
+const AuthService = require('../../services/AuthService');
+const PatientService = require('../../services/PatientService');
+const { query } = require('../../config/database');
+
+const TEST_PASSWORD = 'route-tests-password';
+
+// Create a throwaway account and return a supertest client that sends its session token
+const createAuthenticatedClient = async (app) => {
+  const authService = new AuthService();
+  const email = `route-tests-${Date.now()}-${Math.floor(Math.random() * 1e6)}@example.com`;
+
+  const user = await authService.register({ email, name: 'Route Tests', password: TEST_PASSWORD });
+  const { token } = await authService.login(email, TEST_PASSWORD);
+
+  const withToken = (method) => (url) =>
+    request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  return {
+    user,
+    token,
+    get: withToken('get'),
+    post: withToken('post'),
+    put: withToken('put'),
+    patch: withToken('patch'),
+    delete: withToken('delete')
+  };
+};
+
+// Remove the account created for a test file (sessions cascade)
+const removeAuthenticatedClient = async (client) => {
+  if (client?.user) {
+    await query('DELETE FROM users WHERE id = $1', [client.user.id]);
+  }
+};
+
+// The test account's own patient, which medications created without a patient_id belong to
+const getOwnPatientId = async (client) => {
+  const patient = await new PatientService().getOwnPatient(client.user);
+  return patient.id;
+};
+
+module.exports = {
+  createAuthenticatedClient,
+  removeAuthenticatedClient,
+  getOwnPatientId
+};
@@ -0,0 +1,113 @@
+const net = require('net');
+const http = require('http');
+
+// Listen on a free local port and resolve with it
+const listen = (server) => new Promise((resolve, reject) => {
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+// Minimal SMTP server that accepts every message (no TLS, no auth) and keeps it in
+// `messages` as { from, to, data }. Set `rejectRecipientsWith` to a reply such as
+// '550 Mailbox unavailable' to refuse recipients instead.
+const startSmtpStandIn = async () => {
+  const standIn = { messages: [], rejectRecipientsWith: null };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 localhost SMTP stand-in');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            standIn.messages.push({ ...envelope, data: data.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            reply('250 Message accepted');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost');
+        } else if (command === 'MAIL') {
+          envelope.from = line.replace(/^MAIL FROM:\s*<?([^>\s]*)>?.*$/i, '$1');
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          if (standIn.rejectRecipientsWith) {
+            reply(standIn.rejectRecipientsWith);
+          } else {
+            envelope.to.push(line.replace(/^RCPT TO:\s*<?([^>\s]*)>?.*$/i, '$1'));
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  standIn.port = await listen(server);
+  standIn.close = () => new Promise(resolve => server.close(resolve));
+  return standIn;
+};
+
+// HTTP server that answers every request with `status` (201 by default) and keeps it in
+// `requests` as { method, path, headers, body } with the body as a Buffer. Serves as the
+// webhook receiver and as the push service.
+const startWebhookStandIn = async () => {
+  const standIn = { requests: [], status: 201 };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      standIn.requests.push({
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks)
+      });
+      res.writeHead(standIn.status);
+      res.end();
+    });
+  });
+
+  standIn.port = await listen(server);
+  standIn.url = `http://127.0.0.1:${standIn.port}`;
+  standIn.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return standIn;
+};
+
+module.exports = {
+  startSmtpStandIn,
+  startWebhookStandIn
+};
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const webpush = require('web-push');
+const NotificationDeliveryService = require('../../services/NotificationDeliveryService');
+const NotificationChannelRepository = require('../../repositories/NotificationChannelRepository');
+const NotificationDeliveryRepository = require('../../repositories/NotificationDeliveryRepository');
+const NotificationChannel = require('../../models/NotificationChannel');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const { createChannelAdapters, formatMessage } = require('../../services/channels');
+const { startSmtpStandIn, startWebhookStandIn } = require('../helpers/deliveryStandIns');
+
+// Delivery bookkeeping is mocked; the channels talk to local SMTP and HTTP stand-ins
+jest.mock('../../repositories/NotificationChannelRepository');
+jest.mock('../../repositories/NotificationDeliveryRepository');
+
+// A browser's push subscription keys
+const createSubscriptionKeys = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    p256dh: ecdh.getPublicKey().toString('base64url'),
+    auth: crypto.randomBytes(16).toString('base64url')
+  };
+};
+
+const notification = {
+  id: 42,
+  type: 'BUY_SOON',
+  medicine_id: 7,
+  medication_name: 'Aspirin',
+  message: 'Aspirin is running low. 5 tablets remaining (2 days).',
+  payload: { days_remaining: 2 },
+  created_at: '2024-06-01T08:00:00.000Z'
+};
+
+describe('Notification Delivery Integration', () => {
+  let smtp;
+  let webhook;
+  let adapters;
+  let vapidKeys;
+
+  beforeAll(async () => {
+    smtp = await startSmtpStandIn();
+    webhook = await startWebhookStandIn();
+    vapidKeys = webpush.generateVAPIDKeys();
+    adapters = createChannelAdapters({
+      email: { host: '127.0.0.1', port: smtp.port, secure: false, from: 'alerts@example.com', timeoutMs: 5000 },
+      // The stand-ins listen on this host, which webhooks are otherwise kept from
+      webhook: { timeoutMs: 5000, allowedHosts: ['127.0.0.1'] },
+      web_push: {
+        publicKey: vapidKeys.publicKey,
+        privateKey: vapidKeys.privateKey,
+        subject: 'mailto:alerts@example.com',
+        timeoutMs: 5000,
+        allowedHosts: ['127.0.0.1']
+      }
+    });
+  });
+
+  afterAll(async () => {
+    adapters.email.getTransporter().close();
+    await smtp.close();
+    await webhook.close();
+  });
+
+  beforeEach(() => {
+    smtp.messages.length = 0;
+    smtp.rejectRecipientsWith = null;
+    webhook.requests.length = 0;
+    webhook.status = 201;
+  });
+
+  describe('EmailChannel', () => {
+    it('should send the notification over SMTP', async () => {
+      const channel = new NotificationChannel({ channel: 'email', target: 'carer@example.com' });
+
+      await adapters.email.send(channel, formatMessage(notification, 'http://localhost:5173'));
+
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0].from).toBe('alerts@example.com');
+      expect(smtp.messages[0].to).toEqual(['carer@example.com']);
+      expect(smtp.messages[0].data).toContain('Subject: Running low: Aspirin');
+      expect(smtp.messages[0].data).toContain('Aspirin is running low. 5 tablets remaining (2 days).');
+      expect(smtp.messages[0].data).toContain('Open the app: http://localhost:5173/');
+    });
+
+    it('should not retry a rejected recipient', async () => {
+      smtp.rejectRecipientsWith = '550 Mailbox unavailable';
+      const channel = new NotificationChannel({ channel: 'email', target: 'gone@example.com' });
+
+      const error = await adapters.email.send(channel, formatMessage(notification)).catch(e => e);
+
+      expect(error.responseCode).toBe(550);
+      expect(adapters.email.classifyFailure(error)).toBe('fail');
+      expect(smtp.messages).toHaveLength(0);
+    });
+
+    it('should retry when the server cannot be reached', async () => {
+      const unreachable = createChannelAdapters({ email: { host: '127.0.0.1', port: 1, timeoutMs: 2000 } }).email;
+      const channel = new NotificationChannel({ channel: 'email', target: 'carer@example.com' });
+
+      const error = await unreachable.send(channel, formatMessage(notification)).catch(e => e);
+
+      expect(error.code).toBe('ESOCKET');
+      expect(unreachable.classifyFailure(error)).toBe('retry');
+    });
+  });
+
+  describe('WebhookChannel', () => {
+    it('should POST the notification as signed JSON', async () => {
+      const channel = new NotificationChannel({ channel: 'webhook', target: `${webhook.url}/hooks/meds`, secret: 's3cret' });
+
+      await adapters.webhook.send(channel, formatMessage(notification));
+
+      expect(webhook.requests).toHaveLength(1);
+      const request = webhook.requests[0];
+      expect(request.method).toBe('POST');
+      expect(request.path).toBe('/hooks/meds');
+      expect(request.headers['content-type']).toBe('application/json');
+
+      const expectedSignature = crypto.createHmac('sha256', 's3cret').update(request.body).digest('hex');
+      expect(request.headers['x-signature-256']).toBe(`sha256=${expectedSignature}`);
+
+      const body = JSON.parse(request.body.toString('utf8'));
+      expect(body).toEqual(expect.objectContaining({
+        event: 'notification',
+        title: 'Running low: Aspirin',
+        message: notification.message,
+        notification
+      }));
+    });
+
+    it('should not sign the body without a secret', async () => {
+      const channel = new NotificationChannel({ channel: 'webhook', target: webhook.url });
+
+      await adapters.webhook.send(channel, formatMessage(notification));
+
+      expect(webhook.requests[0].headers['x-signature-256']).toBeUndefined();
+    });
+
+    it('should retry server errors and give up on client errors', async () => {
+      const channel = new NotificationChannel({ channel: 'webhook', target: webhook.url });
+
+      webhook.status = 503;
+      const serverError = await adapters.webhook.send(channel, formatMessage(notification)).catch(e => e);
+      expect(serverError.message).toBe('Webhook responded with HTTP 503');
+      expect(adapters.webhook.classifyFailure(serverError)).toBe('retry');
+
+      webhook.status = 404;
+      const clientError = await adapters.webhook.send(channel, formatMessage(notification)).catch(e => e);
+      expect(adapters.webhook.classifyFailure(clientError)).toBe('fail');
+
+      webhook.status = 429;
+      const rateLimited = await adapters.webhook.send(channel, formatMessage(notification)).catch(e => e);
+      expect(adapters.webhook.classifyFailure(rateLimited)).toBe('retry');
+    });
+  });
+
+  describe('WebhookChannel targets', () => {
+    // Resolves every host name to the given addresses
+    const createWebhookChannel = (addresses, allowedHosts = []) => createChannelAdapters({
+      webhook: { allowedHosts, lookup: async () => addresses.map(address => ({ address })) }
+    }).webhook;
+
+    it('should refuse this host, private networks and link-local addresses', async () => {
+      const webhookChannel = createWebhookChannel([]);
+
+      for (const target of [
+        'http://127.0.0.1:3001/', 'http://10.0.0.5/', 'http://192.168.1.10/', 'http://172.20.0.1/',
+        'http://169.254.169.254/latest/meta-data/', 'http://[::1]/', 'http://[fe80::1]/', 'http://[::ffff:127.0.0.1]/'
+      ]) {
+        const error = await webhookChannel.checkTarget(target).catch(e => e);
+        expect(error.message).toBe('Target must be a public address');
+        expect(webhookChannel.classifyFailure(error)).toBe('fail');
+      }
+    });
+
+    it('should refuse host names that resolve to private addresses', async () => {
+      await expect(createWebhookChannel(['93.184.216.34', '10.0.0.1'])
+        .checkTarget('https://hooks.example.com/meds')).rejects.toThrow('Target must be a public address');
+      await expect(createWebhookChannel(['93.184.216.34']).checkTarget('https://hooks.example.com/meds'))
+        .resolves.toBeUndefined();
+    });
+
+    it('should refuse other schemes', async () => {
+      await expect(createWebhookChannel([]).checkTarget('file:///etc/passwd'))
+        .rejects.toThrow('Target must be an http or https URL');
+    });
+
+    it('should reach hosts the operator allowed', async () => {
+      await expect(createWebhookChannel([], ['localhost']).checkTarget('http://localhost:8080/hook'))
+        .resolves.toBeUndefined();
+    });
+
+    it('should not send to a refused target', async () => {
+      const channel = new NotificationChannel({ channel: 'webhook', target: webhook.url });
+
+      await expect(createWebhookChannel([]).send(channel, formatMessage(notification)))
+        .rejects.toThrow('Target must be a public address');
+      expect(webhook.requests).toHaveLength(0);
+    });
+  });
+
+  describe('WebPushChannel', () => {
+    it('should send an encrypted push signed with the VAPID keys', async () => {
+      const channel = new NotificationChannel({
+        channel: 'web_push',
+        target: `${webhook.url}/push/abc`,
+        keys: createSubscriptionKeys()
+      });
+
+      await adapters.web_push.send(channel, formatMessage(notification));
+
+      expect(webhook.requests).toHaveLength(1);
+      const request = webhook.requests[0];
+      expect(request.path).toBe('/push/abc');
+      expect(request.headers['content-encoding']).toBe('aes128gcm');
+      expect(request.headers.ttl).toBe(String(24 * 60 * 60));
+      expect(request.headers.authorization).toMatch(new RegExp(`^vapid t=.+, k=${vapidKeys.publicKey}$`));
+      expect(request.body.length).toBeGreaterThan(0);
+      // The payload is encrypted for the subscription
+      expect(request.body.toString('utf8')).not.toContain('Aspirin');
+    });
+
+    it('should turn off subscriptions the push service no longer knows', async () => {
+      webhook.status = 410;
+      const channel = new NotificationChannel({
+        channel: 'web_push',
+        target: `${webhook.url}/push/expired`,
+        keys: createSubscriptionKeys()
+      });
+
+      const error = await adapters.web_push.send(channel, formatMessage(notification)).catch(e => e);
+
+      expect(adapters.web_push.classifyFailure(error)).toBe('disable');
+    });
+
+    it('should not follow redirects', async () => {
+      webhook.status = 302;
+      const channel = new NotificationChannel({
+        channel: 'web_push',
+        target: `${webhook.url}/push/moved`,
+        keys: createSubscriptionKeys()
+      });
+
+      const error = await adapters.web_push.send(channel, formatMessage(notification)).catch(e => e);
+
+      expect(error.message).toBe('Push service responded with HTTP 302');
+      expect(adapters.web_push.classifyFailure(error)).toBe('fail');
+      expect(webhook.requests).toHaveLength(1);
+    });
+
+    it('should not send to endpoints that are not public', async () => {
+      const pushChannel = createChannelAdapters({
+        web_push: { publicKey: vapidKeys.publicKey, privateKey: vapidKeys.privateKey, allowedHosts: [] }
+      }).web_push;
+      const channel = new NotificationChannel({
+        channel: 'web_push',
+        target: `${webhook.url}/push/abc`,
+        keys: createSubscriptionKeys()
+      });
+
+      const error = await pushChannel.send(channel, formatMessage(notification)).catch(e => e);
+
+      expect(error.message).toBe('Target must be a public address');
+      expect(pushChannel.classifyFailure(error)).toBe('fail');
+      expect(webhook.requests).toHaveLength(0);
+      await expect(pushChannel.checkTarget('https://[fe80::1]/push/abc')).rejects.toThrow('Target must be a public address');
+    });
+  });
+
+  describe('NotificationDeliveryService', () => {
+    let deliveryService;
+    let mockChannelRepository;
+    let mockDeliveryRepository;
+
+    const createDelivery = (id, channel, attempts = 1) => {
+      const delivery = new NotificationDelivery({ id, notification_id: notification.id, channel_id: channel.id, attempts });
+      delivery.channel = channel;
+      delivery.notification = notification;
+      return delivery;
+    };
+
+    beforeEach(() => {
+      mockChannelRepository = { disable: jest.fn() };
+      mockDeliveryRepository = {
+        claimDue: jest.fn(),
+        markSent: jest.fn(),
+        markFailed: jest.fn()
+      };
+      NotificationChannelRepository.mockImplementation(() => mockChannelRepository);
+      NotificationDeliveryRepository.mockImplementation(() => mockDeliveryRepository);
+
+      deliveryService = new NotificationDeliveryService(adapters);
+    });
+
+    it('should deliver due notifications to every channel', async () => {
+      const email = new NotificationChannel({ id: 1, user_id: 3, channel: 'email', target: 'carer@example.com' });
+      const hook = new NotificationChannel({ id: 2, user_id: 3, channel: 'webhook', target: webhook.url });
+      mockDeliveryRepository.claimDue.mockResolvedValue([createDelivery(10, email), createDelivery(11, hook)]);
+
+      const result = await deliveryService.processDueDeliveries();
+
+      expect(result).toEqual({ deliveries_processed: 2, sent: 2, retrying: 0, failed: 0 });
+      expect(smtp.messages).toHaveLength(1);
+      expect(webhook.requests).toHaveLength(1);
+      expect(mockDeliveryRepository.markSent).toHaveBeenCalledWith(10);
+      expect(mockDeliveryRepository.markSent).toHaveBeenCalledWith(11);
+    });
+
+    it('should schedule a retry with backoff when the receiver is down', async () => {
+      webhook.status = 500;
+      const hook = new NotificationChannel({ id: 2, user_id: 3, channel: 'webhook', target: webhook.url });
+      mockDeliveryRepository.claimDue.mockResolvedValue([createDelivery(11, hook, 3)]);
+
+      const before = Date.now();
+      const result = await deliveryService.processDueDeliveries();
+
+      expect(result).toEqual({ deliveries_processed: 1, sent: 0, retrying: 1, failed: 0 });
+      const [id, message, nextAttemptAt] = mockDeliveryRepository.markFailed.mock.calls[0];
+      expect(id).toBe(11);
+      expect(message).toBe('Webhook responded with HTTP 500');
+      // Third failed attempt waits 4 minutes
+      expect(nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 4 * 60 * 1000);
+      expect(nextAttemptAt.getTime()).toBeLessThan(Date.now() + 4 * 60 * 1000 + 1000);
+    });
+  });
+});
@@ -25,22 +25,29 @@ describe('Notification System Integration', () => {
             const startResult = notificationService.startAllBackgroundJobs();
 
             expect(startResult.message).toBe('All background jobs started');
-            expect(startResult.jobs).toHaveLength(4);
+            expect(startResult.jobs).toHaveLength(11);
             expect(startResult.jobs.map(j => j.job_name)).toEqual([
                 'buySoonAlerts',
+                'dailyDigests',
+                'weeklyDigests',
                 'doseDueNotifications',
                 'missedDoseNotifications',
-                'cleanup'
+                'expiringSoonNotifications',
+                'prescriptionRenewalNotifications',
+                'cleanup',
+                'deliveries',
+                'heldNotificationRelease',
+                'doseReminders'
             ]);
 
             // Check job status
             const statusResult = notificationService.getBackgroundJobStatus();
-            expect(statusResult.total_jobs).toBe(4);
+            expect(statusResult.total_jobs).toBe(11);
 
             // Stop all background jobs
             const stopResult = notificationService.stopAllBackgroundJobs();
             expect(stopResult.message).toBe('All background jobs stopped');
-            expect(stopResult.jobs).toHaveLength(4);
+            expect(stopResult.jobs).toHaveLength(11);
         });
 
         it('should start individual background jobs', () => {
@@ -0,0 +1,62 @@
+const AuthService = require('../../services/AuthService');
+const { getRequestToken, requireAuth } = require('../../middleware/auth');
+
+// Mock the auth service
+jest.mock('../../services/AuthService');
+
+describe('auth middleware', () => {
+  let mockAuthService;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    mockAuthService = AuthService.mock.instances[0];
+    mockAuthService.authenticate.mockReset();
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('getRequestToken', () => {
+    it('should read bearer tokens', () => {
+      expect(getRequestToken({ headers: { authorization: 'Bearer abc123' } })).toBe('abc123');
+    });
+
+    it('should read the session cookie', () => {
+      expect(getRequestToken({ headers: { cookie: 'theme=dark; session_token=abc123' } })).toBe('abc123');
+    });
+
+    it('should return null without credentials', () => {
+      expect(getRequestToken({ headers: {} })).toBeNull();
+    });
+  });
+
+  describe('requireAuth', () => {
+    it('should attach the user and continue for valid sessions', async () => {
+      const user = { id: 1, email: 'sam@example.com' };
+      mockAuthService.authenticate.mockResolvedValue(user);
+      const req = { headers: { authorization: 'Bearer abc123' } };
+
+      await requireAuth(req, res, next);
+
+      expect(mockAuthService.authenticate).toHaveBeenCalledWith('abc123');
+      expect(req.user).toBe(user);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should respond 401 for missing or invalid sessions', async () => {
+      mockAuthService.authenticate.mockResolvedValue(null);
+
+      await requireAuth({ headers: {} }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: { code: 'UNAUTHORIZED', message: 'Authentication required' }
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,306 @@
+const PatientService = require('../../services/PatientService');
+const MedicationRepository = require('../../repositories/MedicationRepository');
+const NotificationRepository = require('../../repositories/NotificationRepository');
+const StorageLocationRepository = require('../../repositories/StorageLocationRepository');
+const {
+  resolvePatient,
+  requirePatientPermission,
+  authorizeMedication,
+  authorizeNotification,
+  authorizeLocation,
+  requireSettingsAccess
+} = require('../../middleware/patientScope');
+
+// Mock the patient service and medication, notification and location lookups
+jest.mock('../../services/PatientService');
+jest.mock('../../repositories/MedicationRepository');
+jest.mock('../../repositories/NotificationRepository');
+jest.mock('../../repositories/StorageLocationRepository');
+
+describe('patientScope middleware', () => {
+  let mockPatientService;
+  let mockMedicationRepository;
+  let mockNotificationRepository;
+  let mockLocationRepository;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    mockPatientService = PatientService.mock.instances[0];
+    mockPatientService.getPatientForUser.mockReset();
+    mockPatientService.canManageSettings.mockReset();
+    mockMedicationRepository = MedicationRepository.mock.instances[0];
+    mockMedicationRepository.findById.mockReset();
+    mockNotificationRepository = NotificationRepository.mock.instances[0];
+    mockNotificationRepository.findById.mockReset();
+    mockLocationRepository = StorageLocationRepository.mock.instances[0];
+    mockLocationRepository.findById.mockReset();
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  it('should continue without a patient when none is requested', async () => {
+    const req = { query: {}, user: { id: 1 } };
+
+    await resolvePatient(req, res, next);
+
+    expect(req.patient).toBeNull();
+    expect(next).toHaveBeenCalled();
+    expect(mockPatientService.getPatientForUser).not.toHaveBeenCalled();
+  });
+
+  it('should attach the patient from the query string', async () => {
+    const patient = { id: 3, owner_id: 1 };
+    mockPatientService.getPatientForUser.mockResolvedValue(patient);
+    const req = { query: { patient_id: '3' }, user: { id: 1 } };
+
+    await resolvePatient(req, res, next);
+
+    expect(mockPatientService.getPatientForUser).toHaveBeenCalledWith(3, 1);
+    expect(req.patient).toBe(patient);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should read the patient from the request body', async () => {
+    mockPatientService.getPatientForUser.mockResolvedValue({ id: 3 });
+    const req = { query: {}, body: { patient_id: 3 }, user: { id: 1 } };
+
+    await resolvePatient(req, res, next);
+
+    expect(mockPatientService.getPatientForUser).toHaveBeenCalledWith(3, 1);
+  });
+
+  it('should reject non-integer patient IDs', async () => {
+    await resolvePatient({ query: { patient_id: 'abc' }, user: { id: 1 } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should respond 404 for patients the user cannot access', async () => {
+    mockPatientService.getPatientForUser.mockRejectedValue(new Error('Patient not found'));
+
+    await resolvePatient({ query: { patient_id: '3' }, user: { id: 1 } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  describe('requirePatientPermission', () => {
+    it('should allow requests without a patient', () => {
+      requirePatientPermission('manage_medications')({ patient: null }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject roles without the permission', () => {
+      requirePatientPermission('manage_medications')({ patient: { id: 3, role: 'caregiver' } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authorizeMedication', () => {
+    it('should check the role on the medication\'s patient', async () => {
+      const patient = { id: 3, role: 'caregiver' };
+      mockMedicationRepository.findById.mockResolvedValue({ id: 7, patient_id: 3 });
+      mockPatientService.getPatientForUser.mockResolvedValue(patient);
+      const req = { params: { id: '7' }, user: { id: 2 } };
+
+      await authorizeMedication('record_doses')(req, res, next);
+
+      expect(mockPatientService.getPatientForUser).toHaveBeenCalledWith(3, 2, 'record_doses');
+      expect(req.medication.id).toBe(7);
+      expect(req.patient).toBe(patient);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should use a medication loaded by an earlier middleware', async () => {
+      mockPatientService.getPatientForUser.mockResolvedValue({ id: 3, role: 'owner' });
+      const req = { params: { medicationId: '7' }, medication: { id: 7, patient_id: 3 }, user: { id: 1 } };
+
+      await authorizeMedication('view')(req, res, next);
+
+      expect(mockMedicationRepository.findById).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should respond 403 when the role lacks the permission', async () => {
+      mockMedicationRepository.findById.mockResolvedValue({ id: 7, patient_id: 3 });
+      mockPatientService.getPatientForUser.mockRejectedValue(new Error('Insufficient permissions for this patient'));
+
+      await authorizeMedication('manage_medications')({ params: { id: '7' }, user: { id: 2 } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should report medications of other users\' patients as missing', async () => {
+      mockMedicationRepository.findById.mockResolvedValue({ id: 7, patient_id: 3 });
+      mockPatientService.getPatientForUser.mockRejectedValue(new Error('Patient not found'));
+
+      await authorizeMedication('view')({ params: { id: '7' }, user: { id: 2 } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: { code: 'NOT_FOUND', message: 'Medication not found' } });
+    });
+
+    it('should report medications without a patient as missing', async () => {
+      mockMedicationRepository.findById.mockResolvedValue({ id: 7, patient_id: null });
+
+      await authorizeMedication('view')({ params: { id: '7' }, user: { id: 2 } }, res, next);
+
+      expect(mockPatientService.getPatientForUser).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should leave unknown and invalid medications to the route', async () => {
+      mockMedicationRepository.findById.mockResolvedValue(null);
+
+      await authorizeMedication('manage_medications')({ params: { id: '8' }, user: { id: 2 } }, res, next);
+      await authorizeMedication('manage_medications')({ params: { id: 'abc' }, user: { id: 2 } }, res, next);
+
+      expect(mockPatientService.getPatientForUser).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('should load the medication from :medicineId', async () => {
+      mockMedicationRepository.findById.mockResolvedValue({ id: 7, patient_id: 3 });
+      mockPatientService.getPatientForUser.mockResolvedValue({ id: 3, role: 'viewer' });
+
+      await authorizeMedication('view')({ params: { medicineId: '7' }, user: { id: 2 } }, res, next);
+
+      expect(mockMedicationRepository.findById).toHaveBeenCalledWith(7);
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('authorizeNotification', () => {
+    it('should check the role on the notification\'s patient', async () => {
+      const patient = { id: 3, role: 'caregiver' };
+      mockNotificationRepository.findById.mockResolvedValue({ id: 5, patient_id: 3 });
+      mockPatientService.getPatientForUser.mockResolvedValue(patient);
+      const req = { params: { id: '5' }, user: { id: 2 } };
+
+      await authorizeNotification('record_doses')(req, res, next);
+
+      expect(mockPatientService.getPatientForUser).toHaveBeenCalledWith(3, 2, 'record_doses');
+      expect(req.notification.id).toBe(5);
+      expect(req.patient).toBe(patient);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should respond 403 when the role lacks the permission', async () => {
+      mockNotificationRepository.findById.mockResolvedValue({ id: 5, patient_id: 3 });
+      mockPatientService.getPatientForUser.mockRejectedValue(new Error('Insufficient permissions for this patient'));
+
+      await authorizeNotification('record_doses')({ params: { id: '5' }, user: { id: 2 } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should report notifications of other users\' patients as missing', async () => {
+      mockNotificationRepository.findById.mockResolvedValue({ id: 5, patient_id: 3 });
+      mockPatientService.getPatientForUser.mockRejectedValue(new Error('Patient not found'));
+
+      await authorizeNotification('view')({ params: { id: '5' }, user: { id: 2 } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: { code: 'NOT_FOUND', message: 'Notification not found' } });
+    });
+
+    it('should report notifications without a patient as missing', async () => {
+      mockNotificationRepository.findById.mockResolvedValue({ id: 5, patient_id: null });
+
+      await authorizeNotification('view')({ params: { id: '5' }, user: { id: 2 } }, res, next);
+
+      expect(mockPatientService.getPatientForUser).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: { code: 'NOT_FOUND', message: 'Notification not found' } });
+    });
+
+    it('should leave unknown and invalid notifications to the route', async () => {
+      mockNotificationRepository.findById.mockResolvedValue(null);
+
+      await authorizeNotification('view')({ params: { id: '6' }, user: { id: 2 } }, res, next);
+      await authorizeNotification('view')({ params: { id: 'abc' }, user: { id: 2 } }, res, next);
+
+      expect(mockPatientService.getPatientForUser).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('authorizeLocation', () => {
+    it('should check the role on the location\'s patient', async () => {
+      const patient = { id: 3, role: 'owner' };
+      mockLocationRepository.findById.mockResolvedValue({ id: 4, patient_id: 3 });
+      mockPatientService.getPatientForUser.mockResolvedValue(patient);
+      const req = { params: { locationId: '4' }, user: { id: 2 } };
+
+      await authorizeLocation('manage_medications')(req, res, next);
+
+      expect(mockLocationRepository.findById).toHaveBeenCalledWith(4);
+      expect(mockPatientService.getPatientForUser).toHaveBeenCalledWith(3, 2, 'manage_medications');
+      expect(req.location.id).toBe(4);
+      expect(req.patient).toBe(patient);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should report locations of other users\' patients as missing', async () => {
+      mockLocationRepository.findById.mockResolvedValue({ id: 4, patient_id: 3 });
+      mockPatientService.getPatientForUser.mockRejectedValue(new Error('Patient not found'));
+
+      await authorizeLocation('view')({ params: { id: '4' }, user: { id: 2 } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: { code: 'NOT_FOUND', message: 'Location not found' } });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should respond 403 when the role lacks the permission', async () => {
+      mockLocationRepository.findById.mockResolvedValue({ id: 4, patient_id: 3 });
+      mockPatientService.getPatientForUser.mockRejectedValue(new Error('Insufficient permissions for this patient'));
+
+      await authorizeLocation('manage_medications')({ params: { id: '4' }, user: { id: 2 } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should leave unknown and invalid locations to the route', async () => {
+      mockLocationRepository.findById.mockResolvedValue(null);
+
+      await authorizeLocation('view')({ params: { id: '6' }, user: { id: 2 } }, res, next);
+      await authorizeLocation('view')({ params: { id: 'abc' }, user: { id: 2 } }, res, next);
+
+      expect(mockPatientService.getPatientForUser).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('requireSettingsAccess', () => {
+    it('should allow users who may manage settings', async () => {
+      mockPatientService.canManageSettings.mockResolvedValue(true);
+
+      await requireSettingsAccess({ user: { id: 1 } }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject caregivers and viewers', async () => {
+      mockPatientService.canManageSettings.mockResolvedValue(false);
+
+      await requireSettingsAccess({ user: { id: 2 } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
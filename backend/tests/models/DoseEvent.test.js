@@ -0,0 +1,126 @@
+const DoseEvent = require('../../models/DoseEvent');
+
+describe('DoseEvent Model', () => {
+  const validData = {
+    medicine_id: 1,
+    medicine_dose_id: 2,
+    scheduled_date: '2024-01-15',
+    scheduled_time: '08:00',
+    status: 'given',
+    dose_amount: 1,
+    given_at: '2024-01-15T08:05:00Z'
+  };
+
+  describe('Constructor', () => {
+    test('should create dose event with default values', () => {
+      const event = new DoseEvent();
+
+      expect(event.id).toBeNull();
+      expect(event.medicine_id).toBeNull();
+      expect(event.medicine_dose_id).toBeNull();
+      expect(event.status).toBeNull();
+      expect(event.given_by).toBe('');
+      expect(event.note).toBe('');
+    });
+  });
+
+  describe('Validation', () => {
+    test('should validate a given dose', () => {
+      const result = new DoseEvent(validData).validate();
+
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    test('should validate required fields', () => {
+      const result = new DoseEvent().validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(
+        expect.arrayContaining(['medicine_id', 'scheduled_date', 'scheduled_time', 'status'])
+      );
+    });
+
+    test('should reject unknown statuses', () => {
+      const result = new DoseEvent({ ...validData, status: 'forgotten' }).validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0].field).toBe('status');
+    });
+
+    test('should require given_at for taken doses only', () => {
+      const given = new DoseEvent({ ...validData, given_at: null }).validate();
+      const refused = new DoseEvent({ ...validData, status: 'refused', given_at: null }).validate();
+
+      expect(given.isValid).toBe(false);
+      expect(given.errors[0].field).toBe('given_at');
+      expect(refused.isValid).toBe(true);
+    });
+
+    test('should accept times with seconds', () => {
+      const result = new DoseEvent({ ...validData, scheduled_time: '08:00:00' }).validate();
+
+      expect(result.isValid).toBe(true);
+    });
+  });
+
+  describe('Slots', () => {
+    test('should treat given and late as completed', () => {
+      expect(new DoseEvent({ status: 'given' }).isCompleted()).toBe(true);
+      expect(new DoseEvent({ status: 'late' }).isCompleted()).toBe(true);
+      expect(new DoseEvent({ status: 'skipped' }).isCompleted()).toBe(false);
+      expect(new DoseEvent({ status: 'refused' }).isCompleted()).toBe(false);
+    });
+
+    test('should build the same slot key regardless of seconds', () => {
+      expect(DoseEvent.slotKey(2, '08:00')).toBe(DoseEvent.slotKey(2, '08:00:00'));
+      expect(new DoseEvent(validData).getSlotKey()).toBe('2@08:00');
+    });
+
+    test('should mark doses outside the grace period as late', () => {
+      expect(DoseEvent.determineGivenStatus('2024-01-15', '08:00', new Date('2024-01-15T08:45:00'))).toBe('given');
+      expect(DoseEvent.determineGivenStatus('2024-01-15', '08:00', new Date('2024-01-15T09:30:00'))).toBe('late');
+      expect(DoseEvent.determineGivenStatus('2024-01-15', '08:00', new Date('2024-01-15T07:30:00'))).toBe('given');
+    });
+
+    test('should compare against the dose time in the patient timezone', () => {
+      // 08:00 in New York is 13:00 UTC, in Tokyo 23:00 UTC the day before
+      const givenAt = new Date('2024-01-15T13:30:00Z');
+
+      expect(DoseEvent.determineGivenStatus('2024-01-15', '08:00', givenAt, 'America/New_York')).toBe('given');
+      expect(DoseEvent.determineGivenStatus('2024-01-15', '08:00', givenAt, 'Asia/Tokyo')).toBe('late');
+      expect(DoseEvent.determineGivenStatus('2024-01-15', '08:00', givenAt, 'UTC')).toBe('late');
+    });
+  });
+
+  describe('Database Conversion', () => {
+    test('should convert from database row', () => {
+      const event = DoseEvent.fromDbRow({
+        id: 1,
+        medicine_id: 1,
+        medicine_dose_id: 2,
+        scheduled_date: new Date(2024, 0, 15),
+        scheduled_time: '08:00:00',
+        status: 'late',
+        dose_amount: '1.50',
+        given_at: '2024-01-15T10:00:00Z',
+        given_by: 'Sam',
+        note: null,
+        audit_log_id: 7
+      });
+
+      expect(event.scheduled_date).toBe('2024-01-15');
+      expect(event.dose_amount).toBe(1.5);
+      expect(event.given_by).toBe('Sam');
+      expect(event.note).toBe('');
+      expect(event.audit_log_id).toBe(7);
+    });
+
+    test('should store empty optional text as null', () => {
+      const dbData = new DoseEvent({ ...validData, given_by: '  ', note: ' Taken with food ' }).toDbFormat();
+
+      expect(dbData.given_by).toBeNull();
+      expect(dbData.note).toBe('Taken with food');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const DosePhase = require('../../models/DosePhase');
+const MedicineDose = require('../../models/MedicineDose');
+
+describe('DosePhase Model', () => {
+  describe('Validation', () => {
+    test('should validate required fields', () => {
+      const result = new DosePhase().validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['medicine_id', 'start_date']);
+    });
+
+    test('should accept a single-day phase', () => {
+      const phase = new DosePhase({ medicine_id: 1, start_date: '2024-01-10', end_date: '2024-01-10' });
+
+      expect(phase.validate().isValid).toBe(true);
+    });
+
+    test('should reject an end date before the start date', () => {
+      const phase = new DosePhase({ medicine_id: 1, start_date: '2024-01-10', end_date: '2024-01-09' });
+      const result = phase.validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toEqual({ field: 'end_date', message: 'Phase end date cannot be before its start date' });
+    });
+
+    test('should reject invalid dates', () => {
+      const phase = new DosePhase({ medicine_id: 1, start_date: '2024-02-30' });
+
+      expect(phase.validate().errors[0].field).toBe('start_date');
+    });
+  });
+
+  describe('Date ranges', () => {
+    test('should cover dates inside its range', () => {
+      const phase = new DosePhase({ start_date: '2024-01-10', end_date: '2024-01-12' });
+
+      expect(phase.coversDate('2024-01-09')).toBe(false);
+      expect(phase.coversDate('2024-01-10')).toBe(true);
+      expect(phase.coversDate('2024-01-12')).toBe(true);
+      expect(phase.coversDate('2024-01-13')).toBe(false);
+    });
+
+    test('should run until the medication ends without an end date', () => {
+      const phase = new DosePhase({ start_date: '2024-01-10', end_date: null });
+
+      expect(phase.coversDate('2030-01-01')).toBe(true);
+    });
+
+    test('should find overlapping phases regardless of order', () => {
+      const phases = [
+        new DosePhase({ start_date: '2024-01-20', end_date: null }),
+        new DosePhase({ start_date: '2024-01-10', end_date: '2024-01-12' }),
+        new DosePhase({ start_date: '2024-01-13', end_date: '2024-01-20' })
+      ];
+
+      const overlap = DosePhase.findOverlap(phases);
+
+      expect(overlap.map(phase => phase.start_date)).toEqual(['2024-01-13', '2024-01-20']);
+      expect(DosePhase.findOverlap(phases.slice(1))).toBeNull();
+    });
+  });
+
+  describe('resolveDoses', () => {
+    const doses = [
+      new MedicineDose({ id: 1, dose_amount: 4, time_of_day: '08:00', phase_id: 1 }),
+      new MedicineDose({ id: 2, dose_amount: 3, time_of_day: '08:00', phase_id: 2 }),
+      new MedicineDose({ id: 3, dose_amount: 1, time_of_day: '08:00' })
+    ];
+    const phases = [
+      new DosePhase({ id: 1, start_date: '2024-01-10', end_date: '2024-01-12' }),
+      new DosePhase({ id: 2, start_date: '2024-01-13', end_date: '2024-01-15' })
+    ];
+
+    test('should use the doses of the covering phase', () => {
+      expect(DosePhase.resolveDoses(doses, phases, '2024-01-11').map(dose => dose.id)).toEqual([1]);
+      expect(DosePhase.resolveDoses(doses, phases, '2024-01-15').map(dose => dose.id)).toEqual([2]);
+    });
+
+    test('should fall back to unphased doses outside all phases', () => {
+      expect(DosePhase.resolveDoses(doses, phases, '2024-01-16').map(dose => dose.id)).toEqual([3]);
+      expect(DosePhase.resolveDoses(doses, [], '2024-01-11').map(dose => dose.id)).toEqual([3]);
+    });
+  });
+
+  describe('Database Conversion', () => {
+    test('should convert pg dates to date strings', () => {
+      const phase = DosePhase.fromDbRow({
+        id: 1,
+        medicine_id: 2,
+        start_date: new Date(2024, 0, 10),
+        end_date: null,
+        label: null
+      });
+
+      expect(phase.start_date).toBe('2024-01-10');
+      expect(phase.end_date).toBeNull();
+      expect(phase.toDbFormat()).toEqual({
+        id: 1,
+        medicine_id: 2,
+        start_date: '2024-01-10',
+        end_date: null,
+        label: null
+      });
+    });
+  });
+});
@@ -239,14 +239,14 @@ describe('Frequency Model', () => {
       expect(searchNotFound).toHaveLength(0);
     });
 
-    test('should group frequencies by type', () => {
+    test('should group frequencies by recurrence type', () => {
       const frequencies = [
-        new Frequency({ name: 'Once daily' }),
-        new Frequency({ name: 'Every 8 hours' }),
-        new Frequency({ name: 'Weekly' }),
-        new Frequency({ name: 'Monthly' }),
-        new Frequency({ name: 'As needed' }),
-        new Frequency({ name: 'Before meals' })
+        new Frequency({ name: 'Once daily', recurrence_type: 'daily' }),
+        new Frequency({ name: 'Every 8 hours', recurrence_type: 'hourly', interval_hours: 8 }),
+        new Frequency({ name: 'Weekly', recurrence_type: 'weekly' }),
+        new Frequency({ name: 'Monthly', recurrence_type: 'monthly' }),
+        new Frequency({ name: 'As needed', recurrence_type: 'as_needed' }),
+        new Frequency({ name: 'Before meals', recurrence_type: 'interval', interval_days: 3 })
       ];
 
       const grouped = Frequency.groupByType(frequencies);
@@ -264,5 +264,120 @@ describe('Frequency Model', () => {
       expect(grouped.asNeeded[0].name).toBe('As needed');
       expect(grouped.other[0].name).toBe('Before meals');
     });
+
+    test('should not infer recurrence from the frequency name', () => {
+      const grouped = Frequency.groupByType([new Frequency({ name: 'Weekly' })]);
+
+      expect(grouped.daily).toHaveLength(1);
+      expect(grouped.weekly).toHaveLength(0);
+    });
+  });
+
+  describe('Recurrence', () => {
+    test('should default to a daily recurrence', () => {
+      const frequency = new Frequency({ name: 'Once daily' });
+
+      expect(frequency.recurrence_type).toBe('daily');
+      expect(frequency.occursOn('2024-01-15', '2024-01-01')).toBe(true);
+      expect(frequency.getAverageDailyOccurrence()).toBe(1);
+    });
+
+    test('should validate recurrence parameters', () => {
+      const invalidType = new Frequency({ name: 'Odd', recurrence_type: 'yearly' }).validate();
+      const missingInterval = new Frequency({ name: 'Every N days', recurrence_type: 'interval' }).validate();
+      const invalidWeekday = new Frequency({ name: 'Weekly', recurrence_type: 'weekly', weekdays: [7] }).validate();
+      const invalidHours = new Frequency({ name: 'Hourly', recurrence_type: 'hourly', interval_hours: 0 }).validate();
+
+      expect(invalidType.errors.map(e => e.field)).toContain('recurrence_type');
+      expect(missingInterval.errors.map(e => e.field)).toContain('interval_days');
+      expect(invalidWeekday.errors.map(e => e.field)).toContain('weekdays');
+      expect(invalidHours.errors.map(e => e.field)).toContain('interval_hours');
+    });
+
+    test('should not occur before the anchor date', () => {
+      const frequency = new Frequency({ recurrence_type: 'daily' });
+
+      expect(frequency.occursOn('2023-12-31', '2024-01-01')).toBe(false);
+    });
+
+    test('should occur every N days from the anchor date', () => {
+      const frequency = new Frequency({ recurrence_type: 'interval', interval_days: 3 });
+
+      expect(frequency.occursOn('2024-01-01', '2024-01-01')).toBe(true);
+      expect(frequency.occursOn('2024-01-02', '2024-01-01')).toBe(false);
+      expect(frequency.occursOn('2024-01-04', '2024-01-01')).toBe(true);
+      expect(frequency.getAverageDailyOccurrence()).toBeCloseTo(1 / 3);
+    });
+
+    test('should occur on configured weekdays', () => {
+      // 2024-01-15 is a Monday, 2024-01-18 a Thursday
+      const frequency = new Frequency({ recurrence_type: 'weekly', weekdays: [1, 4] });
+
+      expect(frequency.occursOn('2024-01-15', '2024-01-01')).toBe(true);
+      expect(frequency.occursOn('2024-01-16', '2024-01-01')).toBe(false);
+      expect(frequency.occursOn('2024-01-18', '2024-01-01')).toBe(true);
+      expect(frequency.getAverageDailyOccurrence()).toBeCloseTo(2 / 7);
+    });
+
+    test('should default weekly recurrence to the anchor weekday', () => {
+      // 2024-01-03 is a Wednesday
+      const frequency = new Frequency({ recurrence_type: 'weekly' });
+
+      expect(frequency.occursOn('2024-01-10', '2024-01-03')).toBe(true);
+      expect(frequency.occursOn('2024-01-11', '2024-01-03')).toBe(false);
+    });
+
+    test('should clamp monthly recurrence to the end of short months', () => {
+      const frequency = new Frequency({ recurrence_type: 'monthly', day_of_month: 31 });
+
+      expect(frequency.occursOn('2024-01-31', '2024-01-01')).toBe(true);
+      expect(frequency.occursOn('2024-02-29', '2024-01-01')).toBe(true);
+      expect(frequency.occursOn('2024-02-28', '2024-01-01')).toBe(false);
+      expect(frequency.occursOn('2024-04-30', '2024-01-01')).toBe(true);
+    });
+
+    test('should accept Date anchors returned by the database driver', () => {
+      const frequency = new Frequency({ recurrence_type: 'monthly' });
+
+      expect(frequency.occursOn('2024-02-15', new Date(2024, 0, 15))).toBe(true);
+      expect(frequency.occursOn('2024-02-16', new Date(2024, 0, 15))).toBe(false);
+    });
+
+    test('should never schedule as-needed frequencies', () => {
+      const frequency = new Frequency({ recurrence_type: 'as_needed' });
+
+      expect(frequency.occursOn('2024-01-15', '2024-01-01')).toBe(false);
+      expect(frequency.getAverageDailyAmount([{ dose_amount: 1, time_of_day: '08:00' }])).toBe(0);
+    });
+
+    test('should expand hourly doses until midnight', () => {
+      const frequency = new Frequency({ recurrence_type: 'hourly', interval_hours: 8 });
+      const dose = { id: 1, dose_amount: 1, time_of_day: '06:00' };
+
+      const slots = frequency.expandDoseTimes([dose]);
+
+      expect(slots.map(slot => slot.time_of_day)).toEqual(['06:00', '14:00', '22:00']);
+      expect(slots.every(slot => slot.dose === dose)).toBe(true);
+      expect(frequency.getDosingDayAmount([dose])).toBe(3);
+    });
+
+    test('should prefer explicitly configured doses over expanded slots', () => {
+      const frequency = new Frequency({ recurrence_type: 'hourly', interval_hours: 8 });
+      const doses = [
+        { id: 1, dose_amount: 1, time_of_day: '06:00:00' },
+        { id: 2, dose_amount: 2, time_of_day: '14:00:00' }
+      ];
+
+      const slots = frequency.expandDoseTimes(doses);
+
+      expect(slots.map(slot => slot.time_of_day)).toEqual(['06:00:00', '14:00:00', '22:00:00']);
+      expect(slots[1].dose.id).toBe(2);
+    });
+
+    test('should use daily recurrence for medications without a frequency', () => {
+      const frequency = Frequency.forMedication({ frequency: null });
+
+      expect(frequency.recurrence_type).toBe('daily');
+    });
   });
 });
\ No newline at end of file
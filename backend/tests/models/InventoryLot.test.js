@@ -0,0 +1,119 @@
+const InventoryLot = require('../../models/InventoryLot');
+
+describe('InventoryLot Model', () => {
+  describe('Validation', () => {
+    test('should validate a complete lot', () => {
+      const lot = new InventoryLot({
+        medicine_id: 1,
+        quantity: 30,
+        lot_number: 'AB123',
+        expiry_date: '2025-06-30',
+        received_date: '2024-01-10'
+      });
+
+      expect(lot.validate().isValid).toBe(true);
+    });
+
+    test('should require a medication and a non-negative quantity', () => {
+      const result = new InventoryLot({ quantity: -1 }).validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['medicine_id', 'quantity']);
+    });
+
+    test('should reject invalid dates', () => {
+      const result = new InventoryLot({ medicine_id: 1, quantity: 10, expiry_date: '2025-02-30' }).validate();
+
+      expect(result.errors[0]).toEqual({
+        field: 'expiry_date',
+        message: 'Expiry date must be a valid date in YYYY-MM-DD format'
+      });
+    });
+  });
+
+  describe('Expiry', () => {
+    const lot = new InventoryLot({ expiry_date: '2024-03-01' });
+
+    test('should count the days until expiry', () => {
+      expect(lot.getDaysUntilExpiry('2024-02-20')).toBe(10);
+      expect(lot.getDaysUntilExpiry('2024-03-03')).toBe(-2);
+      expect(new InventoryLot().getDaysUntilExpiry('2024-02-20')).toBeNull();
+    });
+
+    test('should still be usable on its expiry date', () => {
+      expect(lot.isExpired('2024-03-01')).toBe(false);
+      expect(lot.isExpired('2024-03-02')).toBe(true);
+      expect(new InventoryLot().isExpired('2099-01-01')).toBe(false);
+    });
+  });
+
+  describe('First-expiry-first-out', () => {
+    const lots = [
+      new InventoryLot({ id: 1, quantity: 10, expiry_date: null, received_date: '2024-01-01' }),
+      new InventoryLot({ id: 2, quantity: 5, expiry_date: '2024-09-01', received_date: '2024-01-05' }),
+      new InventoryLot({ id: 3, quantity: 3, expiry_date: '2024-06-01', received_date: '2024-01-20' }),
+      new InventoryLot({ id: 4, quantity: 4, expiry_date: '2024-06-01', received_date: '2024-01-02' }),
+      new InventoryLot({ id: 5, quantity: 0, expiry_date: '2024-02-01', received_date: '2024-01-01' })
+    ];
+
+    test('should order lots by expiry, undated lots last', () => {
+      expect(InventoryLot.sortForConsumption([...lots]).map(lot => lot.id)).toEqual([5, 4, 3, 2, 1]);
+    });
+
+    test('should take an amount from the soonest-expiring lots with stock', () => {
+      const allocations = InventoryLot.allocate(lots, 9);
+
+      expect(allocations.map(({ lot, quantity }) => [lot.id, quantity])).toEqual([[4, 4], [3, 3], [2, 2]]);
+    });
+
+    test('should stop at the stock held in lots', () => {
+      const allocations = InventoryLot.allocate(lots, 50);
+
+      expect(allocations.reduce((sum, { quantity }) => sum + quantity, 0)).toBe(22);
+    });
+
+    test('should not leave rounding slivers on fractional doses', () => {
+      const fractionalLots = [new InventoryLot({ id: 1, quantity: 0.1, expiry_date: '2024-01-01' }), new InventoryLot({ id: 2, quantity: 5, expiry_date: '2024-02-01' })];
+
+      expect(InventoryLot.allocate(fractionalLots, 0.3).map(({ quantity }) => quantity)).toEqual([0.1, 0.2]);
+    });
+
+    test('should price the stock in use by the first priced lot with stock', () => {
+      const pricedLots = [
+        new InventoryLot({ id: 1, quantity: 10, expiry_date: null, unit_price: 0.5 }),
+        new InventoryLot({ id: 2, quantity: 5, expiry_date: '2024-09-01', unit_price: null }),
+        new InventoryLot({ id: 3, quantity: 0, expiry_date: '2024-06-01', unit_price: 0.1 }),
+        new InventoryLot({ id: 4, quantity: 4, expiry_date: '2024-07-01', unit_price: 0.2 })
+      ];
+
+      expect(InventoryLot.getCurrentUnitPrice(pricedLots)).toBe(0.2);
+      expect(InventoryLot.getCurrentUnitPrice(pricedLots.slice(0, 3))).toBe(0.5);
+      expect(InventoryLot.getCurrentUnitPrice([])).toBeNull();
+    });
+  });
+
+  describe('Database Conversion', () => {
+    test('should convert numeric quantities and pg dates', () => {
+      const lot = InventoryLot.fromDbRow({
+        id: 1,
+        medicine_id: 2,
+        quantity: '28.50',
+        lot_number: null,
+        expiry_date: new Date(2025, 5, 30),
+        received_date: new Date(2024, 0, 10),
+        unit_price: '0.2500'
+      });
+
+      expect(lot.quantity).toBe(28.5);
+      expect(lot.toDbFormat()).toEqual({
+        id: 1,
+        medicine_id: 2,
+        quantity: 28.5,
+        lot_number: null,
+        expiry_date: '2025-06-30',
+        received_date: '2024-01-10',
+        unit_price: 0.25
+      });
+    });
+  });
+});
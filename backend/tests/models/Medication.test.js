@@ -119,13 +119,15 @@ describe('Medication Model', () => {
         name: 'Test Med',
         start_date: '2024-01-01',
         route_id: -1,
-        frequency_id: 0
+        frequency_id: 0,
+        pharmacy_id: 1.5
       });
       const result = medication.validate();
       
       expect(result.isValid).toBe(false);
       expect(result.errors).toContainEqual({ field: 'route_id', message: 'Route ID must be a positive integer' });
       expect(result.errors).toContainEqual({ field: 'frequency_id', message: 'Frequency ID must be a positive integer' });
+      expect(result.errors).toContainEqual({ field: 'pharmacy_id', message: 'Pharmacy ID must be a positive integer' });
     });
 
     test('should pass validation with valid data', () => {
@@ -145,6 +147,15 @@ describe('Medication Model', () => {
       expect(result.isValid).toBe(true);
       expect(result.errors).toHaveLength(0);
     });
+
+    test('should reject a negative unit price', () => {
+      const medication = new Medication({ name: 'Aspirin', start_date: '2024-01-01', unit_price: -0.1 });
+
+      expect(medication.validate().errors).toEqual([
+        { field: 'unit_price', message: 'Unit price must be a non-negative number' }
+      ]);
+      expect(new Medication({ name: 'Aspirin', start_date: '2024-01-01', unit_price: 0.15 }).validate().isValid).toBe(true);
+    });
   });
 
   describe('Date Validation Helper', () => {
@@ -298,6 +309,245 @@ describe('Medication Model', () => {
     });
   });
 
+  describe('As-needed Limits', () => {
+    const at = new Date('2024-03-01T12:00:00Z');
+    const givenAt = (hoursAgo, amount = 1) => ({
+      given_at: new Date(at.getTime() - hoursAgo * 60 * 60 * 1000).toISOString(),
+      dose_amount: amount
+    });
+
+    const prnMedication = (data = {}) => new Medication({
+      name: 'Paracetamol',
+      start_date: '2024-01-01',
+      prn_dose_amount: 2,
+      prn_min_interval_hours: 4,
+      prn_max_daily_amount: 8,
+      ...data
+    });
+
+    test('should validate PRN limits', () => {
+      expect(prnMedication().validate().isValid).toBe(true);
+
+      const result = prnMedication({ prn_min_interval_hours: 0, prn_dose_amount: 10 }).validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['prn_min_interval_hours', 'prn_dose_amount']);
+    });
+
+    test('should detect as-needed medications from their frequency', () => {
+      const medication = prnMedication();
+      expect(medication.isAsNeeded()).toBe(false);
+
+      medication.frequency = { recurrence_type: 'as_needed' };
+      expect(medication.isAsNeeded()).toBe(true);
+    });
+
+    test('should allow a dose when no limit is reached', () => {
+      const status = prnMedication().getPrnStatus([givenAt(5, 2), givenAt(30, 2)], null, at);
+
+      expect(status.can_take).toBe(true);
+      expect(status.dose_amount).toBe(2);
+      expect(status.taken_last_24h).toBe(2);
+      expect(status.last_taken_at).toBe('2024-03-01T07:00:00.000Z');
+      expect(status.next_allowed_at).toBe(null);
+    });
+
+    test('should refuse doses within the minimum interval', () => {
+      const status = prnMedication().getPrnStatus([givenAt(1, 2)], null, at);
+
+      expect(status.can_take).toBe(false);
+      expect(status.violations[0]).toContain('Minimum interval of 4 hours');
+      expect(status.next_allowed_at).toBe('2024-03-01T15:00:00.000Z');
+    });
+
+    test('should refuse doses over the 24-hour maximum until earlier doses expire', () => {
+      const status = prnMedication().getPrnStatus(
+        [givenAt(20, 2), givenAt(15, 2), givenAt(10, 2), givenAt(5, 2)],
+        null,
+        at
+      );
+
+      expect(status.can_take).toBe(false);
+      expect(status.taken_last_24h).toBe(8);
+      expect(status.violations[0]).toContain('maximum of 8 per 24 hours');
+      // The dose taken 20 hours ago leaves the window in 4 hours
+      expect(status.next_allowed_at).toBe('2024-03-01T16:00:00.000Z');
+    });
+
+    test('should never allow a single dose above the maximum', () => {
+      const status = prnMedication().getPrnStatus([], 10, at);
+
+      expect(status.can_take).toBe(false);
+      expect(status.next_allowed_at).toBe(null);
+    });
+
+    test('should look back at least 24 hours', () => {
+      expect(prnMedication().getPrnLookbackStart(at).toISOString()).toBe('2024-02-29T12:00:00.000Z');
+      expect(prnMedication({ prn_min_interval_hours: 48 }).getPrnLookbackStart(at).toISOString())
+        .toBe('2024-02-28T12:00:00.000Z');
+    });
+  });
+
+  describe('On/off Cycles', () => {
+    const cycleMedication = (data = {}) => new Medication({
+      name: 'Contraceptive',
+      start_date: '2024-01-01',
+      cycle_days_on: 21,
+      cycle_days_off: 7,
+      ...data
+    });
+
+    test('should validate cycle lengths', () => {
+      expect(cycleMedication().validate().isValid).toBe(true);
+
+      const result = cycleMedication({ cycle_days_on: 0, cycle_days_off: null }).validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['cycle_days_on', 'cycle_days_off']);
+    });
+
+    test('should require a cycle for a cycle start date', () => {
+      const result = new Medication({ name: 'Aspirin', start_date: '2024-01-01', cycle_start_date: '2024-01-05' }).validate();
+
+      expect(result.errors[0]).toEqual({
+        field: 'cycle_start_date',
+        message: 'Cycle start date requires cycle days on and days off'
+      });
+    });
+
+    test('should repeat the cycle from the medication start date', () => {
+      const medication = cycleMedication();
+
+      expect(medication.isCycleOnDate('2024-01-01')).toBe(true);
+      expect(medication.isCycleOnDate('2024-01-21')).toBe(true);
+      expect(medication.isCycleOnDate('2024-01-22')).toBe(false);
+      expect(medication.isCycleOnDate('2024-01-28')).toBe(false);
+      expect(medication.isCycleOnDate('2024-01-29')).toBe(true);
+      expect(medication.isCycleOnDate(new Date(2024, 1, 19))).toBe(false);
+    });
+
+    test('should anchor the cycle on the cycle start date', () => {
+      const medication = cycleMedication({ cycle_days_on: 5, cycle_days_off: 2, cycle_start_date: '2024-01-08' });
+
+      expect(medication.isCycleOnDate('2024-01-03')).toBe(true);
+      expect(medication.isCycleOnDate('2024-01-12')).toBe(true);
+      expect(medication.isCycleOnDate('2024-01-13')).toBe(false);
+      expect(medication.isCycleOnDate('2024-01-15')).toBe(true);
+    });
+
+    test('should always be on without a cycle', () => {
+      const medication = new Medication({ name: 'Aspirin', start_date: '2024-01-01' });
+
+      expect(medication.hasCycle()).toBe(false);
+      expect(medication.isCycleOnDate('2024-01-22')).toBe(true);
+      expect(medication.getCycleOnFraction()).toBe(1);
+      expect(cycleMedication().getCycleOnFraction()).toBe(0.75);
+    });
+
+    test('should convert the cycle start date from the database', () => {
+      const medication = Medication.fromDbRow({
+        id: 1,
+        name: 'Contraceptive',
+        start_date: '2024-01-01',
+        total_tablets: '28',
+        cycle_days_on: 21,
+        cycle_days_off: 7,
+        cycle_start_date: new Date(2024, 0, 8)
+      });
+
+      expect(medication.cycle_start_date).toBe('2024-01-08');
+      expect(medication.toDbFormat()).toMatchObject({
+        cycle_days_on: 21,
+        cycle_days_off: 7,
+        cycle_start_date: '2024-01-08'
+      });
+    });
+  });
+
+  describe('Units of Measure', () => {
+    const insulinPen = (data = {}) => new Medication({
+      name: 'Insulin',
+      start_date: '2024-01-01',
+      dose_unit: 'unit',
+      package_unit: 'pen',
+      package_volume_ml: 3,
+      units_per_ml: 100,
+      total_tablets: 650,
+      ...data
+    });
+
+    test('should default to tablets in sheets', () => {
+      const medication = new Medication({ sheet_size: 10 });
+
+      expect(medication.dose_unit).toBe('tablet');
+      expect(medication.package_unit).toBe('sheet');
+      expect(medication.getPackageSize()).toBe(10);
+      expect(medication.formatAmount(1)).toBe('1 tablet');
+    });
+
+    test('should validate units', () => {
+      const result = insulinPen({ dose_unit: 'gallon', package_unit: 'crate' }).validate();
+
+      expect(result.errors.map(e => e.field)).toEqual(['dose_unit', 'package_unit']);
+    });
+
+    test('should require a concentration to count a package volume in dose units', () => {
+      expect(insulinPen().validate().isValid).toBe(true);
+      expect(insulinPen({ dose_unit: 'ml', units_per_ml: null }).validate().isValid).toBe(true);
+
+      const result = insulinPen({ units_per_ml: null }).validate();
+
+      expect(result.errors).toEqual([
+        { field: 'units_per_ml', message: 'Units per ml is required to count a package volume in doses' }
+      ]);
+      expect(insulinPen({ units_per_ml: 33.33 }).validate().errors[0].field).toBe('package_volume_ml');
+    });
+
+    test('should derive the package size from volume and concentration', () => {
+      const medication = insulinPen({ sheet_size: 10 });
+
+      expect(medication.getPackageSize()).toBe(300);
+      expect(medication.toDbFormat().sheet_size).toBe(300);
+      expect(insulinPen({ dose_unit: 'ml', package_volume_ml: 150 }).getPackageSize()).toBe(150);
+      expect(insulinPen({ dose_unit: 'ml' }).toDbFormat().units_per_ml).toBeNull();
+    });
+
+    test('should convert packages and ml to dose units', () => {
+      const medication = insulinPen();
+
+      expect(medication.convertToDoseUnits(12)).toBe(12);
+      expect(medication.convertToDoseUnits(2, 'pen')).toBe(600);
+      expect(medication.convertToDoseUnits(0.5, 'ml')).toBe(50);
+      expect(() => medication.convertToDoseUnits(1, 'sheet')).toThrow('Cannot convert sheet to units');
+    });
+
+    test('should express stock in packages', () => {
+      const inhaler = new Medication({ dose_unit: 'puff', package_unit: 'inhaler', sheet_size: 200, total_tablets: 450 });
+
+      expect(inhaler.getPackageEquivalent()).toEqual({ full_packages: 2, remaining_units: 50, total_packages: 2.25 });
+      expect(insulinPen().getPackageEquivalent(150).total_packages).toBe(0.5);
+      expect(inhaler.formatAmount(450)).toBe('450 puffs');
+    });
+
+    test('should convert units from the database', () => {
+      const medication = Medication.fromDbRow({
+        id: 1,
+        name: 'Insulin',
+        start_date: '2024-01-01',
+        sheet_size: 300,
+        total_tablets: '650',
+        dose_unit: 'unit',
+        package_unit: 'pen',
+        package_volume_ml: '3.00',
+        units_per_ml: '100.00'
+      });
+
+      expect(medication.package_volume_ml).toBe(3);
+      expect(medication.units_per_ml).toBe(100);
+      expect(medication.toDbFormat()).toMatchObject({ dose_unit: 'unit', package_unit: 'pen', sheet_size: 300 });
+    });
+  });
+
   describe('Database Format Conversion', () => {
     test('should convert to database format', () => {
       const medication = new Medication({
@@ -334,6 +584,7 @@ describe('Medication Model', () => {
         sheet_size: 20,
         total_tablets: '100.50',
         notes: 'Take with food',
+        prn_max_daily_amount: '8.00',
         created_at: '2024-01-01T00:00:00Z',
         updated_at: '2024-01-01T00:00:00Z'
       };
@@ -343,6 +594,8 @@ describe('Medication Model', () => {
       expect(medication.id).toBe(1);
       expect(medication.name).toBe('Aspirin');
       expect(medication.total_tablets).toBe(100.50);
+      expect(medication.prn_max_daily_amount).toBe(8);
+      expect(medication.prn_min_interval_hours).toBe(null);
       expect(medication.created_at).toBe('2024-01-01T00:00:00Z');
     });
   });
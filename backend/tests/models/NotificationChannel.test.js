@@ -0,0 +1,116 @@
+const NotificationChannel = require('../../models/NotificationChannel');
+
+const pushKeys = { p256dh: 'BPublicKey', auth: 'AuthSecret' };
+
+describe('NotificationChannel Model', () => {
+  describe('Validation', () => {
+    test('should validate an email channel', () => {
+      const channel = new NotificationChannel({ user_id: 1, channel: 'email', target: 'carer@example.com' });
+
+      expect(channel.validate().isValid).toBe(true);
+    });
+
+    test('should require a known channel type', () => {
+      const result = new NotificationChannel({ user_id: 1, channel: 'sms', target: '555-0100' }).validate();
+
+      expect(result.errors).toEqual([{ field: 'channel', message: 'Channel must be one of: email, webhook, web_push' }]);
+    });
+
+    test('should require a valid email address', () => {
+      const result = new NotificationChannel({ user_id: 1, channel: 'email', target: 'not-an-email' }).validate();
+
+      expect(result.errors).toEqual([{ field: 'target', message: 'Target must be a valid email address' }]);
+    });
+
+    test('should require an http or https webhook URL', () => {
+      expect(new NotificationChannel({ user_id: 1, channel: 'webhook', target: 'http://localhost:9000/hook' }).validate().isValid).toBe(true);
+
+      const result = new NotificationChannel({ user_id: 1, channel: 'webhook', target: 'ftp://example.com' }).validate();
+      expect(result.errors).toEqual([{ field: 'target', message: 'Target must be an http or https URL' }]);
+    });
+
+    test('should require an https push endpoint and the subscription keys', () => {
+      expect(new NotificationChannel({
+        user_id: 1,
+        channel: 'web_push',
+        target: 'https://push.example.com/abc',
+        keys: pushKeys
+      }).validate().isValid).toBe(true);
+
+      const result = new NotificationChannel({
+        user_id: 1,
+        channel: 'web_push',
+        target: 'http://push.example.com/abc',
+        keys: { p256dh: 'BPublicKey' }
+      }).validate();
+      expect(result.errors.map(e => e.field)).toEqual(['target', 'keys']);
+    });
+
+    test('should only allow a secret on webhooks', () => {
+      const result = new NotificationChannel({ user_id: 1, channel: 'email', target: 'carer@example.com', secret: 'abc' }).validate();
+
+      expect(result.errors).toEqual([{ field: 'secret', message: 'Only webhooks have a signing secret' }]);
+    });
+
+    test('should require a user', () => {
+      const result = new NotificationChannel({ channel: 'email', target: 'carer@example.com' }).validate();
+
+      expect(result.errors).toEqual([{ field: 'user_id', message: 'User ID is required' }]);
+    });
+  });
+
+  describe('Database conversion', () => {
+    test('should normalize email addresses and drop keys of other channels', () => {
+      expect(new NotificationChannel({
+        user_id: 1,
+        channel: 'email',
+        target: ' Carer@Example.com ',
+        keys: pushKeys
+      }).toDbFormat()).toEqual({
+        id: null,
+        user_id: 1,
+        channel: 'email',
+        target: 'carer@example.com',
+        secret: null,
+        keys: null,
+        is_enabled: true
+      });
+    });
+
+    test('should parse stored push keys', () => {
+      const channel = NotificationChannel.fromDbRow({
+        id: 4,
+        user_id: 1,
+        channel: 'web_push',
+        target: 'https://push.example.com/abc',
+        keys: JSON.stringify(pushKeys),
+        is_enabled: false
+      });
+
+      expect(channel.keys).toEqual(pushKeys);
+      expect(channel.is_enabled).toBe(false);
+    });
+  });
+
+  describe('JSON output', () => {
+    test('should not expose the secret or push keys', () => {
+      const json = JSON.parse(JSON.stringify(new NotificationChannel({
+        id: 2,
+        user_id: 1,
+        channel: 'webhook',
+        target: 'https://hooks.example.com/meds',
+        secret: 's3cret'
+      })));
+
+      expect(json).toEqual({
+        id: 2,
+        channel: 'webhook',
+        target: 'https://hooks.example.com/meds',
+        has_secret: true,
+        is_enabled: true,
+        created_at: null,
+        updated_at: null
+      });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const NotificationDelivery = require('../../models/NotificationDelivery');
+
+const MINUTE = 60 * 1000;
+
+describe('NotificationDelivery Model', () => {
+  describe('getRetryDelay', () => {
+    test('should double the wait after every failed attempt', () => {
+      expect([1, 2, 3, 4].map(attempts => NotificationDelivery.getRetryDelay(attempts)))
+        .toEqual([MINUTE, 2 * MINUTE, 4 * MINUTE, 8 * MINUTE]);
+    });
+  });
+
+  describe('afterFailure', () => {
+    const now = new Date('2024-06-01T08:00:00Z');
+
+    test('should retry after the backoff delay', () => {
+      expect(NotificationDelivery.afterFailure(2, false, now)).toEqual({
+        status: 'pending',
+        next_attempt_at: new Date('2024-06-01T08:02:00Z')
+      });
+    });
+
+    test('should give up after the last attempt', () => {
+      expect(NotificationDelivery.afterFailure(5, false, now)).toEqual({ status: 'failed', next_attempt_at: null });
+    });
+
+    test('should give up on permanent failures right away', () => {
+      expect(NotificationDelivery.afterFailure(1, true, now)).toEqual({ status: 'failed', next_attempt_at: null });
+    });
+  });
+
+  describe('Database conversion', () => {
+    test('should create a delivery from a row', () => {
+      const delivery = NotificationDelivery.fromDbRow({
+        id: 3,
+        notification_id: 10,
+        channel_id: 2,
+        status: 'sent',
+        attempts: 1,
+        sent_at: '2024-06-01T08:00:00Z'
+      });
+
+      expect(delivery).toEqual(expect.objectContaining({ id: 3, notification_id: 10, channel_id: 2, status: 'sent', attempts: 1 }));
+      expect(NotificationDelivery.getStatuses()).toEqual(['pending', 'sent', 'failed']);
+    });
+  });
+});
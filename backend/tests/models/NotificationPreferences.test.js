@@ -0,0 +1,154 @@
+const NotificationPreferences = require('../../models/NotificationPreferences');
+
+describe('NotificationPreferences Model', () => {
+  describe('Validation', () => {
+    test('should validate the defaults', () => {
+      const preferences = new NotificationPreferences();
+
+      expect(preferences.validate().isValid).toBe(true);
+      expect(preferences.minutes_ahead).toBe(15);
+      expect(preferences.hours_overdue).toBe(1);
+      expect(preferences.buy_soon_days_ahead).toBe(1);
+      expect(preferences.renotify_minutes).toBe(15);
+      expect(preferences.max_renotifications).toBe(2);
+      expect(preferences.escalation_user_id).toBe(null);
+      expect(preferences.quiet_hours_enabled).toBe(false);
+    });
+
+    test('should only turn off known notification types', () => {
+      const result = new NotificationPreferences({ disabled_types: ['BUY_SOON', 'SPAM'] }).validate();
+
+      expect(result.errors).toEqual([{
+        field: 'disabled_types',
+        message: 'Disabled types must be any of: BUY_SOON, DOSE_DUE, MISSED_DOSE, EXPIRING_SOON, PRESCRIPTION_RENEWAL, DIGEST'
+      }]);
+    });
+
+    test('should keep lead times within their ranges', () => {
+      const result = new NotificationPreferences({ minutes_ahead: 1, hours_overdue: 25, buy_soon_days_ahead: 1.5 }).validate();
+
+      expect(result.errors).toEqual([
+        { field: 'minutes_ahead', message: 'Minutes ahead must be an integer between 5 and 120' },
+        { field: 'hours_overdue', message: 'Hours overdue must be an integer between 1 and 24' },
+        { field: 'buy_soon_days_ahead', message: 'Buy-soon days ahead must be an integer between 1 and 30' }
+      ]);
+    });
+
+    test('should keep reminder repeats within their ranges', () => {
+      const result = new NotificationPreferences({ renotify_minutes: 2, max_renotifications: 6 }).validate();
+
+      expect(result.errors).toEqual([
+        { field: 'renotify_minutes', message: 'Re-notify minutes must be an integer between 5 and 120' },
+        { field: 'max_renotifications', message: 'Maximum re-notifications must be an integer between 0 and 5' }
+      ]);
+      expect(new NotificationPreferences({ max_renotifications: 0 }).validate().isValid).toBe(true);
+    });
+
+    test('should only give a patient a secondary caregiver', () => {
+      expect(new NotificationPreferences({ patient_id: 4, escalation_user_id: 7 }).validate().isValid).toBe(true);
+      expect(new NotificationPreferences({ escalation_user_id: 7 }).validate().errors)
+        .toEqual([{ field: 'escalation_user_id', message: 'Only a patient can have a secondary caregiver' }]);
+      expect(new NotificationPreferences({ patient_id: 4, escalation_user_id: 'x' }).validate().errors)
+        .toEqual([{ field: 'escalation_user_id', message: 'Secondary caregiver must be a user ID' }]);
+    });
+
+    test('should require quiet hours as distinct HH:MM times', () => {
+      expect(new NotificationPreferences({ quiet_hours_start: '9:00' }).validate().errors)
+        .toEqual([{ field: 'quiet_hours_start', message: 'Quiet hours start must be in HH:MM format (24-hour)' }]);
+      expect(new NotificationPreferences({ quiet_hours_start: '07:00', quiet_hours_end: '07:00' }).validate().errors)
+        .toEqual([{ field: 'quiet_hours_end', message: 'Quiet hours must end at a different time than they start' }]);
+    });
+  });
+
+  describe('isTypeEnabled', () => {
+    test('should report turned off types', () => {
+      const preferences = new NotificationPreferences({ disabled_types: ['DOSE_DUE'] });
+
+      expect(preferences.isTypeEnabled('DOSE_DUE')).toBe(false);
+      expect(preferences.isTypeEnabled('MISSED_DOSE')).toBe(true);
+    });
+  });
+
+  describe('getQuietHoursEnd', () => {
+    const overnight = new NotificationPreferences({
+      quiet_hours_enabled: true,
+      quiet_hours_start: '22:00',
+      quiet_hours_end: '07:00',
+      timezone: 'Europe/Amsterdam'
+    });
+
+    test('should be null without quiet hours', () => {
+      expect(new NotificationPreferences({ timezone: 'UTC' }).getQuietHoursEnd(new Date('2024-01-15T23:00:00Z'))).toBeNull();
+    });
+
+    test('should end overnight quiet hours the next morning', () => {
+      // 23:30 in Amsterdam
+      expect(overnight.getQuietHoursEnd(new Date('2024-01-15T22:30:00Z'))).toEqual(new Date('2024-01-16T06:00:00Z'));
+    });
+
+    test('should end overnight quiet hours the same morning after midnight', () => {
+      // 03:00 in Amsterdam
+      expect(overnight.getQuietHoursEnd(new Date('2024-01-16T02:00:00Z'))).toEqual(new Date('2024-01-16T06:00:00Z'));
+    });
+
+    test('should be null outside quiet hours', () => {
+      // 07:00 and 12:00 in Amsterdam
+      expect(overnight.getQuietHoursEnd(new Date('2024-01-16T06:00:00Z'))).toBeNull();
+      expect(overnight.getQuietHoursEnd(new Date('2024-01-16T11:00:00Z'))).toBeNull();
+    });
+
+    test('should handle quiet hours within a day', () => {
+      const afternoon = new NotificationPreferences({
+        quiet_hours_enabled: true,
+        quiet_hours_start: '13:00',
+        quiet_hours_end: '15:00',
+        timezone: 'UTC'
+      });
+
+      expect(afternoon.getQuietHoursEnd(new Date('2024-01-16T14:00:00Z'))).toEqual(new Date('2024-01-16T15:00:00Z'));
+      expect(afternoon.getQuietHoursEnd(new Date('2024-01-16T16:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('fromDbRow', () => {
+    test('should read times and the patient timezone', () => {
+      const preferences = NotificationPreferences.fromDbRow({
+        id: 1,
+        patient_id: 4,
+        disabled_types: ['BUY_SOON'],
+        minutes_ahead: 30,
+        hours_overdue: 2,
+        buy_soon_days_ahead: 3,
+        quiet_hours_enabled: true,
+        quiet_hours_start: '21:30:00',
+        quiet_hours_end: '06:00:00',
+        patient_timezone: 'Asia/Tokyo'
+      });
+
+      expect(preferences.quiet_hours_start).toBe('21:30');
+      expect(preferences.quiet_hours_end).toBe('06:00');
+      expect(preferences.timezone).toBe('Asia/Tokyo');
+      expect(preferences.minutes_ahead).toBe(30);
+    });
+
+    test('should use the defaults for a patient without preferences', () => {
+      const preferences = NotificationPreferences.fromDbRow({
+        id: null,
+        patient_id: 4,
+        disabled_types: null,
+        minutes_ahead: null,
+        hours_overdue: null,
+        buy_soon_days_ahead: null,
+        quiet_hours_enabled: null,
+        quiet_hours_start: null,
+        quiet_hours_end: null,
+        patient_timezone: null
+      });
+
+      expect(preferences.disabled_types).toEqual([]);
+      expect(preferences.minutes_ahead).toBe(15);
+      expect(preferences.quiet_hours_start).toBe('22:00');
+      expect(preferences.validate().isValid).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const Patient = require('../../models/Patient');
+
+describe('Patient Model', () => {
+  describe('Validation', () => {
+    test('should validate a complete patient', () => {
+      const patient = new Patient({ owner_id: 1, name: 'Grandma', date_of_birth: '1940-05-12' });
+
+      expect(patient.validate().isValid).toBe(true);
+    });
+
+    test('should require an owner and a name', () => {
+      const result = new Patient().validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['owner_id', 'name']);
+    });
+
+    test('should reject invalid and future birth dates', () => {
+      const invalid = new Patient({ owner_id: 1, name: 'Sam', date_of_birth: '2024-02-30' }).validate();
+      const future = new Patient({ owner_id: 1, name: 'Sam', date_of_birth: '2999-01-01' }).validate();
+
+      expect(invalid.errors[0].field).toBe('date_of_birth');
+      expect(future.errors[0].message).toBe('Date of birth cannot be in the future');
+    });
+
+    test('should only accept IANA timezone names', () => {
+      const valid = new Patient({ owner_id: 1, name: 'Sam', timezone: 'America/Chicago' }).validate();
+      const invalid = new Patient({ owner_id: 1, name: 'Sam', timezone: 'Central Time' }).validate();
+
+      expect(valid.isValid).toBe(true);
+      expect(invalid.errors[0]).toEqual({ field: 'timezone', message: 'Timezone must be a valid IANA timezone name' });
+    });
+  });
+
+  describe('Database conversion', () => {
+    test('should format DATE columns as YYYY-MM-DD', () => {
+      const patient = Patient.fromDbRow({
+        id: 1,
+        owner_id: 2,
+        name: 'Sam',
+        date_of_birth: new Date(1990, 0, 15),
+        notes: null
+      });
+
+      expect(patient.date_of_birth).toBe('1990-01-15');
+      expect(patient.notes).toBe('');
+    });
+
+    test('should store empty optional fields as null', () => {
+      const dbData = new Patient({ owner_id: 1, name: ' Sam ' }).toDbFormat();
+
+      expect(dbData.name).toBe('Sam');
+      expect(dbData.date_of_birth).toBeNull();
+      expect(dbData.notes).toBeNull();
+      expect(dbData.timezone).toBeNull();
+    });
+  });
+});
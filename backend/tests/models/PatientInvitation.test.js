@@ -0,0 +1,35 @@
+const PatientInvitation = require('../../models/PatientInvitation');
+
+describe('PatientInvitation Model', () => {
+  describe('Validation', () => {
+    test('should validate a complete invitation', () => {
+      const invitation = new PatientInvitation({ patient_id: 1, email: 'kim@example.com', role: 'viewer' });
+
+      expect(invitation.validate().isValid).toBe(true);
+      expect(invitation.isPending()).toBe(true);
+    });
+
+    test('should validate email and role', () => {
+      const result = new PatientInvitation({ patient_id: 1, email: 'not-an-email', role: 'admin' }).validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['email', 'role']);
+    });
+  });
+
+  describe('Addressing', () => {
+    test('should match users by email regardless of case', () => {
+      const invitation = new PatientInvitation({ email: 'kim@example.com' });
+
+      expect(invitation.isFor({ email: ' Kim@Example.COM ' })).toBe(true);
+      expect(invitation.isFor({ email: 'sam@example.com' })).toBe(false);
+      expect(invitation.isFor(null)).toBe(false);
+    });
+
+    test('should store emails lowercased', () => {
+      const invitation = new PatientInvitation({ patient_id: 1, email: 'Kim@Example.com', role: 'owner' });
+
+      expect(invitation.toDbFormat().email).toBe('kim@example.com');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const PatientMember = require('../../models/PatientMember');
+
+describe('PatientMember Model', () => {
+  describe('Validation', () => {
+    test('should validate a complete membership', () => {
+      const member = new PatientMember({ patient_id: 1, user_id: 2, role: 'caregiver' });
+
+      expect(member.validate().isValid).toBe(true);
+    });
+
+    test('should validate required fields', () => {
+      const result = new PatientMember().validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['patient_id', 'user_id', 'role']);
+    });
+
+    test('should reject unknown roles', () => {
+      const result = new PatientMember({ patient_id: 1, user_id: 2, role: 'admin' }).validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0].field).toBe('role');
+    });
+  });
+
+  describe('Permissions', () => {
+    test('should let owners do everything', () => {
+      ['view', 'record_doses', 'manage_inventory', 'manage_medications', 'manage_patient'].forEach(permission => {
+        expect(PatientMember.hasPermission('owner', permission)).toBe(true);
+      });
+    });
+
+    test('should let caregivers record doses and adjust inventory only', () => {
+      expect(PatientMember.hasPermission('caregiver', 'view')).toBe(true);
+      expect(PatientMember.hasPermission('caregiver', 'record_doses')).toBe(true);
+      expect(PatientMember.hasPermission('caregiver', 'manage_inventory')).toBe(true);
+      expect(PatientMember.hasPermission('caregiver', 'manage_medications')).toBe(false);
+      expect(PatientMember.hasPermission('caregiver', 'manage_patient')).toBe(false);
+    });
+
+    test('should let viewers only view', () => {
+      expect(PatientMember.hasPermission('viewer', 'view')).toBe(true);
+      expect(PatientMember.hasPermission('viewer', 'record_doses')).toBe(false);
+      expect(PatientMember.hasPermission('viewer', 'manage_inventory')).toBe(false);
+    });
+
+    test('should grant nothing to unknown roles', () => {
+      expect(PatientMember.hasPermission(undefined, 'view')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const Pharmacy = require('../../models/Pharmacy');
+
+describe('Pharmacy Model', () => {
+  describe('Validation', () => {
+    test('should validate a complete pharmacy', () => {
+      const pharmacy = new Pharmacy({
+        name: 'Corner Pharmacy',
+        address: '12 High Street',
+        phone: '555-0100',
+        hours: 'Mon-Fri 9-18'
+      });
+
+      expect(pharmacy.validate().isValid).toBe(true);
+    });
+
+    test('should require a name', () => {
+      const result = new Pharmacy({ name: '  ' }).validate();
+
+      expect(result.errors).toEqual([{ field: 'name', message: 'Pharmacy name is required' }]);
+    });
+
+    test('should limit the length of the details', () => {
+      const result = new Pharmacy({ name: 'Corner Pharmacy', phone: '5'.repeat(51), hours: 'x'.repeat(201) }).validate();
+
+      expect(result.errors.map(e => e.field)).toEqual(['phone', 'hours']);
+    });
+  });
+
+  describe('Database conversion', () => {
+    test('should store empty details as null', () => {
+      expect(new Pharmacy({ name: ' Corner Pharmacy ', address: ' ' }).toDbFormat()).toEqual({
+        id: null,
+        name: 'Corner Pharmacy',
+        address: null,
+        phone: null,
+        hours: null
+      });
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const Prescriber = require('../../models/Prescriber');
+
+describe('Prescriber Model', () => {
+  describe('Validation', () => {
+    test('should validate a complete prescriber', () => {
+      const prescriber = new Prescriber({
+        name: 'Dr. Smith',
+        practice: 'Riverside Clinic',
+        phone: '555-0100',
+        email: 'smith@example.com'
+      });
+
+      expect(prescriber.validate().isValid).toBe(true);
+    });
+
+    test('should require a name', () => {
+      const result = new Prescriber({ name: '  ' }).validate();
+
+      expect(result.errors).toEqual([{ field: 'name', message: 'Prescriber name is required' }]);
+    });
+
+    test('should reject an invalid email address', () => {
+      const result = new Prescriber({ name: 'Dr. Smith', email: 'smith' }).validate();
+
+      expect(result.errors).toEqual([{ field: 'email', message: 'Email must be a valid email address' }]);
+    });
+  });
+
+  describe('Database conversion', () => {
+    test('should store empty contact details as null', () => {
+      expect(new Prescriber({ name: ' Dr. Smith ', phone: ' ' }).toDbFormat()).toEqual({
+        id: null,
+        name: 'Dr. Smith',
+        practice: null,
+        phone: null,
+        email: null
+      });
+    });
+  });
+});
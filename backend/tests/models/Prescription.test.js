@@ -0,0 +1,100 @@
+const Prescription = require('../../models/Prescription');
+
+describe('Prescription Model', () => {
+  describe('Validation', () => {
+    test('should validate a complete prescription', () => {
+      const prescription = new Prescription({
+        medicine_id: 1,
+        prescriber_id: 2,
+        prescription_number: 'RX-1001',
+        issue_date: '2024-01-01',
+        expiry_date: '2025-01-01',
+        authorized_refills: 5,
+        refills_used: 2
+      });
+
+      expect(prescription.validate().isValid).toBe(true);
+    });
+
+    test('should require a medication', () => {
+      const result = new Prescription({}).validate();
+
+      expect(result.errors).toEqual([{ field: 'medicine_id', message: 'Medicine ID is required' }]);
+    });
+
+    test('should reject an expiry before the issue date', () => {
+      const result = new Prescription({ medicine_id: 1, issue_date: '2024-03-01', expiry_date: '2024-02-01' }).validate();
+
+      expect(result.errors).toEqual([
+        { field: 'expiry_date', message: 'Expiry date must be on or after the issue date' }
+      ]);
+    });
+
+    test('should not use more refills than authorized', () => {
+      const result = new Prescription({ medicine_id: 1, authorized_refills: 2, refills_used: 3 }).validate();
+
+      expect(result.errors).toEqual([
+        { field: 'refills_used', message: 'Refills used cannot exceed the authorized refills' }
+      ]);
+    });
+
+    test('should reject fractional or negative refill counts', () => {
+      const result = new Prescription({ medicine_id: 1, authorized_refills: 1.5, refills_used: -1 }).validate();
+
+      expect(result.errors.map(e => e.field)).toEqual(['authorized_refills', 'refills_used']);
+    });
+  });
+
+  describe('Refills', () => {
+    test('should count the refills remaining', () => {
+      expect(new Prescription({ authorized_refills: 5, refills_used: 2 }).getRefillsRemaining()).toBe(3);
+      expect(new Prescription({ authorized_refills: 0 }).getRefillsRemaining()).toBe(0);
+    });
+
+    test('should tell why a refill cannot be filled', () => {
+      const prescription = new Prescription({ authorized_refills: 2, refills_used: 1, expiry_date: '2024-02-01' });
+
+      expect(prescription.getRefillError('2024-02-01')).toBeNull();
+      expect(prescription.getRefillError('2024-02-02')).toBe('Prescription expired on 2024-02-01');
+      expect(new Prescription({ authorized_refills: 1, refills_used: 1 }).getRefillError('2024-02-01'))
+        .toBe('Prescription has no refills remaining');
+    });
+
+    test('should count the days until expiry', () => {
+      expect(new Prescription({ expiry_date: '2024-02-01' }).getDaysUntilExpiry('2024-01-15')).toBe(17);
+      expect(new Prescription({ expiry_date: '2024-01-10' }).getDaysUntilExpiry('2024-01-15')).toBe(-5);
+      expect(new Prescription({}).getDaysUntilExpiry('2024-01-15')).toBeNull();
+    });
+  });
+
+  describe('Database conversion', () => {
+    test('should store empty details as null', () => {
+      const dbData = new Prescription({ medicine_id: 1, prescription_number: '  ', notes: '' }).toDbFormat();
+
+      expect(dbData).toMatchObject({
+        prescriber_id: null,
+        prescription_number: null,
+        issue_date: null,
+        expiry_date: null,
+        authorized_refills: 0,
+        refills_used: 0,
+        notes: null
+      });
+    });
+
+    test('should format date columns', () => {
+      const prescription = Prescription.fromDbRow({
+        id: 4,
+        medicine_id: 1,
+        issue_date: new Date(2024, 0, 1),
+        expiry_date: null,
+        authorized_refills: 3,
+        refills_used: 1
+      });
+
+      expect(prescription.issue_date).toBe('2024-01-01');
+      expect(prescription.expiry_date).toBeNull();
+      expect(prescription.getRefillsRemaining()).toBe(2);
+    });
+  });
+});
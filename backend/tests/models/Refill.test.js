@@ -0,0 +1,80 @@
+const Refill = require('../../models/Refill');
+
+describe('Refill Model', () => {
+  describe('Validation', () => {
+    test('should validate a complete refill', () => {
+      const refill = new Refill({
+        medicine_id: 1,
+        quantity: 60,
+        refill_date: '2024-03-01',
+        pharmacy: 'Corner Pharmacy',
+        cost: 12.5,
+        prescription_reference: 'RX-1001'
+      });
+
+      expect(refill.validate().isValid).toBe(true);
+    });
+
+    test('should require a medication and a positive quantity', () => {
+      const result = new Refill({ quantity: 0 }).validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['medicine_id', 'quantity']);
+    });
+
+    test('should reject invalid dates and negative costs', () => {
+      const result = new Refill({ medicine_id: 1, quantity: 30, refill_date: '2024-02-30', cost: -1 }).validate();
+
+      expect(result.errors).toEqual([
+        { field: 'refill_date', message: 'Refill date must be a valid date in YYYY-MM-DD format' },
+        { field: 'cost', message: 'Cost must be a non-negative number' }
+      ]);
+    });
+  });
+
+  describe('Prescription', () => {
+    test('should reject an invalid prescription ID', () => {
+      const result = new Refill({ medicine_id: 1, quantity: 30, prescription_id: 'RX-1' }).validate();
+
+      expect(result.errors).toEqual([
+        { field: 'prescription_id', message: 'Prescription ID must be a positive integer' }
+      ]);
+    });
+  });
+
+  describe('Database conversion', () => {
+    test('should store empty details as null', () => {
+      const dbData = new Refill({ medicine_id: 1, quantity: 30, pharmacy: '  ', prescription_reference: '' }).toDbFormat();
+
+      expect(dbData.pharmacy).toBeNull();
+      expect(dbData.prescription_reference).toBeNull();
+      expect(dbData.cost).toBeNull();
+      expect(dbData.refill_date).toBeNull();
+    });
+
+    test('should parse numeric columns and dates', () => {
+      const refill = Refill.fromDbRow({
+        id: 4,
+        medicine_id: 1,
+        lot_id: 9,
+        refill_date: new Date(2024, 2, 1),
+        quantity: '60.00',
+        cost: '12.50',
+        pharmacy: 'Corner Pharmacy'
+      });
+
+      expect(refill.refill_date).toBe('2024-03-01');
+      expect(refill.quantity).toBe(60);
+      expect(refill.cost).toBe(12.5);
+      expect(Refill.fromDbRow({ id: 5, medicine_id: 1, quantity: '1', cost: null }).cost).toBeNull();
+    });
+  });
+
+  describe('Unit price', () => {
+    test('should divide the cost over the quantity', () => {
+      expect(new Refill({ medicine_id: 1, quantity: 60, cost: 12.5 }).getUnitPrice()).toBe(0.2083);
+      expect(new Refill({ medicine_id: 1, quantity: 60, cost: 0 }).getUnitPrice()).toBe(0);
+      expect(new Refill({ medicine_id: 1, quantity: 60 }).getUnitPrice()).toBeNull();
+    });
+  });
+});
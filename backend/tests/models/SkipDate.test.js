@@ -131,6 +131,19 @@ describe('SkipDate Model', () => {
       expect(futureSkipDate.isFutureDate()).toBe(true);
     });
 
+    test('should decide today in the given timezone', () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-03-10T02:00:00Z'));
+
+      const skipDate = new SkipDate({ skip_date: '2024-03-09' });
+
+      expect(skipDate.isToday('America/Chicago')).toBe(true);
+      expect(skipDate.isToday('Europe/Berlin')).toBe(false);
+      expect(skipDate.isPastDate('Europe/Berlin')).toBe(true);
+
+      jest.useRealTimers();
+    });
+
     test('should handle invalid dates in comparisons', () => {
       const invalidSkipDate = new SkipDate({ skip_date: 'invalid' });
       
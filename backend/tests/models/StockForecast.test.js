@@ -0,0 +1,146 @@
+const StockForecast = require('../../models/StockForecast');
+const Medication = require('../../models/Medication');
+const MedicineDose = require('../../models/MedicineDose');
+const DosePhase = require('../../models/DosePhase');
+const Frequency = require('../../models/Frequency');
+
+describe('StockForecast Model', () => {
+  const today = '2024-01-10';
+  const twiceDaily = [
+    new MedicineDose({ dose_amount: 1, time_of_day: '08:00' }),
+    new MedicineDose({ dose_amount: 1, time_of_day: '20:00' })
+  ];
+
+  const buildForecast = (medicationData, options = {}) => new StockForecast({
+    medication: new Medication({ start_date: '2024-01-01', ...medicationData }),
+    doses: twiceDaily,
+    dailyConsumption: 2,
+    today,
+    ...options
+  });
+
+  describe('Run-out date', () => {
+    test('should count the days the stock covers from tomorrow', () => {
+      const forecast = buildForecast({ total_tablets: 10 }).forecast(3);
+
+      expect(forecast.days_remaining).toBe(5);
+      expect(forecast.run_out_date).toBe('2024-01-16');
+      expect(forecast.quantity_needed_for_period).toBe(6);
+      expect(forecast.course_end_date).toBeNull();
+      expect(forecast.quantity_needed_until_end).toBeNull();
+      expect(forecast.shortfall_until_end).toBeNull();
+    });
+
+    test('should forecast a share of the stock, such as one location', () => {
+      const forecast = buildForecast({ total_tablets: 10 }).forecast(3, 4);
+
+      expect(forecast.days_remaining).toBe(2);
+      expect(forecast.run_out_date).toBe('2024-01-13');
+      expect(forecast.quantity_needed_for_period).toBe(6);
+    });
+
+    test('should not use stock on skip dates', () => {
+      const stockForecast = buildForecast({ total_tablets: 10 }, {
+        skipDates: [{ skip_date: '2024-01-11' }, { skip_date: '2024-01-13' }]
+      });
+
+      expect(stockForecast.getConsumptionOnDate('2024-01-11')).toBe(0);
+      expect(stockForecast.getConsumptionOnDate('2024-01-12')).toBe(2);
+
+      const forecast = stockForecast.forecast(3);
+
+      expect(forecast.days_remaining).toBe(7);
+      expect(forecast.run_out_date).toBe('2024-01-18');
+      expect(forecast.quantity_needed_for_period).toBe(2);
+    });
+
+    test('should follow tapering phases', () => {
+      const doses = [
+        new MedicineDose({ dose_amount: 4, time_of_day: '08:00', phase_id: 1 }),
+        new MedicineDose({ dose_amount: 1, time_of_day: '08:00' })
+      ];
+      const phases = [new DosePhase({ id: 1, start_date: '2024-01-11', end_date: '2024-01-12' })];
+
+      const forecast = buildForecast({ total_tablets: 10 }, { doses, phases }).forecast();
+
+      // 4 + 4, then 1 a day
+      expect(forecast.days_remaining).toBe(4);
+      expect(forecast.run_out_date).toBe('2024-01-15');
+    });
+
+    test('should leave out the off days of a cycle', () => {
+      const forecast = buildForecast({
+        total_tablets: 10,
+        cycle_days_on: 2,
+        cycle_days_off: 2,
+        cycle_start_date: '2024-01-11'
+      }).forecast();
+
+      // On 11-12, off 13-14, on 15-16, off 17-18, on 19-20
+      expect(forecast.days_remaining).toBe(9);
+      expect(forecast.run_out_date).toBe('2024-01-20');
+    });
+
+    test('should only use stock on the days a weekly frequency is due', () => {
+      const stockForecast = buildForecast({ total_tablets: 3 }, {
+        doses: [new MedicineDose({ dose_amount: 1, time_of_day: '08:00' })]
+      });
+      stockForecast.frequency = new Frequency({ name: 'Weekly', recurrence_type: 'weekly' });
+
+      const forecast = stockForecast.forecast(7);
+
+      // Due on the start date's weekday: the 15th, 22nd, 29th and 5th
+      expect(forecast.days_remaining).toBe(25);
+      expect(forecast.run_out_date).toBe('2024-02-05');
+      expect(forecast.quantity_needed_for_period).toBe(1);
+    });
+
+    test('should use the average consumption for as-needed medications', () => {
+      const medication = new Medication({ start_date: '2024-01-01', total_tablets: 3 });
+      medication.frequency = new Frequency({ name: 'As needed', recurrence_type: 'as_needed' });
+      const stockForecast = new StockForecast({ medication, dailyConsumption: 0.5, today });
+
+      expect(stockForecast.forecast().days_remaining).toBe(6);
+    });
+
+    test('should not run out without consumption', () => {
+      const forecast = buildForecast({ total_tablets: 10 }, { doses: [], dailyConsumption: 0 }).forecast();
+
+      expect(forecast.days_remaining).toBeNull();
+      expect(forecast.run_out_date).toBeNull();
+      expect(forecast.quantity_needed_for_period).toBe(0);
+    });
+  });
+
+  describe('End date', () => {
+    test('should not run out when the stock lasts the course', () => {
+      const forecast = buildForecast({ total_tablets: 10, end_date: '2024-01-14' }).forecast();
+
+      expect(forecast.days_remaining).toBeNull();
+      expect(forecast.run_out_date).toBeNull();
+      expect(forecast.course_end_date).toBe('2024-01-14');
+      expect(forecast.quantity_needed_until_end).toBe(8);
+      expect(forecast.shortfall_until_end).toBe(0);
+    });
+
+    test('should report the shortfall until the end date', () => {
+      const forecast = buildForecast({ total_tablets: 10, end_date: '2024-01-20' }, {
+        skipDates: [{ skip_date: '2024-01-12' }]
+      }).forecast();
+
+      expect(forecast.days_remaining).toBe(6);
+      expect(forecast.run_out_date).toBe('2024-01-17');
+      expect(forecast.quantity_needed_until_end).toBe(18);
+      expect(forecast.shortfall_until_end).toBe(8);
+    });
+
+    test('should need nothing once the course has ended', () => {
+      const forecast = buildForecast({ total_tablets: 10, end_date: '2024-01-10' }).forecast(3);
+
+      expect(forecast.days_remaining).toBeNull();
+      expect(forecast.quantity_needed_for_period).toBe(0);
+      expect(forecast.quantity_needed_until_end).toBe(0);
+      expect(forecast.shortfall_until_end).toBe(0);
+    });
+  });
+});
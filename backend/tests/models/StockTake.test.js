@@ -0,0 +1,66 @@
+const StockTake = require('../../models/StockTake');
+
+describe('StockTake Model', () => {
+  describe('Validation', () => {
+    test('should validate a stock-take with counts', () => {
+      const stockTake = new StockTake({
+        patient_id: 2,
+        notes: 'Monthly count',
+        counts: [
+          { medication_id: 1, counted_quantity: 18 },
+          { medication_id: 2, counted_quantity: 0 }
+        ]
+      });
+
+      expect(stockTake.validate().isValid).toBe(true);
+    });
+
+    test('should require at least one count', () => {
+      const validation = new StockTake({ counts: [] }).validate();
+
+      expect(validation.isValid).toBe(false);
+      expect(validation.errors).toContainEqual({ field: 'counts', message: 'At least one counted medication is required' });
+    });
+
+    test('should reject invalid and repeated counts', () => {
+      const validation = new StockTake({
+        counts: [
+          { medication_id: 1, counted_quantity: 5 },
+          { medication_id: 1, counted_quantity: 6 },
+          { medication_id: 'abc', counted_quantity: -1 }
+        ]
+      }).validate();
+
+      expect(validation.errors).toEqual([
+        { field: 'counts[1].medication_id', message: 'Each medication can only be counted once' },
+        { field: 'counts[2].medication_id', message: 'Medication ID must be a positive integer' },
+        { field: 'counts[2].counted_quantity', message: 'Counted quantity must be a non-negative number' }
+      ]);
+    });
+
+    test('should limit the notes', () => {
+      const validation = new StockTake({
+        notes: 'x'.repeat(1001),
+        counts: [{ medication_id: 1, counted_quantity: 5 }]
+      }).validate();
+
+      expect(validation.errors).toContainEqual({ field: 'notes', message: 'Notes must be 1000 characters or less' });
+    });
+  });
+
+  describe('Database Conversion', () => {
+    test('should trim notes for the database', () => {
+      const stockTake = new StockTake({ patient_id: 2, notes: '  ', user_id: 7 });
+
+      expect(stockTake.toDbFormat()).toEqual({ id: null, patient_id: 2, notes: null, user_id: 7 });
+    });
+
+    test('should create from a database row without counts', () => {
+      const stockTake = StockTake.fromDbRow({ id: 5, patient_id: null, notes: 'Monthly', user_id: 7, created_at: '2024-03-01T10:00:00Z' });
+
+      expect(stockTake.id).toBe(5);
+      expect(stockTake.notes).toBe('Monthly');
+      expect(stockTake.counts).toEqual([]);
+    });
+  });
+});
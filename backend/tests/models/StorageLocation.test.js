@@ -0,0 +1,70 @@
+const StorageLocation = require('../../models/StorageLocation');
+
+describe('StorageLocation Model', () => {
+  describe('Validation', () => {
+    test('should validate a complete location', () => {
+      const location = new StorageLocation({ patient_id: 3, name: 'Travel kit', description: 'Blue bag', is_default: true });
+
+      expect(location.validate().isValid).toBe(true);
+    });
+
+    test('should require a patient', () => {
+      const result = new StorageLocation({ name: 'Home' }).validate();
+
+      expect(result.errors).toEqual([{ field: 'patient_id', message: 'Patient ID must be a positive integer' }]);
+    });
+
+    test('should require a name', () => {
+      const result = new StorageLocation({ patient_id: 3, name: '  ' }).validate();
+
+      expect(result.errors).toEqual([{ field: 'name', message: 'Location name is required' }]);
+    });
+
+    test('should limit the length of the name and description', () => {
+      const result = new StorageLocation({ patient_id: 3, name: 'x'.repeat(101), description: 'x'.repeat(501) }).validate();
+
+      expect(result.errors.map(e => e.field)).toEqual(['name', 'description']);
+    });
+  });
+
+  describe('Database conversion', () => {
+    test('should store an empty description as null', () => {
+      expect(new StorageLocation({ patient_id: 3, name: ' Home ', description: ' ' }).toDbFormat()).toEqual({
+        id: null,
+        patient_id: 3,
+        name: 'Home',
+        description: null,
+        is_default: false
+      });
+    });
+  });
+
+  describe('allocate', () => {
+    const stocks = [
+      { location_id: 1, location_name: 'Home', quantity: 3 },
+      { location_id: 2, location_name: 'Office', quantity: 0 },
+      { location_id: 3, location_name: 'Travel kit', quantity: 10 }
+    ];
+
+    test('should take from the locations in order, skipping empty ones', () => {
+      expect(StorageLocation.allocate(stocks, 5.5)).toEqual([
+        { location_id: 1, location_name: 'Home', quantity: 3 },
+        { location_id: 3, location_name: 'Travel kit', quantity: 2.5 }
+      ]);
+    });
+
+    test('should take everything when the amount is larger than the stock', () => {
+      expect(StorageLocation.allocate(stocks, 20).map(a => a.quantity)).toEqual([3, 10]);
+    });
+  });
+
+  describe('getUnassignedQuantity', () => {
+    test('should return the stock outside every location', () => {
+      expect(StorageLocation.getUnassignedQuantity(20, [{ quantity: 3 }, { quantity: 10.5 }])).toBe(6.5);
+    });
+
+    test('should never be negative', () => {
+      expect(StorageLocation.getUnassignedQuantity(2, [{ quantity: 3 }])).toBe(0);
+    });
+  });
+});
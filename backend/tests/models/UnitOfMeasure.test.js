@@ -0,0 +1,29 @@
+const UnitOfMeasure = require('../../models/UnitOfMeasure');
+
+describe('UnitOfMeasure Model', () => {
+  test('should list dose and package units', () => {
+    expect(UnitOfMeasure.getDoseUnits()).toEqual(expect.arrayContaining(['tablet', 'ml', 'puff', 'unit', 'patch']));
+    expect(UnitOfMeasure.getPackageUnits()).toEqual(expect.arrayContaining(['sheet', 'bottle', 'inhaler', 'pen']));
+  });
+
+  test('should recognise units', () => {
+    expect(UnitOfMeasure.isDoseUnit('puff')).toBe(true);
+    expect(UnitOfMeasure.isDoseUnit('pen')).toBe(false);
+    expect(UnitOfMeasure.isDoseUnit('toString')).toBe(false);
+    expect(UnitOfMeasure.isPackageUnit('pen')).toBe(true);
+  });
+
+  test('should format amounts in singular or plural', () => {
+    expect(UnitOfMeasure.format(1, 'tablet')).toBe('1 tablet');
+    expect(UnitOfMeasure.format(0.5, 'tablet')).toBe('0.5 tablets');
+    expect(UnitOfMeasure.format(2, 'patch')).toBe('2 patches');
+    expect(UnitOfMeasure.format(2.5, 'ml')).toBe('2.5 ml');
+    expect(UnitOfMeasure.format(3, 'box')).toBe('3 boxes');
+  });
+
+  test('should treat missing units as tablets and keep unknown ones', () => {
+    expect(UnitOfMeasure.format(4)).toBe('4 tablets');
+    expect(UnitOfMeasure.format(4, null)).toBe('4 tablets');
+    expect(UnitOfMeasure.getLabel('sachet')).toBe('sachet');
+  });
+});
@@ -0,0 +1,48 @@
+const User = require('../../models/User');
+
+describe('User Model', () => {
+  describe('Validation', () => {
+    test('should validate a complete user', () => {
+      const user = new User({ email: 'sam@example.com', name: 'Sam', password_hash: 'scrypt:salt:key' });
+
+      expect(user.validate().isValid).toBe(true);
+    });
+
+    test('should validate required fields', () => {
+      const result = new User().validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['email', 'name', 'password']);
+    });
+
+    test('should reject invalid emails', () => {
+      const result = new User({ email: 'not-an-email', name: 'Sam', password_hash: 'x' }).validate();
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0].field).toBe('email');
+    });
+
+    test('should require passwords of at least 8 characters', () => {
+      expect(User.validatePassword('short').isValid).toBe(false);
+      expect(User.validatePassword('long enough').isValid).toBe(true);
+      expect(User.validatePassword(undefined).isValid).toBe(false);
+    });
+  });
+
+  describe('Serialization', () => {
+    test('should never include the password hash in JSON', () => {
+      const user = new User({ id: 1, email: 'sam@example.com', name: 'Sam', password_hash: 'scrypt:salt:key' });
+      const json = JSON.parse(JSON.stringify(user));
+
+      expect(json.password_hash).toBeUndefined();
+      expect(json.email).toBe('sam@example.com');
+    });
+
+    test('should store emails lowercased and trimmed', () => {
+      const user = new User({ email: ' Sam@Example.COM ', name: ' Sam ', password_hash: 'x' });
+
+      expect(user.toDbFormat().email).toBe('sam@example.com');
+      expect(user.toDbFormat().name).toBe('Sam');
+    });
+  });
+});
@@ -47,6 +47,16 @@ describe('AuditLogRepository', () => {
       );
     });
 
+    it('should record the acting user', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 2, action: 'DOSE_GIVEN', user_id: 7 }] });
+
+      const result = await repository.create({ ...validAuditData, user_id: 7 });
+
+      expect(result.user_id).toBe(7);
+      expect(mockQuery.mock.calls[0][0]).toContain('user_id');
+      expect(mockQuery.mock.calls[0][1][5]).toBe(7);
+    });
+
     it('should throw error for missing action', async () => {
       const invalidData = { ...validAuditData, action: null };
 
@@ -91,6 +101,18 @@ describe('AuditLogRepository', () => {
 
       expect(result).toBeNull();
     });
+
+    it('should only find logs of patients the user is a member of', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      const result = await repository.findById(1, 2);
+
+      expect(result).toBeNull();
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('SELECT patient_id FROM patient_members WHERE user_id = $2'),
+        [1, 2]
+      );
+    });
   });
 
   describe('findAll', () => {
@@ -143,6 +165,18 @@ describe('AuditLogRepository', () => {
       );
     });
 
+    it('should limit results to patients the user is a member of', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      await repository.findAll({ accessible_by: 2 });
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('SELECT patient_id FROM patient_members WHERE user_id = $1'),
+        [2]
+      );
+      expect(mockQuery.mock.calls[0][0]).not.toContain('al.patient_id IS NULL');
+    });
+
     it('should filter by action', async () => {
       mockQuery.mockResolvedValue({ rows: [mockAuditLogs[0]] });
 
@@ -249,6 +283,8 @@ describe('AuditLogRepository', () => {
         total_logs: '10',
         dose_given_count: '5',
         inventory_updated_count: '3',
+        inventory_reconciled_count: '2',
+        inventory_transferred_count: '4',
         created_count: '1',
         updated_count: '1',
         deleted_count: '0',
@@ -266,6 +302,8 @@ describe('AuditLogRepository', () => {
       expect(result.total_logs).toBe(10);
       expect(result.dose_given_count).toBe(5);
       expect(result.inventory_updated_count).toBe(3);
+      expect(result.inventory_reconciled_count).toBe(2);
+      expect(result.inventory_transferred_count).toBe(4);
       expect(result.total_quantity_change).toBe(-15.5);
       expect(result.total_quantity_added).toBe(20.0);
       expect(result.total_quantity_consumed).toBe(35.5);
@@ -296,6 +334,17 @@ describe('AuditLogRepository', () => {
         [1]
       );
     });
+
+    it('should count only the logs of one patient', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ total_logs: '0' }] });
+
+      await repository.getStats(null, { patient_id: 4 });
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE al.patient_id = $1'),
+        [4]
+      );
+    });
   });
 
   describe('getDailyActivity', () => {
@@ -339,6 +388,17 @@ describe('AuditLogRepository', () => {
         ['2024-01-01', '2024-01-02', 1]
       );
     });
+
+    it('should limit activity to patients the user is a member of', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      await repository.getDailyActivity('2024-01-01', '2024-01-02', null, { accessible_by: 2 });
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('SELECT patient_id FROM patient_members WHERE user_id = $3'),
+        ['2024-01-01', '2024-01-02', 2]
+      );
+    });
   });
 
   describe('getComplianceData', () => {
@@ -0,0 +1,136 @@
+const DoseEventRepository = require('../../repositories/DoseEventRepository');
+const DoseEvent = require('../../models/DoseEvent');
+const { query } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('DoseEventRepository', () => {
+  let repository;
+  let mockQuery;
+
+  beforeEach(() => {
+    repository = new DoseEventRepository();
+    mockQuery = query;
+    jest.clearAllMocks();
+  });
+
+  describe('record', () => {
+    const validEventData = {
+      medicine_id: 1,
+      medicine_dose_id: 2,
+      scheduled_date: '2024-01-15',
+      scheduled_time: '08:00',
+      status: 'skipped',
+      note: 'Fasting for blood test'
+    };
+
+    it('should upsert the event for its slot', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 1, ...validEventData }] });
+
+      const result = await repository.record(validEventData);
+
+      expect(result).toBeInstanceOf(DoseEvent);
+      expect(result.status).toBe('skipped');
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('ON CONFLICT (medicine_dose_id, scheduled_date, scheduled_time)'),
+        expect.arrayContaining([1, 2, '2024-01-15', '08:00', 'skipped', 'Fasting for blood test'])
+      );
+    });
+
+    it('should write through a transaction client when given', async () => {
+      const mockClient = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1, ...validEventData }] }) };
+
+      await repository.record(validEventData, mockClient);
+
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO dose_events'),
+        expect.any(Array)
+      );
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should throw validation error for invalid data', async () => {
+      await expect(repository.record({ ...validEventData, status: 'given' }))
+        .rejects.toThrow('Validation failed');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should handle foreign key constraint violations', async () => {
+      mockQuery.mockRejectedValue({ code: '23503' });
+
+      await expect(repository.record(validEventData))
+        .rejects.toThrow('Invalid medicine_id or medicine_dose_id provided');
+    });
+  });
+
+  describe('findBySlot', () => {
+    it('should return null when the slot has no event', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      const result = await repository.findBySlot(2, '2024-01-15', '08:00');
+
+      expect(result).toBeNull();
+      expect(mockQuery).toHaveBeenCalledWith(expect.any(String), [2, '2024-01-15', '08:00']);
+    });
+  });
+
+  describe('findByDate', () => {
+    it('should filter by medication IDs', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{ id: 1, medicine_id: 3, medicine_dose_id: 4, scheduled_date: '2024-01-15', scheduled_time: '08:00:00', status: 'given' }]
+      });
+
+      const result = await repository.findByDate('2024-01-15', [3, 5]);
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toBeInstanceOf(DoseEvent);
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('medicine_id IN ($2,$3)'),
+        ['2024-01-15', 3, 5]
+      );
+    });
+
+    it('should not query for an empty medication list', async () => {
+      const result = await repository.findByDate('2024-01-15', []);
+
+      expect(result).toEqual([]);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findGivenSince', () => {
+    it('should only return taken doses of the given medications', async () => {
+      const since = new Date('2024-01-14T10:00:00Z');
+      mockQuery.mockResolvedValue({
+        rows: [{ id: 2, medicine_id: 3, medicine_dose_id: null, scheduled_date: '2024-01-15', scheduled_time: '09:00:00', status: 'given', dose_amount: '2.00', given_at: '2024-01-15T09:00:00Z' }]
+      });
+
+      const result = await repository.findGivenSince([3, 5], since);
+
+      expect(result[0].dose_amount).toBe(2);
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining("status IN ('given', 'late')"),
+        [since, 3, 5]
+      );
+    });
+
+    it('should not query for an empty medication list', async () => {
+      await expect(repository.findGivenSince([], new Date())).resolves.toEqual([]);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findByMedicationId', () => {
+    it('should apply date range and status filters', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      await repository.findByMedicationId(1, { startDate: '2024-01-01', endDate: '2024-01-31', status: 'refused' });
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('scheduled_date >= $2 AND scheduled_date <= $3 AND status = $4'),
+        [1, '2024-01-01', '2024-01-31', 'refused', 100, 0]
+      );
+    });
+  });
+});
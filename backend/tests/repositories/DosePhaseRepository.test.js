@@ -0,0 +1,83 @@
+const DosePhaseRepository = require('../../repositories/DosePhaseRepository');
+const DosePhase = require('../../models/DosePhase');
+const { query, transaction } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('DosePhaseRepository', () => {
+  let repository;
+  let mockQuery;
+  let mockTransaction;
+
+  beforeEach(() => {
+    repository = new DosePhaseRepository();
+    mockQuery = query;
+    mockTransaction = transaction;
+    jest.clearAllMocks();
+  });
+
+  describe('findByMedicationIds', () => {
+    it('should load phases for all medications in date order', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{ id: 1, medicine_id: 3, start_date: '2024-01-10', end_date: '2024-01-12', label: '40mg' }]
+      });
+
+      const result = await repository.findByMedicationIds([3, 4]);
+
+      expect(result[0]).toBeInstanceOf(DosePhase);
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('ORDER BY medicine_id, start_date ASC'),
+        [3, 4]
+      );
+    });
+
+    it('should not query for an empty medication list', async () => {
+      await expect(repository.findByMedicationIds([])).resolves.toEqual([]);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncForMedication', () => {
+    let mockClient;
+
+    beforeEach(() => {
+      mockClient = { query: jest.fn() };
+      mockTransaction.mockImplementation(async (callback) => callback(mockClient));
+    });
+
+    it('should update known phases and doses, insert new ones and delete the rest', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] }) // existing phases
+        .mockResolvedValueOnce({ rows: [{ id: 1, medicine_id: 5, start_date: '2024-01-10', end_date: '2024-01-12' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // existing doses of phase 1
+        .mockResolvedValueOnce({ rows: [{ id: 7, medicine_id: 5, dose_amount: '4.00', time_of_day: '08:00', phase_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] }) // delete removed doses
+        .mockResolvedValueOnce({ rows: [{ id: 3, medicine_id: 5, start_date: '2024-01-13', end_date: null }] })
+        .mockResolvedValueOnce({ rows: [] }) // new phase has no doses yet
+        .mockResolvedValueOnce({ rows: [{ id: 9, medicine_id: 5, dose_amount: '3.00', time_of_day: '08:00', phase_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] }); // delete removed phases
+
+      const result = await repository.syncForMedication(5, [
+        { id: 1, start_date: '2024-01-10', end_date: '2024-01-12', doses: [{ id: 7, dose_amount: 4, time_of_day: '08:00' }] },
+        { start_date: '2024-01-13', doses: [{ id: 1700000000000, dose_amount: 3, time_of_day: '08:00' }] }
+      ]);
+
+      expect(result.map(phase => phase.id)).toEqual([1, 3]);
+      expect(result[1].doses[0].phase_id).toBe(3);
+      expect(mockClient.query).toHaveBeenNthCalledWith(2, expect.stringContaining('UPDATE dose_phases'), expect.any(Array));
+      expect(mockClient.query).toHaveBeenNthCalledWith(4, expect.stringContaining('UPDATE medicine_doses'), expect.any(Array));
+      expect(mockClient.query).toHaveBeenNthCalledWith(6, expect.stringContaining('INSERT INTO dose_phases'), expect.any(Array));
+      expect(mockClient.query).toHaveBeenNthCalledWith(8, expect.stringContaining('INSERT INTO medicine_doses'), [5, 3, '08:00', null, '', 3]);
+      expect(mockClient.query).toHaveBeenLastCalledWith(expect.stringContaining('DELETE FROM dose_phases'), [5, [1, 3]]);
+    });
+
+    it('should reject invalid phases', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(repository.syncForMedication(5, [{ start_date: '2024-01-13', end_date: '2024-01-01' }]))
+        .rejects.toThrow('Validation failed for dose phase');
+    });
+  });
+});
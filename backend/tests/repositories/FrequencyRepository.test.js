@@ -284,9 +284,9 @@ describe('FrequencyRepository', () => {
   describe('findAllGrouped', () => {
     it('should return frequencies grouped by type', async () => {
       const mockFrequencies = [
-        new Frequency({ id: 1, name: 'Once daily', description: 'Daily' }),
-        new Frequency({ id: 2, name: 'Weekly', description: 'Weekly' }),
-        new Frequency({ id: 3, name: 'As needed', description: 'PRN' })
+        new Frequency({ id: 1, name: 'Once daily', description: 'Daily', recurrence_type: 'daily' }),
+        new Frequency({ id: 2, name: 'Weekly', description: 'Weekly', recurrence_type: 'weekly' }),
+        new Frequency({ id: 3, name: 'As needed', description: 'PRN', recurrence_type: 'as_needed' })
       ];
 
       jest.spyOn(repository, 'findAll').mockResolvedValue(mockFrequencies);
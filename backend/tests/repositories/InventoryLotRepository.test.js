@@ -0,0 +1,182 @@
+const InventoryLotRepository = require('../../repositories/InventoryLotRepository');
+const InventoryLot = require('../../models/InventoryLot');
+const { query, transaction } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('InventoryLotRepository', () => {
+  let repository;
+  let mockQuery;
+  let mockTransaction;
+  let mockClient;
+
+  beforeEach(() => {
+    repository = new InventoryLotRepository();
+    mockQuery = query;
+    mockTransaction = transaction;
+    jest.clearAllMocks();
+    mockClient = { query: jest.fn() };
+    mockTransaction.mockImplementation(async (callback) => callback(mockClient));
+    jest.spyOn(repository.storageLocationRepository, 'trimToTotal').mockResolvedValue([]);
+  });
+
+  describe('findByMedicationId', () => {
+    it('should load lots in first-expiry-first-out order', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{ id: 1, medicine_id: 3, quantity: '10.00', expiry_date: '2024-06-01', received_date: '2024-01-01' }]
+      });
+
+      const result = await repository.findByMedicationId(3);
+
+      expect(result[0]).toBeInstanceOf(InventoryLot);
+      expect(result[0].quantity).toBe(10);
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('ORDER BY expiry_date ASC NULLS LAST, received_date ASC, id ASC'),
+        [3]
+      );
+    });
+  });
+
+  describe('create', () => {
+    it('should add the received lot to the medication stock', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '30.00', lot_number: 'AB1', expiry_date: '2025-01-31', received_date: '2024-01-10' }] })
+        .mockResolvedValueOnce({ rows: [{ total_tablets: '45.00' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const lot = await repository.create({ medicine_id: 3, quantity: 30, lot_number: 'AB1', expiry_date: '2025-01-31' }, 7);
+
+      expect(lot.id).toBe(8);
+      expect(mockClient.query).toHaveBeenNthCalledWith(2, expect.stringContaining('UPDATE medications SET'), [3, 30]);
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        3,
+        expect.stringContaining('INSERT INTO audit_logs'),
+        [3, 30, JSON.stringify({ total_tablets: 45, reason: 'Received lot AB1' }), 7]
+      );
+    });
+
+    it('should reject invalid lots', async () => {
+      await expect(repository.create({ medicine_id: 3, quantity: -2 }))
+        .rejects.toThrow('Validation failed: Quantity must be a non-negative number');
+      expect(mockTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should change the stock by the quantity correction', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '30.00', lot_number: 'AB1', expiry_date: '2025-01-31', received_date: '2024-01-10' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '25.00', lot_number: 'AB1', expiry_date: '2025-01-31', received_date: '2024-01-10' }] })
+        .mockResolvedValueOnce({ rows: [{ total_tablets: '40.00' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const lot = await repository.update(8, { quantity: 25 });
+
+      expect(lot.quantity).toBe(25);
+      expect(mockClient.query).toHaveBeenNthCalledWith(3, expect.stringContaining('UPDATE medications SET'), [3, -5]);
+    });
+
+    it('should leave the stock alone when only the details change', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '30.00', expiry_date: '2025-01-31' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '30.00', expiry_date: '2025-02-28' }] });
+
+      await repository.update(8, { expiry_date: '2025-02-28' });
+
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report missing lots', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(repository.update(99, { quantity: 1 })).rejects.toThrow('Inventory lot not found');
+    });
+  });
+
+  describe('delete', () => {
+    it('should remove what the lot still held from the stock', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '12.00', lot_number: null }] })
+        .mockResolvedValueOnce({ rows: [{ total_tablets: '20.00' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(repository.delete(8)).resolves.toBe(true);
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        3,
+        expect.stringContaining('INSERT INTO audit_logs'),
+        [3, -12, JSON.stringify({ total_tablets: 20, reason: 'Removed lot #8' }), null]
+      );
+    });
+
+    it('should take what the unassigned stock cannot cover out of the locations', async () => {
+      repository.storageLocationRepository.trimToTotal.mockResolvedValue([
+        { location_id: 1, location_name: 'Home', quantity: 4 }
+      ]);
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '12.00', lot_number: null }] })
+        .mockResolvedValueOnce({ rows: [{ total_tablets: '20.00' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await repository.delete(8);
+
+      expect(repository.storageLocationRepository.trimToTotal).toHaveBeenCalledWith(3, 20, mockClient);
+      const auditValues = JSON.parse(mockClient.query.mock.calls[2][1][2]);
+      expect(auditValues.locations).toEqual([{ location_id: 1, location_name: 'Home', quantity: 4 }]);
+    });
+  });
+
+  describe('consume', () => {
+    it('should take the amount from the soonest-expiring lots', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [
+          { id: 2, medicine_id: 3, quantity: '1.00', lot_number: 'OLD', expiry_date: '2024-03-01' },
+          { id: 1, medicine_id: 3, quantity: '20.00', lot_number: 'NEW', expiry_date: '2024-09-01' }
+        ] })
+        .mockResolvedValue({ rows: [] });
+
+      const result = await repository.consume(3, 2, mockClient);
+
+      expect(result).toEqual([
+        { lot_id: 2, lot_number: 'OLD', expiry_date: '2024-03-01', quantity: 1 },
+        { lot_id: 1, lot_number: 'NEW', expiry_date: '2024-09-01', quantity: 1 }
+      ]);
+      expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(mockClient.query).toHaveBeenNthCalledWith(2, expect.stringContaining('UPDATE inventory_lots'), [2, 1]);
+      expect(mockClient.query).toHaveBeenNthCalledWith(3, expect.stringContaining('UPDATE inventory_lots'), [1, 1]);
+    });
+
+    it('should not query for nothing to take', async () => {
+      await expect(repository.consume(3, 0, mockClient)).resolves.toEqual([]);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('trimToTotal', () => {
+    it('should only take stock when the lots hold more than the count', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [{ lot_total: '30.00' }] });
+      const consume = jest.spyOn(repository, 'consume').mockResolvedValue([]);
+
+      await repository.trimToTotal(3, 40, mockClient);
+      expect(consume).not.toHaveBeenCalled();
+
+      mockClient.query.mockResolvedValueOnce({ rows: [{ lot_total: '30.00' }] });
+      await repository.trimToTotal(3, 25, mockClient);
+      expect(consume).toHaveBeenCalledWith(3, 5, mockClient);
+    });
+  });
+
+  describe('findExpiringBy', () => {
+    it('should load stocked lots expiring by the date with their medication timezone', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{ id: 1, medicine_id: 3, quantity: '5.00', expiry_date: '2024-02-01', medication_name: 'Med', patient_timezone: 'Europe/Paris' }]
+      });
+
+      const result = await repository.findExpiringBy('2024-02-14', '2024-01-15');
+
+      expect(result[0].medication_name).toBe('Med');
+      expect(result[0].timezone).toBe('Europe/Paris');
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('l.quantity > 0'), ['2024-02-14', '2024-01-15']);
+    });
+  });
+});
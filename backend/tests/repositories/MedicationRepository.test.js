@@ -74,6 +74,18 @@ describe('MedicationRepository', () => {
       await expect(repository.create(validMedicationData)).rejects.toThrow('Invalid route_id or frequency_id provided');
     });
 
+    it('should report unknown patients separately', async () => {
+      mockQuery.mockRejectedValue({ code: '23503', constraint: 'medications_patient_id_fkey' });
+
+      await expect(repository.create({ ...validMedicationData, patient_id: 99 })).rejects.toThrow('Invalid patient_id provided');
+    });
+
+    it('should report unknown pharmacies separately', async () => {
+      mockQuery.mockRejectedValue({ code: '23503', constraint: 'medications_pharmacy_id_fkey' });
+
+      await expect(repository.create({ ...validMedicationData, pharmacy_id: 99 })).rejects.toThrow('Invalid pharmacy_id provided');
+    });
+
     it('should propagate other database errors', async () => {
       const dbError = new Error('Database connection failed');
       mockQuery.mockRejectedValue(dbError);
@@ -233,6 +245,30 @@ describe('MedicationRepository', () => {
         []
       );
     });
+
+    it('should filter by patient', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ ...mockMedications[0], patient_id: 3 }] });
+
+      const result = await repository.findAll({ patient_id: 3, active: true });
+
+      expect(result[0].patient_id).toBe(3);
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('m.patient_id = $1'),
+        [3]
+      );
+    });
+
+    it('should limit results to patients the user is a member of', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      await repository.findAll({ accessible_by: 2 });
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('SELECT patient_id FROM patient_members WHERE user_id = $1'),
+        [2]
+      );
+      expect(mockQuery.mock.calls[0][0]).not.toContain('m.patient_id IS NULL');
+    });
   });
 
   describe('findActiveByDate', () => {
@@ -267,6 +303,29 @@ describe('MedicationRepository', () => {
         ['2024-03-01']
       );
     });
+
+    it('should limit active medications to a patient', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      await repository.findActiveByDate('2024-03-01', 3);
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('AND m.patient_id = $2'),
+        ['2024-03-01', 3]
+      );
+    });
+
+    it('should limit active medications to patients the user is a member of', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      await repository.findActiveByDate('2024-03-01', null, 2);
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('SELECT patient_id FROM patient_members WHERE user_id = $2'),
+        ['2024-03-01', 2]
+      );
+      expect(mockQuery.mock.calls[0][0]).not.toContain('m.patient_id IS NULL');
+    });
   });
 
   describe('update', () => {
@@ -330,6 +389,11 @@ describe('MedicationRepository', () => {
       total_tablets: 100
     };
 
+    beforeEach(() => {
+      jest.spyOn(repository.inventoryLotRepository, 'trimToTotal').mockResolvedValue([]);
+      jest.spyOn(repository.storageLocationRepository, 'trimToTotal').mockResolvedValue([]);
+    });
+
     it('should update inventory with transaction', async () => {
       jest.spyOn(repository, 'findById').mockResolvedValue(existingMedication);
       
@@ -345,7 +409,7 @@ describe('MedicationRepository', () => {
         return await callback(mockClient);
       });
 
-      const result = await repository.updateInventory(1, 80, 'Manual adjustment');
+      const result = await repository.updateInventory(1, 80, 'Manual adjustment', 7);
 
       expect(result).toBeInstanceOf(Medication);
       expect(result.total_tablets).toBe(80);
@@ -356,10 +420,29 @@ describe('MedicationRepository', () => {
       );
       expect(mockClient.query).toHaveBeenCalledWith(
         expect.stringContaining('INSERT INTO audit_logs'),
-        expect.arrayContaining([1, -20])
+        expect.arrayContaining([1, -20, 7])
       );
     });
 
+    it('should take a lower count out of the inventory lots', async () => {
+      jest.spyOn(repository, 'findById').mockResolvedValue(existingMedication);
+      repository.inventoryLotRepository.trimToTotal.mockResolvedValue([
+        { lot_id: 3, lot_number: 'A1', expiry_date: '2024-02-01', quantity: 20 }
+      ]);
+
+      const mockClient = { query: jest.fn() };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ ...existingMedication, total_tablets: 80 }] })
+        .mockResolvedValueOnce({ rows: [] });
+      mockTransaction.mockImplementation(async (callback) => callback(mockClient));
+
+      await repository.updateInventory(1, 80, 'Stock count');
+
+      expect(repository.inventoryLotRepository.trimToTotal).toHaveBeenCalledWith(1, 80, mockClient);
+      const auditValues = JSON.parse(mockClient.query.mock.calls[1][1][2]);
+      expect(auditValues.lots).toEqual([{ lot_id: 3, lot_number: 'A1', expiry_date: '2024-02-01', quantity: 20 }]);
+    });
+
     it('should throw error for invalid inventory amount', async () => {
       jest.spyOn(repository, 'findById').mockResolvedValue(existingMedication);
 
@@ -380,6 +463,12 @@ describe('MedicationRepository', () => {
       total_tablets: 100
     });
 
+    beforeEach(() => {
+      jest.spyOn(repository.inventoryLotRepository, 'consume').mockResolvedValue([]);
+      jest.spyOn(repository.storageLocationRepository, 'take').mockResolvedValue([]);
+      jest.spyOn(repository.storageLocationRepository, 'trimToTotal').mockResolvedValue([]);
+    });
+
     it('should mark dose as given and update inventory', async () => {
       jest.spyOn(repository, 'findById').mockResolvedValue(existingMedication);
       
@@ -408,6 +497,87 @@ describe('MedicationRepository', () => {
       );
     });
 
+    it('should record a dose event linked to the audit row when a slot is given', async () => {
+      jest.spyOn(repository, 'findById').mockResolvedValue(existingMedication);
+
+      const mockClient = {
+        query: jest.fn()
+      };
+
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ ...existingMedication, total_tablets: 99 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 42 }] }) // audit log insert
+        .mockResolvedValueOnce({ rows: [{
+          id: 7,
+          medicine_id: 1,
+          medicine_dose_id: 3,
+          scheduled_date: '2024-01-15',
+          scheduled_time: '08:00',
+          status: 'given',
+          audit_log_id: 42
+        }] });
+
+      mockTransaction.mockImplementation(async (callback) => {
+        return await callback(mockClient);
+      });
+
+      const timestamp = new Date('2024-01-15T08:05:00');
+      const result = await repository.markDoseGiven(1, 1, timestamp, {
+        medicine_dose_id: 3,
+        scheduled_date: '2024-01-15',
+        scheduled_time: '08:00',
+        status: 'given'
+      });
+
+      expect(result.dose_event.id).toBe(7);
+      expect(mockClient.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO dose_events'),
+        [1, 3, '2024-01-15', '08:00', 'given', 1, timestamp, null, null, 42]
+      );
+    });
+
+    it('should take the dose from the soonest-expiring lots', async () => {
+      jest.spyOn(repository, 'findById').mockResolvedValue(new Medication({ ...existingMedication }));
+      repository.inventoryLotRepository.consume.mockResolvedValue([
+        { lot_id: 4, lot_number: 'EXP-MAR', expiry_date: '2024-03-01', quantity: 1 },
+        { lot_id: 5, lot_number: 'EXP-JUN', expiry_date: '2024-06-01', quantity: 1 }
+      ]);
+
+      const mockClient = { query: jest.fn() };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ ...existingMedication, total_tablets: 98 }] })
+        .mockResolvedValueOnce({ rows: [] });
+      mockTransaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const result = await repository.markDoseGiven(1, 2);
+
+      expect(repository.inventoryLotRepository.consume).toHaveBeenCalledWith(1, 2, mockClient);
+      expect(result.dose_result.lots.map(lot => lot.lot_id)).toEqual([4, 5]);
+      const auditValues = JSON.parse(mockClient.query.mock.calls[1][1][2]);
+      expect(auditValues.lots).toHaveLength(2);
+    });
+
+    it('should take the dose from the chosen location and keep the locations within the stock', async () => {
+      jest.spyOn(repository, 'findById').mockResolvedValue(new Medication({ id: 1, name: 'Test Medication', total_tablets: 100 }));
+      repository.storageLocationRepository.take.mockResolvedValue([
+        { location_id: 2, location_name: 'Travel kit', quantity: 1 }
+      ]);
+
+      const mockClient = { query: jest.fn() };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ ...existingMedication, total_tablets: 98 }] })
+        .mockResolvedValueOnce({ rows: [] });
+      mockTransaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const result = await repository.markDoseGiven(1, 2, new Date(), null, null, 2);
+
+      expect(repository.storageLocationRepository.take).toHaveBeenCalledWith(1, 2, 2, mockClient);
+      expect(repository.storageLocationRepository.trimToTotal).toHaveBeenCalledWith(1, 98, mockClient);
+      expect(result.dose_result.locations).toEqual([{ location_id: 2, location_name: 'Travel kit', quantity: 1 }]);
+      const auditValues = JSON.parse(mockClient.query.mock.calls[1][1][2]);
+      expect(auditValues.locations).toEqual([{ location_id: 2, location_name: 'Travel kit', quantity: 1 }]);
+    });
+
     it('should throw error for invalid dose amount', async () => {
       jest.spyOn(repository, 'findById').mockResolvedValue(existingMedication);
 
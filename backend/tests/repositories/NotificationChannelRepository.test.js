@@ -0,0 +1,93 @@
+const NotificationChannelRepository = require('../../repositories/NotificationChannelRepository');
+const NotificationChannel = require('../../models/NotificationChannel');
+const { query } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('NotificationChannelRepository', () => {
+  let repository;
+  let mockQuery;
+
+  beforeEach(() => {
+    repository = new NotificationChannelRepository();
+    mockQuery = query;
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('should add a channel, refreshing an existing one', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{ id: 5, user_id: 1, channel: 'web_push', target: 'https://push.example.com/abc', keys: { p256dh: 'B', auth: 'A' }, is_enabled: true }]
+      });
+
+      const result = await repository.create({
+        user_id: 1,
+        channel: 'web_push',
+        target: 'https://push.example.com/abc',
+        keys: { p256dh: 'B', auth: 'A' }
+      });
+
+      expect(result).toBeInstanceOf(NotificationChannel);
+      expect(result.keys).toEqual({ p256dh: 'B', auth: 'A' });
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('ON CONFLICT (user_id, channel, target)'),
+        [1, 'web_push', 'https://push.example.com/abc', null, '{"p256dh":"B","auth":"A"}', true]
+      );
+    });
+
+    it('should reject invalid channels', async () => {
+      await expect(repository.create({ user_id: 1, channel: 'email', target: 'nope' }))
+        .rejects.toThrow('Validation failed: Target must be a valid email address');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should return null when the channel does not exist', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      expect(await repository.update(99, { is_enabled: false })).toBeNull();
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the user and channel type', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 2, user_id: 1, channel: 'webhook', target: 'https://hooks.example.com/a', secret: 'old' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 2, user_id: 1, channel: 'webhook', target: 'https://hooks.example.com/b', secret: 'old', is_enabled: false }] });
+
+      const result = await repository.update(2, {
+        user_id: 7,
+        channel: 'email',
+        target: 'https://hooks.example.com/b',
+        is_enabled: false
+      });
+
+      expect(result.target).toBe('https://hooks.example.com/b');
+      expect(mockQuery).toHaveBeenLastCalledWith(
+        expect.stringContaining('UPDATE notification_channels'),
+        [2, 'https://hooks.example.com/b', 'old', false]
+      );
+    });
+
+    it('should report a channel that was already added', async () => {
+      const duplicate = new Error('duplicate key');
+      duplicate.code = '23505';
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 2, user_id: 1, channel: 'email', target: 'a@example.com' }] })
+        .mockRejectedValueOnce(duplicate);
+
+      await expect(repository.update(2, { target: 'b@example.com' })).rejects.toThrow('This channel has already been added');
+    });
+  });
+
+  describe('disable', () => {
+    it('should turn the channel off', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      await repository.disable(5);
+
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('SET is_enabled = false'), [5]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const NotificationDeliveryRepository = require('../../repositories/NotificationDeliveryRepository');
+const NotificationChannel = require('../../models/NotificationChannel');
+const { query } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('NotificationDeliveryRepository', () => {
+  let repository;
+  let mockQuery;
+
+  beforeEach(() => {
+    repository = new NotificationDeliveryRepository();
+    mockQuery = query;
+    jest.clearAllMocks();
+  });
+
+  describe('claimDue', () => {
+    it('should claim due deliveries with their channel and notification', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{
+          id: 3,
+          notification_id: 10,
+          channel_id: 2,
+          status: 'pending',
+          attempts: 1,
+          channel_row: { id: 2, user_id: 1, channel: 'email', target: 'carer@example.com', is_enabled: true },
+          notification_row: {
+            id: 10,
+            medicine_id: 7,
+            type: 'BUY_SOON',
+            message: 'Aspirin is running low.',
+            payload: { days_remaining: 2 },
+            medication_name: 'Aspirin'
+          }
+        }]
+      });
+
+      const [delivery] = await repository.claimDue(25);
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('FOR UPDATE SKIP LOCKED'),
+        [25, 5]
+      );
+      expect(mockQuery.mock.calls[0][0]).toContain('attempts = attempts + 1');
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.channel).toBeInstanceOf(NotificationChannel);
+      expect(delivery.channel.target).toBe('carer@example.com');
+      expect(delivery.notification).toEqual(expect.objectContaining({
+        id: 10,
+        type: 'BUY_SOON',
+        medication_name: 'Aspirin',
+        payload: { days_remaining: 2 }
+      }));
+    });
+  });
+
+  describe('markSent', () => {
+    it('should record the delivery as sent', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 3, status: 'sent' }] });
+
+      const result = await repository.markSent(3);
+
+      expect(result.status).toBe('sent');
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining("status = 'sent'"), [3]);
+    });
+  });
+
+  describe('markFailed', () => {
+    it('should keep a delivery with a retry time pending', async () => {
+      const nextAttemptAt = new Date('2024-06-01T08:02:00Z');
+      mockQuery.mockResolvedValue({ rows: [{ id: 3, status: 'pending' }] });
+
+      await repository.markFailed(3, 'Webhook responded with HTTP 500', nextAttemptAt);
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE notification_deliveries'),
+        [3, 'pending', nextAttemptAt, 'Webhook responded with HTTP 500']
+      );
+    });
+
+    it('should give up on a delivery without a retry time', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 3, status: 'failed' }] });
+
+      await repository.markFailed(3, 'Channel is disabled');
+
+      expect(mockQuery.mock.calls[0][1]).toEqual([3, 'failed', null, 'Channel is disabled']);
+    });
+  });
+
+  describe('findByChannelId', () => {
+    it('should list recent deliveries with what was delivered', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{ id: 3, channel_id: 2, status: 'failed', attempts: 5, last_error: 'timeout', notification_type: 'DOSE_DUE', notification_message: 'Time to take Aspirin' }]
+      });
+
+      const [delivery] = await repository.findByChannelId(2, 10);
+
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('WHERE d.channel_id = $1'), [2, 10]);
+      expect(delivery).toEqual(expect.objectContaining({
+        id: 3,
+        status: 'failed',
+        last_error: 'timeout',
+        notification_type: 'DOSE_DUE',
+        notification_message: 'Time to take Aspirin'
+      }));
+    });
+  });
+});
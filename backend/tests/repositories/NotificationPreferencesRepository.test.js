@@ -0,0 +1,100 @@
+const NotificationPreferencesRepository = require('../../repositories/NotificationPreferencesRepository');
+const NotificationPreferences = require('../../models/NotificationPreferences');
+const { query } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('NotificationPreferencesRepository', () => {
+  let repository;
+  let mockQuery;
+
+  beforeEach(() => {
+    repository = new NotificationPreferencesRepository();
+    mockQuery = query;
+    jest.clearAllMocks();
+  });
+
+  describe('findByPatientId', () => {
+    it("should return a patient's preferences in the patient's timezone", async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{ id: 2, patient_id: 4, patient_timezone: 'Asia/Tokyo', minutes_ahead: 30, quiet_hours_start: '23:00:00' }]
+      });
+
+      const result = await repository.findByPatientId(4);
+
+      expect(result).toBeInstanceOf(NotificationPreferences);
+      expect(result.minutes_ahead).toBe(30);
+      expect(result.quiet_hours_start).toBe('23:00');
+      expect(result.timezone).toBe('Asia/Tokyo');
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('IS NOT DISTINCT FROM $1::int'), [4]);
+    });
+  });
+
+  describe('findAll', () => {
+    it('should return the preferences of every patient and of unassigned medications', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [
+          { id: null, patient_id: 4, patient_timezone: 'UTC', minutes_ahead: null },
+          { id: 1, patient_id: null, patient_timezone: null, minutes_ahead: 45 }
+        ]
+      });
+
+      const result = await repository.findAll();
+
+      expect(result.map(p => [p.patient_id, p.minutes_ahead])).toEqual([[4, 15], [null, 45]]);
+      expect(mockQuery.mock.calls[0][0]).toContain('FROM patients p');
+      expect(mockQuery.mock.calls[0][0]).toContain('UNION ALL');
+    });
+  });
+
+  describe('save', () => {
+    it('should merge the changes into the current preferences', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 2, patient_id: 4, minutes_ahead: 30, disabled_types: ['BUY_SOON'] }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 2, patient_id: 4, minutes_ahead: 30, quiet_hours_enabled: true }] });
+
+      const result = await repository.save(4, { quiet_hours_enabled: true, quiet_hours_end: '06:30' });
+
+      expect(mockQuery).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('ON CONFLICT ((COALESCE(patient_id, 0)))'),
+        [4, ['BUY_SOON'], 30, 1, 1, 15, 2, null, true, '22:00', '06:30']
+      );
+      expect(result.quiet_hours_enabled).toBe(true);
+    });
+
+    it('should save a secondary caregiver who is a member of the patient', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 2, patient_id: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 9, patient_id: 4, user_id: 7, role: 'caregiver' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 2, patient_id: 4, escalation_user_id: 7 }] });
+
+      const result = await repository.save(4, { escalation_user_id: 7 });
+
+      expect(mockQuery).toHaveBeenNthCalledWith(2, expect.stringContaining('FROM patient_members'), [4, 7]);
+      expect(mockQuery.mock.calls[2][1][7]).toBe(7);
+      expect(result.escalation_user_id).toBe(7);
+    });
+
+    it('should reject a secondary caregiver who is not a member of the patient', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 2, patient_id: 4 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(repository.save(4, { escalation_user_id: 8 }))
+        .rejects.toThrow('Validation failed: Secondary caregiver must be a member of the patient');
+      expect(mockQuery).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject invalid preferences', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: null, patient_id: null }] });
+
+      await expect(repository.save(null, { minutes_ahead: 500 }))
+        .rejects.toThrow('Validation failed: Minutes ahead must be an integer between 5 and 120');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+});
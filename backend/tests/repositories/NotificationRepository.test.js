@@ -42,7 +42,7 @@ describe('NotificationRepository', () => {
 
       expect(mockQuery).toHaveBeenCalledWith(
         expect.stringContaining('INSERT INTO notifications'),
-        [1, 'BUY_SOON', 'Test notification message', '{"test":"data"}', false, expect.any(Date)]
+        [1, 'BUY_SOON', 'Test notification message', '{"test":"data"}', false, expect.any(Date), null, null]
       );
 
       expect(result).toEqual({
@@ -50,6 +50,8 @@ describe('NotificationRepository', () => {
         medicine_id: 1,
         medication_name: null,
         medication_strength: null,
+        pharmacy_id: null,
+        pharmacy_name: null,
         type: 'BUY_SOON',
         message: 'Test notification message',
         payload: { test: 'data' },
@@ -84,6 +86,41 @@ describe('NotificationRepository', () => {
       expect(result.type).toBe('DOSE_DUE');
     });
 
+    it("should queue deliveries to the enabled channels of the patient's members", async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 3, medicine_id: 1, patient_id: 2, type: 'BUY_SOON', message: 'Low' }] });
+
+      const result = await notificationRepository.create({ medicine_id: 1, type: 'BUY_SOON', message: 'Low' });
+
+      const sql = mockQuery.mock.calls[0][0];
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+      expect(sql).toContain('INSERT INTO notification_deliveries (notification_id, channel_id, next_attempt_at)');
+      expect(sql).toContain('JOIN notification_channels nc ON nc.is_enabled');
+      expect(sql).not.toContain('i.patient_id IS NULL');
+      expect(sql).toContain('FROM patient_members pm WHERE pm.patient_id = i.patient_id');
+      expect(result.id).toBe(3);
+      expect(result.patient_id).toBe(2);
+    });
+
+    it('should hold deliveries of a notification held during quiet hours', async () => {
+      const heldUntil = new Date('2024-01-02T07:00:00Z');
+      mockQuery.mockResolvedValue({ rows: [{ id: 4, medicine_id: 1, type: 'DOSE_DUE', message: 'Due', held_until: heldUntil }] });
+
+      const result = await notificationRepository.create({ medicine_id: 1, type: 'DOSE_DUE', message: 'Due', held_until: heldUntil });
+
+      expect(mockQuery.mock.calls[0][0]).toContain('COALESCE(i.held_until, now())');
+      expect(mockQuery.mock.calls[0][1][6]).toBe(heldUntil);
+      expect(result.held_until).toBe(heldUntil);
+    });
+
+    it("should leave the secondary caregiver out of a dose's deliveries", async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 5, medicine_id: 1, type: 'MISSED_DOSE', message: 'Missed' }] });
+
+      await notificationRepository.create({ medicine_id: 1, type: 'MISSED_DOSE', message: 'Missed' });
+
+      expect(mockQuery.mock.calls[0][0]).toContain('np.escalation_user_id = nc.user_id');
+      expect(mockQuery.mock.calls[0][0]).toContain("i.type IN ('DOSE_DUE', 'MISSED_DOSE')");
+    });
+
     it('should throw error if type is missing', async () => {
       const notificationData = {
         message: 'Test message'
@@ -143,6 +180,8 @@ describe('NotificationRepository', () => {
         medicine_id: 1,
         medication_name: 'Aspirin',
         medication_strength: '100mg',
+        pharmacy_id: null,
+        pharmacy_name: null,
         type: 'BUY_SOON',
         message: 'Test message',
         payload: { test: 'data' },
@@ -210,11 +249,23 @@ describe('NotificationRepository', () => {
       await notificationRepository.findAll({ medicine_id: 1 });
 
       expect(mockQuery).toHaveBeenCalledWith(
-        expect.stringContaining('WHERE n.medicine_id = $1'),
+        expect.stringContaining('WHERE n.held_until IS NULL AND n.medicine_id = $1'),
         [1]
       );
     });
 
+    it('should limit results to patients the user is a member of', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      await notificationRepository.findAll({ accessible_by: 2 });
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('SELECT patient_id FROM patient_members WHERE user_id = $1'),
+        [2]
+      );
+      expect(mockQuery.mock.calls[0][0]).not.toContain('n.patient_id IS NULL');
+    });
+
     it('should filter by notification type', async () => {
       const mockResult = { rows: [] };
       mockQuery.mockResolvedValue(mockResult);
@@ -222,7 +273,7 @@ describe('NotificationRepository', () => {
       await notificationRepository.findAll({ type: 'BUY_SOON' });
 
       expect(mockQuery).toHaveBeenCalledWith(
-        expect.stringContaining('WHERE n.type = $1'),
+        expect.stringContaining('WHERE n.held_until IS NULL AND n.type = $1'),
         ['BUY_SOON']
       );
     });
@@ -234,7 +285,7 @@ describe('NotificationRepository', () => {
       await notificationRepository.findAll({ is_read: false });
 
       expect(mockQuery).toHaveBeenCalledWith(
-        expect.stringContaining('WHERE n.is_read = $1'),
+        expect.stringContaining('WHERE n.held_until IS NULL AND n.is_read = $1'),
         [false]
       );
     });
@@ -262,7 +313,7 @@ describe('NotificationRepository', () => {
       });
 
       expect(mockQuery).toHaveBeenCalledWith(
-        expect.stringContaining('WHERE n.medicine_id = $1 AND n.type = $2 AND n.is_read = $3'),
+        expect.stringContaining('WHERE n.held_until IS NULL AND n.medicine_id = $1 AND n.type = $2 AND n.is_read = $3'),
         [1, 'BUY_SOON', false]
       );
     });
@@ -398,6 +449,9 @@ describe('NotificationRepository', () => {
           buy_soon_count: '2',
           dose_due_count: '5',
           missed_dose_count: '3',
+          expiring_soon_count: '1',
+          prescription_renewal_count: '2',
+          digest_count: '1',
           earliest_notification: new Date('2024-01-01T08:00:00Z'),
           latest_notification: new Date('2024-01-01T18:00:00Z')
         }]
@@ -414,6 +468,9 @@ describe('NotificationRepository', () => {
         buy_soon_count: 2,
         dose_due_count: 5,
         missed_dose_count: 3,
+        expiring_soon_count: 1,
+        prescription_renewal_count: 2,
+        digest_count: 1,
         earliest_notification: new Date('2024-01-01T08:00:00Z'),
         latest_notification: new Date('2024-01-01T18:00:00Z')
       });
@@ -438,7 +495,7 @@ describe('NotificationRepository', () => {
       await notificationRepository.getStats(1);
 
       expect(mockQuery).toHaveBeenCalledWith(
-        expect.stringContaining('WHERE n.medicine_id = $1'),
+        expect.stringContaining('WHERE n.held_until IS NULL AND n.medicine_id = $1'),
         [1]
       );
     });
@@ -475,6 +532,25 @@ describe('NotificationRepository', () => {
         expect(result.message).toContain('Aspirin is running low');
       });
 
+      it('should name the preferred pharmacy to buy at', async () => {
+        mockQuery
+          .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+          .mockImplementationOnce((sql, values) => Promise.resolve({
+            rows: [{ id: 1, medicine_id: 1, type: 'BUY_SOON', message: values[2], payload: values[3] }]
+          }));
+
+        const result = await notificationRepository.createBuySoonNotification(1, {
+          medication_name: 'Aspirin',
+          current_tablets: 5,
+          days_remaining: 2,
+          pharmacy_id: 8,
+          pharmacy_name: 'Corner Pharmacy'
+        });
+
+        expect(result.message).toBe('Aspirin is running low. 5 tablets remaining (2 days). Buy at Corner Pharmacy.');
+        expect(result.payload.pharmacy_id).toBe(8);
+      });
+
       it('should return null if notification already exists', async () => {
         // Mock existsByTypeAndMedication to return true
         mockQuery.mockResolvedValueOnce({ rows: [{ count: '1' }] });
@@ -520,6 +596,38 @@ describe('NotificationRepository', () => {
       });
     });
 
+    describe('dose unit wording', () => {
+      it('should name doses and stock in the medication dose unit', async () => {
+        mockQuery.mockImplementation(async (sql, values) => (
+          sql.includes('COUNT') ? { rows: [{ count: '0' }] } : {
+            rows: [{ id: 1, medicine_id: 1, type: values[1], message: values[2], payload: values[3] }]
+          }
+        ));
+
+        const due = await notificationRepository.createDoseDueNotification(1, {
+          medication_name: 'Insulin',
+          dose_amount: 8,
+          dose_unit: 'unit',
+          time_of_day: '08:00'
+        });
+        const low = await notificationRepository.createBuySoonNotification(1, {
+          medication_name: 'Salbutamol',
+          current_tablets: 20,
+          dose_unit: 'puff',
+          days_remaining: 5
+        });
+        const missed = await notificationRepository.createMissedDoseNotification(1, {
+          medication_name: 'Aspirin',
+          dose_amount: 1,
+          time_of_day: '08:00'
+        });
+
+        expect(due.message).toBe('Time to take Insulin - 8 units at 08:00.');
+        expect(low.message).toBe('Salbutamol is running low. 20 puffs remaining (5 days).');
+        expect(missed.message).toBe('Missed dose: Aspirin - 1 tablet at 08:00.');
+      });
+    });
+
     describe('createMissedDoseNotification', () => {
       it('should create missed dose notification', async () => {
         const mockResult = {
@@ -547,6 +655,363 @@ describe('NotificationRepository', () => {
         expect(result.type).toBe('MISSED_DOSE');
         expect(result.message).toContain('Missed dose: Aspirin');
       });
+
+      it('should return null when the slot was already notified', async () => {
+        mockQuery.mockRejectedValue({ code: '23505' });
+
+        const result = await notificationRepository.createMissedDoseNotification(1, {
+          medication_name: 'Aspirin',
+          dose_amount: 1,
+          time_of_day: '08:00',
+          medicine_dose_id: 2,
+          scheduled_date: '2024-01-01',
+          slot_time: '08:00'
+        });
+
+        expect(result).toBeNull();
+      });
+    });
+
+    describe('createExpiringSoonNotification', () => {
+      it('should describe the lot and when it expires', async () => {
+        mockQuery.mockImplementation(async (sql, values) => ({
+          rows: [{ id: 1, medicine_id: 1, type: values[1], message: values[2], payload: values[3] }]
+        }));
+
+        const soon = await notificationRepository.createExpiringSoonNotification(1, {
+          medication_name: 'Aspirin',
+          lot_id: 5,
+          lot_number: 'AB123',
+          quantity: 12,
+          expiry_date: '2024-02-01',
+          days_until_expiry: 17
+        });
+        const expired = await notificationRepository.createExpiringSoonNotification(1, {
+          medication_name: 'Aspirin',
+          lot_id: 6,
+          lot_number: null,
+          quantity: 3,
+          expiry_date: '2024-01-10',
+          days_until_expiry: -5
+        });
+
+        expect(soon.type).toBe('EXPIRING_SOON');
+        expect(soon.message).toBe('Lot AB123 of Aspirin expires on 2024-02-01 (17 days). 12 tablets left in it.');
+        expect(expired.message).toBe('A lot of Aspirin expired on 2024-01-10. 3 tablets left in it.');
+      });
+
+      it('should count the stock left in the dose unit', async () => {
+        mockQuery.mockImplementation(async (sql, values) => ({
+          rows: [{ id: 1, medicine_id: 1, type: values[1], message: values[2], payload: values[3] }]
+        }));
+
+        const result = await notificationRepository.createExpiringSoonNotification(1, {
+          medication_name: 'Salbutamol',
+          lot_id: 7,
+          lot_number: 'S1',
+          quantity: 1,
+          dose_unit: 'puff',
+          expiry_date: '2024-02-01',
+          days_until_expiry: 17
+        });
+
+        expect(result.message).toBe('Lot S1 of Salbutamol expires on 2024-02-01 (17 days). 1 puff left in it.');
+      });
+
+      it('should return null when the lot was already notified', async () => {
+        mockQuery.mockRejectedValue({ code: '23505' });
+
+        const result = await notificationRepository.createExpiringSoonNotification(1, {
+          medication_name: 'Aspirin',
+          lot_id: 5,
+          quantity: 12,
+          expiry_date: '2024-02-01',
+          days_until_expiry: 17
+        });
+
+        expect(result).toBeNull();
+      });
+    });
+
+    describe('createDigestNotification', () => {
+      it("should sum up a patient's day or week", async () => {
+        mockQuery.mockImplementation(async (sql, values) => ({
+          rows: [{ id: 1, medicine_id: null, patient_id: values[7], type: values[1], message: values[2], payload: values[3] }]
+        }));
+
+        const daily = await notificationRepository.createDigestNotification(4, {
+          period: 'daily',
+          start_date: '2024-01-15',
+          end_date: '2024-01-15',
+          schedule: [{ medication_name: 'Aspirin' }],
+          low_stock: [],
+          missed_yesterday: [{ medication_name: 'Aspirin' }, { medication_name: 'Vitamin D' }]
+        });
+        const weekly = await notificationRepository.createDigestNotification(null, {
+          period: 'weekly',
+          start_date: '2024-01-08',
+          end_date: '2024-01-14',
+          adherence_rate: 93,
+          missed_doses: 1,
+          medications: []
+        });
+
+        expect(daily.type).toBe('DIGEST');
+        expect(daily.patient_id).toBe(4);
+        expect(daily.message).toBe('Today: 1 dose scheduled, 0 running low, 2 missed yesterday.');
+        expect(daily.payload.missed_yesterday).toHaveLength(2);
+        expect(weekly.patient_id).toBeNull();
+        expect(weekly.message).toBe('Week of 2024-01-08: 93% of doses taken, 1 missed.');
+      });
+
+      it('should return null when the patient already has the digest', async () => {
+        mockQuery.mockRejectedValue({ code: '23505' });
+
+        const result = await notificationRepository.createDigestNotification(4, {
+          period: 'weekly', start_date: '2024-01-08', adherence_rate: null, missed_doses: 0
+        });
+
+        expect(result).toBeNull();
+      });
+    });
+
+    describe('createPrescriptionRenewalNotification', () => {
+      it('should say why the prescription needs renewing and who to ask', async () => {
+        mockQuery.mockImplementation(async (sql, values) => ({
+          rows: [{ id: 1, medicine_id: 1, type: values[1], message: values[2], payload: values[3] }]
+        }));
+
+        const noRefills = await notificationRepository.createPrescriptionRenewalNotification(1, {
+          medication_name: 'Aspirin',
+          prescription_id: 4,
+          prescriber_name: 'Dr. Smith',
+          reason: 'no_refills',
+          expiry_date: null,
+          days_until_expiry: null
+        });
+        const expiring = await notificationRepository.createPrescriptionRenewalNotification(1, {
+          medication_name: 'Aspirin',
+          prescription_id: 4,
+          prescriber_name: null,
+          reason: 'expiring',
+          expiry_date: '2024-02-01',
+          days_until_expiry: 17
+        });
+        const expired = await notificationRepository.createPrescriptionRenewalNotification(1, {
+          medication_name: 'Aspirin',
+          prescription_id: 4,
+          prescriber_name: 'Dr. Smith',
+          reason: 'expiring',
+          expiry_date: '2024-01-10',
+          days_until_expiry: -5
+        });
+
+        expect(noRefills.type).toBe('PRESCRIPTION_RENEWAL');
+        expect(noRefills.message).toBe('The prescription for Aspirin has no refills left. Ask Dr. Smith for a renewal.');
+        expect(expiring.message).toBe('The prescription for Aspirin expires on 2024-02-01 (17 days). Ask for a renewal.');
+        expect(expired.message).toBe('The prescription for Aspirin expired on 2024-01-10. Ask Dr. Smith for a renewal.');
+      });
+
+      it('should return null when the prescription was already notified for the reason', async () => {
+        mockQuery.mockRejectedValue({ code: '23505' });
+
+        const result = await notificationRepository.createPrescriptionRenewalNotification(1, {
+          medication_name: 'Aspirin',
+          prescription_id: 4,
+          reason: 'no_refills'
+        });
+
+        expect(result).toBeNull();
+      });
+    });
+  });
+
+  describe('findUnresolvedMissedDoses', () => {
+    it('should find open missed-dose notifications for the dates', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{
+          id: 1,
+          medicine_id: 1,
+          type: 'MISSED_DOSE',
+          message: 'Missed dose',
+          payload: { medicine_dose_id: 2, scheduled_date: '2024-01-01', slot_time: '08:00' },
+          is_read: false,
+          resolved_at: null
+        }]
+      });
+
+      const result = await notificationRepository.findUnresolvedMissedDoses(['2024-01-01']);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].payload.slot_time).toBe('08:00');
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('resolved_at IS NULL'),
+        [['2024-01-01']]
+      );
+    });
+
+    it('should not query without dates', async () => {
+      const result = await notificationRepository.findUnresolvedMissedDoses([]);
+
+      expect(result).toEqual([]);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveMissedDose', () => {
+    it('should mark the slot notification as read and resolved', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{
+          id: 1,
+          medicine_id: 1,
+          type: 'MISSED_DOSE',
+          message: 'Missed dose',
+          payload: { medicine_dose_id: 2, resolution: 'late' },
+          is_read: true,
+          resolved_at: new Date('2024-01-01T10:00:00Z')
+        }]
+      });
+
+      const result = await notificationRepository.resolveMissedDose(1, 2, '2024-01-01', '08:00', 'late');
+
+      expect(result[0].is_read).toBe(true);
+      expect(result[0].payload.resolution).toBe('late');
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('resolved_at = now()'),
+        [1, '2', '2024-01-01', '08:00', 'late']
+      );
+    });
+  });
+
+  describe('resolveBuySoon', () => {
+    it('should resolve the open buy-soon notifications of a medication', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [{ id: 3, medicine_id: 1, type: 'BUY_SOON', payload: { resolution: 'refilled' }, is_read: true }]
+      });
+
+      const result = await notificationRepository.resolveBuySoon(1, 'refilled');
+
+      expect(result[0].payload.resolution).toBe('refilled');
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining("WHERE type = 'BUY_SOON'"),
+        [1, 'refilled']
+      );
+    });
+
+    it('should run on a transaction client when given one', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      expect(await notificationRepository.resolveBuySoon(1, 'refilled', client)).toEqual([]);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('resolved_at = now()'), [1, 'refilled']);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolvePrescriptionRenewal', () => {
+    it('should resolve the open renewal notifications of a medication', async () => {
+      const client = { query: jest.fn().mockResolvedValue({
+        rows: [{ id: 3, medicine_id: 1, type: 'PRESCRIPTION_RENEWAL', payload: { resolution: 'renewed' }, is_read: true }]
+      }) };
+
+      const result = await notificationRepository.resolvePrescriptionRenewal(1, 'renewed', client);
+
+      expect(result[0].payload.resolution).toBe('renewed');
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining("WHERE type = 'PRESCRIPTION_RENEWAL'"),
+        [1, 'renewed']
+      );
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseHeld', () => {
+    it('should release the notifications whose quiet hours have ended', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 5, medicine_id: 1, type: 'DOSE_DUE', held_until: null }] });
+
+      const result = await notificationRepository.releaseHeld();
+
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('SET held_until = NULL'));
+      expect(mockQuery.mock.calls[0][0]).toContain('WHERE held_until <= now()');
+      expect(mockQuery.mock.calls[0][0]).toContain('notified_at = now()');
+      expect(result).toHaveLength(1);
+      expect(result[0].id).toBe(5);
+    });
+  });
+
+  describe('snooze', () => {
+    it('should snooze an open dose reminder and postpone its deliveries', async () => {
+      const snoozedUntil = new Date('2024-01-01T10:30:00Z');
+      mockQuery.mockResolvedValue({ rows: [{ id: 5, type: 'DOSE_DUE', is_read: true, snoozed_until: snoozedUntil }] });
+
+      const result = await notificationRepository.snooze(5, 30);
+
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining("INTERVAL '1 minute' * $2"), [5, 30]);
+      expect(mockQuery.mock.calls[0][0]).toContain("type = 'DOSE_DUE'");
+      expect(mockQuery.mock.calls[0][0]).toContain('SET next_attempt_at = s.snoozed_until');
+      expect(result.snoozed_until).toBe(snoozedUntil);
+    });
+
+    it('should return null when there is no open reminder to snooze', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      expect(await notificationRepository.snooze(6, 10)).toBeNull();
+    });
+  });
+
+  describe('acknowledge', () => {
+    it('should acknowledge a notification once', async () => {
+      const acknowledgedAt = new Date('2024-01-01T10:05:00Z');
+      mockQuery.mockResolvedValue({ rows: [{ id: 5, type: 'DOSE_DUE', is_read: true, acknowledged_at: acknowledgedAt }] });
+
+      const result = await notificationRepository.acknowledge(5);
+
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('COALESCE(acknowledged_at, now())'), [5]);
+      expect(result.acknowledged_at).toBe(acknowledgedAt);
+    });
+
+    it('should return null for a non-existent notification', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      expect(await notificationRepository.acknowledge(999)).toBeNull();
+    });
+  });
+
+  describe('acknowledgeRecordedDoses', () => {
+    it('should acknowledge reminders whose slot has a dose event', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 5, type: 'DOSE_DUE' }] });
+
+      const result = await notificationRepository.acknowledgeRecordedDoses();
+
+      expect(mockQuery.mock.calls[0][0]).toContain('FROM dose_events de');
+      expect(mockQuery.mock.calls[0][0]).toContain("(n.payload->>'slot_time')::time");
+      expect(result.map(n => n.id)).toEqual([5]);
+    });
+  });
+
+  describe('renotifyDueReminders', () => {
+    it('should raise due reminders again and send their deliveries again', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 5, type: 'DOSE_DUE', is_read: false, escalation_level: 1 }] });
+
+      const result = await notificationRepository.renotifyDueReminders(15, 2);
+
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('COALESCE(np.renotify_minutes, $1)'), [15, 2]);
+      expect(mockQuery.mock.calls[0][0]).toContain('COALESCE(np.max_renotifications, $2)');
+      expect(mockQuery.mock.calls[0][0]).toContain('n.snoozed_until <= now()');
+      expect(mockQuery.mock.calls[0][0]).toContain("SET status = 'pending'");
+      expect(result[0].escalation_level).toBe(1);
+    });
+  });
+
+  describe('escalateMissedDoses', () => {
+    it("should queue deliveries to the secondary caregiver's channels", async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 8, type: 'MISSED_DOSE', escalation_level: 1, escalation_user_id: 7 }] });
+
+      const result = await notificationRepository.escalateMissedDoses();
+
+      expect(mockQuery.mock.calls[0][0]).toContain('nc.user_id = e.escalation_user_id');
+      expect(mockQuery.mock.calls[0][0]).toContain('ON CONFLICT (notification_id, channel_id) DO NOTHING');
+      expect(mockQuery.mock.calls[0][0]).toContain('r.acknowledged_at IS NOT NULL');
+      expect(result).toEqual([expect.objectContaining({ id: 8, escalation_level: 1, escalation_user_id: 7 })]);
     });
   });
 
@@ -571,6 +1036,8 @@ describe('NotificationRepository', () => {
         medicine_id: 1,
         medication_name: 'Aspirin',
         medication_strength: '100mg',
+        pharmacy_id: null,
+        pharmacy_name: null,
         type: 'BUY_SOON',
         message: 'Test message',
         payload: { test: 'data' },
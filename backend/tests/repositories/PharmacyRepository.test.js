@@ -0,0 +1,55 @@
+const PharmacyRepository = require('../../repositories/PharmacyRepository');
+const Pharmacy = require('../../models/Pharmacy');
+const { query } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('PharmacyRepository', () => {
+  let repository;
+  let mockQuery;
+
+  beforeEach(() => {
+    repository = new PharmacyRepository();
+    mockQuery = query;
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('should create a pharmacy', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 2, name: 'Corner Pharmacy', hours: 'Mon-Fri 9-18' }] });
+
+      const result = await repository.create({ name: 'Corner Pharmacy', hours: 'Mon-Fri 9-18' });
+
+      expect(result).toBeInstanceOf(Pharmacy);
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO pharmacies'),
+        ['Corner Pharmacy', null, null, 'Mon-Fri 9-18']
+      );
+    });
+
+    it('should reject invalid pharmacies', async () => {
+      await expect(repository.create({ name: '' })).rejects.toThrow('Validation failed: Pharmacy name is required');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findAll', () => {
+    it('should count the medications that prefer each pharmacy', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 2, name: 'Corner Pharmacy', medication_count: '4' }] });
+
+      const result = await repository.findAll();
+
+      expect(result[0].medication_count).toBe(4);
+    });
+  });
+
+  describe('update', () => {
+    it('should return null when the pharmacy does not exist', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      expect(await repository.update(99, { name: 'Main Street Pharmacy' })).toBeNull();
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+});
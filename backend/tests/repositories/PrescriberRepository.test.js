@@ -0,0 +1,55 @@
+const PrescriberRepository = require('../../repositories/PrescriberRepository');
+const Prescriber = require('../../models/Prescriber');
+const { query } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('PrescriberRepository', () => {
+  let repository;
+  let mockQuery;
+
+  beforeEach(() => {
+    repository = new PrescriberRepository();
+    mockQuery = query;
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('should create a prescriber', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 2, name: 'Dr. Smith', practice: 'Riverside Clinic' }] });
+
+      const result = await repository.create({ name: 'Dr. Smith', practice: 'Riverside Clinic' });
+
+      expect(result).toBeInstanceOf(Prescriber);
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO prescribers'),
+        ['Dr. Smith', 'Riverside Clinic', null, null]
+      );
+    });
+
+    it('should reject invalid prescribers', async () => {
+      await expect(repository.create({ name: '' })).rejects.toThrow('Validation failed: Prescriber name is required');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findAll', () => {
+    it('should count the prescriptions of each prescriber', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 2, name: 'Dr. Smith', prescription_count: '3' }] });
+
+      const result = await repository.findAll();
+
+      expect(result[0].prescription_count).toBe(3);
+    });
+  });
+
+  describe('update', () => {
+    it('should return null when the prescriber does not exist', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      expect(await repository.update(99, { name: 'Dr. Jones' })).toBeNull();
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+});
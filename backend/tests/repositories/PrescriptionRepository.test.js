@@ -0,0 +1,138 @@
+const PrescriptionRepository = require('../../repositories/PrescriptionRepository');
+const Prescription = require('../../models/Prescription');
+const { query, transaction } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('PrescriptionRepository', () => {
+  let repository;
+  let mockQuery;
+  let mockTransaction;
+  let mockClient;
+
+  beforeEach(() => {
+    repository = new PrescriptionRepository();
+    mockQuery = query;
+    mockTransaction = transaction;
+    jest.clearAllMocks();
+    mockClient = { query: jest.fn() };
+    mockTransaction.mockImplementation(async (callback) => callback(mockClient));
+  });
+
+  const prescriptionRow = (overrides = {}) => ({
+    id: 4,
+    medicine_id: 3,
+    prescriber_id: 2,
+    prescriber_name: 'Dr. Smith',
+    prescription_number: 'RX-1',
+    issue_date: '2024-01-01',
+    expiry_date: '2025-01-01',
+    authorized_refills: 5,
+    refills_used: 0,
+    ...overrides
+  });
+
+  describe('create', () => {
+    it('should resolve renewal notifications when the prescription becomes current', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [prescriptionRow()] })
+        .mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValue({ rows: [prescriptionRow()] });
+
+      const result = await repository.create({
+        medicine_id: 3,
+        prescriber_id: 2,
+        prescription_number: 'RX-1',
+        issue_date: '2024-01-01',
+        expiry_date: '2025-01-01',
+        authorized_refills: 5
+      });
+
+      expect(result).toBeInstanceOf(Prescription);
+      expect(result.prescriber_name).toBe('Dr. Smith');
+      expect(result.refills_remaining).toBe(5);
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('INSERT INTO prescriptions'),
+        [3, 2, 'RX-1', '2024-01-01', '2025-01-01', 5, 0, null]
+      );
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        3,
+        expect.stringContaining("WHERE type = 'PRESCRIPTION_RENEWAL'"),
+        [3, 'renewed']
+      );
+    });
+
+    it('should leave renewal notifications open for an older prescription', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [prescriptionRow()] });
+      mockQuery.mockResolvedValue({ rows: [prescriptionRow({ id: 5, issue_date: '2023-01-01' })] });
+
+      await repository.create({ medicine_id: 3, issue_date: '2023-01-01' });
+
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject invalid prescriptions', async () => {
+      await expect(repository.create({ medicine_id: 3, authorized_refills: 1, refills_used: 2 }))
+        .rejects.toThrow('Validation failed: Refills used cannot exceed the authorized refills');
+      expect(mockTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findByMedicationId', () => {
+    it('should list the current prescription first', async () => {
+      mockQuery.mockResolvedValue({ rows: [prescriptionRow({ refills_used: 5 }), prescriptionRow({ id: 1, prescriber_name: null })] });
+
+      const result = await repository.findByMedicationId(3);
+
+      expect(result.map(p => p.id)).toEqual([4, 1]);
+      expect(result[0].refills_remaining).toBe(0);
+      expect(result[1].prescriber_name).toBeNull();
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('ORDER BY rx.issue_date DESC, rx.id DESC'), [3]);
+    });
+  });
+
+  describe('update', () => {
+    it('should keep the medication of the prescription', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [prescriptionRow()] })
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [prescriptionRow({ authorized_refills: 6 })] });
+
+      const result = await repository.update(4, { medicine_id: 9, authorized_refills: 6 });
+
+      expect(result.authorized_refills).toBe(6);
+      expect(mockQuery).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('UPDATE prescriptions SET'),
+        [4, 2, 'RX-1', '2024-01-01', '2025-01-01', 6, 0, null]
+      );
+    });
+
+    it('should throw when the prescription does not exist', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await expect(repository.update(99, { authorized_refills: 1 })).rejects.toThrow('Prescription not found');
+    });
+  });
+
+  describe('findNeedingRenewal', () => {
+    it('should find current prescriptions of active medications out of refills or expiring', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [prescriptionRow({ refills_used: 5, medication_name: 'Aspirin', patient_id: 1, patient_timezone: 'Europe/London' })]
+      });
+
+      const result = await repository.findNeedingRenewal('2024-02-15', '2024-01-16', '2024-01-14');
+
+      expect(result[0]).toMatchObject({ id: 4, medication_name: 'Aspirin', refills_remaining: 0, timezone: 'Europe/London' });
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('DISTINCT ON (rx.medicine_id)'),
+        ['2024-02-15', '2024-01-16', '2024-01-14']
+      );
+    });
+  });
+});
@@ -0,0 +1,289 @@
+const RefillRepository = require('../../repositories/RefillRepository');
+const Refill = require('../../models/Refill');
+const { query, transaction } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('RefillRepository', () => {
+  let repository;
+  let mockQuery;
+  let mockTransaction;
+  let mockClient;
+
+  beforeEach(() => {
+    repository = new RefillRepository();
+    mockQuery = query;
+    mockTransaction = transaction;
+    jest.clearAllMocks();
+    mockClient = { query: jest.fn() };
+    mockTransaction.mockImplementation(async (callback) => callback(mockClient));
+    jest.spyOn(repository.inventoryLotRepository.storageLocationRepository, 'trimToTotal').mockResolvedValue([]);
+  });
+
+  describe('create', () => {
+    it('should receive the refill as a lot and resolve buy-soon notifications', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '60.00', lot_number: 'AB1', expiry_date: '2025-01-31', received_date: '2024-03-01' }] })
+        .mockResolvedValueOnce({ rows: [{ total_tablets: '65.00' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 2, medicine_id: 3, lot_id: 8, refill_date: '2024-03-01', quantity: '60.00', pharmacy: 'Corner Pharmacy', cost: '12.50', prescription_reference: 'RX-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 11, medicine_id: 3, type: 'BUY_SOON', payload: { resolution: 'refilled' }, is_read: true }] });
+
+      const result = await repository.create(
+        { medicine_id: 3, quantity: 60, refill_date: '2024-03-01', pharmacy: 'Corner Pharmacy', cost: 12.5, prescription_reference: 'RX-1' },
+        { lot_number: 'AB1', expiry_date: '2025-01-31' },
+        7
+      );
+
+      expect(result.refill).toBeInstanceOf(Refill);
+      expect(result.refill.lot_id).toBe(8);
+      expect(result.refill.lot_number).toBe('AB1');
+      expect(result.refill.expiry_date).toBe('2025-01-31');
+      expect(result.refill.cost).toBe(12.5);
+      expect(result.resolved_notifications).toHaveLength(1);
+      expect(result.prescription).toBeNull();
+
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('FROM prescriptions rx'),
+        [3]
+      );
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('INSERT INTO inventory_lots'),
+        [3, 60, 'AB1', '2025-01-31', '2024-03-01', 0.2083]
+      );
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        4,
+        expect.stringContaining('INSERT INTO audit_logs'),
+        [3, 60, JSON.stringify({ total_tablets: 65, reason: 'Refilled into lot AB1' }), 7]
+      );
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        5,
+        expect.stringContaining('INSERT INTO refills'),
+        [3, 8, '2024-03-01', 60, 'Corner Pharmacy', 12.5, 'RX-1', null, 7, null]
+      );
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        6,
+        expect.stringContaining("WHERE type = 'BUY_SOON'"),
+        [3, 'refilled']
+      );
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should use a refill of the current prescription', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 4, medicine_id: 3, issue_date: '2024-01-01', expiry_date: '2025-01-01', authorized_refills: 3, refills_used: 2, prescriber_name: 'Dr. Smith' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '30.00' }] })
+        .mockResolvedValueOnce({ rows: [{ total_tablets: '35.00' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 2, medicine_id: 3, lot_id: 8, refill_date: '2024-03-01', quantity: '30.00', prescription_id: 4 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await repository.create({ medicine_id: 3, quantity: 30, refill_date: '2024-03-01' }, {}, 7);
+
+      expect(result.refill.prescription_id).toBe(4);
+      expect(result.prescription.refills_used).toBe(3);
+      expect(result.prescription.refills_remaining).toBe(0);
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('refills_used = refills_used + 1'),
+        [4]
+      );
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        6,
+        expect.stringContaining('INSERT INTO refills'),
+        [3, 8, '2024-03-01', 30, null, null, null, null, 7, 4]
+      );
+    });
+
+    it('should look up the given prescription of the medication', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(repository.create({ medicine_id: 3, quantity: 30, prescription_id: 9 }))
+        .rejects.toThrow('Validation failed: Prescription not found for this medication');
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('WHERE rx.id = $2 AND rx.medicine_id = $1'), [3, 9]);
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse prescriptions without refills left or past their expiry', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [{ id: 4, medicine_id: 3, issue_date: '2024-01-01', expiry_date: null, authorized_refills: 2, refills_used: 2 }] });
+      await expect(repository.create({ medicine_id: 3, quantity: 30, refill_date: '2024-03-01' }))
+        .rejects.toThrow('Validation failed: Prescription has no refills remaining');
+
+      mockClient.query.mockResolvedValueOnce({ rows: [{ id: 4, medicine_id: 3, issue_date: '2024-01-01', expiry_date: '2024-02-29', authorized_refills: 2, refills_used: 0 }] });
+      await expect(repository.create({ medicine_id: 3, quantity: 30, refill_date: '2024-03-01' }))
+        .rejects.toThrow('Validation failed: Prescription expired on 2024-02-29');
+
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not use a prescription when the refill is filled without one', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '30.00' }] })
+        .mockResolvedValueOnce({ rows: [{ total_tablets: '35.00' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 2, medicine_id: 3, lot_id: 8, quantity: '30.00', prescription_id: null }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await repository.create({ medicine_id: 3, quantity: 30, prescription_id: null });
+
+      expect(result.prescription).toBeNull();
+      expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('FROM prescriptions rx'), expect.anything());
+    });
+
+    it('should reject invalid refills and lot details', async () => {
+      await expect(repository.create({ medicine_id: 3, quantity: 0 }, { expiry_date: '2025-13-01' }))
+        .rejects.toThrow('Validation failed: Quantity must be a positive number, Expiry date must be a valid date in YYYY-MM-DD format');
+      expect(mockTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findByMedicationId', () => {
+    it('should list refills newest first with their lot', async () => {
+      mockQuery.mockResolvedValue({
+        rows: [
+          { id: 2, medicine_id: 3, lot_id: 8, refill_date: '2024-03-01', quantity: '60.00', lot_number: 'AB1', expiry_date: '2025-01-31' },
+          { id: 1, medicine_id: 3, lot_id: null, refill_date: '2024-01-01', quantity: '30.00', lot_number: null, expiry_date: null }
+        ]
+      });
+
+      const refills = await repository.findByMedicationId(3);
+
+      expect(refills.map(r => r.lot_number)).toEqual(['AB1', null]);
+      expect(refills[1].expiry_date).toBeNull();
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('ORDER BY r.refill_date DESC, r.id DESC'),
+        [3]
+      );
+    });
+  });
+
+  describe('update', () => {
+    it('should keep the quantity and medication of the refill', async () => {
+      const row = { id: 2, medicine_id: 3, lot_id: 8, refill_date: '2024-03-01', quantity: '60.00', pharmacy: 'Corner Pharmacy' };
+      mockQuery
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...row, cost: '9.99' }] });
+
+      const refill = await repository.update(2, { cost: 9.99, quantity: 1, medicine_id: 4 });
+
+      expect(refill.cost).toBe(9.99);
+      expect(mockQuery).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('UPDATE refills SET'),
+        [2, '2024-03-01', 'Corner Pharmacy', 9.99, null, null]
+      );
+      expect(mockQuery).toHaveBeenNthCalledWith(
+        3,
+        expect.stringContaining('UPDATE inventory_lots SET unit_price'),
+        [8, 0.1665]
+      );
+    });
+
+    it('should throw when the refill does not exist', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await expect(repository.update(99, { cost: 1 })).rejects.toThrow('Refill not found');
+    });
+  });
+
+  describe('delete', () => {
+    it('should remove the refill lot and the stock it still holds', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 2, medicine_id: 3, lot_id: 8, quantity: '60.00' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 8, medicine_id: 3, quantity: '45.00', lot_number: 'AB1' }] })
+        .mockResolvedValueOnce({ rows: [{ total_tablets: '5.00' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await repository.delete(2, 7)).toBe(true);
+      expect(mockClient.query).toHaveBeenNthCalledWith(3, expect.stringContaining('UPDATE medications SET'), [3, -45]);
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        4,
+        expect.stringContaining('INSERT INTO audit_logs'),
+        [3, -45, JSON.stringify({ total_tablets: 5, reason: 'Removed refill lot AB1' }), 7]
+      );
+    });
+
+    it('should give the refill back to its prescription', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 2, medicine_id: 3, lot_id: null, quantity: '60.00', prescription_id: 4 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await repository.delete(2)).toBe(true);
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('refills_used = GREATEST(refills_used - 1, 0)'),
+        [4]
+      );
+    });
+
+    it('should leave the stock alone when the lot is already gone', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [{ id: 2, medicine_id: 3, lot_id: null, quantity: '60.00' }] });
+
+      expect(await repository.delete(2)).toBe(true);
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('spend', () => {
+    it('should sum the refill costs per month of a patient', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ month: '2024-03', total_cost: '24.50', refill_count: '3', unpriced_count: '1' }]
+      });
+
+      const result = await repository.getSpendByMonth({ start_date: '2024-01-01', end_date: '2024-03-31', patient_id: 2 });
+
+      expect(result).toEqual([{ month: '2024-03', total_cost: 24.5, refill_count: 3, unpriced_count: 1 }]);
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('AND m.patient_id = $3'),
+        ['2024-01-01', '2024-03-31', 2]
+      );
+    });
+
+    it('should sum the refill costs per medication', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          medication_id: 3,
+          medication_name: 'Aspirin',
+          medication_strength: '',
+          dose_unit: 'tablet',
+          total_cost: '0',
+          total_quantity: '60.00',
+          refill_count: '1',
+          unpriced_count: '1'
+        }]
+      });
+
+      const result = await repository.getSpendByMedication({ start_date: '2024-01-01', end_date: '2024-03-31' });
+
+      expect(result[0]).toEqual({
+        medication_id: 3,
+        medication_name: 'Aspirin',
+        medication_strength: null,
+        dose_unit: 'tablet',
+        total_cost: 0,
+        total_quantity: 60,
+        refill_count: 1,
+        unpriced_count: 1
+      });
+      expect(mockQuery).toHaveBeenCalledWith(expect.not.stringContaining('m.patient_id'), ['2024-01-01', '2024-03-31']);
+    });
+
+    it('should only sum the refills of medications a user can access', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await repository.getSpendByMedication({ start_date: '2024-01-01', end_date: '2024-03-31', accessible_by: 7 });
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('SELECT patient_id FROM patient_members WHERE user_id = $3'),
+        ['2024-01-01', '2024-03-31', 7]
+      );
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const StockTakeRepository = require('../../repositories/StockTakeRepository');
+const StockTake = require('../../models/StockTake');
+const { query, transaction } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+describe('StockTakeRepository', () => {
+  let repository;
+  let mockQuery;
+  let mockTransaction;
+  let mockClient;
+
+  beforeEach(() => {
+    repository = new StockTakeRepository();
+    mockQuery = query;
+    mockTransaction = transaction;
+    jest.clearAllMocks();
+    mockClient = { query: jest.fn() };
+    mockTransaction.mockImplementation(async (callback) => callback(mockClient));
+    jest.spyOn(repository.storageLocationRepository, 'trimToTotal').mockResolvedValue([]);
+  });
+
+  describe('create', () => {
+    it('should set the counted stock and log the discrepancy', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, patient_id: 2, notes: 'Monthly', user_id: 7 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, name: 'Aspirin', dose_unit: 'tablet', total_tablets: '20.00' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ lot_total: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await repository.create(
+        { patient_id: 2, notes: 'Monthly', counts: [{ medication_id: 3, counted_quantity: 17.5 }] },
+        7
+      );
+
+      expect(result).toBeInstanceOf(StockTake);
+      expect(result.id).toBe(5);
+      expect(result.counts).toEqual([{
+        medication_id: 3,
+        medication_name: 'Aspirin',
+        dose_unit: 'tablet',
+        expected_quantity: 20,
+        counted_quantity: 17.5,
+        discrepancy: -2.5
+      }]);
+
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('INSERT INTO stock_takes'),
+        [2, 'Monthly', 7]
+      );
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('FOR UPDATE'),
+        [3]
+      );
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        3,
+        expect.stringContaining('UPDATE medications SET total_tablets'),
+        [3, 17.5]
+      );
+      expect(mockClient.query).toHaveBeenNthCalledWith(
+        5,
+        expect.stringContaining("'INVENTORY_RECONCILED'"),
+        [3, JSON.stringify({ total_tablets: 20 }), JSON.stringify({ total_tablets: 17.5, stock_take_id: 5 }), -2.5, 7]
+      );
+    });
+
+    it('should take a lower count out of the lots', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, patient_id: null, notes: null, user_id: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, name: 'Aspirin', dose_unit: 'tablet', total_tablets: '20.00' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ lot_total: '20' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 8, quantity: '20.00', lot_number: 'AB1' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await repository.create({ counts: [{ medication_id: 3, counted_quantity: 15 }] });
+
+      const auditCall = mockClient.query.mock.calls.find(([sql]) => sql.includes("'INVENTORY_RECONCILED'"));
+      expect(JSON.parse(auditCall[1][2]).lots).toHaveLength(1);
+    });
+
+    it('should fail when a counted medication is gone', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(repository.create({ counts: [{ medication_id: 3, counted_quantity: 15 }] }))
+        .rejects.toThrow('Medication not found');
+    });
+
+    it('should reject invalid stock-takes', async () => {
+      await expect(repository.create({ counts: [] }))
+        .rejects.toThrow('Validation failed: At least one counted medication is required');
+
+      expect(mockTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findById', () => {
+    it('should return the stock-take with its counts', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 5, patient_id: 2, notes: 'Monthly', user_id: 7 }] })
+        .mockResolvedValueOnce({
+          rows: [{ medicine_id: 3, medication_name: 'Aspirin', dose_unit: 'tablet', expected_quantity: '20', counted_quantity: '17.5', discrepancy: '-2.50' }]
+        });
+
+      const result = await repository.findById(5);
+
+      expect(result.counts).toEqual([{
+        medication_id: 3,
+        medication_name: 'Aspirin',
+        dose_unit: 'tablet',
+        expected_quantity: 20,
+        counted_quantity: 17.5,
+        discrepancy: -2.5
+      }]);
+      expect(mockQuery).toHaveBeenLastCalledWith(expect.stringContaining("stock_take_id' = $1::text"), [5]);
+    });
+
+    it('should return null for unknown stock-takes', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      expect(await repository.findById(99)).toBeNull();
+    });
+  });
+
+  describe('findAll', () => {
+    it('should list the stock-takes of a patient with how many were off', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ id: 5, patient_id: 2, notes: null, user_id: 7, medication_count: '3', discrepancy_count: '1' }]
+      });
+
+      const result = await repository.findAll({ patient_id: 2 });
+
+      expect(result[0].medication_count).toBe(3);
+      expect(result[0].discrepancy_count).toBe(1);
+      expect(result[0].counts).toBeUndefined();
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('WHERE st.patient_id = $1'), [2, 50]);
+    });
+
+    it('should list only the stock-takes a user can access', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await repository.findAll({ accessible_by: 7 });
+
+      const [sql, values] = mockQuery.mock.calls[0];
+      expect(sql).toContain('SELECT patient_id FROM patient_members WHERE user_id = $1');
+      expect(sql).toContain('st.patient_id IS NULL AND st.user_id = $1');
+      expect(values).toEqual([7, 50]);
+    });
+  });
+});
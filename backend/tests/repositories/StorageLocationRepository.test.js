@@ -0,0 +1,175 @@
+const StorageLocationRepository = require('../../repositories/StorageLocationRepository');
+const StorageLocation = require('../../models/StorageLocation');
+const { query, transaction } = require('../../config/database');
+
+// Mock the database module
+jest.mock('../../config/database');
+
+const stockRows = [
+  { medicine_id: 3, location_id: 1, location_name: 'Home', is_default: true, quantity: '8.00' },
+  { medicine_id: 3, location_id: 2, location_name: 'Travel kit', is_default: false, quantity: '5.00' }
+];
+
+describe('StorageLocationRepository', () => {
+  let repository;
+  let mockQuery;
+  let mockTransaction;
+  let mockClient;
+
+  beforeEach(() => {
+    repository = new StorageLocationRepository();
+    mockQuery = query;
+    mockTransaction = transaction;
+    jest.clearAllMocks();
+    mockClient = { query: jest.fn() };
+    mockTransaction.mockImplementation(async (callback) => callback(mockClient));
+  });
+
+  describe('create', () => {
+    it("should make a new default location replace the patient's previous one", async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 4, patient_id: 5, name: 'Home', description: null, is_default: true }] });
+
+      const result = await repository.create({ patient_id: 5, name: 'Home', is_default: true });
+
+      expect(result).toBeInstanceOf(StorageLocation);
+      expect(result.patient_id).toBe(5);
+      expect(mockClient.query.mock.calls[0][0]).toContain('SET is_default = false');
+      expect(mockClient.query.mock.calls[0][0]).toContain('patient_id = $1');
+      expect(mockClient.query.mock.calls[0][1]).toEqual([5]);
+      expect(mockClient.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO storage_locations'),
+        [5, 'Home', null, true]
+      );
+    });
+
+    it('should reject invalid locations', async () => {
+      await expect(repository.create({ patient_id: 5, name: '' })).rejects.toThrow('Validation failed: Location name is required');
+      expect(mockTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findAll', () => {
+    it('should count the medications kept at each location', async () => {
+      mockQuery.mockResolvedValue({ rows: [{ id: 1, name: 'Home', is_default: true, medication_count: '2' }] });
+
+      const result = await repository.findAll();
+
+      expect(result[0].medication_count).toBe(2);
+    });
+
+    it("should list one patient's locations, or those of the user's patients", async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      await repository.findAll({ patient_id: 5 });
+      expect(mockQuery.mock.calls[0][0]).toContain('sl.patient_id = $1');
+      expect(mockQuery.mock.calls[0][1]).toEqual([5]);
+
+      await repository.findAll({ accessible_by: 7 });
+      expect(mockQuery.mock.calls[1][0]).toContain('SELECT patient_id FROM patient_members WHERE user_id = $1');
+      expect(mockQuery.mock.calls[1][1]).toEqual([7]);
+    });
+  });
+
+  describe('take', () => {
+    it('should take from the chosen location no more than it holds', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: stockRows })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await repository.take(3, 2, 6, mockClient);
+
+      expect(result).toEqual([{ location_id: 2, location_name: 'Travel kit', quantity: 5 }]);
+      expect(mockClient.query).toHaveBeenLastCalledWith(expect.stringContaining('UPDATE location_stock'), [3, 2, 5]);
+    });
+
+    it('should take from the default location when none is chosen', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: stockRows })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await repository.take(3, null, 2, mockClient);
+
+      expect(result).toEqual([{ location_id: 1, location_name: 'Home', quantity: 2 }]);
+    });
+  });
+
+  describe('trimToTotal', () => {
+    it('should take the stock above the total from the locations in order', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: stockRows })
+        .mockResolvedValue({ rows: [] });
+
+      const result = await repository.trimToTotal(3, 4, mockClient);
+
+      expect(result).toEqual([
+        { location_id: 1, location_name: 'Home', quantity: 8 },
+        { location_id: 2, location_name: 'Travel kit', quantity: 1 }
+      ]);
+    });
+
+    it('should leave the locations alone while they fit in the total', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: stockRows });
+
+      expect(await repository.trimToTotal(3, 20, mockClient)).toEqual([]);
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('transfer', () => {
+    it('should move stock between locations and log the transfer', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, patient_id: 5, total_tablets: '20.00' }] })
+        .mockResolvedValueOnce({ rows: stockRows })
+        .mockResolvedValueOnce({ rows: [{ id: 1, name: 'Home', is_default: true }] })
+        .mockResolvedValueOnce({ rows: [{ id: 2, name: 'Travel kit', is_default: false }] })
+        .mockResolvedValue({ rows: [] });
+
+      const result = await repository.transfer(3, { from_location_id: 1, to_location_id: 2, quantity: 3 }, 7);
+
+      expect(result).toEqual({
+        quantity: 3,
+        from_location_id: 1,
+        from_location: 'Home',
+        to_location_id: 2,
+        to_location: 'Travel kit',
+        notes: null
+      });
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('FROM storage_locations'), [1, 5]);
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE location_stock'), [3, 1, 3]);
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO location_stock'), [3, 2, 3]);
+      expect(mockClient.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INVENTORY_TRANSFERRED'),
+        [3, JSON.stringify({ total_tablets: 20, ...result }), 7]
+      );
+    });
+
+    it('should refuse to move more than the unassigned stock holds', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, total_tablets: '20.00' }] })
+        .mockResolvedValueOnce({ rows: stockRows })
+        .mockResolvedValueOnce({ rows: [{ id: 2, name: 'Travel kit', is_default: false }] });
+
+      await expect(repository.transfer(3, { to_location_id: 2, quantity: 10 }))
+        .rejects.toThrow('Validation failed: Only 7 available outside the locations');
+    });
+
+    it("should treat other patients' locations as missing", async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, patient_id: 5, total_tablets: '20.00' }] })
+        .mockResolvedValueOnce({ rows: stockRows })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(repository.transfer(3, { to_location_id: 9, quantity: 1 }))
+        .rejects.toThrow('Validation failed: Location not found');
+      expect(mockClient.query).toHaveBeenLastCalledWith(expect.stringContaining('AND patient_id = $2'), [9, 5]);
+    });
+
+    it('should fail for an unknown medication', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(repository.transfer(99, { to_location_id: 2, quantity: 1 })).rejects.toThrow('Medication not found');
+    });
+  });
+});
@@ -1,7 +1,18 @@
-const request = require('supertest');
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
 const app = require('../../server');
 const { query } = require('../../config/database');
 
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
 describe('Audit API Routes', () => {
     let testMedicationId;
     let testAuditLogIds = [];
@@ -32,10 +43,10 @@ describe('Audit API Routes', () => {
 
         // Create test medication
         const medicationResult = await query(`
-      INSERT INTO medications (name, strength, route_id, frequency_id, start_date, sheet_size, total_tablets)
-      VALUES ('Test Audit Med', '10mg', $1, $2, CURRENT_DATE, 10, 100)
+      INSERT INTO medications (name, strength, route_id, frequency_id, start_date, sheet_size, total_tablets, patient_id)
+      VALUES ('Test Audit Med', '10mg', $1, $2, CURRENT_DATE, 10, 100, $3)
       RETURNING id
-    `, [routeId, frequencyId]);
+    `, [routeId, frequencyId, await getOwnPatientId(api)]);
         testMedicationId = medicationResult.rows[0].id;
 
         // Create test audit logs
@@ -78,7 +89,7 @@ describe('Audit API Routes', () => {
 
     describe('GET /api/audit', () => {
         it('should return all audit logs', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit')
                 .expect(200);
 
@@ -88,7 +99,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should filter audit logs by medication ID', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit?medicine_id=${testMedicationId}`)
                 .expect(200);
 
@@ -100,7 +111,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should filter audit logs by action', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit?action=DOSE_GIVEN')
                 .expect(200);
 
@@ -112,7 +123,7 @@ describe('Audit API Routes', () => {
 
         it('should filter audit logs by date range', async () => {
             const today = new Date().toISOString().split('T')[0];
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit?start_date=${today}&end_date=${today}`)
                 .expect(200);
 
@@ -124,7 +135,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should filter audit logs by quantity change', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit?quantity_filter=negative')
                 .expect(200);
 
@@ -137,7 +148,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should sort audit logs correctly', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit?sort_by=action&sort_direction=asc')
                 .expect(200);
 
@@ -150,7 +161,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should limit results when limit parameter is provided', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit?limit=2')
                 .expect(200);
 
@@ -162,7 +173,7 @@ describe('Audit API Routes', () => {
     describe('GET /api/audit/:id', () => {
         it('should return specific audit log by ID', async () => {
             const auditLogId = testAuditLogIds[0];
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/${auditLogId}`)
                 .expect(200);
 
@@ -172,7 +183,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should return 404 for non-existent audit log', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit/99999')
                 .expect(404);
 
@@ -183,7 +194,7 @@ describe('Audit API Routes', () => {
 
     describe('GET /api/audit/medication/:medicineId', () => {
         it('should return audit logs for specific medication', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/medication/${testMedicationId}`)
                 .expect(200);
 
@@ -195,7 +206,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should limit results for medication audit logs', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/medication/${testMedicationId}?limit=2`)
                 .expect(200);
 
@@ -206,7 +217,7 @@ describe('Audit API Routes', () => {
 
     describe('GET /api/audit/stats/summary', () => {
         it('should return audit statistics', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit/stats/summary')
                 .expect(200);
 
@@ -219,7 +230,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should return medication-specific statistics', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/stats/summary?medicine_id=${testMedicationId}`)
                 .expect(200);
 
@@ -233,7 +244,7 @@ describe('Audit API Routes', () => {
     describe('GET /api/audit/stats/daily-activity', () => {
         it('should return daily activity summary', async () => {
             const today = new Date().toISOString().split('T')[0];
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/stats/daily-activity?start_date=${today}&end_date=${today}`)
                 .expect(200);
 
@@ -249,7 +260,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should require start_date and end_date parameters', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit/stats/daily-activity')
                 .expect(400);
 
@@ -261,7 +272,7 @@ describe('Audit API Routes', () => {
     describe('GET /api/audit/compliance/:medicineId', () => {
         it('should return compliance data for medication', async () => {
             const today = new Date().toISOString().split('T')[0];
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/compliance/${testMedicationId}?start_date=${today}&end_date=${today}`)
                 .expect(200);
 
@@ -270,7 +281,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should require start_date and end_date parameters', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/compliance/${testMedicationId}`)
                 .expect(400);
 
@@ -281,7 +292,7 @@ describe('Audit API Routes', () => {
 
     describe('GET /api/audit/inventory-timeline/:medicineId', () => {
         it('should return inventory timeline for medication', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/inventory-timeline/${testMedicationId}`)
                 .expect(200);
 
@@ -295,7 +306,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should limit timeline results', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/inventory-timeline/${testMedicationId}?limit=2`)
                 .expect(200);
 
@@ -306,7 +317,7 @@ describe('Audit API Routes', () => {
 
     describe('GET /api/audit/export/logs', () => {
         it('should export audit logs as JSON', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit/export/logs?format=json')
                 .expect(200);
 
@@ -318,7 +329,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should export audit logs as CSV', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit/export/logs?format=csv')
                 .expect(200);
 
@@ -329,7 +340,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should filter exported logs by medication', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/export/logs?medicine_id=${testMedicationId}&format=json`)
                 .expect(200);
 
@@ -342,7 +353,7 @@ describe('Audit API Routes', () => {
 
     describe('GET /api/audit/recent/:limit?', () => {
         it('should return recent audit logs with default limit', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit/recent')
                 .expect(200);
 
@@ -352,7 +363,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should return recent audit logs with custom limit', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit/recent/10')
                 .expect(200);
 
@@ -361,7 +372,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should filter recent logs by medication', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/audit/recent/10?medicine_id=${testMedicationId}`)
                 .expect(200);
 
@@ -374,7 +385,7 @@ describe('Audit API Routes', () => {
 
     describe('Error handling', () => {
         it('should handle invalid medication ID gracefully', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit/medication/invalid')
                 .expect(200);
 
@@ -383,7 +394,7 @@ describe('Audit API Routes', () => {
         });
 
         it('should handle invalid audit log ID gracefully', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/audit/invalid')
                 .expect(500);
 
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const app = require('../../server');
+const { query } = require('../../config/database');
+
+describe('Auth API Endpoints', () => {
+  const email = `auth-tests-${Date.now()}@example.com`;
+  const password = 'correct horse battery';
+
+  afterAll(async () => {
+    await query('DELETE FROM users WHERE LOWER(email) = $1', [email.toLowerCase()]);
+  });
+
+  describe('protected routes', () => {
+    it('should reject requests without a session', async () => {
+      const response = await request(app)
+        .get('/api/medications')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    it('should reject unknown tokens', async () => {
+      await request(app)
+        .get('/api/schedule/daily')
+        .set('Authorization', 'Bearer not-a-real-token')
+        .expect(401);
+    });
+
+    it('should keep the health check public', async () => {
+      await request(app)
+        .get('/health')
+        .expect(200);
+    });
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('should create an account and return a session', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email, name: 'Auth Tests', password })
+        .expect(201);
+
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.user.email).toBe(email.toLowerCase());
+      expect(response.body.data.user.password_hash).toBeUndefined();
+      expect(response.headers['set-cookie'][0]).toContain('session_token=');
+    });
+
+    it('should reject duplicate emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: email.toUpperCase(), name: 'Auth Tests', password })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+
+    it('should reject short passwords', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email: `short-${email}`, name: 'Auth Tests', password: 'short' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should sign in and allow access with the token', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password })
+        .expect(200);
+
+      const { token } = loginResponse.body.data;
+
+      const meResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(meResponse.body.data.email).toBe(email.toLowerCase());
+
+      await request(app)
+        .get('/api/medications')
+        .set('Cookie', `session_token=${token}`)
+        .expect(200);
+    });
+
+    it('should reject a wrong password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'wrong password' })
+        .expect(401);
+
+      expect(response.body.error.message).toBe('Invalid email or password');
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should invalidate the session', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password })
+        .expect(200);
+
+      const { token } = loginResponse.body.data;
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+  });
+});
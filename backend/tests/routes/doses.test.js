@@ -1,7 +1,18 @@
-const request = require('supertest');
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
 const app = require('../../server');
 const { pool } = require('../../config/database');
 
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
 describe('Dose API Endpoints', () => {
   let testMedicationId;
   let testDoseId;
@@ -23,8 +34,8 @@ describe('Dose API Endpoints', () => {
 
     // Create test medication
     const medicationResult = await pool.query(
-      'INSERT INTO medications (name, start_date, sheet_size, total_tablets) VALUES ($1, $2, $3, $4) RETURNING id',
-      ['Test Dose Medication', '2024-01-01', 10, 100]
+      'INSERT INTO medications (name, start_date, sheet_size, total_tablets, patient_id) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      ['Test Dose Medication', '2024-01-01', 10, 100, await getOwnPatientId(api)]
     );
     testMedicationId = medicationResult.rows[0].id;
   });
@@ -45,7 +56,7 @@ describe('Dose API Endpoints', () => {
         instructions: 'Take with food'
       };
 
-      const response = await request(app)
+      const response = await api
         .post(`/api/medications/${testMedicationId}/doses`)
         .send(doseData)
         .expect(201);
@@ -67,7 +78,7 @@ describe('Dose API Endpoints', () => {
         time_of_day: '20:00'
       };
 
-      const response = await request(app)
+      const response = await api
         .post(`/api/medications/${testMedicationId}/doses`)
         .send(doseData)
         .expect(201);
@@ -82,7 +93,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 400 for missing required fields', async () => {
-      const response = await request(app)
+      const response = await api
         .post(`/api/medications/${testMedicationId}/doses`)
         .send({
           time_of_day: '08:00'
@@ -95,7 +106,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 400 for invalid time format', async () => {
-      const response = await request(app)
+      const response = await api
         .post(`/api/medications/${testMedicationId}/doses`)
         .send({
           dose_amount: 1.0,
@@ -108,7 +119,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 400 for invalid dose amount', async () => {
-      const response = await request(app)
+      const response = await api
         .post(`/api/medications/${testMedicationId}/doses`)
         .send({
           dose_amount: -1.0, // Invalid negative amount
@@ -121,7 +132,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 404 for non-existent medication', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/medications/99999/doses')
         .send({
           dose_amount: 1.0,
@@ -133,7 +144,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 400 for invalid medication ID', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/medications/invalid-id/doses')
         .send({
           dose_amount: 1.0,
@@ -147,7 +158,7 @@ describe('Dose API Endpoints', () => {
 
   describe('GET /api/medications/:medicationId/doses', () => {
     it('should return all doses for a medication', async () => {
-      const response = await request(app)
+      const response = await api
         .get(`/api/medications/${testMedicationId}/doses`)
         .expect(200);
 
@@ -159,7 +170,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 404 for non-existent medication', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/medications/99999/doses')
         .expect(404);
 
@@ -169,7 +180,7 @@ describe('Dose API Endpoints', () => {
 
   describe('GET /api/medications/:medicationId/doses/:doseId', () => {
     it('should return specific dose', async () => {
-      const response = await request(app)
+      const response = await api
         .get(`/api/medications/${testMedicationId}/doses/${testDoseId}`)
         .expect(200);
 
@@ -179,7 +190,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 404 for non-existent dose', async () => {
-      const response = await request(app)
+      const response = await api
         .get(`/api/medications/${testMedicationId}/doses/99999`)
         .expect(404);
 
@@ -189,8 +200,8 @@ describe('Dose API Endpoints', () => {
     it('should return 404 for dose from different medication', async () => {
       // Create another medication and dose
       const otherMedResult = await pool.query(
-        'INSERT INTO medications (name, start_date) VALUES ($1, $2) RETURNING id',
-        ['Other Medication', '2024-01-01']
+        'INSERT INTO medications (name, start_date, patient_id) VALUES ($1, $2, $3) RETURNING id',
+        ['Other Medication', '2024-01-01', await getOwnPatientId(api)]
       );
       const otherMedId = otherMedResult.rows[0].id;
 
@@ -200,7 +211,7 @@ describe('Dose API Endpoints', () => {
       );
       const otherDoseId = otherDoseResult.rows[0].id;
 
-      const response = await request(app)
+      const response = await api
         .get(`/api/medications/${testMedicationId}/doses/${otherDoseId}`)
         .expect(404);
 
@@ -212,7 +223,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 400 for invalid dose ID', async () => {
-      const response = await request(app)
+      const response = await api
         .get(`/api/medications/${testMedicationId}/doses/invalid-id`)
         .expect(400);
 
@@ -229,7 +240,7 @@ describe('Dose API Endpoints', () => {
         instructions: 'Take with water'
       };
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/medications/${testMedicationId}/doses/${testDoseId}`)
         .send(updateData)
         .expect(200);
@@ -242,7 +253,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 404 for non-existent dose', async () => {
-      const response = await request(app)
+      const response = await api
         .put(`/api/medications/${testMedicationId}/doses/99999`)
         .send({
           dose_amount: 1.0,
@@ -254,7 +265,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 400 for invalid data', async () => {
-      const response = await request(app)
+      const response = await api
         .put(`/api/medications/${testMedicationId}/doses/${testDoseId}`)
         .send({
           dose_amount: 0, // Invalid zero amount
@@ -275,7 +286,7 @@ describe('Dose API Endpoints', () => {
       );
       const doseToDeleteId = doseResult.rows[0].id;
 
-      const response = await request(app)
+      const response = await api
         .delete(`/api/medications/${testMedicationId}/doses/${doseToDeleteId}`)
         .expect(200);
 
@@ -287,7 +298,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 404 for non-existent dose', async () => {
-      const response = await request(app)
+      const response = await api
         .delete(`/api/medications/${testMedicationId}/doses/99999`)
         .expect(404);
 
@@ -295,7 +306,7 @@ describe('Dose API Endpoints', () => {
     });
 
     it('should return 400 for invalid dose ID', async () => {
-      const response = await request(app)
+      const response = await api
         .delete(`/api/medications/${testMedicationId}/doses/invalid-id`)
         .expect(400);
 
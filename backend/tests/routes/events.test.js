@@ -0,0 +1,102 @@
+const http = require('http');
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
+const app = require('../../server');
+const { pool } = require('../../config/database');
+const NotificationRepository = require('../../repositories/NotificationRepository');
+
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
+// Open the event stream and collect what it sends until closed
+const openStream = (port, token) => new Promise((resolve, reject) => {
+  const request = http.get(
+    { port, path: '/api/events', headers: { Authorization: `Bearer ${token}` } },
+    (response) => {
+      const stream = { response, text: '', close: () => request.destroy() };
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        stream.text += chunk;
+      });
+      resolve(stream);
+    }
+  );
+  request.on('error', reject);
+});
+
+// Wait until the stream has sent text matching pattern
+const waitForText = async (stream, pattern, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!pattern.test(stream.text)) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${pattern}; received: ${stream.text}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+describe('Event Stream API Endpoint', () => {
+  let server;
+  let port;
+  let testMedicationId;
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    port = server.address().port;
+
+    await pool.query('DELETE FROM medications WHERE name LIKE $1', ['Test Event Medication%']);
+    const medicationResult = await pool.query(
+      'INSERT INTO medications (name, start_date, total_tablets, patient_id) VALUES ($1, $2, $3, $4) RETURNING id',
+      ['Test Event Medication', '2024-01-01', 30, await getOwnPatientId(api)]
+    );
+    testMedicationId = medicationResult.rows[0].id;
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM medications WHERE id = $1', [testMedicationId]);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should require a session', async () => {
+    await api.get('/api/events').set('Authorization', 'Bearer invalid').expect(401);
+  });
+
+  it('should stream new notifications and stock changes', async () => {
+    const stream = await openStream(port, api.token);
+
+    try {
+      expect(stream.response.headers['content-type']).toBe('text/event-stream');
+      await waitForText(stream, /retry: \d+/);
+      // Give the listener connection time to start listening
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      const notification = await new NotificationRepository().create({
+        medicine_id: testMedicationId,
+        type: 'BUY_SOON',
+        message: 'Test Event Medication is running low.'
+      });
+
+      await waitForText(stream, /event: notification\ndata: .*"id":\d+/);
+      expect(stream.text).toContain(`"id":${notification.id}`);
+      expect(stream.text).toContain('"medication_name":"Test Event Medication"');
+
+      await api
+        .post(`/api/medications/${testMedicationId}/mark-dose-given`)
+        .send({ dose_amount: 1 })
+        .expect(200);
+
+      await waitForText(stream, /event: dose_given\n/);
+      expect(stream.text).toContain(`"medicine_id":${testMedicationId}`);
+      expect(stream.text).toContain('"quantity_change":-1');
+    } finally {
+      stream.close();
+    }
+  });
+});
@@ -0,0 +1,178 @@
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
+const app = require('../../server');
+const { pool } = require('../../config/database');
+
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
+describe('Inventory API Endpoints', () => {
+  let testMedicationId;
+  let testPharmacyId;
+
+  beforeAll(async () => {
+    await pool.query('DELETE FROM medications WHERE name LIKE $1', ['Test Shopping Medication%']);
+    await pool.query('DELETE FROM pharmacies WHERE name LIKE $1', ['Test Shopping Pharmacy%']);
+
+    const pharmacyResult = await pool.query(
+      'INSERT INTO pharmacies (name, address, hours) VALUES ($1, $2, $3) RETURNING id',
+      ['Test Shopping Pharmacy', '12 High Street', 'Mon-Fri 9-18']
+    );
+    testPharmacyId = pharmacyResult.rows[0].id;
+
+    // 4 tablets at 2 a day: runs out in two days
+    const medicationResult = await pool.query(
+      'INSERT INTO medications (name, start_date, sheet_size, total_tablets, pharmacy_id, patient_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+      ['Test Shopping Medication', '2024-01-01', 10, 4, testPharmacyId, await getOwnPatientId(api)]
+    );
+    testMedicationId = medicationResult.rows[0].id;
+
+    await pool.query(
+      'INSERT INTO medicine_doses (medicine_id, dose_amount, time_of_day) VALUES ($1, $2, $3)',
+      [testMedicationId, 2, '08:00']
+    );
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM medications WHERE id = $1', [testMedicationId]);
+    await pool.query('DELETE FROM pharmacies WHERE id = $1', [testPharmacyId]);
+  });
+
+  describe('GET /api/inventory/shopping-list', () => {
+    it('should list whole packages to buy for the horizon', async () => {
+      const response = await api
+        .get('/api/inventory/shopping-list?days=7&horizon=14')
+        .expect(200);
+
+      expect(response.body.data.days_ahead).toBe(7);
+      expect(response.body.data.horizon_days).toBe(14);
+
+      const item = response.body.data.items.find(entry => entry.medication_id === testMedicationId);
+      expect(item).toMatchObject({
+        days_remaining: 2,
+        quantity_needed: 28,
+        quantity_short: 24,
+        package_unit: 'sheet',
+        package_size: 10,
+        packages_to_buy: 3,
+        quantity_to_buy: 30
+      });
+    });
+
+    it('should group the list by preferred pharmacy', async () => {
+      const response = await api
+        .get('/api/inventory/shopping-list?days=7')
+        .expect(200);
+
+      const group = response.body.data.pharmacies.find(entry => entry.pharmacy_id === testPharmacyId);
+      expect(group).toMatchObject({
+        pharmacy_name: 'Test Shopping Pharmacy',
+        address: '12 High Street',
+        hours: 'Mon-Fri 9-18'
+      });
+      expect(group.items.map(entry => entry.medication_id)).toEqual([testMedicationId]);
+    });
+
+    it('should export the list as CSV', async () => {
+      const response = await api
+        .get('/api/inventory/shopping-list?days=7&format=csv')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toMatch(/shopping_list_\d{4}-\d{2}-\d{2}\.csv/);
+
+      const lines = response.text.split('\n');
+      expect(lines[0]).toBe('Pharmacy,Medication,Strength,In Stock,Runs Out,Days Remaining,Needed,Short,Packages To Buy,Package,Quantity To Buy');
+      expect(lines.find(line => line.startsWith('"Test Shopping Pharmacy","Test Shopping Medication"')))
+        .toContain('"4 tablets"');
+    });
+
+    it('should reject invalid days', async () => {
+      const response = await api
+        .get('/api/inventory/shopping-list?days=0')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0].field).toBe('days');
+    });
+
+    it('should reject a horizon shorter than the days', async () => {
+      const response = await api
+        .get('/api/inventory/shopping-list?days=7&horizon=3')
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('horizon');
+    });
+  });
+
+  describe('POST /api/inventory/stock-takes', () => {
+    it('should set the counted stock and report the discrepancy', async () => {
+      const response = await api
+        .post('/api/inventory/stock-takes')
+        .send({ notes: 'Test count', counts: [{ medication_id: testMedicationId, counted_quantity: 3 }] })
+        .expect(201);
+
+      expect(response.body.data.counts).toEqual([expect.objectContaining({
+        medication_id: testMedicationId,
+        expected_quantity: 4,
+        counted_quantity: 3,
+        discrepancy: -1
+      })]);
+
+      const medicationResult = await pool.query('SELECT total_tablets FROM medications WHERE id = $1', [testMedicationId]);
+      expect(parseFloat(medicationResult.rows[0].total_tablets)).toBe(3);
+
+      const detail = await api
+        .get(`/api/inventory/stock-takes/${response.body.data.id}`)
+        .expect(200);
+      expect(detail.body.data.counts[0].discrepancy).toBe(-1);
+
+      // Put the stock back for the other tests
+      await pool.query('UPDATE medications SET total_tablets = 4 WHERE id = $1', [testMedicationId]);
+    });
+
+    it('should reject a stock-take without counts', async () => {
+      const response = await api
+        .post('/api/inventory/stock-takes')
+        .send({ counts: [] })
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('counts');
+    });
+
+    it('should return 404 for unknown medications', async () => {
+      await api
+        .post('/api/inventory/stock-takes')
+        .send({ counts: [{ medication_id: 999999, counted_quantity: 1 }] })
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/inventory/drift', () => {
+    it('should report the drift of a medication', async () => {
+      const response = await api
+        .get(`/api/inventory/drift?medicine_id=${testMedicationId}`)
+        .expect(200);
+
+      expect(response.body.data.medications[0]).toMatchObject({
+        medication_id: testMedicationId,
+        net_drift: -1
+      });
+    });
+
+    it('should reject invalid dates', async () => {
+      const response = await api
+        .get('/api/inventory/drift?start_date=2024-13-01')
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('start_date');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
+const app = require('../../server');
+const { pool } = require('../../config/database');
+
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
+describe('Inventory Lot API Endpoints', () => {
+  let testMedicationId;
+  let laterLotId;
+  let earlierLotId;
+
+  beforeAll(async () => {
+    await pool.query('DELETE FROM medications WHERE name LIKE $1', ['Test Lot Medication%']);
+
+    const medicationResult = await pool.query(
+      'INSERT INTO medications (name, start_date, sheet_size, total_tablets, patient_id) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      ['Test Lot Medication', '2024-01-01', 10, 10, await getOwnPatientId(api)]
+    );
+    testMedicationId = medicationResult.rows[0].id;
+  });
+
+  afterAll(async () => {
+    // Lots cascade with the medication
+    await pool.query('DELETE FROM medications WHERE id = $1', [testMedicationId]);
+  });
+
+  const getTotalTablets = async () => {
+    const result = await pool.query('SELECT total_tablets FROM medications WHERE id = $1', [testMedicationId]);
+    return parseFloat(result.rows[0].total_tablets);
+  };
+
+  describe('POST /api/medications/:medicationId/lots', () => {
+    it('should receive lots and add them to the stock', async () => {
+      const later = await api
+        .post(`/api/medications/${testMedicationId}/lots`)
+        .send({ quantity: 5, lot_number: 'LATE', expiry_date: '2099-06-01' })
+        .expect(201);
+      laterLotId = later.body.data.id;
+
+      const earlier = await api
+        .post(`/api/medications/${testMedicationId}/lots`)
+        .send({ quantity: 5, lot_number: 'EARLY', expiry_date: '2099-01-01', received_date: '2024-02-01' })
+        .expect(201);
+      earlierLotId = earlier.body.data.id;
+
+      expect(earlier.body.data.received_date).toBe('2024-02-01');
+      expect(earlier.body.data.is_expired).toBe(false);
+      expect(await getTotalTablets()).toBe(20);
+    });
+
+    it('should validate lot data', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/lots`)
+        .send({ quantity: -1, expiry_date: '2099-02-30' })
+        .expect(400);
+
+      expect(response.body.error.details.map(d => d.field)).toEqual(['quantity', 'expiry_date']);
+    });
+
+    it('should return 404 for unknown medications', async () => {
+      await api
+        .post('/api/medications/999999/lots')
+        .send({ quantity: 5 })
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/medications/:medicationId/lots', () => {
+    it('should list lots soonest expiry first with the untracked stock', async () => {
+      const response = await api
+        .get(`/api/medications/${testMedicationId}/lots`)
+        .expect(200);
+
+      expect(response.body.data.map(lot => lot.lot_number)).toEqual(['EARLY', 'LATE']);
+      expect(response.body.untracked_tablets).toBe(10);
+    });
+  });
+
+  describe('first-expiry-first-out consumption', () => {
+    it('should take given doses from the soonest-expiring lot', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/mark-dose-given`)
+        .send({ dose_amount: 3 })
+        .expect(200);
+
+      expect(response.body.data.dose_result.lots).toEqual([
+        { lot_id: earlierLotId, lot_number: 'EARLY', expiry_date: '2099-01-01', quantity: 3 }
+      ]);
+
+      const lots = await api.get(`/api/medications/${testMedicationId}/lots`).expect(200);
+      expect(lots.body.data.map(lot => lot.quantity)).toEqual([2, 5]);
+    });
+
+    it('should take a lower stock count out of the lots', async () => {
+      await api
+        .post(`/api/medications/${testMedicationId}/update-inventory`)
+        .send({ total_tablets: 4 })
+        .expect(200);
+
+      const lots = await api.get(`/api/medications/${testMedicationId}/lots`).expect(200);
+      expect(lots.body.data.map(lot => lot.quantity)).toEqual([0, 4]);
+    });
+  });
+
+  describe('PUT /api/medications/:medicationId/lots/:lotId', () => {
+    it('should change the stock by a quantity correction', async () => {
+      const response = await api
+        .put(`/api/medications/${testMedicationId}/lots/${laterLotId}`)
+        .send({ quantity: 6 })
+        .expect(200);
+
+      expect(response.body.data.quantity).toBe(6);
+      expect(await getTotalTablets()).toBe(6);
+    });
+
+    it('should return 404 for lots of other medications', async () => {
+      await api
+        .put(`/api/medications/${testMedicationId}/lots/999999`)
+        .send({ quantity: 1 })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/medications/:medicationId/lots/:lotId', () => {
+    it('should remove the lot and its stock', async () => {
+      await api
+        .delete(`/api/medications/${testMedicationId}/lots/${laterLotId}`)
+        .expect(200);
+
+      expect(await getTotalTablets()).toBe(0);
+    });
+  });
+});
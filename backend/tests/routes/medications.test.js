@@ -1,7 +1,18 @@
-const request = require('supertest');
+const { createAuthenticatedClient, removeAuthenticatedClient } = require('../helpers/auth');
 const app = require('../../server');
 const { pool } = require('../../config/database');
 
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
 describe('Medication API Endpoints', () => {
   let testMedicationId;
   let testRouteId;
@@ -50,7 +61,7 @@ describe('Medication API Endpoints', () => {
         notes: 'Test medication for API testing'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/medications')
         .send(medicationData)
         .expect(201);
@@ -71,7 +82,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should return 400 for missing required fields', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/medications')
         .send({
           strength: '500mg'
@@ -86,7 +97,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should return 400 for invalid date format', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/medications')
         .send({
           name: 'Test Medication',
@@ -99,7 +110,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should return 400 when end_date is before start_date', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/medications')
         .send({
           name: 'Test Medication',
@@ -118,7 +129,7 @@ describe('Medication API Endpoints', () => {
         start_date: '2024-01-01'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/medications')
         .send(medicationData)
         .expect(201);
@@ -131,11 +142,118 @@ describe('Medication API Endpoints', () => {
       // Clean up
       await pool.query('DELETE FROM medications WHERE id = $1', [response.body.data.id]);
     });
+
+    it('should save tapering phases and keep unchanged doses on update', async () => {
+      const createResponse = await api
+        .post('/api/medications')
+        .send({
+          name: 'Test Medication Taper',
+          start_date: '2024-01-01',
+          phases: [
+            { start_date: '2024-01-01', end_date: '2024-01-03', label: '40mg', doses: [{ dose_amount: 4, time_of_day: '08:00' }] },
+            { start_date: '2024-01-04', end_date: '2024-01-06', label: '30mg', doses: [{ dose_amount: 3, time_of_day: '08:00' }] }
+          ]
+        })
+        .expect(201);
+
+      const medicationId = createResponse.body.data.id;
+      const { body } = await api.get(`/api/medications/${medicationId}`).expect(200);
+      expect(body.data.phases.map(phase => phase.label)).toEqual(['40mg', '30mg']);
+      const keptDoseId = body.data.phases[0].doses[0].id;
+
+      // Send the first phase back unchanged and drop the second
+      await api
+        .put(`/api/medications/${medicationId}`)
+        .send({ name: 'Test Medication Taper', start_date: '2024-01-01', phases: [body.data.phases[0]] })
+        .expect(200);
+
+      const updated = await api.get(`/api/medications/${medicationId}`).expect(200);
+      expect(updated.body.data.phases).toHaveLength(1);
+      expect(updated.body.data.phases[0].doses[0].id).toBe(keptDoseId);
+
+      await pool.query('DELETE FROM medications WHERE id = $1', [medicationId]);
+    });
+
+    it('should return 400 for overlapping phases', async () => {
+      const response = await api
+        .post('/api/medications')
+        .send({
+          name: 'Test Medication Overlap',
+          start_date: '2024-01-01',
+          phases: [
+            { start_date: '2024-01-01', end_date: '2024-01-05', doses: [{ dose_amount: 2, time_of_day: '08:00' }] },
+            { start_date: '2024-01-05', doses: [{ dose_amount: 1, time_of_day: '08:00' }] }
+          ]
+        })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('overlap');
+    });
+
+    it('should save an on/off cycle', async () => {
+      const response = await api
+        .post('/api/medications')
+        .send({ name: 'Test Medication Cycle', start_date: '2024-01-01', cycle_days_on: 21, cycle_days_off: 7 })
+        .expect(201);
+
+      expect(response.body.data.cycle_days_on).toBe(21);
+      expect(response.body.data.cycle_days_off).toBe(7);
+      expect(response.body.data.cycle_start_date).toBeNull();
+
+      await pool.query('DELETE FROM medications WHERE id = $1', [response.body.data.id]);
+    });
+
+    it('should return 400 for a cycle without days off', async () => {
+      const response = await api
+        .post('/api/medications')
+        .send({ name: 'Test Medication Cycle', start_date: '2024-01-01', cycle_days_on: 21 })
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('cycle_days_off');
+    });
+
+    it('should derive the package size of a pen from its volume and concentration', async () => {
+      const response = await api
+        .post('/api/medications')
+        .send({
+          name: 'Test Medication Insulin',
+          start_date: '2024-01-01',
+          dose_unit: 'unit',
+          package_unit: 'pen',
+          package_volume_ml: 3,
+          units_per_ml: 100
+        })
+        .expect(201);
+
+      expect(response.body.data.dose_unit).toBe('unit');
+      expect(response.body.data.package_unit).toBe('pen');
+      expect(response.body.data.sheet_size).toBe(300);
+
+      await pool.query('DELETE FROM medications WHERE id = $1', [response.body.data.id]);
+    });
+
+    it('should return 400 for an unknown dose unit', async () => {
+      const response = await api
+        .post('/api/medications')
+        .send({ name: 'Test Medication Units', start_date: '2024-01-01', dose_unit: 'gallon' })
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('dose_unit');
+    });
+
+    it('should return 400 for a negative unit price', async () => {
+      const response = await api
+        .post('/api/medications')
+        .send({ name: 'Test Medication Price', start_date: '2024-01-01', unit_price: -1 })
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('unit_price');
+    });
   });
 
   describe('GET /api/medications', () => {
     it('should return all medications', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/medications')
         .expect(200);
 
@@ -146,7 +264,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should filter medications by active status', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/medications?active=true')
         .expect(200);
 
@@ -154,7 +272,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should filter medications by date', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/medications?date=2024-06-15')
         .expect(200);
 
@@ -162,7 +280,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should return 400 for invalid date format', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/medications?date=invalid-date')
         .expect(400);
 
@@ -170,7 +288,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should include details when requested', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/medications?include_details=true')
         .expect(200);
 
@@ -181,7 +299,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should search medications by name', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/medications?search=Test Medication 1')
         .expect(200);
 
@@ -189,7 +307,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should sort medications', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/medications?sort_by=name&sort_direction=asc')
         .expect(200);
 
@@ -200,7 +318,7 @@ describe('Medication API Endpoints', () => {
 
   describe('GET /api/medications/:id', () => {
     it('should return specific medication with details', async () => {
-      const response = await request(app)
+      const response = await api
         .get(`/api/medications/${testMedicationId}`)
         .expect(200);
 
@@ -212,7 +330,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should return 404 for non-existent medication', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/medications/99999')
         .expect(404);
 
@@ -220,7 +338,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should return 400 for invalid ID format', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/medications/invalid-id')
         .expect(400);
 
@@ -242,7 +360,7 @@ describe('Medication API Endpoints', () => {
         notes: 'Updated test medication'
       };
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/medications/${testMedicationId}`)
         .send(updateData)
         .expect(200);
@@ -255,7 +373,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should return 404 for non-existent medication', async () => {
-      const response = await request(app)
+      const response = await api
         .put('/api/medications/99999')
         .send({
           name: 'Test',
@@ -267,7 +385,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should return 400 for invalid data', async () => {
-      const response = await request(app)
+      const response = await api
         .put(`/api/medications/${testMedicationId}`)
         .send({
           name: '', // Invalid empty name
@@ -288,14 +406,14 @@ describe('Medication API Endpoints', () => {
         end_date: '2020-12-31'
       };
 
-      const createResponse = await request(app)
+      const createResponse = await api
         .post('/api/medications')
         .send(medicationData)
         .expect(201);
 
       const medicationId = createResponse.body.data.id;
 
-      const response = await request(app)
+      const response = await api
         .delete(`/api/medications/${medicationId}`)
         .expect(200);
 
@@ -310,14 +428,14 @@ describe('Medication API Endpoints', () => {
         end_date: '2024-12-31'
       };
 
-      const createResponse = await request(app)
+      const createResponse = await api
         .post('/api/medications')
         .send(medicationData)
         .expect(201);
 
       const medicationId = createResponse.body.data.id;
 
-      const response = await request(app)
+      const response = await api
         .delete(`/api/medications/${medicationId}`)
         .expect(200);
 
@@ -329,7 +447,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should return 404 for non-existent medication', async () => {
-      const response = await request(app)
+      const response = await api
         .delete('/api/medications/99999')
         .expect(404);
 
@@ -337,7 +455,7 @@ describe('Medication API Endpoints', () => {
     });
 
     it('should return 400 for invalid ID format', async () => {
-      const response = await request(app)
+      const response = await api
         .delete('/api/medications/invalid-id')
         .expect(400);
 
@@ -0,0 +1,128 @@
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
+const app = require('../../server');
+const { pool } = require('../../config/database');
+const NotificationRepository = require('../../repositories/NotificationRepository');
+
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  // The patient, its medications and their notifications cascade with the account
+  await removeAuthenticatedClient(api);
+});
+
+describe('Notification Action API Endpoints', () => {
+  const notificationRepository = new NotificationRepository();
+  let testMedicationId;
+
+  beforeAll(async () => {
+    const medicationResult = await pool.query(
+      'INSERT INTO medications (name, start_date, total_tablets, patient_id) VALUES ($1, $2, $3, $4) RETURNING id',
+      ['Test Notification Action Medication', '2024-01-01', 30, await getOwnPatientId(api)]
+    );
+    testMedicationId = medicationResult.rows[0].id;
+  });
+
+  const createNotification = (type) => notificationRepository.create({
+    medicine_id: testMedicationId,
+    type,
+    message: `Test ${type} notification`
+  });
+
+  describe('POST /api/notifications/:id/snooze', () => {
+    it('should snooze a dose reminder', async () => {
+      const notification = await createNotification('DOSE_DUE');
+
+      const response = await api
+        .post(`/api/notifications/${notification.id}/snooze`)
+        .send({ minutes: 30 })
+        .expect(200);
+
+      expect(response.body.message).toBe('Dose reminder snoozed for 30 minutes');
+      expect(response.body.data.id).toBe(notification.id);
+      expect(response.body.data.is_read).toBe(true);
+      const snoozedFor = new Date(response.body.data.snoozed_until) - Date.now();
+      expect(snoozedFor).toBeGreaterThan(29 * 60 * 1000);
+      expect(snoozedFor).toBeLessThanOrEqual(30 * 60 * 1000);
+    });
+
+    it('should only snooze dose reminders', async () => {
+      const notification = await createNotification('BUY_SOON');
+
+      const response = await api
+        .post(`/api/notifications/${notification.id}/snooze`)
+        .send({ minutes: 10 })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Only dose reminders can be snoozed');
+    });
+
+    it('should not snooze an acknowledged reminder', async () => {
+      const notification = await createNotification('DOSE_DUE');
+      await api.post(`/api/notifications/${notification.id}/acknowledge`).expect(200);
+
+      const response = await api
+        .post(`/api/notifications/${notification.id}/snooze`)
+        .send({ minutes: 10 })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+
+    it('should only snooze for 10, 30 or 60 minutes', async () => {
+      const notification = await createNotification('DOSE_DUE');
+
+      const response = await api
+        .post(`/api/notifications/${notification.id}/snooze`)
+        .send({ minutes: 45 })
+        .expect(400);
+
+      expect(response.body.error.details[0].message).toBe('Minutes must be one of: 10, 30, 60');
+      const stored = await notificationRepository.findById(notification.id);
+      expect(stored.snoozed_until).toBeNull();
+    });
+
+    it('should return 404 for non-existent notification', async () => {
+      const response = await api
+        .post('/api/notifications/999999/snooze')
+        .send({ minutes: 10 })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('POST /api/notifications/:id/acknowledge', () => {
+    it('should acknowledge a notification', async () => {
+      const notification = await createNotification('DOSE_DUE');
+      await api
+        .post(`/api/notifications/${notification.id}/snooze`)
+        .send({ minutes: 10 })
+        .expect(200);
+
+      const response = await api
+        .post(`/api/notifications/${notification.id}/acknowledge`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Notification acknowledged');
+      expect(response.body.data).toEqual(expect.objectContaining({
+        id: notification.id,
+        is_read: true,
+        snoozed_until: null
+      }));
+      expect(response.body.data.acknowledged_at).not.toBeNull();
+    });
+
+    it('should return 404 for non-existent notification', async () => {
+      const response = await api
+        .post('/api/notifications/999999/acknowledge')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
+const { startWebhookStandIn } = require('../helpers/deliveryStandIns');
+
+// The webhook stand-in listens on this host, which webhooks are otherwise kept from
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+const app = require('../../server');
+const { pool } = require('../../config/database');
+const NotificationRepository = require('../../repositories/NotificationRepository');
+
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  // Channels and their deliveries cascade with the account
+  await removeAuthenticatedClient(api);
+});
+
+describe('Notification Channel API Endpoints', () => {
+  let webhook;
+  let webhookChannelId;
+  let testMedicationId;
+
+  beforeAll(async () => {
+    webhook = await startWebhookStandIn();
+
+    await pool.query('DELETE FROM medications WHERE name LIKE $1', ['Test Channel Medication%']);
+    const medicationResult = await pool.query(
+      'INSERT INTO medications (name, start_date, total_tablets, patient_id) VALUES ($1, $2, $3, $4) RETURNING id',
+      ['Test Channel Medication', '2024-01-01', 30, await getOwnPatientId(api)]
+    );
+    testMedicationId = medicationResult.rows[0].id;
+  });
+
+  afterAll(async () => {
+    // Notifications and their deliveries cascade with the medication
+    await pool.query('DELETE FROM medications WHERE id = $1', [testMedicationId]);
+    await webhook.close();
+  });
+
+  it('should report which channels the server can deliver to', async () => {
+    const response = await api.get('/api/notifications/channels/available').expect(200);
+
+    expect(response.body.data.webhook).toEqual({ configured: true });
+    expect(response.body.data).toHaveProperty('email.configured');
+    expect(response.body.data).toHaveProperty('web_push.public_key');
+  });
+
+  it('should add a webhook channel without exposing its secret', async () => {
+    const response = await api
+      .post('/api/notifications/channels')
+      .send({ channel: 'webhook', target: `${webhook.url}/meds`, secret: 's3cret' })
+      .expect(201);
+    webhookChannelId = response.body.data.id;
+
+    expect(response.body.data).toEqual(expect.objectContaining({
+      channel: 'webhook',
+      target: `${webhook.url}/meds`,
+      has_secret: true,
+      is_enabled: true
+    }));
+    expect(response.body.data).not.toHaveProperty('secret');
+  });
+
+  it('should validate channel data', async () => {
+    const response = await api
+      .post('/api/notifications/channels')
+      .send({ channel: 'sms' })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+
+    const badUrl = await api
+      .post('/api/notifications/channels')
+      .send({ channel: 'webhook', target: 'not a url' })
+      .expect(400);
+
+    expect(badUrl.body.error.message).toContain('Target must be an http or https URL');
+
+    const privateUrl = await api
+      .post('/api/notifications/channels')
+      .send({ channel: 'webhook', target: 'http://169.254.169.254/latest/meta-data/' })
+      .expect(400);
+
+    expect(privateUrl.body.error.message).toBe('Validation failed: Target must be a public address');
+  });
+
+  it("should list the user's channels", async () => {
+    const response = await api.get('/api/notifications/channels').expect(200);
+
+    expect(response.body.data.map(c => c.id)).toContain(webhookChannelId);
+  });
+
+  it('should send a test message to the channel', async () => {
+    await api.post(`/api/notifications/channels/${webhookChannelId}/test`).expect(200);
+
+    expect(webhook.requests).toHaveLength(1);
+    expect(JSON.parse(webhook.requests[0].body.toString('utf8')).title).toBe('Test notification');
+  });
+
+  it('should report a failed test message', async () => {
+    webhook.status = 500;
+
+    const response = await api.post(`/api/notifications/channels/${webhookChannelId}/test`).expect(502);
+    webhook.status = 201;
+
+    expect(response.body.error.message).toBe('Delivery failed: Webhook responded with HTTP 500');
+  });
+
+  it('should queue new notifications for delivery to the channel', async () => {
+    const notification = await new NotificationRepository().create({
+      medicine_id: testMedicationId,
+      type: 'BUY_SOON',
+      message: 'Test Channel Medication is running low.'
+    });
+
+    const response = await api.get(`/api/notifications/channels/${webhookChannelId}/deliveries`).expect(200);
+
+    expect(response.body.data[0]).toEqual(expect.objectContaining({
+      notification_id: notification.id,
+      status: 'pending',
+      attempts: 0,
+      notification_type: 'BUY_SOON'
+    }));
+  });
+
+  it('should turn the channel off', async () => {
+    const response = await api
+      .put(`/api/notifications/channels/${webhookChannelId}`)
+      .send({ is_enabled: false })
+      .expect(200);
+
+    expect(response.body.data.is_enabled).toBe(false);
+    expect(response.body.data.has_secret).toBe(true);
+  });
+
+  it("should not find other users' channels", async () => {
+    const other = await createAuthenticatedClient(app);
+
+    try {
+      await other.put(`/api/notifications/channels/${webhookChannelId}`).send({ is_enabled: true }).expect(404);
+      await other.delete(`/api/notifications/channels/${webhookChannelId}`).expect(404);
+    } finally {
+      await removeAuthenticatedClient(other);
+    }
+  });
+
+  it('should remove the channel', async () => {
+    await api.delete(`/api/notifications/channels/${webhookChannelId}`).expect(200);
+    await api.get(`/api/notifications/channels/${webhookChannelId}/deliveries`).expect(404);
+  });
+});
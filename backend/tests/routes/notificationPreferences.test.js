@@ -0,0 +1,136 @@
+const { createAuthenticatedClient, removeAuthenticatedClient } = require('../helpers/auth');
+const app = require('../../server');
+const { pool } = require('../../config/database');
+const NotificationRepository = require('../../repositories/NotificationRepository');
+
+// All API routes require a session
+let api;
+let otherUser;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+  otherUser = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  // Patients and their preferences cascade with the account
+  await removeAuthenticatedClient(api);
+  await removeAuthenticatedClient(otherUser);
+});
+
+describe('Notification Preferences API Endpoints', () => {
+  let patientId;
+  let testMedicationId;
+
+  beforeAll(async () => {
+    const patientResponse = await api
+      .post('/api/patients')
+      .send({ name: 'Test Preferences Patient', timezone: 'Europe/Amsterdam' })
+      .expect(201);
+    patientId = patientResponse.body.data.id;
+
+    const medicationResult = await pool.query(
+      'INSERT INTO medications (name, start_date, total_tablets, patient_id) VALUES ($1, $2, $3, $4) RETURNING id',
+      ['Test Preferences Medication', '2024-01-01', 30, patientId]
+    );
+    testMedicationId = medicationResult.rows[0].id;
+  });
+
+  it('should return the defaults for a patient without preferences', async () => {
+    const response = await api.get(`/api/notifications/preferences?patient_id=${patientId}`).expect(200);
+
+    expect(response.body.data).toEqual(expect.objectContaining({
+      patient_id: patientId,
+      disabled_types: [],
+      minutes_ahead: 15,
+      hours_overdue: 1,
+      buy_soon_days_ahead: 1,
+      quiet_hours_enabled: false,
+      quiet_hours_start: '22:00',
+      quiet_hours_end: '07:00',
+      timezone: 'Europe/Amsterdam'
+    }));
+    expect(response.body.types).toContain('DOSE_DUE');
+  });
+
+  it("should save a patient's preferences, keeping fields left out", async () => {
+    await api
+      .put('/api/notifications/preferences')
+      .send({ patient_id: patientId, disabled_types: ['BUY_SOON'], minutes_ahead: 30 })
+      .expect(200);
+
+    const response = await api
+      .put('/api/notifications/preferences')
+      .send({ patient_id: patientId, quiet_hours_enabled: true, quiet_hours_start: '23:00' })
+      .expect(200);
+
+    expect(response.body.data).toEqual(expect.objectContaining({
+      disabled_types: ['BUY_SOON'],
+      minutes_ahead: 30,
+      quiet_hours_enabled: true,
+      quiet_hours_start: '23:00',
+      quiet_hours_end: '07:00'
+    }));
+  });
+
+  it('should reject invalid preferences', async () => {
+    const response = await api
+      .put('/api/notifications/preferences')
+      .send({ patient_id: patientId, hours_overdue: 48 })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+
+    await api
+      .put('/api/notifications/preferences')
+      .send({ patient_id: patientId, quiet_hours_enabled: 'yes' })
+      .expect(400);
+  });
+
+  it('should only make a member of the patient the secondary caregiver', async () => {
+    const response = await api
+      .put('/api/notifications/preferences')
+      .send({ patient_id: patientId, escalation_user_id: api.user.id, max_renotifications: 3 })
+      .expect(200);
+
+    expect(response.body.data).toEqual(expect.objectContaining({
+      escalation_user_id: api.user.id,
+      max_renotifications: 3,
+      renotify_minutes: 15
+    }));
+
+    const rejected = await api
+      .put('/api/notifications/preferences')
+      .send({ patient_id: patientId, escalation_user_id: otherUser.user.id })
+      .expect(400);
+
+    expect(rejected.body.error.message).toContain('Secondary caregiver must be a member of the patient');
+  });
+
+  it("should hide other users' patients", async () => {
+    await otherUser.get(`/api/notifications/preferences?patient_id=${patientId}`).expect(404);
+    await otherUser
+      .put('/api/notifications/preferences')
+      .send({ patient_id: patientId, minutes_ahead: 60 })
+      .expect(404);
+  });
+
+  it('should hide held notifications until they are released', async () => {
+    const notificationRepository = new NotificationRepository();
+    const held = await notificationRepository.create({
+      medicine_id: testMedicationId,
+      type: 'DOSE_DUE',
+      message: 'Time to take Test Preferences Medication.',
+      held_until: new Date(Date.now() - 1000)
+    });
+
+    let response = await api.get(`/api/notifications?patient_id=${patientId}`).expect(200);
+    expect(response.body.data.map(n => n.id)).not.toContain(held.id);
+
+    const released = await notificationRepository.releaseHeld();
+    expect(released.map(n => n.id)).toContain(held.id);
+
+    response = await api.get(`/api/notifications?patient_id=${patientId}`).expect(200);
+    expect(response.body.data.map(n => n.id)).toContain(held.id);
+  });
+});
@@ -1,7 +1,18 @@
-const request = require('supertest');
+const { createAuthenticatedClient, removeAuthenticatedClient } = require('../helpers/auth');
 const app = require('../../server');
 const NotificationRepository = require('../../repositories/NotificationRepository');
 
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
 // Mock the NotificationRepository
 jest.mock('../../repositories/NotificationRepository');
 
@@ -18,7 +29,9 @@ describe('Notification Routes', () => {
             markAllAsReadForMedication: jest.fn(),
             markMultipleAsRead: jest.fn(),
             findUnread: jest.fn(),
-            deleteById: jest.fn()
+            deleteById: jest.fn(),
+            snooze: jest.fn(),
+            acknowledge: jest.fn()
         };
 
         NotificationRepository.mockImplementation(() => mockNotificationRepository);
@@ -46,13 +59,13 @@ describe('Notification Routes', () => {
             NotificationRepository.mockImplementation(() => mockNotificationRepository);
             mockNotificationRepository.findAll.mockResolvedValue(mockNotifications);
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications')
                 .expect(200);
 
             expect(response.body.data).toEqual(mockNotifications);
             expect(response.body.count).toBe(1);
-            expect(mockNotificationRepository.findAll).toHaveBeenCalledWith({});
+            expect(mockNotificationRepository.findAll).toHaveBeenCalledWith({ accessible_by: api.user.id });
         });
 
         it('should filter notifications by read status', async () => {
@@ -66,11 +79,12 @@ describe('Notification Routes', () => {
 
             mockNotificationRepository.findAll.mockResolvedValue(mockNotifications);
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications?is_read=false')
                 .expect(200);
 
             expect(mockNotificationRepository.findAll).toHaveBeenCalledWith({
+                accessible_by: api.user.id,
                 is_read: false
             });
         });
@@ -79,11 +93,12 @@ describe('Notification Routes', () => {
             const mockNotifications = [];
             mockNotificationRepository.findAll.mockResolvedValue(mockNotifications);
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications?medicine_id=123')
                 .expect(200);
 
             expect(mockNotificationRepository.findAll).toHaveBeenCalledWith({
+                accessible_by: api.user.id,
                 medicine_id: 123
             });
         });
@@ -92,11 +107,12 @@ describe('Notification Routes', () => {
             const mockNotifications = [];
             mockNotificationRepository.findAll.mockResolvedValue(mockNotifications);
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications?type=BUY_SOON')
                 .expect(200);
 
             expect(mockNotificationRepository.findAll).toHaveBeenCalledWith({
+                accessible_by: api.user.id,
                 type: 'BUY_SOON'
             });
         });
@@ -105,17 +121,18 @@ describe('Notification Routes', () => {
             const mockNotifications = [];
             mockNotificationRepository.findAll.mockResolvedValue(mockNotifications);
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications?limit=10')
                 .expect(200);
 
             expect(mockNotificationRepository.findAll).toHaveBeenCalledWith({
+                accessible_by: api.user.id,
                 limit: 10
             });
         });
 
         it('should validate invalid medicine ID', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications?medicine_id=invalid')
                 .expect(400);
 
@@ -124,7 +141,7 @@ describe('Notification Routes', () => {
         });
 
         it('should validate invalid limit', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications?limit=0')
                 .expect(400);
 
@@ -135,7 +152,7 @@ describe('Notification Routes', () => {
         it('should handle repository errors', async () => {
             mockNotificationRepository.findAll.mockRejectedValue(new Error('Database error'));
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications')
                 .expect(500);
 
@@ -158,7 +175,7 @@ describe('Notification Routes', () => {
 
             mockNotificationRepository.findById.mockResolvedValue(mockNotification);
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications/1')
                 .expect(200);
 
@@ -169,7 +186,7 @@ describe('Notification Routes', () => {
         it('should return 404 for non-existent notification', async () => {
             mockNotificationRepository.findById.mockResolvedValue(null);
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications/999')
                 .expect(404);
 
@@ -178,7 +195,7 @@ describe('Notification Routes', () => {
         });
 
         it('should validate invalid notification ID', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications/invalid')
                 .expect(400);
 
@@ -196,7 +213,7 @@ describe('Notification Routes', () => {
 
             mockNotificationRepository.markAsRead.mockResolvedValue(mockNotification);
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/notifications/1/mark-read')
                 .expect(200);
 
@@ -208,7 +225,7 @@ describe('Notification Routes', () => {
         it('should handle non-existent notification', async () => {
             mockNotificationRepository.markAsRead.mockRejectedValue(new Error('Notification not found'));
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/notifications/999/mark-read')
                 .expect(500);
 
@@ -216,7 +233,7 @@ describe('Notification Routes', () => {
         });
 
         it('should validate invalid notification ID', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/notifications/invalid/mark-read')
                 .expect(400);
 
@@ -235,7 +252,7 @@ describe('Notification Routes', () => {
             mockNotificationRepository.findUnread.mockResolvedValue(mockUnreadNotifications);
             mockNotificationRepository.markMultipleAsRead.mockResolvedValue([]);
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/notifications/mark-all-read')
                 .send({})
                 .expect(200);
@@ -250,22 +267,24 @@ describe('Notification Routes', () => {
                 { id: 1, medicine_id: 123, is_read: true }
             ];
 
-            mockNotificationRepository.markAllAsReadForMedication.mockResolvedValue(mockNotifications);
+            mockNotificationRepository.findUnread.mockResolvedValue(mockNotifications);
+            mockNotificationRepository.markMultipleAsRead.mockResolvedValue(mockNotifications);
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/notifications/mark-all-read')
                 .send({ medicine_id: 123 })
                 .expect(200);
 
             expect(response.body.message).toBe('1 notifications marked as read');
             expect(response.body.count).toBe(1);
-            expect(mockNotificationRepository.markAllAsReadForMedication).toHaveBeenCalledWith(123);
+            expect(mockNotificationRepository.findUnread).toHaveBeenCalledWith({ accessible_by: api.user.id, medicine_id: 123 });
+            expect(mockNotificationRepository.markMultipleAsRead).toHaveBeenCalledWith([1]);
         });
 
         it('should handle no unread notifications', async () => {
             mockNotificationRepository.findUnread.mockResolvedValue([]);
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/notifications/mark-all-read')
                 .send({})
                 .expect(200);
@@ -275,7 +294,7 @@ describe('Notification Routes', () => {
         });
 
         it('should validate invalid medicine ID', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/notifications/mark-all-read')
                 .send({ medicine_id: 'invalid' })
                 .expect(400);
@@ -290,7 +309,7 @@ describe('Notification Routes', () => {
             const mockNotification = { id: 1 };
             mockNotificationRepository.deleteById.mockResolvedValue(mockNotification);
 
-            const response = await request(app)
+            const response = await api
                 .delete('/api/notifications/1')
                 .expect(200);
 
@@ -301,7 +320,7 @@ describe('Notification Routes', () => {
         it('should handle non-existent notification', async () => {
             mockNotificationRepository.deleteById.mockRejectedValue(new Error('Notification not found'));
 
-            const response = await request(app)
+            const response = await api
                 .delete('/api/notifications/999')
                 .expect(500);
 
@@ -309,7 +328,7 @@ describe('Notification Routes', () => {
         });
 
         it('should validate invalid notification ID', async () => {
-            const response = await request(app)
+            const response = await api
                 .delete('/api/notifications/invalid')
                 .expect(400);
 
@@ -328,18 +347,18 @@ describe('Notification Routes', () => {
 
             mockNotificationRepository.findUnread.mockResolvedValue(mockUnreadNotifications);
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications/unread-count')
                 .expect(200);
 
             expect(response.body.count).toBe(3);
-            expect(mockNotificationRepository.findUnread).toHaveBeenCalledWith({ limit: 1000 });
+            expect(mockNotificationRepository.findUnread).toHaveBeenCalledWith({ limit: 1000, accessible_by: api.user.id });
         });
 
         it('should return 0 when no unread notifications', async () => {
             mockNotificationRepository.findUnread.mockResolvedValue([]);
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications/unread-count')
                 .expect(200);
 
@@ -349,7 +368,7 @@ describe('Notification Routes', () => {
         it('should handle repository errors', async () => {
             mockNotificationRepository.findUnread.mockRejectedValue(new Error('Database error'));
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/notifications/unread-count')
                 .expect(500);
 
@@ -0,0 +1,393 @@
+const { createAuthenticatedClient, removeAuthenticatedClient } = require('../helpers/auth');
+const app = require('../../server');
+const NotificationRepository = require('../../repositories/NotificationRepository');
+const { pool } = require('../../config/database');
+
+// All API routes require a session
+let api;
+let otherUser;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+  otherUser = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  // Patients and their medications cascade with the owning account
+  await removeAuthenticatedClient(api);
+  await removeAuthenticatedClient(otherUser);
+});
+
+describe('Patient API Endpoints', () => {
+  let patientId;
+  let otherPatientId;
+  let medicationId;
+  let notificationId;
+
+  describe('POST /api/patients', () => {
+    it('should create a patient owned by the current user', async () => {
+      const response = await api
+        .post('/api/patients')
+        .send({ name: 'Test Patient', date_of_birth: '1950-03-04' })
+        .expect(201);
+
+      expect(response.body.data.name).toBe('Test Patient');
+      expect(response.body.data.owner_id).toBe(api.user.id);
+      expect(response.body.data.date_of_birth).toBe('1950-03-04');
+      patientId = response.body.data.id;
+
+      const otherResponse = await api
+        .post('/api/patients')
+        .send({ name: 'Second Patient' })
+        .expect(201);
+      otherPatientId = otherResponse.body.data.id;
+    });
+
+    it('should require a name', async () => {
+      await api
+        .post('/api/patients')
+        .send({ name: '' })
+        .expect(400);
+    });
+
+    it('should store the patient timezone', async () => {
+      const response = await api
+        .post('/api/patients')
+        .send({ name: 'Travelling Patient', timezone: 'Asia/Tokyo' })
+        .expect(201);
+
+      expect(response.body.data.timezone).toBe('Asia/Tokyo');
+
+      await api
+        .delete(`/api/patients/${response.body.data.id}`)
+        .expect(200);
+    });
+
+    it('should reject unknown timezones', async () => {
+      await api
+        .post('/api/patients')
+        .send({ name: 'Sam', timezone: 'Mars/Olympus_Mons' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/patients', () => {
+    it('should only list the current user\'s patients', async () => {
+      const response = await api.get('/api/patients').expect(200);
+      expect(response.body.data.map(p => p.id)).toEqual(expect.arrayContaining([patientId, otherPatientId]));
+
+      const otherResponse = await otherUser.get('/api/patients').expect(200);
+      expect(otherResponse.body.data).toHaveLength(0);
+    });
+
+    it('should hide patients from other users', async () => {
+      await otherUser.get(`/api/patients/${patientId}`).expect(404);
+    });
+  });
+
+  describe('patient scoping', () => {
+    it('should scope medications and the schedule to a patient', async () => {
+      const today = new Date().toISOString().split('T')[0];
+
+      const created = await api
+        .post('/api/medications')
+        .send({ name: 'Test Patient Medication', start_date: today, patient_id: patientId, total_tablets: 20 })
+        .expect(201);
+      medicationId = created.body.data.id;
+
+      const scoped = await api.get(`/api/medications?patient_id=${patientId}`).expect(200);
+      expect(scoped.body.data.map(m => m.name)).toContain('Test Patient Medication');
+      expect(scoped.body.data.every(m => m.patient_id === patientId)).toBe(true);
+
+      const otherScoped = await api.get(`/api/medications?patient_id=${otherPatientId}`).expect(200);
+      expect(otherScoped.body.data.map(m => m.name)).not.toContain('Test Patient Medication');
+
+      const schedule = await api.get(`/api/schedule/daily?date=${today}&patient_id=${otherPatientId}`).expect(200);
+      expect(schedule.body.data.medications.map(m => m.name)).not.toContain('Test Patient Medication');
+    });
+
+    it('should reject patients the user cannot access', async () => {
+      await otherUser.get(`/api/medications?patient_id=${patientId}`).expect(404);
+      await otherUser.get(`/api/schedule/daily?patient_id=${patientId}`).expect(404);
+      await otherUser.get(`/api/notifications?patient_id=${patientId}`).expect(404);
+    });
+
+    it('should keep other users\' patients out of unscoped lists', async () => {
+      const today = new Date().toISOString().split('T')[0];
+      const notification = await new NotificationRepository().create({
+        medicine_id: medicationId,
+        type: 'BUY_SOON',
+        message: 'Test Patient Medication is running low'
+      });
+      notificationId = notification.id;
+
+      const schedule = await otherUser.get(`/api/schedule/daily?date=${today}`).expect(200);
+      expect(schedule.body.data.medications.map(m => m.id)).not.toContain(medicationId);
+
+      const summary = await otherUser.get(`/api/schedule/summary?date=${today}`).expect(200);
+      const ownSummary = await api.get(`/api/schedule/summary?date=${today}`).expect(200);
+      expect(ownSummary.body.data.total_medications - summary.body.data.total_medications).toBeGreaterThanOrEqual(1);
+
+      const notifications = await otherUser.get('/api/notifications').expect(200);
+      expect(notifications.body.data.map(n => n.id)).not.toContain(notification.id);
+
+      await otherUser.post('/api/notifications/mark-all-read').send({}).expect(200);
+      const ownNotifications = await api.get(`/api/notifications?patient_id=${patientId}&is_read=false`).expect(200);
+      expect(ownNotifications.body.data.map(n => n.id)).toContain(notification.id);
+
+      const auditLogs = await otherUser.get('/api/audit').expect(200);
+      expect(auditLogs.body.data.map(log => log.medicine_id)).not.toContain(medicationId);
+      const ownAuditLogs = await api.get('/api/audit').expect(200);
+      expect(ownAuditLogs.body.data.map(log => log.medicine_id)).toContain(medicationId);
+    });
+
+    it('should hide other users\' notifications and audit logs by ID', async () => {
+      await otherUser.get(`/api/notifications/${notificationId}`).expect(404);
+      await otherUser.post(`/api/notifications/${notificationId}/mark-read`).expect(404);
+      await otherUser.delete(`/api/notifications/${notificationId}`).expect(404);
+      await otherUser.post(`/api/notifications/${notificationId}/snooze`).send({ minutes: 10 }).expect(404);
+      await otherUser.post(`/api/notifications/${notificationId}/acknowledge`).expect(404);
+      await api.get(`/api/notifications/${notificationId}`).expect(200);
+
+      const ownLogs = await api.get(`/api/audit?patient_id=${patientId}`).expect(200);
+      const auditLogId = ownLogs.body.data[0].id;
+      await otherUser.get(`/api/audit/${auditLogId}`).expect(404);
+      await api.get(`/api/audit/${auditLogId}`).expect(200);
+
+      await otherUser.get(`/api/audit/medication/${medicationId}`).expect(404);
+      await otherUser.get(`/api/audit/inventory-timeline/${medicationId}`).expect(404);
+      await otherUser.get(`/api/audit/compliance/${medicationId}?start_date=2024-01-01&end_date=2030-01-01`).expect(404);
+
+      const recent = await otherUser.get('/api/audit/recent').expect(200);
+      expect(recent.body.data.map(log => log.id)).not.toContain(auditLogId);
+      const exported = await otherUser.get('/api/audit/export/logs').expect(200);
+      expect(exported.body.logs.map(log => log.id)).not.toContain(auditLogId);
+    });
+
+    it('should keep other users\' medications off the shopping list', async () => {
+      // 20 tablets at 10 a day runs out within the week
+      await pool.query(
+        'INSERT INTO medicine_doses (medicine_id, dose_amount, time_of_day) VALUES ($1, $2, $3)',
+        [medicationId, 10, '08:00']
+      );
+
+      const shoppingList = await otherUser.get('/api/inventory/shopping-list?days=7').expect(200);
+      expect(shoppingList.body.data.items.map(item => item.medication_id)).not.toContain(medicationId);
+      const ownShoppingList = await api.get('/api/inventory/shopping-list?days=7').expect(200);
+      expect(ownShoppingList.body.data.items.map(item => item.medication_id)).toContain(medicationId);
+    });
+
+    it('should hide other users\' stock-takes and drift', async () => {
+      const counts = [{ medication_id: medicationId, counted_quantity: 20 }];
+      const patientStockTake = await api
+        .post('/api/inventory/stock-takes')
+        .send({ patient_id: patientId, counts })
+        .expect(201);
+      const unassignedStockTake = await api.post('/api/inventory/stock-takes').send({ counts }).expect(201);
+      const stockTakeIds = [patientStockTake.body.data.id, unassignedStockTake.body.data.id];
+
+      const stockTakes = await otherUser.get('/api/inventory/stock-takes').expect(200);
+      const otherStockTakeIds = stockTakes.body.data.map(stockTake => stockTake.id);
+      stockTakeIds.forEach(id => expect(otherStockTakeIds).not.toContain(id));
+      const ownStockTakes = await api.get('/api/inventory/stock-takes').expect(200);
+      expect(ownStockTakes.body.data.map(stockTake => stockTake.id)).toEqual(expect.arrayContaining(stockTakeIds));
+
+      for (const id of stockTakeIds) {
+        await otherUser.get(`/api/inventory/stock-takes/${id}`).expect(404);
+        await api.get(`/api/inventory/stock-takes/${id}`).expect(200);
+      }
+
+      const drift = await otherUser.get('/api/inventory/drift').expect(200);
+      expect(drift.body.data.medications.map(m => m.medication_id)).not.toContain(medicationId);
+      const ownDrift = await api.get('/api/inventory/drift').expect(200);
+      expect(ownDrift.body.data.medications.map(m => m.medication_id)).toContain(medicationId);
+    });
+
+    it('should leave other users\' refills out of the spend report', async () => {
+      await api
+        .post(`/api/medications/${medicationId}/refills`)
+        .send({ quantity: 10, cost: 12.5 })
+        .expect(201);
+
+      const spend = await otherUser.get('/api/reports/spend').expect(200);
+      expect(spend.body.data.by_medication.map(m => m.medication_id)).not.toContain(medicationId);
+      const ownSpend = await api.get('/api/reports/spend').expect(200);
+      expect(ownSpend.body.data.by_medication.map(m => m.medication_id)).toContain(medicationId);
+    });
+
+    it('should keep storage locations to their patient', async () => {
+      const location = await api
+        .post('/api/settings/locations')
+        .send({ name: 'Patient Scope Kit', patient_id: patientId })
+        .expect(201);
+      const locationId = location.body.data.id;
+      expect(location.body.data.patient_id).toBe(patientId);
+      await api
+        .post(`/api/medications/${medicationId}/locations/transfers`)
+        .send({ to_location_id: locationId, quantity: 5 })
+        .expect(201);
+
+      const locations = await otherUser.get('/api/settings/locations').expect(200);
+      expect(locations.body.data.map(l => l.id)).not.toContain(locationId);
+      await otherUser.get(`/api/settings/locations?patient_id=${patientId}`).expect(404);
+      await otherUser.post('/api/settings/locations').send({ name: 'Other Kit', patient_id: patientId }).expect(404);
+      await otherUser.put(`/api/settings/locations/${locationId}`).send({ name: 'Renamed' }).expect(404);
+      await otherUser.delete(`/api/settings/locations/${locationId}`).expect(404);
+      await otherUser.get(`/api/inventory/locations/${locationId}/buy-soon?days=7`).expect(404);
+
+      const ownLocations = await api.get(`/api/settings/locations?patient_id=${patientId}`).expect(200);
+      expect(ownLocations.body.data.map(l => l.id)).toContain(locationId);
+      const ownAlerts = await api.get(`/api/inventory/locations/${locationId}/buy-soon?days=7`).expect(200);
+      expect(ownAlerts.body.data.map(alert => alert.medication_id)).toContain(medicationId);
+
+      // Another patient's location cannot hold or give this medication's stock
+      const otherPatient = await api.post('/api/patients').send({ name: 'Test Second Patient' }).expect(201);
+      try {
+        const otherLocation = await api
+          .post('/api/settings/locations')
+          .send({ name: 'Second Patient Kit', patient_id: otherPatient.body.data.id })
+          .expect(201);
+        await api
+          .post(`/api/medications/${medicationId}/locations/transfers`)
+          .send({ to_location_id: otherLocation.body.data.id, quantity: 1 })
+          .expect(400);
+      } finally {
+        await api.delete(`/api/patients/${otherPatient.body.data.id}`).expect(200);
+      }
+
+      await api.delete(`/api/settings/locations/${locationId}`).expect(200);
+    });
+
+    it('should validate the patient ID', async () => {
+      await api.get('/api/medications?patient_id=abc').expect(400);
+    });
+
+    it('should add medications without a patient to the user\'s own patient', async () => {
+      const newUser = await createAuthenticatedClient(app);
+
+      try {
+        const created = await newUser
+          .post('/api/medications')
+          .send({ name: 'Test Own Patient Medication', start_date: '2024-01-01' })
+          .expect(201);
+        const ownMedicationId = created.body.data.id;
+
+        const patients = await newUser.get('/api/patients').expect(200);
+        expect(patients.body.data).toHaveLength(1);
+        expect(patients.body.data[0].name).toBe(newUser.user.name);
+        expect(created.body.data.patient_id).toBe(patients.body.data[0].id);
+
+        await newUser
+          .post('/api/medications')
+          .send({ name: 'Test Own Patient Medication 2', start_date: '2024-01-01' })
+          .expect(201);
+        const samePatients = await newUser.get('/api/patients').expect(200);
+        expect(samePatients.body.data).toHaveLength(1);
+
+        const medications = await api.get('/api/medications').expect(200);
+        expect(medications.body.data.map(m => m.id)).not.toContain(ownMedicationId);
+        await api.get(`/api/medications/${ownMedicationId}`).expect(404);
+        await api.delete(`/api/medications/${ownMedicationId}`).expect(404);
+      } finally {
+        await removeAuthenticatedClient(newUser);
+      }
+    });
+  });
+
+  describe('sharing', () => {
+    let invitationId;
+
+    it('should invite another user by email', async () => {
+      const response = await api
+        .post(`/api/patients/${patientId}/invitations`)
+        .send({ email: otherUser.user.email, role: 'caregiver' })
+        .expect(201);
+
+      invitationId = response.body.data.id;
+      expect(response.body.data.status).toBe('pending');
+
+      await api
+        .post(`/api/patients/${patientId}/invitations`)
+        .send({ email: otherUser.user.email, role: 'viewer' })
+        .expect(409);
+    });
+
+    it('should validate the invitation role', async () => {
+      await api
+        .post(`/api/patients/${patientId}/invitations`)
+        .send({ email: 'someone@example.com', role: 'admin' })
+        .expect(400);
+    });
+
+    it('should let the invited user accept', async () => {
+      const invitations = await otherUser.get('/api/invitations').expect(200);
+      expect(invitations.body.data.map(i => i.id)).toContain(invitationId);
+
+      await api.post(`/api/invitations/${invitationId}/accept`).expect(404);
+      await otherUser.post(`/api/invitations/${invitationId}/accept`).expect(200);
+
+      const patients = await otherUser.get('/api/patients').expect(200);
+      const shared = patients.body.data.find(p => p.id === patientId);
+      expect(shared.role).toBe('caregiver');
+    });
+
+    it('should let caregivers adjust inventory but not edit medications', async () => {
+      const today = new Date().toISOString().split('T')[0];
+
+      await otherUser.get(`/api/medications/${medicationId}`).expect(200);
+      await otherUser
+        .put(`/api/medications/${medicationId}`)
+        .send({ name: 'Renamed', start_date: today })
+        .expect(403);
+      await otherUser
+        .post(`/api/medications/${medicationId}/update-inventory`)
+        .send({ add_tablets: 10 })
+        .expect(200);
+      await otherUser.post('/api/settings/routes').send({ name: 'Caregiver Route' }).expect(403);
+    });
+
+    it('should record the acting user on audit logs', async () => {
+      const response = await api.get(`/api/audit?patient_id=${patientId}&action=INVENTORY_UPDATED`).expect(200);
+
+      expect(response.body.data[0].user_id).toBe(otherUser.user.id);
+    });
+
+    it('should make viewers read-only', async () => {
+      await api
+        .put(`/api/patients/${patientId}/members/${otherUser.user.id}`)
+        .send({ role: 'viewer' })
+        .expect(200);
+
+      await otherUser
+        .post(`/api/medications/${medicationId}/update-inventory`)
+        .send({ add_tablets: 10 })
+        .expect(403);
+      await otherUser.post(`/api/patients/${patientId}/invitations`)
+        .send({ email: 'someone@example.com', role: 'viewer' })
+        .expect(403);
+
+      await otherUser.get(`/api/notifications/${notificationId}`).expect(200);
+      await otherUser.delete(`/api/notifications/${notificationId}`).expect(403);
+      await otherUser.post(`/api/notifications/${notificationId}/acknowledge`).expect(403);
+    });
+
+    it('should keep the creator and let members leave', async () => {
+      await api.delete(`/api/patients/${patientId}/members/${api.user.id}`).expect(400);
+
+      const members = await api.get(`/api/patients/${patientId}/members`).expect(200);
+      expect(members.body.data.map(m => m.user_id)).toEqual(expect.arrayContaining([api.user.id, otherUser.user.id]));
+
+      await otherUser.delete(`/api/patients/${patientId}/members/${otherUser.user.id}`).expect(200);
+      await otherUser.get(`/api/patients/${patientId}`).expect(404);
+      await otherUser.get(`/api/medications/${medicationId}`).expect(404);
+    });
+  });
+
+  describe('DELETE /api/patients/:id', () => {
+    it('should delete the patient', async () => {
+      await otherUser.delete(`/api/patients/${otherPatientId}`).expect(404);
+      await api.delete(`/api/patients/${otherPatientId}`).expect(200);
+      await api.get(`/api/patients/${otherPatientId}`).expect(404);
+    });
+  });
+});
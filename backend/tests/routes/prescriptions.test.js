@@ -0,0 +1,185 @@
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
+const app = require('../../server');
+const { pool } = require('../../config/database');
+
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
+describe('Prescription API Endpoints', () => {
+  let testMedicationId;
+  let prescriberId;
+  let prescriptionId;
+  let refillId;
+
+  beforeAll(async () => {
+    await pool.query('DELETE FROM medications WHERE name LIKE $1', ['Test Prescription Medication%']);
+    await pool.query('DELETE FROM prescribers WHERE name LIKE $1', ['Test Prescriber%']);
+
+    const medicationResult = await pool.query(
+      'INSERT INTO medications (name, start_date, total_tablets, patient_id) VALUES ($1, $2, $3, $4) RETURNING id',
+      ['Test Prescription Medication', '2024-01-01', 10, await getOwnPatientId(api)]
+    );
+    testMedicationId = medicationResult.rows[0].id;
+  });
+
+  afterAll(async () => {
+    // Prescriptions, refills, lots and notifications cascade with the medication
+    await pool.query('DELETE FROM medications WHERE id = $1', [testMedicationId]);
+    await pool.query('DELETE FROM prescribers WHERE name LIKE $1', ['Test Prescriber%']);
+  });
+
+  describe('Prescribers', () => {
+    it('should add a prescriber to the settings', async () => {
+      const response = await api
+        .post('/api/settings/prescribers')
+        .send({ name: 'Test Prescriber', practice: 'Riverside Clinic', email: 'smith@example.com' })
+        .expect(201);
+      prescriberId = response.body.data.id;
+
+      expect(response.body.data).toMatchObject({ name: 'Test Prescriber', practice: 'Riverside Clinic', phone: '' });
+    });
+
+    it('should validate prescriber data', async () => {
+      const response = await api
+        .post('/api/settings/prescribers')
+        .send({ name: 'Test Prescriber 2', email: 'not-an-email' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Validation failed: Email must be a valid email address');
+    });
+
+    it('should list the prescribers', async () => {
+      const response = await api.get('/api/settings/prescribers').expect(200);
+
+      expect(response.body.data.find(p => p.id === prescriberId)).toMatchObject({ prescription_count: 0 });
+    });
+  });
+
+  describe('POST /api/medications/:medicationId/prescriptions', () => {
+    it('should create a prescription with its prescriber', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/prescriptions`)
+        .send({
+          prescriber_id: prescriberId,
+          prescription_number: 'RX-1001',
+          issue_date: '2024-01-01',
+          expiry_date: '2099-01-01',
+          authorized_refills: 1
+        })
+        .expect(201);
+      prescriptionId = response.body.data.id;
+
+      expect(response.body.data).toMatchObject({
+        prescriber_name: 'Test Prescriber',
+        authorized_refills: 1,
+        refills_used: 0,
+        refills_remaining: 1
+      });
+    });
+
+    it('should validate prescription data', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/prescriptions`)
+        .send({ authorized_refills: -1, expiry_date: '2099-02-30' })
+        .expect(400);
+
+      expect(response.body.error.details.map(d => d.field)).toEqual(['expiry_date', 'authorized_refills']);
+    });
+
+    it('should reject unknown prescribers', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/prescriptions`)
+        .send({ prescriber_id: 999999 })
+        .expect(400);
+
+      expect(response.body.error.details[0].message).toBe('Prescriber not found');
+    });
+  });
+
+  describe('Refills on a prescription', () => {
+    it('should use a refill of the current prescription', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/refills`)
+        .send({ quantity: 30, refill_date: '2024-03-01' })
+        .expect(201);
+      refillId = response.body.data.id;
+
+      expect(response.body.data.prescription_id).toBe(prescriptionId);
+      expect(response.body.prescription).toMatchObject({ id: prescriptionId, refills_used: 1, refills_remaining: 0 });
+    });
+
+    it('should refuse refills once none remain', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/refills`)
+        .send({ quantity: 30 })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Validation failed: Prescription has no refills remaining');
+    });
+
+    it('should record refills without a prescription when asked', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/refills`)
+        .send({ quantity: 5, prescription_id: null })
+        .expect(201);
+
+      expect(response.body.data.prescription_id).toBeNull();
+      expect(response.body.prescription).toBeNull();
+    });
+
+    it('should give the refill back when the refill is removed', async () => {
+      await api
+        .delete(`/api/medications/${testMedicationId}/refills/${refillId}`)
+        .expect(200);
+
+      const response = await api
+        .get(`/api/medications/${testMedicationId}/prescriptions/${prescriptionId}`)
+        .expect(200);
+
+      expect(response.body.data.refills_remaining).toBe(1);
+    });
+  });
+
+  describe('Renewals', () => {
+    it('should resolve renewal notifications when a new prescription is issued', async () => {
+      const notificationResult = await pool.query(
+        'INSERT INTO notifications (medicine_id, type, message, payload, is_read) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+        [testMedicationId, 'PRESCRIPTION_RENEWAL', 'Renew', JSON.stringify({ prescription_id: prescriptionId, reason: 'no_refills' }), false]
+      );
+
+      await api
+        .post(`/api/medications/${testMedicationId}/prescriptions`)
+        .send({ issue_date: '2024-06-01', authorized_refills: 3 })
+        .expect(201);
+
+      const notification = await pool.query('SELECT resolved_at, payload FROM notifications WHERE id = $1', [notificationResult.rows[0].id]);
+      expect(notification.rows[0].resolved_at).not.toBeNull();
+      expect(notification.rows[0].payload.resolution).toBe('renewed');
+
+      const list = await api.get(`/api/medications/${testMedicationId}/prescriptions`).expect(200);
+      expect(list.body.count).toBe(2);
+      expect(list.body.current_prescription_id).toBe(list.body.data[0].id);
+      expect(list.body.data[0].issue_date).toBe('2024-06-01');
+    });
+  });
+
+  describe('DELETE /api/medications/:medicationId/prescriptions/:prescriptionId', () => {
+    it('should remove the prescription', async () => {
+      await api
+        .delete(`/api/medications/${testMedicationId}/prescriptions/${prescriptionId}`)
+        .expect(200);
+
+      await api
+        .get(`/api/medications/${testMedicationId}/prescriptions/${prescriptionId}`)
+        .expect(404);
+    });
+  });
+});
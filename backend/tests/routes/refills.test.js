@@ -0,0 +1,154 @@
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
+const app = require('../../server');
+const { pool } = require('../../config/database');
+
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
+describe('Refill API Endpoints', () => {
+  let testMedicationId;
+  let buySoonNotificationId;
+  let refillId;
+
+  beforeAll(async () => {
+    await pool.query('DELETE FROM medications WHERE name LIKE $1', ['Test Refill Medication%']);
+
+    const medicationResult = await pool.query(
+      'INSERT INTO medications (name, start_date, sheet_size, total_tablets, patient_id) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      ['Test Refill Medication', '2024-01-01', 10, 4, await getOwnPatientId(api)]
+    );
+    testMedicationId = medicationResult.rows[0].id;
+
+    const notificationResult = await pool.query(
+      'INSERT INTO notifications (medicine_id, type, message, payload, is_read) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      [testMedicationId, 'BUY_SOON', 'Test Refill Medication is running low.', JSON.stringify({ current_tablets: 4 }), false]
+    );
+    buySoonNotificationId = notificationResult.rows[0].id;
+  });
+
+  afterAll(async () => {
+    // Refills, lots and notifications cascade with the medication
+    await pool.query('DELETE FROM medications WHERE id = $1', [testMedicationId]);
+  });
+
+  const getTotalTablets = async () => {
+    const result = await pool.query('SELECT total_tablets FROM medications WHERE id = $1', [testMedicationId]);
+    return parseFloat(result.rows[0].total_tablets);
+  };
+
+  describe('POST /api/medications/:medicationId/refills', () => {
+    it('should receive the refill as a lot and resolve the buy-soon notification', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/refills`)
+        .send({
+          quantity: 3,
+          unit: 'sheet',
+          refill_date: '2024-03-01',
+          pharmacy: 'Corner Pharmacy',
+          cost: 12.5,
+          prescription_reference: 'RX-1001',
+          lot_number: 'R1',
+          expiry_date: '2099-01-01'
+        })
+        .expect(201);
+      refillId = response.body.data.id;
+
+      expect(response.body.data).toMatchObject({
+        quantity: 30,
+        refill_date: '2024-03-01',
+        pharmacy: 'Corner Pharmacy',
+        cost: 12.5,
+        prescription_reference: 'RX-1001',
+        lot_number: 'R1',
+        expiry_date: '2099-01-01'
+      });
+      expect(response.body.resolved_notifications).toBe(1);
+      expect(await getTotalTablets()).toBe(34);
+
+      const lots = await api.get(`/api/medications/${testMedicationId}/lots`).expect(200);
+      expect(lots.body.data).toHaveLength(1);
+      expect(lots.body.data[0]).toMatchObject({ id: response.body.data.lot_id, quantity: 30, received_date: '2024-03-01' });
+
+      const notification = await pool.query('SELECT is_read, resolved_at FROM notifications WHERE id = $1', [buySoonNotificationId]);
+      expect(notification.rows[0].is_read).toBe(true);
+      expect(notification.rows[0].resolved_at).not.toBeNull();
+    });
+
+    it('should validate refill data', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/refills`)
+        .send({ quantity: 0, cost: -1, expiry_date: '2099-02-30' })
+        .expect(400);
+
+      expect(response.body.error.details.map(d => d.field)).toEqual(['quantity', 'cost', 'expiry_date']);
+    });
+
+    it('should reject units the medication cannot be counted in', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/refills`)
+        .send({ quantity: 1, unit: 'ml' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Cannot convert ml to tablets');
+    });
+  });
+
+  describe('GET /api/medications/:medicationId/refills', () => {
+    it('should list the refill history', async () => {
+      const response = await api
+        .get(`/api/medications/${testMedicationId}/refills`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.dose_unit).toBe('tablet');
+      expect(response.body.data[0].id).toBe(refillId);
+    });
+  });
+
+  describe('PUT /api/medications/:medicationId/refills/:refillId', () => {
+    it('should update the refill details', async () => {
+      const response = await api
+        .put(`/api/medications/${testMedicationId}/refills/${refillId}`)
+        .send({ cost: 10, pharmacy: '' })
+        .expect(200);
+
+      expect(response.body.data.cost).toBe(10);
+      expect(response.body.data.pharmacy).toBe('');
+    });
+
+    it('should not change the quantity', async () => {
+      await api
+        .put(`/api/medications/${testMedicationId}/refills/${refillId}`)
+        .send({ quantity: 5 })
+        .expect(400);
+    });
+
+    it('should return 404 for refills of other medications', async () => {
+      await api
+        .put(`/api/medications/${testMedicationId}/refills/999999`)
+        .send({ cost: 1 })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/medications/:medicationId/refills/:refillId', () => {
+    it('should remove the refill with its lot and stock', async () => {
+      await api
+        .delete(`/api/medications/${testMedicationId}/refills/${refillId}`)
+        .expect(200);
+
+      expect(await getTotalTablets()).toBe(4);
+
+      const lots = await api.get(`/api/medications/${testMedicationId}/lots`).expect(200);
+      expect(lots.body.data).toHaveLength(0);
+    });
+  });
+});
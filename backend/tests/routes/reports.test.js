@@ -0,0 +1,76 @@
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
+const app = require('../../server');
+const { pool } = require('../../config/database');
+
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
+describe('Reports API Endpoints', () => {
+  let testMedicationId;
+
+  beforeAll(async () => {
+    await pool.query('DELETE FROM medications WHERE name LIKE $1', ['Test Spend Medication%']);
+
+    const medicationResult = await pool.query(
+      'INSERT INTO medications (name, start_date, sheet_size, total_tablets, patient_id) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      ['Test Spend Medication', '2024-01-01', 10, 0, await getOwnPatientId(api)]
+    );
+    testMedicationId = medicationResult.rows[0].id;
+
+    await pool.query(
+      `INSERT INTO refills (medicine_id, refill_date, quantity, cost) VALUES
+         ($1, '2024-01-05', 30, 10.50),
+         ($1, '2024-01-20', 30, 4.50),
+         ($1, '2024-03-02', 30, NULL)`,
+      [testMedicationId]
+    );
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM medications WHERE id = $1', [testMedicationId]);
+  });
+
+  describe('GET /api/reports/spend', () => {
+    it('should report the spend per month and per medication', async () => {
+      const response = await api
+        .get('/api/reports/spend?start_date=2024-01-01&end_date=2024-03-31')
+        .expect(200);
+
+      const { by_month, by_medication } = response.body.data;
+      expect(by_month.map(entry => entry.month)).toEqual(['2024-01', '2024-02', '2024-03']);
+      expect(by_month[0].total_cost).toBeGreaterThanOrEqual(15);
+
+      const medication = by_medication.find(entry => entry.medication_id === testMedicationId);
+      expect(medication).toMatchObject({
+        total_cost: 15,
+        total_quantity: 90,
+        refill_count: 3,
+        unpriced_count: 1
+      });
+    });
+
+    it('should reject invalid dates', async () => {
+      const response = await api
+        .get('/api/reports/spend?start_date=2024-02-30')
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('start_date');
+    });
+
+    it('should reject an end date before the start date', async () => {
+      const response = await api
+        .get('/api/reports/spend?start_date=2024-03-01&end_date=2024-01-01')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
@@ -1,7 +1,18 @@
-const request = require('supertest');
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
 const app = require('../../server');
 const { pool } = require('../../config/database');
 
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
 describe('Settings and Notifications API Endpoints', () => {
   let testRouteId;
   let testFrequencyId;
@@ -15,11 +26,12 @@ describe('Settings and Notifications API Endpoints', () => {
     await pool.query('DELETE FROM medications WHERE name LIKE $1', ['Test Settings Medication%']);
     await pool.query('DELETE FROM routes WHERE name LIKE $1', ['Test Settings Route%']);
     await pool.query('DELETE FROM frequencies WHERE name LIKE $1', ['Test Settings Frequency%']);
+    await pool.query('DELETE FROM pharmacies WHERE name LIKE $1', ['Test Settings Pharmacy%']);
 
     // Create test medication for notifications
     const medicationResult = await pool.query(
-      'INSERT INTO medications (name, start_date) VALUES ($1, $2) RETURNING id',
-      ['Test Settings Medication', '2024-01-01']
+      'INSERT INTO medications (name, start_date, patient_id) VALUES ($1, $2, $3) RETURNING id',
+      ['Test Settings Medication', '2024-01-01', await getOwnPatientId(api)]
     );
     testMedicationId = medicationResult.rows[0].id;
   });
@@ -44,7 +56,7 @@ describe('Settings and Notifications API Endpoints', () => {
           description: 'Test route for settings API testing'
         };
 
-        const response = await request(app)
+        const response = await api
           .post('/api/settings/routes')
           .send(routeData)
           .expect(201);
@@ -62,7 +74,7 @@ describe('Settings and Notifications API Endpoints', () => {
           name: 'Test Minimal Route'
         };
 
-        const response = await request(app)
+        const response = await api
           .post('/api/settings/routes')
           .send(routeData)
           .expect(201);
@@ -75,7 +87,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should return 400 for missing name', async () => {
-        const response = await request(app)
+        const response = await api
           .post('/api/settings/routes')
           .send({
             description: 'Route without name'
@@ -87,7 +99,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should return 409 for duplicate name', async () => {
-        const response = await request(app)
+        const response = await api
           .post('/api/settings/routes')
           .send({
             name: 'Test Settings Route' // Same as first test
@@ -100,7 +112,7 @@ describe('Settings and Notifications API Endpoints', () => {
 
     describe('GET /api/settings/routes', () => {
       it('should return all routes', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/settings/routes')
           .expect(200);
 
@@ -113,7 +125,7 @@ describe('Settings and Notifications API Endpoints', () => {
 
     describe('GET /api/settings/routes/:id', () => {
       it('should return specific route', async () => {
-        const response = await request(app)
+        const response = await api
           .get(`/api/settings/routes/${testRouteId}`)
           .expect(200);
 
@@ -122,7 +134,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should return 404 for non-existent route', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/settings/routes/99999')
           .expect(404);
 
@@ -137,7 +149,7 @@ describe('Settings and Notifications API Endpoints', () => {
           description: 'Updated description'
         };
 
-        const response = await request(app)
+        const response = await api
           .put(`/api/settings/routes/${testRouteId}`)
           .send(updateData)
           .expect(200);
@@ -148,7 +160,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should return 404 for non-existent route', async () => {
-        const response = await request(app)
+        const response = await api
           .put('/api/settings/routes/99999')
           .send({
             name: 'Non-existent route'
@@ -163,12 +175,12 @@ describe('Settings and Notifications API Endpoints', () => {
       it('should return 409 when trying to delete referenced route', async () => {
         // Create a medication that references the route
         const medicationResult = await pool.query(
-          'INSERT INTO medications (name, start_date, route_id) VALUES ($1, $2, $3) RETURNING id',
-          ['Medication with Route', '2024-01-01', testRouteId]
+          'INSERT INTO medications (name, start_date, route_id, patient_id) VALUES ($1, $2, $3, $4) RETURNING id',
+          ['Medication with Route', '2024-01-01', testRouteId, await getOwnPatientId(api)]
         );
         const medicationId = medicationResult.rows[0].id;
 
-        const response = await request(app)
+        const response = await api
           .delete(`/api/settings/routes/${testRouteId}`)
           .expect(409);
 
@@ -187,7 +199,7 @@ describe('Settings and Notifications API Endpoints', () => {
         );
         const routeToDeleteId = routeResult.rows[0].id;
 
-        const response = await request(app)
+        const response = await api
           .delete(`/api/settings/routes/${routeToDeleteId}`)
           .expect(200);
 
@@ -195,7 +207,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should return 404 for non-existent route', async () => {
-        const response = await request(app)
+        const response = await api
           .delete('/api/settings/routes/99999')
           .expect(404);
 
@@ -204,6 +216,17 @@ describe('Settings and Notifications API Endpoints', () => {
     });
   });
 
+  describe('GET /api/settings/timezone', () => {
+    it('should return the installation timezone and the available names', async () => {
+      const response = await api
+        .get('/api/settings/timezone')
+        .expect(200);
+
+      expect(typeof response.body.data.timezone).toBe('string');
+      expect(response.body.data.available).toContain('Europe/Amsterdam');
+    });
+  });
+
   describe('Frequencies Endpoints', () => {
     describe('POST /api/settings/frequencies', () => {
       it('should create a new frequency with valid data', async () => {
@@ -212,7 +235,7 @@ describe('Settings and Notifications API Endpoints', () => {
           description: 'Test frequency for settings API testing'
         };
 
-        const response = await request(app)
+        const response = await api
           .post('/api/settings/frequencies')
           .send(frequencyData)
           .expect(201);
@@ -226,7 +249,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should return 400 for missing name', async () => {
-        const response = await request(app)
+        const response = await api
           .post('/api/settings/frequencies')
           .send({
             description: 'Frequency without name'
@@ -240,7 +263,7 @@ describe('Settings and Notifications API Endpoints', () => {
 
     describe('GET /api/settings/frequencies', () => {
       it('should return all frequencies', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/settings/frequencies')
           .expect(200);
 
@@ -257,7 +280,7 @@ describe('Settings and Notifications API Endpoints', () => {
           description: 'Updated frequency description'
         };
 
-        const response = await request(app)
+        const response = await api
           .put(`/api/settings/frequencies/${testFrequencyId}`)
           .send(updateData)
           .expect(200);
@@ -276,7 +299,7 @@ describe('Settings and Notifications API Endpoints', () => {
         );
         const frequencyToDeleteId = frequencyResult.rows[0].id;
 
-        const response = await request(app)
+        const response = await api
           .delete(`/api/settings/frequencies/${frequencyToDeleteId}`)
           .expect(200);
 
@@ -285,6 +308,47 @@ describe('Settings and Notifications API Endpoints', () => {
     });
   });
 
+  describe('Pharmacies Endpoints', () => {
+    let testPharmacyId;
+
+    it('should create a pharmacy with its address and hours', async () => {
+      const response = await api
+        .post('/api/settings/pharmacies')
+        .send({ name: 'Test Settings Pharmacy', address: '12 High Street', hours: 'Mon-Fri 9-18' })
+        .expect(201);
+      testPharmacyId = response.body.data.id;
+
+      expect(response.body.data).toMatchObject({ name: 'Test Settings Pharmacy', address: '12 High Street', phone: '', hours: 'Mon-Fri 9-18' });
+    });
+
+    it('should return 400 for missing name', async () => {
+      const response = await api
+        .post('/api/settings/pharmacies')
+        .send({ address: '12 High Street' })
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('name');
+    });
+
+    it('should count the medications that prefer a pharmacy', async () => {
+      await pool.query('UPDATE medications SET pharmacy_id = $1 WHERE id = $2', [testPharmacyId, testMedicationId]);
+
+      const response = await api.get('/api/settings/pharmacies').expect(200);
+
+      expect(response.body.data.find(p => p.id === testPharmacyId).medication_count).toBe(1);
+
+      const medication = await api.get(`/api/medications/${testMedicationId}`).expect(200);
+      expect(medication.body.data).toMatchObject({ pharmacy_id: testPharmacyId, pharmacy_name: 'Test Settings Pharmacy' });
+    });
+
+    it('should keep the medications of a deleted pharmacy', async () => {
+      await api.delete(`/api/settings/pharmacies/${testPharmacyId}`).expect(200);
+
+      const result = await pool.query('SELECT pharmacy_id FROM medications WHERE id = $1', [testMedicationId]);
+      expect(result.rows[0].pharmacy_id).toBeNull();
+    });
+  });
+
   describe('Notifications Endpoints', () => {
     beforeAll(async () => {
       // Create test notification
@@ -297,7 +361,7 @@ describe('Settings and Notifications API Endpoints', () => {
 
     describe('GET /api/notifications', () => {
       it('should return all notifications', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/notifications')
           .expect(200);
 
@@ -308,7 +372,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should filter notifications by read status', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/notifications?is_read=false')
           .expect(200);
 
@@ -316,7 +380,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should filter notifications by type', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/notifications?type=BUY_SOON')
           .expect(200);
 
@@ -324,7 +388,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should limit notifications', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/notifications?limit=5')
           .expect(200);
 
@@ -332,7 +396,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should return 400 for invalid limit', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/notifications?limit=invalid')
           .expect(400);
 
@@ -342,7 +406,7 @@ describe('Settings and Notifications API Endpoints', () => {
 
     describe('GET /api/notifications/:id', () => {
       it('should return specific notification', async () => {
-        const response = await request(app)
+        const response = await api
           .get(`/api/notifications/${testNotificationId}`)
           .expect(200);
 
@@ -351,7 +415,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should return 404 for non-existent notification', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/notifications/99999')
           .expect(404);
 
@@ -361,7 +425,7 @@ describe('Settings and Notifications API Endpoints', () => {
 
     describe('POST /api/notifications/:id/mark-read', () => {
       it('should mark notification as read', async () => {
-        const response = await request(app)
+        const response = await api
           .post(`/api/notifications/${testNotificationId}/mark-read`)
           .expect(200);
 
@@ -370,7 +434,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should return 404 for non-existent notification', async () => {
-        const response = await request(app)
+        const response = await api
           .post('/api/notifications/99999/mark-read')
           .expect(404);
 
@@ -386,7 +450,7 @@ describe('Settings and Notifications API Endpoints', () => {
           [testMedicationId, 'DOSE_DUE', 'Another test notification', false]
         );
 
-        const response = await request(app)
+        const response = await api
           .post('/api/notifications/mark-all-read')
           .expect(200);
 
@@ -401,7 +465,7 @@ describe('Settings and Notifications API Endpoints', () => {
           [testMedicationId, 'BUY_SOON', 'Filtered notification', false]
         );
 
-        const response = await request(app)
+        const response = await api
           .post('/api/notifications/mark-all-read')
           .send({
             type: 'BUY_SOON'
@@ -414,7 +478,7 @@ describe('Settings and Notifications API Endpoints', () => {
 
     describe('GET /api/notifications/unread-count', () => {
       it('should return unread count', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/notifications/unread-count')
           .expect(200);
 
@@ -432,7 +496,7 @@ describe('Settings and Notifications API Endpoints', () => {
         );
         const notificationToDeleteId = notificationResult.rows[0].id;
 
-        const response = await request(app)
+        const response = await api
           .delete(`/api/notifications/${notificationToDeleteId}`)
           .expect(200);
 
@@ -440,7 +504,7 @@ describe('Settings and Notifications API Endpoints', () => {
       });
 
       it('should return 404 for non-existent notification', async () => {
-        const response = await request(app)
+        const response = await api
           .delete('/api/notifications/99999')
           .expect(404);
 
@@ -1,7 +1,18 @@
-const request = require('supertest');
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
 const app = require('../../server');
 const { pool } = require('../../config/database');
 
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
 describe('Skip Date and Action API Endpoints', () => {
   let testMedicationId;
   let testSkipDateId;
@@ -13,8 +24,8 @@ describe('Skip Date and Action API Endpoints', () => {
 
     // Create test medication
     const medicationResult = await pool.query(
-      'INSERT INTO medications (name, start_date, end_date, sheet_size, total_tablets) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-      ['Test Action Medication', '2024-01-01', '2024-12-31', 10, 100]
+      'INSERT INTO medications (name, start_date, end_date, sheet_size, total_tablets, patient_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+      ['Test Action Medication', '2024-01-01', '2024-12-31', 10, 100, await getOwnPatientId(api)]
     );
     testMedicationId = medicationResult.rows[0].id;
   });
@@ -33,7 +44,7 @@ describe('Skip Date and Action API Endpoints', () => {
           reason: 'Vacation'
         };
 
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/skip-dates`)
           .send(skipDateData)
           .expect(201);
@@ -52,7 +63,7 @@ describe('Skip Date and Action API Endpoints', () => {
           skip_date: '2024-07-15'
         };
 
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/skip-dates`)
           .send(skipDateData)
           .expect(201);
@@ -65,7 +76,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 400 for missing skip_date', async () => {
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/skip-dates`)
           .send({
             reason: 'No date provided'
@@ -77,7 +88,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 400 for invalid date format', async () => {
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/skip-dates`)
           .send({
             skip_date: 'invalid-date'
@@ -88,7 +99,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 400 for skip date before medication start', async () => {
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/skip-dates`)
           .send({
             skip_date: '2023-12-31' // Before 2024-01-01 start date
@@ -100,7 +111,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 400 for skip date after medication end', async () => {
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/skip-dates`)
           .send({
             skip_date: '2025-01-01' // After 2024-12-31 end date
@@ -112,7 +123,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 409 for duplicate skip date', async () => {
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/skip-dates`)
           .send({
             skip_date: '2024-06-15' // Same as first test
@@ -123,7 +134,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 404 for non-existent medication', async () => {
-        const response = await request(app)
+        const response = await api
           .post('/api/medications/99999/skip-dates')
           .send({
             skip_date: '2024-06-15'
@@ -136,7 +147,7 @@ describe('Skip Date and Action API Endpoints', () => {
 
     describe('GET /api/medications/:medicationId/skip-dates', () => {
       it('should return all skip dates for a medication', async () => {
-        const response = await request(app)
+        const response = await api
           .get(`/api/medications/${testMedicationId}/skip-dates`)
           .expect(200);
 
@@ -148,7 +159,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 404 for non-existent medication', async () => {
-        const response = await request(app)
+        const response = await api
           .get('/api/medications/99999/skip-dates')
           .expect(404);
 
@@ -165,7 +176,7 @@ describe('Skip Date and Action API Endpoints', () => {
         );
         const skipDateToDeleteId = skipDateResult.rows[0].id;
 
-        const response = await request(app)
+        const response = await api
           .delete(`/api/medications/${testMedicationId}/skip-dates/${skipDateToDeleteId}`)
           .expect(200);
 
@@ -177,7 +188,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 404 for non-existent skip date', async () => {
-        const response = await request(app)
+        const response = await api
           .delete(`/api/medications/${testMedicationId}/skip-dates/99999`)
           .expect(404);
 
@@ -185,7 +196,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 400 for invalid skip date ID', async () => {
-        const response = await request(app)
+        const response = await api
           .delete(`/api/medications/${testMedicationId}/skip-dates/invalid-id`)
           .expect(400);
 
@@ -202,7 +213,7 @@ describe('Skip Date and Action API Endpoints', () => {
           timestamp: '2024-06-15T08:00:00Z'
         };
 
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/mark-dose-given`)
           .send(doseData)
           .expect(200);
@@ -217,7 +228,7 @@ describe('Skip Date and Action API Endpoints', () => {
           // No timestamp provided, should use current time
         };
 
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/mark-dose-given`)
           .send(doseData)
           .expect(200);
@@ -227,7 +238,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 400 for missing dose_amount', async () => {
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/mark-dose-given`)
           .send({
             timestamp: '2024-06-15T08:00:00Z'
@@ -239,7 +250,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 400 for invalid dose_amount', async () => {
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/mark-dose-given`)
           .send({
             dose_amount: -1.0
@@ -250,7 +261,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 404 for non-existent medication', async () => {
-        const response = await request(app)
+        const response = await api
           .post('/api/medications/99999/mark-dose-given')
           .send({
             dose_amount: 1.0
@@ -261,7 +272,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 400 for invalid medication ID', async () => {
-        const response = await request(app)
+        const response = await api
           .post('/api/medications/invalid-id/mark-dose-given')
           .send({
             dose_amount: 1.0
@@ -270,6 +281,60 @@ describe('Skip Date and Action API Endpoints', () => {
 
         expect(response.body.error.code).toBe('VALIDATION_ERROR');
       });
+
+      describe('as-needed medications', () => {
+        let prnMedicationId;
+
+        beforeAll(async () => {
+          const frequencyResult = await pool.query(
+            "SELECT id FROM frequencies WHERE recurrence_type = 'as_needed' LIMIT 1"
+          );
+          const medicationResult = await pool.query(
+            `INSERT INTO medications (name, frequency_id, start_date, end_date, total_tablets,
+               prn_dose_amount, prn_min_interval_hours, prn_max_daily_amount, patient_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+            ['Test Action Medication PRN', frequencyResult.rows[0].id, '2024-01-01', '2024-12-31', 20, 2, 4, 4,
+              await getOwnPatientId(api)]
+          );
+          prnMedicationId = medicationResult.rows[0].id;
+        });
+
+        afterAll(async () => {
+          await pool.query('DELETE FROM medications WHERE id = $1', [prnMedicationId]);
+        });
+
+        it('should refuse a dose within the minimum interval unless overridden', async () => {
+          await api
+            .post(`/api/medications/${prnMedicationId}/mark-dose-given`)
+            .send({ dose_amount: 2, timestamp: '2024-06-15T08:00:00Z' })
+            .expect(200);
+
+          const refused = await api
+            .post(`/api/medications/${prnMedicationId}/mark-dose-given`)
+            .send({ dose_amount: 2, timestamp: '2024-06-15T10:00:00Z' })
+            .expect(409);
+
+          expect(refused.body.error.code).toBe('PRN_LIMIT_EXCEEDED');
+          expect(refused.body.error.message).toContain('Minimum interval');
+
+          const overridden = await api
+            .post(`/api/medications/${prnMedicationId}/mark-dose-given`)
+            .send({ dose_amount: 2, timestamp: '2024-06-15T10:00:00Z', override_limits: true })
+            .expect(200);
+
+          expect(overridden.body.data.prn_warnings).toHaveLength(1);
+        });
+
+        it('should record PRN doses as dose events', async () => {
+          const result = await pool.query(
+            'SELECT status, medicine_dose_id FROM dose_events WHERE medicine_id = $1',
+            [prnMedicationId]
+          );
+
+          expect(result.rows).toHaveLength(2);
+          expect(result.rows.every(row => row.status === 'given' && row.medicine_dose_id === null)).toBe(true);
+        });
+      });
     });
 
     describe('POST /api/medications/:id/update-inventory', () => {
@@ -279,7 +344,7 @@ describe('Skip Date and Action API Endpoints', () => {
           reason: 'Refill'
         };
 
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/update-inventory`)
           .send(inventoryData)
           .expect(200);
@@ -294,7 +359,7 @@ describe('Skip Date and Action API Endpoints', () => {
           sheet_count: 20 // 20 sheets * 10 tablets = 200 tablets
         };
 
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/update-inventory`)
           .send(inventoryData)
           .expect(200);
@@ -305,7 +370,7 @@ describe('Skip Date and Action API Endpoints', () => {
 
       it('should update inventory with add_tablets', async () => {
         // First get current inventory
-        const currentResponse = await request(app)
+        const currentResponse = await api
           .get(`/api/medications/${testMedicationId}`)
           .expect(200);
         
@@ -315,7 +380,7 @@ describe('Skip Date and Action API Endpoints', () => {
           add_tablets: 50
         };
 
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/update-inventory`)
           .send(inventoryData)
           .expect(200);
@@ -324,7 +389,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 400 for missing inventory data', async () => {
-        const response = await request(app)
+        const response = await api
           .post(`/api/medications/${testMedicationId}/update-inventory`)
           .send({
             reason: 'No inventory data'
@@ -336,7 +401,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 404 for non-existent medication', async () => {
-        const response = await request(app)
+        const response = await api
           .post('/api/medications/99999/update-inventory')
           .send({
             total_tablets: 100
@@ -347,7 +412,7 @@ describe('Skip Date and Action API Endpoints', () => {
       });
 
       it('should return 400 for invalid medication ID', async () => {
-        const response = await request(app)
+        const response = await api
           .post('/api/medications/invalid-id/update-inventory')
           .send({
             total_tablets: 100
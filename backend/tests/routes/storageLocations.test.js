@@ -0,0 +1,153 @@
+const { createAuthenticatedClient, removeAuthenticatedClient, getOwnPatientId } = require('../helpers/auth');
+const app = require('../../server');
+const { pool } = require('../../config/database');
+
+// All API routes require a session
+let api;
+
+beforeAll(async () => {
+  api = await createAuthenticatedClient(app);
+});
+
+afterAll(async () => {
+  await removeAuthenticatedClient(api);
+});
+
+describe('Storage Location API Endpoints', () => {
+  let testMedicationId;
+  let homeId;
+  let travelKitId;
+
+  beforeAll(async () => {
+    await pool.query('DELETE FROM medications WHERE name LIKE $1', ['Test Location Medication%']);
+    await pool.query('DELETE FROM storage_locations WHERE name LIKE $1', ['Test Location%']);
+
+    const medicationResult = await pool.query(
+      'INSERT INTO medications (name, start_date, total_tablets, patient_id) VALUES ($1, $2, $3, $4) RETURNING id',
+      ['Test Location Medication', '2024-01-01', 30, await getOwnPatientId(api)]
+    );
+    testMedicationId = medicationResult.rows[0].id;
+  });
+
+  afterAll(async () => {
+    // Stock at the locations cascades with the medication and the locations
+    await pool.query('DELETE FROM medications WHERE id = $1', [testMedicationId]);
+    await pool.query('DELETE FROM storage_locations WHERE name LIKE $1', ['Test Location%']);
+  });
+
+  describe('Locations', () => {
+    it("should add locations to the user's own patient, with one default", async () => {
+      const home = await api
+        .post('/api/settings/locations')
+        .send({ name: 'Test Location Home', is_default: true })
+        .expect(201);
+      homeId = home.body.data.id;
+
+      const travelKit = await api
+        .post('/api/settings/locations')
+        .send({ name: 'Test Location Travel Kit', description: 'Blue bag' })
+        .expect(201);
+      travelKitId = travelKit.body.data.id;
+
+      const patientId = await getOwnPatientId(api);
+      expect(home.body.data).toMatchObject({ patient_id: patientId, name: 'Test Location Home', is_default: true });
+      expect(travelKit.body.data).toMatchObject({ description: 'Blue bag', is_default: false });
+    });
+
+    it('should validate location data', async () => {
+      const response = await api
+        .post('/api/settings/locations')
+        .send({ name: ' ', is_default: 'yes' })
+        .expect(400);
+
+      expect(response.body.error.details.map(d => d.field)).toEqual(['name', 'is_default']);
+    });
+  });
+
+  describe('POST /api/medications/:medicationId/locations/transfers', () => {
+    it('should move unassigned stock to a location', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/locations/transfers`)
+        .send({ to_location_id: homeId, quantity: 20 })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ from_location_id: null, to_location_id: homeId, quantity: 20 });
+    });
+
+    it('should move stock between locations and log it', async () => {
+      await api
+        .post(`/api/medications/${testMedicationId}/locations/transfers`)
+        .send({ from_location_id: homeId, to_location_id: travelKitId, quantity: 4, notes: 'Weekend trip' })
+        .expect(201);
+
+      const audit = await pool.query(
+        'SELECT quantity_change, new_values FROM audit_logs WHERE medicine_id = $1 AND action = $2 ORDER BY id DESC LIMIT 1',
+        [testMedicationId, 'INVENTORY_TRANSFERRED']
+      );
+      expect(parseFloat(audit.rows[0].quantity_change)).toBe(0);
+      expect(audit.rows[0].new_values).toMatchObject({ from_location: 'Test Location Home', to_location: 'Test Location Travel Kit', notes: 'Weekend trip' });
+    });
+
+    it('should refuse to move more than the location holds', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/locations/transfers`)
+        .send({ from_location_id: travelKitId, to_location_id: homeId, quantity: 5 })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Validation failed: Only 4 available at Test Location Travel Kit');
+    });
+
+    it('should validate transfer data', async () => {
+      const response = await api
+        .post(`/api/medications/${testMedicationId}/locations/transfers`)
+        .send({ from_location_id: homeId, to_location_id: homeId, quantity: 0 })
+        .expect(400);
+
+      expect(response.body.error.details.map(d => d.field)).toEqual(['to_location_id', 'quantity']);
+    });
+  });
+
+  describe('GET /api/medications/:medicationId/locations', () => {
+    it('should list the stock per location and outside them', async () => {
+      const response = await api.get(`/api/medications/${testMedicationId}/locations`).expect(200);
+
+      expect(response.body.data.unassigned_quantity).toBe(10);
+      expect(response.body.data.locations.map(l => [l.location_name, l.quantity])).toEqual([
+        ['Test Location Home', 16],
+        ['Test Location Travel Kit', 4]
+      ]);
+    });
+  });
+
+  describe('Doses from a location', () => {
+    it('should take the dose from the chosen location', async () => {
+      await api
+        .post(`/api/medications/${testMedicationId}/mark-dose-given`)
+        .send({ dose_amount: 1, location_id: travelKitId })
+        .expect(200);
+
+      const response = await api.get(`/api/medications/${testMedicationId}/locations`).expect(200);
+      expect(response.body.data.locations.find(l => l.location_id === travelKitId).quantity).toBe(3);
+    });
+
+    it('should reject unknown locations', async () => {
+      await api
+        .post(`/api/medications/${testMedicationId}/mark-dose-given`)
+        .send({ dose_amount: 1, location_id: 999999 })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/inventory/locations/:locationId/buy-soon', () => {
+    it('should return 404 for unknown locations', async () => {
+      await api.get('/api/inventory/locations/999999/buy-soon').expect(404);
+    });
+
+    it('should list the medications running out at the location', async () => {
+      const response = await api.get(`/api/inventory/locations/${travelKitId}/buy-soon?days=7`).expect(200);
+
+      expect(response.body.location_id).toBe(travelKitId);
+      expect(Array.isArray(response.body.data)).toBe(true);
+    });
+  });
+});
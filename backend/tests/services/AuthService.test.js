@@ -0,0 +1,122 @@
+const AuthService = require('../../services/AuthService');
+const UserRepository = require('../../repositories/UserRepository');
+const SessionRepository = require('../../repositories/SessionRepository');
+const User = require('../../models/User');
+
+// Mock the repositories
+jest.mock('../../repositories/UserRepository');
+jest.mock('../../repositories/SessionRepository');
+
+describe('AuthService', () => {
+  let authService;
+  let mockUserRepository;
+  let mockSessionRepository;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    authService = new AuthService();
+    mockUserRepository = authService.userRepository;
+    mockSessionRepository = authService.sessionRepository;
+  });
+
+  describe('password hashing', () => {
+    it('should verify a hashed password', async () => {
+      const hash = await authService.hashPassword('s3cret-password');
+
+      expect(hash).toMatch(/^scrypt:[0-9a-f]+:[0-9a-f]+$/);
+      expect(hash).not.toContain('s3cret-password');
+      await expect(authService.verifyPassword('s3cret-password', hash)).resolves.toBe(true);
+      await expect(authService.verifyPassword('wrong-password', hash)).resolves.toBe(false);
+    });
+
+    it('should salt each hash', async () => {
+      const first = await authService.hashPassword('same-password');
+      const second = await authService.hashPassword('same-password');
+
+      expect(first).not.toBe(second);
+    });
+
+    it('should reject malformed hashes', async () => {
+      await expect(authService.verifyPassword('anything', 'plain-text')).resolves.toBe(false);
+    });
+  });
+
+  describe('register', () => {
+    it('should store a hashed password', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue(null);
+      mockUserRepository.create.mockImplementation(async (data) => new User({ id: 1, ...data }));
+
+      const user = await authService.register({ email: 'a@example.com', name: 'A', password: 'long-enough' });
+
+      const created = mockUserRepository.create.mock.calls[0][0];
+      expect(created.password_hash).toMatch(/^scrypt:/);
+      expect(created.password).toBeUndefined();
+      expect(user.id).toBe(1);
+    });
+
+    it('should reject short passwords', async () => {
+      await expect(authService.register({ email: 'a@example.com', name: 'A', password: 'short' }))
+        .rejects.toThrow('Password must be at least 8 characters');
+      expect(mockUserRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject existing emails', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue(new User({ id: 1, email: 'a@example.com' }));
+
+      await expect(authService.register({ email: 'A@example.com', name: 'A', password: 'long-enough' }))
+        .rejects.toThrow('already exists');
+    });
+  });
+
+  describe('login', () => {
+    it('should create a session and store only the token hash', async () => {
+      const passwordHash = await authService.hashPassword('long-enough');
+      const user = new User({ id: 1, email: 'a@example.com', name: 'A', password_hash: passwordHash });
+      mockUserRepository.findByEmail.mockResolvedValue(user);
+      mockUserRepository.updateLastLogin.mockResolvedValue(user);
+
+      const result = await authService.login('a@example.com', 'long-enough', 'jest');
+
+      expect(result.token).toMatch(/^[0-9a-f]{64}$/);
+      expect(result.user).toBe(user);
+      expect(mockSessionRepository.create).toHaveBeenCalledWith(
+        1,
+        authService.hashToken(result.token),
+        expect.any(Date),
+        'jest'
+      );
+      expect(mockSessionRepository.create.mock.calls[0][1]).not.toBe(result.token);
+    });
+
+    it('should use the same error for unknown users and wrong passwords', async () => {
+      const passwordHash = await authService.hashPassword('long-enough');
+      mockUserRepository.findByEmail
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(new User({ id: 1, email: 'a@example.com', password_hash: passwordHash }));
+
+      await expect(authService.login('nobody@example.com', 'long-enough')).rejects.toThrow('Invalid email or password');
+      await expect(authService.login('a@example.com', 'wrong-password')).rejects.toThrow('Invalid email or password');
+      expect(mockSessionRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should resolve a token to its user', async () => {
+      const user = new User({ id: 1, email: 'a@example.com' });
+      mockSessionRepository.findUserByTokenHash.mockResolvedValue({ user, session_id: 5 });
+
+      const result = await authService.authenticate('token');
+
+      expect(mockSessionRepository.findUserByTokenHash).toHaveBeenCalledWith(authService.hashToken('token'));
+      expect(result).toBe(user);
+    });
+
+    it('should return null for missing or unknown tokens', async () => {
+      mockSessionRepository.findUserByTokenHash.mockResolvedValue(null);
+
+      await expect(authService.authenticate(null)).resolves.toBeNull();
+      await expect(authService.authenticate('unknown')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const EventEmitter = require('events');
+const EventStreamService = require('../../services/EventStreamService');
+const NotificationRepository = require('../../repositories/NotificationRepository');
+const PatientMemberRepository = require('../../repositories/PatientMemberRepository');
+const { createClient } = require('../../config/database');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../repositories/NotificationRepository');
+jest.mock('../../repositories/PatientMemberRepository');
+
+// Connection that records its queries; tests emit notifications and errors on it
+const createFakeClient = () => {
+  const client = new EventEmitter();
+  client.connect = jest.fn().mockResolvedValue(undefined);
+  client.query = jest.fn().mockResolvedValue({ rows: [] });
+  client.end = jest.fn().mockResolvedValue(undefined);
+  return client;
+};
+
+// Wait for the promises started by an emitted event to settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('EventStreamService', () => {
+  let eventStreamService;
+  let client;
+  let mockNotificationRepository;
+  let mockPatientMemberRepository;
+
+  const notify = async (event) => {
+    client.emit('notification', { channel: 'app_events', payload: JSON.stringify(event) });
+    await flush();
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = createFakeClient();
+    createClient.mockImplementation(() => client);
+
+    mockNotificationRepository = { findById: jest.fn() };
+    mockPatientMemberRepository = {
+      findByPatientId: jest.fn().mockResolvedValue([{ user_id: 1 }, { user_id: 2 }])
+    };
+
+    NotificationRepository.mockImplementation(() => mockNotificationRepository);
+    PatientMemberRepository.mockImplementation(() => mockPatientMemberRepository);
+
+    eventStreamService = new EventStreamService();
+  });
+
+  afterEach(() => {
+    eventStreamService.close();
+  });
+
+  describe('subscribe', () => {
+    it('should listen for events while anyone is subscribed', async () => {
+      const unsubscribeFirst = eventStreamService.subscribe(1, jest.fn());
+      const unsubscribeSecond = eventStreamService.subscribe(2, jest.fn());
+      await flush();
+
+      expect(createClient).toHaveBeenCalledTimes(1);
+      expect(client.query).toHaveBeenCalledWith('LISTEN app_events');
+
+      unsubscribeFirst();
+      expect(client.end).not.toHaveBeenCalled();
+
+      unsubscribeSecond();
+      expect(client.end).toHaveBeenCalled();
+    });
+  });
+
+  describe('handleMessage', () => {
+    it("should send new notifications to the patient's members", async () => {
+      const notification = { id: 10, patient_id: 4, type: 'DOSE_DUE', medication_name: 'Aspirin' };
+      mockNotificationRepository.findById.mockResolvedValue(notification);
+      const member = jest.fn();
+      const stranger = jest.fn();
+      eventStreamService.subscribe(2, member);
+      eventStreamService.subscribe(3, stranger);
+
+      await notify({ type: 'notification', id: 10, medicine_id: 7, patient_id: 4 });
+
+      expect(mockNotificationRepository.findById).toHaveBeenCalledWith(10);
+      expect(mockPatientMemberRepository.findByPatientId).toHaveBeenCalledWith(4);
+      expect(member).toHaveBeenCalledWith('notification', notification);
+      expect(stranger).not.toHaveBeenCalled();
+    });
+
+    it('should send the details of doses and stock changes', async () => {
+      const send = jest.fn();
+      eventStreamService.subscribe(1, send);
+
+      await notify({
+        type: 'dose_given',
+        id: 30,
+        medicine_id: 7,
+        patient_id: 4,
+        action: 'DOSE_GIVEN',
+        quantity_change: -1.5,
+        created_at: '2024-06-01T08:00:00Z'
+      });
+
+      expect(send).toHaveBeenCalledWith('dose_given', {
+        audit_log_id: 30,
+        medicine_id: 7,
+        patient_id: 4,
+        action: 'DOSE_GIVEN',
+        quantity_change: -1.5,
+        created_at: '2024-06-01T08:00:00Z'
+      });
+    });
+
+    it('should not send events of unassigned medications to anyone', async () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      eventStreamService.subscribe(8, first);
+      eventStreamService.subscribe(9, second);
+
+      await notify({ type: 'inventory', id: 31, medicine_id: 7, patient_id: null, action: 'INVENTORY_UPDATED', quantity_change: 30 });
+
+      expect(mockPatientMemberRepository.findByPatientId).not.toHaveBeenCalled();
+      expect(first).not.toHaveBeenCalled();
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    it('should skip notifications that are already gone', async () => {
+      mockNotificationRepository.findById.mockResolvedValue(null);
+      const send = jest.fn();
+      eventStreamService.subscribe(1, send);
+
+      await notify({ type: 'notification', id: 10, medicine_id: 7, patient_id: null });
+
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconnect', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      console.error.mockRestore();
+    });
+
+    it('should listen again after losing the connection', async () => {
+      eventStreamService.subscribe(1, jest.fn());
+      const lostClient = client;
+
+      const nextClient = createFakeClient();
+      createClient.mockImplementation(() => nextClient);
+      lostClient.emit('error', new Error('Connection terminated unexpectedly'));
+
+      expect(lostClient.end).toHaveBeenCalled();
+      expect(createClient).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(5000);
+
+      expect(createClient).toHaveBeenCalledTimes(2);
+      expect(nextClient.connect).toHaveBeenCalled();
+    });
+  });
+});
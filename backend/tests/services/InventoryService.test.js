@@ -3,14 +3,24 @@ const MedicationRepository = require('../../repositories/MedicationRepository');
 const DoseRepository = require('../../repositories/DoseRepository');
 const SkipDateRepository = require('../../repositories/SkipDateRepository');
 const AuditLogRepository = require('../../repositories/AuditLogRepository');
+const DoseEventRepository = require('../../repositories/DoseEventRepository');
 const Medication = require('../../models/Medication');
 const MedicineDose = require('../../models/MedicineDose');
+const Frequency = require('../../models/Frequency');
+const DoseEvent = require('../../models/DoseEvent');
+const DosePhase = require('../../models/DosePhase');
+const { toLocalDateString, addDays } = require('../../config/timezone');
 
 // Mock the repositories
 jest.mock('../../repositories/MedicationRepository');
 jest.mock('../../repositories/DoseRepository');
 jest.mock('../../repositories/SkipDateRepository');
 jest.mock('../../repositories/AuditLogRepository');
+jest.mock('../../repositories/DoseEventRepository');
+jest.mock('../../repositories/DosePhaseRepository');
+jest.mock('../../repositories/StockTakeRepository');
+jest.mock('../../repositories/PharmacyRepository');
+jest.mock('../../repositories/StorageLocationRepository');
 jest.mock('../../config/database');
 
 describe('InventoryService', () => {
@@ -19,6 +29,8 @@ describe('InventoryService', () => {
   let mockDoseRepository;
   let mockSkipDateRepository;
   let mockAuditLogRepository;
+  let mockDoseEventRepository;
+  let mockDosePhaseRepository;
 
   beforeEach(() => {
     // Clear all mocks
@@ -31,7 +43,12 @@ describe('InventoryService', () => {
     mockMedicationRepository = inventoryService.medicationRepository;
     mockDoseRepository = inventoryService.doseRepository;
     mockSkipDateRepository = inventoryService.skipDateRepository;
+    mockSkipDateRepository.findByMedicationId.mockResolvedValue([]);
     mockAuditLogRepository = inventoryService.auditLogRepository;
+    mockDoseEventRepository = inventoryService.doseEventRepository;
+    mockDoseEventRepository.findGivenSince.mockResolvedValue([]);
+    mockDosePhaseRepository = inventoryService.dosePhaseRepository;
+    mockDosePhaseRepository.findByMedicationId.mockResolvedValue([]);
   });
 
   describe('consumeDose', () => {
@@ -159,10 +176,18 @@ describe('InventoryService', () => {
         medication_id: 1,
         medication_name: 'Low Stock Med',
         medication_strength: '10mg',
+        patient_id: null,
+        pharmacy_id: null,
+        pharmacy_name: null,
         current_tablets: 5,
+        dose_unit: 'tablet',
         daily_consumption: 3,
         days_remaining: 1,
+        run_out_date: addDays(toLocalDateString(), 2),
         tablets_needed_for_period: 6,
+        course_end_date: null,
+        quantity_needed_until_end: null,
+        shortfall_until_end: null,
         needs_refill: true,
         alert_level: 'urgent'
       });
@@ -203,6 +228,180 @@ describe('InventoryService', () => {
     });
   });
 
+  describe('location forecasts', () => {
+    const medication = new Medication({
+      id: 1,
+      name: 'Split Stock Med',
+      start_date: '2024-01-01',
+      total_tablets: 30
+    });
+
+    beforeEach(() => {
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([medication]);
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        new MedicineDose({ medicine_id: 1, dose_amount: 2, time_of_day: '08:00' })
+      ]);
+    });
+
+    test('should forecast each location from its own stock', async () => {
+      inventoryService.storageLocationRepository.findStockByMedicationId.mockResolvedValue([
+        { location_id: 1, location_name: 'Home', is_default: true, quantity: 20 },
+        { location_id: 2, location_name: 'Travel kit', is_default: false, quantity: 4 }
+      ]);
+
+      const result = await inventoryService.getLocationStock(medication, 7);
+
+      expect(result.unassigned_quantity).toBe(6);
+      expect(result.locations.map(l => [l.location_name, l.days_remaining, l.needs_refill])).toEqual([
+        ['Home', 10, false],
+        ['Travel kit', 2, true]
+      ]);
+    });
+
+    test('should alert for the medications running out at a location', async () => {
+      inventoryService.storageLocationRepository.findById.mockResolvedValue({ id: 2, patient_id: 5, name: 'Travel kit' });
+      inventoryService.storageLocationRepository.findStockByLocationId.mockResolvedValue([
+        { medicine_id: 1, location_id: 2, location_name: 'Travel kit', is_default: false, quantity: 4 }
+      ]);
+
+      const alerts = await inventoryService.calculateLocationBuySoonAlerts(2, 3);
+
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0]).toMatchObject({
+        medication_id: 1,
+        location_id: 2,
+        location_name: 'Travel kit',
+        current_tablets: 4,
+        days_remaining: 2,
+        alert_level: 'warning'
+      });
+    });
+
+    test("should only alert for the location's patient's medications", async () => {
+      inventoryService.storageLocationRepository.findById.mockResolvedValue({ id: 2, patient_id: 5, name: 'Travel kit' });
+      inventoryService.storageLocationRepository.findStockByLocationId.mockResolvedValue([]);
+
+      await inventoryService.calculateLocationBuySoonAlerts(2, 3);
+
+      expect(mockMedicationRepository.findActiveByDate).toHaveBeenCalledWith(toLocalDateString(), 5);
+    });
+
+    test('should fail for an unknown location', async () => {
+      inventoryService.storageLocationRepository.findById.mockResolvedValue(null);
+
+      await expect(inventoryService.calculateLocationBuySoonAlerts(99, 3)).rejects.toThrow('Location not found');
+    });
+  });
+
+  describe('getShoppingList', () => {
+    const lowStockMed = new Medication({
+      id: 1,
+      name: 'Low Stock Med',
+      strength: '10mg',
+      start_date: '2024-01-01',
+      total_tablets: 5,
+      sheet_size: 10,
+      patient_id: 4
+    });
+    const goodStockMed = new Medication({
+      id: 2,
+      name: 'Good Stock Med',
+      start_date: '2024-01-01',
+      total_tablets: 100
+    });
+
+    beforeEach(() => {
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([lowStockMed, goodStockMed]);
+      mockMedicationRepository.findById.mockImplementation((id) => Promise.resolve(id === 1 ? lowStockMed : goodStockMed));
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        new MedicineDose({ dose_amount: 3, time_of_day: '08:00' })
+      ]);
+    });
+
+    test('should round the shortfall up to whole packages', async () => {
+      const shoppingList = await inventoryService.getShoppingList(2);
+
+      expect(shoppingList.days_ahead).toBe(2);
+      expect(shoppingList.horizon_days).toBe(2);
+      expect(shoppingList.items).toHaveLength(1);
+      expect(shoppingList.items[0]).toMatchObject({
+        medication_id: 1,
+        medication_name: 'Low Stock Med',
+        patient_id: 4,
+        days_remaining: 1,
+        quantity_needed: 6,
+        quantity_short: 1,
+        package_unit: 'sheet',
+        package_size: 10,
+        packages_to_buy: 1,
+        quantity_to_buy: 10
+      });
+      expect(shoppingList.total_packages).toBe(1);
+    });
+
+    test('should buy enough to cover the horizon', async () => {
+      const shoppingList = await inventoryService.getShoppingList(2, 10);
+
+      expect(shoppingList.items[0].quantity_needed).toBe(30);
+      expect(shoppingList.items[0].quantity_short).toBe(25);
+      expect(shoppingList.items[0].packages_to_buy).toBe(3);
+    });
+
+    test('should only list the medications of a patient', async () => {
+      await inventoryService.getShoppingList(2, 2, 4);
+
+      expect(mockMedicationRepository.findActiveByDate).toHaveBeenCalledWith(toLocalDateString(), 4, null);
+    });
+
+    test('should only list the medications a user can access', async () => {
+      await inventoryService.getShoppingList(2, 2, null, 7);
+
+      expect(mockMedicationRepository.findActiveByDate).toHaveBeenCalledWith(toLocalDateString(), null, 7);
+    });
+
+    test('should group the items by their preferred pharmacy', async () => {
+      const otherMed = new Medication({ ...lowStockMed, id: 3, name: 'Other Med', pharmacy_id: 8 });
+      otherMed.pharmacy_name = 'Corner Pharmacy';
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([lowStockMed, otherMed]);
+      mockMedicationRepository.findById.mockImplementation((id) => Promise.resolve(id === 1 ? lowStockMed : otherMed));
+      inventoryService.pharmacyRepository.findAll.mockResolvedValue([
+        { id: 8, name: 'Corner Pharmacy', address: '12 High Street', phone: null, hours: 'Mon-Fri 9-18' }
+      ]);
+
+      const shoppingList = await inventoryService.getShoppingList(2);
+
+      expect(shoppingList.items).toHaveLength(2);
+      expect(shoppingList.pharmacies).toEqual([
+        expect.objectContaining({
+          pharmacy_id: 8,
+          pharmacy_name: 'Corner Pharmacy',
+          address: '12 High Street',
+          hours: 'Mon-Fri 9-18',
+          items: [expect.objectContaining({ medication_id: 3, pharmacy_name: 'Corner Pharmacy' })],
+          total_packages: 1
+        }),
+        expect.objectContaining({
+          pharmacy_id: null,
+          pharmacy_name: null,
+          items: [expect.objectContaining({ medication_id: 1 })]
+        })
+      ]);
+    });
+
+    test('should not look up pharmacies when no item has one', async () => {
+      const shoppingList = await inventoryService.getShoppingList(2);
+
+      expect(shoppingList.pharmacies).toHaveLength(1);
+      expect(shoppingList.pharmacies[0].pharmacy_id).toBeNull();
+      expect(inventoryService.pharmacyRepository.findAll).not.toHaveBeenCalled();
+    });
+
+    test('should reject a horizon shorter than the alert window', async () => {
+      await expect(inventoryService.getShoppingList(7, 3))
+        .rejects.toThrow('Horizon must be an integer between the alert days and 365');
+    });
+  });
+
   describe('calculateMedicationAlert', () => {
     const mockMedication = new Medication({
       id: 1,
@@ -268,6 +467,100 @@ describe('InventoryService', () => {
       expect(alert.needs_refill).toBe(false);
       expect(alert.daily_consumption).toBe(0);
     });
+
+    test('should walk weekly doses on their weekday', async () => {
+      // Monday; the weekly dose is due on Mondays from the start date
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T12:00:00Z'));
+
+      const weeklyMed = new Medication({ ...mockMedication, start_date: '2024-01-01', total_tablets: 4 });
+      weeklyMed.frequency = new Frequency({ name: 'Weekly', recurrence_type: 'weekly' });
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        new MedicineDose({ dose_amount: 1, time_of_day: '08:00' })
+      ]);
+
+      const alert = await inventoryService.calculateMedicationAlert(weeklyMed, 7);
+
+      jest.useRealTimers();
+
+      expect(alert.daily_consumption).toBeCloseTo(1 / 7);
+      expect(alert.days_remaining).toBe(34);
+      expect(alert.run_out_date).toBe('2024-02-19');
+      expect(alert.tablets_needed_for_period).toBe(1);
+      expect(alert.needs_refill).toBe(false);
+    });
+
+    test('should not count skip dates', async () => {
+      const today = toLocalDateString();
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        new MedicineDose({ dose_amount: 5, time_of_day: '08:00' })
+      ]);
+      mockSkipDateRepository.findByMedicationId.mockResolvedValue([{ skip_date: addDays(today, 1) }]);
+
+      const alert = await inventoryService.calculateMedicationAlert(mockMedication, 2);
+
+      expect(alert.days_remaining).toBe(3);
+      expect(alert.tablets_needed_for_period).toBe(5);
+      expect(alert.needs_refill).toBe(false);
+    });
+
+    test('should not alert when the stock lasts until the end date', async () => {
+      const endingMed = new Medication({ ...mockMedication, end_date: addDays(toLocalDateString(), 2) });
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        new MedicineDose({ dose_amount: 5, time_of_day: '08:00' })
+      ]);
+
+      const alert = await inventoryService.calculateMedicationAlert(endingMed, 3);
+
+      expect(alert.days_remaining).toBeNull();
+      expect(alert.quantity_needed_until_end).toBe(10);
+      expect(alert.shortfall_until_end).toBe(0);
+      expect(alert.needs_refill).toBe(false);
+      expect(alert.alert_level).toBe('none');
+    });
+
+    test('should count every expanded slot for hourly frequencies', async () => {
+      const hourlyMed = new Medication({ ...mockMedication, total_tablets: 6 });
+      hourlyMed.frequency = new Frequency({ name: 'Every 8 hours', recurrence_type: 'hourly', interval_hours: 8 });
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        new MedicineDose({ dose_amount: 1, time_of_day: '06:00' })
+      ]);
+
+      const alert = await inventoryService.calculateMedicationAlert(hourlyMed, 1);
+
+      expect(alert.daily_consumption).toBe(3);
+      expect(alert.days_remaining).toBe(2);
+    });
+
+    test('should not raise alerts for as-needed medications', async () => {
+      const prnMed = new Medication({ ...mockMedication, total_tablets: 1 });
+      prnMed.frequency = new Frequency({ name: 'As needed', recurrence_type: 'as_needed' });
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        new MedicineDose({ dose_amount: 2, time_of_day: '08:00' })
+      ]);
+
+      const alert = await inventoryService.calculateMedicationAlert(prnMed, 1);
+
+      expect(alert.needs_refill).toBe(false);
+      expect(alert.days_remaining).toBe(null);
+    });
+
+    test('should estimate as-needed consumption from recent use', async () => {
+      const prnMed = new Medication({ ...mockMedication, total_tablets: 3 });
+      prnMed.frequency = new Frequency({ name: 'As needed', recurrence_type: 'as_needed' });
+      mockDoseRepository.findByMedicationId.mockResolvedValue([]);
+      // 28 tablets over the last two weeks
+      mockDoseEventRepository.findGivenSince.mockResolvedValue(
+        Array.from({ length: 14 }, () => new DoseEvent({ status: 'given', dose_amount: 2, given_at: new Date() }))
+      );
+
+      const alert = await inventoryService.calculateMedicationAlert(prnMed, 2);
+
+      expect(mockDoseEventRepository.findGivenSince).toHaveBeenCalledWith([prnMed.id], expect.any(Date));
+      expect(alert.daily_consumption).toBe(2);
+      expect(alert.days_remaining).toBe(1);
+      expect(alert.needs_refill).toBe(true);
+    });
   });
 
   describe('processAutomaticInventoryUpdate', () => {
@@ -366,12 +659,17 @@ describe('InventoryService', () => {
           sheet_size: 10,
           full_sheets: 2,
           remaining_tablets: 5,
-          total_sheets: 2.5
+          total_sheets: 2.5,
+          dose_unit: 'tablet',
+          package_unit: 'sheet',
+          package_volume_ml: null,
+          units_per_ml: null
         },
         consumption: {
           scheduled_daily: 3,
           actual_daily_average: expect.any(Number),
           days_remaining_scheduled: 8,
+          run_out_date: expect.any(String),
           days_remaining_actual: expect.any(Number)
         },
         alert: expect.objectContaining({
@@ -504,6 +802,29 @@ describe('InventoryService', () => {
       expect(result.errors[0].error).toContain('Update failed');
     });
 
+    test('should convert package counts and other units to dose units', async () => {
+      mockMedicationRepository.findById.mockResolvedValue(new Medication({
+        id: 3,
+        name: 'Salbutamol',
+        dose_unit: 'puff',
+        package_unit: 'inhaler',
+        sheet_size: 200,
+        total_tablets: 50
+      }));
+
+      await inventoryService.bulkUpdateInventory([
+        { medication_id: 3, sheet_count: 2 },
+        { medication_id: 3, add_tablets: 1, unit: 'inhaler' }
+      ]);
+
+      expect(mockMedicationRepository.updateInventory).toHaveBeenNthCalledWith(
+        1, 3, 400, 'Bulk update via inhaler count: 2 inhalers'
+      );
+      expect(mockMedicationRepository.updateInventory).toHaveBeenNthCalledWith(
+        2, 3, 250, 'Bulk update: added 200 puffs'
+      );
+    });
+
     test('should throw error for empty updates array', async () => {
       await expect(inventoryService.bulkUpdateInventory([]))
         .rejects.toThrow('Updates array is required');
@@ -513,6 +834,148 @@ describe('InventoryService', () => {
     });
   });
 
+  describe('reconcileInventory', () => {
+    const mockStockTakeRepository = () => inventoryService.stockTakeRepository;
+
+    beforeEach(() => {
+      inventoryService.patientService.getPatientForUser = jest.fn().mockResolvedValue({ id: 2 });
+      mockStockTakeRepository().create.mockImplementation(async (data) => ({ id: 5, ...data }));
+    });
+
+    test('should record the counts in dose units', async () => {
+      mockMedicationRepository.findById
+        .mockResolvedValueOnce(new Medication({ id: 1, name: 'Aspirin', patient_id: 2, total_tablets: 20 }))
+        .mockResolvedValueOnce(new Medication({
+          id: 3,
+          name: 'Salbutamol',
+          patient_id: 2,
+          dose_unit: 'puff',
+          package_unit: 'inhaler',
+          sheet_size: 200,
+          total_tablets: 150
+        }));
+
+      await inventoryService.reconcileInventory({
+        patient_id: 2,
+        notes: 'Monthly',
+        counts: [
+          { medication_id: 1, counted_quantity: 18 },
+          { medication_id: 3, counted_quantity: 1, unit: 'inhaler' }
+        ]
+      }, 7);
+
+      expect(inventoryService.patientService.getPatientForUser).toHaveBeenCalledWith(2, 7, 'manage_inventory');
+      expect(mockStockTakeRepository().create).toHaveBeenCalledWith({
+        patient_id: 2,
+        notes: 'Monthly',
+        counts: [
+          { medication_id: 1, counted_quantity: 18 },
+          { medication_id: 3, counted_quantity: 200 }
+        ]
+      }, 7);
+    });
+
+    test('should reject medications of another patient', async () => {
+      mockMedicationRepository.findById.mockResolvedValue(new Medication({ id: 1, name: 'Aspirin', patient_id: 4 }));
+
+      await expect(inventoryService.reconcileInventory({
+        patient_id: 2,
+        counts: [{ medication_id: 1, counted_quantity: 18 }]
+      }, 7)).rejects.toThrow('Validation failed: Aspirin is not a medication of this patient');
+
+      expect(mockStockTakeRepository().create).not.toHaveBeenCalled();
+    });
+
+    test('should hide medications of patients the user cannot see', async () => {
+      mockMedicationRepository.findById.mockResolvedValue(new Medication({ id: 1, name: 'Aspirin', patient_id: 4 }));
+      inventoryService.patientService.getPatientForUser.mockRejectedValue(new Error('Patient not found'));
+
+      await expect(inventoryService.reconcileInventory({
+        counts: [{ medication_id: 1, counted_quantity: 18 }]
+      }, 7)).rejects.toThrow('Failed to reconcile inventory: Medication not found');
+    });
+
+    test('should fail for unknown medications', async () => {
+      mockMedicationRepository.findById.mockResolvedValue(null);
+
+      await expect(inventoryService.reconcileInventory({
+        counts: [{ medication_id: 99, counted_quantity: 1 }]
+      }, 7)).rejects.toThrow('Medication not found');
+    });
+  });
+
+  describe('getInventoryDrift', () => {
+    test('should sum the discrepancies of each medication', async () => {
+      mockAuditLogRepository.findAll.mockResolvedValue([
+        {
+          medicine_id: 1,
+          medication_name: 'Aspirin',
+          dose_unit: 'tablet',
+          quantity_change: -2,
+          old_values: { total_tablets: 20 },
+          new_values: { total_tablets: 18, stock_take_id: 5 },
+          created_at: '2024-01-01T10:00:00Z'
+        },
+        {
+          medicine_id: 2,
+          medication_name: 'Metformin',
+          dose_unit: 'tablet',
+          quantity_change: null,
+          old_values: { total_tablets: 30 },
+          new_values: { total_tablets: 30, stock_take_id: 5 },
+          created_at: '2024-01-01T10:00:00Z'
+        },
+        {
+          medicine_id: 1,
+          medication_name: 'Aspirin',
+          dose_unit: 'tablet',
+          quantity_change: -1.5,
+          old_values: { total_tablets: 10 },
+          new_values: { total_tablets: 8.5, stock_take_id: 9 },
+          created_at: '2024-02-01T10:00:00Z'
+        }
+      ]);
+
+      const result = await inventoryService.getInventoryDrift({ patient_id: 2, start_date: '2024-01-01' });
+
+      expect(mockAuditLogRepository.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'INVENTORY_RECONCILED',
+        patient_id: 2,
+        start_date: '2024-01-01',
+        sort_direction: 'asc'
+      }));
+      expect(result.total_reconciliations).toBe(3);
+      expect(result.medications.map(m => m.medication_id)).toEqual([1, 2]);
+      expect(result.medications[0]).toEqual(expect.objectContaining({
+        stock_takes: 2,
+        discrepancies: 2,
+        net_drift: -3.5,
+        absolute_drift: 3.5,
+        average_drift: -1.75,
+        last_reconciled_at: '2024-02-01T10:00:00Z'
+      }));
+      expect(result.medications[0].history[1]).toEqual({
+        stock_take_id: 9,
+        reconciled_at: '2024-02-01T10:00:00Z',
+        expected_quantity: 10,
+        counted_quantity: 8.5,
+        discrepancy: -1.5
+      });
+      expect(result.medications[1]).toEqual(expect.objectContaining({ discrepancies: 0, net_drift: 0 }));
+    });
+
+    test('should only include the medications a user can access', async () => {
+      mockAuditLogRepository.findAll.mockResolvedValue([]);
+
+      await inventoryService.getInventoryDrift({ accessible_by: 7 });
+
+      expect(mockAuditLogRepository.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'INVENTORY_RECONCILED',
+        accessible_by: 7
+      }));
+    });
+  });
+
   describe('calculateDepletionProjections', () => {
     const mockMedication = new Medication({
       id: 1,
@@ -541,6 +1004,25 @@ describe('InventoryService', () => {
       expect(projections.projections).toHaveLength(6); // 0 to 5 days
     });
 
+    test('should report stock in packages', async () => {
+      mockMedicationRepository.findById.mockResolvedValue(new Medication({
+        ...mockMedication,
+        dose_unit: 'puff',
+        package_unit: 'inhaler',
+        sheet_size: 200
+      }));
+
+      const projections = await inventoryService.calculateDepletionProjections(1, 7);
+
+      expect(projections).toMatchObject({
+        dose_unit: 'puff',
+        package_unit: 'inhaler',
+        package_size: 200,
+        current_packages: 0.05
+      });
+      expect(projections.projections[1]).toMatchObject({ remaining_tablets: 8, remaining_packages: 0.04 });
+    });
+
     test('should handle medication with no consumption', async () => {
       mockDoseRepository.findByMedicationId.mockResolvedValue([]);
 
@@ -551,6 +1033,84 @@ describe('InventoryService', () => {
       expect(projections.days_until_depletion).toBe(null);
     });
 
+    const daysFromNow = (days) => {
+      const date = new Date();
+      date.setDate(date.getDate() + days);
+      return date.toISOString().split('T')[0];
+    };
+
+    test('should follow tapering phases day by day', async () => {
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        new MedicineDose({ dose_amount: 4, time_of_day: '08:00', phase_id: 1 }),
+        new MedicineDose({ dose_amount: 2, time_of_day: '08:00', phase_id: 2 })
+      ]);
+      mockDosePhaseRepository.findByMedicationId.mockResolvedValue([
+        new DosePhase({ id: 1, medicine_id: 1, start_date: daysFromNow(1), end_date: daysFromNow(2) }),
+        new DosePhase({ id: 2, medicine_id: 1, start_date: daysFromNow(3), end_date: daysFromNow(4) })
+      ]);
+
+      const projections = await inventoryService.calculateDepletionProjections(1, 7);
+
+      expect(projections.days_until_depletion).toBe(3);
+      expect(projections.depletion_date).toBe(daysFromNow(3));
+      expect(projections.projections.map(day => day.consumption_on_date)).toEqual([0, 4, 4, 2]);
+      expect(projections.projections[3].remaining_tablets).toBe(0);
+    });
+
+    test('should not deplete when the taper ends with tablets left', async () => {
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        new MedicineDose({ dose_amount: 1, time_of_day: '08:00', phase_id: 1 })
+      ]);
+      mockDosePhaseRepository.findByMedicationId.mockResolvedValue([
+        new DosePhase({ id: 1, medicine_id: 1, start_date: '2024-01-01', end_date: daysFromNow(1) })
+      ]);
+
+      const projections = await inventoryService.calculateDepletionProjections(1, 7);
+
+      expect(projections.days_until_depletion).toBeNull();
+      expect(projections.depletion_date).toBeNull();
+      expect(projections.projections).toHaveLength(8);
+      expect(projections.projections[7].remaining_tablets).toBe(9);
+    });
+
+    test('should only use tablets in the on part of a cycle', async () => {
+      mockMedicationRepository.findById.mockResolvedValue(new Medication({
+        ...mockMedication,
+        cycle_days_on: 2,
+        cycle_days_off: 2,
+        cycle_start_date: daysFromNow(1)
+      }));
+
+      const projections = await inventoryService.calculateDepletionProjections(1, 14);
+
+      expect(projections.daily_consumption).toBe(1);
+      expect(projections.days_until_depletion).toBe(9);
+      expect(projections.projections.map(day => day.consumption_on_date)).toEqual([0, 2, 2, 0, 0, 2, 2, 0, 0, 2]);
+    });
+
+    test('should start projections on the patient\'s local date', async () => {
+      // 23:30 UTC is already the next morning in Auckland and still the evening before in Denver
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T23:30:00Z'));
+
+      mockMedicationRepository.findById.mockResolvedValue(
+        Object.assign(new Medication({ ...mockMedication }), { timezone: 'Pacific/Auckland' })
+      );
+      const auckland = await inventoryService.calculateDepletionProjections(1, 7);
+
+      mockMedicationRepository.findById.mockResolvedValue(
+        Object.assign(new Medication({ ...mockMedication }), { timezone: 'America/Denver' })
+      );
+      const denver = await inventoryService.calculateDepletionProjections(1, 7);
+
+      jest.useRealTimers();
+
+      expect(auckland.projections[0].date).toBe('2024-01-16');
+      expect(auckland.depletion_date).toBe('2024-01-21');
+      expect(denver.projections[0].date).toBe('2024-01-15');
+      expect(denver.depletion_date).toBe('2024-01-20');
+    });
+
     test('should throw error for invalid parameters', async () => {
       await expect(inventoryService.calculateDepletionProjections(null, 7))
         .rejects.toThrow('Valid medication ID is required');
@@ -3,13 +3,28 @@ const MedicationRepository = require('../../repositories/MedicationRepository');
 const DoseRepository = require('../../repositories/DoseRepository');
 const SkipDateRepository = require('../../repositories/SkipDateRepository');
 const AuditLogRepository = require('../../repositories/AuditLogRepository');
+const DoseEventRepository = require('../../repositories/DoseEventRepository');
+const NotificationRepository = require('../../repositories/NotificationRepository');
+const DosePhaseRepository = require('../../repositories/DosePhaseRepository');
+const InventoryLotRepository = require('../../repositories/InventoryLotRepository');
 const Medication = require('../../models/Medication');
+const MedicineDose = require('../../models/MedicineDose');
+const DoseEvent = require('../../models/DoseEvent');
+const Frequency = require('../../models/Frequency');
+const DosePhase = require('../../models/DosePhase');
+const InventoryLot = require('../../models/InventoryLot');
+const { toLocalDateString, addDays } = require('../../config/timezone');
 
 // Mock the repositories
 jest.mock('../../repositories/MedicationRepository');
 jest.mock('../../repositories/DoseRepository');
 jest.mock('../../repositories/SkipDateRepository');
 jest.mock('../../repositories/AuditLogRepository');
+jest.mock('../../repositories/DoseEventRepository');
+jest.mock('../../repositories/DosePhaseRepository');
+jest.mock('../../repositories/NotificationRepository');
+jest.mock('../../repositories/InventoryLotRepository');
+jest.mock('../../repositories/StorageLocationRepository');
 
 describe('MedicationService', () => {
   let medicationService;
@@ -17,6 +32,9 @@ describe('MedicationService', () => {
   let mockDoseRepository;
   let mockSkipDateRepository;
   let mockAuditLogRepository;
+  let mockDoseEventRepository;
+  let mockNotificationRepository;
+  let mockDosePhaseRepository;
 
   beforeEach(() => {
     // Clear all mocks
@@ -29,7 +47,13 @@ describe('MedicationService', () => {
     mockMedicationRepository = MedicationRepository.mock.instances[0];
     mockDoseRepository = DoseRepository.mock.instances[0];
     mockSkipDateRepository = SkipDateRepository.mock.instances[0];
+    mockSkipDateRepository.findByMedicationId.mockResolvedValue([]);
     mockAuditLogRepository = AuditLogRepository.mock.instances[0];
+    mockDoseEventRepository = DoseEventRepository.mock.instances[0];
+    mockNotificationRepository = NotificationRepository.mock.instances[0];
+    mockDosePhaseRepository = DosePhaseRepository.mock.instances[0];
+    mockDosePhaseRepository.findByMedicationId.mockResolvedValue([]);
+    InventoryLotRepository.mock.instances[0].findByMedicationId.mockResolvedValue([]);
   });
 
   describe('createMedication', () => {
@@ -53,13 +77,14 @@ describe('MedicationService', () => {
       mockMedicationRepository.create.mockResolvedValue(mockMedication);
       mockAuditLogRepository.create.mockResolvedValue({});
 
-      const result = await medicationService.createMedication(validMedicationData);
+      const result = await medicationService.createMedication(validMedicationData, 7);
 
       expect(mockMedicationRepository.create).toHaveBeenCalledWith(validMedicationData);
       expect(mockAuditLogRepository.create).toHaveBeenCalledWith({
         medicine_id: 1,
         action: 'CREATED',
-        new_values: mockDbFormat
+        new_values: mockDbFormat,
+        user_id: 7
       });
       expect(result).toEqual(mockMedication);
     });
@@ -113,6 +138,33 @@ describe('MedicationService', () => {
       await expect(medicationService.createMedication(validMedicationData))
         .rejects.toThrow('Failed to create medication: Database error');
     });
+
+    it('should save tapering phases sent with the medication', async () => {
+      const phases = [
+        { start_date: '2024-01-01', end_date: '2024-01-03', doses: [{ dose_amount: 4, time_of_day: '08:00' }] },
+        { start_date: '2024-01-04', end_date: '2024-01-06', doses: [{ dose_amount: 3, time_of_day: '08:00' }] }
+      ];
+      const savedPhases = phases.map((phase, index) => new DosePhase({ ...phase, id: index + 1, medicine_id: 1 }));
+      mockMedicationRepository.create.mockResolvedValue(new Medication({ ...validMedicationData, id: 1 }));
+      mockAuditLogRepository.create.mockResolvedValue({});
+      mockDosePhaseRepository.syncForMedication.mockResolvedValue(savedPhases);
+
+      const result = await medicationService.createMedication({ ...validMedicationData, phases });
+
+      expect(mockDosePhaseRepository.syncForMedication).toHaveBeenCalledWith(1, phases);
+      expect(result.phases).toBe(savedPhases);
+    });
+
+    it('should reject overlapping dose phases', async () => {
+      const phases = [
+        { start_date: '2024-01-01', end_date: '2024-01-05', doses: [] },
+        { start_date: '2024-01-05', end_date: null, doses: [] }
+      ];
+
+      await expect(medicationService.createMedication({ ...validMedicationData, phases }))
+        .rejects.toThrow('phases starting 2024-01-01 and 2024-01-05 overlap');
+      expect(mockMedicationRepository.create).not.toHaveBeenCalled();
+    });
   });
 
   describe('getMedicationById', () => {
@@ -197,7 +249,8 @@ describe('MedicationService', () => {
         medicine_id: 1,
         action: 'UPDATED',
         old_values: oldDbFormat,
-        new_values: newDbFormat
+        new_values: newDbFormat,
+        user_id: null
       });
       expect(result).toEqual(updatedMedication);
     });
@@ -259,7 +312,8 @@ describe('MedicationService', () => {
         medicine_id: 1,
         action: 'SOFT_DELETED',
         old_values: oldDbFormat,
-        new_values: newDbFormat
+        new_values: newDbFormat,
+        user_id: null
       });
     });
 
@@ -278,14 +332,15 @@ describe('MedicationService', () => {
       mockMedicationRepository.delete.mockResolvedValue(true);
       mockAuditLogRepository.create.mockResolvedValue({});
 
-      const result = await medicationService.deleteMedication(1);
+      const result = await medicationService.deleteMedication(1, 7);
 
       expect(result.deleted).toBe(true);
       expect(result.soft).toBe(false);
       expect(mockAuditLogRepository.create).toHaveBeenCalledWith({
         medicine_id: 1,
         action: 'DELETED',
-        old_values: oldDbFormat
+        old_values: oldDbFormat,
+        user_id: 7
       });
     });
   });
@@ -309,7 +364,7 @@ describe('MedicationService', () => {
       const result = await medicationService.updateInventory(1, { total_tablets: 100 });
 
       expect(mockMedicationRepository.updateInventory).toHaveBeenCalledWith(
-        1, 100, 'Manual update'
+        1, 100, 'Manual update', null
       );
       expect(result).toEqual(updatedMedication);
     });
@@ -321,7 +376,7 @@ describe('MedicationService', () => {
       const result = await medicationService.updateInventory(1, { sheet_count: 5 });
 
       expect(mockMedicationRepository.updateInventory).toHaveBeenCalledWith(
-        1, 50, 'Updated via sheet count: 5 sheets'
+        1, 50, 'Updated via sheet count: 5 sheets', null
       );
       expect(result).toEqual(updatedMedication);
     });
@@ -330,14 +385,45 @@ describe('MedicationService', () => {
       const updatedMedication = new Medication({ ...existingMedication, total_tablets: 70 });
       mockMedicationRepository.updateInventory.mockResolvedValue(updatedMedication);
 
-      const result = await medicationService.updateInventory(1, { add_tablets: 20 });
+      const result = await medicationService.updateInventory(1, { add_tablets: 20 }, 7);
 
       expect(mockMedicationRepository.updateInventory).toHaveBeenCalledWith(
-        1, 70, 'Added 20 tablets'
+        1, 70, 'Added 20 tablets', 7
       );
       expect(result).toEqual(updatedMedication);
     });
 
+    it('should count packages and other units in dose units', async () => {
+      mockMedicationRepository.findById.mockResolvedValue(new Medication({
+        id: 2,
+        name: 'Insulin',
+        dose_unit: 'unit',
+        package_unit: 'pen',
+        package_volume_ml: 3,
+        units_per_ml: 100,
+        total_tablets: 150
+      }));
+
+      await medicationService.updateInventory(2, { sheet_count: 2 });
+      await medicationService.updateInventory(2, { add_tablets: 1, unit: 'pen' });
+      await medicationService.updateInventory(2, { total_tablets: 1.5, unit: 'ml' });
+
+      expect(mockMedicationRepository.updateInventory).toHaveBeenNthCalledWith(
+        1, 2, 600, 'Updated via pen count: 2 pens', null
+      );
+      expect(mockMedicationRepository.updateInventory).toHaveBeenNthCalledWith(
+        2, 2, 450, 'Added 1 pen (300 units)', null
+      );
+      expect(mockMedicationRepository.updateInventory).toHaveBeenNthCalledWith(
+        3, 2, 150, 'Manual update', null
+      );
+    });
+
+    it('should reject units the medication cannot be converted from', async () => {
+      await expect(medicationService.updateInventory(1, { add_tablets: 2, unit: 'puff' }))
+        .rejects.toThrow('Cannot convert puff to tablets');
+    });
+
     it('should reject negative tablet counts', async () => {
       await expect(medicationService.updateInventory(1, { total_tablets: -10 }))
         .rejects.toThrow('Total tablets must be a non-negative number');
@@ -352,6 +438,7 @@ describe('MedicationService', () => {
   describe('markDoseGiven', () => {
     const existingMedication = new Medication({
       id: 1,
+      patient_id: 5,
       name: 'Test Med',
       start_date: '2024-01-01',
       end_date: null,
@@ -375,14 +462,221 @@ describe('MedicationService', () => {
       const result = await medicationService.markDoseGiven(1, { 
         dose_amount: 2,
         timestamp: '2024-01-15T10:00:00Z'
-      });
+      }, 7);
 
       expect(mockMedicationRepository.markDoseGiven).toHaveBeenCalledWith(
-        1, 2, new Date('2024-01-15T10:00:00Z')
+        1, 2, new Date('2024-01-15T10:00:00Z'), null, 7, null
       );
       expect(result).toEqual(doseResult);
     });
 
+    it('should take the dose from the chosen location', async () => {
+      medicationService.storageLocationRepository.findById.mockResolvedValue({ id: 3, patient_id: 5, name: 'Travel kit' });
+      mockMedicationRepository.markDoseGiven.mockResolvedValue({});
+
+      await medicationService.markDoseGiven(1, {
+        dose_amount: 2,
+        timestamp: '2024-01-15T10:00:00Z',
+        location_id: 3
+      }, 7);
+
+      expect(mockMedicationRepository.markDoseGiven).toHaveBeenCalledWith(
+        1, 2, new Date('2024-01-15T10:00:00Z'), null, 7, 3
+      );
+    });
+
+    it('should reject unknown locations', async () => {
+      medicationService.storageLocationRepository.findById.mockResolvedValue(null);
+
+      await expect(medicationService.markDoseGiven(1, { dose_amount: 2, location_id: 99 }))
+        .rejects.toThrow('Invalid location_id provided');
+      expect(mockMedicationRepository.markDoseGiven).not.toHaveBeenCalled();
+    });
+
+    it("should reject other patients' locations", async () => {
+      medicationService.storageLocationRepository.findById.mockResolvedValue({ id: 3, patient_id: 6, name: 'Travel kit' });
+
+      await expect(medicationService.markDoseGiven(1, { dose_amount: 2, location_id: 3 }))
+        .rejects.toThrow('Invalid location_id provided');
+      expect(mockMedicationRepository.markDoseGiven).not.toHaveBeenCalled();
+    });
+
+    it('should link the dose to its scheduled slot', async () => {
+      mockDoseRepository.findById.mockResolvedValue(
+        new MedicineDose({ id: 5, medicine_id: 1, dose_amount: 2, time_of_day: '08:00:00' })
+      );
+      mockDoseEventRepository.findBySlot.mockResolvedValue(null);
+      mockMedicationRepository.markDoseGiven.mockResolvedValue({});
+
+      await medicationService.markDoseGiven(1, {
+        dose_amount: 2,
+        timestamp: new Date('2024-01-15T08:10:00'),
+        medicine_dose_id: 5,
+        scheduled_date: '2024-01-15',
+        given_by: 'Nurse Kim'
+      });
+
+      expect(mockDoseEventRepository.findBySlot).toHaveBeenCalledWith(5, '2024-01-15', '08:00:00');
+      expect(mockMedicationRepository.markDoseGiven).toHaveBeenCalledWith(
+        1, 2, new Date('2024-01-15T08:10:00'),
+        expect.objectContaining({
+          medicine_dose_id: 5,
+          scheduled_date: '2024-01-15',
+          scheduled_time: '08:00:00',
+          status: 'given',
+          given_by: 'Nurse Kim'
+        }),
+        null,
+        null
+      );
+    });
+
+    it('should resolve the missed-dose notification for the slot', async () => {
+      mockDoseRepository.findById.mockResolvedValue(
+        new MedicineDose({ id: 5, medicine_id: 1, dose_amount: 2, time_of_day: '08:00:00' })
+      );
+      mockDoseEventRepository.findBySlot.mockResolvedValue(null);
+      mockMedicationRepository.markDoseGiven.mockResolvedValue({});
+
+      await medicationService.markDoseGiven(1, {
+        dose_amount: 2,
+        timestamp: new Date('2024-01-15T11:30:00'),
+        medicine_dose_id: 5,
+        scheduled_date: '2024-01-15'
+      });
+
+      expect(mockNotificationRepository.resolveMissedDose).toHaveBeenCalledWith(
+        1, 5, '2024-01-15', '08:00', 'late'
+      );
+    });
+
+    it('should not resolve notifications for unscheduled doses', async () => {
+      mockMedicationRepository.markDoseGiven.mockResolvedValue({});
+
+      await medicationService.markDoseGiven(1, {
+        dose_amount: 2,
+        timestamp: '2024-01-15T10:00:00Z'
+      });
+
+      expect(mockNotificationRepository.resolveMissedDose).not.toHaveBeenCalled();
+    });
+
+    it('should mark doses given well after the slot as late', async () => {
+      mockDoseRepository.findById.mockResolvedValue(
+        new MedicineDose({ id: 5, medicine_id: 1, dose_amount: 2, time_of_day: '08:00' })
+      );
+      mockDoseEventRepository.findBySlot.mockResolvedValue(null);
+      mockMedicationRepository.markDoseGiven.mockResolvedValue({});
+
+      await medicationService.markDoseGiven(1, {
+        dose_amount: 2,
+        timestamp: new Date('2024-01-15T11:30:00'),
+        medicine_dose_id: 5,
+        scheduled_date: '2024-01-15'
+      });
+
+      expect(mockMedicationRepository.markDoseGiven.mock.calls[0][3].status).toBe('late');
+    });
+
+    it('should reject a slot that was already given', async () => {
+      mockDoseRepository.findById.mockResolvedValue(
+        new MedicineDose({ id: 5, medicine_id: 1, dose_amount: 2, time_of_day: '08:00' })
+      );
+      mockDoseEventRepository.findBySlot.mockResolvedValue(
+        new DoseEvent({ id: 1, medicine_id: 1, medicine_dose_id: 5, status: 'given' })
+      );
+
+      await expect(medicationService.markDoseGiven(1, {
+        dose_amount: 2,
+        medicine_dose_id: 5,
+        scheduled_date: '2024-01-15'
+      })).rejects.toThrow('this slot has already been given');
+      expect(mockMedicationRepository.markDoseGiven).not.toHaveBeenCalled();
+    });
+
+    it('should reject a dose slot from another medication', async () => {
+      mockDoseRepository.findById.mockResolvedValue(
+        new MedicineDose({ id: 5, medicine_id: 2, dose_amount: 2, time_of_day: '08:00' })
+      );
+
+      await expect(medicationService.markDoseGiven(1, {
+        dose_amount: 2,
+        medicine_dose_id: 5,
+        scheduled_date: '2024-01-15'
+      })).rejects.toThrow('Invalid dose slot for this medication');
+    });
+
+    describe('as-needed medications', () => {
+      const prnMedication = new Medication({
+        id: 1,
+        name: 'Paracetamol',
+        start_date: '2024-01-01',
+        total_tablets: 50,
+        prn_min_interval_hours: 4,
+        prn_max_daily_amount: 8
+      });
+      prnMedication.frequency = new Frequency({ name: 'As needed', recurrence_type: 'as_needed' });
+
+      beforeEach(() => {
+        mockMedicationRepository.findById.mockResolvedValue(prnMedication);
+        mockMedicationRepository.markDoseGiven.mockResolvedValue({});
+      });
+
+      it('should record PRN doses as unscheduled dose events', async () => {
+        mockDoseEventRepository.findGivenSince.mockResolvedValue([]);
+
+        await medicationService.markDoseGiven(1, {
+          dose_amount: 2,
+          timestamp: '2024-01-15T10:00:00Z',
+          given_by: 'Kim'
+        });
+
+        expect(mockDoseEventRepository.findGivenSince).toHaveBeenCalledWith(
+          [1], new Date('2024-01-14T10:00:00Z')
+        );
+        expect(mockMedicationRepository.markDoseGiven).toHaveBeenCalledWith(
+          1, 2, new Date('2024-01-15T10:00:00Z'),
+          expect.objectContaining({
+            medicine_dose_id: null,
+            scheduled_date: '2024-01-15',
+            scheduled_time: '10:00:00',
+            status: 'given',
+            given_by: 'Kim'
+          }),
+          null,
+          null
+        );
+        expect(mockNotificationRepository.resolveMissedDose).not.toHaveBeenCalled();
+      });
+
+      it('should refuse doses that break a PRN limit', async () => {
+        mockDoseEventRepository.findGivenSince.mockResolvedValue([
+          new DoseEvent({ status: 'given', dose_amount: 2, given_at: '2024-01-15T08:00:00Z' })
+        ]);
+
+        await expect(medicationService.markDoseGiven(1, {
+          dose_amount: 2,
+          timestamp: '2024-01-15T10:00:00Z'
+        })).rejects.toThrow('PRN limit exceeded: Minimum interval of 4 hours');
+        expect(mockMedicationRepository.markDoseGiven).not.toHaveBeenCalled();
+      });
+
+      it('should record overridden doses with a warning', async () => {
+        mockDoseEventRepository.findGivenSince.mockResolvedValue([
+          new DoseEvent({ status: 'given', dose_amount: 2, given_at: '2024-01-15T08:00:00Z' })
+        ]);
+
+        const result = await medicationService.markDoseGiven(1, {
+          dose_amount: 2,
+          timestamp: '2024-01-15T10:00:00Z',
+          override_limits: true
+        });
+
+        expect(mockMedicationRepository.markDoseGiven).toHaveBeenCalled();
+        expect(result.prn_warnings).toHaveLength(1);
+      });
+    });
+
     it('should reject invalid dose amount', async () => {
       await expect(medicationService.markDoseGiven(1, { dose_amount: 0 }))
         .rejects.toThrow('Valid dose amount is required');
@@ -399,6 +693,21 @@ describe('MedicationService', () => {
       })).rejects.toThrow('Cannot mark dose on a skip date');
     });
 
+    it('should check skip dates against the patient\'s local date', async () => {
+      // 23:30 UTC on the 14th is already the 15th in Berlin
+      mockMedicationRepository.findById.mockResolvedValue(
+        Object.assign(new Medication({ ...existingMedication }), { timezone: 'Europe/Berlin' })
+      );
+      mockSkipDateRepository.findByMedicationId.mockResolvedValue([
+        { skip_date: '2024-01-15' }
+      ]);
+
+      await expect(medicationService.markDoseGiven(1, {
+        dose_amount: 2,
+        timestamp: '2024-01-14T23:30:00Z'
+      })).rejects.toThrow('Cannot mark dose on a skip date');
+    });
+
     it('should reject dose for inactive medication', async () => {
       const inactiveMedication = new Medication({
         id: 1,
@@ -415,6 +724,70 @@ describe('MedicationService', () => {
     });
   });
 
+  describe('recordMissedDose', () => {
+    beforeEach(() => {
+      mockMedicationRepository.findById.mockResolvedValue(new Medication({ id: 1, name: 'Test Med' }));
+      mockDoseRepository.findById.mockResolvedValue(
+        new MedicineDose({ id: 5, medicine_id: 1, dose_amount: 1, time_of_day: '20:00' })
+      );
+      mockDoseEventRepository.findBySlot.mockResolvedValue(null);
+    });
+
+    it('should record a refused dose without touching inventory', async () => {
+      const event = new DoseEvent({
+        id: 3,
+        medicine_id: 1,
+        medicine_dose_id: 5,
+        scheduled_date: '2024-01-15',
+        scheduled_time: '20:00',
+        status: 'refused'
+      });
+      mockDoseEventRepository.record.mockResolvedValue(event);
+
+      const result = await medicationService.recordMissedDose(1, {
+        medicine_dose_id: 5,
+        scheduled_date: '2024-01-15',
+        status: 'refused',
+        note: 'Felt nauseous'
+      });
+
+      expect(result).toBe(event);
+      expect(mockDoseEventRepository.record).toHaveBeenCalledWith(expect.objectContaining({
+        medicine_id: 1,
+        medicine_dose_id: 5,
+        scheduled_date: '2024-01-15',
+        scheduled_time: '20:00',
+        status: 'refused',
+        note: 'Felt nauseous'
+      }));
+      expect(mockMedicationRepository.markDoseGiven).not.toHaveBeenCalled();
+      expect(mockNotificationRepository.resolveMissedDose).toHaveBeenCalledWith(
+        1, 5, '2024-01-15', '20:00', 'refused'
+      );
+    });
+
+    it('should reject statuses for taken doses', async () => {
+      await expect(medicationService.recordMissedDose(1, {
+        medicine_dose_id: 5,
+        scheduled_date: '2024-01-15',
+        status: 'given'
+      })).rejects.toThrow('Invalid status');
+    });
+
+    it('should not overwrite a slot that was already given', async () => {
+      mockDoseEventRepository.findBySlot.mockResolvedValue(
+        new DoseEvent({ id: 1, medicine_id: 1, medicine_dose_id: 5, status: 'late' })
+      );
+
+      await expect(medicationService.recordMissedDose(1, {
+        medicine_dose_id: 5,
+        scheduled_date: '2024-01-15',
+        status: 'skipped'
+      })).rejects.toThrow('this slot has already been given');
+      expect(mockDoseEventRepository.record).not.toHaveBeenCalled();
+    });
+  });
+
   describe('convertSheetsToTablets', () => {
     it('should convert sheets to tablets correctly', () => {
       const result = medicationService.convertSheetsToTablets(5, 10);
@@ -483,15 +856,76 @@ describe('MedicationService', () => {
       expect(result).toEqual({
         total_tablets: 55,
         sheet_size: 10,
+        dose_unit: 'tablet',
+        package_unit: 'sheet',
         full_sheets: 5,
         remaining_tablets: 5,
         total_sheets: 5.5,
         daily_consumption: 3,
         days_remaining: 18,
-        is_low_inventory: false
+        run_out_date: addDays(toLocalDateString(), 19),
+        course_end_date: null,
+        quantity_needed_until_end: null,
+        shortfall_until_end: null,
+        is_low_inventory: false,
+        unit_price: null,
+        cost_per_day: null
       });
     });
 
+    it('should cost a day of doses at the price of the lot in use', async () => {
+      const medication = new Medication({ id: 1, total_tablets: 55, sheet_size: 10, unit_price: 0.5 });
+
+      mockMedicationRepository.findById.mockResolvedValue(medication);
+      mockDoseRepository.findByMedicationId.mockResolvedValue([{ dose_amount: 2 }, { dose_amount: 1 }]);
+
+      expect((await medicationService.getInventoryStats(1)).cost_per_day).toBe(1.5);
+
+      InventoryLotRepository.mock.instances[0].findByMedicationId.mockResolvedValue([
+        new InventoryLot({ id: 4, medicine_id: 1, quantity: 30, expiry_date: '2030-01-01', unit_price: 0.2083 })
+      ]);
+      const result = await medicationService.getInventoryStats(1);
+
+      expect(result.unit_price).toBe(0.2083);
+      expect(result.cost_per_day).toBe(0.62);
+    });
+
+    it('should forecast past skip dates up to the end date', async () => {
+      const today = toLocalDateString();
+      const medication = new Medication({ id: 1, total_tablets: 10, sheet_size: 10, end_date: addDays(today, 8) });
+
+      mockMedicationRepository.findById.mockResolvedValue(medication);
+      mockDoseRepository.findByMedicationId.mockResolvedValue([{ dose_amount: 2, time_of_day: '08:00' }]);
+      mockSkipDateRepository.findByMedicationId.mockResolvedValue([{ skip_date: addDays(today, 1) }]);
+
+      const result = await medicationService.getInventoryStats(1);
+
+      expect(mockSkipDateRepository.findByMedicationId).toHaveBeenCalledWith(1);
+      expect(result.days_remaining).toBe(6);
+      expect(result.run_out_date).toBe(addDays(today, 7));
+      expect(result.quantity_needed_until_end).toBe(14);
+      expect(result.shortfall_until_end).toBe(4);
+    });
+
+    it('should use the doses of the phase in effect today', async () => {
+      const today = new Date().toISOString().split('T')[0];
+      const medication = new Medication({ id: 1, total_tablets: 60, sheet_size: 10 });
+
+      mockMedicationRepository.findById.mockResolvedValue(medication);
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        { dose_amount: 1, time_of_day: '08:00', phase_id: null },
+        { dose_amount: 4, time_of_day: '08:00', phase_id: 5 }
+      ]);
+      mockDosePhaseRepository.findByMedicationId.mockResolvedValue([
+        new DosePhase({ id: 5, medicine_id: 1, start_date: today, end_date: null })
+      ]);
+
+      const result = await medicationService.getInventoryStats(1);
+
+      expect(result.daily_consumption).toBe(4);
+      expect(result.days_remaining).toBe(15);
+    });
+
     it('should handle medications with no doses', async () => {
       const medication = new Medication({
         id: 1,
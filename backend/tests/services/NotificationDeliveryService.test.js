@@ -0,0 +1,260 @@
+const NotificationDeliveryService = require('../../services/NotificationDeliveryService');
+const NotificationChannelRepository = require('../../repositories/NotificationChannelRepository');
+const NotificationDeliveryRepository = require('../../repositories/NotificationDeliveryRepository');
+const NotificationChannel = require('../../models/NotificationChannel');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+
+// Mock dependencies
+jest.mock('../../repositories/NotificationChannelRepository');
+jest.mock('../../repositories/NotificationDeliveryRepository');
+
+// Adapter that records what it sends; send can be made to fail
+const createAdapter = (configured = true) => ({
+  isConfigured: jest.fn().mockReturnValue(configured),
+  send: jest.fn().mockResolvedValue(undefined),
+  checkTarget: jest.fn().mockResolvedValue(undefined),
+  classifyFailure: jest.fn().mockReturnValue('retry')
+});
+
+describe('NotificationDeliveryService', () => {
+  let deliveryService;
+  let adapters;
+  let mockChannelRepository;
+  let mockDeliveryRepository;
+
+  const emailChannel = new NotificationChannel({ id: 1, user_id: 3, channel: 'email', target: 'carer@example.com' });
+  const notification = { id: 10, type: 'DOSE_DUE', medication_name: 'Aspirin', message: 'Time to take Aspirin - 1 tablet at 08:00.' };
+
+  const createDelivery = (channel, attempts = 1) => {
+    const delivery = new NotificationDelivery({ id: 20, notification_id: notification.id, channel_id: channel.id, attempts });
+    delivery.channel = channel;
+    delivery.notification = notification;
+    return delivery;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockChannelRepository = {
+      create: jest.fn(),
+      findById: jest.fn(),
+      findByUserId: jest.fn(),
+      update: jest.fn(),
+      disable: jest.fn(),
+      delete: jest.fn()
+    };
+
+    mockDeliveryRepository = {
+      claimDue: jest.fn(),
+      markSent: jest.fn(),
+      markFailed: jest.fn(),
+      findByChannelId: jest.fn()
+    };
+
+    NotificationChannelRepository.mockImplementation(() => mockChannelRepository);
+    NotificationDeliveryRepository.mockImplementation(() => mockDeliveryRepository);
+
+    adapters = { email: createAdapter(), webhook: createAdapter(), web_push: createAdapter(false) };
+    adapters.web_push.publicKey = 'BPublicKey';
+    deliveryService = new NotificationDeliveryService(adapters);
+  });
+
+  describe('getAvailableChannels', () => {
+    it('should report which channels are set up, with the push key only when push is', () => {
+      expect(deliveryService.getAvailableChannels()).toEqual({
+        email: { configured: true },
+        webhook: { configured: true },
+        web_push: { configured: false, public_key: null }
+      });
+
+      adapters.web_push.isConfigured.mockReturnValue(true);
+      expect(deliveryService.getAvailableChannels().web_push).toEqual({ configured: true, public_key: 'BPublicKey' });
+    });
+  });
+
+  describe('addChannel', () => {
+    it('should add the channel for the user', async () => {
+      mockChannelRepository.create.mockResolvedValue(emailChannel);
+
+      await deliveryService.addChannel(3, { channel: 'email', target: 'carer@example.com' });
+
+      expect(mockChannelRepository.create).toHaveBeenCalledWith({ channel: 'email', target: 'carer@example.com', user_id: 3 });
+    });
+
+    it('should refuse channels this server cannot deliver to', async () => {
+      await expect(deliveryService.addChannel(3, { channel: 'web_push', target: 'https://push.example.com/abc' }))
+        .rejects.toThrow('Validation failed: Push delivery is not set up on this server');
+      expect(mockChannelRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse webhooks to addresses that are not public', async () => {
+      adapters.webhook.checkTarget.mockRejectedValue(new Error('Target must be a public address'));
+
+      await expect(deliveryService.addChannel(3, { channel: 'webhook', target: 'http://169.254.169.254/' }))
+        .rejects.toThrow('Validation failed: Target must be a public address');
+      expect(adapters.webhook.checkTarget).toHaveBeenCalledWith('http://169.254.169.254/');
+      expect(mockChannelRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse push endpoints on addresses that are not public', async () => {
+      adapters.web_push.isConfigured.mockReturnValue(true);
+      adapters.web_push.checkTarget.mockRejectedValue(new Error('Target must be a public address'));
+
+      await expect(deliveryService.addChannel(3, { channel: 'web_push', target: 'https://10.0.0.5/push/abc' }))
+        .rejects.toThrow('Validation failed: Target must be a public address');
+      expect(adapters.web_push.checkTarget).toHaveBeenCalledWith('https://10.0.0.5/push/abc');
+      expect(mockChannelRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('channel ownership', () => {
+    it("should treat other users' channels as missing", async () => {
+      mockChannelRepository.findById.mockResolvedValue(emailChannel);
+
+      await expect(deliveryService.updateChannel(1, 4, { is_enabled: false })).rejects.toThrow('Channel not found');
+      await expect(deliveryService.removeChannel(1, 4)).rejects.toThrow('Channel not found');
+      expect(mockChannelRepository.update).not.toHaveBeenCalled();
+      expect(mockChannelRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it("should change the user's own channel", async () => {
+      mockChannelRepository.findById.mockResolvedValue(emailChannel);
+
+      await deliveryService.updateChannel(1, 3, { is_enabled: false });
+
+      expect(mockChannelRepository.update).toHaveBeenCalledWith(1, { is_enabled: false });
+    });
+
+    it('should check a new webhook target', async () => {
+      const webhookChannel = new NotificationChannel({ id: 2, user_id: 3, channel: 'webhook', target: 'https://hooks.example.com/a' });
+      mockChannelRepository.findById.mockResolvedValue(webhookChannel);
+      adapters.webhook.checkTarget.mockRejectedValue(new Error('Target must be a public address'));
+
+      await expect(deliveryService.updateChannel(2, 3, { target: 'http://localhost:8080/' }))
+        .rejects.toThrow('Validation failed: Target must be a public address');
+      expect(mockChannelRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendTestMessage', () => {
+    it('should send a test message to the channel', async () => {
+      mockChannelRepository.findById.mockResolvedValue(emailChannel);
+
+      const result = await deliveryService.sendTestMessage(1, 3);
+
+      expect(result.channel_id).toBe(1);
+      expect(adapters.email.send).toHaveBeenCalledWith(emailChannel, expect.objectContaining({
+        title: 'Test notification',
+        body: 'Notifications will be delivered here.'
+      }));
+    });
+
+    it('should report a failed delivery', async () => {
+      mockChannelRepository.findById.mockResolvedValue(emailChannel);
+      adapters.email.send.mockRejectedValue(new Error('Connection refused'));
+
+      await expect(deliveryService.sendTestMessage(1, 3)).rejects.toThrow('Delivery failed: Connection refused');
+    });
+  });
+
+  describe('processDueDeliveries', () => {
+    it('should send due deliveries and mark them sent', async () => {
+      mockDeliveryRepository.claimDue.mockResolvedValue([createDelivery(emailChannel)]);
+
+      const result = await deliveryService.processDueDeliveries(10);
+
+      expect(mockDeliveryRepository.claimDue).toHaveBeenCalledWith(10);
+      expect(adapters.email.send).toHaveBeenCalledWith(emailChannel, expect.objectContaining({
+        title: 'Dose due: Aspirin',
+        body: notification.message,
+        notification
+      }));
+      expect(mockDeliveryRepository.markSent).toHaveBeenCalledWith(20);
+      expect(result).toEqual({ deliveries_processed: 1, sent: 1, retrying: 0, failed: 0 });
+    });
+
+    it('should title a reminder that was raised again', async () => {
+      const delivery = createDelivery(emailChannel);
+      delivery.notification = { ...notification, escalation_level: 1 };
+      mockDeliveryRepository.claimDue.mockResolvedValue([delivery]);
+
+      await deliveryService.processDueDeliveries();
+
+      expect(adapters.email.send).toHaveBeenCalledWith(emailChannel, expect.objectContaining({
+        title: 'Dose still due: Aspirin'
+      }));
+    });
+
+    it('should send the lists of a digest', async () => {
+      const delivery = createDelivery(emailChannel);
+      delivery.notification = {
+        id: 11,
+        type: 'DIGEST',
+        medication_name: null,
+        message: 'Today: 1 dose scheduled, 0 running low, 0 missed yesterday.',
+        payload: {
+          period: 'daily',
+          schedule: [{ medication_name: 'Aspirin', medication_strength: '100mg', dose_amount: 1, dose_unit: 'tablet', time_of_day: '08:00:00' }],
+          low_stock: [],
+          missed_yesterday: []
+        }
+      };
+      mockDeliveryRepository.claimDue.mockResolvedValue([delivery]);
+
+      await deliveryService.processDueDeliveries();
+
+      expect(adapters.email.send).toHaveBeenCalledWith(emailChannel, expect.objectContaining({
+        title: 'Daily digest',
+        body: "Today: 1 dose scheduled, 0 running low, 0 missed yesterday.\n\nToday's doses:\n- 08:00 Aspirin 100mg, 1 tablet"
+      }));
+    });
+
+    it('should retry failed deliveries with backoff', async () => {
+      mockDeliveryRepository.claimDue.mockResolvedValue([createDelivery(emailChannel, 2)]);
+      adapters.email.send.mockRejectedValue(new Error('Connection timeout'));
+
+      const result = await deliveryService.processDueDeliveries();
+
+      expect(mockDeliveryRepository.markFailed).toHaveBeenCalledWith(20, 'Connection timeout', expect.any(Date));
+      expect(result.retrying).toBe(1);
+    });
+
+    it('should give up after the last attempt', async () => {
+      mockDeliveryRepository.claimDue.mockResolvedValue([createDelivery(emailChannel, 5)]);
+      adapters.email.send.mockRejectedValue(new Error('Connection timeout'));
+
+      const result = await deliveryService.processDueDeliveries();
+
+      expect(mockDeliveryRepository.markFailed).toHaveBeenCalledWith(20, 'Connection timeout', null);
+      expect(result.failed).toBe(1);
+    });
+
+    it('should turn off channels the adapter reports as gone', async () => {
+      const pushChannel = new NotificationChannel({ id: 2, user_id: 3, channel: 'web_push', target: 'https://push.example.com/abc' });
+      adapters.web_push.isConfigured.mockReturnValue(true);
+      adapters.web_push.send.mockRejectedValue(new Error('Push service responded with HTTP 410'));
+      adapters.web_push.classifyFailure.mockReturnValue('disable');
+      mockDeliveryRepository.claimDue.mockResolvedValue([createDelivery(pushChannel)]);
+
+      const result = await deliveryService.processDueDeliveries();
+
+      expect(mockChannelRepository.disable).toHaveBeenCalledWith(2);
+      expect(mockDeliveryRepository.markFailed).toHaveBeenCalledWith(20, 'Push service responded with HTTP 410', null);
+      expect(result.failed).toBe(1);
+    });
+
+    it('should not send to disabled or unconfigured channels', async () => {
+      const disabled = new NotificationChannel({ id: 1, user_id: 3, channel: 'email', target: 'carer@example.com', is_enabled: false });
+      const pushChannel = new NotificationChannel({ id: 2, user_id: 3, channel: 'web_push', target: 'https://push.example.com/abc' });
+      mockDeliveryRepository.claimDue.mockResolvedValue([createDelivery(disabled), createDelivery(pushChannel)]);
+
+      const result = await deliveryService.processDueDeliveries();
+
+      expect(adapters.email.send).not.toHaveBeenCalled();
+      expect(adapters.web_push.send).not.toHaveBeenCalled();
+      expect(mockDeliveryRepository.markFailed).toHaveBeenCalledWith(20, 'Channel is disabled', null);
+      expect(mockDeliveryRepository.markFailed).toHaveBeenCalledWith(20, 'Push delivery is not set up on this server', null);
+      expect(result).toEqual({ deliveries_processed: 2, sent: 0, retrying: 0, failed: 2 });
+    });
+  });
+});
@@ -3,12 +3,29 @@ const NotificationRepository = require('../../repositories/NotificationRepositor
 const InventoryService = require('../../services/InventoryService');
 const MedicationRepository = require('../../repositories/MedicationRepository');
 const DoseRepository = require('../../repositories/DoseRepository');
+const DosePhaseRepository = require('../../repositories/DosePhaseRepository');
+const InventoryLotRepository = require('../../repositories/InventoryLotRepository');
+const PrescriptionRepository = require('../../repositories/PrescriptionRepository');
+const NotificationPreferencesRepository = require('../../repositories/NotificationPreferencesRepository');
+const NotificationPreferences = require('../../models/NotificationPreferences');
+const Frequency = require('../../models/Frequency');
+const Medication = require('../../models/Medication');
+const InventoryLot = require('../../models/InventoryLot');
+const Prescription = require('../../models/Prescription');
+const ScheduleService = require('../../services/ScheduleService');
+const NotificationDeliveryService = require('../../services/NotificationDeliveryService');
 
 // Mock dependencies
 jest.mock('../../repositories/NotificationRepository');
 jest.mock('../../services/InventoryService');
 jest.mock('../../repositories/MedicationRepository');
 jest.mock('../../repositories/DoseRepository');
+jest.mock('../../repositories/DosePhaseRepository');
+jest.mock('../../repositories/InventoryLotRepository');
+jest.mock('../../repositories/PrescriptionRepository');
+jest.mock('../../repositories/NotificationPreferencesRepository');
+jest.mock('../../services/ScheduleService');
+jest.mock('../../services/NotificationDeliveryService');
 jest.mock('node-cron');
 
 describe('NotificationService', () => {
@@ -17,6 +34,11 @@ describe('NotificationService', () => {
   let mockInventoryService;
   let mockMedicationRepository;
   let mockDoseRepository;
+  let mockDosePhaseRepository;
+  let mockInventoryLotRepository;
+  let mockPrescriptionRepository;
+  let mockNotificationPreferencesRepository;
+  let mockScheduleService;
 
   beforeEach(() => {
     // Clear all mocks
@@ -27,7 +49,11 @@ describe('NotificationService', () => {
       createBuySoonNotification: jest.fn(),
       createDoseDueNotification: jest.fn(),
       createMissedDoseNotification: jest.fn(),
+      createExpiringSoonNotification: jest.fn(),
+      createPrescriptionRenewalNotification: jest.fn(),
       existsByTypeAndMedication: jest.fn(),
+      findUnresolvedMissedDoses: jest.fn(),
+      resolveMissedDose: jest.fn(),
       findAll: jest.fn(),
       findUnread: jest.fn(),
       markAsRead: jest.fn(),
@@ -36,7 +62,12 @@ describe('NotificationService', () => {
       deleteById: jest.fn(),
       getStats: jest.fn(),
       getSummaryByType: jest.fn(),
-      deleteOldNotifications: jest.fn()
+      deleteOldNotifications: jest.fn(),
+      releaseHeld: jest.fn(),
+      acknowledgeRecordedDoses: jest.fn(),
+      renotifyDueReminders: jest.fn(),
+      escalateMissedDoses: jest.fn(),
+      createDigestNotification: jest.fn()
     };
 
     mockInventoryService = {
@@ -51,11 +82,37 @@ describe('NotificationService', () => {
       findByMedicationId: jest.fn()
     };
 
+    mockDosePhaseRepository = {
+      findByMedicationId: jest.fn().mockResolvedValue([])
+    };
+
+    mockInventoryLotRepository = {
+      findExpiringBy: jest.fn().mockResolvedValue([])
+    };
+
+    mockPrescriptionRepository = {
+      findNeedingRenewal: jest.fn().mockResolvedValue([])
+    };
+
+    // Everyone on the default preferences unless a test sets some
+    mockNotificationPreferencesRepository = {
+      findAll: jest.fn().mockResolvedValue([])
+    };
+
+    mockScheduleService = {
+      generateDailySchedule: jest.fn()
+    };
+
     // Mock constructors
     NotificationRepository.mockImplementation(() => mockNotificationRepository);
     InventoryService.mockImplementation(() => mockInventoryService);
     MedicationRepository.mockImplementation(() => mockMedicationRepository);
     DoseRepository.mockImplementation(() => mockDoseRepository);
+    DosePhaseRepository.mockImplementation(() => mockDosePhaseRepository);
+    InventoryLotRepository.mockImplementation(() => mockInventoryLotRepository);
+    PrescriptionRepository.mockImplementation(() => mockPrescriptionRepository);
+    NotificationPreferencesRepository.mockImplementation(() => mockNotificationPreferencesRepository);
+    ScheduleService.mockImplementation(() => mockScheduleService);
 
     notificationService = new NotificationService();
   });
@@ -99,7 +156,7 @@ describe('NotificationService', () => {
 
       expect(mockInventoryService.calculateBuySoonAlerts).toHaveBeenCalledWith(1);
       expect(mockNotificationRepository.existsByTypeAndMedication).toHaveBeenCalledWith('BUY_SOON', 1, 24);
-      expect(mockNotificationRepository.createBuySoonNotification).toHaveBeenCalledWith(1, mockAlerts[0]);
+      expect(mockNotificationRepository.createBuySoonNotification).toHaveBeenCalledWith(1, mockAlerts[0], null);
       expect(result).toEqual({
         alerts_checked: 2,
         notifications_created: 1,
@@ -144,14 +201,12 @@ describe('NotificationService', () => {
       jest.useFakeTimers();
       jest.setSystemTime(now);
 
-      const mockMedications = [
-        {
-          id: 1,
-          name: 'Test Med 1',
-          strength: '10mg',
-          route_name: 'Oral'
-        }
-      ];
+      const mockMedication = new Medication({
+        id: 1,
+        name: 'Test Med 1',
+        strength: '10mg'
+      });
+      mockMedication.route_name = 'Oral';
 
       const mockDoses = [
         {
@@ -171,7 +226,7 @@ describe('NotificationService', () => {
         is_read: false
       };
 
-      mockMedicationRepository.findActiveByDate.mockResolvedValue(mockMedications);
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([mockMedication]);
       mockDoseRepository.findByMedicationId.mockResolvedValue(mockDoses);
       mockNotificationRepository.existsByTypeAndMedication.mockResolvedValue(false);
       mockNotificationRepository.createDoseDueNotification.mockResolvedValue(mockNotification);
@@ -180,8 +235,119 @@ describe('NotificationService', () => {
 
       expect(mockMedicationRepository.findActiveByDate).toHaveBeenCalledWith('2024-01-15');
       expect(mockDoseRepository.findByMedicationId).toHaveBeenCalledWith(1);
-      expect(mockNotificationRepository.createDoseDueNotification).toHaveBeenCalled();
+      expect(mockNotificationRepository.createDoseDueNotification).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ medicine_dose_id: 1, scheduled_date: '2024-01-15', slot_time: '08:10' }),
+        null
+      );
+      expect(result.notifications_created).toBe(1);
+
+      jest.useRealTimers();
+    });
+
+    it('should match dose times against each patient timezone', async () => {
+      // 07:55 on the 16th in Tokyo, 17:55 on the 15th in New York
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T22:55:00Z'));
+
+      const tokyoMedication = new Medication({ id: 1, name: 'Tokyo Med' });
+      tokyoMedication.timezone = 'Asia/Tokyo';
+      const newYorkMedication = new Medication({ id: 2, name: 'New York Med' });
+      newYorkMedication.timezone = 'America/New_York';
+
+      mockMedicationRepository.findActiveByDate.mockImplementation(async (date) => {
+        if (date === '2024-01-16') return [tokyoMedication];
+        if (date === '2024-01-15') return [newYorkMedication];
+        return [];
+      });
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        { id: 1, dose_amount: 1, time_of_day: '08:00:00' }
+      ]);
+      mockNotificationRepository.existsByTypeAndMedication.mockResolvedValue(false);
+      mockNotificationRepository.createDoseDueNotification.mockResolvedValue({ id: 1, type: 'DOSE_DUE' });
+
+      const result = await notificationService.generateDoseDueNotifications(15);
+
+      expect(result.medications_checked).toBe(2);
       expect(result.notifications_created).toBe(1);
+      expect(mockNotificationRepository.createDoseDueNotification).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ scheduled_time: '2024-01-15T23:00:00.000Z' }),
+        null
+      );
+
+      jest.useRealTimers();
+    });
+
+    it('should not remind about a weekly medication on other weekdays', async () => {
+      // Monday 2024-01-15; the medication is taken on Wednesdays
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T08:00:00Z'));
+
+      const weeklyMedication = new Medication({ id: 1, name: 'Weekly Med', start_date: '2024-01-01' });
+      weeklyMedication.frequency = new Frequency({ recurrence_type: 'weekly', weekdays: [3] });
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([weeklyMedication]);
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        { id: 1, dose_amount: 1, time_of_day: '08:10:00' }
+      ]);
+      mockNotificationRepository.existsByTypeAndMedication.mockResolvedValue(false);
+
+      const result = await notificationService.generateDoseDueNotifications(15);
+
+      expect(result.notifications_created).toBe(0);
+      expect(mockNotificationRepository.createDoseDueNotification).not.toHaveBeenCalled();
+
+      jest.useRealTimers();
+    });
+
+    it('should not remind about a medication in the off part of its cycle', async () => {
+      // 2024-01-15 is the first day off of a 14 days on, 7 days off cycle
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T08:00:00Z'));
+
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([new Medication({
+        id: 1,
+        name: 'Cycle Med',
+        start_date: '2024-01-01',
+        cycle_days_on: 14,
+        cycle_days_off: 7
+      })]);
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        { id: 1, dose_amount: 1, time_of_day: '08:10:00' }
+      ]);
+      mockNotificationRepository.existsByTypeAndMedication.mockResolvedValue(false);
+
+      const result = await notificationService.generateDoseDueNotifications(15);
+
+      expect(result.notifications_created).toBe(0);
+      expect(mockNotificationRepository.createDoseDueNotification).not.toHaveBeenCalled();
+
+      jest.useRealTimers();
+    });
+
+    it('should remind about every time an hourly frequency repeats a dose', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T14:00:00Z'));
+
+      const hourlyMedication = new Medication({ id: 1, name: 'Hourly Med', start_date: '2024-01-01' });
+      hourlyMedication.frequency = new Frequency({ recurrence_type: 'hourly', interval_hours: 6 });
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([hourlyMedication]);
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        { id: 1, dose_amount: 1, time_of_day: '08:10:00' }
+      ]);
+      mockNotificationRepository.existsByTypeAndMedication.mockResolvedValue(false);
+      mockNotificationRepository.createDoseDueNotification.mockResolvedValue({ id: 1, type: 'DOSE_DUE' });
+
+      const result = await notificationService.generateDoseDueNotifications(15);
+
+      expect(result.notifications_created).toBe(1);
+      expect(mockNotificationRepository.createDoseDueNotification).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ medicine_dose_id: 1, time_of_day: '14:10:00', slot_time: '14:10' }),
+        null
+      );
+
+      jest.useRealTimers();
     });
 
     it('should validate minutes ahead parameter', async () => {
@@ -191,30 +357,36 @@ describe('NotificationService', () => {
   });
 
   describe('generateMissedDoseNotifications', () => {
-    it('should generate missed dose notifications for overdue doses', async () => {
-      const now = new Date('2024-01-15T10:00:00Z');
-      jest.useFakeTimers();
-      jest.setSystemTime(now);
+    const buildSchedule = (date, entries) => ({
+      date,
+      total_medications: entries.length > 0 ? 1 : 0,
+      schedule: { morning: entries, afternoon: [], evening: [], night: [] }
+    });
 
-      const mockMedications = [
-        {
-          id: 1,
-          name: 'Test Med 1',
-          strength: '10mg',
-          route_name: 'Oral'
-        }
-      ];
+    const buildEntry = (overrides = {}) => ({
+      medication_id: 1,
+      medication_name: 'Test Med 1',
+      medication_strength: '10mg',
+      route: 'Oral',
+      dose_id: 1,
+      dose_amount: 1,
+      time_of_day: '08:00:00',
+      instructions: 'Take with food',
+      status: 'pending',
+      ...overrides
+    });
 
-      const mockDoses = [
-        {
-          id: 1,
-          dose_amount: 1,
-          time_of_day: '08:00:00',
-          route_override: null,
-          instructions: 'Take with food'
-        }
-      ];
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T10:00:00Z'));
+      mockNotificationRepository.findUnresolvedMissedDoses.mockResolvedValue([]);
+    });
 
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should generate missed dose notifications for overdue doses', async () => {
       const mockNotification = {
         id: 1,
         medicine_id: 1,
@@ -223,17 +395,92 @@ describe('NotificationService', () => {
         is_read: false
       };
 
-      mockMedicationRepository.findActiveByDate.mockResolvedValue(mockMedications);
-      mockDoseRepository.findByMedicationId.mockResolvedValue(mockDoses);
-      mockNotificationRepository.existsByTypeAndMedication.mockResolvedValue(false);
+      mockScheduleService.generateDailySchedule.mockImplementation(async (date) =>
+        buildSchedule(date, date === '2024-01-15' ? [buildEntry()] : [])
+      );
       mockNotificationRepository.createMissedDoseNotification.mockResolvedValue(mockNotification);
 
       const result = await notificationService.generateMissedDoseNotifications(1);
 
-      expect(mockNotificationRepository.createMissedDoseNotification).toHaveBeenCalled();
+      expect(mockScheduleService.generateDailySchedule).toHaveBeenCalledWith('2024-01-14');
+      expect(mockScheduleService.generateDailySchedule).toHaveBeenCalledWith('2024-01-15');
+      expect(mockNotificationRepository.createMissedDoseNotification).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({
+          medicine_dose_id: 1,
+          scheduled_date: '2024-01-15',
+          slot_time: '08:00'
+        }),
+        null
+      );
       expect(result.notifications_created).toBe(1);
     });
 
+    it('should not flag slots that already have a recorded outcome', async () => {
+      mockScheduleService.generateDailySchedule.mockImplementation(async (date) =>
+        buildSchedule(date, date === '2024-01-15'
+          ? [buildEntry({ status: 'given' }), buildEntry({ dose_id: 2, status: 'refused' })]
+          : [])
+      );
+
+      const result = await notificationService.generateMissedDoseNotifications(1);
+
+      expect(mockNotificationRepository.createMissedDoseNotification).not.toHaveBeenCalled();
+      expect(result.notifications_created).toBe(0);
+    });
+
+    it('should not flag slots that are not yet overdue', async () => {
+      mockScheduleService.generateDailySchedule.mockImplementation(async (date) =>
+        buildSchedule(date, date === '2024-01-15' ? [buildEntry({ time_of_day: '09:30' })] : [])
+      );
+
+      const result = await notificationService.generateMissedDoseNotifications(1);
+
+      expect(result.missed_slots).toBe(0);
+      expect(mockNotificationRepository.createMissedDoseNotification).not.toHaveBeenCalled();
+    });
+
+    it('should create one notification per missed slot', async () => {
+      mockScheduleService.generateDailySchedule.mockImplementation(async (date) =>
+        buildSchedule(date, date === '2024-01-15'
+          ? [buildEntry({ time_of_day: '02:00:00' }), buildEntry({ time_of_day: '06:00:00' })]
+          : [])
+      );
+      mockNotificationRepository.createMissedDoseNotification
+        .mockResolvedValueOnce({ id: 1 })
+        .mockResolvedValueOnce(null); // already notified for this slot
+
+      const result = await notificationService.generateMissedDoseNotifications(1);
+
+      expect(mockNotificationRepository.createMissedDoseNotification).toHaveBeenCalledTimes(2);
+      expect(result.missed_slots).toBe(2);
+      expect(result.notifications_created).toBe(1);
+    });
+
+    it('should resolve notifications once the slot is logged late', async () => {
+      mockScheduleService.generateDailySchedule.mockImplementation(async (date) =>
+        buildSchedule(date, date === '2024-01-15' ? [buildEntry({ status: 'late' })] : [])
+      );
+      mockNotificationRepository.findUnresolvedMissedDoses.mockResolvedValue([
+        {
+          id: 9,
+          medicine_id: 1,
+          type: 'MISSED_DOSE',
+          payload: { medicine_dose_id: 1, scheduled_date: '2024-01-15', slot_time: '08:00' }
+        }
+      ]);
+      mockNotificationRepository.resolveMissedDose.mockResolvedValue([{ id: 9 }]);
+
+      const result = await notificationService.generateMissedDoseNotifications(1);
+
+      // Every date some timezone was on during the last 24 hours
+      expect(mockNotificationRepository.findUnresolvedMissedDoses).toHaveBeenCalledWith(
+        ['2024-01-13', '2024-01-14', '2024-01-15', '2024-01-16']
+      );
+      expect(mockNotificationRepository.resolveMissedDose).toHaveBeenCalledWith(1, 1, '2024-01-15', '08:00', 'late');
+      expect(result.notifications_resolved).toBe(1);
+    });
+
     it('should validate hours overdue parameter', async () => {
       await expect(notificationService.generateMissedDoseNotifications(0)).rejects.toThrow('Hours overdue must be an integer between 1 and 24');
       await expect(notificationService.generateMissedDoseNotifications(25)).rejects.toThrow('Hours overdue must be an integer between 1 and 24');
@@ -294,6 +541,166 @@ describe('NotificationService', () => {
     });
   });
 
+  describe('generateExpiringSoonNotifications', () => {
+    const buildLot = (overrides = {}) => Object.assign(new InventoryLot({
+      id: 5,
+      medicine_id: 1,
+      quantity: 12,
+      lot_number: 'AB123',
+      expiry_date: '2024-02-01'
+    }), { medication_name: 'Test Med 1', timezone: 'UTC' }, overrides);
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T10:00:00Z'));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should warn once about each lot expiring within the window', async () => {
+      mockInventoryLotRepository.findExpiringBy.mockResolvedValue([
+        buildLot(),
+        buildLot({ id: 6, expiry_date: '2024-01-10' }),
+        buildLot({ id: 7, expiry_date: '2024-01-20' })
+      ]);
+      mockNotificationRepository.createExpiringSoonNotification
+        .mockResolvedValueOnce({ id: 1, type: 'EXPIRING_SOON' })
+        .mockResolvedValueOnce({ id: 2, type: 'EXPIRING_SOON' })
+        .mockResolvedValueOnce(null); // already warned about this lot
+
+      const result = await notificationService.generateExpiringSoonNotifications(30);
+
+      expect(mockInventoryLotRepository.findExpiringBy).toHaveBeenCalledWith('2024-02-15', '2024-01-14');
+      expect(mockNotificationRepository.createExpiringSoonNotification).toHaveBeenCalledWith(1, {
+        medication_name: 'Test Med 1',
+        medication_strength: undefined,
+        lot_id: 5,
+        lot_number: 'AB123',
+        quantity: 12,
+        expiry_date: '2024-02-01',
+        days_until_expiry: 17
+      }, null);
+      expect(mockNotificationRepository.createExpiringSoonNotification).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ lot_id: 6, days_until_expiry: -5 }),
+        null
+      );
+      expect(result.lots_expiring).toBe(3);
+      expect(result.notifications_created).toBe(2);
+    });
+
+    it('should count days from today in the patient timezone', async () => {
+      // Already the 16th in Auckland, still the 15th in Los Angeles
+      jest.setSystemTime(new Date('2024-01-15T12:00:00Z'));
+      mockInventoryLotRepository.findExpiringBy.mockResolvedValue([
+        buildLot({ expiry_date: '2024-01-23', timezone: 'Pacific/Auckland' }),
+        buildLot({ id: 6, expiry_date: '2024-01-23', timezone: 'America/Los_Angeles' })
+      ]);
+      mockNotificationRepository.createExpiringSoonNotification.mockResolvedValue({ id: 1 });
+
+      const result = await notificationService.generateExpiringSoonNotifications(7);
+
+      expect(result.lots_expiring).toBe(1);
+      expect(mockNotificationRepository.createExpiringSoonNotification).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ lot_id: 5, days_until_expiry: 7 }),
+        null
+      );
+    });
+
+    it('should validate days ahead parameter', async () => {
+      await expect(notificationService.generateExpiringSoonNotifications(0)).rejects.toThrow('Days ahead must be an integer between 1 and 365');
+      await expect(notificationService.generateExpiringSoonNotifications(366)).rejects.toThrow('Days ahead must be an integer between 1 and 365');
+    });
+  });
+
+  describe('generatePrescriptionRenewalNotifications', () => {
+    const buildPrescription = (overrides = {}) => {
+      const prescription = new Prescription({
+        id: 4,
+        medicine_id: 1,
+        issue_date: '2023-06-01',
+        expiry_date: '2024-06-01',
+        authorized_refills: 3,
+        refills_used: 1,
+        ...overrides
+      });
+      return Object.assign(prescription, {
+        medication_name: 'Test Med 1',
+        prescriber_name: 'Dr. Smith',
+        refills_remaining: prescription.getRefillsRemaining(),
+        timezone: 'UTC'
+      });
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T10:00:00Z'));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should ask once per reason to renew prescriptions out of refills or expiring', async () => {
+      mockPrescriptionRepository.findNeedingRenewal.mockResolvedValue([
+        buildPrescription({ refills_used: 3 }),
+        buildPrescription({ id: 5, medicine_id: 2, expiry_date: '2024-02-01' }),
+        buildPrescription({ id: 6, medicine_id: 3, expiry_date: '2024-01-20', refills_used: 3 })
+      ]);
+      mockNotificationRepository.createPrescriptionRenewalNotification
+        .mockResolvedValueOnce({ id: 1, type: 'PRESCRIPTION_RENEWAL' })
+        .mockResolvedValueOnce({ id: 2, type: 'PRESCRIPTION_RENEWAL' })
+        .mockResolvedValueOnce(null) // already asked for this reason
+        .mockResolvedValueOnce({ id: 3, type: 'PRESCRIPTION_RENEWAL' });
+
+      const result = await notificationService.generatePrescriptionRenewalNotifications(30);
+
+      expect(mockPrescriptionRepository.findNeedingRenewal).toHaveBeenCalledWith('2024-02-15', '2024-01-16', '2024-01-14');
+      expect(mockNotificationRepository.createPrescriptionRenewalNotification).toHaveBeenCalledWith(1, {
+        medication_name: 'Test Med 1',
+        medication_strength: undefined,
+        prescription_id: 4,
+        prescription_number: null,
+        prescriber_name: 'Dr. Smith',
+        reason: 'no_refills',
+        authorized_refills: 3,
+        refills_remaining: 0,
+        expiry_date: '2024-06-01',
+        days_until_expiry: 138
+      }, null);
+      expect(mockNotificationRepository.createPrescriptionRenewalNotification).toHaveBeenCalledWith(
+        2,
+        expect.objectContaining({ prescription_id: 5, reason: 'expiring', days_until_expiry: 17 }),
+        null
+      );
+      expect(mockNotificationRepository.createPrescriptionRenewalNotification).toHaveBeenCalledWith(
+        3,
+        expect.objectContaining({ prescription_id: 6, reason: 'expiring' }),
+        null
+      );
+      expect(result.prescriptions_due).toBe(3);
+      expect(result.notifications_created).toBe(3);
+    });
+
+    it('should skip prescriptions that only expire after the window', async () => {
+      mockPrescriptionRepository.findNeedingRenewal.mockResolvedValue([
+        buildPrescription({ expiry_date: '2024-01-23', timezone: 'America/Los_Angeles' })
+      ]);
+
+      const result = await notificationService.generatePrescriptionRenewalNotifications(7);
+
+      expect(result.prescriptions_due).toBe(0);
+      expect(mockNotificationRepository.createPrescriptionRenewalNotification).not.toHaveBeenCalled();
+    });
+
+    it('should validate days ahead parameter', async () => {
+      await expect(notificationService.generatePrescriptionRenewalNotifications(0)).rejects.toThrow('Days ahead must be an integer between 1 and 365');
+    });
+  });
+
   describe('background jobs', () => {
     it('should start buy-soon alert job', () => {
       const result = notificationService.startBuySoonAlertJob();
@@ -310,7 +717,7 @@ describe('NotificationService', () => {
 
       expect(result).toEqual({
         job_name: 'doseDueNotifications',
-        cron_expression: '*/15 * * * *',
+        cron_expression: '*/5 * * * *',
         status: 'started'
       });
     });
@@ -319,7 +726,7 @@ describe('NotificationService', () => {
       const result = notificationService.startAllBackgroundJobs();
 
       expect(result.message).toBe('All background jobs started');
-      expect(result.jobs).toHaveLength(4);
+      expect(result.jobs).toHaveLength(11);
     });
 
     it('should stop all background jobs', () => {
@@ -329,7 +736,7 @@ describe('NotificationService', () => {
       const result = notificationService.stopAllBackgroundJobs();
 
       expect(result.message).toBe('All background jobs stopped');
-      expect(result.jobs).toHaveLength(4);
+      expect(result.jobs).toHaveLength(11);
     });
   });
 
@@ -337,14 +744,292 @@ describe('NotificationService', () => {
     it('should trigger immediate notification check', async () => {
       mockInventoryService.calculateBuySoonAlerts.mockResolvedValue([]);
       mockMedicationRepository.findActiveByDate.mockResolvedValue([]);
+      mockScheduleService.generateDailySchedule.mockResolvedValue({
+        total_medications: 0,
+        schedule: { morning: [], afternoon: [], evening: [], night: [] }
+      });
+      mockNotificationRepository.findUnresolvedMissedDoses.mockResolvedValue([]);
 
       const result = await notificationService.triggerImmediateNotificationCheck();
 
       expect(result.message).toBe('Immediate notification check completed');
-      expect(result.results).toHaveLength(3);
+      expect(result.results).toHaveLength(5);
       expect(result.results[0].type).toBe('buy_soon');
       expect(result.results[1].type).toBe('dose_due');
       expect(result.results[2].type).toBe('missed_dose');
+      expect(result.results[3].type).toBe('expiring_soon');
+      expect(result.results[4].type).toBe('prescription_renewal');
+    });
+  });
+
+  describe('notification preferences', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T08:00:00Z'));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it("should follow each patient's dose reminder lead time", async () => {
+      mockNotificationPreferencesRepository.findAll.mockResolvedValue([
+        new NotificationPreferences({ patient_id: 1, minutes_ahead: 60 }),
+        new NotificationPreferences({ patient_id: 2 })
+      ]);
+      const medications = [
+        new Medication({ id: 1, name: 'Early Med', patient_id: 1 }),
+        new Medication({ id: 2, name: 'Late Med', patient_id: 2 })
+      ];
+      medications.forEach(medication => { medication.timezone = 'UTC'; });
+      mockMedicationRepository.findActiveByDate.mockImplementation(async (date) => (
+        date === '2024-01-15' ? medications : []
+      ));
+      mockDoseRepository.findByMedicationId.mockResolvedValue([{ id: 1, dose_amount: 1, time_of_day: '08:30:00' }]);
+      mockNotificationRepository.existsByTypeAndMedication.mockResolvedValue(false);
+      mockNotificationRepository.createDoseDueNotification.mockResolvedValue({ id: 1, type: 'DOSE_DUE' });
+
+      const result = await notificationService.generateDoseDueNotifications();
+
+      expect(result.notifications_created).toBe(1);
+      expect(mockNotificationRepository.createDoseDueNotification).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ medication_name: 'Early Med' }),
+        null
+      );
+    });
+
+    it('should skip notification types a patient turned off', async () => {
+      mockNotificationPreferencesRepository.findAll.mockResolvedValue([
+        new NotificationPreferences({ patient_id: 4, disabled_types: ['BUY_SOON'] })
+      ]);
+      mockInventoryService.calculateBuySoonAlerts.mockResolvedValue([
+        { medication_id: 1, patient_id: 4, days_remaining: 0, needs_refill: true },
+        { medication_id: 2, patient_id: null, days_remaining: 0, needs_refill: true }
+      ]);
+      mockNotificationRepository.existsByTypeAndMedication.mockResolvedValue(false);
+      mockNotificationRepository.createBuySoonNotification.mockResolvedValue({ id: 1 });
+
+      const result = await notificationService.generateBuySoonAlerts();
+
+      expect(mockInventoryService.calculateBuySoonAlerts).toHaveBeenCalledWith(1);
+      expect(mockNotificationRepository.createBuySoonNotification).toHaveBeenCalledTimes(1);
+      expect(mockNotificationRepository.createBuySoonNotification).toHaveBeenCalledWith(2, expect.any(Object), null);
+      expect(result.notifications_created).toBe(1);
+    });
+
+    it('should hold notifications raised during quiet hours until they end', async () => {
+      // 03:00 in New York
+      jest.setSystemTime(new Date('2024-01-15T08:00:00Z'));
+      mockNotificationPreferencesRepository.findAll.mockResolvedValue([
+        new NotificationPreferences({
+          patient_id: 4,
+          quiet_hours_enabled: true,
+          quiet_hours_start: '22:00',
+          quiet_hours_end: '07:00',
+          timezone: 'America/New_York'
+        })
+      ]);
+      mockScheduleService.generateDailySchedule.mockImplementation(async (date) => ({
+        date,
+        total_medications: 1,
+        schedule: {
+          morning: [],
+          afternoon: [],
+          evening: date === '2024-01-15'
+            ? [{ medication_id: 1, patient_id: 4, dose_id: 1, dose_amount: 1, time_of_day: '01:00:00', status: 'pending', timezone: 'America/New_York' }]
+            : [],
+          night: []
+        }
+      }));
+      mockNotificationRepository.findUnresolvedMissedDoses.mockResolvedValue([]);
+      mockNotificationRepository.createMissedDoseNotification.mockResolvedValue({ id: 1 });
+
+      await notificationService.generateMissedDoseNotifications();
+
+      expect(mockNotificationRepository.createMissedDoseNotification).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ scheduled_time: '2024-01-15T06:00:00.000Z' }),
+        new Date('2024-01-15T12:00:00.000Z')
+      );
+    });
+
+    it('should release held notifications', async () => {
+      mockNotificationRepository.releaseHeld.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const result = await notificationService.releaseHeldNotifications();
+
+      expect(result.notifications_released).toBe(2);
+    });
+  });
+
+  describe('digests', () => {
+    // A daily schedule with one entry per status, for patient 4 and an unassigned medication
+    const createSchedule = (date, statuses) => ({
+      date,
+      schedule: {
+        morning: statuses.map((status, index) => ({
+          medication_id: index + 1,
+          patient_id: 4,
+          medication_name: `Med ${index + 1}`,
+          medication_strength: '10mg',
+          dose_id: index + 1,
+          dose_amount: 1,
+          dose_unit: 'tablet',
+          time_of_day: `0${8 + index}:00:00`,
+          status
+        })),
+        afternoon: [],
+        evening: [{
+          medication_id: 9,
+          patient_id: null,
+          medication_name: 'Unassigned Med',
+          dose_id: 9,
+          dose_amount: 1,
+          dose_unit: 'tablet',
+          time_of_day: '20:00:00',
+          status: 'given'
+        }],
+        night: []
+      }
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T06:00:00Z'));
+      mockNotificationPreferencesRepository.findAll.mockResolvedValue([
+        new NotificationPreferences({ patient_id: 4, buy_soon_days_ahead: 3 }),
+        new NotificationPreferences({ patient_id: null, disabled_types: ['DIGEST'] })
+      ]);
+      mockNotificationRepository.createDigestNotification.mockImplementation(async (patientId, digest) => ({
+        id: 1, type: 'DIGEST', patient_id: patientId, payload: digest
+      }));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it("should list today's schedule, low stock and yesterday's missed doses", async () => {
+      mockInventoryService.calculateBuySoonAlerts.mockResolvedValue([
+        { medication_id: 1, medication_name: 'Med 1', patient_id: 4, current_tablets: 2, dose_unit: 'tablet', days_remaining: 2, needs_refill: true },
+        { medication_id: 2, medication_name: 'Med 2', patient_id: 4, current_tablets: 5, dose_unit: 'tablet', days_remaining: 5, needs_refill: true }
+      ]);
+      mockScheduleService.generateDailySchedule.mockImplementation(async (date) => (
+        date === '2024-01-15' ? createSchedule(date, ['pending', 'pending']) : createSchedule(date, ['given', 'pending'])
+      ));
+
+      const result = await notificationService.generateDailyDigests();
+
+      expect(result.notifications_created).toBe(1);
+      expect(mockNotificationRepository.createDigestNotification).toHaveBeenCalledTimes(1);
+      const [patientId, digest, heldUntil] = mockNotificationRepository.createDigestNotification.mock.calls[0];
+      expect(patientId).toBe(4);
+      expect(heldUntil).toBeNull();
+      expect(digest.period).toBe('daily');
+      expect(digest.start_date).toBe('2024-01-15');
+      expect(digest.schedule.map(dose => dose.medication_name)).toEqual(['Med 1', 'Med 2']);
+      expect(digest.low_stock).toEqual([expect.objectContaining({ medication_id: 1, days_remaining: 2 })]);
+      expect(digest.missed_yesterday).toEqual([
+        expect.objectContaining({ medication_id: 2, time_of_day: '09:00:00', scheduled_date: '2024-01-14' })
+      ]);
+      expect(mockInventoryService.calculateBuySoonAlerts).toHaveBeenCalledWith(3);
+    });
+
+    it('should not send a digest with nothing to report', async () => {
+      mockInventoryService.calculateBuySoonAlerts.mockResolvedValue([]);
+      mockScheduleService.generateDailySchedule.mockImplementation(async (date) => createSchedule(date, []));
+
+      const result = await notificationService.generateDailyDigests();
+
+      expect(result.notifications_created).toBe(0);
+      expect(mockNotificationRepository.createDigestNotification).not.toHaveBeenCalled();
+    });
+
+    it('should not send digests for medications without a patient', async () => {
+      mockNotificationPreferencesRepository.findAll.mockResolvedValue([
+        new NotificationPreferences({ patient_id: null })
+      ]);
+      mockInventoryService.calculateBuySoonAlerts.mockResolvedValue([]);
+      mockScheduleService.generateDailySchedule.mockImplementation(async (date) => createSchedule(date, []));
+
+      const daily = await notificationService.generateDailyDigests();
+      const weekly = await notificationService.generateWeeklyDigests();
+
+      expect(daily.notifications_created).toBe(0);
+      expect(weekly.notifications_created).toBe(0);
+      expect(mockNotificationRepository.createDigestNotification).not.toHaveBeenCalled();
+    });
+
+    it('should sum up the last week of adherence per medication', async () => {
+      mockScheduleService.generateDailySchedule.mockImplementation(async (date) => (
+        createSchedule(date, date === '2024-01-14' ? ['late', 'pending'] : ['given', 'skipped'])
+      ));
+
+      const result = await notificationService.generateWeeklyDigests();
+
+      expect(result.notifications_created).toBe(1);
+      expect(mockScheduleService.generateDailySchedule).toHaveBeenCalledTimes(7);
+      const [patientId, digest] = mockNotificationRepository.createDigestNotification.mock.calls[0];
+      expect(patientId).toBe(4);
+      expect(digest).toEqual(expect.objectContaining({
+        period: 'weekly',
+        start_date: '2024-01-08',
+        end_date: '2024-01-14',
+        scheduled_doses: 14,
+        taken_doses: 7,
+        late_doses: 1,
+        skipped_doses: 6,
+        missed_doses: 1,
+        adherence_rate: 50
+      }));
+      expect(digest.medications).toEqual([
+        expect.objectContaining({ medication_name: 'Med 1', scheduled_doses: 7, taken_doses: 7, adherence_rate: 100 }),
+        expect.objectContaining({ medication_name: 'Med 2', scheduled_doses: 7, taken_doses: 0, missed_doses: 1, adherence_rate: 0 })
+      ]);
+    });
+
+    it('should handle schedule errors', async () => {
+      mockScheduleService.generateDailySchedule.mockRejectedValue(new Error('Database error'));
+
+      await expect(notificationService.generateWeeklyDigests())
+        .rejects.toThrow('Failed to generate weekly digests: Database error');
+    });
+  });
+
+  describe('processDoseReminders', () => {
+    it('should acknowledge, repeat and escalate dose reminders', async () => {
+      mockNotificationRepository.acknowledgeRecordedDoses.mockResolvedValue([{ id: 1 }]);
+      mockNotificationRepository.renotifyDueReminders.mockResolvedValue([{ id: 2, type: 'DOSE_DUE' }]);
+      mockNotificationRepository.escalateMissedDoses.mockResolvedValue([{ id: 3, type: 'MISSED_DOSE' }]);
+
+      const result = await notificationService.processDoseReminders();
+
+      expect(mockNotificationRepository.renotifyDueReminders).toHaveBeenCalledWith(15, 2);
+      expect(result).toEqual({
+        reminders_acknowledged: 1,
+        reminders_renotified: 1,
+        missed_doses_escalated: 1,
+        notifications: [{ id: 2, type: 'DOSE_DUE' }, { id: 3, type: 'MISSED_DOSE' }]
+      });
+    });
+
+    it('should acknowledge recorded doses before repeating reminders', async () => {
+      const calls = [];
+      mockNotificationRepository.acknowledgeRecordedDoses.mockImplementation(async () => { calls.push('acknowledge'); return []; });
+      mockNotificationRepository.renotifyDueReminders.mockImplementation(async () => { calls.push('renotify'); return []; });
+      mockNotificationRepository.escalateMissedDoses.mockImplementation(async () => { calls.push('escalate'); return []; });
+
+      await notificationService.processDoseReminders();
+
+      expect(calls).toEqual(['acknowledge', 'renotify', 'escalate']);
+    });
+
+    it('should handle repository errors', async () => {
+      mockNotificationRepository.acknowledgeRecordedDoses.mockRejectedValue(new Error('Database error'));
+
+      await expect(notificationService.processDoseReminders())
+        .rejects.toThrow('Failed to process dose reminders: Database error');
     });
   });
 
@@ -0,0 +1,241 @@
+const PatientService = require('../../services/PatientService');
+const PatientRepository = require('../../repositories/PatientRepository');
+const PatientMemberRepository = require('../../repositories/PatientMemberRepository');
+const PatientInvitationRepository = require('../../repositories/PatientInvitationRepository');
+const UserRepository = require('../../repositories/UserRepository');
+const Patient = require('../../models/Patient');
+const PatientMember = require('../../models/PatientMember');
+const PatientInvitation = require('../../models/PatientInvitation');
+const User = require('../../models/User');
+
+// Mock the repositories
+jest.mock('../../repositories/PatientRepository');
+jest.mock('../../repositories/PatientMemberRepository');
+jest.mock('../../repositories/PatientInvitationRepository');
+jest.mock('../../repositories/UserRepository');
+
+// A patient as seen by a member with the given role
+const patientWithRole = (role, data = {}) => {
+  const patient = new Patient({ id: 3, owner_id: 1, name: 'Sam', ...data });
+  patient.role = role;
+  return patient;
+};
+
+describe('PatientService', () => {
+  let patientService;
+  let mockPatientRepository;
+  let mockMemberRepository;
+  let mockInvitationRepository;
+  let mockUserRepository;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    patientService = new PatientService();
+    mockPatientRepository = patientService.patientRepository;
+    mockMemberRepository = patientService.patientMemberRepository;
+    mockInvitationRepository = patientService.patientInvitationRepository;
+    mockUserRepository = patientService.userRepository;
+  });
+
+  describe('getPatientForUser', () => {
+    it('should return patients the user is a member of', async () => {
+      const patient = patientWithRole('viewer');
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patient);
+
+      await expect(patientService.getPatientForUser(3, 2)).resolves.toBe(patient);
+      expect(mockPatientRepository.findByIdForUser).toHaveBeenCalledWith(3, 2);
+    });
+
+    it('should hide patients the user is not a member of', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(null);
+
+      await expect(patientService.getPatientForUser(3, 1)).rejects.toThrow('Patient not found');
+    });
+
+    it('should reject roles without the requested permission', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patientWithRole('caregiver'));
+
+      await expect(patientService.getPatientForUser(3, 2, 'record_doses')).resolves.toBeDefined();
+      await expect(patientService.getPatientForUser(3, 2, 'manage_medications'))
+        .rejects.toThrow('Insufficient permissions');
+    });
+  });
+
+  describe('createPatient', () => {
+    it('should make the user the owner', async () => {
+      mockPatientRepository.create.mockImplementation(async (data) => new Patient({ id: 3, ...data }));
+
+      const patient = await patientService.createPatient(1, { name: 'Sam', owner_id: 99 });
+
+      expect(mockPatientRepository.create).toHaveBeenCalledWith({ name: 'Sam', owner_id: 1 });
+      expect(patient.owner_id).toBe(1);
+    });
+  });
+
+  describe('getOwnPatient', () => {
+    it('should use the first patient the user created', async () => {
+      const own = patientWithRole('owner');
+      mockPatientRepository.findFirstOwnedBy.mockResolvedValue(own);
+
+      const patient = await patientService.getOwnPatient(new User({ id: 1, name: 'Alex' }));
+
+      expect(mockPatientRepository.findFirstOwnedBy).toHaveBeenCalledWith(1);
+      expect(patient).toBe(own);
+      expect(mockPatientRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should create a patient named after a user without one', async () => {
+      mockPatientRepository.findFirstOwnedBy.mockResolvedValue(null);
+      mockPatientRepository.create.mockImplementation(async (data) => new Patient({ id: 4, ...data }));
+
+      const patient = await patientService.getOwnPatient(new User({ id: 1, name: 'Alex' }));
+
+      expect(mockPatientRepository.create).toHaveBeenCalledWith({ name: 'Alex', owner_id: 1 });
+      expect(patient.id).toBe(4);
+    });
+  });
+
+  describe('deletePatient', () => {
+    it('should not delete patients the user cannot access', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(null);
+
+      await expect(patientService.deletePatient(3, 1)).rejects.toThrow('Patient not found');
+      expect(mockPatientRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it('should only let owners delete patients', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patientWithRole('caregiver'));
+
+      await expect(patientService.deletePatient(3, 2)).rejects.toThrow('Insufficient permissions');
+      expect(mockPatientRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it('should delete owned patients', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patientWithRole('owner'));
+      mockPatientRepository.delete.mockResolvedValue(true);
+
+      await expect(patientService.deletePatient(3, 1)).resolves.toBe(true);
+      expect(mockPatientRepository.delete).toHaveBeenCalledWith(3);
+    });
+  });
+
+  describe('members', () => {
+    it('should not let owners change the creator\'s role', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patientWithRole('owner'));
+
+      await expect(patientService.updateMemberRole(3, 2, 1, 'viewer'))
+        .rejects.toThrow('The patient creator must remain an owner');
+      expect(mockMemberRepository.updateRole).not.toHaveBeenCalled();
+    });
+
+    it('should change another member\'s role', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patientWithRole('owner'));
+      mockMemberRepository.updateRole.mockResolvedValue(new PatientMember({ patient_id: 3, user_id: 5, role: 'viewer' }));
+
+      const member = await patientService.updateMemberRole(3, 1, 5, 'viewer');
+
+      expect(mockMemberRepository.updateRole).toHaveBeenCalledWith(3, 5, 'viewer');
+      expect(member.role).toBe('viewer');
+    });
+
+    it('should let any member leave a patient', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patientWithRole('viewer'));
+      mockMemberRepository.delete.mockResolvedValue(true);
+
+      await patientService.removeMember(3, 5, 5);
+
+      expect(mockPatientRepository.findByIdForUser).toHaveBeenCalledWith(3, 5);
+      expect(mockMemberRepository.delete).toHaveBeenCalledWith(3, 5);
+    });
+
+    it('should not let viewers remove other members', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patientWithRole('viewer'));
+
+      await expect(patientService.removeMember(3, 5, 6)).rejects.toThrow('Insufficient permissions');
+      expect(mockMemberRepository.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('invitations', () => {
+    const user = new User({ id: 5, email: 'Kim@Example.com', name: 'Kim' });
+
+    it('should invite by email with the inviter recorded', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patientWithRole('owner'));
+      mockUserRepository.findByEmail.mockResolvedValue(null);
+      mockInvitationRepository.create.mockImplementation(async (data) => new PatientInvitation({ id: 9, ...data }));
+
+      const invitation = await patientService.inviteMember(3, 1, { email: 'kim@example.com', role: 'caregiver' });
+
+      expect(mockInvitationRepository.create).toHaveBeenCalledWith({
+        patient_id: 3,
+        email: 'kim@example.com',
+        role: 'caregiver',
+        invited_by: 1
+      });
+      expect(invitation.id).toBe(9);
+    });
+
+    it('should not invite existing members', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patientWithRole('owner'));
+      mockUserRepository.findByEmail.mockResolvedValue(user);
+      mockMemberRepository.findByPatientAndUser.mockResolvedValue(new PatientMember({ patient_id: 3, user_id: 5, role: 'viewer' }));
+
+      await expect(patientService.inviteMember(3, 1, { email: 'kim@example.com', role: 'caregiver' }))
+        .rejects.toThrow('already has access');
+      expect(mockInvitationRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should only let owners invite', async () => {
+      mockPatientRepository.findByIdForUser.mockResolvedValue(patientWithRole('caregiver'));
+
+      await expect(patientService.inviteMember(3, 2, { email: 'kim@example.com', role: 'viewer' }))
+        .rejects.toThrow('Insufficient permissions');
+    });
+
+    it('should accept invitations addressed to the user', async () => {
+      mockInvitationRepository.findById.mockResolvedValue(
+        new PatientInvitation({ id: 9, patient_id: 3, email: 'kim@example.com', role: 'caregiver' })
+      );
+      mockInvitationRepository.accept.mockResolvedValue({ id: 9, status: 'accepted' });
+
+      await patientService.acceptInvitation(9, user);
+
+      expect(mockInvitationRepository.accept).toHaveBeenCalledWith(9, 5);
+    });
+
+    it('should treat invitations for other emails as missing', async () => {
+      mockInvitationRepository.findById.mockResolvedValue(
+        new PatientInvitation({ id: 9, patient_id: 3, email: 'someone@example.com', role: 'owner' })
+      );
+
+      await expect(patientService.acceptInvitation(9, user)).rejects.toThrow('Invitation not found');
+      expect(mockInvitationRepository.accept).not.toHaveBeenCalled();
+    });
+
+    it('should not accept invitations that were already answered', async () => {
+      mockInvitationRepository.findById.mockResolvedValue(
+        new PatientInvitation({ id: 9, patient_id: 3, email: 'kim@example.com', role: 'owner', status: 'revoked' })
+      );
+
+      await expect(patientService.acceptInvitation(9, user)).rejects.toThrow('Invitation not found');
+    });
+  });
+
+  describe('canManageSettings', () => {
+    it('should allow owners and users without shared patients', async () => {
+      mockMemberRepository.findRolesByUserId
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(['caregiver', 'owner']);
+
+      await expect(patientService.canManageSettings(1)).resolves.toBe(true);
+      await expect(patientService.canManageSettings(1)).resolves.toBe(true);
+    });
+
+    it('should not allow caregivers and viewers', async () => {
+      mockMemberRepository.findRolesByUserId.mockResolvedValue(['caregiver', 'viewer']);
+
+      await expect(patientService.canManageSettings(2)).resolves.toBe(false);
+    });
+  });
+});
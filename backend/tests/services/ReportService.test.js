@@ -0,0 +1,72 @@
+const ReportService = require('../../services/ReportService');
+
+// Mock the repositories
+jest.mock('../../repositories/RefillRepository');
+
+describe('ReportService', () => {
+  let reportService;
+  let mockRefillRepository;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    reportService = new ReportService();
+    mockRefillRepository = reportService.refillRepository;
+    mockRefillRepository.getSpendByMonth.mockResolvedValue([]);
+    mockRefillRepository.getSpendByMedication.mockResolvedValue([]);
+  });
+
+  describe('getSpendReport', () => {
+    test('should report every month of the range with its spend', async () => {
+      mockRefillRepository.getSpendByMonth.mockResolvedValue([
+        { month: '2023-12', total_cost: 12.5, refill_count: 1, unpriced_count: 0 },
+        { month: '2024-02', total_cost: 30.25, refill_count: 3, unpriced_count: 1 }
+      ]);
+      mockRefillRepository.getSpendByMedication.mockResolvedValue([
+        { medication_id: 3, medication_name: 'Aspirin', total_cost: 42.75, refill_count: 4, unpriced_count: 1 }
+      ]);
+
+      const result = await reportService.getSpendReport({ start_date: '2023-12-15', end_date: '2024-02-10', patient_id: 2 });
+
+      expect(mockRefillRepository.getSpendByMonth).toHaveBeenCalledWith({
+        start_date: '2023-12-15',
+        end_date: '2024-02-10',
+        patient_id: 2,
+        accessible_by: null
+      });
+      expect(result.by_month.map(entry => [entry.month, entry.total_cost])).toEqual([
+        ['2023-12', 12.5],
+        ['2024-01', 0],
+        ['2024-02', 30.25]
+      ]);
+      expect(result.total_cost).toBe(42.75);
+      expect(result.average_monthly_cost).toBe(14.25);
+      expect(result.refill_count).toBe(4);
+      expect(result.unpriced_count).toBe(1);
+      expect(result.by_medication[0].medication_name).toBe('Aspirin');
+    });
+
+    test('should cover the last twelve months by default', async () => {
+      const result = await reportService.getSpendReport({ end_date: '2024-03-20' });
+
+      expect(result.start_date).toBe('2023-04-01');
+      expect(result.by_month).toHaveLength(12);
+      expect(result.by_month[11].month).toBe('2024-03');
+      expect(result.total_cost).toBe(0);
+    });
+
+    test('should reject reversed or overlong ranges', async () => {
+      await expect(reportService.getSpendReport({ start_date: '2024-03-01', end_date: '2024-02-01' }))
+        .rejects.toThrow('Validation failed: Start date must be on or before the end date');
+      await expect(reportService.getSpendReport({ start_date: '2020-01-01', end_date: '2024-02-01' }))
+        .rejects.toThrow('Validation failed: Spend reports cover at most 36 months');
+      expect(mockRefillRepository.getSpendByMonth).not.toHaveBeenCalled();
+    });
+
+    test('should wrap repository errors', async () => {
+      mockRefillRepository.getSpendByMonth.mockRejectedValue(new Error('connection lost'));
+
+      await expect(reportService.getSpendReport({ end_date: '2024-03-20' }))
+        .rejects.toThrow('Failed to get spend report: connection lost');
+    });
+  });
+});
@@ -2,20 +2,28 @@ const ScheduleService = require('../../services/ScheduleService');
 const MedicationRepository = require('../../repositories/MedicationRepository');
 const DoseRepository = require('../../repositories/DoseRepository');
 const SkipDateRepository = require('../../repositories/SkipDateRepository');
+const DoseEventRepository = require('../../repositories/DoseEventRepository');
 const Medication = require('../../models/Medication');
 const MedicineDose = require('../../models/MedicineDose');
 const SkipDate = require('../../models/SkipDate');
+const Frequency = require('../../models/Frequency');
+const DoseEvent = require('../../models/DoseEvent');
+const DosePhase = require('../../models/DosePhase');
 
 // Mock the repositories
 jest.mock('../../repositories/MedicationRepository');
 jest.mock('../../repositories/DoseRepository');
 jest.mock('../../repositories/SkipDateRepository');
+jest.mock('../../repositories/DoseEventRepository');
+jest.mock('../../repositories/DosePhaseRepository');
 
 describe('ScheduleService', () => {
   let scheduleService;
   let mockMedicationRepository;
   let mockDoseRepository;
   let mockSkipDateRepository;
+  let mockDoseEventRepository;
+  let mockDosePhaseRepository;
 
   beforeEach(() => {
     // Clear all mocks
@@ -28,6 +36,10 @@ describe('ScheduleService', () => {
     mockMedicationRepository = scheduleService.medicationRepository;
     mockDoseRepository = scheduleService.doseRepository;
     mockSkipDateRepository = scheduleService.skipDateRepository;
+    mockDoseEventRepository = scheduleService.doseEventRepository;
+    mockDosePhaseRepository = scheduleService.dosePhaseRepository;
+    mockDosePhaseRepository.findByMedicationIds.mockResolvedValue([]);
+    mockDosePhaseRepository.findByMedicationId.mockResolvedValue([]);
   });
 
   describe('generateDailySchedule', () => {
@@ -38,6 +50,7 @@ describe('ScheduleService', () => {
       mockMedicationRepository.findActiveByDate.mockResolvedValue([]);
       mockDoseRepository.findByMedicationIds.mockResolvedValue([]);
       mockSkipDateRepository.findByDate.mockResolvedValue([]);
+      mockDoseEventRepository.findByDate.mockResolvedValue([]);
     });
 
     test('should generate empty schedule when no active medications', async () => {
@@ -52,11 +65,27 @@ describe('ScheduleService', () => {
           evening: [],
           night: []
         },
+        as_needed: [],
         total_medications: 0,
-        total_doses: 0
+        total_doses: 0,
+        completed_doses: 0,
+        pending_doses: 0,
+        skipped_medications: []
       });
 
-      expect(mockMedicationRepository.findActiveByDate).toHaveBeenCalledWith(testDate);
+      expect(mockMedicationRepository.findActiveByDate).toHaveBeenCalledWith(testDate, null, null);
+    });
+
+    test('should limit the schedule to the requested patient', async () => {
+      await scheduleService.generateDailySchedule(testDate, 3);
+
+      expect(mockMedicationRepository.findActiveByDate).toHaveBeenCalledWith(testDate, 3, null);
+    });
+
+    test('should limit the schedule to the patients a user can access', async () => {
+      await scheduleService.generateDailySchedule(testDate, null, 7);
+
+      expect(mockMedicationRepository.findActiveByDate).toHaveBeenCalledWith(testDate, null, 7);
     });
 
     test('should throw error for invalid date format', async () => {
@@ -116,6 +145,103 @@ describe('ScheduleService', () => {
       });
     });
 
+    test('should use the doses of the tapering phase covering the date', async () => {
+      const taperMedication = new Medication({
+        id: 2,
+        name: 'Prednisone',
+        strength: '10mg',
+        start_date: '2024-01-10',
+        total_tablets: 40
+      });
+
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([taperMedication]);
+      mockDoseRepository.findByMedicationIds.mockResolvedValue([
+        new MedicineDose({ id: 10, medicine_id: 2, dose_amount: 4, time_of_day: '08:00', phase_id: 1 }),
+        new MedicineDose({ id: 11, medicine_id: 2, dose_amount: 3, time_of_day: '08:00', phase_id: 2 }),
+        new MedicineDose({ id: 12, medicine_id: 2, dose_amount: 1, time_of_day: '08:00' })
+      ]);
+      mockDosePhaseRepository.findByMedicationIds.mockResolvedValue([
+        new DosePhase({ id: 1, medicine_id: 2, start_date: '2024-01-10', end_date: '2024-01-12', label: '40mg' }),
+        new DosePhase({ id: 2, medicine_id: 2, start_date: '2024-01-13', end_date: '2024-01-15', label: '30mg' })
+      ]);
+
+      const result = await scheduleService.generateDailySchedule(testDate);
+
+      expect(result.total_doses).toBe(1);
+      expect(result.schedule.morning[0]).toMatchObject({
+        dose_id: 11,
+        dose_amount: 3,
+        phase_id: 2,
+        phase_label: '30mg'
+      });
+
+      // After the last phase the unphased doses apply again
+      const after = await scheduleService.generateDailySchedule('2024-01-16');
+      expect(after.schedule.morning[0]).toMatchObject({ dose_id: 12, phase_id: null });
+    });
+
+    test('should leave out medications in the off part of their cycle', async () => {
+      const cycleMedication = new Medication({
+        id: 3,
+        name: 'Capecitabine',
+        start_date: '2024-01-01',
+        total_tablets: 60,
+        cycle_days_on: 14,
+        cycle_days_off: 7
+      });
+
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([cycleMedication]);
+      mockDoseRepository.findByMedicationIds.mockResolvedValue([
+        new MedicineDose({ id: 20, medicine_id: 3, dose_amount: 2, time_of_day: '08:00' })
+      ]);
+
+      // Day 15 of the cycle is the first day off
+      const offDay = await scheduleService.generateDailySchedule(testDate);
+      expect(offDay.total_doses).toBe(0);
+
+      const onDay = await scheduleService.generateDailySchedule('2024-01-14');
+      expect(onDay.total_doses).toBe(1);
+
+      // Skip dates still apply on days the cycle is on
+      mockSkipDateRepository.findByDate.mockResolvedValue([{ medicine_id: 3, skip_date: '2024-01-14' }]);
+      const skipped = await scheduleService.generateDailySchedule('2024-01-14');
+      expect(skipped.total_doses).toBe(0);
+    });
+
+    test('should list as-needed medications with their next allowed dose', async () => {
+      const prnMedication = new Medication({
+        id: 4,
+        name: 'Ibuprofen',
+        start_date: '2024-01-01',
+        total_tablets: 20,
+        prn_min_interval_hours: 6
+      });
+      prnMedication.frequency = new Frequency({ name: 'As needed', recurrence_type: 'as_needed' });
+      const lastDose = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([prnMedication]);
+      mockDoseRepository.findByMedicationIds.mockResolvedValue([
+        new MedicineDose({ id: 7, medicine_id: 4, dose_amount: 2, time_of_day: '08:00', instructions: 'For pain' })
+      ]);
+      mockDoseEventRepository.findGivenSince.mockResolvedValue([
+        new DoseEvent({ medicine_id: 4, status: 'given', dose_amount: 2, given_at: lastDose.toISOString() })
+      ]);
+
+      const result = await scheduleService.generateDailySchedule(testDate);
+
+      expect(result.total_doses).toBe(0);
+      expect(result.as_needed).toHaveLength(1);
+      expect(result.as_needed[0]).toMatchObject({
+        medication_id: 4,
+        medication_name: 'Ibuprofen',
+        dose_amount: 2,
+        instructions: 'For pain',
+        taken_last_24h: 2,
+        can_take: false,
+        next_allowed_at: new Date(lastDose.getTime() + 6 * 60 * 60 * 1000).toISOString()
+      });
+    });
+
     test('should exclude medications with skip dates', async () => {
       const mockMedication = new Medication({
         id: 1,
@@ -182,6 +308,105 @@ describe('ScheduleService', () => {
       expect(result.schedule.evening).toHaveLength(1);
       expect(result.schedule.night).toHaveLength(1);
     });
+
+    test('should exclude medications whose frequency is not due on the date', async () => {
+      // testDate (2024-01-15) is a Monday
+      const weeklyMedication = new Medication({
+        id: 1,
+        name: 'Weekly Medicine',
+        start_date: '2024-01-03',
+        total_tablets: 10
+      });
+      weeklyMedication.frequency = new Frequency({ name: 'Weekly', recurrence_type: 'weekly' });
+
+      const mondayMedication = new Medication({
+        id: 2,
+        name: 'Monday Medicine',
+        start_date: '2024-01-01',
+        total_tablets: 10
+      });
+      mondayMedication.frequency = new Frequency({ name: 'Mondays', recurrence_type: 'weekly', weekdays: [1] });
+
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([weeklyMedication, mondayMedication]);
+      mockDoseRepository.findByMedicationIds.mockResolvedValue([
+        new MedicineDose({ id: 1, medicine_id: 1, dose_amount: 1, time_of_day: '08:00' }),
+        new MedicineDose({ id: 2, medicine_id: 2, dose_amount: 1, time_of_day: '08:00' })
+      ]);
+
+      const result = await scheduleService.generateDailySchedule(testDate);
+
+      expect(result.total_medications).toBe(1);
+      expect(result.medications[0].id).toBe(2);
+      expect(result.skipped_medications).toHaveLength(0);
+    });
+
+    test('should expand hourly frequencies into multiple slots', async () => {
+      const medication = new Medication({
+        id: 1,
+        name: 'Antibiotic',
+        start_date: '2024-01-01',
+        total_tablets: 2
+      });
+      medication.frequency = new Frequency({ name: 'Every 8 hours', recurrence_type: 'hourly', interval_hours: 8 });
+
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([medication]);
+      mockDoseRepository.findByMedicationIds.mockResolvedValue([
+        new MedicineDose({ id: 1, medicine_id: 1, dose_amount: 1, time_of_day: '06:00' })
+      ]);
+
+      const result = await scheduleService.generateDailySchedule(testDate);
+
+      expect(result.total_doses).toBe(3);
+      expect(result.schedule.morning[0].time_of_day).toBe('06:00');
+      expect(result.schedule.afternoon[0].time_of_day).toBe('14:00');
+      expect(result.schedule.night[0].time_of_day).toBe('22:00');
+      expect(result.schedule.night[0].is_low_inventory).toBe(true);
+    });
+
+    test('should report the recorded status of each slot', async () => {
+      const medication = new Medication({
+        id: 1,
+        name: 'Antibiotic',
+        start_date: '2024-01-01',
+        total_tablets: 20
+      });
+      medication.frequency = new Frequency({ name: 'Every 8 hours', recurrence_type: 'hourly', interval_hours: 8 });
+
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([medication]);
+      mockDoseRepository.findByMedicationIds.mockResolvedValue([
+        new MedicineDose({ id: 1, medicine_id: 1, dose_amount: 1, time_of_day: '06:00:00' })
+      ]);
+      mockDoseEventRepository.findByDate.mockResolvedValue([
+        new DoseEvent({
+          id: 10,
+          medicine_id: 1,
+          medicine_dose_id: 1,
+          scheduled_date: testDate,
+          scheduled_time: '06:00:00',
+          status: 'given',
+          given_at: new Date('2024-01-15T06:05:00')
+        }),
+        new DoseEvent({
+          id: 11,
+          medicine_id: 1,
+          medicine_dose_id: 1,
+          scheduled_date: testDate,
+          scheduled_time: '14:00:00',
+          status: 'refused'
+        })
+      ]);
+
+      const result = await scheduleService.generateDailySchedule(testDate);
+
+      expect(mockDoseEventRepository.findByDate).toHaveBeenCalledWith(testDate, [1]);
+      expect(result.schedule.morning[0].status).toBe('given');
+      expect(result.schedule.morning[0].dose_event.id).toBe(10);
+      expect(result.schedule.afternoon[0].status).toBe('refused');
+      expect(result.schedule.night[0].status).toBe('pending');
+      expect(result.schedule.night[0].dose_event).toBeNull();
+      expect(result.completed_doses).toBe(1);
+      expect(result.pending_doses).toBe(1);
+    });
   });
 
   describe('generateMultiDaySchedule', () => {
@@ -264,6 +489,28 @@ describe('ScheduleService', () => {
       expect(result.skip_dates).toEqual(['2024-01-03', '2024-01-07']);
     });
 
+    test('should leave cycle-off days out of the active days', async () => {
+      mockMedicationRepository.findById.mockResolvedValue(new Medication({
+        id: 1,
+        name: 'Test Medicine',
+        start_date: '2024-01-01',
+        end_date: '2024-01-14',
+        cycle_days_on: 5,
+        cycle_days_off: 2
+      }));
+      // One skip date on a day on, one on a day off
+      mockSkipDateRepository.findByDateRange.mockResolvedValue([
+        new SkipDate({ id: 1, medicine_id: 1, skip_date: '2024-01-03' }),
+        new SkipDate({ id: 2, medicine_id: 1, skip_date: '2024-01-06' })
+      ]);
+
+      const result = await scheduleService.calculateActiveDays(1);
+
+      expect(result.total_days).toBe(14);
+      expect(result.cycle_off_days).toBe(4);
+      expect(result.active_days).toBe(9);
+    });
+
     test('should throw error for non-existent medication', async () => {
       mockMedicationRepository.findById.mockResolvedValue(null);
 
@@ -340,6 +587,37 @@ describe('ScheduleService', () => {
 
       expect(result.date).toBe('2024-01-16');
     });
+
+    test('should use the wall-clock time in the medication timezone', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-15T22:00:00Z'));
+
+      const mockDoses = [
+        new MedicineDose({ id: 1, medicine_id: 1, dose_amount: 1, time_of_day: '08:00' }),
+        new MedicineDose({ id: 2, medicine_id: 1, dose_amount: 1, time_of_day: '20:00' })
+      ];
+      mockSkipDateRepository.shouldSkipOnDate.mockResolvedValue(false);
+      mockDoseRepository.findByMedicationId.mockResolvedValue(mockDoses);
+
+      // 17:00 in New York: the evening dose is still to come
+      mockMedicationRepository.findById.mockResolvedValue(Object.assign(
+        new Medication({ id: 1, name: 'Test Medicine', start_date: '2024-01-01' }),
+        { timezone: 'America/New_York' }
+      ));
+      const newYork = await scheduleService.getNextScheduledDose(1);
+
+      // 07:00 the next morning in Tokyo: the morning dose is next
+      mockMedicationRepository.findById.mockResolvedValue(Object.assign(
+        new Medication({ id: 1, name: 'Test Medicine', start_date: '2024-01-01' }),
+        { timezone: 'Asia/Tokyo' }
+      ));
+      const tokyo = await scheduleService.getNextScheduledDose(1);
+
+      jest.useRealTimers();
+
+      expect(newYork).toMatchObject({ date: '2024-01-15', time: '20:00', scheduled_at: '2024-01-16T01:00:00.000Z' });
+      expect(tokyo).toMatchObject({ date: '2024-01-16', time: '08:00', scheduled_at: '2024-01-15T23:00:00.000Z' });
+    });
   });
 
   describe('groupScheduleByTimePeriod', () => {
@@ -429,6 +707,15 @@ describe('ScheduleService', () => {
         skipped_count: 1
       });
     });
+
+    test('should summarize a day without active medications', async () => {
+      mockMedicationRepository.findActiveByDate.mockResolvedValue([]);
+
+      const result = await scheduleService.getScheduleSummary('2024-01-15');
+
+      expect(result.total_medications).toBe(0);
+      expect(result.skipped_count).toBe(0);
+    });
   });
 
   describe('validateScheduleParams', () => {
@@ -537,5 +824,26 @@ describe('ScheduleService', () => {
 
       expect(result).toBeNull();
     });
+
+    test('should skip dates on which the frequency is not due', async () => {
+      const mockMedication = new Medication({
+        id: 1,
+        name: 'Monthly Medicine',
+        start_date: '2024-01-01',
+        end_date: null
+      });
+      mockMedication.frequency = new Frequency({ name: 'Monthly', recurrence_type: 'monthly', day_of_month: 1 });
+
+      mockMedicationRepository.findById.mockResolvedValue(mockMedication);
+      mockDoseRepository.findByMedicationId.mockResolvedValue([
+        new MedicineDose({ id: 1, medicine_id: 1, dose_amount: 1, time_of_day: '08:00' })
+      ]);
+      mockSkipDateRepository.shouldSkipOnDate.mockResolvedValue(false);
+
+      const result = await scheduleService.findNextNonSkipDate(1, new Date('2024-01-15'));
+
+      expect(result.date).toBe('2024-02-01');
+      expect(mockSkipDateRepository.shouldSkipOnDate).toHaveBeenCalledTimes(1);
+    });
   });
 });
\ No newline at end of file
@@ -78,6 +78,12 @@ self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
 
+    // Let the browser handle the Server-Sent Events stream; it never completes, so it
+    // cannot be cached, and an offline response would stop EventSource from reconnecting
+    if (url.pathname === '/api/events') {
+        return;
+    }
+
     // Skip non-GET requests for caching
     if (request.method !== 'GET') {
         // For POST/PUT/DELETE requests, try network first
@@ -398,4 +404,40 @@ self.addEventListener('sync', (event) => {
     }
 });
 
+// Push event - show notifications sent by the server's web push channel
+self.addEventListener('push', (event) => {
+    let payload = {};
+    try {
+        payload = event.data ? event.data.json() : {};
+    } catch {
+        // Not JSON: show the text as it is
+        payload = { body: event.data.text() };
+    }
+
+    const title = payload.title || 'Medication reminder';
+    event.waitUntil(
+        self.registration.showNotification(title, {
+            body: payload.body || '',
+            tag: payload.tag,
+            data: { url: payload.url || '/' },
+        })
+    );
+});
+
+// Notification click - focus an open window of the app or open a new one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data?.url || '/';
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const existing = windows.find((client) => 'focus' in client);
+            if (existing) {
+                return existing.focus();
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
+
 console.log('Service Worker: Script loaded');
\ No newline at end of file
@@ -6,15 +6,22 @@ import {
   Navigate,
 } from "react-router-dom";
 import Layout from "./components/Layout";
+import RequireAuth from "./components/RequireAuth";
 import ErrorBoundary from "./components/ErrorBoundary";
 import OfflineIndicator from "./components/OfflineIndicator";
 import Dashboard from "./pages/Dashboard";
 import Manage from "./pages/Manage";
 import Settings from "./pages/Settings";
+import ShoppingList from "./pages/ShoppingList";
+import StockTake from "./pages/StockTake";
+import Reports from "./pages/Reports";
 import MedicationNew from "./pages/MedicationNew";
 import MedicationEdit from "./pages/MedicationEdit";
+import Login from "./pages/Login";
 import { AppStateProvider } from "./contexts/AppStateContext";
 import { ThemeProvider } from "./contexts/ThemeContext";
+import { AuthProvider } from "./contexts/AuthContext";
+import { PatientProvider } from "./contexts/PatientContext";
 import { initializeServiceWorker } from "./utils/serviceWorker";
 import dataSynchronizer, { syncConfig } from "./utils/dataSync";
 import { cleanup } from "./utils/localStorage";
@@ -112,44 +119,59 @@ function App() {
   return (
     <ErrorBoundary onError={handleError}>
       <ThemeProvider>
-        <AppStateProvider>
-          <Router>
-            <OfflineIndicator />
-
-            {/* Update notification */}
-            {updateAvailable && (
-              <div className="fixed top-0 left-0 right-0 bg-blue-600 text-white p-3 text-center z-50">
-                <span className="mr-4">
-                  A new version of the app is available!
-                </span>
-                <button
-                  onClick={handleUpdateApp}
-                  className="bg-white text-blue-600 px-3 py-1 rounded text-sm font-medium hover:bg-gray-100"
-                >
-                  Update Now
-                </button>
-                <button
-                  onClick={() => setUpdateAvailable(false)}
-                  className="ml-2 text-blue-200 hover:text-white"
-                >
-                  ×
-                </button>
-              </div>
-            )}
-
-            <Routes>
-              <Route path="/" element={<Layout />}>
-                <Route index element={<Dashboard />} />
-                <Route path="manage" element={<Manage />} />
-                <Route path="manage/new" element={<MedicationNew />} />
-                <Route path="manage/edit/:id" element={<MedicationEdit />} />
-                <Route path="settings" element={<Settings />} />
-                {/* Catch all route - redirect to dashboard */}
-                <Route path="*" element={<Navigate to="/" replace />} />
-              </Route>
-            </Routes>
-          </Router>
-        </AppStateProvider>
+        <AuthProvider>
+          <PatientProvider>
+            <AppStateProvider>
+              <Router>
+                <OfflineIndicator />
+
+                {/* Update notification */}
+                {updateAvailable && (
+                  <div className="fixed top-0 left-0 right-0 bg-blue-600 text-white p-3 text-center z-50">
+                    <span className="mr-4">
+                      A new version of the app is available!
+                    </span>
+                    <button
+                      onClick={handleUpdateApp}
+                      className="bg-white text-blue-600 px-3 py-1 rounded text-sm font-medium hover:bg-gray-100"
+                    >
+                      Update Now
+                    </button>
+                    <button
+                      onClick={() => setUpdateAvailable(false)}
+                      className="ml-2 text-blue-200 hover:text-white"
+                    >
+                      ×
+                    </button>
+                  </div>
+                )}
+
+                <Routes>
+                  <Route path="/login" element={<Login />} />
+                  <Route
+                    path="/"
+                    element={
+                      <RequireAuth>
+                        <Layout />
+                      </RequireAuth>
+                    }
+                  >
+                    <Route index element={<Dashboard />} />
+                    <Route path="manage" element={<Manage />} />
+                    <Route path="manage/new" element={<MedicationNew />} />
+                    <Route path="manage/edit/:id" element={<MedicationEdit />} />
+                    <Route path="shopping-list" element={<ShoppingList />} />
+                    <Route path="stock-take" element={<StockTake />} />
+                    <Route path="reports" element={<Reports />} />
+                    <Route path="settings" element={<Settings />} />
+                    {/* Catch all route - redirect to dashboard */}
+                    <Route path="*" element={<Navigate to="/" replace />} />
+                  </Route>
+                </Routes>
+              </Router>
+            </AppStateProvider>
+          </PatientProvider>
+        </AuthProvider>
       </ThemeProvider>
     </ErrorBoundary>
   );
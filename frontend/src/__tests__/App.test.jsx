@@ -1,7 +1,32 @@
 import { render, screen, fireEvent } from "@testing-library/react";
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi } from "vitest";
 import App from "../App";
 
+// Mock the auth context with a signed-in user
+vi.mock("../contexts/AuthContext", () => ({
+  AuthProvider: ({ children }) => children,
+}));
+vi.mock("../hooks/useAuth", () => ({
+  useAuth: () => ({
+    user: { id: 1, name: "Test User", email: "test@example.com" },
+    isAuthenticated: true,
+    isLoading: false,
+    logout: vi.fn(),
+  }),
+}));
+
+// Mock the patient context with no patient profiles
+vi.mock("../contexts/PatientContext", () => ({
+  PatientProvider: ({ children }) => children,
+}));
+vi.mock("../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [],
+    selectedPatientId: null,
+    selectPatient: vi.fn(),
+  }),
+}));
+
 // Mock the page components to avoid complex dependencies
 vi.mock("../pages/Dashboard", () => ({
   default: () => <div>Dashboard Page</div>,
@@ -5,6 +5,25 @@ import App from "../App";
 import Layout from "../components/Layout";
 import Navigation from "../components/Navigation";
 
+// Mock the auth context with a signed-in user
+vi.mock("../hooks/useAuth", () => ({
+  useAuth: () => ({
+    user: { id: 1, name: "Test User", email: "test@example.com" },
+    isAuthenticated: true,
+    isLoading: false,
+    logout: vi.fn(),
+  }),
+}));
+
+// Mock the patient context with no patient profiles
+vi.mock("../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [],
+    selectedPatientId: null,
+    selectPatient: vi.fn(),
+  }),
+}));
+
 // Mock the pages to avoid complex dependencies
 vi.mock("../pages/Dashboard", () => ({
   default: () => <div data-testid="dashboard-page">Dashboard Page</div>,
@@ -0,0 +1,153 @@
+import { renderHook, act } from '@testing-library/react';
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { useServerEvents } from '../../hooks/useServerEvents';
+
+// Minimal EventSource the tests drive by hand
+class FakeEventSource {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSED = 2;
+    static instances = [];
+
+    constructor(url, options) {
+        this.url = url;
+        this.options = options;
+        this.readyState = FakeEventSource.CONNECTING;
+        this.listeners = {};
+        this.close = vi.fn(() => {
+            this.readyState = FakeEventSource.CLOSED;
+        });
+        FakeEventSource.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    open() {
+        this.readyState = FakeEventSource.OPEN;
+        this.onopen?.();
+    }
+
+    emit(type, data) {
+        this.listeners[type]?.({ data: JSON.stringify(data) });
+    }
+
+    fail(readyState) {
+        this.readyState = readyState;
+        this.onerror?.();
+    }
+}
+
+const latestSource = () => FakeEventSource.instances[FakeEventSource.instances.length - 1];
+
+describe('useServerEvents', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        FakeEventSource.instances = [];
+        window.EventSource = FakeEventSource;
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        delete window.EventSource;
+    });
+
+    it('should share one connection and pass events to the handlers', () => {
+        const onNotification = vi.fn();
+        const onDoseGiven = vi.fn();
+
+        const first = renderHook(() => useServerEvents({ notification: onNotification }));
+        const second = renderHook(() => useServerEvents({ dose_given: onDoseGiven }));
+
+        expect(FakeEventSource.instances).toHaveLength(1);
+        expect(latestSource().url).toBe('/api/events');
+        expect(latestSource().options).toEqual({ withCredentials: true });
+
+        act(() => {
+            latestSource().open();
+            latestSource().emit('notification', { id: 10, type: 'DOSE_DUE' });
+            latestSource().emit('dose_given', { medicine_id: 7, quantity_change: -1 });
+        });
+
+        expect(onNotification).toHaveBeenCalledWith({ id: 10, type: 'DOSE_DUE' });
+        expect(onDoseGiven).toHaveBeenCalledWith({ medicine_id: 7, quantity_change: -1 });
+        expect(first.result.current.connected).toBe(true);
+
+        first.unmount();
+        expect(latestSource().close).not.toHaveBeenCalled();
+        second.unmount();
+        expect(latestSource().close).toHaveBeenCalled();
+    });
+
+    it('should poll only while the stream is down', () => {
+        const onPoll = vi.fn();
+        const { unmount } = renderHook(() => useServerEvents({}, { onPoll, pollInterval: 1000 }));
+
+        act(() => {
+            vi.advanceTimersByTime(1000);
+        });
+        expect(onPoll).toHaveBeenCalledTimes(1);
+
+        act(() => {
+            latestSource().open();
+        });
+        act(() => {
+            vi.advanceTimersByTime(5000);
+        });
+        expect(onPoll).toHaveBeenCalledTimes(1);
+
+        unmount();
+    });
+
+    it('should catch up after reconnecting', () => {
+        const onPoll = vi.fn();
+        const { unmount } = renderHook(() => useServerEvents({}, { onPoll, pollInterval: 60000 }));
+
+        act(() => {
+            latestSource().open();
+        });
+        expect(onPoll).not.toHaveBeenCalled();
+
+        // The browser reconnects a dropped stream by itself
+        act(() => {
+            latestSource().fail(FakeEventSource.CONNECTING);
+        });
+        act(() => {
+            latestSource().open();
+        });
+        expect(onPoll).toHaveBeenCalledTimes(1);
+
+        unmount();
+    });
+
+    it('should reopen a stream the server closed', () => {
+        const { unmount } = renderHook(() => useServerEvents({}));
+
+        act(() => {
+            latestSource().fail(FakeEventSource.CLOSED);
+        });
+        expect(FakeEventSource.instances).toHaveLength(1);
+
+        act(() => {
+            vi.advanceTimersByTime(5000);
+        });
+        expect(FakeEventSource.instances).toHaveLength(2);
+
+        unmount();
+    });
+
+    it('should poll when the browser has no EventSource', () => {
+        delete window.EventSource;
+        const onPoll = vi.fn();
+        const { result, unmount } = renderHook(() => useServerEvents({}, { onPoll, pollInterval: 1000 }));
+
+        act(() => {
+            vi.advanceTimersByTime(3000);
+        });
+
+        expect(result.current.connected).toBe(false);
+        expect(onPoll).toHaveBeenCalledTimes(3);
+        unmount();
+    });
+});
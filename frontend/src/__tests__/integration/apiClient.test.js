@@ -38,6 +38,7 @@ describe('API Client Integration Tests', () => {
             const result = await apiClient.get('/medications');
 
             expect(fetch).toHaveBeenCalledWith('/api/medications', {
+                credentials: 'include',
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
@@ -59,6 +60,7 @@ describe('API Client Integration Tests', () => {
             const result = await apiClient.post('/medications', postData);
 
             expect(fetch).toHaveBeenCalledWith('/api/medications', {
+                credentials: 'include',
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -246,6 +248,7 @@ describe('API Client Integration Tests', () => {
             await medicationApi.create(medicationData);
 
             expect(fetch).toHaveBeenCalledWith('/api/medications', {
+                credentials: 'include',
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -267,6 +270,7 @@ describe('API Client Integration Tests', () => {
             await medicationApi.markDoseGiven(1, doseData);
 
             expect(fetch).toHaveBeenCalledWith('/api/medications/1/mark-dose-given', {
+                credentials: 'include',
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -288,6 +292,7 @@ describe('API Client Integration Tests', () => {
             await medicationApi.updateInventory(1, inventoryData);
 
             expect(fetch).toHaveBeenCalledWith('/api/medications/1/update-inventory', {
+                credentials: 'include',
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -1,5 +1,5 @@
 import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
-import apiClient, { medicationApi, scheduleApi, settingsApi, notificationApi } from '../../utils/apiClient';
+import apiClient, { medicationApi, scheduleApi, settingsApi, notificationApi, authApi, patientApi, invitationApi } from '../../utils/apiClient';
 
 // Mock fetch
 global.fetch = vi.fn();
@@ -35,6 +35,7 @@ describe('ApiClient', () => {
             const result = await apiClient.get('/test');
 
             expect(fetch).toHaveBeenCalledWith('/api/test', {
+                credentials: 'include',
                 headers: {
                     'Content-Type': 'application/json',
                 },
@@ -55,6 +56,7 @@ describe('ApiClient', () => {
             const result = await apiClient.post('/test', testData);
 
             expect(fetch).toHaveBeenCalledWith('/api/test', {
+                credentials: 'include',
                 headers: {
                     'Content-Type': 'application/json',
                 },
@@ -76,6 +78,7 @@ describe('ApiClient', () => {
             await apiClient.put('/test/1', testData);
 
             expect(fetch).toHaveBeenCalledWith('/api/test/1', {
+                credentials: 'include',
                 headers: {
                     'Content-Type': 'application/json',
                 },
@@ -95,6 +98,7 @@ describe('ApiClient', () => {
             await apiClient.delete('/test/1');
 
             expect(fetch).toHaveBeenCalledWith('/api/test/1', {
+                credentials: 'include',
                 headers: {
                     'Content-Type': 'application/json',
                 },
@@ -114,6 +118,7 @@ describe('ApiClient', () => {
             await apiClient.patch('/test/1', testData);
 
             expect(fetch).toHaveBeenCalledWith('/api/test/1', {
+                credentials: 'include',
                 headers: {
                     'Content-Type': 'application/json',
                 },
@@ -215,6 +220,41 @@ describe('ApiClient', () => {
         });
     });
 
+    describe('Unauthorized Handling', () => {
+        afterEach(() => {
+            apiClient.setUnauthorizedCallback(null);
+        });
+
+        it('should notify the unauthorized callback on 401 responses', async () => {
+            const onUnauthorized = vi.fn();
+            apiClient.setUnauthorizedCallback(onUnauthorized);
+            fetch.mockResolvedValue({
+                ok: false,
+                status: 401,
+                json: () => Promise.resolve({ error: { code: 'UNAUTHORIZED', message: 'Authentication required' } }),
+            });
+
+            await expect(apiClient.get('/medications')).rejects.toThrow('Authentication required');
+
+            expect(onUnauthorized).toHaveBeenCalledTimes(1);
+            expect(onUnauthorized.mock.calls[0][0].status).toBe(401);
+        });
+
+        it('should not notify the callback for auth endpoints', async () => {
+            const onUnauthorized = vi.fn();
+            apiClient.setUnauthorizedCallback(onUnauthorized);
+            fetch.mockResolvedValue({
+                ok: false,
+                status: 401,
+                json: () => Promise.resolve({ error: { message: 'Invalid email or password' } }),
+            });
+
+            await expect(authApi.login('sam@example.com', 'wrong')).rejects.toThrow('Invalid email or password');
+
+            expect(onUnauthorized).not.toHaveBeenCalled();
+        });
+    });
+
     describe('Response Handling', () => {
         it('should return raw response for non-JSON content', async () => {
             const mockResponse = {
@@ -259,6 +299,7 @@ describe('ApiClient', () => {
             });
 
             expect(fetch).toHaveBeenCalledWith('/api/test', {
+                credentials: 'include',
                 headers: {
                     'Content-Type': 'application/json',
                     'Authorization': 'Bearer token',
@@ -315,6 +356,7 @@ describe('Medication API', () => {
         await medicationApi.create(medicationData);
 
         expect(fetch).toHaveBeenCalledWith('/api/medications', {
+            credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
             method: 'POST',
             body: JSON.stringify(medicationData),
@@ -333,6 +375,7 @@ describe('Medication API', () => {
         await medicationApi.markDoseGiven(1, doseData);
 
         expect(fetch).toHaveBeenCalledWith('/api/medications/1/mark-dose-given', {
+            credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
             method: 'POST',
             body: JSON.stringify(doseData),
@@ -393,6 +436,7 @@ describe('Settings API', () => {
         await settingsApi.createRoute(routeData);
 
         expect(fetch).toHaveBeenCalledWith('/api/settings/routes', {
+            credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
             method: 'POST',
             body: JSON.stringify(routeData),
@@ -431,9 +475,88 @@ describe('Notification API', () => {
         await notificationApi.markAsRead(1);
 
         expect(fetch).toHaveBeenCalledWith('/api/notifications/1/mark-read', {
+            credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
             method: 'POST',
             body: JSON.stringify({}),
         });
     });
-});
\ No newline at end of file
+});
+
+describe('Auth API', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockNavigatorOnLine(true);
+        fetch.mockClear();
+    });
+
+    it('should sign in with credentials', async () => {
+        const mockResponse = {
+            ok: true,
+            headers: new Map([['content-type', 'application/json']]),
+            json: () => Promise.resolve({ data: { user: { id: 1 } } }),
+        };
+        fetch.mockResolvedValue(mockResponse);
+
+        await authApi.login('sam@example.com', 'long-enough');
+
+        expect(fetch).toHaveBeenCalledWith('/api/auth/login', {
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            method: 'POST',
+            body: JSON.stringify({ email: 'sam@example.com', password: 'long-enough' }),
+            queueWhenOffline: false,
+        });
+    });
+
+    it('should fetch the current user', async () => {
+        const mockResponse = {
+            ok: true,
+            headers: new Map([['content-type', 'application/json']]),
+            json: () => Promise.resolve({ data: { id: 1 } }),
+        };
+        fetch.mockResolvedValue(mockResponse);
+
+        const result = await authApi.me();
+
+        expect(fetch).toHaveBeenCalledWith('/api/auth/me', expect.objectContaining({ method: 'GET' }));
+        expect(result).toEqual({ data: { id: 1 } });
+    });
+});
+
+describe('Patient sharing API', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockNavigatorOnLine(true);
+        fetch.mockClear();
+        fetch.mockResolvedValue({
+            ok: true,
+            headers: new Map([['content-type', 'application/json']]),
+            json: () => Promise.resolve({ data: {} }),
+        });
+    });
+
+    it('should invite someone to a patient', async () => {
+        await patientApi.invite(3, { email: 'kim@example.com', role: 'caregiver' });
+
+        expect(fetch).toHaveBeenCalledWith('/api/patients/3/invitations', expect.objectContaining({
+            method: 'POST',
+            body: JSON.stringify({ email: 'kim@example.com', role: 'caregiver' }),
+        }));
+    });
+
+    it('should change a member role', async () => {
+        await patientApi.updateMember(3, 5, 'viewer');
+
+        expect(fetch).toHaveBeenCalledWith('/api/patients/3/members/5', expect.objectContaining({
+            method: 'PUT',
+            body: JSON.stringify({ role: 'viewer' }),
+        }));
+    });
+
+    it('should accept an invitation', async () => {
+        await invitationApi.accept(9);
+
+        expect(fetch).toHaveBeenCalledWith('/api/invitations/9/accept', expect.objectContaining({ method: 'POST' }));
+    });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { toDateString, getToday, addDays } from '../../utils/dates';
+
+describe('date helpers', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2024-03-10T23:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('gives today in the patient timezone', () => {
+        expect(getToday('UTC')).toBe('2024-03-10');
+        expect(getToday('America/Los_Angeles')).toBe('2024-03-10');
+        expect(getToday('Europe/Berlin')).toBe('2024-03-11');
+        expect(getToday('Pacific/Auckland')).toBe('2024-03-11');
+    });
+
+    it('falls back to the browser timezone for unknown names', () => {
+        expect(toDateString(new Date(), 'Not/AZone')).toBe(toDateString(new Date()));
+    });
+
+    it('adds days across month ends', () => {
+        expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+        expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+    });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { formatQuantity, getPackageSize, getUnitLabel } from '../../utils/units';
+
+describe('units', () => {
+    it('formats amounts in singular or plural', () => {
+        expect(formatQuantity(1, 'tablet')).toBe('1 tablet');
+        expect(formatQuantity(0.5, 'tablet')).toBe('0.5 tablets');
+        expect(formatQuantity(2, 'patch')).toBe('2 patches');
+        expect(formatQuantity(5, 'ml')).toBe('5 ml');
+        expect(formatQuantity(3)).toBe('3 tablets');
+    });
+
+    it('returns unknown units as given', () => {
+        expect(getUnitLabel('sachet')).toBe('sachet');
+    });
+
+    it('derives the package size of liquids from their volume', () => {
+        expect(getPackageSize({ sheet_size: 10 })).toBe(10);
+        expect(getPackageSize({ sheet_size: 10, dose_unit: 'unit', package_volume_ml: 3, units_per_ml: 100 })).toBe(300);
+        expect(getPackageSize({ sheet_size: 10, dose_unit: 'ml', package_volume_ml: '150' })).toBe(150);
+        expect(getPackageSize({ sheet_size: 10, dose_unit: 'unit', package_volume_ml: 3, units_per_ml: '' })).toBe(10);
+    });
+});
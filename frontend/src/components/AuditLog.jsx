@@ -17,6 +17,7 @@ import Button from "./ui/Button";
 import StatusBadge from "./ui/StatusBadge";
 import LoadingSpinner from "./ui/LoadingSpinner";
 import ErrorMessage from "./ui/ErrorMessage";
+import { getUnitLabel } from "../utils/units";
 
 const AuditLog = ({
   medicationId = null,
@@ -41,6 +42,8 @@ const AuditLog = ({
     { value: "", label: "All Actions" },
     { value: "DOSE_GIVEN", label: "Dose Given" },
     { value: "INVENTORY_UPDATED", label: "Inventory Updated" },
+    { value: "INVENTORY_RECONCILED", label: "Inventory Reconciled" },
+    { value: "INVENTORY_TRANSFERRED", label: "Inventory Transferred" },
     { value: "CREATED", label: "Created" },
     { value: "UPDATED", label: "Updated" },
     { value: "DELETED", label: "Deleted" },
@@ -160,6 +163,8 @@ const AuditLog = ({
     const actionMap = {
       DOSE_GIVEN: "Dose Given",
       INVENTORY_UPDATED: "Inventory Updated",
+      INVENTORY_RECONCILED: "Inventory Reconciled",
+      INVENTORY_TRANSFERRED: "Inventory Transferred",
       CREATED: "Created",
       UPDATED: "Updated",
       DELETED: "Deleted",
@@ -179,6 +184,8 @@ const AuditLog = ({
     const colorMap = {
       DOSE_GIVEN: "text-blue-600 bg-blue-50",
       INVENTORY_UPDATED: "text-green-600 bg-green-50",
+      INVENTORY_RECONCILED: "text-teal-600 bg-teal-50",
+      INVENTORY_TRANSFERRED: "text-cyan-600 bg-cyan-50",
       CREATED: "text-purple-600 bg-purple-50",
       UPDATED: "text-yellow-600 bg-yellow-50",
       DELETED: "text-red-600 bg-red-50",
@@ -471,7 +478,9 @@ const AuditLog = ({
                         icon={
                           log.action === "DOSE_GIVEN"
                             ? ClockIcon
-                            : log.action === "INVENTORY_UPDATED"
+                            : log.action === "INVENTORY_UPDATED" ||
+                              log.action === "INVENTORY_RECONCILED" ||
+                              log.action === "INVENTORY_TRANSFERRED"
                             ? CubeIcon
                             : UserIcon
                         }
@@ -489,6 +498,9 @@ const AuditLog = ({
                             ? "info"
                             : log.action === "INVENTORY_UPDATED"
                             ? "success"
+                            : log.action === "INVENTORY_RECONCILED" ||
+                              log.action === "INVENTORY_TRANSFERRED"
+                            ? "info"
                             : log.action === "CREATED"
                             ? "success"
                             : log.action === "UPDATED"
@@ -519,7 +531,11 @@ const AuditLog = ({
                               : "text-neutral-700 bg-neutral-100 dark:text-neutral-300 dark:bg-neutral-700"
                           }`}
                         >
-                          {formatQuantityChange(log.quantity_change)} tablets
+                          {formatQuantityChange(log.quantity_change)}{" "}
+                          {getUnitLabel(
+                            log.dose_unit || "tablet",
+                            Math.abs(log.quantity_change)
+                          )}
                         </span>
                       )}
                     </div>
@@ -527,6 +543,7 @@ const AuditLog = ({
                     <div className="flex items-center space-x-2 text-sm text-neutral-500 dark:text-neutral-400 mb-3">
                       <HeroIcon icon={ClockIcon} size="sm" />
                       <span>{new Date(log.created_at).toLocaleString()}</span>
+                      {log.user_name && <span>· by {log.user_name}</span>}
                     </div>
 
                     {(log.old_values || log.new_values) && (
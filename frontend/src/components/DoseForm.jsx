@@ -9,8 +9,15 @@ import {
 } from "@heroicons/react/24/outline";
 import { HeroIcon } from "./ui/Icon";
 import Button from "./ui/Button";
+import { formatQuantity, getUnitLabel } from "../utils/units";
 
-const DoseForm = ({ doses = [], onChange, routes = [], error = null }) => {
+const DoseForm = ({
+  doses = [],
+  onChange,
+  routes = [],
+  error = null,
+  doseUnit = "tablet",
+}) => {
   const [editingIndex, setEditingIndex] = useState(null);
 
   // Add new dose
@@ -94,6 +101,7 @@ const DoseForm = ({ doses = [], onChange, routes = [], error = null }) => {
                     <DoseEditor
                       dose={dose}
                       routes={routes}
+                      doseUnit={doseUnit}
                       onSave={(updatedDose) => {
                         updateDose(actualIndex, updatedDose);
                         setEditingIndex(null);
@@ -117,8 +125,7 @@ const DoseForm = ({ doses = [], onChange, routes = [], error = null }) => {
                           <div className="flex items-center space-x-4">
                             <div className="bg-neutral-100 dark:bg-neutral-700 px-3 py-1 rounded-full">
                               <span className="text-sm font-medium text-neutral-700 dark:text-neutral-300">
-                                {dose.dose_amount} tablet
-                                {dose.dose_amount !== 1 ? "s" : ""}
+                                {formatQuantity(dose.dose_amount, doseUnit)}
                               </span>
                             </div>
                             {dose.route_override && (
@@ -201,7 +208,7 @@ const DoseForm = ({ doses = [], onChange, routes = [], error = null }) => {
 };
 
 // Individual dose editor component
-const DoseEditor = ({ dose, routes, onSave, onCancel }) => {
+const DoseEditor = ({ dose, routes, onSave, onCancel, doseUnit }) => {
   const [formData, setFormData] = useState({
     dose_amount: dose.dose_amount || 1,
     time_of_day: dose.time_of_day || "08:00",
@@ -262,7 +269,9 @@ const DoseEditor = ({ dose, routes, onSave, onCancel }) => {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Enhanced Dose Amount */}
         <div className="form-field">
-          <label className="form-label">Dose Amount (tablets) *</label>
+          <label className="form-label">
+            Dose Amount ({getUnitLabel(doseUnit)}) *
+          </label>
           <input
             type="number"
             step="0.5"
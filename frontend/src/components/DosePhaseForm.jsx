@@ -0,0 +1,138 @@
+import { PlusIcon, TrashIcon, XMarkIcon } from "@heroicons/react/24/outline";
+import { HeroIcon } from "./ui/Icon";
+import Button from "./ui/Button";
+import Input from "./ui/Input";
+import DoseForm from "./DoseForm";
+
+// Default length of a new tapering step, in days
+const DEFAULT_PHASE_DAYS = 3;
+
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+// Date-ranged dose sets (tapering steps) of a medication
+const DosePhaseForm = ({
+  phases = [],
+  onChange,
+  routes = [],
+  defaultStartDate,
+  error = null,
+  doseUnit = "tablet",
+}) => {
+  // A new step starts the day after the previous one and copies its doses,
+  // which is usually what a taper needs before adjusting the amounts
+  const addPhase = () => {
+    const previous = phases[phases.length - 1];
+    const startDate = previous
+      ? addDays(previous.end_date || previous.start_date, 1)
+      : defaultStartDate || new Date().toISOString().split("T")[0];
+
+    onChange([
+      ...phases,
+      {
+        id: null,
+        start_date: startDate,
+        end_date: addDays(startDate, DEFAULT_PHASE_DAYS - 1),
+        label: "",
+        doses: (previous?.doses || []).map((dose, index) => ({
+          ...dose,
+          id: Date.now() + index, // Temporary ID for new doses
+        })),
+      },
+    ]);
+  };
+
+  const updatePhase = (index, changes) => {
+    const newPhases = [...phases];
+    newPhases[index] = { ...newPhases[index], ...changes };
+    onChange(newPhases);
+  };
+
+  const removePhase = (index) => {
+    onChange(phases.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="form-message form-error">
+          <HeroIcon
+            icon={XMarkIcon}
+            size="sm"
+            className="text-error-600 flex-shrink-0"
+          />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {phases.map((phase, index) => (
+        <div
+          key={phase.id || `new-${index}`}
+          className="border border-neutral-200 dark:border-neutral-700 rounded-xl p-5 space-y-4"
+        >
+          <div className="flex items-start justify-between gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 flex-1">
+              <Input
+                label="Step label"
+                value={phase.label || ""}
+                onChange={(e) => updatePhase(index, { label: e.target.value })}
+                placeholder={`Step ${index + 1}`}
+              />
+              <Input
+                label="From"
+                type="date"
+                value={phase.start_date || ""}
+                onChange={(e) =>
+                  updatePhase(index, { start_date: e.target.value })
+                }
+                required
+              />
+              <Input
+                label="Until"
+                type="date"
+                value={phase.end_date || ""}
+                onChange={(e) =>
+                  updatePhase(index, { end_date: e.target.value })
+                }
+                helpText="Leave empty to continue until the medication ends"
+              />
+            </div>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => removePhase(index)}
+              className="text-error-600 hover:text-error-700 hover:bg-error-50 mt-7"
+              aria-label={`Remove step ${index + 1}`}
+            >
+              <HeroIcon icon={TrashIcon} size="sm" />
+            </Button>
+          </div>
+
+          <DoseForm
+            doses={phase.doses || []}
+            onChange={(doses) => updatePhase(index, { doses })}
+            routes={routes}
+            doseUnit={doseUnit}
+          />
+        </div>
+      ))}
+
+      <Button
+        type="button"
+        variant="outline"
+        size="md"
+        onClick={addPhase}
+        className="w-full border-2 border-dashed"
+      >
+        <HeroIcon icon={PlusIcon} size="md" className="mr-2" />
+        Add Tapering Step
+      </Button>
+    </div>
+  );
+};
+
+export default DosePhaseForm;
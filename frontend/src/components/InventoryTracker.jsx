@@ -6,11 +6,22 @@ import {
   ArrowsRightLeftIcon,
   ExclamationCircleIcon,
   CheckCircleIcon,
+  ShoppingBagIcon,
 } from "@heroicons/react/24/outline";
 import { HeroIcon } from "./ui/Icon";
 import Button from "./ui/Button";
 import Input from "./ui/Input";
 import StatusBadge from "./ui/StatusBadge";
+import { capitalize, formatQuantity, getUnitLabel } from "../utils/units";
+import { getToday } from "../utils/dates";
+
+// Refill form fields that are sent only when filled in
+const OPTIONAL_REFILL_FIELDS = [
+  "pharmacy",
+  "prescription_reference",
+  "lot_number",
+  "expiry_date",
+];
 
 const InventoryTracker = ({
   totalTablets = 0,
@@ -21,14 +32,38 @@ const InventoryTracker = ({
   showConversion = true,
   sheetSizeError = null,
   totalTabletsError = null,
+  doseUnit = "tablet", // Unit stock is counted in
+  packageUnit = "sheet", // Unit stock is bought in; sheetSize is its size in dose units
+  packageSizeEditable = true, // False when the size follows from the package volume
+  onRecordRefill = null, // Async; records a refill of saved medications (stock, lot and history)
+  forecast = null, // Stock forecast of saved medications (the medication's inventory_stats)
+  currentPrescription = null, // Prescription refills are filled on, with its refills_remaining
 }) => {
   const [inputMode, setInputMode] = useState("tablets"); // 'tablets' or 'sheets'
+  const doseUnits = getUnitLabel(doseUnit);
+  const packageName = getUnitLabel(packageUnit, 1);
+  const packages = getUnitLabel(packageUnit);
   const [formData, setFormData] = useState({
     totalTablets: "",
     sheetCount: "",
     sheetSize: "",
   });
   const [errors, setErrors] = useState({});
+  const emptyRefill = () => ({
+    quantity: "",
+    unit: packageUnit,
+    refill_date: getToday(),
+    pharmacy: "",
+    cost: "",
+    prescription_reference: "",
+    lot_number: "",
+    expiry_date: "",
+    use_prescription: true,
+  });
+  const [showRefillForm, setShowRefillForm] = useState(false);
+  const [refillData, setRefillData] = useState(emptyRefill);
+  const [refillErrors, setRefillErrors] = useState({});
+  const [recordingRefill, setRecordingRefill] = useState(false);
 
   useEffect(() => {
     setFormData({
@@ -44,14 +79,14 @@ const InventoryTracker = ({
 
     if (inputMode === "tablets") {
       if (!formData.totalTablets || parseFloat(formData.totalTablets) < 0) {
-        newErrors.totalTablets = "Total tablets must be 0 or greater";
+        newErrors.totalTablets = `Total ${doseUnits} must be 0 or greater`;
       }
     } else {
       if (!formData.sheetCount || parseInt(formData.sheetCount) < 0) {
-        newErrors.sheetCount = "Sheet count must be 0 or greater";
+        newErrors.sheetCount = `${capitalize(packageName)} count must be 0 or greater`;
       }
       if (!formData.sheetSize || parseInt(formData.sheetSize) <= 0) {
-        newErrors.sheetSize = "Sheet size must be greater than 0";
+        newErrors.sheetSize = `${capitalize(packageName)} size must be greater than 0`;
       }
     }
 
@@ -100,13 +135,13 @@ const InventoryTracker = ({
       const newErrors = { ...errors };
 
       if (field === "sheetCount" && (!value || parseInt(value) < 0)) {
-        newErrors.sheetCount = "Sheet count must be 0 or greater";
+        newErrors.sheetCount = `${capitalize(packageName)} count must be 0 or greater`;
       } else if (field === "sheetCount") {
         delete newErrors.sheetCount;
       }
 
       if (field === "sheetSize" && (!value || parseInt(value) <= 0)) {
-        newErrors.sheetSize = "Sheet size must be greater than 0";
+        newErrors.sheetSize = `${capitalize(packageName)} size must be greater than 0`;
       } else if (field === "sheetSize") {
         delete newErrors.sheetSize;
       }
@@ -137,6 +172,67 @@ const InventoryTracker = ({
     }
   };
 
+  const handleRefillChange = (field, value) => {
+    setRefillData((prev) => ({ ...prev, [field]: value }));
+
+    if (refillErrors[field]) {
+      setRefillErrors((prev) => ({ ...prev, [field]: "" }));
+    }
+  };
+
+  const toggleRefillForm = () => {
+    setShowRefillForm((prev) => !prev);
+    setRefillData(emptyRefill());
+    setRefillErrors({});
+  };
+
+  const handleRecordRefill = async () => {
+    const newErrors = {};
+
+    if (!(parseFloat(refillData.quantity) > 0)) {
+      newErrors.quantity = "Quantity must be greater than 0";
+    }
+    if (refillData.cost !== "" && !(parseFloat(refillData.cost) >= 0)) {
+      newErrors.cost = "Cost must be 0 or greater";
+    }
+    if (!refillData.refill_date) {
+      newErrors.refill_date = "Refill date is required";
+    }
+
+    setRefillErrors(newErrors);
+    if (Object.keys(newErrors).length > 0 || disabled) return;
+
+    const refill = {
+      quantity: parseFloat(refillData.quantity),
+      unit: refillData.unit,
+      refill_date: refillData.refill_date,
+    };
+    if (refillData.cost !== "") {
+      refill.cost = parseFloat(refillData.cost);
+    }
+    OPTIONAL_REFILL_FIELDS.forEach((field) => {
+      if (refillData[field].trim()) {
+        refill[field] = refillData[field].trim();
+      }
+    });
+    if (currentPrescription) {
+      refill.prescription_id = refillData.use_prescription
+        ? currentPrescription.id
+        : null;
+    }
+
+    try {
+      setRecordingRefill(true);
+      await onRecordRefill(refill);
+      setShowRefillForm(false);
+      setRefillData(emptyRefill());
+    } catch (err) {
+      setRefillErrors({ form: err.message || "Failed to record refill" });
+    } finally {
+      setRecordingRefill(false);
+    }
+  };
+
   const calculateSheetEquivalent = (tablets, size) => {
     if (size <= 0) return { sheets: 0, remainder: tablets };
     const sheets = Math.floor(tablets / size);
@@ -190,7 +286,7 @@ const InventoryTracker = ({
               }`}
             >
               <HeroIcon icon={CubeIcon} size="sm" className="mr-1" />
-              Tablets
+              {capitalize(doseUnits)}
             </Button>
             <Button
               type="button"
@@ -204,7 +300,7 @@ const InventoryTracker = ({
               }`}
             >
               <HeroIcon icon={ArrowsRightLeftIcon} size="sm" className="mr-1" />
-              Sheets
+              {capitalize(packages)}
             </Button>
           </div>
         )}
@@ -215,7 +311,7 @@ const InventoryTracker = ({
           /* Enhanced Tablets Input Mode */
           <div className="space-y-4">
             <Input
-              label="Total Tablets"
+              label={`Total ${capitalize(doseUnits)}`}
               type="number"
               step="0.5"
               min="0"
@@ -223,7 +319,7 @@ const InventoryTracker = ({
               onChange={(e) => handleChange("totalTablets", e.target.value)}
               disabled={disabled}
               error={errors.totalTablets || totalTabletsError}
-              placeholder="Enter total number of tablets"
+              placeholder={`Enter total number of ${doseUnits}`}
               leftIcon={<HeroIcon icon={CubeIcon} size="sm" />}
             />
 
@@ -236,9 +332,10 @@ const InventoryTracker = ({
                     className="text-info-600 dark:text-info-400"
                   />
                   <p className="text-sm text-info-700 dark:text-info-300 font-medium">
-                    Equivalent: {currentEquivalent.sheets} sheet(s)
+                    Equivalent:{" "}
+                    {formatQuantity(currentEquivalent.sheets, packageUnit)}
                     {currentEquivalent.remainder > 0 &&
-                      ` + ${currentEquivalent.remainder} tablet(s)`}
+                      ` + ${formatQuantity(currentEquivalent.remainder, doseUnit)}`}
                   </p>
                 </div>
               </div>
@@ -249,7 +346,7 @@ const InventoryTracker = ({
           <div className="space-y-4">
             <div className="grid grid-cols-2 gap-4">
               <Input
-                label="Number of Sheets"
+                label={`Number of ${capitalize(packages)}`}
                 type="number"
                 min="0"
                 value={formData.sheetCount}
@@ -261,12 +358,12 @@ const InventoryTracker = ({
               />
 
               <Input
-                label="Tablets per Sheet"
+                label={`${capitalize(doseUnits)} per ${capitalize(packageName)}`}
                 type="number"
                 min="1"
                 value={formData.sheetSize}
                 onChange={(e) => handleChange("sheetSize", e.target.value)}
-                disabled={disabled}
+                disabled={disabled || !packageSizeEditable}
                 error={errors.sheetSize || sheetSizeError}
                 placeholder="10"
                 leftIcon={<HeroIcon icon={CubeIcon} size="sm" />}
@@ -282,10 +379,10 @@ const InventoryTracker = ({
                 />
                 <div>
                   <p className="text-sm font-semibold text-success-800 dark:text-success-200">
-                    Total Tablets Calculated
+                    Total {capitalize(doseUnits)} Calculated
                   </p>
                   <p className="text-lg font-bold text-success-900 dark:text-success-100">
-                    {formData.totalTablets || 0} tablets
+                    {formatQuantity(formData.totalTablets || 0, doseUnit)}
                   </p>
                 </div>
               </div>
@@ -308,7 +405,7 @@ const InventoryTracker = ({
           <div className="grid grid-cols-2 gap-4">
             <div className="text-center p-4 bg-neutral-50 dark:bg-neutral-700/50 rounded-xl border border-neutral-200 dark:border-neutral-600">
               <p className="text-xs font-medium text-neutral-500 dark:text-neutral-400 uppercase tracking-wide mb-2">
-                Total Tablets
+                Total {capitalize(doseUnits)}
               </p>
               <p className="text-2xl font-bold text-neutral-900 dark:text-neutral-100">
                 {totalTablets}
@@ -316,18 +413,65 @@ const InventoryTracker = ({
             </div>
             <div className="text-center p-4 bg-neutral-50 dark:bg-neutral-700/50 rounded-xl border border-neutral-200 dark:border-neutral-600">
               <p className="text-xs font-medium text-neutral-500 dark:text-neutral-400 uppercase tracking-wide mb-2">
-                Sheet Equivalent
+                {capitalize(packageName)} Equivalent
               </p>
               <p className="text-2xl font-bold text-neutral-900 dark:text-neutral-100">
                 {Math.floor(totalTablets / sheetSize)}
               </p>
               {totalTablets % sheetSize > 0 && (
                 <p className="text-xs text-neutral-500 dark:text-neutral-400 mt-1">
-                  + {totalTablets % sheetSize} tablets
+                  + {formatQuantity(totalTablets % sheetSize, doseUnit)}
                 </p>
               )}
             </div>
           </div>
+
+          {/* Forecast from the schedule: skip dates, end date and regimen */}
+          {forecast && (forecast.run_out_date || forecast.course_end_date) && (
+            <div
+              className={`mt-4 rounded-lg p-3 border ${
+                forecast.shortfall_until_end > 0 || forecast.is_low_inventory
+                  ? "bg-warning-50 dark:bg-warning-900/20 border-warning-200 dark:border-warning-800"
+                  : "bg-info-50 dark:bg-info-900/20 border-info-200 dark:border-info-800"
+              }`}
+              data-testid="stock-forecast"
+            >
+              <div className="flex items-start space-x-2">
+                <HeroIcon
+                  icon={
+                    forecast.shortfall_until_end > 0
+                      ? ExclamationCircleIcon
+                      : CheckCircleIcon
+                  }
+                  size="sm"
+                  className="text-neutral-600 dark:text-neutral-400 mt-0.5"
+                />
+                <div className="text-sm text-neutral-700 dark:text-neutral-300 space-y-1">
+                  <p className="font-medium">
+                    {forecast.run_out_date
+                      ? `Runs out on ${forecast.run_out_date} (${forecast.days_remaining} days covered)`
+                      : `Lasts until the course ends on ${forecast.course_end_date}`}
+                  </p>
+                  {forecast.quantity_needed_until_end !== null &&
+                    forecast.quantity_needed_until_end !== undefined && (
+                      <p>
+                        Needed until {forecast.course_end_date}:{" "}
+                        {formatQuantity(
+                          forecast.quantity_needed_until_end,
+                          doseUnit
+                        )}
+                        {forecast.shortfall_until_end > 0 &&
+                          `, short by ${formatQuantity(forecast.shortfall_until_end, doseUnit)}`}
+                      </p>
+                    )}
+                  {forecast.cost_per_day !== null &&
+                    forecast.cost_per_day !== undefined && (
+                      <p>Costs {forecast.cost_per_day.toFixed(2)} per day</p>
+                    )}
+                </div>
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Enhanced Update Button */}
@@ -382,7 +526,7 @@ const InventoryTracker = ({
             className="border-success-300 text-success-700 hover:bg-success-50 dark:border-success-700 dark:text-success-300 dark:hover:bg-success-900/30"
           >
             <HeroIcon icon={PlusIcon} size="sm" className="mr-2" />
-            +1 Sheet
+            +1 {capitalize(packageName)}
           </Button>
           <Button
             type="button"
@@ -406,9 +550,153 @@ const InventoryTracker = ({
             className="border-error-300 text-error-700 hover:bg-error-50 dark:border-error-700 dark:text-error-300 dark:hover:bg-error-900/30"
           >
             <HeroIcon icon={MinusIcon} size="sm" className="mr-2" />
-            -1 Sheet
+            -1 {capitalize(packageName)}
           </Button>
         </div>
+
+        {onRecordRefill && (
+          <div className="mt-3">
+            <Button
+              type="button"
+              variant={showRefillForm ? "ghost" : "outline"}
+              size="md"
+              onClick={toggleRefillForm}
+              disabled={disabled}
+              className="w-full"
+            >
+              <HeroIcon icon={ShoppingBagIcon} size="sm" className="mr-2" />
+              {showRefillForm ? "Cancel Refill" : "Record Refill"}
+            </Button>
+          </div>
+        )}
+
+        {onRecordRefill && showRefillForm && (
+          <div className="mt-4 space-y-4 p-4 bg-neutral-50 dark:bg-neutral-700/50 rounded-xl border border-neutral-200 dark:border-neutral-600">
+            <div className="grid grid-cols-2 gap-4">
+              <Input
+                label="Quantity"
+                type="number"
+                min="0"
+                step="0.5"
+                value={refillData.quantity}
+                onChange={(e) => handleRefillChange("quantity", e.target.value)}
+                error={refillErrors.quantity}
+                placeholder="0"
+                required
+              />
+
+              <div className="form-field">
+                <label className="form-label" htmlFor="refill_unit">
+                  Counted In
+                </label>
+                <select
+                  id="refill_unit"
+                  value={refillData.unit}
+                  onChange={(e) => handleRefillChange("unit", e.target.value)}
+                  className="form-input-base form-input-animated form-input-md w-full"
+                >
+                  <option value={packageUnit}>{capitalize(packages)}</option>
+                  <option value={doseUnit}>{capitalize(doseUnits)}</option>
+                </select>
+              </div>
+
+              <Input
+                label="Refill Date"
+                type="date"
+                value={refillData.refill_date}
+                onChange={(e) =>
+                  handleRefillChange("refill_date", e.target.value)
+                }
+                error={refillErrors.refill_date}
+                required
+              />
+
+              <Input
+                label="Cost"
+                type="number"
+                min="0"
+                step="0.01"
+                value={refillData.cost}
+                onChange={(e) => handleRefillChange("cost", e.target.value)}
+                error={refillErrors.cost}
+                placeholder="Optional"
+              />
+
+              <Input
+                label="Pharmacy"
+                value={refillData.pharmacy}
+                onChange={(e) => handleRefillChange("pharmacy", e.target.value)}
+                placeholder="Optional"
+              />
+
+              <Input
+                label="Prescription Reference"
+                value={refillData.prescription_reference}
+                onChange={(e) =>
+                  handleRefillChange("prescription_reference", e.target.value)
+                }
+                placeholder="Optional"
+              />
+
+              <Input
+                label="Lot Number"
+                value={refillData.lot_number}
+                onChange={(e) =>
+                  handleRefillChange("lot_number", e.target.value)
+                }
+                placeholder="Optional"
+              />
+
+              <Input
+                label="Expiry Date"
+                type="date"
+                value={refillData.expiry_date}
+                onChange={(e) =>
+                  handleRefillChange("expiry_date", e.target.value)
+                }
+              />
+            </div>
+
+            {currentPrescription && (
+              <label className="flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={refillData.use_prescription}
+                  onChange={(e) =>
+                    handleRefillChange("use_prescription", e.target.checked)
+                  }
+                  className="mr-3 h-4 w-4 text-primary-600 focus:ring-primary-500 border-neutral-300 rounded"
+                />
+                <span className="text-sm text-neutral-700 dark:text-neutral-300">
+                  Fill on prescription
+                  {currentPrescription.prescription_number
+                    ? ` ${currentPrescription.prescription_number}`
+                    : ""}{" "}
+                  ({currentPrescription.refills_remaining} refills left)
+                </span>
+              </label>
+            )}
+
+            {refillErrors.form && (
+              <div className="flex items-center space-x-2 text-sm text-error-600 dark:text-error-400">
+                <HeroIcon icon={ExclamationCircleIcon} size="sm" />
+                <span>{refillErrors.form}</span>
+              </div>
+            )}
+
+            <Button
+              type="button"
+              variant="primary"
+              size="md"
+              onClick={handleRecordRefill}
+              disabled={disabled || recordingRefill}
+              className="w-full"
+            >
+              <HeroIcon icon={CheckCircleIcon} size="sm" className="mr-2" />
+              {recordingRefill ? "Recording..." : "Save Refill"}
+            </Button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -11,6 +11,16 @@ import {
 import { HeroIcon } from "./ui/Icon";
 import StatusBadge from "./ui/StatusBadge";
 import Button from "./ui/Button";
+import { capitalize, getUnitLabel } from "../utils/units";
+
+// Badge shown for each recorded dose outcome
+const DOSE_STATUS_BADGES = {
+  pending: { status: "pending", label: "Pending" },
+  given: { status: "success", label: "Given" },
+  late: { status: "warning", label: "Given late" },
+  skipped: { status: "neutral", label: "Skipped" },
+  refused: { status: "error", label: "Refused" },
+};
 
 const MedicationCard = ({
   medication,
@@ -22,11 +32,14 @@ const MedicationCard = ({
   showActions = false,
   doseAmount = null,
   timeOfDay = null,
+  doseStatus = null,
   isMarking: externalIsMarking = false,
 }) => {
   const [isMarking, setIsMarking] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
   const actualIsMarking = externalIsMarking || isMarking;
+  const doseStatusBadge = doseStatus ? DOSE_STATUS_BADGES[doseStatus] : null;
+  const isDoseTaken = doseStatus === "given" || doseStatus === "late";
 
   const handleMarkAsGiven = async () => {
     if (actualIsMarking) return;
@@ -79,6 +92,8 @@ const MedicationCard = ({
   const sheetsRemaining = medication.sheet_size
     ? Math.floor(medication.total_tablets / medication.sheet_size)
     : 0;
+  const doseUnit = medication.dose_unit || "tablet";
+  const packageUnit = medication.package_unit || "sheet";
 
   return (
     <div
@@ -119,6 +134,19 @@ const MedicationCard = ({
             {timeOfDay}
           </div>
         )}
+
+        {/* Recorded outcome of this dose slot */}
+        {doseStatusBadge && (
+          <StatusBadge
+            status={doseStatusBadge.status}
+            size="sm"
+            variant="soft"
+            className="ml-2"
+            aria-label={`Dose status: ${doseStatusBadge.label}`}
+          >
+            {doseStatusBadge.label}
+          </StatusBadge>
+        )}
       </div>
 
       {/* Enhanced dose information with better typography */}
@@ -130,7 +158,8 @@ const MedicationCard = ({
                 Dose
               </span>
               <span className="text-sm font-semibold text-neutral-900 dark:text-neutral-100">
-                {doseAmount || medication.defaultDoseAmount} tablet(s)
+                {doseAmount || medication.defaultDoseAmount}{" "}
+                {getUnitLabel(doseUnit, doseAmount || medication.defaultDoseAmount)}
               </span>
             </div>
             {medication.route && (
@@ -153,7 +182,7 @@ const MedicationCard = ({
           <div className="grid grid-cols-2 gap-4">
             <div className="text-center">
               <p className="text-xs font-medium text-neutral-500 dark:text-neutral-400 uppercase tracking-wide mb-1">
-                Tablets Remaining
+                {capitalize(getUnitLabel(doseUnit))} Remaining
               </p>
               <p className="text-2xl font-bold text-neutral-900 dark:text-neutral-100">
                 {medication.total_tablets || 0}
@@ -162,7 +191,7 @@ const MedicationCard = ({
             {medication.sheet_size && (
               <div className="text-center">
                 <p className="text-xs font-medium text-neutral-500 dark:text-neutral-400 uppercase tracking-wide mb-1">
-                  Sheets Remaining
+                  {capitalize(getUnitLabel(packageUnit))} Remaining
                 </p>
                 <p className="text-2xl font-bold text-neutral-900 dark:text-neutral-100">
                   {sheetsRemaining}
@@ -194,7 +223,9 @@ const MedicationCard = ({
       {/* Enhanced action buttons with smooth micro-interactions */}
       <div className="px-6 pb-6">
         <div className="flex gap-3">
-          {onMarkAsGiven && (doseAmount || medication.defaultDoseAmount) && (
+          {onMarkAsGiven &&
+            !isDoseTaken &&
+            (doseAmount || medication.defaultDoseAmount) && (
             <Button
               variant="primary"
               size="sm"
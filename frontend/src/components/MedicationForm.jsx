@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import {
   BeakerIcon,
   CalendarDaysIcon,
@@ -8,15 +8,50 @@ import {
   ExclamationCircleIcon,
   CheckCircleIcon,
   XMarkIcon,
+  ArrowTrendingDownIcon,
+  ArchiveBoxIcon,
 } from "@heroicons/react/24/outline";
 import { HeroIcon } from "./ui/Icon";
 import Button from "./ui/Button";
 import Input from "./ui/Input";
 import StatusBadge from "./ui/StatusBadge";
 import DoseForm from "./DoseForm";
+import DosePhaseForm from "./DosePhaseForm";
 import SkipDateCalendar from "./SkipDateCalendar";
 import InventoryTracker from "./InventoryTracker";
+import PrescriptionManager from "./PrescriptionManager";
+import StockLocations from "./StockLocations";
 import DatePicker from "./DatePicker";
+import { medicationApi } from "../utils/apiClient";
+import {
+  DOSE_UNITS,
+  PACKAGE_UNITS,
+  capitalize,
+  formatQuantity,
+  getPackageSize,
+  getUnitLabel,
+} from "../utils/units";
+
+// As-needed (PRN) dosing limits with their form labels, given the dose unit's name
+const PRN_LIMIT_FIELDS = {
+  prn_dose_amount: (units) => `${capitalize(units)} per dose`,
+  prn_min_interval_hours: () => "Minimum hours between doses",
+  prn_max_daily_amount: (units) => `Maximum ${units} per 24 hours`,
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Whether a date falls in the "on" part of an on/off cycle that repeats from
+// its anchor; dates before the anchor count as "on", like on the server
+const isCycleOnDate = (daysOn, daysOff, anchor, date) => {
+  if (!(daysOn > 0 && daysOff > 0) || !anchor) return true;
+
+  const offset = Math.round(
+    (new Date(`${date}T00:00:00Z`) - new Date(`${anchor}T00:00:00Z`)) /
+      MS_PER_DAY
+  );
+  return offset < 0 || offset % (daysOn + daysOff) < daysOn;
+};
 
 const MedicationForm = ({
   medication = null,
@@ -29,21 +64,48 @@ const MedicationForm = ({
     strength: "",
     route_id: "",
     frequency_id: "",
+    pharmacy_id: "",
     start_date: new Date().toISOString().split("T")[0],
     end_date: "",
     sheet_size: 10,
     total_tablets: 0,
+    dose_unit: "tablet",
+    package_unit: "sheet",
+    package_volume_ml: "",
+    units_per_ml: "",
+    unit_price: "",
     notes: "",
+    prn_dose_amount: "",
+    prn_min_interval_hours: "",
+    prn_max_daily_amount: "",
+    cycle_days_on: "",
+    cycle_days_off: "",
+    cycle_start_date: "",
   });
 
   const [doses, setDoses] = useState([]);
+  const [phases, setPhases] = useState([]);
   const [skipDates, setSkipDates] = useState([]);
+  const [forecast, setForecast] = useState(null);
+  const [currentPrescription, setCurrentPrescription] = useState(null);
+  const [prescriptionsKey, setPrescriptionsKey] = useState(0);
+  const [locationsKey, setLocationsKey] = useState(0);
   const [routes, setRoutes] = useState([]);
   const [frequencies, setFrequencies] = useState([]);
+  const [pharmacies, setPharmacies] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [validationErrors, setValidationErrors] = useState({});
 
+  const selectedFrequency = frequencies.find(
+    (frequency) => String(frequency.id) === String(formData.frequency_id)
+  );
+  const isAsNeeded = selectedFrequency?.recurrence_type === "as_needed";
+  const doseUnits = getUnitLabel(formData.dose_unit);
+  // Liquids described by volume (and concentration) have a derived package size
+  const hasPackageVolume = parseFloat(formData.package_volume_ml) > 0;
+  const packageSize = getPackageSize(formData);
+
   // Load form data when medication prop changes
   useEffect(() => {
     if (medication) {
@@ -52,21 +114,40 @@ const MedicationForm = ({
         strength: medication.strength || "",
         route_id: medication.route_id || "",
         frequency_id: medication.frequency_id || "",
+        pharmacy_id: medication.pharmacy_id || "",
         start_date:
           medication.start_date || new Date().toISOString().split("T")[0],
         end_date: medication.end_date || "",
         sheet_size: medication.sheet_size || 10,
         total_tablets: medication.total_tablets || 0,
+        dose_unit: medication.dose_unit || "tablet",
+        package_unit: medication.package_unit || "sheet",
+        package_volume_ml: medication.package_volume_ml ?? "",
+        units_per_ml: medication.units_per_ml ?? "",
+        unit_price: medication.unit_price ?? "",
         notes: medication.notes || "",
+        prn_dose_amount: medication.prn_dose_amount ?? "",
+        prn_min_interval_hours: medication.prn_min_interval_hours ?? "",
+        prn_max_daily_amount: medication.prn_max_daily_amount ?? "",
+        cycle_days_on: medication.cycle_days_on ?? "",
+        cycle_days_off: medication.cycle_days_off ?? "",
+        cycle_start_date: medication.cycle_start_date || "",
       });
 
+      // Doses of tapering steps are edited with their step
       if (medication.doses) {
-        setDoses(medication.doses);
+        setDoses(medication.doses.filter((dose) => !dose.phase_id));
+      }
+
+      if (medication.phases) {
+        setPhases(medication.phases);
       }
 
       if (medication.skip_dates) {
         setSkipDates(medication.skip_dates.map((sd) => sd.skip_date));
       }
+
+      setForecast(medication.inventory_stats || null);
     }
   }, [medication]);
 
@@ -77,10 +158,12 @@ const MedicationForm = ({
         setLoading(true);
         setError("");
 
-        const [routesResponse, frequenciesResponse] = await Promise.all([
-          fetch("/api/settings/routes"),
-          fetch("/api/settings/frequencies"),
-        ]);
+        const [routesResponse, frequenciesResponse, pharmaciesResponse] =
+          await Promise.all([
+            fetch("/api/settings/routes"),
+            fetch("/api/settings/frequencies"),
+            fetch("/api/settings/pharmacies"),
+          ]);
 
         if (routesResponse.ok) {
           const routesResult = await routesResponse.json();
@@ -91,6 +174,11 @@ const MedicationForm = ({
           const frequenciesResult = await frequenciesResponse.json();
           setFrequencies(frequenciesResult.data || []);
         }
+
+        if (pharmaciesResponse.ok) {
+          const pharmaciesResult = await pharmaciesResponse.json();
+          setPharmacies(pharmaciesResult.data || []);
+        }
       } catch (err) {
         console.error("Error fetching master data:", err);
         setError("Failed to load form data. Please refresh and try again.");
@@ -131,6 +219,18 @@ const MedicationForm = ({
     }
   };
 
+  // Handle tapering step changes
+  const handlePhasesChange = (newPhases) => {
+    setPhases(newPhases);
+
+    if (validationErrors.phases) {
+      setValidationErrors((prev) => ({
+        ...prev,
+        phases: null,
+      }));
+    }
+  };
+
   // Handle skip dates changes
   const handleSkipDatesChange = (newSkipDates) => {
     setSkipDates(newSkipDates);
@@ -145,6 +245,36 @@ const MedicationForm = ({
     }));
   };
 
+  // Refills are filled on the current (first listed) prescription
+  const handlePrescriptionsChange = useCallback((prescriptions) => {
+    setCurrentPrescription(prescriptions[0] || null);
+  }, []);
+
+  // Record a refill of a saved medication; its stock is added to the form's count
+  const handleRecordRefill = async (refill) => {
+    const result = await medicationApi.recordRefill(medication.id, refill);
+
+    setFormData((prev) => ({
+      ...prev,
+      total_tablets: (parseFloat(prev.total_tablets) || 0) + result.data.quantity,
+    }));
+    // The refilled stock is not at a location until it is moved to one
+    setLocationsKey((key) => key + 1);
+
+    // A refill filled on a prescription used one of its refills
+    if (result.prescription) {
+      setPrescriptionsKey((key) => key + 1);
+    }
+
+    // The forecast only changes on the server; a failed refresh keeps the old one
+    try {
+      const updated = await medicationApi.getById(medication.id);
+      setForecast(updated.data.inventory_stats || null);
+    } catch (err) {
+      console.error("Failed to refresh stock forecast:", err);
+    }
+  };
+
   // Validate form
   const validateForm = () => {
     const errors = {};
@@ -173,20 +303,92 @@ const MedicationForm = ({
       }
     }
 
-    // Dose validation
-    if (doses.length === 0) {
-      errors.doses = "At least one dose is required";
-    } else {
-      // Validate individual doses
-      const doseErrors = doses.some(
+    // Dose validation; as-needed medications are not scheduled and
+    // tapering steps can replace the regular doses entirely
+    const hasInvalidDose = (doseList) =>
+      doseList.some(
         (dose) =>
           !dose.time_of_day ||
           !dose.dose_amount ||
           parseFloat(dose.dose_amount) <= 0
       );
 
-      if (doseErrors) {
-        errors.doses = "All doses must have valid time and amount";
+    if (doses.length === 0) {
+      if (!isAsNeeded && phases.length === 0) {
+        errors.doses = "At least one dose is required";
+      }
+    } else if (hasInvalidDose(doses)) {
+      errors.doses = "All doses must have valid time and amount";
+    }
+
+    if (!isAsNeeded && phases.length > 0) {
+      const sortedPhases = [...phases].sort((a, b) =>
+        (a.start_date || "").localeCompare(b.start_date || "")
+      );
+
+      if (
+        phases.some(
+          (phase) =>
+            !phase.start_date ||
+            (phase.end_date && phase.end_date < phase.start_date)
+        )
+      ) {
+        errors.phases =
+          "Each step needs a start date on or before its end date";
+      } else if (
+        phases.some(
+          (phase) => !phase.doses?.length || hasInvalidDose(phase.doses)
+        )
+      ) {
+        errors.phases =
+          "Each step needs at least one dose with a valid time and amount";
+      } else if (
+        sortedPhases.some(
+          (phase, index) =>
+            index > 0 &&
+            (!sortedPhases[index - 1].end_date ||
+              sortedPhases[index - 1].end_date >= phase.start_date)
+        )
+      ) {
+        errors.phases = "Tapering steps cannot overlap";
+      }
+    }
+
+    // As-needed limits are optional but must be positive
+    if (isAsNeeded) {
+      Object.keys(PRN_LIMIT_FIELDS).forEach((field) => {
+        if (formData[field] !== "" && !(parseFloat(formData[field]) > 0)) {
+          errors[field] = "Must be greater than 0";
+        }
+      });
+
+      if (
+        parseFloat(formData.prn_dose_amount) >
+        parseFloat(formData.prn_max_daily_amount)
+      ) {
+        errors.prn_dose_amount = "Cannot exceed the maximum per 24 hours";
+      }
+    }
+
+    // An on/off cycle needs both lengths as whole numbers of days
+    if (!isAsNeeded) {
+      const hasDaysOn = formData.cycle_days_on !== "";
+      const hasDaysOff = formData.cycle_days_off !== "";
+
+      ["cycle_days_on", "cycle_days_off"].forEach((field) => {
+        const value = Number(formData[field]);
+        if (formData[field] !== "" && !(Number.isInteger(value) && value > 0)) {
+          errors[field] = "Must be a whole number of days";
+        }
+      });
+
+      if (hasDaysOn !== hasDaysOff) {
+        errors[hasDaysOn ? "cycle_days_off" : "cycle_days_on"] =
+          "Set both days on and days off";
+      }
+
+      if (formData.cycle_start_date && !(hasDaysOn && hasDaysOff)) {
+        errors.cycle_start_date = "Set the cycle lengths first";
       }
     }
 
@@ -195,10 +397,30 @@ const MedicationForm = ({
       errors.sheet_size = "Sheet size must be greater than 0";
     }
 
+    ["package_volume_ml", "units_per_ml"].forEach((field) => {
+      if (formData[field] !== "" && !(parseFloat(formData[field]) > 0)) {
+        errors[field] = "Must be greater than 0";
+      }
+    });
+
+    if (
+      hasPackageVolume &&
+      formData.dose_unit !== "ml" &&
+      formData.units_per_ml === ""
+    ) {
+      errors.units_per_ml = `Set how many ${doseUnits} are in 1 ml`;
+    } else if (hasPackageVolume && !Number.isInteger(packageSize)) {
+      errors.package_volume_ml = `Must hold a whole number of ${doseUnits}`;
+    }
+
     if (formData.total_tablets < 0) {
       errors.total_tablets = "Total tablets cannot be negative";
     }
 
+    if (formData.unit_price !== "" && !(parseFloat(formData.unit_price) >= 0)) {
+      errors.unit_price = "Price cannot be negative";
+    }
+
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -217,11 +439,54 @@ const MedicationForm = ({
         ...dose,
         dose_amount: parseFloat(dose.dose_amount),
       })),
+      phases: isAsNeeded
+        ? []
+        : phases.map((phase) => ({
+            ...phase,
+            doses: phase.doses.map((dose) => ({
+              ...dose,
+              dose_amount: parseFloat(dose.dose_amount),
+            })),
+          })),
       skip_dates: skipDates.map((date) => ({ skip_date: date })),
-      sheet_size: parseInt(formData.sheet_size),
+      sheet_size: parseInt(hasPackageVolume ? packageSize : formData.sheet_size),
       total_tablets: parseFloat(formData.total_tablets),
+      package_volume_ml: hasPackageVolume
+        ? parseFloat(formData.package_volume_ml)
+        : null,
+      // Doses measured in ml need no concentration
+      units_per_ml:
+        formData.dose_unit !== "ml" && formData.units_per_ml !== ""
+          ? parseFloat(formData.units_per_ml)
+          : null,
+      unit_price:
+        formData.unit_price !== "" ? parseFloat(formData.unit_price) : null,
+      pharmacy_id: formData.pharmacy_id ? parseInt(formData.pharmacy_id) : null,
     };
 
+    // Limits only apply to as-needed medications; empty fields clear them
+    Object.keys(PRN_LIMIT_FIELDS).forEach((field) => {
+      submitData[field] =
+        isAsNeeded && formData[field] !== ""
+          ? parseFloat(formData[field])
+          : null;
+    });
+
+    // Cycles only apply to scheduled medications; empty fields clear them
+    const hasCycle =
+      !isAsNeeded &&
+      formData.cycle_days_on !== "" &&
+      formData.cycle_days_off !== "";
+    submitData.cycle_days_on = hasCycle
+      ? parseInt(formData.cycle_days_on)
+      : null;
+    submitData.cycle_days_off = hasCycle
+      ? parseInt(formData.cycle_days_off)
+      : null;
+    submitData.cycle_start_date = hasCycle
+      ? formData.cycle_start_date || null
+      : null;
+
     try {
       await onSubmit(submitData);
     } catch (err) {
@@ -229,18 +494,31 @@ const MedicationForm = ({
     }
   };
 
-  // Calculate active days
+  // Calculate active days: days in the "on" part of the cycle that are not skipped
   const calculateActiveDays = () => {
     if (!formData.start_date) return 0;
 
-    const startDate = new Date(formData.start_date);
-    const endDate = formData.end_date
-      ? new Date(formData.end_date)
-      : new Date();
+    const endDate = formData.end_date || new Date().toISOString().split("T")[0];
+    const daysOn = isAsNeeded ? 0 : parseInt(formData.cycle_days_on);
+    const daysOff = isAsNeeded ? 0 : parseInt(formData.cycle_days_off);
+    const anchor = formData.cycle_start_date || formData.start_date;
+    const skipped = new Set(skipDates);
 
-    const totalDays =
-      Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
-    const activeDays = Math.max(0, totalDays - skipDates.length);
+    let activeDays = 0;
+    const date = new Date(`${formData.start_date}T00:00:00Z`);
+    for (
+      let dateStr = formData.start_date;
+      dateStr <= endDate;
+      dateStr = date.toISOString().split("T")[0]
+    ) {
+      if (
+        !skipped.has(dateStr) &&
+        isCycleOnDate(daysOn, daysOff, anchor, dateStr)
+      ) {
+        activeDays++;
+      }
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
 
     return activeDays;
   };
@@ -382,6 +660,27 @@ const MedicationForm = ({
               )}
             </div>
 
+            <div className="form-field">
+              <label className="form-label" htmlFor="pharmacy_id">
+                Preferred Pharmacy
+              </label>
+              <select
+                id="pharmacy_id"
+                value={formData.pharmacy_id}
+                onChange={(e) =>
+                  handleFieldChange("pharmacy_id", e.target.value)
+                }
+                className="form-input-base form-input-animated form-input-md w-full"
+              >
+                <option value="">No preferred pharmacy</option>
+                {pharmacies.map((pharmacy) => (
+                  <option key={pharmacy.id} value={pharmacy.id}>
+                    {pharmacy.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <div className="form-field">
               <label className="form-label">Start Date *</label>
               <div className="form-input-container form-field-animated">
@@ -448,6 +747,77 @@ const MedicationForm = ({
             </div>
           </div>
 
+          {!isAsNeeded && (
+            <div className="mt-6">
+              <p className="text-body-small text-neutral-600 dark:text-neutral-400 mb-4">
+                Optional on/off cycle, for example 21 days on and 7 days off.
+                Doses are only scheduled on the days on.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <Input
+                  label="Days on"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={formData.cycle_days_on}
+                  onChange={(e) =>
+                    handleFieldChange("cycle_days_on", e.target.value)
+                  }
+                  error={validationErrors.cycle_days_on}
+                  placeholder="No cycle"
+                />
+                <Input
+                  label="Days off"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={formData.cycle_days_off}
+                  onChange={(e) =>
+                    handleFieldChange("cycle_days_off", e.target.value)
+                  }
+                  error={validationErrors.cycle_days_off}
+                  placeholder="No cycle"
+                />
+                <Input
+                  label="Cycle starts on"
+                  type="date"
+                  value={formData.cycle_start_date}
+                  onChange={(e) =>
+                    handleFieldChange("cycle_start_date", e.target.value)
+                  }
+                  error={validationErrors.cycle_start_date}
+                  helpText="Defaults to the start date"
+                />
+              </div>
+            </div>
+          )}
+
+          {isAsNeeded && (
+            <div className="mt-6">
+              <p className="text-body-small text-neutral-600 dark:text-neutral-400 mb-4">
+                Taken as needed: set the limits that are checked each time a
+                dose is recorded.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                {Object.entries(PRN_LIMIT_FIELDS).map(([field, label]) => (
+                  <Input
+                    key={field}
+                    label={label(doseUnits)}
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={formData[field]}
+                    onChange={(e) => handleFieldChange(field, e.target.value)}
+                    error={validationErrors[field]}
+                    placeholder={
+                      field === "prn_dose_amount" ? "1" : "No limit"
+                    }
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="mt-6">
             <div className="form-field">
               <label className="form-label">Notes</label>
@@ -504,9 +874,43 @@ const MedicationForm = ({
             onChange={handleDosesChange}
             routes={routes}
             error={validationErrors.doses}
+            doseUnit={formData.dose_unit}
           />
         </div>
 
+        {/* Tapering Steps */}
+        {!isAsNeeded && (
+          <div className="bg-white dark:bg-neutral-800 rounded-xl shadow-sm border border-neutral-200 dark:border-neutral-700 p-6 hover:shadow-md transition-all duration-200 card-parallax stagger-item">
+            <div className="flex items-center space-x-3 mb-6">
+              <div className="p-2 bg-primary-100 dark:bg-primary-900/30 rounded-xl">
+                <HeroIcon
+                  icon={ArrowTrendingDownIcon}
+                  size="md"
+                  className="text-primary-600 dark:text-primary-400"
+                />
+              </div>
+              <div className="flex-1">
+                <h3 className="text-xl font-bold text-neutral-900 dark:text-neutral-100">
+                  Tapering Steps
+                </h3>
+                <p className="text-sm text-neutral-500 dark:text-neutral-400 mt-1">
+                  On the dates of a step its doses replace the dose schedule
+                  above
+                </p>
+              </div>
+            </div>
+
+            <DosePhaseForm
+              phases={phases}
+              onChange={handlePhasesChange}
+              routes={routes}
+              defaultStartDate={formData.start_date}
+              error={validationErrors.phases}
+              doseUnit={formData.dose_unit}
+            />
+          </div>
+        )}
+
         {/* Enhanced Skip Dates */}
         <div className="bg-white dark:bg-neutral-800 rounded-xl shadow-sm border border-neutral-200 dark:border-neutral-700 p-6 hover:shadow-md transition-all duration-200 card-parallax stagger-item">
           <div className="flex items-center space-x-3 mb-6">
@@ -576,6 +980,35 @@ const MedicationForm = ({
           )}
         </div>
 
+        {/* Prescriptions of a saved medication */}
+        {medication?.id && (
+          <div className="bg-white dark:bg-neutral-800 rounded-xl shadow-sm border border-neutral-200 dark:border-neutral-700 p-6 hover:shadow-md transition-all duration-200 card-parallax stagger-item">
+            <div className="flex items-center space-x-3 mb-6">
+              <div className="p-2 bg-primary-100 dark:bg-primary-900/30 rounded-xl">
+                <HeroIcon
+                  icon={DocumentTextIcon}
+                  size="md"
+                  className="text-primary-600 dark:text-primary-400"
+                />
+              </div>
+              <div className="flex-1">
+                <h3 className="text-xl font-bold text-neutral-900 dark:text-neutral-100">
+                  Prescriptions
+                </h3>
+                <p className="text-sm text-neutral-500 dark:text-neutral-400 mt-1">
+                  Refills are filled on the current prescription
+                </p>
+              </div>
+            </div>
+
+            <PrescriptionManager
+              medicationId={medication.id}
+              refreshKey={prescriptionsKey}
+              onChange={handlePrescriptionsChange}
+            />
+          </div>
+        )}
+
         {/* Enhanced Inventory Management */}
         <div className="bg-white dark:bg-neutral-800 rounded-xl shadow-sm border border-neutral-200 dark:border-neutral-700 p-6 hover:shadow-md transition-all duration-200 card-parallax stagger-item">
           <div className="flex items-center space-x-3 mb-6">
@@ -591,20 +1024,142 @@ const MedicationForm = ({
                 Inventory Management
               </h3>
               <p className="text-sm text-neutral-500 dark:text-neutral-400 mt-1">
-                Track medication stock and sheet sizes
+                Track medication stock and package sizes
               </p>
             </div>
           </div>
 
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <div className="form-field">
+              <label className="form-label" htmlFor="dose_unit">
+                Dose Unit
+              </label>
+              <select
+                id="dose_unit"
+                value={formData.dose_unit}
+                onChange={(e) => handleFieldChange("dose_unit", e.target.value)}
+                className="form-input-base form-input-animated form-input-md w-full"
+              >
+                {Object.entries(DOSE_UNITS).map(([unit, names]) => (
+                  <option key={unit} value={unit}>
+                    {capitalize(names.plural)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-field">
+              <label className="form-label" htmlFor="package_unit">
+                Package
+              </label>
+              <select
+                id="package_unit"
+                value={formData.package_unit}
+                onChange={(e) =>
+                  handleFieldChange("package_unit", e.target.value)
+                }
+                className="form-input-base form-input-animated form-input-md w-full"
+              >
+                {Object.entries(PACKAGE_UNITS).map(([unit, names]) => (
+                  <option key={unit} value={unit}>
+                    {capitalize(names.singular)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <Input
+              label="Package Volume (ml)"
+              type="number"
+              min="0"
+              step="0.1"
+              value={formData.package_volume_ml}
+              onChange={(e) =>
+                handleFieldChange("package_volume_ml", e.target.value)
+              }
+              error={validationErrors.package_volume_ml}
+              placeholder="Not a liquid"
+              helpText="For liquids, pens and vials"
+            />
+
+            {formData.dose_unit !== "ml" && (
+              <Input
+                label={`${capitalize(doseUnits)} per ml`}
+                type="number"
+                min="0"
+                step="0.1"
+                value={formData.units_per_ml}
+                onChange={(e) =>
+                  handleFieldChange("units_per_ml", e.target.value)
+                }
+                error={validationErrors.units_per_ml}
+                placeholder="e.g., 100"
+                helpText={
+                  hasPackageVolume && packageSize > 0
+                    ? `${formatQuantity(packageSize, formData.dose_unit)} per ${getUnitLabel(formData.package_unit, 1)}`
+                    : "Concentration of the liquid"
+                }
+              />
+            )}
+
+            <Input
+              label={`Price per ${getUnitLabel(formData.dose_unit, 1)}`}
+              type="number"
+              min="0"
+              step="0.0001"
+              value={formData.unit_price}
+              onChange={(e) => handleFieldChange("unit_price", e.target.value)}
+              error={validationErrors.unit_price}
+              placeholder="Optional"
+              helpText="Used for stock without a priced refill"
+            />
+          </div>
+
           <InventoryTracker
-            sheetSize={formData.sheet_size}
+            sheetSize={hasPackageVolume ? packageSize : formData.sheet_size}
             totalTablets={formData.total_tablets}
             onChange={handleInventoryChange}
             sheetSizeError={validationErrors.sheet_size}
             totalTabletsError={validationErrors.total_tablets}
+            doseUnit={formData.dose_unit}
+            packageUnit={formData.package_unit}
+            packageSizeEditable={!hasPackageVolume}
+            onRecordRefill={medication?.id ? handleRecordRefill : null}
+            forecast={forecast}
+            currentPrescription={currentPrescription}
           />
         </div>
 
+        {/* Stock of a saved medication at its storage locations */}
+        {medication?.id && (
+          <div className="bg-white dark:bg-neutral-800 rounded-xl shadow-sm border border-neutral-200 dark:border-neutral-700 p-6 hover:shadow-md transition-all duration-200 card-parallax stagger-item">
+            <div className="flex items-center space-x-3 mb-6">
+              <div className="p-2 bg-success-100 dark:bg-success-900/30 rounded-xl">
+                <HeroIcon
+                  icon={ArchiveBoxIcon}
+                  size="md"
+                  className="text-success-600 dark:text-success-400"
+                />
+              </div>
+              <div className="flex-1">
+                <h3 className="text-xl font-bold text-neutral-900 dark:text-neutral-100">
+                  Storage Locations
+                </h3>
+                <p className="text-sm text-neutral-500 dark:text-neutral-400 mt-1">
+                  Each location's forecast assumes every dose comes out of it
+                </p>
+              </div>
+            </div>
+
+            <StockLocations
+              medicationId={medication.id}
+              patientId={medication.patient_id}
+              doseUnit={formData.dose_unit}
+              refreshKey={locationsKey}
+            />
+          </div>
+        )}
+
         {/* Enhanced Form Actions */}
         <div className="flex flex-col sm:flex-row justify-end space-y-3 sm:space-y-0 sm:space-x-4 pt-6 border-t border-neutral-200 dark:border-neutral-700 stagger-item">
           <Button
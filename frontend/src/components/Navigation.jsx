@@ -1,13 +1,19 @@
-import { NavLink } from "react-router-dom";
+import { NavLink, useNavigate } from "react-router-dom";
 import { useState } from "react";
 import ThemeToggle from "./ThemeToggle";
+import PatientSwitcher from "./PatientSwitcher";
+import { useAuth } from "../hooks/useAuth";
 import {
   Bars3Icon,
   XMarkIcon,
   ChartBarIcon,
   BeakerIcon,
   Cog6ToothIcon,
+  ShoppingBagIcon,
+  ClipboardDocumentCheckIcon,
+  BanknotesIcon,
   HeartIcon,
+  ArrowRightOnRectangleIcon,
 } from "@heroicons/react/24/outline";
 import { HeroIcon } from "./ui/Icon";
 
@@ -16,15 +22,27 @@ function Navigation() {
   const navItems = [
     { path: "/", label: "Dashboard", icon: ChartBarIcon },
     { path: "/manage", label: "Manage", icon: BeakerIcon },
+    { path: "/shopping-list", label: "Shopping", icon: ShoppingBagIcon },
+    { path: "/stock-take", label: "Stock-Take", icon: ClipboardDocumentCheckIcon },
+    { path: "/reports", label: "Reports", icon: BanknotesIcon },
     { path: "/settings", label: "Settings", icon: Cog6ToothIcon },
   ];
 
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+
   const closeMobileMenu = () => {
     setIsMobileMenuOpen(false);
   };
 
+  const handleLogout = async () => {
+    closeMobileMenu();
+    await logout();
+    navigate("/login", { replace: true });
+  };
+
   return (
-    <nav className="bg-gradient-to-r from-primary-600 to-primary-700 text-white shadow-lg border-b border-primary-800/20 backdrop-blur-sm parallax-subtle">
+    <nav className="bg-gradient-to-r from-primary-600 to-primary-700 text-white shadow-lg border-b border-primary-800/20 backdrop-blur-sm parallax-subtle print:hidden">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex justify-between h-16">
           {/* Enhanced Logo and Brand */}
@@ -86,13 +104,24 @@ function Navigation() {
               </NavLink>
             ))}
 
+            <PatientSwitcher className="ml-4" />
+
             {/* Enhanced Theme Toggle for Desktop */}
-            <div className="ml-6 pl-6 border-l border-white/20">
+            <div className="ml-6 pl-6 border-l border-white/20 flex items-center space-x-2">
               <ThemeToggle
                 variant="navigation"
                 size="md"
                 className="focus:ring-white/50 hover:bg-white/10 rounded-lg transition-colors duration-200"
               />
+              <button
+                type="button"
+                onClick={handleLogout}
+                className="p-2 rounded-lg text-primary-100 hover:text-white hover:bg-white/10 focus:outline-none focus:ring-2 focus:ring-white/50 transition-colors duration-200"
+                aria-label="Sign out"
+                title={user?.email ? `Sign out ${user.email}` : "Sign out"}
+              >
+                <HeroIcon icon={ArrowRightOnRectangleIcon} size="md" />
+              </button>
             </div>
           </div>
 
@@ -202,8 +231,9 @@ function Navigation() {
             </NavLink>
           ))}
 
-          {/* Mobile menu footer with theme toggle */}
+          {/* Mobile menu footer with patient switcher and theme toggle */}
           <div className="pt-4 mt-4 border-t border-white/10">
+            <PatientSwitcher className="px-4 py-2" />
             <div className="flex items-center justify-between px-4 py-2">
               <span className="text-sm text-primary-200 font-medium">
                 Theme
@@ -214,6 +244,17 @@ function Navigation() {
                 className="focus:ring-white/50"
               />
             </div>
+            <button
+              type="button"
+              onClick={handleLogout}
+              className="w-full flex items-center justify-between px-4 py-2 text-sm text-primary-100 hover:text-white font-medium"
+            >
+              <span className="truncate">{user?.name}</span>
+              <span className="flex items-center space-x-2">
+                <span>Sign out</span>
+                <HeroIcon icon={ArrowRightOnRectangleIcon} size="sm" />
+              </span>
+            </button>
           </div>
         </div>
       </div>
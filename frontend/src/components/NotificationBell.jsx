@@ -2,8 +2,9 @@ import { useState, useEffect } from "react";
 import { BellIcon } from "@heroicons/react/24/outline";
 import { HeroIcon } from "./ui/Icon";
 import NotificationPanel from "./NotificationPanel";
+import { useServerEvents } from "../hooks/useServerEvents";
 
-const NotificationBell = ({ medicationId = null }) => {
+const NotificationBell = ({ medicationId = null, patientId = null }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [unreadCount, setUnreadCount] = useState(0);
   const [loading, setLoading] = useState(false);
@@ -18,6 +19,9 @@ const NotificationBell = ({ medicationId = null }) => {
       if (medicationId) {
         params.append("medicine_id", medicationId);
       }
+      if (patientId) {
+        params.append("patient_id", patientId);
+      }
 
       const response = await fetch(`/api/notifications?${params}`);
       const result = await response.json();
@@ -32,15 +36,26 @@ const NotificationBell = ({ medicationId = null }) => {
     }
   };
 
-  // Refresh unread count periodically
+  // Load the unread count, then keep it current from the event stream
   useEffect(() => {
     fetchUnreadCount();
+  }, [medicationId, patientId]);
 
-    // Set up polling for unread count every 30 seconds
-    const interval = setInterval(fetchUnreadCount, 30000);
-
-    return () => clearInterval(interval);
-  }, [medicationId]);
+  // New notifications arrive as they are created; the count is polled every
+  // 30 seconds only while the stream is down
+  useServerEvents(
+    {
+      notification: (notification) => {
+        if (
+          (!medicationId || String(notification.medicine_id) === String(medicationId)) &&
+          (!patientId || String(notification.patient_id) === String(patientId))
+        ) {
+          fetchUnreadCount();
+        }
+      },
+    },
+    { onPoll: fetchUnreadCount, pollInterval: 30000 }
+  );
 
   // Handle panel close
   const handlePanelClose = () => {
@@ -92,6 +107,7 @@ const NotificationBell = ({ medicationId = null }) => {
         isOpen={isOpen}
         onClose={handlePanelClose}
         medicationId={medicationId}
+        patientId={patientId}
       />
     </>
   );
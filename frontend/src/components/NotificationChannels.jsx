@@ -0,0 +1,304 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  BellAlertIcon,
+  DevicePhoneMobileIcon,
+  EnvelopeIcon,
+  GlobeAltIcon,
+  PaperAirplaneIcon,
+  PlusIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import ErrorMessage from "./ErrorMessage";
+import { HeroIcon } from "./ui/Icon";
+import Input from "./ui/Input";
+import Button from "./ui/Button";
+import { notificationApi } from "../utils/apiClient";
+import { isPushSupported, subscribeToPush } from "../utils/serviceWorker";
+
+const CHANNEL_DETAILS = {
+  email: { label: "Email", icon: EnvelopeIcon },
+  webhook: { label: "Webhook", icon: GlobeAltIcon },
+  web_push: { label: "Browser push", icon: DevicePhoneMobileIcon },
+};
+
+const EMPTY_WEBHOOK_FORM = { target: "", secret: "" };
+
+// Where notifications are delivered besides the in-app panel: email, webhooks
+// and push to this browser. Each user manages their own channels.
+function NotificationChannels() {
+  const [channels, setChannels] = useState([]);
+  const [available, setAvailable] = useState(null);
+  const [email, setEmail] = useState("");
+  const [webhookForm, setWebhookForm] = useState(EMPTY_WEBHOOK_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const fetchChannels = useCallback(async () => {
+    try {
+      const [channelsResult, availableResult] = await Promise.all([
+        notificationApi.getChannels(),
+        notificationApi.getAvailableChannels(),
+      ]);
+      setChannels(channelsResult.data || []);
+      setAvailable(availableResult.data || null);
+    } catch (err) {
+      console.error("Error loading delivery channels:", err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchChannels();
+  }, [fetchChannels]);
+
+  const runAction = async (action, successMessage = "") => {
+    setError("");
+    setMessage("");
+    setSaving(true);
+    try {
+      await action();
+      setMessage(successMessage);
+      await fetchChannels();
+    } catch (err) {
+      console.error("Error updating delivery channels:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddEmail = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      // Without an address the server uses the account's email
+      await notificationApi.createChannel({
+        channel: "email",
+        ...(email.trim() && { target: email.trim() }),
+      });
+      setEmail("");
+    });
+  };
+
+  const handleAddWebhook = (e) => {
+    e.preventDefault();
+
+    if (!webhookForm.target.trim()) {
+      setError("Webhook URL is required");
+      return;
+    }
+
+    runAction(async () => {
+      await notificationApi.createChannel({
+        channel: "webhook",
+        target: webhookForm.target.trim(),
+        secret: webhookForm.secret.trim() || null,
+      });
+      setWebhookForm(EMPTY_WEBHOOK_FORM);
+    });
+  };
+
+  const handleEnablePush = () => {
+    runAction(async () => {
+      const subscription = await subscribeToPush(available.web_push.public_key);
+      await notificationApi.createChannel({ channel: "web_push", subscription });
+    }, "Push notifications are on for this browser");
+  };
+
+  const handleToggle = (channel) => {
+    runAction(() =>
+      notificationApi.updateChannel(channel.id, {
+        is_enabled: !channel.is_enabled,
+      })
+    );
+  };
+
+  const handleTest = (channel) => {
+    runAction(
+      () => notificationApi.testChannel(channel.id),
+      `Test message sent to ${channel.target}`
+    );
+  };
+
+  const handleRemove = (channel) => {
+    if (!confirm(`Stop delivering notifications to ${channel.target}?`)) {
+      return;
+    }
+    runAction(() => notificationApi.deleteChannel(channel.id));
+  };
+
+  const pushAvailable = available?.web_push?.configured && isPushSupported();
+
+  return (
+    <div>
+      {/* Section Header */}
+      <div className="flex items-center gap-4 mb-8">
+        <div className="w-10 h-10 bg-primary-100 dark:bg-primary-900/30 rounded-lg flex items-center justify-center">
+          <HeroIcon icon={BellAlertIcon} size="lg" color="primary" />
+        </div>
+        <div>
+          <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100">
+            Notification Delivery
+          </h2>
+          <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+            Get reminders and alerts by email, webhook or browser push, even
+            when the app is closed
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6">
+          <ErrorMessage message={error} onDismiss={() => setError("")} />
+        </div>
+      )}
+
+      {message && (
+        <p className="mb-6 text-body-small text-success-700 dark:text-success-400">
+          {message}
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+        {available?.email?.configured && (
+          <form
+            onSubmit={handleAddEmail}
+            className="bg-neutral-50 dark:bg-neutral-700/50 rounded-xl p-6 border border-neutral-200 dark:border-neutral-600"
+          >
+            <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+              Email
+            </h3>
+            <Input
+              label="Email Address"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Leave empty to use your account email"
+            />
+            <div className="flex justify-end mt-4">
+              <Button type="submit" variant="primary" disabled={saving}>
+                <HeroIcon icon={PlusIcon} size="sm" />
+                Add Email
+              </Button>
+            </div>
+          </form>
+        )}
+
+        <form
+          onSubmit={handleAddWebhook}
+          className="bg-neutral-50 dark:bg-neutral-700/50 rounded-xl p-6 border border-neutral-200 dark:border-neutral-600"
+        >
+          <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+            Webhook
+          </h3>
+          <div className="space-y-4">
+            <Input
+              label="Webhook URL"
+              value={webhookForm.target}
+              onChange={(e) =>
+                setWebhookForm({ ...webhookForm, target: e.target.value })
+              }
+              placeholder="https://example.com/hooks/medications"
+            />
+            <Input
+              label="Signing Secret"
+              value={webhookForm.secret}
+              onChange={(e) =>
+                setWebhookForm({ ...webhookForm, secret: e.target.value })
+              }
+              placeholder="Optional; signs requests with X-Signature-256"
+            />
+          </div>
+          <div className="flex justify-end mt-4">
+            <Button type="submit" variant="primary" disabled={saving}>
+              <HeroIcon icon={PlusIcon} size="sm" />
+              Add Webhook
+            </Button>
+          </div>
+        </form>
+      </div>
+
+      {pushAvailable && (
+        <div className="mb-8">
+          <Button variant="secondary" onClick={handleEnablePush} disabled={saving}>
+            <HeroIcon icon={DevicePhoneMobileIcon} size="sm" />
+            Enable Push in This Browser
+          </Button>
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+          Your Channels ({channels.length})
+        </h3>
+
+        {channels.length > 0 ? (
+          <div className="space-y-4">
+            {channels.map((channel) => {
+              const details = CHANNEL_DETAILS[channel.channel];
+
+              return (
+                <div
+                  key={channel.id}
+                  className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl p-4 flex items-center justify-between gap-4"
+                >
+                  <div className="flex items-center gap-3 min-w-0">
+                    <HeroIcon icon={details.icon} size="md" color="muted" />
+                    <div className="min-w-0">
+                      <p className="text-body-small font-medium text-neutral-900 dark:text-neutral-100">
+                        {details.label}
+                        {!channel.is_enabled && " (off)"}
+                      </p>
+                      <p className="text-caption text-neutral-500 truncate">
+                        {channel.target}
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <label className="flex items-center cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={channel.is_enabled}
+                        onChange={() => handleToggle(channel)}
+                        className="mr-2 h-4 w-4 text-primary-600 focus:ring-primary-500 border-neutral-300 rounded"
+                        aria-label={`Deliver to ${channel.target}`}
+                      />
+                      <span className="text-caption text-neutral-600 dark:text-neutral-400">
+                        On
+                      </span>
+                    </label>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleTest(channel)}
+                      disabled={saving || !channel.is_enabled}
+                    >
+                      <HeroIcon icon={PaperAirplaneIcon} size="sm" />
+                      Test
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleRemove(channel)}
+                      className="text-error-600 hover:text-error-700 hover:bg-error-50 dark:hover:bg-error-900/20"
+                      aria-label={`Remove ${channel.target}`}
+                    >
+                      <HeroIcon icon={TrashIcon} size="sm" />
+                    </Button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+            Notifications only appear in the app until you add a channel.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default NotificationChannels;
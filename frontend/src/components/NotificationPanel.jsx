@@ -7,21 +7,169 @@ import {
   ExclamationCircleIcon,
   InformationCircleIcon,
   ArrowPathIcon,
+  CalendarDaysIcon,
+  DocumentTextIcon,
+  BuildingStorefrontIcon,
+  NewspaperIcon,
 } from "@heroicons/react/24/outline";
 import { HeroIcon } from "./ui/Icon";
 import Button from "./ui/Button";
 import StatusBadge from "./ui/StatusBadge";
+import { useServerEvents } from "../hooks/useServerEvents";
+import { formatQuantity } from "../utils/units";
+
+// Unread buy-soon notifications as one shopping trip per preferred pharmacy, by pharmacy
+// name, with the medications without a preferred pharmacy last
+const groupBuySoonByPharmacy = (notifications) => {
+  const groups = new Map();
+
+  notifications
+    .filter((n) => n.type === "BUY_SOON" && !n.is_read)
+    .forEach((notification) => {
+      const key = notification.pharmacy_id ?? null;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          pharmacy_id: key,
+          pharmacy_name: notification.pharmacy_name,
+          medications: [],
+        });
+      }
+
+      const medications = groups.get(key).medications;
+      if (
+        notification.medication_name &&
+        !medications.includes(notification.medication_name)
+      ) {
+        medications.push(notification.medication_name);
+      }
+    });
+
+  return [...groups.values()].sort((a, b) => {
+    if (a.pharmacy_id === null) return 1;
+    if (b.pharmacy_id === null) return -1;
+    return a.pharmacy_name.localeCompare(b.pharmacy_name);
+  });
+};
+
+// A scheduled dose in a digest, e.g. "08:00 Aspirin 100mg, 1 tablet"
+const formatDigestDose = (dose) =>
+  `${String(dose.time_of_day).substring(0, 5)} ${dose.medication_name}${
+    dose.medication_strength ? ` ${dose.medication_strength}` : ""
+  }, ${formatQuantity(dose.dose_amount, dose.dose_unit)}`;
+
+const DigestSection = ({ title, items, testId }) =>
+  items && items.length > 0 ? (
+    <div data-testid={testId}>
+      <p className="text-xs font-semibold text-neutral-700 dark:text-neutral-300 mb-1">
+        {title}
+      </p>
+      <ul className="space-y-0.5">
+        {items.map((item, index) => (
+          <li
+            key={index}
+            className="text-xs text-neutral-600 dark:text-neutral-400"
+          >
+            {item}
+          </li>
+        ))}
+      </ul>
+    </div>
+  ) : null;
+
+// The lists of a digest: the day's doses, low stock and yesterday's missed doses for the
+// morning digest, adherence per medication for the weekly one
+const DigestDetails = ({ digest }) => {
+  if (!digest) return null;
+
+  if (digest.period === "weekly") {
+    return (
+      <div className="bg-neutral-100 dark:bg-neutral-700 rounded-lg px-3 py-2 mb-3">
+        <p className="text-xs text-neutral-500 dark:text-neutral-400 mb-2">
+          {digest.start_date} to {digest.end_date}
+        </p>
+        <ul className="space-y-2" data-testid="digest-adherence">
+          {(digest.medications || []).map((medication) => (
+            <li key={medication.medication_id}>
+              <div className="flex justify-between text-xs text-neutral-700 dark:text-neutral-300">
+                <span className="font-medium">{medication.medication_name}</span>
+                <span>
+                  {medication.taken_doses} of {medication.scheduled_doses} taken
+                  {medication.adherence_rate !== null &&
+                    ` (${medication.adherence_rate}%)`}
+                </span>
+              </div>
+              <div className="h-1.5 bg-neutral-200 dark:bg-neutral-600 rounded-full mt-1 overflow-hidden">
+                <div
+                  className="h-full bg-success-500 rounded-full"
+                  style={{ width: `${medication.adherence_rate ?? 0}%` }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-neutral-100 dark:bg-neutral-700 rounded-lg px-3 py-2 mb-3 space-y-2">
+      <DigestSection
+        title="Today's doses"
+        items={(digest.schedule || []).map(formatDigestDose)}
+        testId="digest-schedule"
+      />
+      <DigestSection
+        title="Running low"
+        items={(digest.low_stock || []).map(
+          (item) =>
+            `${item.medication_name}: ${formatQuantity(
+              item.current_tablets,
+              item.dose_unit
+            )} left (${item.days_remaining} days)${
+              item.pharmacy_name ? `, buy at ${item.pharmacy_name}` : ""
+            }`
+        )}
+        testId="digest-low-stock"
+      />
+      <DigestSection
+        title="Missed yesterday"
+        items={(digest.missed_yesterday || []).map(formatDigestDose)}
+        testId="digest-missed"
+      />
+    </div>
+  );
+};
+
+// Snooze choices for dose reminders, in minutes
+const SNOOZE_OPTIONS = [
+  { minutes: 10, label: "10 min" },
+  { minutes: 30, label: "30 min" },
+  { minutes: 60, label: "1 hour" },
+];
+
+// Dose reminders and missed doses nobody has seen to yet; these are raised again or passed
+// on to the secondary caregiver until someone does
+const needsAcknowledgement = (notification) =>
+  (notification.type === "DOSE_DUE" || notification.type === "MISSED_DOSE") &&
+  !notification.acknowledged_at &&
+  !notification.resolved_at;
+
+const isSnoozed = (notification) =>
+  Boolean(notification.snoozed_until) &&
+  new Date(notification.snoozed_until) > new Date();
 
 const NotificationPanel = ({
   isOpen,
   onClose,
   medicationId = null,
+  patientId = null,
   showUnreadOnly = false,
 }) => {
   const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [markingAsRead, setMarkingAsRead] = useState(new Set());
+  const [updatingReminders, setUpdatingReminders] = useState(new Set());
 
   // Fetch notifications
   const fetchNotifications = async () => {
@@ -33,6 +181,9 @@ const NotificationPanel = ({
       if (medicationId) {
         params.append("medicine_id", medicationId);
       }
+      if (patientId) {
+        params.append("patient_id", patientId);
+      }
       if (showUnreadOnly) {
         params.append("is_read", "false");
       }
@@ -99,6 +250,52 @@ const NotificationPanel = ({
     }
   };
 
+  // Snooze a dose reminder ("snooze", with the minutes) or acknowledge a reminder or
+  // missed dose ("acknowledge")
+  const updateReminder = async (notificationId, action, body = {}) => {
+    try {
+      setUpdatingReminders((prev) => new Set(prev).add(notificationId));
+
+      const response = await fetch(
+        `/api/notifications/${notificationId}/${action}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(body),
+        }
+      );
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(
+          result.error?.message || `Failed to ${action} notification`
+        );
+      }
+
+      // Update local state; the response leaves out the medication details
+      const { is_read, snoozed_until, acknowledged_at } = result.data;
+      setNotifications((prev) =>
+        prev.map((notification) =>
+          notification.id === notificationId
+            ? { ...notification, is_read, snoozed_until, acknowledged_at }
+            : notification
+        )
+      );
+    } catch (err) {
+      console.error(`Error trying to ${action} notification:`, err);
+      setError(err.message);
+    } finally {
+      setUpdatingReminders((prev) => {
+        const newSet = new Set(prev);
+        newSet.delete(notificationId);
+        return newSet;
+      });
+    }
+  };
+
   // Mark all notifications as read
   const markAllAsRead = async () => {
     try {
@@ -108,6 +305,9 @@ const NotificationPanel = ({
       if (medicationId) {
         requestBody.medicine_id = medicationId;
       }
+      if (patientId) {
+        requestBody.patient_id = patientId;
+      }
 
       const response = await fetch("/api/notifications/mark-all-read", {
         method: "POST",
@@ -170,6 +370,36 @@ const NotificationPanel = ({
             />
           </div>
         );
+      case "EXPIRING_SOON":
+        return (
+          <div className="flex-shrink-0 w-10 h-10 bg-warning-100 dark:bg-warning-900/30 rounded-xl flex items-center justify-center border border-warning-200 dark:border-warning-800">
+            <HeroIcon
+              icon={CalendarDaysIcon}
+              size="md"
+              className="text-warning-600 dark:text-warning-400"
+            />
+          </div>
+        );
+      case "PRESCRIPTION_RENEWAL":
+        return (
+          <div className="flex-shrink-0 w-10 h-10 bg-warning-100 dark:bg-warning-900/30 rounded-xl flex items-center justify-center border border-warning-200 dark:border-warning-800">
+            <HeroIcon
+              icon={DocumentTextIcon}
+              size="md"
+              className="text-warning-600 dark:text-warning-400"
+            />
+          </div>
+        );
+      case "DIGEST":
+        return (
+          <div className="flex-shrink-0 w-10 h-10 bg-primary-100 dark:bg-primary-900/30 rounded-xl flex items-center justify-center border border-primary-200 dark:border-primary-800">
+            <HeroIcon
+              icon={NewspaperIcon}
+              size="md"
+              className="text-primary-600 dark:text-primary-400"
+            />
+          </div>
+        );
       default:
         return (
           <div className="flex-shrink-0 w-10 h-10 bg-neutral-100 dark:bg-neutral-800 rounded-xl flex items-center justify-center border border-neutral-200 dark:border-neutral-700">
@@ -203,8 +433,8 @@ const NotificationPanel = ({
     }
   };
 
-  // Get notification type display name
-  const getTypeDisplayName = (type) => {
+  // Get notification type display name; digests by their period
+  const getTypeDisplayName = (type, payload = null) => {
     switch (type) {
       case "BUY_SOON":
         return "Buy Soon";
@@ -212,6 +442,12 @@ const NotificationPanel = ({
         return "Dose Due";
       case "MISSED_DOSE":
         return "Missed Dose";
+      case "EXPIRING_SOON":
+        return "Expiring Soon";
+      case "PRESCRIPTION_RENEWAL":
+        return "Renew Prescription";
+      case "DIGEST":
+        return payload?.period === "weekly" ? "Weekly Summary" : "Daily Digest";
       default:
         return type;
     }
@@ -222,11 +458,33 @@ const NotificationPanel = ({
     if (isOpen) {
       fetchNotifications();
     }
-  }, [isOpen, medicationId, showUnreadOnly]);
+  }, [isOpen, medicationId, patientId, showUnreadOnly]);
+
+  // Show new notifications as they arrive while the panel is open; refetch every
+  // 30 seconds instead while the event stream is down
+  useServerEvents(
+    {
+      notification: (notification) => {
+        if (
+          !isOpen ||
+          (medicationId && String(notification.medicine_id) !== String(medicationId)) ||
+          (patientId && String(notification.patient_id) !== String(patientId))
+        ) {
+          return;
+        }
+        setNotifications((current) => [
+          notification,
+          ...current.filter((n) => n.id !== notification.id),
+        ].slice(0, 50));
+      },
+    },
+    { onPoll: isOpen ? fetchNotifications : null, pollInterval: 30000 }
+  );
 
   if (!isOpen) return null;
 
   const unreadCount = notifications.filter((n) => !n.is_read).length;
+  const buySoonTrips = groupBuySoonByPharmacy(notifications);
 
   return (
     <div className="fixed inset-0 z-50 overflow-hidden">
@@ -354,6 +612,36 @@ const NotificationPanel = ({
               </div>
             )}
 
+            {!loading && !error && buySoonTrips.length > 0 && (
+              <div className="px-4 pt-4" data-testid="buy-soon-by-pharmacy">
+                <div className="bg-white dark:bg-neutral-800 rounded-xl border border-error-200 dark:border-error-800 p-4">
+                  <h3 className="text-sm font-semibold text-neutral-900 dark:text-neutral-100 mb-3">
+                    Buy soon by pharmacy
+                  </h3>
+                  <ul className="space-y-2">
+                    {buySoonTrips.map((trip) => (
+                      <li
+                        key={trip.pharmacy_id ?? "none"}
+                        className="flex items-start space-x-2"
+                      >
+                        <HeroIcon
+                          icon={BuildingStorefrontIcon}
+                          size="sm"
+                          className="text-neutral-400 mt-0.5 flex-shrink-0"
+                        />
+                        <p className="text-xs text-neutral-700 dark:text-neutral-300">
+                          <span className="font-semibold">
+                            {trip.pharmacy_name || "No preferred pharmacy"}:
+                          </span>{" "}
+                          {trip.medications.join(", ")}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+
             {!loading && !error && notifications.length > 0 && (
               <div className="p-4 space-y-3">
                 {notifications.map((notification, index) => (
@@ -378,14 +666,19 @@ const NotificationPanel = ({
                                   ? "error"
                                   : notification.type === "DOSE_DUE"
                                   ? "info"
-                                  : notification.type === "MISSED_DOSE"
+                                  : notification.type === "MISSED_DOSE" ||
+                                    notification.type === "EXPIRING_SOON" ||
+                                    notification.type === "PRESCRIPTION_RENEWAL"
                                   ? "warning"
                                   : "neutral"
                               }
                               size="sm"
                               variant="soft"
                             >
-                              {getTypeDisplayName(notification.type)}
+                              {getTypeDisplayName(
+                                notification.type,
+                                notification.payload
+                              )}
                             </StatusBadge>
                             <span className="text-xs text-neutral-500 dark:text-neutral-400 font-medium">
                               {formatNotificationTime(notification.created_at)}
@@ -406,6 +699,70 @@ const NotificationPanel = ({
                             </div>
                           )}
 
+                          {notification.type === "DIGEST" && (
+                            <DigestDetails digest={notification.payload} />
+                          )}
+
+                          {notification.escalation_level > 0 && (
+                            <p className="text-xs text-warning-700 dark:text-warning-400 font-medium mb-2">
+                              {notification.type === "MISSED_DOSE"
+                                ? "Passed on to the secondary caregiver"
+                                : `Reminded ${notification.escalation_level + 1} times`}
+                            </p>
+                          )}
+
+                          {needsAcknowledgement(notification) && (
+                            <div
+                              className="flex flex-wrap items-center gap-2 mb-2"
+                              data-testid={`reminder-actions-${notification.id}`}
+                            >
+                              {notification.type === "DOSE_DUE" &&
+                                (isSnoozed(notification) ? (
+                                  <span className="text-xs text-neutral-500 dark:text-neutral-400">
+                                    Snoozed until{" "}
+                                    {new Date(
+                                      notification.snoozed_until
+                                    ).toLocaleTimeString([], {
+                                      hour: "2-digit",
+                                      minute: "2-digit",
+                                    })}
+                                  </span>
+                                ) : (
+                                  <>
+                                    <span className="text-xs text-neutral-500 dark:text-neutral-400">
+                                      Snooze:
+                                    </span>
+                                    {SNOOZE_OPTIONS.map((option) => (
+                                      <Button
+                                        key={option.minutes}
+                                        variant="outline"
+                                        size="sm"
+                                        onClick={() =>
+                                          updateReminder(notification.id, "snooze", {
+                                            minutes: option.minutes,
+                                          })
+                                        }
+                                        disabled={updatingReminders.has(notification.id)}
+                                      >
+                                        {option.label}
+                                      </Button>
+                                    ))}
+                                  </>
+                                ))}
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() =>
+                                  updateReminder(notification.id, "acknowledge")
+                                }
+                                disabled={updatingReminders.has(notification.id)}
+                                className="text-primary-600 hover:text-primary-700 hover:bg-primary-50 dark:text-primary-400 dark:hover:bg-primary-900/30"
+                              >
+                                Acknowledge
+                              </Button>
+                            </div>
+                          )}
+
                           {!notification.is_read && (
                             <Button
                               variant="ghost"
@@ -0,0 +1,329 @@
+import { useState, useEffect, useCallback } from "react";
+import { AdjustmentsHorizontalIcon, CheckCircleIcon } from "@heroicons/react/24/outline";
+import ErrorMessage from "./ErrorMessage";
+import { HeroIcon } from "./ui/Icon";
+import Input from "./ui/Input";
+import Button from "./ui/Button";
+import { notificationApi, patientApi } from "../utils/apiClient";
+import { usePatient } from "../hooks/usePatient";
+
+const TYPE_LABELS = {
+  DOSE_DUE: "Dose reminders",
+  MISSED_DOSE: "Missed doses",
+  BUY_SOON: "Low stock",
+  EXPIRING_SOON: "Expiring lots",
+  PRESCRIPTION_RENEWAL: "Prescription renewals",
+  DIGEST: "Daily and weekly digests",
+};
+
+// Value of the patient picker for medications without a patient
+const UNASSIGNED = "";
+
+const toForm = (preferences) => ({
+  disabled_types: preferences.disabled_types || [],
+  minutes_ahead: String(preferences.minutes_ahead),
+  hours_overdue: String(preferences.hours_overdue),
+  buy_soon_days_ahead: String(preferences.buy_soon_days_ahead),
+  renotify_minutes: String(preferences.renotify_minutes),
+  max_renotifications: String(preferences.max_renotifications),
+  escalation_user_id:
+    preferences.escalation_user_id === null ? "" : String(preferences.escalation_user_id),
+  quiet_hours_enabled: preferences.quiet_hours_enabled,
+  quiet_hours_start: preferences.quiet_hours_start,
+  quiet_hours_end: preferences.quiet_hours_end,
+});
+
+// Which notifications are raised for a patient, how far ahead, how dose reminders
+// are repeated and escalated, and the quiet hours during which they are held back.
+// Stored on the server, so they apply to every device and delivery channel.
+function NotificationPreferences() {
+  const { patients, selectedPatientId } = usePatient();
+  const [patientId, setPatientId] = useState(
+    selectedPatientId ? String(selectedPatientId) : UNASSIGNED
+  );
+  const [form, setForm] = useState(null);
+  const [types, setTypes] = useState(Object.keys(TYPE_LABELS));
+  const [timezone, setTimezone] = useState("");
+  const [members, setMembers] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const fetchPreferences = useCallback(async () => {
+    setError("");
+    setMessage("");
+    try {
+      const [result, membersResult] = await Promise.all([
+        notificationApi.getPreferences(patientId ? Number(patientId) : null),
+        patientId ? patientApi.getMembers(Number(patientId)) : { data: [] },
+      ]);
+      setForm(toForm(result.data));
+      setMembers(membersResult.data || []);
+      setTimezone(result.data.timezone || "");
+      if (result.types) {
+        setTypes(result.types);
+      }
+    } catch (err) {
+      console.error("Error loading notification preferences:", err);
+      setError(err.message);
+    }
+  }, [patientId]);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, [fetchPreferences]);
+
+  const toggleType = (type) => {
+    const disabled = form.disabled_types.includes(type)
+      ? form.disabled_types.filter((t) => t !== type)
+      : [...form.disabled_types, type];
+    setForm({ ...form, disabled_types: disabled });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    setSaving(true);
+    try {
+      const result = await notificationApi.updatePreferences(
+        patientId ? Number(patientId) : null,
+        {
+          ...form,
+          minutes_ahead: parseInt(form.minutes_ahead),
+          hours_overdue: parseInt(form.hours_overdue),
+          buy_soon_days_ahead: parseInt(form.buy_soon_days_ahead),
+          renotify_minutes: parseInt(form.renotify_minutes),
+          max_renotifications: parseInt(form.max_renotifications),
+          escalation_user_id: form.escalation_user_id
+            ? Number(form.escalation_user_id)
+            : null,
+        }
+      );
+      setForm(toForm(result.data));
+      setMessage("Notification preferences saved");
+    } catch (err) {
+      console.error("Error saving notification preferences:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      {/* Section Header */}
+      <div className="flex items-center gap-4 mb-8">
+        <div className="w-10 h-10 bg-primary-100 dark:bg-primary-900/30 rounded-lg flex items-center justify-center">
+          <HeroIcon icon={AdjustmentsHorizontalIcon} size="lg" color="primary" />
+        </div>
+        <div>
+          <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100">
+            Notification Preferences
+          </h2>
+          <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+            Choose which reminders and alerts each patient gets, how early, and
+            when to keep quiet
+          </p>
+        </div>
+      </div>
+
+      <div className="form-field mb-6 max-w-md">
+        <label className="form-label" htmlFor="notification-preferences-patient">
+          Patient
+        </label>
+        <select
+          id="notification-preferences-patient"
+          value={patientId}
+          onChange={(e) => setPatientId(e.target.value)}
+          className="form-input-base form-input-animated form-input-md w-full"
+        >
+          <option value={UNASSIGNED}>Medications without a patient</option>
+          {patients.map((patient) => (
+            <option key={patient.id} value={String(patient.id)}>
+              {patient.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="mb-6">
+          <ErrorMessage message={error} onDismiss={() => setError("")} />
+        </div>
+      )}
+
+      {message && (
+        <p className="mb-6 text-body-small text-success-700 dark:text-success-400">
+          {message}
+        </p>
+      )}
+
+      {form && (
+        <form onSubmit={handleSubmit} className="space-y-8">
+          <div className="bg-neutral-50 dark:bg-neutral-700/50 rounded-xl p-6 border border-neutral-200 dark:border-neutral-600">
+            <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+              Notifications
+            </h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {types.map((type) => (
+                <label key={type} className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={!form.disabled_types.includes(type)}
+                    onChange={() => toggleType(type)}
+                    className="mr-3 h-4 w-4 text-primary-600 focus:ring-primary-500 border-neutral-300 rounded"
+                  />
+                  <span className="text-sm text-neutral-700 dark:text-neutral-300">
+                    {TYPE_LABELS[type] || type}
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="bg-neutral-50 dark:bg-neutral-700/50 rounded-xl p-6 border border-neutral-200 dark:border-neutral-600">
+            <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+              Timing
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <Input
+                label="Remind Before a Dose (minutes)"
+                type="number"
+                min="5"
+                max="120"
+                value={form.minutes_ahead}
+                onChange={(e) => setForm({ ...form, minutes_ahead: e.target.value })}
+              />
+              <Input
+                label="Report Missed After (hours)"
+                type="number"
+                min="1"
+                max="24"
+                value={form.hours_overdue}
+                onChange={(e) => setForm({ ...form, hours_overdue: e.target.value })}
+              />
+              <Input
+                label="Low Stock Warning (days left)"
+                type="number"
+                min="1"
+                max="30"
+                value={form.buy_soon_days_ahead}
+                onChange={(e) =>
+                  setForm({ ...form, buy_soon_days_ahead: e.target.value })
+                }
+              />
+            </div>
+          </div>
+
+          <div className="bg-neutral-50 dark:bg-neutral-700/50 rounded-xl p-6 border border-neutral-200 dark:border-neutral-600">
+            <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+              Unacknowledged Reminders
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <Input
+                label="Remind Again After (minutes)"
+                type="number"
+                min="5"
+                max="120"
+                value={form.renotify_minutes}
+                onChange={(e) => setForm({ ...form, renotify_minutes: e.target.value })}
+              />
+              <Input
+                label="Remind Again (times)"
+                type="number"
+                min="0"
+                max="5"
+                value={form.max_renotifications}
+                onChange={(e) =>
+                  setForm({ ...form, max_renotifications: e.target.value })
+                }
+              />
+              {patientId && (
+                <div className="form-field">
+                  <label className="form-label" htmlFor="notification-preferences-escalation">
+                    Secondary Caregiver
+                  </label>
+                  <select
+                    id="notification-preferences-escalation"
+                    value={form.escalation_user_id}
+                    onChange={(e) =>
+                      setForm({ ...form, escalation_user_id: e.target.value })
+                    }
+                    className="form-input-base form-input-animated form-input-md w-full"
+                  >
+                    <option value="">Nobody</option>
+                    {members.map((member) => (
+                      <option key={member.user_id} value={String(member.user_id)}>
+                        {member.user_name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+            {patientId && (
+              <p className="mt-3 text-caption text-neutral-500">
+                The secondary caregiver is told about missed doses nobody
+                acknowledged, instead of about every reminder
+              </p>
+            )}
+          </div>
+
+          <div className="bg-neutral-50 dark:bg-neutral-700/50 rounded-xl p-6 border border-neutral-200 dark:border-neutral-600">
+            <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+              Quiet Hours
+            </h3>
+            <label className="flex items-center cursor-pointer mb-4">
+              <input
+                type="checkbox"
+                checked={form.quiet_hours_enabled}
+                onChange={(e) =>
+                  setForm({ ...form, quiet_hours_enabled: e.target.checked })
+                }
+                className="mr-3 h-4 w-4 text-primary-600 focus:ring-primary-500 border-neutral-300 rounded"
+              />
+              <span className="text-sm text-neutral-700 dark:text-neutral-300">
+                Hold notifications until quiet hours end
+              </span>
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <Input
+                label="From"
+                type="time"
+                value={form.quiet_hours_start}
+                onChange={(e) =>
+                  setForm({ ...form, quiet_hours_start: e.target.value })
+                }
+                disabled={!form.quiet_hours_enabled}
+              />
+              <Input
+                label="Until"
+                type="time"
+                value={form.quiet_hours_end}
+                onChange={(e) =>
+                  setForm({ ...form, quiet_hours_end: e.target.value })
+                }
+                disabled={!form.quiet_hours_enabled}
+              />
+            </div>
+            {timezone && (
+              <p className="mt-3 text-caption text-neutral-500">
+                Times are in {timezone}
+              </p>
+            )}
+          </div>
+
+          <div className="flex justify-end">
+            <Button type="submit" variant="primary" disabled={saving}>
+              <HeroIcon icon={CheckCircleIcon} size="sm" />
+              Save Preferences
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default NotificationPreferences;
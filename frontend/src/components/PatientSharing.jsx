@@ -0,0 +1,233 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  EnvelopeIcon,
+  TrashIcon,
+  UserPlusIcon,
+} from "@heroicons/react/24/outline";
+import ErrorMessage from "./ErrorMessage";
+import { HeroIcon } from "./ui/Icon";
+import Input from "./ui/Input";
+import Button from "./ui/Button";
+import { patientApi } from "../utils/apiClient";
+
+const ROLE_OPTIONS = [
+  { value: "owner", label: "Owner", description: "Can change everything" },
+  {
+    value: "caregiver",
+    label: "Caregiver",
+    description: "Marks doses and adjusts inventory",
+  },
+  { value: "viewer", label: "Viewer", description: "Read-only" },
+];
+
+const ROLE_LABELS = Object.fromEntries(
+  ROLE_OPTIONS.map((option) => [option.value, option.label])
+);
+
+// Members and open invitations of a patient, managed by its owners
+function PatientSharing({ patient }) {
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [inviteForm, setInviteForm] = useState({ email: "", role: "caregiver" });
+  const [inviting, setInviting] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchSharing = useCallback(async () => {
+    try {
+      const [membersResult, invitationsResult] = await Promise.all([
+        patientApi.getMembers(patient.id),
+        patientApi.getInvitations(patient.id),
+      ]);
+      setMembers(membersResult.data || []);
+      setInvitations(invitationsResult.data || []);
+    } catch (err) {
+      console.error("Error loading sharing:", err);
+      setError(err.message);
+    }
+  }, [patient.id]);
+
+  useEffect(() => {
+    fetchSharing();
+  }, [fetchSharing]);
+
+  const runAction = async (action) => {
+    setError("");
+    try {
+      await action();
+      await fetchSharing();
+    } catch (err) {
+      console.error("Error updating sharing:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    if (!inviteForm.email.trim()) {
+      setError("Email is required");
+      return;
+    }
+
+    setInviting(true);
+    await runAction(async () => {
+      await patientApi.invite(patient.id, {
+        email: inviteForm.email.trim(),
+        role: inviteForm.role,
+      });
+      setInviteForm({ email: "", role: inviteForm.role });
+    });
+    setInviting(false);
+  };
+
+  const handleRemove = (member) => {
+    if (!confirm(`Remove ${member.user_name} from ${patient.name}?`)) {
+      return;
+    }
+    runAction(() => patientApi.removeMember(patient.id, member.user_id));
+  };
+
+  return (
+    <div className="mt-4 ml-11 space-y-4">
+      {error && <ErrorMessage message={error} onDismiss={() => setError("")} />}
+
+      <div>
+        <h5 className="text-body-small font-medium text-neutral-700 dark:text-neutral-300 mb-2">
+          Shared with
+        </h5>
+        <ul className="divide-y divide-neutral-200 dark:divide-neutral-700">
+          {members.map((member) => {
+            const isCreator = member.user_id === patient.owner_id;
+
+            return (
+              <li
+                key={member.user_id}
+                className="flex items-center justify-between gap-3 py-2"
+              >
+                <div className="min-w-0">
+                  <p className="text-body-small text-neutral-900 dark:text-neutral-100 truncate">
+                    {member.user_name}
+                  </p>
+                  <p className="text-caption text-neutral-500 truncate">
+                    {member.user_email}
+                  </p>
+                </div>
+                {isCreator ? (
+                  <span className="text-caption text-neutral-500">
+                    Owner (creator)
+                  </span>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={member.role}
+                      onChange={(e) =>
+                        runAction(() =>
+                          patientApi.updateMember(
+                            patient.id,
+                            member.user_id,
+                            e.target.value
+                          )
+                        )
+                      }
+                      className="form-input-base form-input-sm"
+                      aria-label={`Role for ${member.user_name}`}
+                    >
+                      {ROLE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleRemove(member)}
+                      className="text-error-600 hover:text-error-700 hover:bg-error-50 dark:hover:bg-error-900/20"
+                      aria-label={`Remove ${member.user_name}`}
+                    >
+                      <HeroIcon icon={TrashIcon} size="sm" />
+                    </Button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      {invitations.length > 0 && (
+        <div>
+          <h5 className="text-body-small font-medium text-neutral-700 dark:text-neutral-300 mb-2">
+            Pending invitations
+          </h5>
+          <ul className="space-y-2">
+            {invitations.map((invitation) => (
+              <li
+                key={invitation.id}
+                className="flex items-center justify-between gap-3"
+              >
+                <span className="flex items-center gap-2 text-body-small text-neutral-700 dark:text-neutral-300 min-w-0">
+                  <HeroIcon icon={EnvelopeIcon} size="sm" color="muted" />
+                  <span className="truncate">
+                    {invitation.email} · {ROLE_LABELS[invitation.role] || invitation.role}
+                  </span>
+                </span>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() =>
+                    runAction(() =>
+                      patientApi.revokeInvitation(patient.id, invitation.id)
+                    )
+                  }
+                >
+                  Revoke
+                </Button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <form
+        onSubmit={handleInvite}
+        className="flex flex-col md:flex-row md:items-end gap-3"
+      >
+        <div className="flex-1">
+          <Input
+            label="Invite by email"
+            type="email"
+            value={inviteForm.email}
+            onChange={(e) =>
+              setInviteForm({ ...inviteForm, email: e.target.value })
+            }
+            placeholder="caregiver@example.com"
+          />
+        </div>
+        <select
+          value={inviteForm.role}
+          onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+          className="form-input-base form-input-animated form-input-md"
+          aria-label="Invitation role"
+        >
+          {ROLE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label} – {option.description}
+            </option>
+          ))}
+        </select>
+        <Button
+          type="submit"
+          variant="primary"
+          loading={inviting}
+          disabled={inviting}
+        >
+          <HeroIcon icon={UserPlusIcon} size="sm" />
+          Invite
+        </Button>
+      </form>
+    </div>
+  );
+}
+
+export default PatientSharing;
@@ -0,0 +1,34 @@
+import { UserCircleIcon } from "@heroicons/react/24/outline";
+import { HeroIcon } from "./ui/Icon";
+import { usePatient } from "../hooks/usePatient";
+
+function PatientSwitcher({ className = "" }) {
+  const { patients, selectedPatientId, selectPatient } = usePatient();
+
+  // Nothing to switch between until a patient profile exists
+  if (patients.length === 0) {
+    return null;
+  }
+
+  return (
+    <label className={`flex items-center space-x-2 ${className}`}>
+      <HeroIcon icon={UserCircleIcon} size="md" aria-hidden="true" />
+      <span className="sr-only">Patient</span>
+      <select
+        value={selectedPatientId ?? ""}
+        onChange={(e) => selectPatient(e.target.value || null)}
+        className="bg-white/10 text-white text-sm font-medium rounded-lg border border-white/20 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-white/50 [&>option]:text-neutral-900"
+        aria-label="Select patient"
+      >
+        <option value="">All patients</option>
+        {patients.map((patient) => (
+          <option key={patient.id} value={patient.id}>
+            {patient.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default PatientSwitcher;
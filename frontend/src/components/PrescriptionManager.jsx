@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback } from "react";
+import { PlusIcon, TrashIcon } from "@heroicons/react/24/outline";
+import ErrorMessage from "./ErrorMessage";
+import { HeroIcon } from "./ui/Icon";
+import Input from "./ui/Input";
+import Button from "./ui/Button";
+import StatusBadge from "./ui/StatusBadge";
+import { medicationApi, settingsApi } from "../utils/apiClient";
+import { getToday } from "../utils/dates";
+
+// Warn about prescriptions that expire within this many days
+const EXPIRY_WARNING_DAYS = 30;
+
+const emptyPrescription = () => ({
+  prescriber_id: "",
+  prescription_number: "",
+  issue_date: getToday(),
+  expiry_date: "",
+  authorized_refills: "",
+});
+
+const daysUntil = (date) =>
+  Math.round((Date.parse(date) - Date.parse(getToday())) / (24 * 60 * 60 * 1000));
+
+// Status of the current prescription: whether it still covers refills
+const getPrescriptionStatus = (prescription) => {
+  if (prescription.expiry_date && daysUntil(prescription.expiry_date) < 0) {
+    return { status: "error", label: "Expired" };
+  }
+  if (prescription.refills_remaining === 0) {
+    return { status: "error", label: "No refills left" };
+  }
+  if (
+    prescription.expiry_date &&
+    daysUntil(prescription.expiry_date) <= EXPIRY_WARNING_DAYS
+  ) {
+    return { status: "warning", label: "Expires soon" };
+  }
+  return { status: "success", label: "Current" };
+};
+
+// Prescriptions of a saved medication, the current (last issued) one first. onChange (keep
+// it stable) is called with the prescriptions whenever they are loaded; bump refreshKey to
+// reload them after something else used a refill.
+function PrescriptionManager({ medicationId, refreshKey = 0, onChange = null }) {
+  const [prescriptions, setPrescriptions] = useState([]);
+  const [prescribers, setPrescribers] = useState([]);
+  const [form, setForm] = useState(emptyPrescription);
+  const [formErrors, setFormErrors] = useState({});
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchPrescriptions = useCallback(async () => {
+    try {
+      const result = await medicationApi.getPrescriptions(medicationId);
+      setPrescriptions(result.data || []);
+      onChange?.(result.data || []);
+    } catch (err) {
+      console.error("Error loading prescriptions:", err);
+      setError(err.message);
+    }
+  }, [medicationId, onChange]);
+
+  useEffect(() => {
+    fetchPrescriptions();
+  }, [fetchPrescriptions, refreshKey]);
+
+  useEffect(() => {
+    settingsApi
+      .getPrescribers()
+      .then((result) => setPrescribers(result.data || []))
+      .catch((err) => console.error("Error loading prescribers:", err));
+  }, []);
+
+  const handleFieldChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors((prev) => ({ ...prev, [field]: "" }));
+    }
+  };
+
+  const handleAdd = async () => {
+    const errors = {};
+    const refills = form.authorized_refills === "" ? 0 : Number(form.authorized_refills);
+    if (!Number.isInteger(refills) || refills < 0) {
+      errors.authorized_refills = "Refills must be a whole number of 0 or more";
+    }
+    if (!form.issue_date) {
+      errors.issue_date = "Issue date is required";
+    }
+    if (form.expiry_date && form.issue_date && form.expiry_date < form.issue_date) {
+      errors.expiry_date = "Expiry date must be on or after the issue date";
+    }
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    try {
+      setSaving(true);
+      setError("");
+      await medicationApi.createPrescription(medicationId, {
+        prescriber_id: form.prescriber_id ? parseInt(form.prescriber_id) : null,
+        prescription_number: form.prescription_number.trim() || null,
+        issue_date: form.issue_date,
+        expiry_date: form.expiry_date || null,
+        authorized_refills: refills,
+      });
+      setForm(emptyPrescription());
+      setShowForm(false);
+      await fetchPrescriptions();
+    } catch (err) {
+      console.error("Error adding prescription:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (prescription) => {
+    if (!confirm("Delete this prescription? Refills filled on it are kept.")) {
+      return;
+    }
+
+    try {
+      setError("");
+      await medicationApi.deletePrescription(medicationId, prescription.id);
+      await fetchPrescriptions();
+    } catch (err) {
+      console.error("Error deleting prescription:", err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && <ErrorMessage message={error} onDismiss={() => setError("")} />}
+
+      {prescriptions.length === 0 ? (
+        <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+          No prescriptions recorded. Refills are recorded without one.
+        </p>
+      ) : (
+        <ul className="divide-y divide-neutral-200 dark:divide-neutral-700">
+          {prescriptions.map((prescription, index) => {
+            const status = index === 0 ? getPrescriptionStatus(prescription) : null;
+
+            return (
+              <li
+                key={prescription.id}
+                data-testid={`prescription-${prescription.id}`}
+                className="flex items-start justify-between gap-3 py-3"
+              >
+                <div className="min-w-0">
+                  <p className="text-body-small font-medium text-neutral-900 dark:text-neutral-100">
+                    {prescription.prescription_number || "Prescription"}
+                    {prescription.prescriber_name &&
+                      ` · ${prescription.prescriber_name}`}
+                  </p>
+                  <p className="text-caption text-neutral-500 dark:text-neutral-400">
+                    Issued {prescription.issue_date}
+                    {prescription.expiry_date
+                      ? `, expires ${prescription.expiry_date}`
+                      : ", no expiry"}
+                    {" · "}
+                    {prescription.refills_remaining} of{" "}
+                    {prescription.authorized_refills} refills left
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  {status && (
+                    <StatusBadge status={status.status} size="sm" variant="soft">
+                      {status.label}
+                    </StatusBadge>
+                  )}
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDelete(prescription)}
+                    className="text-error-600 hover:text-error-700 hover:bg-error-50 dark:hover:bg-error-900/20"
+                    aria-label={`Delete prescription ${prescription.prescription_number || prescription.id}`}
+                  >
+                    <HeroIcon icon={TrashIcon} size="sm" />
+                  </Button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {showForm ? (
+        <div className="space-y-4 p-4 bg-neutral-50 dark:bg-neutral-700/50 rounded-xl border border-neutral-200 dark:border-neutral-600">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="form-field">
+              <label className="form-label" htmlFor="prescriber_id">
+                Prescriber
+              </label>
+              <select
+                id="prescriber_id"
+                value={form.prescriber_id}
+                onChange={(e) => handleFieldChange("prescriber_id", e.target.value)}
+                className="form-input-base form-input-animated form-input-md w-full"
+              >
+                <option value="">Not recorded</option>
+                {prescribers.map((prescriber) => (
+                  <option key={prescriber.id} value={prescriber.id}>
+                    {prescriber.name}
+                    {prescriber.practice ? ` (${prescriber.practice})` : ""}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <Input
+              label="Prescription Number"
+              value={form.prescription_number}
+              onChange={(e) =>
+                handleFieldChange("prescription_number", e.target.value)
+              }
+              placeholder="Optional"
+            />
+
+            <Input
+              label="Issue Date"
+              type="date"
+              value={form.issue_date}
+              onChange={(e) => handleFieldChange("issue_date", e.target.value)}
+              error={formErrors.issue_date}
+              required
+            />
+
+            <Input
+              label="Expiry Date"
+              type="date"
+              value={form.expiry_date}
+              onChange={(e) => handleFieldChange("expiry_date", e.target.value)}
+              error={formErrors.expiry_date}
+            />
+
+            <Input
+              label="Authorized Refills"
+              type="number"
+              min="0"
+              step="1"
+              value={form.authorized_refills}
+              onChange={(e) =>
+                handleFieldChange("authorized_refills", e.target.value)
+              }
+              error={formErrors.authorized_refills}
+              placeholder="0"
+            />
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <Button
+              type="button"
+              variant="secondary"
+              onClick={() => {
+                setShowForm(false);
+                setForm(emptyPrescription());
+                setFormErrors({});
+              }}
+            >
+              Cancel
+            </Button>
+            <Button
+              type="button"
+              variant="primary"
+              onClick={handleAdd}
+              disabled={saving}
+            >
+              {saving ? "Saving..." : "Save Prescription"}
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button
+          type="button"
+          variant="outline"
+          onClick={() => setShowForm(true)}
+          className="w-full"
+        >
+          <HeroIcon icon={PlusIcon} size="sm" className="mr-2" />
+          Add Prescription
+        </Button>
+      )}
+    </div>
+  );
+}
+
+export default PrescriptionManager;
@@ -0,0 +1,21 @@
+import { Navigate, useLocation } from "react-router-dom";
+import LoadingSpinner from "./LoadingSpinner";
+import { useAuth } from "../hooks/useAuth";
+
+function RequireAuth({ children }) {
+  const { isAuthenticated, isLoading } = useAuth();
+  const location = useLocation();
+
+  if (isLoading) {
+    return <LoadingSpinner fullScreen text="Loading..." />;
+  }
+
+  if (!isAuthenticated) {
+    // Remember where the user was headed so login can send them back
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children;
+}
+
+export default RequireAuth;
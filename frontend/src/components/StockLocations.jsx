@@ -0,0 +1,260 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  ArrowsRightLeftIcon,
+  ExclamationCircleIcon,
+} from "@heroicons/react/24/outline";
+import ErrorMessage from "./ErrorMessage";
+import { HeroIcon } from "./ui/Icon";
+import Input from "./ui/Input";
+import Button from "./ui/Button";
+import StatusBadge from "./ui/StatusBadge";
+import { medicationApi, settingsApi } from "../utils/apiClient";
+import { formatQuantity } from "../utils/units";
+
+const emptyTransfer = () => ({
+  from_location_id: "",
+  to_location_id: "",
+  quantity: "",
+  notes: "",
+});
+
+// Forecast of the stock at one location, as if every dose came out of it
+const getLocationStatus = (location) => {
+  if (location.days_remaining === null) {
+    return { status: "success", label: "Enough stock" };
+  }
+  const label = `${location.days_remaining} day${location.days_remaining === 1 ? "" : "s"} left`;
+  if (location.alert_level === "critical" || location.alert_level === "urgent") {
+    return { status: "error", label };
+  }
+  if (location.needs_refill) {
+    return { status: "warning", label };
+  }
+  return { status: "success", label };
+};
+
+// Stock of a saved medication at its storage locations, with a form to move stock between
+// them (the locations of the medication's patient). Stock outside every location is listed
+// as "Not at a location"; bump refreshKey to reload after the medication's total changed.
+function StockLocations({ medicationId, patientId, doseUnit = "tablet", refreshKey = 0 }) {
+  const [stock, setStock] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [form, setForm] = useState(emptyTransfer);
+  const [formErrors, setFormErrors] = useState({});
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchStock = useCallback(async () => {
+    try {
+      const result = await medicationApi.getLocations(medicationId);
+      setStock(result.data || null);
+    } catch (err) {
+      console.error("Error loading location stock:", err);
+      setError(err.message);
+    }
+  }, [medicationId]);
+
+  useEffect(() => {
+    fetchStock();
+  }, [fetchStock, refreshKey]);
+
+  useEffect(() => {
+    if (!patientId) {
+      setLocations([]);
+      return;
+    }
+    settingsApi
+      .getLocations(patientId)
+      .then((result) => setLocations(result.data || []))
+      .catch((err) => console.error("Error loading locations:", err));
+  }, [patientId]);
+
+  const handleFieldChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors((prev) => ({ ...prev, [field]: "" }));
+    }
+  };
+
+  const handleTransfer = async () => {
+    const errors = {};
+    const quantity = Number(form.quantity);
+    if (!(quantity > 0)) {
+      errors.quantity = "Quantity must be more than 0";
+    }
+    if (form.from_location_id === form.to_location_id) {
+      errors.to_location_id = "Choose a different location";
+    }
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    try {
+      setSaving(true);
+      setError("");
+      await medicationApi.transferStock(medicationId, {
+        from_location_id: form.from_location_id ? parseInt(form.from_location_id) : null,
+        to_location_id: form.to_location_id ? parseInt(form.to_location_id) : null,
+        quantity,
+        notes: form.notes.trim() || null,
+      });
+      setForm(emptyTransfer());
+      setShowForm(false);
+      await fetchStock();
+    } catch (err) {
+      console.error("Error transferring stock:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderLocationSelect = (field, label) => (
+    <div className="form-field">
+      <label className="form-label" htmlFor={field}>
+        {label}
+      </label>
+      <select
+        id={field}
+        value={form[field]}
+        onChange={(e) => handleFieldChange(field, e.target.value)}
+        className="form-input-base form-input-animated form-input-md w-full"
+      >
+        <option value="">Not at a location</option>
+        {locations.map((location) => (
+          <option key={location.id} value={location.id}>
+            {location.name}
+          </option>
+        ))}
+      </select>
+      {formErrors[field] && (
+        <div className="form-message form-error form-message-animated animate-error">
+          <HeroIcon
+            icon={ExclamationCircleIcon}
+            size="sm"
+            className="text-error-600 flex-shrink-0"
+          />
+          <span>{formErrors[field]}</span>
+        </div>
+      )}
+    </div>
+  );
+
+  if (locations.length === 0) {
+    return (
+      <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+        No storage locations yet. Add them in Settings to split the stock
+        between places.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && <ErrorMessage message={error} onDismiss={() => setError("")} />}
+
+      {stock && (
+        <ul className="divide-y divide-neutral-200 dark:divide-neutral-700">
+          {stock.locations.map((location) => {
+            const status = getLocationStatus(location);
+
+            return (
+              <li
+                key={location.location_id}
+                data-testid={`location-stock-${location.location_id}`}
+                className="flex items-center justify-between gap-3 py-3"
+              >
+                <div className="min-w-0">
+                  <p className="text-body-small font-medium text-neutral-900 dark:text-neutral-100">
+                    {location.location_name}
+                    {location.is_default && " (default)"}
+                  </p>
+                  <p className="text-caption text-neutral-500 dark:text-neutral-400">
+                    {formatQuantity(location.quantity, doseUnit)}
+                    {location.run_out_date &&
+                      ` · runs out ${location.run_out_date}`}
+                  </p>
+                </div>
+                <StatusBadge status={status.status} size="sm" variant="soft">
+                  {status.label}
+                </StatusBadge>
+              </li>
+            );
+          })}
+          <li
+            data-testid="location-stock-none"
+            className="flex items-center justify-between gap-3 py-3"
+          >
+            <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+              Not at a location
+            </p>
+            <p className="text-caption text-neutral-500 dark:text-neutral-400">
+              {formatQuantity(stock.unassigned_quantity, doseUnit)}
+            </p>
+          </li>
+        </ul>
+      )}
+
+      {showForm ? (
+        <div className="space-y-4 p-4 bg-neutral-50 dark:bg-neutral-700/50 rounded-xl border border-neutral-200 dark:border-neutral-600">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderLocationSelect("from_location_id", "From")}
+            {renderLocationSelect("to_location_id", "To")}
+
+            <Input
+              label="Quantity"
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.quantity}
+              onChange={(e) => handleFieldChange("quantity", e.target.value)}
+              error={formErrors.quantity}
+              required
+            />
+
+            <Input
+              label="Notes"
+              value={form.notes}
+              onChange={(e) => handleFieldChange("notes", e.target.value)}
+              placeholder="Optional"
+            />
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <Button
+              type="button"
+              variant="secondary"
+              onClick={() => {
+                setShowForm(false);
+                setForm(emptyTransfer());
+                setFormErrors({});
+              }}
+            >
+              Cancel
+            </Button>
+            <Button
+              type="button"
+              variant="primary"
+              onClick={handleTransfer}
+              disabled={saving}
+            >
+              {saving ? "Moving..." : "Move Stock"}
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button
+          type="button"
+          variant="outline"
+          onClick={() => setShowForm(true)}
+          className="w-full"
+        >
+          <HeroIcon icon={ArrowsRightLeftIcon} size="sm" className="mr-2" />
+          Move Stock
+        </Button>
+      )}
+    </div>
+  );
+}
+
+export default StockLocations;
@@ -0,0 +1,58 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import { describe, it, expect, vi } from "vitest";
+import DosePhaseForm from "../DosePhaseForm";
+
+const taperStep = {
+  id: 1,
+  start_date: "2024-01-01",
+  end_date: "2024-01-03",
+  label: "40mg",
+  doses: [{ id: 7, dose_amount: 4, time_of_day: "08:00:00" }],
+};
+
+describe("DosePhaseForm", () => {
+  it("starts a new step after the previous one with its doses", () => {
+    const onChange = vi.fn();
+    render(<DosePhaseForm phases={[taperStep]} onChange={onChange} />);
+
+    fireEvent.click(screen.getByText("Add Tapering Step"));
+
+    const [, newStep] = onChange.mock.calls[0][0];
+    expect(newStep).toMatchObject({
+      id: null,
+      start_date: "2024-01-04",
+      end_date: "2024-01-06",
+    });
+    expect(newStep.doses).toHaveLength(1);
+    expect(newStep.doses[0].dose_amount).toBe(4);
+    expect(newStep.doses[0].id).not.toBe(7);
+  });
+
+  it("uses the medication start date for the first step", () => {
+    const onChange = vi.fn();
+    render(
+      <DosePhaseForm
+        phases={[]}
+        onChange={onChange}
+        defaultStartDate="2024-02-10"
+      />
+    );
+
+    fireEvent.click(screen.getByText("Add Tapering Step"));
+
+    expect(onChange.mock.calls[0][0][0]).toMatchObject({
+      start_date: "2024-02-10",
+      end_date: "2024-02-12",
+      doses: [],
+    });
+  });
+
+  it("removes a step", () => {
+    const onChange = vi.fn();
+    render(<DosePhaseForm phases={[taperStep]} onChange={onChange} />);
+
+    fireEvent.click(screen.getByLabelText("Remove step 1"));
+
+    expect(onChange).toHaveBeenCalledWith([]);
+  });
+});
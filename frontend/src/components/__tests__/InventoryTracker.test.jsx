@@ -1,4 +1,4 @@
-import { render, screen, fireEvent } from '@testing-library/react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
 import { describe, it, expect, vi } from 'vitest'
 import InventoryTracker from '../InventoryTracker'
 
@@ -46,7 +46,7 @@ describe('InventoryTracker', () => {
       />
     )
     
-    expect(screen.getByText(/Equivalent: 5 sheet\(s\) \+ 5 tablet\(s\)/)).toBeInTheDocument()
+    expect(screen.getByText(/Equivalent: 5 sheets \+ 5 tablets/)).toBeInTheDocument()
   })
 
   it('auto-calculates tablets when in sheets mode', () => {
@@ -277,4 +277,213 @@ describe('InventoryTracker', () => {
     expect(screen.queryByText('Sheets')).not.toBeInTheDocument()
     expect(screen.queryByText('Tablets')).not.toBeInTheDocument()
   })
+
+  it('names stock in the medication units', () => {
+    render(
+      <InventoryTracker 
+        totalTablets={450}
+        sheetSize={200}
+        doseUnit="puff"
+        packageUnit="inhaler"
+        onInventoryChange={vi.fn()}
+      />
+    )
+    
+    expect(screen.getByLabelText(/total puffs/i)).toBeInTheDocument()
+    expect(screen.getByText(/Equivalent: 2 inhalers \+ 50 puffs/)).toBeInTheDocument()
+    expect(screen.getByText('+1 Inhaler')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Inhalers'))
+
+    expect(screen.getByLabelText(/number of inhalers/i)).toBeInTheDocument()
+    expect(screen.getByLabelText(/puffs per inhaler/i)).toBeInTheDocument()
+  })
+
+  it('locks the package size when it follows from the package volume', () => {
+    render(
+      <InventoryTracker 
+        totalTablets={600}
+        sheetSize={300}
+        doseUnit="unit"
+        packageUnit="pen"
+        packageSizeEditable={false}
+        onInventoryChange={vi.fn()}
+      />
+    )
+    
+    fireEvent.click(screen.getByText('Pens'))
+
+    expect(screen.getByLabelText(/units per pen/i)).toBeDisabled()
+  })
+
+  it('only offers to record refills when it can save them', () => {
+    render(
+      <InventoryTracker 
+        totalTablets={50}
+        sheetSize={10}
+        onInventoryChange={vi.fn()}
+      />
+    )
+
+    expect(screen.queryByText('Record Refill')).not.toBeInTheDocument()
+  })
+
+  it('records a refill with its purchase and lot details', async () => {
+    const onRecordRefill = vi.fn().mockResolvedValue()
+    render(
+      <InventoryTracker 
+        totalTablets={50}
+        sheetSize={10}
+        onInventoryChange={vi.fn()}
+        onRecordRefill={onRecordRefill}
+      />
+    )
+
+    fireEvent.click(screen.getByText('Record Refill'))
+    fireEvent.change(screen.getByLabelText(/quantity/i), { target: { value: '3' } })
+    fireEvent.change(screen.getByLabelText(/refill date/i), { target: { value: '2024-03-01' } })
+    fireEvent.change(screen.getByLabelText(/cost/i), { target: { value: '12.50' } })
+    fireEvent.change(screen.getByLabelText(/pharmacy/i), { target: { value: ' Corner Pharmacy ' } })
+    fireEvent.change(screen.getByLabelText(/lot number/i), { target: { value: 'AB1' } })
+    fireEvent.click(screen.getByText('Save Refill'))
+
+    await waitFor(() => {
+      expect(onRecordRefill).toHaveBeenCalledWith({
+        quantity: 3,
+        unit: 'sheet',
+        refill_date: '2024-03-01',
+        cost: 12.5,
+        pharmacy: 'Corner Pharmacy',
+        lot_number: 'AB1'
+      })
+    })
+    await waitFor(() => {
+      expect(screen.queryByText('Save Refill')).not.toBeInTheDocument()
+    })
+  })
+
+  it('keeps the refill form open with the error when recording fails', async () => {
+    const onRecordRefill = vi.fn().mockRejectedValue(new Error('Cannot convert sheet to tablets'))
+    render(
+      <InventoryTracker 
+        totalTablets={50}
+        sheetSize={10}
+        onInventoryChange={vi.fn()}
+        onRecordRefill={onRecordRefill}
+      />
+    )
+
+    fireEvent.click(screen.getByText('Record Refill'))
+    fireEvent.click(screen.getByText('Save Refill'))
+    expect(screen.getByText('Quantity must be greater than 0')).toBeInTheDocument()
+    expect(onRecordRefill).not.toHaveBeenCalled()
+
+    fireEvent.change(screen.getByLabelText(/quantity/i), { target: { value: '1' } })
+    fireEvent.click(screen.getByText('Save Refill'))
+
+    expect(await screen.findByText('Cannot convert sheet to tablets')).toBeInTheDocument()
+    expect(screen.getByText('Save Refill')).toBeInTheDocument()
+  })
+
+  it('fills refills on the current prescription unless unticked', async () => {
+    const onRecordRefill = vi.fn().mockResolvedValue()
+    render(
+      <InventoryTracker 
+        totalTablets={50}
+        sheetSize={10}
+        onInventoryChange={vi.fn()}
+        onRecordRefill={onRecordRefill}
+        currentPrescription={{ id: 7, prescription_number: 'RX-1', refills_remaining: 2 }}
+      />
+    )
+
+    fireEvent.click(screen.getByText('Record Refill'))
+    expect(screen.getByText(/Fill on prescription RX-1/)).toHaveTextContent('(2 refills left)')
+    fireEvent.change(screen.getByLabelText(/quantity/i), { target: { value: '1' } })
+    fireEvent.click(screen.getByText('Save Refill'))
+
+    await waitFor(() => {
+      expect(onRecordRefill).toHaveBeenLastCalledWith(expect.objectContaining({ prescription_id: 7 }))
+    })
+
+    fireEvent.click(await screen.findByText('Record Refill'))
+    fireEvent.change(screen.getByLabelText(/quantity/i), { target: { value: '1' } })
+    fireEvent.click(screen.getByRole('checkbox'))
+    fireEvent.click(screen.getByText('Save Refill'))
+
+    await waitFor(() => {
+      expect(onRecordRefill).toHaveBeenLastCalledWith(expect.objectContaining({ prescription_id: null }))
+    })
+  })
+
+  it('shows the run-out date and shortfall until the end of the course', () => {
+    const { rerender } = render(
+      <InventoryTracker 
+        totalTablets={10}
+        sheetSize={10}
+        onInventoryChange={vi.fn()}
+        forecast={{
+          days_remaining: 6,
+          run_out_date: '2024-01-17',
+          course_end_date: '2024-01-20',
+          quantity_needed_until_end: 18,
+          shortfall_until_end: 8
+        }}
+      />
+    )
+
+    expect(screen.getByText('Runs out on 2024-01-17 (6 days covered)')).toBeInTheDocument()
+    expect(screen.getByText(/Needed until 2024-01-20: 18 tablets, short by 8 tablets/)).toBeInTheDocument()
+
+    rerender(
+      <InventoryTracker 
+        totalTablets={10}
+        sheetSize={10}
+        onInventoryChange={vi.fn()}
+        forecast={{
+          days_remaining: null,
+          run_out_date: null,
+          course_end_date: '2024-01-14',
+          quantity_needed_until_end: 8,
+          shortfall_until_end: 0
+        }}
+      />
+    )
+
+    expect(screen.getByText('Lasts until the course ends on 2024-01-14')).toBeInTheDocument()
+    expect(screen.queryByText(/short by/)).not.toBeInTheDocument()
+    expect(screen.queryByText(/per day/)).not.toBeInTheDocument()
+  })
+
+  it('shows the cost of a day of doses', () => {
+    render(
+      <InventoryTracker 
+        totalTablets={10}
+        sheetSize={10}
+        onInventoryChange={vi.fn()}
+        forecast={{
+          days_remaining: 6,
+          run_out_date: '2024-01-17',
+          course_end_date: null,
+          quantity_needed_until_end: null,
+          shortfall_until_end: null,
+          cost_per_day: 0.625
+        }}
+      />
+    )
+
+    expect(screen.getByText('Costs 0.63 per day')).toBeInTheDocument()
+  })
+
+  it('shows no forecast without one', () => {
+    render(
+      <InventoryTracker 
+        totalTablets={10}
+        sheetSize={10}
+        onInventoryChange={vi.fn()}
+      />
+    )
+
+    expect(screen.queryByTestId('stock-forecast')).not.toBeInTheDocument()
+  })
 })
\ No newline at end of file
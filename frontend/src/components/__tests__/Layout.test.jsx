@@ -1,8 +1,27 @@
 import { render, screen } from "@testing-library/react";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi } from "vitest";
 import Layout from "../Layout";
 
+// Mock the auth context with a signed-in user
+vi.mock("../../hooks/useAuth", () => ({
+  useAuth: () => ({
+    user: { id: 1, name: "Test User", email: "test@example.com" },
+    isAuthenticated: true,
+    isLoading: false,
+    logout: vi.fn(),
+  }),
+}));
+
+// Mock the patient context with no patient profiles
+vi.mock("../../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [],
+    selectedPatientId: null,
+    selectPatient: vi.fn(),
+  }),
+}));
+
 const TestPage = () => <div>Test Page Content</div>;
 
 const LayoutWrapper = () => (
@@ -89,7 +89,20 @@ describe('MedicationCard', () => {
     )
     
     expect(screen.getByText('Dose:')).toBeInTheDocument()
-    expect(screen.getByText('2 tablet(s)')).toBeInTheDocument()
+    expect(screen.getByText('2 tablets')).toBeInTheDocument()
+  })
+
+  it('names doses and stock in the medication units', () => {
+    render(
+      <MedicationCard 
+        medication={{ ...mockMedication, dose_unit: 'puff', package_unit: 'inhaler', sheet_size: 200, total_tablets: 450 }} 
+        doseAmount={1} 
+      />
+    )
+    
+    expect(screen.getByText('1 puff')).toBeInTheDocument()
+    expect(screen.getByText('Puffs Remaining')).toBeInTheDocument()
+    expect(screen.getByText('Inhalers Remaining')).toBeInTheDocument()
   })
 
   it('calls onMarkAsGiven when mark as given button is clicked', async () => {
@@ -179,6 +192,34 @@ describe('MedicationCard', () => {
     expect(screen.queryByText('Mark as Given')).not.toBeInTheDocument()
   })
 
+  it('shows the dose status and hides mark as given once the dose is taken', () => {
+    render(
+      <MedicationCard
+        medication={mockMedication}
+        onMarkAsGiven={vi.fn()}
+        doseAmount={1}
+        doseStatus="late"
+      />
+    )
+
+    expect(screen.getByText('Given late')).toBeInTheDocument()
+    expect(screen.queryByText('Mark as Given')).not.toBeInTheDocument()
+  })
+
+  it('keeps mark as given available for pending doses', () => {
+    render(
+      <MedicationCard
+        medication={mockMedication}
+        onMarkAsGiven={vi.fn()}
+        doseAmount={1}
+        doseStatus="pending"
+      />
+    )
+
+    expect(screen.getByText('Pending')).toBeInTheDocument()
+    expect(screen.getByText('Mark as Given')).toBeInTheDocument()
+  })
+
   it('does not show edit button when onEdit is not provided', () => {
     render(<MedicationCard medication={mockMedication} />)
     
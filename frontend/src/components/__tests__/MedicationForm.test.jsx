@@ -52,6 +52,20 @@ vi.mock("../InventoryTracker", () => ({
   ),
 }));
 
+vi.mock("../PrescriptionManager", () => ({
+  default: ({ medicationId }) => (
+    <div data-testid="prescription-manager">
+      Prescriptions of {medicationId}
+    </div>
+  ),
+}));
+
+vi.mock("../StockLocations", () => ({
+  default: ({ medicationId }) => (
+    <div data-testid="stock-locations">Locations of {medicationId}</div>
+  ),
+}));
+
 vi.mock("../DatePicker", () => ({
   default: ({ value, onChange, placeholder }) => (
     <input
@@ -93,8 +107,11 @@ describe("MedicationForm", () => {
   const mockFrequencies = [
     { id: 1, name: "Once Daily" },
     { id: 2, name: "Twice Daily" },
+    { id: 3, name: "As needed", recurrence_type: "as_needed" },
   ];
 
+  const mockPharmacies = [{ id: 4, name: "Main Street Pharmacy" }];
+
   const mockMedication = {
     id: 1,
     name: "Test Medication",
@@ -130,6 +147,12 @@ describe("MedicationForm", () => {
           json: () => Promise.resolve({ data: mockFrequencies }),
         });
       }
+      if (url === "/api/settings/pharmacies") {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ data: mockPharmacies }),
+        });
+      }
       return Promise.resolve({
         ok: false,
         json: () => Promise.resolve({ error: { message: "Not found" } }),
@@ -176,6 +199,36 @@ describe("MedicationForm", () => {
     expect(screen.getByDisplayValue("Test notes")).toBeInTheDocument();
   });
 
+  it("only manages prescriptions and locations of saved medications", async () => {
+    const { unmount } = render(
+      <MedicationForm onSubmit={mockOnSubmit} onCancel={mockOnCancel} />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText("Basic Information")).toBeInTheDocument();
+    });
+    expect(screen.queryByTestId("prescription-manager")).not.toBeInTheDocument();
+    expect(screen.queryByTestId("stock-locations")).not.toBeInTheDocument();
+    unmount();
+
+    render(
+      <MedicationForm
+        medication={mockMedication}
+        onSubmit={mockOnSubmit}
+        onCancel={mockOnCancel}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId("prescription-manager")).toHaveTextContent(
+        "Prescriptions of 1"
+      );
+    });
+    expect(screen.getByTestId("stock-locations")).toHaveTextContent(
+      "Locations of 1"
+    );
+  });
+
   it("validates required fields", async () => {
     render(<MedicationForm onSubmit={mockOnSubmit} onCancel={mockOnCancel} />);
 
@@ -371,6 +424,223 @@ describe("MedicationForm", () => {
     });
   });
 
+  it("submits as-needed limits without scheduled doses", async () => {
+    render(
+      <MedicationForm
+        medication={{
+          ...mockMedication,
+          frequency_id: 3,
+          doses: [],
+          prn_dose_amount: 2,
+          prn_min_interval_hours: 4,
+          prn_max_daily_amount: null,
+        }}
+        onSubmit={mockOnSubmit}
+        onCancel={mockOnCancel}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByLabelText(/Tablets per dose/)).toHaveValue(2);
+    });
+
+    fireEvent.change(screen.getByLabelText(/Maximum tablets per 24 hours/), {
+      target: { value: "8" },
+    });
+    fireEvent.click(screen.getByText("Update Medication"));
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          doses: [],
+          prn_dose_amount: 2,
+          prn_min_interval_hours: 4,
+          prn_max_daily_amount: 8,
+        })
+      );
+    });
+  });
+
+  it("submits the units and the package size derived from a pen's volume", async () => {
+    render(
+      <MedicationForm
+        medication={{
+          ...mockMedication,
+          dose_unit: "unit",
+          package_unit: "pen",
+          package_volume_ml: 3,
+          units_per_ml: 100,
+        }}
+        onSubmit={mockOnSubmit}
+        onCancel={mockOnCancel}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByLabelText(/Units per ml/)).toHaveValue(100);
+    });
+    expect(screen.getByText("300 units per pen")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText("Update Medication"));
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          dose_unit: "unit",
+          package_unit: "pen",
+          package_volume_ml: 3,
+          units_per_ml: 100,
+          sheet_size: 300,
+        })
+      );
+    });
+  });
+
+  it("submits the preferred pharmacy and clears it", async () => {
+    render(
+      <MedicationForm
+        medication={{ ...mockMedication, pharmacy_id: 4 }}
+        onSubmit={mockOnSubmit}
+        onCancel={mockOnCancel}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByLabelText("Preferred Pharmacy")).toHaveValue("4");
+    });
+
+    fireEvent.click(screen.getByText("Update Medication"));
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({ pharmacy_id: 4 })
+      );
+    });
+
+    fireEvent.change(screen.getByLabelText("Preferred Pharmacy"), {
+      target: { value: "" },
+    });
+    fireEvent.click(screen.getByText("Update Medication"));
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenLastCalledWith(
+        expect.objectContaining({ pharmacy_id: null })
+      );
+    });
+  });
+
+  it("submits the unit price, or null when it is cleared", async () => {
+    render(
+      <MedicationForm
+        medication={{ ...mockMedication, unit_price: 0.25 }}
+        onSubmit={mockOnSubmit}
+        onCancel={mockOnCancel}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByLabelText("Price per tablet")).toHaveValue(0.25);
+    });
+
+    fireEvent.click(screen.getByText("Update Medication"));
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({ unit_price: 0.25 })
+      );
+    });
+
+    fireEvent.change(screen.getByLabelText("Price per tablet"), {
+      target: { value: "" },
+    });
+    fireEvent.click(screen.getByText("Update Medication"));
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenLastCalledWith(
+        expect.objectContaining({ unit_price: null })
+      );
+    });
+  });
+
+  it("submits tapering steps separately from the regular doses", async () => {
+    render(
+      <MedicationForm
+        medication={{
+          ...mockMedication,
+          doses: [
+            { id: 1, dose_amount: 4, time_of_day: "08:00:00", phase_id: 5 },
+          ],
+          phases: [
+            {
+              id: 5,
+              start_date: "2024-01-01",
+              end_date: "2024-01-03",
+              label: "40mg",
+              doses: [{ id: 1, dose_amount: 4, time_of_day: "08:00:00" }],
+            },
+          ],
+        }}
+        onSubmit={mockOnSubmit}
+        onCancel={mockOnCancel}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByDisplayValue("40mg")).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByText("Update Medication"));
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          doses: [],
+          phases: [
+            expect.objectContaining({
+              id: 5,
+              doses: [expect.objectContaining({ id: 1, dose_amount: 4 })],
+            }),
+          ],
+        })
+      );
+    });
+  });
+
+  it("leaves cycle-off days out of the active days and submits the cycle", async () => {
+    render(
+      <MedicationForm
+        medication={{
+          ...mockMedication,
+          end_date: "2024-01-28",
+          cycle_days_on: 5,
+          cycle_days_off: 2,
+          // One skip date on a day on, one on a day off
+          skip_dates: [{ skip_date: "2024-01-15" }, { skip_date: "2024-01-06" }],
+        }}
+        onSubmit={mockOnSubmit}
+        onCancel={mockOnCancel}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText("Active Days").nextSibling).toHaveTextContent(
+        "19"
+      );
+    });
+
+    fireEvent.click(screen.getByText("Update Medication"));
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          cycle_days_on: 5,
+          cycle_days_off: 2,
+          cycle_start_date: null,
+        })
+      );
+    });
+  });
+
   it("calculates active days correctly", async () => {
     render(
       <MedicationForm
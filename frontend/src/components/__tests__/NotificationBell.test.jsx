@@ -193,6 +193,43 @@ describe("NotificationBell", () => {
     });
   });
 
+  it("should refresh the count when a notification arrives over the event stream", async () => {
+    vi.useRealTimers();
+    const listeners = {};
+    window.EventSource = vi.fn(function () {
+      this.addEventListener = (type, listener) => {
+        listeners[type] = listener;
+      };
+      this.close = vi.fn();
+    });
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ data: [], count: 1 }),
+    });
+
+    try {
+      render(<NotificationBell patientId={4} />);
+
+      await waitFor(() => {
+        expect(fetch).toHaveBeenCalledTimes(1);
+      });
+
+      // Another patient's notification is ignored
+      listeners.notification({
+        data: JSON.stringify({ id: 9, medicine_id: 2, patient_id: 5 }),
+      });
+      listeners.notification({
+        data: JSON.stringify({ id: 10, medicine_id: 3, patient_id: 4 }),
+      });
+
+      await waitFor(() => {
+        expect(fetch).toHaveBeenCalledTimes(2);
+      });
+    } finally {
+      delete window.EventSource;
+    }
+  });
+
   it("should handle API errors gracefully", async () => {
     fetch.mockRejectedValueOnce(new Error("API Error"));
 
@@ -0,0 +1,154 @@
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import NotificationChannels from "../NotificationChannels";
+
+const mockGetChannels = vi.fn();
+const mockGetAvailableChannels = vi.fn();
+const mockCreateChannel = vi.fn();
+const mockUpdateChannel = vi.fn();
+const mockDeleteChannel = vi.fn();
+const mockTestChannel = vi.fn();
+const mockSubscribeToPush = vi.fn();
+
+vi.mock("../../utils/apiClient", () => ({
+  notificationApi: {
+    getChannels: (...args) => mockGetChannels(...args),
+    getAvailableChannels: (...args) => mockGetAvailableChannels(...args),
+    createChannel: (...args) => mockCreateChannel(...args),
+    updateChannel: (...args) => mockUpdateChannel(...args),
+    deleteChannel: (...args) => mockDeleteChannel(...args),
+    testChannel: (...args) => mockTestChannel(...args),
+  },
+}));
+
+vi.mock("../../utils/serviceWorker", () => ({
+  isPushSupported: () => true,
+  subscribeToPush: (...args) => mockSubscribeToPush(...args),
+}));
+
+const webhookChannel = {
+  id: 2,
+  channel: "webhook",
+  target: "https://hooks.example.com/meds",
+  has_secret: true,
+  is_enabled: true,
+};
+
+describe("NotificationChannels", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGetChannels.mockResolvedValue({ data: [webhookChannel] });
+    mockGetAvailableChannels.mockResolvedValue({
+      data: {
+        email: { configured: true },
+        webhook: { configured: true },
+        web_push: { configured: true, public_key: "BPublicKey" },
+      },
+    });
+    mockCreateChannel.mockResolvedValue({ data: {} });
+    mockUpdateChannel.mockResolvedValue({ data: {} });
+    mockTestChannel.mockResolvedValue({ data: {} });
+  });
+
+  it("lists the user's channels", async () => {
+    render(<NotificationChannels />);
+
+    expect(
+      await screen.findByText("https://hooks.example.com/meds")
+    ).toBeInTheDocument();
+    expect(screen.getByText("Your Channels (1)")).toBeInTheDocument();
+  });
+
+  it("adds a webhook with its secret", async () => {
+    render(<NotificationChannels />);
+    await screen.findByText("https://hooks.example.com/meds");
+
+    fireEvent.change(screen.getByLabelText("Webhook URL"), {
+      target: { value: "https://hooks.example.com/other" },
+    });
+    fireEvent.change(screen.getByLabelText("Signing Secret"), {
+      target: { value: "s3cret" },
+    });
+    fireEvent.click(screen.getByText("Add Webhook"));
+
+    await waitFor(() => {
+      expect(mockCreateChannel).toHaveBeenCalledWith({
+        channel: "webhook",
+        target: "https://hooks.example.com/other",
+        secret: "s3cret",
+      });
+    });
+  });
+
+  it("adds the account email when no address is given", async () => {
+    render(<NotificationChannels />);
+    fireEvent.click(await screen.findByText("Add Email"));
+
+    await waitFor(() => {
+      expect(mockCreateChannel).toHaveBeenCalledWith({ channel: "email" });
+    });
+  });
+
+  it("hides email when the server cannot send it", async () => {
+    mockGetAvailableChannels.mockResolvedValue({
+      data: {
+        email: { configured: false },
+        webhook: { configured: true },
+        web_push: { configured: false, public_key: null },
+      },
+    });
+
+    render(<NotificationChannels />);
+    await screen.findByText("https://hooks.example.com/meds");
+
+    expect(screen.queryByText("Add Email")).not.toBeInTheDocument();
+    expect(
+      screen.queryByText("Enable Push in This Browser")
+    ).not.toBeInTheDocument();
+  });
+
+  it("subscribes this browser to push", async () => {
+    const subscription = {
+      endpoint: "https://push.example.com/abc",
+      keys: { p256dh: "B", auth: "A" },
+    };
+    mockSubscribeToPush.mockResolvedValue(subscription);
+
+    render(<NotificationChannels />);
+    fireEvent.click(await screen.findByText("Enable Push in This Browser"));
+
+    await waitFor(() => {
+      expect(mockCreateChannel).toHaveBeenCalledWith({
+        channel: "web_push",
+        subscription,
+      });
+    });
+    expect(mockSubscribeToPush).toHaveBeenCalledWith("BPublicKey");
+  });
+
+  it("turns a channel off", async () => {
+    render(<NotificationChannels />);
+
+    fireEvent.click(
+      await screen.findByLabelText("Deliver to https://hooks.example.com/meds")
+    );
+
+    await waitFor(() => {
+      expect(mockUpdateChannel).toHaveBeenCalledWith(2, { is_enabled: false });
+    });
+  });
+
+  it("reports the result of a test message", async () => {
+    mockTestChannel.mockRejectedValue(
+      new Error("Delivery failed: Webhook responded with HTTP 500")
+    );
+
+    render(<NotificationChannels />);
+    fireEvent.click(await screen.findByText("Test"));
+
+    expect(
+      await screen.findByText("Delivery failed: Webhook responded with HTTP 500")
+    ).toBeInTheDocument();
+    expect(mockTestChannel).toHaveBeenCalledWith(2);
+  });
+});
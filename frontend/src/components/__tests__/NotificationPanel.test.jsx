@@ -136,6 +136,152 @@ describe("NotificationPanel", () => {
     });
   });
 
+  it("should snooze a dose reminder", async () => {
+    const reminder = { ...mockNotifications[1], is_read: false, acknowledged_at: null };
+    const snoozedUntil = new Date(Date.now() + 30 * 60000).toISOString();
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ data: [reminder], count: 1 }),
+    });
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        data: { ...reminder, medication_name: null, is_read: true, snoozed_until: snoozedUntil },
+      }),
+    });
+
+    render(<NotificationPanel isOpen={true} onClose={vi.fn()} />);
+
+    fireEvent.click(await screen.findByText("30 min"));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith(
+        "/api/notifications/2/snooze",
+        expect.objectContaining({
+          method: "POST",
+          body: JSON.stringify({ minutes: 30 }),
+        })
+      );
+    });
+    expect(await screen.findByText(/Snoozed until/)).toBeInTheDocument();
+    expect(screen.getByText("Another Medication (20mg)")).toBeInTheDocument();
+  });
+
+  it("should acknowledge a missed dose", async () => {
+    const missedDose = {
+      ...mockNotifications[1],
+      type: "MISSED_DOSE",
+      acknowledged_at: null,
+      escalation_level: 1,
+    };
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ data: [missedDose], count: 1 }),
+    });
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        data: { ...missedDose, acknowledged_at: new Date().toISOString() },
+      }),
+    });
+
+    render(<NotificationPanel isOpen={true} onClose={vi.fn()} />);
+
+    expect(
+      await screen.findByText("Passed on to the secondary caregiver")
+    ).toBeInTheDocument();
+    expect(screen.queryByText("30 min")).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText("Acknowledge"));
+
+    await waitFor(() => {
+      expect(screen.queryByTestId("reminder-actions-2")).not.toBeInTheDocument();
+    });
+    expect(fetch).toHaveBeenCalledWith(
+      "/api/notifications/2/acknowledge",
+      expect.objectContaining({ method: "POST" })
+    );
+  });
+
+  it("should show the lists of a daily digest", async () => {
+    const digest = {
+      id: 7,
+      medicine_id: null,
+      patient_id: 1,
+      medication_name: null,
+      type: "DIGEST",
+      message: "Today: 2 doses scheduled, 1 running low, 1 missed yesterday.",
+      payload: {
+        period: "daily",
+        start_date: "2024-01-15",
+        end_date: "2024-01-15",
+        schedule: [
+          { medication_id: 1, medication_name: "Aspirin", medication_strength: "100mg", dose_amount: 1, dose_unit: "tablet", time_of_day: "08:00:00", status: "given" },
+          { medication_id: 2, medication_name: "Inhaler", medication_strength: null, dose_amount: 2, dose_unit: "puff", time_of_day: "20:00:00", status: "pending" },
+        ],
+        low_stock: [
+          { medication_id: 1, medication_name: "Aspirin", current_tablets: 3, dose_unit: "tablet", days_remaining: 2, pharmacy_name: "Main Street Pharmacy" },
+        ],
+        missed_yesterday: [
+          { medication_id: 2, medication_name: "Inhaler", medication_strength: null, dose_amount: 2, dose_unit: "puff", time_of_day: "20:00:00", scheduled_date: "2024-01-14" },
+        ],
+      },
+      is_read: false,
+      created_at: new Date().toISOString(),
+    };
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ data: [digest], count: 1 }),
+    });
+
+    render(<NotificationPanel isOpen={true} onClose={vi.fn()} />);
+
+    expect(await screen.findByText("Daily Digest")).toBeInTheDocument();
+    expect(screen.getByTestId("digest-schedule")).toHaveTextContent("08:00 Aspirin 100mg, 1 tablet");
+    expect(screen.getByTestId("digest-schedule")).toHaveTextContent("20:00 Inhaler, 2 puffs");
+    expect(screen.getByTestId("digest-low-stock")).toHaveTextContent(
+      "Aspirin: 3 tablets left (2 days), buy at Main Street Pharmacy"
+    );
+    expect(screen.getByTestId("digest-missed")).toHaveTextContent("20:00 Inhaler, 2 puffs");
+    expect(screen.queryByText("Acknowledge")).not.toBeInTheDocument();
+  });
+
+  it("should show adherence per medication in a weekly digest", async () => {
+    const digest = {
+      id: 8,
+      medicine_id: null,
+      type: "DIGEST",
+      message: "Week of 2024-01-08: 93% of doses taken, 1 missed.",
+      payload: {
+        period: "weekly",
+        start_date: "2024-01-08",
+        end_date: "2024-01-14",
+        adherence_rate: 93,
+        medications: [
+          { medication_id: 1, medication_name: "Aspirin", scheduled_doses: 14, taken_doses: 13, missed_doses: 1, adherence_rate: 93 },
+        ],
+      },
+      is_read: false,
+      created_at: new Date().toISOString(),
+    };
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ data: [digest], count: 1 }),
+    });
+
+    render(<NotificationPanel isOpen={true} onClose={vi.fn()} />);
+
+    expect(await screen.findByText("Weekly Summary")).toBeInTheDocument();
+    expect(screen.getByText("2024-01-08 to 2024-01-14")).toBeInTheDocument();
+    expect(screen.getByTestId("digest-adherence")).toHaveTextContent("Aspirin13 of 14 taken (93%)");
+  });
+
   it("should mark all notifications as read", async () => {
     fetch.mockResolvedValueOnce({
       ok: true,
@@ -308,11 +454,13 @@ describe("NotificationPanel", () => {
       { ...mockNotifications[0], type: "BUY_SOON" },
       { ...mockNotifications[1], type: "DOSE_DUE" },
       { ...mockNotifications[0], id: 3, type: "MISSED_DOSE" },
+      { ...mockNotifications[1], id: 4, type: "EXPIRING_SOON" },
+      { ...mockNotifications[1], id: 5, type: "PRESCRIPTION_RENEWAL" },
     ];
 
     fetch.mockResolvedValueOnce({
       ok: true,
-      json: async () => ({ data: notificationsWithDifferentTypes, count: 3 }),
+      json: async () => ({ data: notificationsWithDifferentTypes, count: 5 }),
     });
 
     render(<NotificationPanel isOpen={true} onClose={vi.fn()} />);
@@ -321,6 +469,8 @@ describe("NotificationPanel", () => {
       expect(screen.getByText("Buy Soon")).toBeInTheDocument();
       expect(screen.getByText("Dose Due")).toBeInTheDocument();
       expect(screen.getByText("Missed Dose")).toBeInTheDocument();
+      expect(screen.getByText("Expiring Soon")).toBeInTheDocument();
+      expect(screen.getByText("Renew Prescription")).toBeInTheDocument();
     });
   });
 
@@ -341,4 +491,41 @@ describe("NotificationPanel", () => {
       expect(screen.getByText("30m ago")).toBeInTheDocument();
     });
   });
+
+  it("should group unread buy-soon notifications by pharmacy", async () => {
+    const buySoonNotifications = [
+      { ...mockNotifications[0], pharmacy_id: 2, pharmacy_name: "Main Street Pharmacy" },
+      {
+        ...mockNotifications[0],
+        id: 3,
+        medicine_id: 3,
+        medication_name: "Vitamin D",
+        pharmacy_id: null,
+        pharmacy_name: null,
+      },
+      {
+        ...mockNotifications[0],
+        id: 4,
+        medicine_id: 4,
+        medication_name: "Already Bought",
+        pharmacy_id: 2,
+        pharmacy_name: "Main Street Pharmacy",
+        is_read: true,
+      },
+      mockNotifications[1],
+    ];
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ data: buySoonNotifications, count: 4 }),
+    });
+
+    render(<NotificationPanel isOpen={true} onClose={vi.fn()} />);
+
+    const summary = await screen.findByTestId("buy-soon-by-pharmacy");
+    const trips = summary.querySelectorAll("li");
+    expect(trips).toHaveLength(2);
+    expect(trips[0]).toHaveTextContent("Main Street Pharmacy: Test Medication");
+    expect(trips[1]).toHaveTextContent("No preferred pharmacy: Vitamin D");
+  });
 });
@@ -0,0 +1,128 @@
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import NotificationPreferences from "../NotificationPreferences";
+
+const mockGetPreferences = vi.fn();
+const mockUpdatePreferences = vi.fn();
+const mockGetMembers = vi.fn();
+
+vi.mock("../../utils/apiClient", () => ({
+  notificationApi: {
+    getPreferences: (...args) => mockGetPreferences(...args),
+    updatePreferences: (...args) => mockUpdatePreferences(...args),
+  },
+  patientApi: {
+    getMembers: (...args) => mockGetMembers(...args),
+  },
+}));
+
+vi.mock("../../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [
+      { id: 1, name: "Grandma" },
+      { id: 2, name: "Grandpa" },
+    ],
+    selectedPatientId: 1,
+  }),
+}));
+
+const preferences = {
+  patient_id: 1,
+  disabled_types: ["BUY_SOON"],
+  minutes_ahead: 15,
+  hours_overdue: 1,
+  buy_soon_days_ahead: 1,
+  renotify_minutes: 15,
+  max_renotifications: 2,
+  escalation_user_id: null,
+  quiet_hours_enabled: false,
+  quiet_hours_start: "22:00",
+  quiet_hours_end: "07:00",
+  timezone: "Europe/Amsterdam",
+};
+
+describe("NotificationPreferences", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGetPreferences.mockResolvedValue({
+      data: preferences,
+      types: ["BUY_SOON", "DOSE_DUE", "MISSED_DOSE", "EXPIRING_SOON", "PRESCRIPTION_RENEWAL"],
+    });
+    mockGetMembers.mockResolvedValue({
+      data: [
+        { user_id: 5, user_name: "Alice", role: "owner" },
+        { user_id: 6, user_name: "Bob", role: "caregiver" },
+      ],
+    });
+    mockUpdatePreferences.mockImplementation(async (patientId, data) => ({
+      data: { ...preferences, ...data },
+    }));
+  });
+
+  it("loads the selected patient's preferences", async () => {
+    render(<NotificationPreferences />);
+
+    expect(await screen.findByLabelText("Low stock")).not.toBeChecked();
+    expect(screen.getByLabelText("Dose reminders")).toBeChecked();
+    expect(mockGetPreferences).toHaveBeenCalledWith(1);
+    expect(screen.getByText("Times are in Europe/Amsterdam")).toBeInTheDocument();
+  });
+
+  it("loads another patient's preferences when picked", async () => {
+    render(<NotificationPreferences />);
+    await screen.findByLabelText("Low stock");
+
+    fireEvent.change(screen.getByLabelText("Patient"), { target: { value: "" } });
+
+    await waitFor(() => {
+      expect(mockGetPreferences).toHaveBeenCalledWith(null);
+    });
+  });
+
+  it("saves types, lead times and quiet hours", async () => {
+    render(<NotificationPreferences />);
+    fireEvent.click(await screen.findByLabelText("Missed doses"));
+    fireEvent.change(screen.getByLabelText("Remind Before a Dose (minutes)"), {
+      target: { value: "30" },
+    });
+    fireEvent.click(screen.getByLabelText("Hold notifications until quiet hours end"));
+    fireEvent.click(screen.getByText("Save Preferences"));
+
+    await waitFor(() => {
+      expect(mockUpdatePreferences).toHaveBeenCalledWith(1, {
+        disabled_types: ["BUY_SOON", "MISSED_DOSE"],
+        minutes_ahead: 30,
+        hours_overdue: 1,
+        buy_soon_days_ahead: 1,
+        renotify_minutes: 15,
+        max_renotifications: 2,
+        escalation_user_id: null,
+        quiet_hours_enabled: true,
+        quiet_hours_start: "22:00",
+        quiet_hours_end: "07:00",
+      });
+    });
+    expect(await screen.findByText("Notification preferences saved")).toBeInTheDocument();
+  });
+
+  it("picks a secondary caregiver from the patient's members", async () => {
+    render(<NotificationPreferences />);
+    await screen.findByLabelText("Low stock");
+
+    fireEvent.change(screen.getByLabelText("Secondary Caregiver"), {
+      target: { value: "6" },
+    });
+    fireEvent.change(screen.getByLabelText("Remind Again (times)"), {
+      target: { value: "3" },
+    });
+    fireEvent.click(screen.getByText("Save Preferences"));
+
+    await waitFor(() => {
+      expect(mockUpdatePreferences).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ escalation_user_id: 6, max_renotifications: 3 })
+      );
+    });
+    expect(mockGetMembers).toHaveBeenCalledWith(1);
+  });
+});
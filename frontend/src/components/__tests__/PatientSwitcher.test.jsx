@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import PatientSwitcher from "../PatientSwitcher";
+
+const mockSelectPatient = vi.fn();
+let mockPatients = [];
+let mockSelectedPatientId = null;
+
+vi.mock("../../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: mockPatients,
+    selectedPatientId: mockSelectedPatientId,
+    selectPatient: mockSelectPatient,
+  }),
+}));
+
+describe("PatientSwitcher", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPatients = [
+      { id: 1, name: "Grandma" },
+      { id: 2, name: "Alex" },
+    ];
+    mockSelectedPatientId = null;
+  });
+
+  it("renders nothing when there are no patients", () => {
+    mockPatients = [];
+
+    const { container } = render(<PatientSwitcher />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("lists all patients with an all-patients option", () => {
+    render(<PatientSwitcher />);
+
+    const select = screen.getByLabelText("Select patient");
+    expect(select).toHaveValue("");
+    expect(screen.getByRole("option", { name: "All patients" })).toBeInTheDocument();
+    expect(screen.getByRole("option", { name: "Grandma" })).toBeInTheDocument();
+    expect(screen.getByRole("option", { name: "Alex" })).toBeInTheDocument();
+  });
+
+  it("shows the selected patient", () => {
+    mockSelectedPatientId = 2;
+
+    render(<PatientSwitcher />);
+
+    expect(screen.getByLabelText("Select patient")).toHaveValue("2");
+  });
+
+  it("selects a patient and clears the selection", () => {
+    render(<PatientSwitcher />);
+
+    const select = screen.getByLabelText("Select patient");
+    fireEvent.change(select, { target: { value: "1" } });
+    expect(mockSelectPatient).toHaveBeenCalledWith("1");
+
+    fireEvent.change(select, { target: { value: "" } });
+    expect(mockSelectPatient).toHaveBeenLastCalledWith(null);
+  });
+});
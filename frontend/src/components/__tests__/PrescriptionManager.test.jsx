@@ -0,0 +1,153 @@
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import PrescriptionManager from "../PrescriptionManager";
+
+const mockGetPrescriptions = vi.fn();
+const mockCreatePrescription = vi.fn();
+const mockDeletePrescription = vi.fn();
+
+vi.mock("../../utils/apiClient", () => ({
+  medicationApi: {
+    getPrescriptions: (...args) => mockGetPrescriptions(...args),
+    createPrescription: (...args) => mockCreatePrescription(...args),
+    deletePrescription: (...args) => mockDeletePrescription(...args),
+  },
+  settingsApi: {
+    getPrescribers: vi.fn().mockResolvedValue({
+      data: [{ id: 3, name: "Dr. Smith", practice: "Riverside Clinic" }],
+    }),
+  },
+}));
+
+vi.mock("../../utils/dates", () => ({
+  getToday: () => "2024-06-01",
+}));
+
+const prescriptions = [
+  {
+    id: 2,
+    prescription_number: "RX-2",
+    prescriber_name: "Dr. Smith",
+    issue_date: "2024-05-01",
+    expiry_date: "2024-06-20",
+    authorized_refills: 3,
+    refills_remaining: 2,
+  },
+  {
+    id: 1,
+    prescription_number: "RX-1",
+    prescriber_name: null,
+    issue_date: "2023-05-01",
+    expiry_date: null,
+    authorized_refills: 1,
+    refills_remaining: 0,
+  },
+];
+
+describe("PrescriptionManager", () => {
+  beforeEach(() => {
+    mockGetPrescriptions.mockReset();
+    mockCreatePrescription.mockReset();
+    mockDeletePrescription.mockReset();
+  });
+
+  it("lists prescriptions with the status of the current one", async () => {
+    mockGetPrescriptions.mockResolvedValue({ data: prescriptions });
+    const onChange = vi.fn();
+
+    render(<PrescriptionManager medicationId={5} onChange={onChange} />);
+
+    expect(await screen.findByText("RX-2 · Dr. Smith")).toBeInTheDocument();
+    expect(screen.getByTestId("prescription-2")).toHaveTextContent(
+      "Issued 2024-05-01, expires 2024-06-20 · 2 of 3 refills left"
+    );
+    expect(screen.getByTestId("prescription-2")).toHaveTextContent(
+      "Expires soon"
+    );
+    expect(screen.getByTestId("prescription-1")).toHaveTextContent(
+      "no expiry · 0 of 1 refills left"
+    );
+    expect(screen.getByTestId("prescription-1")).not.toHaveTextContent(
+      "No refills left"
+    );
+    expect(mockGetPrescriptions).toHaveBeenCalledWith(5);
+    expect(onChange).toHaveBeenCalledWith(prescriptions);
+  });
+
+  it("shows an empty state without prescriptions", async () => {
+    mockGetPrescriptions.mockResolvedValue({ data: [] });
+
+    render(<PrescriptionManager medicationId={5} />);
+
+    expect(
+      await screen.findByText(/No prescriptions recorded/)
+    ).toBeInTheDocument();
+  });
+
+  it("adds a prescription and reloads the list", async () => {
+    mockGetPrescriptions.mockResolvedValue({ data: [] });
+    mockCreatePrescription.mockResolvedValue({ data: { id: 3 } });
+
+    render(<PrescriptionManager medicationId={5} />);
+
+    fireEvent.click(await screen.findByText("Add Prescription"));
+    await screen.findByRole("option", { name: "Dr. Smith (Riverside Clinic)" });
+    fireEvent.change(screen.getByLabelText("Prescriber"), {
+      target: { value: "3" },
+    });
+    fireEvent.change(screen.getByLabelText("Prescription Number"), {
+      target: { value: " RX-3 " },
+    });
+    fireEvent.change(screen.getByLabelText("Expiry Date"), {
+      target: { value: "2025-06-01" },
+    });
+    fireEvent.change(screen.getByLabelText("Authorized Refills"), {
+      target: { value: "5" },
+    });
+    fireEvent.click(screen.getByText("Save Prescription"));
+
+    await waitFor(() => {
+      expect(mockCreatePrescription).toHaveBeenCalledWith(5, {
+        prescriber_id: 3,
+        prescription_number: "RX-3",
+        issue_date: "2024-06-01",
+        expiry_date: "2025-06-01",
+        authorized_refills: 5,
+      });
+      expect(mockGetPrescriptions).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it("rejects an expiry date before the issue date", async () => {
+    mockGetPrescriptions.mockResolvedValue({ data: [] });
+
+    render(<PrescriptionManager medicationId={5} />);
+
+    fireEvent.click(await screen.findByText("Add Prescription"));
+    fireEvent.change(screen.getByLabelText("Expiry Date"), {
+      target: { value: "2024-01-01" },
+    });
+    fireEvent.click(screen.getByText("Save Prescription"));
+
+    expect(
+      screen.getByText("Expiry date must be on or after the issue date")
+    ).toBeInTheDocument();
+    expect(mockCreatePrescription).not.toHaveBeenCalled();
+  });
+
+  it("deletes a prescription after confirmation", async () => {
+    mockGetPrescriptions.mockResolvedValue({ data: prescriptions });
+    mockDeletePrescription.mockResolvedValue({});
+    vi.spyOn(window, "confirm").mockReturnValue(true);
+
+    render(<PrescriptionManager medicationId={5} />);
+
+    fireEvent.click(
+      await screen.findByRole("button", { name: "Delete prescription RX-1" })
+    );
+
+    await waitFor(() => {
+      expect(mockDeletePrescription).toHaveBeenCalledWith(5, 1);
+    });
+  });
+});
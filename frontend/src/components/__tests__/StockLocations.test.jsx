@@ -0,0 +1,136 @@
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import StockLocations from "../StockLocations";
+
+const mockGetLocationStock = vi.fn();
+const mockTransferStock = vi.fn();
+const mockGetLocations = vi.fn();
+
+vi.mock("../../utils/apiClient", () => ({
+  medicationApi: {
+    getLocations: (...args) => mockGetLocationStock(...args),
+    transferStock: (...args) => mockTransferStock(...args),
+  },
+  settingsApi: {
+    getLocations: (...args) => mockGetLocations(...args),
+  },
+}));
+
+const locationStock = {
+  medication_id: 5,
+  total_tablets: 30,
+  unassigned_quantity: 6,
+  locations: [
+    {
+      location_id: 1,
+      location_name: "Home",
+      is_default: true,
+      quantity: 20,
+      days_remaining: null,
+      run_out_date: null,
+      needs_refill: false,
+      alert_level: "none",
+    },
+    {
+      location_id: 2,
+      location_name: "Travel kit",
+      is_default: false,
+      quantity: 4,
+      days_remaining: 2,
+      run_out_date: "2024-06-04",
+      needs_refill: true,
+      alert_level: "warning",
+    },
+  ],
+};
+
+describe("StockLocations", () => {
+  beforeEach(() => {
+    mockGetLocationStock.mockReset();
+    mockTransferStock.mockReset();
+    mockGetLocations.mockReset();
+    mockGetLocations.mockResolvedValue({
+      data: [
+        { id: 1, name: "Home", is_default: true },
+        { id: 2, name: "Travel kit", is_default: false },
+      ],
+    });
+  });
+
+  it("lists the stock and forecast of each location", async () => {
+    mockGetLocationStock.mockResolvedValue({ data: locationStock });
+
+    render(<StockLocations medicationId={5} patientId={3} />);
+
+    expect(await screen.findByText("Home (default)")).toBeInTheDocument();
+    expect(screen.getByTestId("location-stock-1")).toHaveTextContent(
+      "Enough stock"
+    );
+    expect(screen.getByTestId("location-stock-2")).toHaveTextContent(
+      "4 tablets · runs out 2024-06-04"
+    );
+    expect(screen.getByTestId("location-stock-2")).toHaveTextContent(
+      "2 days left"
+    );
+    expect(screen.getByTestId("location-stock-none")).toHaveTextContent(
+      "6 tablets"
+    );
+    expect(mockGetLocationStock).toHaveBeenCalledWith(5);
+    // Only the medication's patient's locations can take its stock
+    expect(mockGetLocations).toHaveBeenCalledWith(3);
+  });
+
+  it("points to the settings without locations", async () => {
+    mockGetLocations.mockResolvedValue({ data: [] });
+    mockGetLocationStock.mockResolvedValue({
+      data: { ...locationStock, locations: [], unassigned_quantity: 30 },
+    });
+
+    render(<StockLocations medicationId={5} patientId={3} />);
+
+    expect(
+      await screen.findByText(/No storage locations yet/)
+    ).toBeInTheDocument();
+  });
+
+  it("moves stock between locations and reloads it", async () => {
+    mockGetLocationStock.mockResolvedValue({ data: locationStock });
+    mockTransferStock.mockResolvedValue({ data: {} });
+
+    render(<StockLocations medicationId={5} patientId={3} />);
+
+    fireEvent.click(await screen.findByText("Move Stock"));
+    await screen.findAllByRole("option", { name: "Travel kit" });
+    fireEvent.change(screen.getByLabelText("From"), { target: { value: "1" } });
+    fireEvent.change(screen.getByLabelText("To"), { target: { value: "2" } });
+    fireEvent.change(screen.getByLabelText(/Quantity/), {
+      target: { value: "5" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Move Stock" }));
+
+    await waitFor(() => {
+      expect(mockTransferStock).toHaveBeenCalledWith(5, {
+        from_location_id: 1,
+        to_location_id: 2,
+        quantity: 5,
+        notes: null,
+      });
+      expect(mockGetLocationStock).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it("refuses to move stock to the same place", async () => {
+    mockGetLocationStock.mockResolvedValue({ data: locationStock });
+
+    render(<StockLocations medicationId={5} patientId={3} />);
+
+    fireEvent.click(await screen.findByText("Move Stock"));
+    fireEvent.change(screen.getByLabelText(/Quantity/), {
+      target: { value: "5" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Move Stock" }));
+
+    expect(screen.getByText("Choose a different location")).toBeInTheDocument();
+    expect(mockTransferStock).not.toHaveBeenCalled();
+  });
+});
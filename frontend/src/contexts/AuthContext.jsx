@@ -0,0 +1,71 @@
+import { useEffect, useState, useCallback } from "react";
+import apiClient, { authApi } from "../utils/apiClient";
+import { AuthContext } from "../hooks/useAuth";
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Restore the session from the cookie on first load
+  useEffect(() => {
+    let cancelled = false;
+
+    authApi
+      .me()
+      .then((result) => {
+        if (!cancelled) setUser(result.data);
+      })
+      .catch(() => {
+        if (!cancelled) setUser(null);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Any API call rejected with 401 means the session is gone
+  useEffect(() => {
+    apiClient.setUnauthorizedCallback(() => setUser(null));
+
+    return () => {
+      apiClient.setUnauthorizedCallback(null);
+    };
+  }, []);
+
+  const login = useCallback(async (email, password) => {
+    const result = await authApi.login(email, password);
+    setUser(result.data.user);
+    return result.data.user;
+  }, []);
+
+  const register = useCallback(async (data) => {
+    const result = await authApi.register(data);
+    setUser(result.data.user);
+    return result.data.user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await authApi.logout();
+    } catch (error) {
+      console.warn("Failed to end session:", error);
+    } finally {
+      setUser(null);
+    }
+  }, []);
+
+  const value = {
+    user,
+    isLoading,
+    isAuthenticated: !!user,
+    login,
+    register,
+    logout,
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
@@ -0,0 +1,142 @@
+import { useEffect, useState, useCallback } from "react";
+import { patientApi, settingsApi } from "../utils/apiClient";
+import { useAuth } from "../hooks/useAuth";
+import { PatientContext } from "../hooks/usePatient";
+
+const STORAGE_KEY = "curamind-patient";
+
+const getStoredPatientId = () => {
+  try {
+    const stored = parseInt(localStorage.getItem(STORAGE_KEY));
+    return Number.isInteger(stored) ? stored : null;
+  } catch (error) {
+    console.warn("Failed to read patient from localStorage:", error);
+    return null;
+  }
+};
+
+const storePatientId = (patientId) => {
+  try {
+    if (patientId) {
+      localStorage.setItem(STORAGE_KEY, String(patientId));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn("Failed to save patient to localStorage:", error);
+  }
+};
+
+export const PatientProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [patients, setPatients] = useState([]);
+  // null means "all patients"
+  const [selectedPatientId, setSelectedPatientId] = useState(getStoredPatientId);
+  const [isLoading, setIsLoading] = useState(false);
+  // Installation timezone for patients without their own
+  const [installationTimeZone, setInstallationTimeZone] = useState(null);
+  const [availableTimeZones, setAvailableTimeZones] = useState([]);
+
+  const selectPatient = useCallback((patientId) => {
+    const id = patientId ? Number(patientId) : null;
+    setSelectedPatientId(id);
+    storePatientId(id);
+  }, []);
+
+  const refreshPatients = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result = await patientApi.getAll();
+      const loaded = result.data || [];
+      setPatients(loaded);
+
+      // Forget a stored selection that no longer exists
+      setSelectedPatientId((current) => {
+        if (current && !loaded.some((patient) => patient.id === current)) {
+          storePatientId(null);
+          return null;
+        }
+        return current;
+      });
+
+      return loaded;
+    } catch (error) {
+      console.error("Failed to load patients:", error);
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      refreshPatients();
+    } else {
+      setPatients([]);
+    }
+  }, [isAuthenticated, refreshPatients]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    settingsApi
+      .getTimezone()
+      .then((result) => {
+        setInstallationTimeZone(result.data?.timezone || null);
+        setAvailableTimeZones(result.data?.available || []);
+      })
+      .catch((error) => {
+        console.error("Failed to load timezone:", error);
+      });
+  }, [isAuthenticated]);
+
+  const createPatient = useCallback(
+    async (data) => {
+      const result = await patientApi.create(data);
+      await refreshPatients();
+      selectPatient(result.data.id);
+      return result.data;
+    },
+    [refreshPatients, selectPatient]
+  );
+
+  const updatePatient = useCallback(
+    async (id, data) => {
+      const result = await patientApi.update(id, data);
+      await refreshPatients();
+      return result.data;
+    },
+    [refreshPatients]
+  );
+
+  const deletePatient = useCallback(
+    async (id) => {
+      await patientApi.delete(id);
+      await refreshPatients();
+    },
+    [refreshPatients]
+  );
+
+  const selectedPatient =
+    patients.find((patient) => patient.id === selectedPatientId) || null;
+
+  const value = {
+    patients,
+    isLoading,
+    selectedPatientId,
+    selectedPatient,
+    // Timezone that decides "today" for the selected patient; null means the browser's
+    timeZone: selectedPatient?.timezone || installationTimeZone,
+    installationTimeZone,
+    availableTimeZones,
+    selectPatient,
+    refreshPatients,
+    createPatient,
+    updatePatient,
+    deletePatient,
+  };
+
+  return (
+    <PatientContext.Provider value={value}>{children}</PatientContext.Provider>
+  );
+};
@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+
+// Provided by AuthProvider (contexts/AuthContext.jsx)
+export const AuthContext = createContext();
+
+/**
+ * Custom hook for the signed-in user and the login, register and logout actions
+ */
+export const useAuth = () => {
+    const context = useContext(AuthContext);
+    if (!context) {
+        throw new Error('useAuth must be used within an AuthProvider');
+    }
+    return context;
+};
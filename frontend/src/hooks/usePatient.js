@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+
+// Provided by PatientProvider (contexts/PatientContext.jsx)
+export const PatientContext = createContext();
+
+/**
+ * Custom hook for the user's patients and the patient selected to scope the app to
+ */
+export const usePatient = () => {
+    const context = useContext(PatientContext);
+    if (!context) {
+        throw new Error('usePatient must be used within a PatientProvider');
+    }
+    return context;
+};
@@ -0,0 +1,54 @@
+import { useState, useEffect, useRef } from 'react';
+import { subscribeToEvents, isEventStreamConnected } from '../utils/eventStream';
+
+/**
+ * Custom hook for reacting to server events as they happen
+ *
+ * handlers maps event types ("notification", "dose_given", "inventory") to callbacks.
+ * While the event stream is down, onPoll is called every pollInterval milliseconds
+ * instead, and once more when the stream comes back to catch up on missed events.
+ */
+export const useServerEvents = (handlers, { onPoll = null, pollInterval = 30000 } = {}) => {
+    const [connected, setConnected] = useState(isEventStreamConnected);
+    const handlersRef = useRef(handlers);
+    const onPollRef = useRef(onPoll);
+    const everConnectedRef = useRef(false);
+
+    // Always call the latest callbacks without resubscribing
+    useEffect(() => {
+        handlersRef.current = handlers;
+        onPollRef.current = onPoll;
+    });
+
+    useEffect(() => {
+        return subscribeToEvents(
+            (type, data) => handlersRef.current[type]?.(data),
+            setConnected
+        );
+    }, []);
+
+    // Fall back to polling while disconnected
+    useEffect(() => {
+        if (connected) {
+            return undefined;
+        }
+
+        const interval = setInterval(() => onPollRef.current?.(), pollInterval);
+        return () => {
+            clearInterval(interval);
+        };
+    }, [connected, pollInterval]);
+
+    // Events raised while disconnected are not replayed; catch up after a reconnection
+    useEffect(() => {
+        if (!connected) {
+            return;
+        }
+        if (everConnectedRef.current) {
+            onPollRef.current?.();
+        }
+        everConnectedRef.current = true;
+    }, [connected]);
+
+    return { connected };
+};
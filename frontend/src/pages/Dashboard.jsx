@@ -1,9 +1,14 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import DatePicker from "../components/DatePicker";
 import MedicationCard from "../components/MedicationCard";
 import LoadingSpinner from "../components/LoadingSpinner";
 import ErrorMessage from "../components/ErrorMessage";
 import NotificationBell from "../components/NotificationBell";
+import { usePatient } from "../hooks/usePatient";
+import { getToday, addDays } from "../utils/dates";
+import { formatQuantity, getUnitLabel } from "../utils/units";
+import { settingsApi } from "../utils/apiClient";
+import { useServerEvents } from "../hooks/useServerEvents";
 import SummaryCard from "../components/ui/SummaryCard";
 import { HeroIcon } from "../components/ui/Icon";
 import { DashboardSkeleton } from "../components/LoadingSkeleton";
@@ -23,22 +28,31 @@ import {
 } from "@heroicons/react/24/outline";
 
 const Dashboard = () => {
-  const [selectedDate, setSelectedDate] = useState(
-    new Date().toISOString().split("T")[0]
-  );
+  const { selectedPatientId, timeZone } = usePatient();
+  const [selectedDate, setSelectedDate] = useState(() => getToday(timeZone));
   const [schedule, setSchedule] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [markingDose, setMarkingDose] = useState(null);
   const [showQuickActions, setShowQuickActions] = useState(false);
+  // Storage location doses are taken from; empty for the default location
+  const [locations, setLocations] = useState([]);
+  const [doseLocationId, setDoseLocationId] = useState("");
 
-  // Fetch daily schedule
-  const fetchSchedule = async (date) => {
+  // Fetch daily schedule; a background refresh keeps the current schedule on screen
+  const fetchSchedule = useCallback(async (date, { background = false } = {}) => {
     try {
-      setLoading(true);
+      if (!background) {
+        setLoading(true);
+      }
       setError("");
 
-      const response = await fetch(`/api/schedule/daily?date=${date}`);
+      const patientFilter = selectedPatientId
+        ? `&patient_id=${selectedPatientId}`
+        : "";
+      const response = await fetch(
+        `/api/schedule/daily?date=${date}${patientFilter}`
+      );
       const result = await response.json();
 
       if (!response.ok) {
@@ -52,12 +66,16 @@ const Dashboard = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [selectedPatientId]);
 
-  // Mark dose as given
-  const handleMarkAsGiven = async (medicationId, doseAmount) => {
+  // Identify a scheduled slot (hourly doses share a dose_id)
+  const getSlotKey = (entry) =>
+    `${entry.medication_id}-${entry.dose_id}-${entry.time_of_day}`;
+
+  // Mark dose as given, linking it to its scheduled slot
+  const handleMarkAsGiven = async (medicationId, doseAmount, entry = null) => {
     try {
-      setMarkingDose(`${medicationId}-${doseAmount}`);
+      setMarkingDose(entry ? getSlotKey(entry) : `${medicationId}-${doseAmount}`);
 
       const response = await fetch(
         `/api/medications/${medicationId}/mark-dose-given`,
@@ -69,6 +87,12 @@ const Dashboard = () => {
           body: JSON.stringify({
             dose_amount: doseAmount,
             timestamp: new Date().toISOString(),
+            ...(doseLocationId && { location_id: parseInt(doseLocationId) }),
+            ...(entry && {
+              medicine_dose_id: entry.dose_id,
+              scheduled_date: selectedDate,
+              scheduled_time: entry.time_of_day,
+            }),
           }),
         }
       );
@@ -91,15 +115,73 @@ const Dashboard = () => {
     }
   };
 
+  // Record an as-needed dose; limits refused by the server can be overridden after confirmation
+  const handleTakeAsNeeded = async (entry, overrideLimits = false) => {
+    try {
+      setMarkingDose(`prn-${entry.medication_id}`);
+
+      const response = await fetch(
+        `/api/medications/${entry.medication_id}/mark-dose-given`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            dose_amount: entry.dose_amount,
+            timestamp: new Date().toISOString(),
+            override_limits: overrideLimits,
+            ...(doseLocationId && { location_id: parseInt(doseLocationId) }),
+          }),
+        }
+      );
+
+      const result = await response.json();
+
+      if (response.status === 409 && result.error?.code === "PRN_LIMIT_EXCEEDED") {
+        if (confirm(`${result.error.message}\n\nRecord this dose anyway?`)) {
+          await handleTakeAsNeeded(entry, true);
+        }
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(
+          result.error?.message || "Failed to mark dose as given"
+        );
+      }
+
+      await fetchSchedule(selectedDate);
+    } catch (err) {
+      console.error("Error recording as-needed dose:", err);
+      setError(err.message);
+    } finally {
+      setMarkingDose(null);
+    }
+  };
+
+  // Time of day, with the weekday when it is not today
+  const formatPrnTime = (isoString) => {
+    const date = new Date(isoString);
+    const time = date.toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+    return date.toDateString() === new Date().toDateString()
+      ? time
+      : `${date.toLocaleDateString([], { weekday: "short" })} ${time}`;
+  };
+
   // Handle date change
   const handleDateChange = (newDate) => {
     setSelectedDate(newDate);
   };
 
   // Handle inventory update
-  const handleUpdateInventory = (medicationId) => {
+  const handleUpdateInventory = (medicationId, doseUnit = "tablet") => {
     // For now, prompt for new inventory amount
-    const newAmount = prompt("Enter new tablet count:");
+    const newAmount = prompt(`Enter new ${getUnitLabel(doseUnit, 1)} count:`);
     if (newAmount && !isNaN(newAmount) && parseFloat(newAmount) >= 0) {
       updateInventory(medicationId, parseFloat(newAmount));
     }
@@ -136,12 +218,50 @@ const Dashboard = () => {
     }
   };
 
-  // Load schedule when component mounts or date changes
+  // Open on today for the selected patient once their timezone is known
+  useEffect(() => {
+    setSelectedDate(getToday(timeZone));
+  }, [timeZone]);
+
+  // Load schedule when component mounts, the date changes or another patient is selected
   useEffect(() => {
     if (selectedDate) {
       fetchSchedule(selectedDate);
     }
-  }, [selectedDate]);
+  }, [selectedDate, fetchSchedule]);
+
+  // Refresh when doses are recorded or stock changes elsewhere (another caregiver, a
+  // background job); every minute instead while the event stream is down
+  const refreshForEvent = (event) => {
+    if (
+      selectedDate &&
+      (!selectedPatientId || String(event.patient_id) === String(selectedPatientId))
+    ) {
+      fetchSchedule(selectedDate, { background: true });
+    }
+  };
+
+  useServerEvents(
+    { dose_given: refreshForEvent, inventory: refreshForEvent },
+    {
+      onPoll: () => selectedDate && fetchSchedule(selectedDate, { background: true }),
+      pollInterval: 60000,
+    }
+  );
+
+  // Load the storage locations doses can be taken from; each patient has its own, so they
+  // can only be chosen with a patient selected
+  useEffect(() => {
+    setDoseLocationId("");
+    if (!selectedPatientId) {
+      setLocations([]);
+      return;
+    }
+    settingsApi
+      .getLocations(selectedPatientId)
+      .then((result) => setLocations(result.data || []))
+      .catch((err) => console.error("Error loading locations:", err));
+  }, [selectedPatientId]);
 
   // Close quick actions when clicking outside
   useEffect(() => {
@@ -162,26 +282,24 @@ const Dashboard = () => {
 
   // Format date for display
   const formatDateForDisplay = (dateString) => {
-    const date = new Date(dateString);
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-
-    if (dateString === today.toISOString().split("T")[0]) {
+    // Relative to today in the patient's timezone, not the browser's
+    const today = getToday(timeZone);
+
+    if (dateString === today) {
       return "Today";
-    } else if (dateString === tomorrow.toISOString().split("T")[0]) {
+    } else if (dateString === addDays(today, 1)) {
       return "Tomorrow";
-    } else if (dateString === yesterday.toISOString().split("T")[0]) {
+    } else if (dateString === addDays(today, -1)) {
       return "Yesterday";
     }
 
-    return date.toLocaleDateString("en-US", {
+    // Date strings parse as UTC midnight, so format them in UTC to keep the day
+    return new Date(dateString).toLocaleDateString("en-US", {
       weekday: "long",
       year: "numeric",
       month: "long",
       day: "numeric",
+      timeZone: "UTC",
     });
   };
 
@@ -200,6 +318,10 @@ const Dashboard = () => {
   const renderTimePeriod = (period, entries) => {
     if (entries.length === 0) return null;
 
+    const doneCount = entries.filter(
+      (entry) => entry.status === "given" || entry.status === "late"
+    ).length;
+
     return (
       <section key={period} className="mb-10">
         <div className="flex items-center gap-4 mb-6">
@@ -216,6 +338,8 @@ const Dashboard = () => {
               <p className="text-body-small text-neutral-600 dark:text-neutral-400">
                 {entries.length}{" "}
                 {entries.length === 1 ? "medication" : "medications"} scheduled
+                {" \u00b7 "}
+                {doneCount} done, {entries.length - doneCount} pending
               </p>
             </div>
           </div>
@@ -224,23 +348,25 @@ const Dashboard = () => {
         <MedicationCardStagger>
           {entries.map((entry) => (
             <MedicationCard
-              key={`${entry.medication_id}-${entry.dose_id}`}
+              key={getSlotKey(entry)}
               medication={{
                 id: entry.medication_id,
                 name: entry.medication_name,
                 strength: entry.medication_strength,
                 route: entry.route,
                 total_tablets: entry.remaining_tablets,
+                dose_unit: entry.dose_unit,
                 notes: entry.instructions,
                 dailyConsumption: entry.dose_amount,
               }}
-              onMarkAsGiven={handleMarkAsGiven}
+              onMarkAsGiven={(medicationId, doseAmount) =>
+                handleMarkAsGiven(medicationId, doseAmount, entry)
+              }
               showTime={true}
               timeOfDay={entry.time_of_day}
               doseAmount={entry.dose_amount}
-              isMarking={
-                markingDose === `${entry.medication_id}-${entry.dose_amount}`
-              }
+              doseStatus={entry.status}
+              isMarking={markingDose === getSlotKey(entry)}
             />
           ))}
         </MedicationCardStagger>
@@ -276,7 +402,27 @@ const Dashboard = () => {
             </div>
 
             <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-4">
-              <NotificationBell />
+              <NotificationBell patientId={selectedPatientId} />
+              {locations.length > 0 && (
+                <div className="form-field">
+                  <label className="form-label" htmlFor="dose_location_id">
+                    Doses from
+                  </label>
+                  <select
+                    id="dose_location_id"
+                    value={doseLocationId}
+                    onChange={(e) => setDoseLocationId(e.target.value)}
+                    className="form-input-base form-input-animated form-input-md w-full"
+                  >
+                    <option value="">Default location</option>
+                    {locations.map((location) => (
+                      <option key={location.id} value={location.id}>
+                        {location.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <DatePicker
                 value={selectedDate}
                 onChange={handleDateChange}
@@ -310,8 +456,9 @@ const Dashboard = () => {
                   variant="filled"
                 />
                 <SummaryCard
-                  title="Total Doses"
-                  value={schedule.total_doses}
+                  title="Doses Given"
+                  value={`${schedule.completed_doses ?? 0} / ${schedule.total_doses}`}
+                  subtitle={`${schedule.pending_doses ?? schedule.total_doses} pending`}
                   icon={<HeroIcon icon={ClockIcon} size="lg" />}
                   color="success"
                   variant="filled"
@@ -426,7 +573,11 @@ const Dashboard = () => {
                                   </p>
                                 )}
                                 <p className="text-body-small text-error-600 dark:text-error-400 font-medium">
-                                  Only {entry.remaining_tablets} tablets
+                                  Only{" "}
+                                  {formatQuantity(
+                                    entry.remaining_tablets,
+                                    entry.dose_unit
+                                  )}{" "}
                                   remaining
                                 </p>
                               </div>
@@ -437,7 +588,10 @@ const Dashboard = () => {
                                 </span>
                                 <button
                                   onClick={() =>
-                                    handleUpdateInventory(entry.medication_id)
+                                    handleUpdateInventory(
+                                      entry.medication_id,
+                                      entry.dose_unit
+                                    )
                                   }
                                   className="btn-base btn-secondary btn-xs"
                                 >
@@ -497,6 +651,84 @@ const Dashboard = () => {
                 </section>
               )}
 
+            {/* As-needed medications, only meaningful for today */}
+            {selectedDate === getToday(timeZone) &&
+              schedule.as_needed?.length > 0 && (
+                <section className="mb-8">
+                  <div className="flex items-center gap-3 mb-6">
+                    <div className="flex-shrink-0 w-10 h-10 bg-primary-100 dark:bg-primary-900/30 rounded-lg flex items-center justify-center">
+                      <HeroIcon icon={ClockIcon} size="lg" color="primary" />
+                    </div>
+                    <div>
+                      <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100">
+                        Take as needed
+                      </h2>
+                      <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                        Not scheduled; doses are checked against their limits
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="space-y-4">
+                    {schedule.as_needed.map((entry) => (
+                      <div
+                        key={`prn-${entry.medication_id}`}
+                        className="bg-white dark:bg-neutral-800 rounded-lg p-4 border border-neutral-200 dark:border-neutral-700 shadow-sm"
+                      >
+                        <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start gap-4">
+                          <div className="flex-1 min-w-0">
+                            <h4 className="font-semibold text-neutral-900 dark:text-neutral-100 mb-1">
+                              {entry.medication_name}
+                              {entry.medication_strength &&
+                                ` \u00b7 ${entry.medication_strength}`}
+                            </h4>
+                            <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                              {formatQuantity(entry.dose_amount, entry.dose_unit)}{" "}
+                              per dose
+                              {entry.min_interval_hours &&
+                                `, at least ${entry.min_interval_hours} h apart`}
+                              {entry.max_daily_amount &&
+                                `, max ${entry.max_daily_amount} per 24 h`}
+                            </p>
+                            <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                              {entry.last_taken_at
+                                ? `Last taken ${formatPrnTime(entry.last_taken_at)} \u00b7 ${entry.taken_last_24h} in the last 24 h`
+                                : "Not taken in the last 24 hours"}
+                            </p>
+                          </div>
+
+                          <div className="flex items-center gap-3 flex-shrink-0">
+                            {entry.can_take ? (
+                              <span className="badge-base badge-success badge-filled badge-sm">
+                                Allowed now
+                              </span>
+                            ) : (
+                              <span className="badge-base badge-warning badge-filled badge-sm">
+                                {entry.next_allowed_at
+                                  ? `Next dose at ${formatPrnTime(entry.next_allowed_at)}`
+                                  : "Above daily maximum"}
+                              </span>
+                            )}
+                            <button
+                              onClick={() => handleTakeAsNeeded(entry)}
+                              disabled={
+                                markingDose === `prn-${entry.medication_id}`
+                              }
+                              className={`btn-base btn-xs ${
+                                entry.can_take ? "btn-primary" : "btn-secondary"
+                              }`}
+                            >
+                              <HeroIcon icon={PlusIcon} size="xs" />
+                              Take now
+                            </button>
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              )}
+
             {/* Enhanced Schedule by Time Periods */}
             {schedule.schedule && (
               <div className="space-y-10">
@@ -507,7 +739,7 @@ const Dashboard = () => {
             )}
 
             {/* Enhanced Empty State */}
-            {schedule.total_doses === 0 && (
+            {schedule.total_doses === 0 && !schedule.as_needed?.length && (
               <div className="text-center py-16">
                 <div className="w-20 h-20 bg-neutral-100 dark:bg-neutral-800 rounded-full flex items-center justify-center mx-auto mb-6">
                   <HeroIcon icon={CalendarDaysIcon} size="2xl" color="muted" />
@@ -0,0 +1,134 @@
+import { useState } from "react";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import { HeartIcon } from "@heroicons/react/24/outline";
+import ErrorMessage from "../components/ErrorMessage";
+import { HeroIcon } from "../components/ui/Icon";
+import Input from "../components/ui/Input";
+import Button from "../components/ui/Button";
+import { useAuth } from "../hooks/useAuth";
+
+function Login() {
+  const { login, register, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [mode, setMode] = useState("login");
+  const [formData, setFormData] = useState({
+    name: "",
+    email: "",
+    password: "",
+  });
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const redirectTo = location.state?.from?.pathname || "/";
+  const isRegistering = mode === "register";
+
+  if (isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleChange = (field) => (e) => {
+    setFormData((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      if (isRegistering) {
+        await register(formData);
+      } else {
+        await login(formData.email, formData.password);
+      }
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(isRegistering ? "login" : "register");
+    setError(null);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-neutral-50 dark:bg-neutral-900 px-4">
+      <div className="w-full max-w-md bg-white dark:bg-neutral-800 rounded-2xl shadow-lg border border-neutral-200 dark:border-neutral-700 p-8">
+        <div className="flex flex-col items-center mb-8">
+          <div className="w-12 h-12 bg-primary-100 dark:bg-primary-900/30 rounded-xl flex items-center justify-center mb-3">
+            <HeroIcon icon={HeartIcon} size="lg" color="primary" />
+          </div>
+          <h1 className="text-2xl font-bold text-neutral-900 dark:text-neutral-100">
+            {isRegistering ? "Create your account" : "Sign in to CuraMind"}
+          </h1>
+        </div>
+
+        {error && (
+          <div className="mb-6">
+            <ErrorMessage message={error} onDismiss={() => setError(null)} />
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {isRegistering && (
+            <Input
+              id="name"
+              label="Name"
+              value={formData.name}
+              onChange={handleChange("name")}
+              autoComplete="name"
+              required
+            />
+          )}
+          <Input
+            id="email"
+            type="email"
+            label="Email"
+            value={formData.email}
+            onChange={handleChange("email")}
+            autoComplete="email"
+            required
+          />
+          <Input
+            id="password"
+            type="password"
+            label="Password"
+            value={formData.password}
+            onChange={handleChange("password")}
+            autoComplete={isRegistering ? "new-password" : "current-password"}
+            helpText={isRegistering ? "At least 8 characters" : undefined}
+            showPasswordToggle
+            required
+          />
+
+          <Button
+            type="submit"
+            variant="primary"
+            className="w-full"
+            loading={isSubmitting}
+            disabled={isSubmitting}
+          >
+            {isRegistering ? "Create Account" : "Sign In"}
+          </Button>
+        </form>
+
+        <p className="mt-6 text-center text-sm text-neutral-600 dark:text-neutral-400">
+          {isRegistering ? "Already have an account?" : "Need an account?"}{" "}
+          <button
+            type="button"
+            onClick={toggleMode}
+            className="font-medium text-primary-600 hover:text-primary-700 dark:text-primary-400"
+          >
+            {isRegistering ? "Sign in" : "Create one"}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
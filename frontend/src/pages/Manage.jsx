@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import SearchFilter from "../components/SearchFilter";
 import MedicationCard from "../components/MedicationCard";
 import LoadingSpinner from "../components/LoadingSpinner";
@@ -6,6 +6,9 @@ import ErrorMessage from "../components/ErrorMessage";
 import SummaryCard from "../components/ui/SummaryCard";
 import { HeroIcon } from "../components/ui/Icon";
 import { ManageSkeleton } from "../components/LoadingSkeleton";
+import { usePatient } from "../hooks/usePatient";
+import { getToday } from "../utils/dates";
+import { getUnitLabel } from "../utils/units";
 import {
   SummaryCardStagger,
   MedicationCardStagger,
@@ -22,6 +25,7 @@ import {
 } from "@heroicons/react/24/outline";
 
 const Manage = () => {
+  const { selectedPatientId, timeZone } = usePatient();
   const [medications, setMedications] = useState([]);
   const [filteredMedications, setFilteredMedications] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -33,12 +37,16 @@ const Manage = () => {
   const [frequencies, setFrequencies] = useState([]);
 
   // Fetch medications
-  const fetchMedications = async () => {
+  const fetchMedications = useCallback(async () => {
     try {
       setLoading(true);
       setError("");
 
-      const response = await fetch("/api/medications");
+      const response = await fetch(
+        selectedPatientId
+          ? `/api/medications?patient_id=${selectedPatientId}`
+          : "/api/medications"
+      );
       const result = await response.json();
 
       if (!response.ok) {
@@ -52,7 +60,7 @@ const Manage = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [selectedPatientId]);
 
   // Fetch master data for filters
   const fetchMasterData = async () => {
@@ -93,7 +101,7 @@ const Manage = () => {
 
     // Apply filters
     if (selectedFilters.active_status) {
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(timeZone);
       if (selectedFilters.active_status === "active") {
         filtered = filtered.filter(
           (med) => !med.end_date || med.end_date >= today
@@ -196,8 +204,8 @@ const Manage = () => {
   };
 
   // Handle inventory update
-  const handleUpdateInventory = async (medicationId) => {
-    const newAmount = prompt("Enter new tablet count:");
+  const handleUpdateInventory = async (medicationId, doseUnit = "tablet") => {
+    const newAmount = prompt(`Enter new ${getUnitLabel(doseUnit, 1)} count:`);
     if (newAmount && !isNaN(newAmount) && parseFloat(newAmount) >= 0) {
       try {
         const response = await fetch(
@@ -243,7 +251,7 @@ const Manage = () => {
 
   // Calculate medication status
   const getMedicationStatus = (medication) => {
-    const today = new Date().toISOString().split("T")[0];
+    const today = getToday(timeZone);
     if (medication.end_date && medication.end_date < today) {
       return "inactive";
     }
@@ -252,10 +260,14 @@ const Manage = () => {
 
   // Load data when component mounts
   useEffect(() => {
-    fetchMedications();
     fetchMasterData();
   }, []);
 
+  // Reload medications when another patient is selected
+  useEffect(() => {
+    fetchMedications();
+  }, [fetchMedications]);
+
   // Apply filters when dependencies change
   useEffect(() => {
     applyFiltersAndSort();
@@ -482,7 +494,7 @@ const Manage = () => {
                       }
                       onDelete={() => handleDeleteMedication(medication.id)}
                       onUpdateInventory={() =>
-                        handleUpdateInventory(medication.id)
+                        handleUpdateInventory(medication.id, medication.dose_unit)
                       }
                     />
 
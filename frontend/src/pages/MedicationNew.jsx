@@ -3,6 +3,7 @@ import { useNavigate } from "react-router-dom";
 import MedicationForm from "../components/MedicationForm";
 import ErrorMessage from "../components/ErrorMessage";
 import { HeroIcon } from "../components/ui/Icon";
+import { usePatient } from "../hooks/usePatient";
 import {
   PlusIcon,
   ArrowLeftIcon,
@@ -11,6 +12,7 @@ import {
 
 const MedicationNew = () => {
   const navigate = useNavigate();
+  const { selectedPatient, refreshPatients } = usePatient();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState("");
 
@@ -24,7 +26,11 @@ const MedicationNew = () => {
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify(medicationData),
+        body: JSON.stringify(
+          selectedPatient
+            ? { ...medicationData, patient_id: selectedPatient.id }
+            : medicationData
+        ),
       });
 
       const result = await response.json();
@@ -33,6 +39,12 @@ const MedicationNew = () => {
         throw new Error(result.error?.message || "Failed to create medication");
       }
 
+      // Without a selected patient the medication went to the user's own
+      // patient, which may have just been created
+      if (!selectedPatient) {
+        await refreshPatients();
+      }
+
       // Navigate back to manage page on success
       navigate("/manage");
     } catch (err) {
@@ -70,8 +82,9 @@ const MedicationNew = () => {
                   Add New Medication
                 </h1>
                 <p className="text-lg text-neutral-600 dark:text-neutral-400">
-                  Create a new medication with dosing schedule and inventory
-                  tracking
+                  {selectedPatient
+                    ? `Create a new medication for ${selectedPatient.name}`
+                    : "Create a new medication with dosing schedule and inventory tracking"}
                 </p>
               </div>
             </div>
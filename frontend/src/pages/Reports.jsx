@@ -0,0 +1,249 @@
+import { useState, useEffect, useCallback } from "react";
+import LoadingSpinner from "../components/LoadingSpinner";
+import ErrorMessage from "../components/ErrorMessage";
+import Button from "../components/ui/Button";
+import Input from "../components/ui/Input";
+import { HeroIcon } from "../components/ui/Icon";
+import { usePatient } from "../hooks/usePatient";
+import { formatQuantity } from "../utils/units";
+import { BanknotesIcon } from "@heroicons/react/24/outline";
+
+const formatCost = (value) => value.toFixed(2);
+
+// "2024-03" -> "Mar 2024"
+const formatMonth = (month) => {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleDateString(
+    "en-US",
+    { month: "short", year: "numeric", timeZone: "UTC" }
+  );
+};
+
+const Reports = () => {
+  const { selectedPatientId } = usePatient();
+  const [startDate, setStartDate] = useState("");
+  const [endDate, setEndDate] = useState("");
+  // The range the report is fetched for; edits to the inputs apply on submit
+  const [range, setRange] = useState({ startDate: "", endDate: "" });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError("");
+
+      const params = new URLSearchParams();
+      if (range.startDate) params.append("start_date", range.startDate);
+      if (range.endDate) params.append("end_date", range.endDate);
+      if (selectedPatientId) params.append("patient_id", selectedPatientId);
+
+      const response = await fetch(`/api/reports/spend?${params}`);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(
+          result.error?.details?.[0]?.message ||
+            result.error?.message ||
+            "Failed to fetch spend report"
+        );
+      }
+
+      setReport(result.data);
+    } catch (err) {
+      console.error("Error fetching spend report:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [range, selectedPatientId]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setRange({ startDate, endDate });
+  };
+
+  const maxMonthlyCost = report
+    ? Math.max(...report.by_month.map((entry) => entry.total_cost), 0)
+    : 0;
+
+  return (
+    <div className="min-h-screen bg-neutral-50 dark:bg-neutral-900">
+      <header className="bg-gradient-to-r from-white to-neutral-50 dark:from-neutral-800 dark:to-neutral-900 shadow-sm border-b border-neutral-200 dark:border-neutral-700">
+        <div className="layout-container py-8">
+          <h1 className="text-heading-2 text-neutral-900 dark:text-neutral-100 mb-2">
+            Spend Report
+          </h1>
+          <p className="text-lg text-neutral-600 dark:text-neutral-400">
+            {report
+              ? `Refills from ${report.start_date} to ${report.end_date}`
+              : "What refills have cost, by month and medication"}
+          </p>
+        </div>
+      </header>
+
+      <main className="layout-container py-8 space-y-8">
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-col sm:flex-row sm:items-end gap-4"
+        >
+          <Input
+            label="From"
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+          />
+          <Input
+            label="To"
+            type="date"
+            value={endDate}
+            onChange={(e) => setEndDate(e.target.value)}
+          />
+          <Button type="submit" variant="primary" disabled={loading}>
+            Update Report
+          </Button>
+        </form>
+
+        {error && <ErrorMessage message={error} />}
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : (
+          report && (
+            <>
+              <section className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl p-4">
+                  <p className="text-sm text-neutral-600 dark:text-neutral-400">
+                    Total Spend
+                  </p>
+                  <p className="text-heading-4 text-neutral-900 dark:text-neutral-100">
+                    {formatCost(report.total_cost)}
+                  </p>
+                </div>
+                <div className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl p-4">
+                  <p className="text-sm text-neutral-600 dark:text-neutral-400">
+                    Per Month
+                  </p>
+                  <p className="text-heading-4 text-neutral-900 dark:text-neutral-100">
+                    {formatCost(report.average_monthly_cost)}
+                  </p>
+                </div>
+                <div className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl p-4">
+                  <p className="text-sm text-neutral-600 dark:text-neutral-400">
+                    Refills
+                  </p>
+                  <p className="text-heading-4 text-neutral-900 dark:text-neutral-100">
+                    {report.refill_count}
+                  </p>
+                  {report.unpriced_count > 0 && (
+                    <p className="text-xs text-neutral-500 dark:text-neutral-400">
+                      {report.unpriced_count} without a cost
+                    </p>
+                  )}
+                </div>
+              </section>
+
+              <section>
+                <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100 mb-3">
+                  By Month
+                </h2>
+                <div
+                  data-testid="spend-chart"
+                  className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl p-4 flex items-end gap-2 h-64"
+                >
+                  {report.by_month.map((entry) => (
+                    <div
+                      key={entry.month}
+                      className="flex-1 h-full flex flex-col justify-end items-center min-w-0"
+                      title={`${formatMonth(entry.month)}: ${formatCost(entry.total_cost)}`}
+                    >
+                      <span className="text-xs text-neutral-600 dark:text-neutral-400 mb-1">
+                        {entry.total_cost > 0 ? formatCost(entry.total_cost) : ""}
+                      </span>
+                      <div
+                        className="w-full bg-primary-500 dark:bg-primary-400 rounded-t"
+                        style={{
+                          height: `${
+                            maxMonthlyCost > 0
+                              ? (entry.total_cost / maxMonthlyCost) * 80
+                              : 0
+                          }%`,
+                        }}
+                      />
+                      <span className="text-xs text-neutral-500 dark:text-neutral-400 mt-1 truncate">
+                        {formatMonth(entry.month)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </section>
+
+              <section>
+                <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100 mb-3">
+                  By Medication
+                </h2>
+                {report.by_medication.length === 0 ? (
+                  <div className="text-center py-12 text-neutral-600 dark:text-neutral-400">
+                    <HeroIcon
+                      icon={BanknotesIcon}
+                      size="xl"
+                      className="mx-auto mb-4 text-neutral-400"
+                    />
+                    <p>No refills in this period.</p>
+                  </div>
+                ) : (
+                  <div className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl overflow-hidden">
+                    <table className="w-full text-left text-sm">
+                      <thead className="bg-neutral-50 dark:bg-neutral-700/50 text-neutral-600 dark:text-neutral-300">
+                        <tr>
+                          <th className="px-4 py-3 font-semibold">Medication</th>
+                          <th className="px-4 py-3 font-semibold">Refills</th>
+                          <th className="px-4 py-3 font-semibold">Bought</th>
+                          <th className="px-4 py-3 font-semibold">Spend</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-neutral-200 dark:divide-neutral-700">
+                        {report.by_medication.map((entry) => (
+                          <tr
+                            key={entry.medication_id}
+                            className="text-neutral-900 dark:text-neutral-100"
+                          >
+                            <td className="px-4 py-3">
+                              <span className="font-medium">
+                                {entry.medication_name}
+                              </span>
+                              {entry.medication_strength && (
+                                <span className="text-neutral-500 dark:text-neutral-400">
+                                  {" "}
+                                  {entry.medication_strength}
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3">{entry.refill_count}</td>
+                            <td className="px-4 py-3">
+                              {formatQuantity(entry.total_quantity, entry.dose_unit)}
+                            </td>
+                            <td className="px-4 py-3 font-semibold">
+                              {formatCost(entry.total_cost)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </section>
+            </>
+          )
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Reports;
@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import LoadingSpinner from "../components/LoadingSpinner";
 import ErrorMessage from "../components/ErrorMessage";
 import { HeroIcon } from "../components/ui/Icon";
@@ -14,9 +14,94 @@ import {
   ArrowLeftIcon,
   CheckCircleIcon,
   XMarkIcon,
+  UserGroupIcon,
+  ShareIcon,
+  ArrowRightOnRectangleIcon,
+  IdentificationIcon,
+  BuildingStorefrontIcon,
+  ArchiveBoxIcon,
+  BellAlertIcon,
+  AdjustmentsHorizontalIcon,
 } from "@heroicons/react/24/outline";
+import { usePatient } from "../hooks/usePatient";
+import { useAuth } from "../hooks/useAuth";
+import PatientSharing from "../components/PatientSharing";
+import NotificationChannels from "../components/NotificationChannels";
+import NotificationPreferences from "../components/NotificationPreferences";
+import { invitationApi, patientApi, settingsApi } from "../utils/apiClient";
+
+const EMPTY_FREQUENCY_FORM = {
+  name: "",
+  description: "",
+  recurrence_type: "daily",
+  interval_days: "",
+  weekdays: [],
+  day_of_month: "",
+  interval_hours: "",
+};
+
+const RECURRENCE_OPTIONS = [
+  { value: "daily", label: "Every day" },
+  { value: "interval", label: "Every N days" },
+  { value: "weekly", label: "On specific weekdays" },
+  { value: "monthly", label: "Once a month" },
+  { value: "hourly", label: "Every N hours" },
+  { value: "as_needed", label: "As needed (no schedule)" },
+];
+
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Human-readable summary of a frequency's recurrence rule
+const describeRecurrence = (frequency) => {
+  switch (frequency.recurrence_type) {
+    case "interval":
+      return `Every ${frequency.interval_days} days`;
+    case "weekly":
+      return frequency.weekdays?.length
+        ? `Weekly on ${frequency.weekdays.map((day) => WEEKDAY_LABELS[day]).join(", ")}`
+        : "Weekly on the start date's weekday";
+    case "monthly":
+      return frequency.day_of_month
+        ? `Monthly on day ${frequency.day_of_month}`
+        : "Monthly on the start date's day";
+    case "hourly":
+      return `Every ${frequency.interval_hours} hours`;
+    case "as_needed":
+      return "As needed";
+    default:
+      return "Every day";
+  }
+};
+
+const EMPTY_PRESCRIBER_FORM = {
+  name: "",
+  practice: "",
+  phone: "",
+  email: "",
+};
+
+const EMPTY_PHARMACY_FORM = {
+  name: "",
+  address: "",
+  phone: "",
+  hours: "",
+};
+
+const EMPTY_LOCATION_FORM = {
+  name: "",
+  description: "",
+  is_default: false,
+};
+
+const EMPTY_PATIENT_FORM = {
+  name: "",
+  date_of_birth: "",
+  timezone: "",
+  notes: "",
+};
 
 const Settings = () => {
+  const { patients } = usePatient();
   const [routes, setRoutes] = useState([]);
   const [frequencies, setFrequencies] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -33,10 +118,7 @@ const Settings = () => {
   const [savingRoute, setSavingRoute] = useState(false);
 
   // Frequency form state
-  const [frequencyForm, setFrequencyForm] = useState({
-    name: "",
-    description: "",
-  });
+  const [frequencyForm, setFrequencyForm] = useState(EMPTY_FREQUENCY_FORM);
   const [editingFrequency, setEditingFrequency] = useState(null);
   const [frequencyFormErrors, setFrequencyFormErrors] = useState({});
   const [savingFrequency, setSavingFrequency] = useState(false);
@@ -128,6 +210,28 @@ const Settings = () => {
       errors.description = "Description must be less than 200 characters";
     }
 
+    if (
+      data.recurrence_type === "interval" &&
+      !(parseInt(data.interval_days) >= 1)
+    ) {
+      errors.interval_days = "Interval must be at least 1 day";
+    }
+
+    if (
+      data.recurrence_type === "hourly" &&
+      !(parseInt(data.interval_hours) >= 1 && parseInt(data.interval_hours) <= 24)
+    ) {
+      errors.interval_hours = "Interval must be between 1 and 24 hours";
+    }
+
+    if (
+      data.recurrence_type === "monthly" &&
+      data.day_of_month !== "" &&
+      !(parseInt(data.day_of_month) >= 1 && parseInt(data.day_of_month) <= 31)
+    ) {
+      errors.day_of_month = "Day of month must be between 1 and 31";
+    }
+
     return errors;
   };
 
@@ -211,6 +315,24 @@ const Settings = () => {
         body: JSON.stringify({
           name: frequencyForm.name.trim(),
           description: frequencyForm.description.trim() || null,
+          recurrence_type: frequencyForm.recurrence_type,
+          interval_days:
+            frequencyForm.recurrence_type === "interval"
+              ? parseInt(frequencyForm.interval_days)
+              : null,
+          weekdays:
+            frequencyForm.recurrence_type === "weekly"
+              ? frequencyForm.weekdays
+              : [],
+          day_of_month:
+            frequencyForm.recurrence_type === "monthly" &&
+            frequencyForm.day_of_month !== ""
+              ? parseInt(frequencyForm.day_of_month)
+              : null,
+          interval_hours:
+            frequencyForm.recurrence_type === "hourly"
+              ? parseInt(frequencyForm.interval_hours)
+              : null,
         }),
       });
 
@@ -221,7 +343,7 @@ const Settings = () => {
       }
 
       // Reset form and refresh data
-      setFrequencyForm({ name: "", description: "" });
+      setFrequencyForm(EMPTY_FREQUENCY_FORM);
       setEditingFrequency(null);
       setFrequencyFormErrors({});
       await fetchFrequencies();
@@ -249,6 +371,11 @@ const Settings = () => {
     setFrequencyForm({
       name: frequency.name,
       description: frequency.description || "",
+      recurrence_type: frequency.recurrence_type || "daily",
+      interval_days: frequency.interval_days ?? "",
+      weekdays: frequency.weekdays || [],
+      day_of_month: frequency.day_of_month ?? "",
+      interval_hours: frequency.interval_hours ?? "",
     });
     setFrequencyFormErrors({});
   };
@@ -327,7 +454,7 @@ const Settings = () => {
     setEditingRoute(null);
     setEditingFrequency(null);
     setRouteForm({ name: "", description: "" });
-    setFrequencyForm({ name: "", description: "" });
+    setFrequencyForm(EMPTY_FREQUENCY_FORM);
     setRouteFormErrors({});
     setFrequencyFormErrors({});
   };
@@ -407,6 +534,72 @@ const Settings = () => {
                 <HeroIcon icon={ClockIcon} size="sm" />
                 Frequencies ({frequencies.length})
               </button>
+              <button
+                onClick={() => setActiveTab("patients")}
+                className={`py-4 px-4 border-b-2 font-medium text-sm transition-colors flex items-center gap-2 ${
+                  activeTab === "patients"
+                    ? "border-primary-500 text-primary-600 dark:text-primary-400"
+                    : "border-transparent text-neutral-500 dark:text-neutral-400 hover:text-neutral-700 dark:hover:text-neutral-300 hover:border-neutral-300 dark:hover:border-neutral-600"
+                }`}
+              >
+                <HeroIcon icon={UserGroupIcon} size="sm" />
+                Patients ({patients.length})
+              </button>
+              <button
+                onClick={() => setActiveTab("prescribers")}
+                className={`py-4 px-4 border-b-2 font-medium text-sm transition-colors flex items-center gap-2 ${
+                  activeTab === "prescribers"
+                    ? "border-primary-500 text-primary-600 dark:text-primary-400"
+                    : "border-transparent text-neutral-500 dark:text-neutral-400 hover:text-neutral-700 dark:hover:text-neutral-300 hover:border-neutral-300 dark:hover:border-neutral-600"
+                }`}
+              >
+                <HeroIcon icon={IdentificationIcon} size="sm" />
+                Prescribers
+              </button>
+              <button
+                onClick={() => setActiveTab("pharmacies")}
+                className={`py-4 px-4 border-b-2 font-medium text-sm transition-colors flex items-center gap-2 ${
+                  activeTab === "pharmacies"
+                    ? "border-primary-500 text-primary-600 dark:text-primary-400"
+                    : "border-transparent text-neutral-500 dark:text-neutral-400 hover:text-neutral-700 dark:hover:text-neutral-300 hover:border-neutral-300 dark:hover:border-neutral-600"
+                }`}
+              >
+                <HeroIcon icon={BuildingStorefrontIcon} size="sm" />
+                Pharmacies
+              </button>
+              <button
+                onClick={() => setActiveTab("locations")}
+                className={`py-4 px-4 border-b-2 font-medium text-sm transition-colors flex items-center gap-2 ${
+                  activeTab === "locations"
+                    ? "border-primary-500 text-primary-600 dark:text-primary-400"
+                    : "border-transparent text-neutral-500 dark:text-neutral-400 hover:text-neutral-700 dark:hover:text-neutral-300 hover:border-neutral-300 dark:hover:border-neutral-600"
+                }`}
+              >
+                <HeroIcon icon={ArchiveBoxIcon} size="sm" />
+                Locations
+              </button>
+              <button
+                onClick={() => setActiveTab("notifications")}
+                className={`py-4 px-4 border-b-2 font-medium text-sm transition-colors flex items-center gap-2 ${
+                  activeTab === "notifications"
+                    ? "border-primary-500 text-primary-600 dark:text-primary-400"
+                    : "border-transparent text-neutral-500 dark:text-neutral-400 hover:text-neutral-700 dark:hover:text-neutral-300 hover:border-neutral-300 dark:hover:border-neutral-600"
+                }`}
+              >
+                <HeroIcon icon={AdjustmentsHorizontalIcon} size="sm" />
+                Notifications
+              </button>
+              <button
+                onClick={() => setActiveTab("delivery")}
+                className={`py-4 px-4 border-b-2 font-medium text-sm transition-colors flex items-center gap-2 ${
+                  activeTab === "delivery"
+                    ? "border-primary-500 text-primary-600 dark:text-primary-400"
+                    : "border-transparent text-neutral-500 dark:text-neutral-400 hover:text-neutral-700 dark:hover:text-neutral-300 hover:border-neutral-300 dark:hover:border-neutral-600"
+                }`}
+              >
+                <HeroIcon icon={BellAlertIcon} size="sm" />
+                Delivery
+              </button>
             </nav>
           </div>
 
@@ -440,6 +633,18 @@ const Settings = () => {
                 onCancel={handleCancelEdit}
               />
             )}
+
+            {activeTab === "patients" && <PatientManagement />}
+
+            {activeTab === "prescribers" && <PrescriberManagement />}
+
+            {activeTab === "pharmacies" && <PharmacyManagement />}
+
+            {activeTab === "locations" && <StorageLocationManagement />}
+
+            {activeTab === "notifications" && <NotificationPreferences />}
+
+            {activeTab === "delivery" && <NotificationChannels />}
           </div>
         </div>
       </main>
@@ -694,6 +899,119 @@ const FrequencyManagement = ({
             placeholder="Optional description"
             error={frequencyFormErrors.description}
           />
+
+          <div className="form-field">
+            <label className="form-label" htmlFor="frequency-recurrence-type">
+              Recurrence
+            </label>
+            <select
+              id="frequency-recurrence-type"
+              value={frequencyForm.recurrence_type}
+              onChange={(e) =>
+                setFrequencyForm({
+                  ...frequencyForm,
+                  recurrence_type: e.target.value,
+                })
+              }
+              className="form-input-base form-input-animated form-input-md w-full"
+            >
+              {RECURRENCE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {frequencyForm.recurrence_type === "interval" && (
+            <Input
+              label="Every how many days"
+              type="number"
+              min="1"
+              required
+              value={frequencyForm.interval_days}
+              onChange={(e) =>
+                setFrequencyForm({
+                  ...frequencyForm,
+                  interval_days: e.target.value,
+                })
+              }
+              placeholder="e.g., 2 for every other day"
+              error={frequencyFormErrors.interval_days}
+            />
+          )}
+
+          {frequencyForm.recurrence_type === "hourly" && (
+            <Input
+              label="Every how many hours"
+              type="number"
+              min="1"
+              max="24"
+              required
+              value={frequencyForm.interval_hours}
+              onChange={(e) =>
+                setFrequencyForm({
+                  ...frequencyForm,
+                  interval_hours: e.target.value,
+                })
+              }
+              placeholder="e.g., 8"
+              helpText="Repeats from each configured dose time until midnight"
+              error={frequencyFormErrors.interval_hours}
+            />
+          )}
+
+          {frequencyForm.recurrence_type === "monthly" && (
+            <Input
+              label="Day of month"
+              type="number"
+              min="1"
+              max="31"
+              value={frequencyForm.day_of_month}
+              onChange={(e) =>
+                setFrequencyForm({
+                  ...frequencyForm,
+                  day_of_month: e.target.value,
+                })
+              }
+              placeholder="Defaults to the medication start day"
+              error={frequencyFormErrors.day_of_month}
+            />
+          )}
+
+          {frequencyForm.recurrence_type === "weekly" && (
+            <fieldset className="form-field">
+              <legend className="form-label">Weekdays</legend>
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAY_LABELS.map((label, day) => {
+                  const selected = frequencyForm.weekdays.includes(day);
+                  return (
+                    <button
+                      key={label}
+                      type="button"
+                      aria-pressed={selected}
+                      onClick={() =>
+                        setFrequencyForm({
+                          ...frequencyForm,
+                          weekdays: selected
+                            ? frequencyForm.weekdays.filter((d) => d !== day)
+                            : [...frequencyForm.weekdays, day].sort(),
+                        })
+                      }
+                      className={`btn-base btn-xs ${
+                        selected ? "btn-primary" : "btn-secondary"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  );
+                })}
+              </div>
+              <p className="text-caption text-neutral-500 dark:text-neutral-400 mt-2">
+                Leave empty to repeat on the medication start date's weekday
+              </p>
+            </fieldset>
+          )}
         </div>
 
         <div className="flex justify-end gap-3 mt-6">
@@ -746,6 +1064,9 @@ const FrequencyManagement = ({
                         {frequency.description}
                       </p>
                     )}
+                    <p className="text-body-small text-primary-700 dark:text-primary-300 mb-3 ml-11">
+                      {describeRecurrence(frequency)}
+                    </p>
                     <p className="text-caption text-neutral-500 dark:text-neutral-500 ml-11">
                       Created:{" "}
                       {new Date(frequency.created_at).toLocaleDateString()}
@@ -793,4 +1114,1258 @@ const FrequencyManagement = ({
   );
 };
 
+const ROLE_LABELS = {
+  owner: "Owner",
+  caregiver: "Caregiver",
+  viewer: "Viewer",
+};
+
+// Patient Management Component
+const PatientManagement = () => {
+  const {
+    patients,
+    createPatient,
+    updatePatient,
+    deletePatient,
+    refreshPatients,
+    installationTimeZone,
+    availableTimeZones,
+  } = usePatient();
+  const { user } = useAuth();
+  const [patientForm, setPatientForm] = useState(EMPTY_PATIENT_FORM);
+  const [editingPatient, setEditingPatient] = useState(null);
+  const [patientFormErrors, setPatientFormErrors] = useState({});
+  const [savingPatient, setSavingPatient] = useState(false);
+  const [sharingPatientId, setSharingPatientId] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    invitationApi
+      .getAll()
+      .then((result) => setInvitations(result.data || []))
+      .catch((err) => console.error("Error loading invitations:", err));
+  }, []);
+
+  const resetForm = () => {
+    setPatientForm(EMPTY_PATIENT_FORM);
+    setEditingPatient(null);
+    setPatientFormErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!patientForm.name.trim()) {
+      setPatientFormErrors({ name: "Patient name is required" });
+      return;
+    }
+
+    setSavingPatient(true);
+    setError("");
+
+    const data = {
+      name: patientForm.name.trim(),
+      date_of_birth: patientForm.date_of_birth || null,
+      timezone: patientForm.timezone || null,
+      notes: patientForm.notes.trim() || null,
+    };
+
+    try {
+      if (editingPatient) {
+        await updatePatient(editingPatient.id, data);
+      } else {
+        await createPatient(data);
+      }
+      resetForm();
+    } catch (err) {
+      console.error("Error saving patient:", err);
+      setError(err.message);
+    } finally {
+      setSavingPatient(false);
+    }
+  };
+
+  const handleEdit = (patient) => {
+    setEditingPatient(patient);
+    setPatientForm({
+      name: patient.name,
+      date_of_birth: patient.date_of_birth || "",
+      timezone: patient.timezone || "",
+      notes: patient.notes || "",
+    });
+    setPatientFormErrors({});
+  };
+
+  const handleDelete = async (patient) => {
+    if (
+      !confirm(
+        `Are you sure you want to delete "${patient.name}"? All of their medications will be deleted as well.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await deletePatient(patient.id);
+      if (editingPatient?.id === patient.id) {
+        resetForm();
+      }
+    } catch (err) {
+      console.error("Error deleting patient:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleLeave = async (patient) => {
+    if (!confirm(`Stop looking after "${patient.name}"?`)) {
+      return;
+    }
+
+    try {
+      await patientApi.removeMember(patient.id, user.id);
+      await refreshPatients();
+    } catch (err) {
+      console.error("Error leaving patient:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleInvitation = async (invitation, accept) => {
+    try {
+      if (accept) {
+        await invitationApi.accept(invitation.id);
+        await refreshPatients();
+      } else {
+        await invitationApi.decline(invitation.id);
+      }
+      setInvitations((current) =>
+        current.filter((item) => item.id !== invitation.id)
+      );
+    } catch (err) {
+      console.error("Error answering invitation:", err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      {/* Section Header */}
+      <div className="flex items-center gap-4 mb-8">
+        <div className="w-10 h-10 bg-primary-100 dark:bg-primary-900/30 rounded-lg flex items-center justify-center">
+          <HeroIcon icon={UserGroupIcon} size="lg" color="primary" />
+        </div>
+        <div>
+          <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100">
+            Patient Management
+          </h2>
+          <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+            Manage the people whose medications you look after
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6">
+          <ErrorMessage message={error} onDismiss={() => setError("")} />
+        </div>
+      )}
+
+      {invitations.length > 0 && (
+        <div className="mb-8 bg-primary-50 dark:bg-primary-900/20 rounded-xl p-6 border border-primary-200 dark:border-primary-800">
+          <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+            Invitations for you
+          </h3>
+          <ul className="space-y-3">
+            {invitations.map((invitation) => (
+              <li
+                key={invitation.id}
+                className="flex items-center justify-between gap-4"
+              >
+                <p className="text-body-small text-neutral-700 dark:text-neutral-300">
+                  {invitation.invited_by_name || "Someone"} invited you to look
+                  after <strong>{invitation.patient_name}</strong> as{" "}
+                  {ROLE_LABELS[invitation.role]?.toLowerCase()}
+                </p>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    onClick={() => handleInvitation(invitation, true)}
+                  >
+                    Accept
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleInvitation(invitation, false)}
+                  >
+                    Decline
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <form
+        onSubmit={handleSubmit}
+        className="mb-8 bg-neutral-50 dark:bg-neutral-700/50 rounded-xl p-6 border border-neutral-200 dark:border-neutral-600"
+      >
+        <div className="flex items-center gap-3 mb-6">
+          <HeroIcon
+            icon={editingPatient ? PencilIcon : PlusIcon}
+            size="md"
+            color="primary"
+          />
+          <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100">
+            {editingPatient ? "Edit Patient" : "Add New Patient"}
+          </h3>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <Input
+            label="Patient Name"
+            required
+            value={patientForm.name}
+            onChange={(e) =>
+              setPatientForm({ ...patientForm, name: e.target.value })
+            }
+            placeholder="e.g., Mom, Alex"
+            error={patientFormErrors.name}
+          />
+
+          <Input
+            label="Date of Birth"
+            type="date"
+            value={patientForm.date_of_birth}
+            onChange={(e) =>
+              setPatientForm({ ...patientForm, date_of_birth: e.target.value })
+            }
+            error={patientFormErrors.date_of_birth}
+          />
+
+          <div className="form-field">
+            <label className="form-label" htmlFor="patient-timezone">
+              Timezone
+            </label>
+            <select
+              id="patient-timezone"
+              value={patientForm.timezone}
+              onChange={(e) =>
+                setPatientForm({ ...patientForm, timezone: e.target.value })
+              }
+              className="form-input-base form-input-animated form-input-md w-full"
+            >
+              <option value="">
+                {installationTimeZone
+                  ? `Installation default (${installationTimeZone})`
+                  : "Installation default"}
+              </option>
+              {/* Keep a stored timezone selectable before the list has loaded */}
+              {patientForm.timezone &&
+                !availableTimeZones.includes(patientForm.timezone) && (
+                  <option value={patientForm.timezone}>
+                    {patientForm.timezone}
+                  </option>
+                )}
+              {availableTimeZones.map((timeZone) => (
+                <option key={timeZone} value={timeZone}>
+                  {timeZone}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="md:col-span-2">
+            <Input
+              label="Notes"
+              value={patientForm.notes}
+              onChange={(e) =>
+                setPatientForm({ ...patientForm, notes: e.target.value })
+              }
+              placeholder="Optional notes, e.g. allergies"
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          {editingPatient && (
+            <Button type="button" variant="secondary" onClick={resetForm}>
+              <HeroIcon icon={XMarkIcon} size="sm" />
+              Cancel
+            </Button>
+          )}
+          <Button
+            type="submit"
+            variant="primary"
+            loading={savingPatient}
+            disabled={savingPatient}
+          >
+            <HeroIcon
+              icon={editingPatient ? CheckCircleIcon : PlusIcon}
+              size="sm"
+            />
+            {editingPatient ? "Update Patient" : "Add Patient"}
+          </Button>
+        </div>
+      </form>
+
+      <div>
+        <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+          Existing Patients ({patients.length})
+        </h3>
+
+        <div className="space-y-4">
+          {patients.length > 0 ? (
+            patients.map((patient) => (
+              <div
+                key={patient.id}
+                className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl p-6 hover:shadow-md transition-shadow"
+              >
+                <div className="flex justify-between items-start">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-3 mb-2">
+                      <div className="w-8 h-8 bg-primary-100 dark:bg-primary-900/30 rounded-lg flex items-center justify-center flex-shrink-0">
+                        <HeroIcon
+                          icon={UserGroupIcon}
+                          size="sm"
+                          color="primary"
+                        />
+                      </div>
+                      <h4 className="text-heading-6 text-neutral-900 dark:text-neutral-100 truncate">
+                        {patient.name}
+                      </h4>
+                      <span className="px-2 py-0.5 rounded-full text-caption bg-neutral-100 dark:bg-neutral-700 text-neutral-700 dark:text-neutral-300">
+                        {ROLE_LABELS[patient.role]}
+                      </span>
+                    </div>
+                    {patient.notes && (
+                      <p className="text-body-small text-neutral-600 dark:text-neutral-400 mb-3 ml-11">
+                        {patient.notes}
+                      </p>
+                    )}
+                    <p className="text-caption text-neutral-500 dark:text-neutral-500 ml-11">
+                      {patient.date_of_birth &&
+                        `Born: ${new Date(patient.date_of_birth).toLocaleDateString()} · `}
+                      Active medications: {patient.active_medications ?? 0}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-2 ml-4 flex-shrink-0">
+                    {patient.role === "owner" ? (
+                      <>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() =>
+                            setSharingPatientId(
+                              sharingPatientId === patient.id
+                                ? null
+                                : patient.id
+                            )
+                          }
+                        >
+                          <HeroIcon icon={ShareIcon} size="sm" />
+                          Share
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleEdit(patient)}
+                        >
+                          <HeroIcon icon={PencilIcon} size="sm" />
+                          Edit
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleDelete(patient)}
+                          className="text-error-600 hover:text-error-700 hover:bg-error-50 dark:hover:bg-error-900/20"
+                        >
+                          <HeroIcon icon={TrashIcon} size="sm" />
+                          Delete
+                        </Button>
+                      </>
+                    ) : (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleLeave(patient)}
+                      >
+                        <HeroIcon icon={ArrowRightOnRectangleIcon} size="sm" />
+                        Leave
+                      </Button>
+                    )}
+                  </div>
+                </div>
+
+                {sharingPatientId === patient.id && (
+                  <PatientSharing patient={patient} />
+                )}
+              </div>
+            ))
+          ) : (
+            <div className="text-center py-12">
+              <div className="w-16 h-16 bg-neutral-100 dark:bg-neutral-800 rounded-full flex items-center justify-center mx-auto mb-4">
+                <HeroIcon icon={UserGroupIcon} size="xl" color="muted" />
+              </div>
+              <h4 className="text-heading-6 text-neutral-900 dark:text-neutral-100 mb-2">
+                No patients yet
+              </h4>
+              <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                Add a patient to keep their medications separate.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Prescriber Management Component; prescribers are shared by all patients' prescriptions
+const PrescriberManagement = () => {
+  const [prescribers, setPrescribers] = useState([]);
+  const [prescriberForm, setPrescriberForm] = useState(EMPTY_PRESCRIBER_FORM);
+  const [editingPrescriber, setEditingPrescriber] = useState(null);
+  const [prescriberFormErrors, setPrescriberFormErrors] = useState({});
+  const [savingPrescriber, setSavingPrescriber] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchPrescribers = async () => {
+    try {
+      const result = await settingsApi.getPrescribers();
+      setPrescribers(result.data || []);
+    } catch (err) {
+      console.error("Error fetching prescribers:", err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchPrescribers();
+  }, []);
+
+  const resetForm = () => {
+    setPrescriberForm(EMPTY_PRESCRIBER_FORM);
+    setEditingPrescriber(null);
+    setPrescriberFormErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = {};
+    if (!prescriberForm.name.trim()) {
+      errors.name = "Prescriber name is required";
+    }
+    if (
+      prescriberForm.email.trim() &&
+      !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(prescriberForm.email.trim())
+    ) {
+      errors.email = "Email must be a valid email address";
+    }
+    setPrescriberFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSavingPrescriber(true);
+    setError("");
+
+    const data = {
+      name: prescriberForm.name.trim(),
+      practice: prescriberForm.practice.trim() || null,
+      phone: prescriberForm.phone.trim() || null,
+      email: prescriberForm.email.trim() || null,
+    };
+
+    try {
+      if (editingPrescriber) {
+        await settingsApi.updatePrescriber(editingPrescriber.id, data);
+      } else {
+        await settingsApi.createPrescriber(data);
+      }
+      resetForm();
+      await fetchPrescribers();
+    } catch (err) {
+      console.error("Error saving prescriber:", err);
+      setError(err.message);
+    } finally {
+      setSavingPrescriber(false);
+    }
+  };
+
+  const handleEdit = (prescriber) => {
+    setEditingPrescriber(prescriber);
+    setPrescriberForm({
+      name: prescriber.name,
+      practice: prescriber.practice || "",
+      phone: prescriber.phone || "",
+      email: prescriber.email || "",
+    });
+    setPrescriberFormErrors({});
+  };
+
+  const handleDelete = async (prescriber) => {
+    if (
+      !confirm(
+        `Are you sure you want to delete "${prescriber.name}"? Their prescriptions are kept without a prescriber.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await settingsApi.deletePrescriber(prescriber.id);
+      if (editingPrescriber?.id === prescriber.id) {
+        resetForm();
+      }
+      await fetchPrescribers();
+    } catch (err) {
+      console.error("Error deleting prescriber:", err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      {/* Section Header */}
+      <div className="flex items-center gap-4 mb-8">
+        <div className="w-10 h-10 bg-primary-100 dark:bg-primary-900/30 rounded-lg flex items-center justify-center">
+          <HeroIcon icon={IdentificationIcon} size="lg" color="primary" />
+        </div>
+        <div>
+          <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100">
+            Prescriber Management
+          </h2>
+          <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+            Doctors who write prescriptions and are asked for renewals
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6">
+          <ErrorMessage message={error} onDismiss={() => setError("")} />
+        </div>
+      )}
+
+      <form
+        onSubmit={handleSubmit}
+        className="mb-8 bg-neutral-50 dark:bg-neutral-700/50 rounded-xl p-6 border border-neutral-200 dark:border-neutral-600"
+      >
+        <div className="flex items-center gap-3 mb-6">
+          <HeroIcon
+            icon={editingPrescriber ? PencilIcon : PlusIcon}
+            size="md"
+            color="primary"
+          />
+          <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100">
+            {editingPrescriber ? "Edit Prescriber" : "Add New Prescriber"}
+          </h3>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <Input
+            label="Prescriber Name"
+            required
+            value={prescriberForm.name}
+            onChange={(e) =>
+              setPrescriberForm({ ...prescriberForm, name: e.target.value })
+            }
+            placeholder="e.g., Dr. Smith"
+            error={prescriberFormErrors.name}
+          />
+
+          <Input
+            label="Practice"
+            value={prescriberForm.practice}
+            onChange={(e) =>
+              setPrescriberForm({ ...prescriberForm, practice: e.target.value })
+            }
+            placeholder="Optional"
+          />
+
+          <Input
+            label="Phone"
+            value={prescriberForm.phone}
+            onChange={(e) =>
+              setPrescriberForm({ ...prescriberForm, phone: e.target.value })
+            }
+            placeholder="Optional"
+          />
+
+          <Input
+            label="Email"
+            type="email"
+            value={prescriberForm.email}
+            onChange={(e) =>
+              setPrescriberForm({ ...prescriberForm, email: e.target.value })
+            }
+            placeholder="Optional"
+            error={prescriberFormErrors.email}
+          />
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          {editingPrescriber && (
+            <Button type="button" variant="secondary" onClick={resetForm}>
+              <HeroIcon icon={XMarkIcon} size="sm" />
+              Cancel
+            </Button>
+          )}
+          <Button
+            type="submit"
+            variant="primary"
+            loading={savingPrescriber}
+            disabled={savingPrescriber}
+          >
+            <HeroIcon
+              icon={editingPrescriber ? CheckCircleIcon : PlusIcon}
+              size="sm"
+            />
+            {editingPrescriber ? "Update Prescriber" : "Add Prescriber"}
+          </Button>
+        </div>
+      </form>
+
+      <div>
+        <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+          Existing Prescribers ({prescribers.length})
+        </h3>
+
+        <div className="space-y-4">
+          {prescribers.length > 0 ? (
+            prescribers.map((prescriber) => (
+              <div
+                key={prescriber.id}
+                className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl p-6 hover:shadow-md transition-shadow"
+              >
+                <div className="flex justify-between items-start">
+                  <div className="flex-1 min-w-0">
+                    <h4 className="text-heading-6 text-neutral-900 dark:text-neutral-100 truncate mb-1">
+                      {prescriber.name}
+                    </h4>
+                    <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                      {[prescriber.practice, prescriber.phone, prescriber.email]
+                        .filter(Boolean)
+                        .join(" · ") || "No contact details"}
+                    </p>
+                    <p className="text-caption text-neutral-500 dark:text-neutral-500 mt-1">
+                      {prescriber.prescription_count} prescription
+                      {prescriber.prescription_count === 1 ? "" : "s"}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-2 ml-4 flex-shrink-0">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleEdit(prescriber)}
+                    >
+                      <HeroIcon icon={PencilIcon} size="sm" />
+                      Edit
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleDelete(prescriber)}
+                      className="text-error-600 hover:text-error-700 hover:bg-error-50 dark:hover:bg-error-900/20"
+                    >
+                      <HeroIcon icon={TrashIcon} size="sm" />
+                      Delete
+                    </Button>
+                  </div>
+                </div>
+              </div>
+            ))
+          ) : (
+            <div className="text-center py-12">
+              <div className="w-16 h-16 bg-neutral-100 dark:bg-neutral-800 rounded-full flex items-center justify-center mx-auto mb-4">
+                <HeroIcon icon={IdentificationIcon} size="xl" color="muted" />
+              </div>
+              <h4 className="text-heading-6 text-neutral-900 dark:text-neutral-100 mb-2">
+                No prescribers yet
+              </h4>
+              <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                Add the doctors who write your prescriptions using the form
+                above.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Pharmacy Management Component; pharmacies are shared by all patients' medications
+const PharmacyManagement = () => {
+  const [pharmacies, setPharmacies] = useState([]);
+  const [pharmacyForm, setPharmacyForm] = useState(EMPTY_PHARMACY_FORM);
+  const [editingPharmacy, setEditingPharmacy] = useState(null);
+  const [pharmacyFormErrors, setPharmacyFormErrors] = useState({});
+  const [savingPharmacy, setSavingPharmacy] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchPharmacies = async () => {
+    try {
+      const result = await settingsApi.getPharmacies();
+      setPharmacies(result.data || []);
+    } catch (err) {
+      console.error("Error fetching pharmacies:", err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchPharmacies();
+  }, []);
+
+  const resetForm = () => {
+    setPharmacyForm(EMPTY_PHARMACY_FORM);
+    setEditingPharmacy(null);
+    setPharmacyFormErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = {};
+    if (!pharmacyForm.name.trim()) {
+      errors.name = "Pharmacy name is required";
+    }
+    setPharmacyFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSavingPharmacy(true);
+    setError("");
+
+    const data = {
+      name: pharmacyForm.name.trim(),
+      address: pharmacyForm.address.trim() || null,
+      phone: pharmacyForm.phone.trim() || null,
+      hours: pharmacyForm.hours.trim() || null,
+    };
+
+    try {
+      if (editingPharmacy) {
+        await settingsApi.updatePharmacy(editingPharmacy.id, data);
+      } else {
+        await settingsApi.createPharmacy(data);
+      }
+      resetForm();
+      await fetchPharmacies();
+    } catch (err) {
+      console.error("Error saving pharmacy:", err);
+      setError(err.message);
+    } finally {
+      setSavingPharmacy(false);
+    }
+  };
+
+  const handleEdit = (pharmacy) => {
+    setEditingPharmacy(pharmacy);
+    setPharmacyForm({
+      name: pharmacy.name,
+      address: pharmacy.address || "",
+      phone: pharmacy.phone || "",
+      hours: pharmacy.hours || "",
+    });
+    setPharmacyFormErrors({});
+  };
+
+  const handleDelete = async (pharmacy) => {
+    if (
+      !confirm(
+        `Are you sure you want to delete "${pharmacy.name}"? Medications that prefer it are kept without a preferred pharmacy.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await settingsApi.deletePharmacy(pharmacy.id);
+      if (editingPharmacy?.id === pharmacy.id) {
+        resetForm();
+      }
+      await fetchPharmacies();
+    } catch (err) {
+      console.error("Error deleting pharmacy:", err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      {/* Section Header */}
+      <div className="flex items-center gap-4 mb-8">
+        <div className="w-10 h-10 bg-primary-100 dark:bg-primary-900/30 rounded-lg flex items-center justify-center">
+          <HeroIcon icon={BuildingStorefrontIcon} size="lg" color="primary" />
+        </div>
+        <div>
+          <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100">
+            Pharmacy Management
+          </h2>
+          <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+            Where you buy your medications; the shopping list is grouped by
+            pharmacy
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6">
+          <ErrorMessage message={error} onDismiss={() => setError("")} />
+        </div>
+      )}
+
+      <form
+        onSubmit={handleSubmit}
+        className="mb-8 bg-neutral-50 dark:bg-neutral-700/50 rounded-xl p-6 border border-neutral-200 dark:border-neutral-600"
+      >
+        <div className="flex items-center gap-3 mb-6">
+          <HeroIcon
+            icon={editingPharmacy ? PencilIcon : PlusIcon}
+            size="md"
+            color="primary"
+          />
+          <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100">
+            {editingPharmacy ? "Edit Pharmacy" : "Add New Pharmacy"}
+          </h3>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <Input
+            label="Pharmacy Name"
+            required
+            value={pharmacyForm.name}
+            onChange={(e) =>
+              setPharmacyForm({ ...pharmacyForm, name: e.target.value })
+            }
+            placeholder="e.g., Main Street Pharmacy"
+            error={pharmacyFormErrors.name}
+          />
+
+          <Input
+            label="Address"
+            value={pharmacyForm.address}
+            onChange={(e) =>
+              setPharmacyForm({ ...pharmacyForm, address: e.target.value })
+            }
+            placeholder="Optional"
+          />
+
+          <Input
+            label="Phone"
+            value={pharmacyForm.phone}
+            onChange={(e) =>
+              setPharmacyForm({ ...pharmacyForm, phone: e.target.value })
+            }
+            placeholder="Optional"
+          />
+
+          <Input
+            label="Opening Hours"
+            value={pharmacyForm.hours}
+            onChange={(e) =>
+              setPharmacyForm({ ...pharmacyForm, hours: e.target.value })
+            }
+            placeholder="e.g., Mon-Fri 8:00-18:00"
+          />
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          {editingPharmacy && (
+            <Button type="button" variant="secondary" onClick={resetForm}>
+              <HeroIcon icon={XMarkIcon} size="sm" />
+              Cancel
+            </Button>
+          )}
+          <Button
+            type="submit"
+            variant="primary"
+            loading={savingPharmacy}
+            disabled={savingPharmacy}
+          >
+            <HeroIcon
+              icon={editingPharmacy ? CheckCircleIcon : PlusIcon}
+              size="sm"
+            />
+            {editingPharmacy ? "Update Pharmacy" : "Add Pharmacy"}
+          </Button>
+        </div>
+      </form>
+
+      <div>
+        <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+          Existing Pharmacies ({pharmacies.length})
+        </h3>
+
+        <div className="space-y-4">
+          {pharmacies.length > 0 ? (
+            pharmacies.map((pharmacy) => (
+              <div
+                key={pharmacy.id}
+                className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl p-6 hover:shadow-md transition-shadow"
+              >
+                <div className="flex justify-between items-start">
+                  <div className="flex-1 min-w-0">
+                    <h4 className="text-heading-6 text-neutral-900 dark:text-neutral-100 truncate mb-1">
+                      {pharmacy.name}
+                    </h4>
+                    <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                      {[pharmacy.address, pharmacy.phone, pharmacy.hours]
+                        .filter(Boolean)
+                        .join(" · ") || "No contact details"}
+                    </p>
+                    <p className="text-caption text-neutral-500 dark:text-neutral-500 mt-1">
+                      Preferred for {pharmacy.medication_count} medication
+                      {pharmacy.medication_count === 1 ? "" : "s"}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-2 ml-4 flex-shrink-0">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleEdit(pharmacy)}
+                    >
+                      <HeroIcon icon={PencilIcon} size="sm" />
+                      Edit
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleDelete(pharmacy)}
+                      className="text-error-600 hover:text-error-700 hover:bg-error-50 dark:hover:bg-error-900/20"
+                    >
+                      <HeroIcon icon={TrashIcon} size="sm" />
+                      Delete
+                    </Button>
+                  </div>
+                </div>
+              </div>
+            ))
+          ) : (
+            <div className="text-center py-12">
+              <div className="w-16 h-16 bg-neutral-100 dark:bg-neutral-800 rounded-full flex items-center justify-center mx-auto mb-4">
+                <HeroIcon icon={BuildingStorefrontIcon} size="xl" color="muted" />
+              </div>
+              <h4 className="text-heading-6 text-neutral-900 dark:text-neutral-100 mb-2">
+                No pharmacies yet
+              </h4>
+              <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                Add the pharmacies you buy from using the form above.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Storage Location Management Component; each patient has its own locations, and their
+// doses come out of the patient's default one unless another is chosen
+const StorageLocationManagement = () => {
+  const { patients, selectedPatientId, refreshPatients } = usePatient();
+  const [patientId, setPatientId] = useState(
+    selectedPatientId ? String(selectedPatientId) : ""
+  );
+  // Without a choice the first patient; without patients, new locations go to the user's
+  // own patient, which is created with the first one
+  const locationPatientId =
+    patientId || (patients.length > 0 ? String(patients[0].id) : "");
+  const [locations, setLocations] = useState([]);
+  const [locationForm, setLocationForm] = useState(EMPTY_LOCATION_FORM);
+  const [editingLocation, setEditingLocation] = useState(null);
+  const [locationFormErrors, setLocationFormErrors] = useState({});
+  const [savingLocation, setSavingLocation] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchLocations = useCallback(async () => {
+    if (!locationPatientId) {
+      setLocations([]);
+      return;
+    }
+    try {
+      const result = await settingsApi.getLocations(Number(locationPatientId));
+      setLocations(result.data || []);
+    } catch (err) {
+      console.error("Error fetching locations:", err);
+      setError(err.message);
+    }
+  }, [locationPatientId]);
+
+  useEffect(() => {
+    fetchLocations();
+  }, [fetchLocations]);
+
+  const resetForm = () => {
+    setLocationForm(EMPTY_LOCATION_FORM);
+    setEditingLocation(null);
+    setLocationFormErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = {};
+    if (!locationForm.name.trim()) {
+      errors.name = "Location name is required";
+    }
+    setLocationFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSavingLocation(true);
+    setError("");
+
+    const data = {
+      name: locationForm.name.trim(),
+      description: locationForm.description.trim() || null,
+      is_default: locationForm.is_default,
+    };
+
+    try {
+      if (editingLocation) {
+        await settingsApi.updateLocation(editingLocation.id, data);
+      } else if (locationPatientId) {
+        await settingsApi.createLocation({ ...data, patient_id: Number(locationPatientId) });
+      } else {
+        await settingsApi.createLocation(data);
+        await refreshPatients();
+      }
+      resetForm();
+      await fetchLocations();
+    } catch (err) {
+      console.error("Error saving location:", err);
+      setError(err.message);
+    } finally {
+      setSavingLocation(false);
+    }
+  };
+
+  const handleEdit = (location) => {
+    setEditingLocation(location);
+    setLocationForm({
+      name: location.name,
+      description: location.description || "",
+      is_default: location.is_default,
+    });
+    setLocationFormErrors({});
+  };
+
+  const handleDelete = async (location) => {
+    if (
+      !confirm(
+        `Are you sure you want to delete "${location.name}"? The stock kept there stays in the medications' totals without a location.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await settingsApi.deleteLocation(location.id);
+      if (editingLocation?.id === location.id) {
+        resetForm();
+      }
+      await fetchLocations();
+    } catch (err) {
+      console.error("Error deleting location:", err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      {/* Section Header */}
+      <div className="flex items-center gap-4 mb-8">
+        <div className="w-10 h-10 bg-primary-100 dark:bg-primary-900/30 rounded-lg flex items-center justify-center">
+          <HeroIcon icon={ArchiveBoxIcon} size="lg" color="primary" />
+        </div>
+        <div>
+          <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100">
+            Storage Location Management
+          </h2>
+          <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+            Where each patient's medications are kept; doses come out of the
+            patient's default location unless another is chosen
+          </p>
+        </div>
+      </div>
+
+      {patients.length > 0 && (
+        <div className="form-field mb-6 max-w-md">
+          <label className="form-label" htmlFor="storage-locations-patient">
+            Patient
+          </label>
+          <select
+            id="storage-locations-patient"
+            value={locationPatientId}
+            onChange={(e) => {
+              setPatientId(e.target.value);
+              resetForm();
+            }}
+            className="form-input-base form-input-animated form-input-md w-full"
+          >
+            {patients.map((patient) => (
+              <option key={patient.id} value={String(patient.id)}>
+                {patient.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6">
+          <ErrorMessage message={error} onDismiss={() => setError("")} />
+        </div>
+      )}
+
+      <form
+        onSubmit={handleSubmit}
+        className="mb-8 bg-neutral-50 dark:bg-neutral-700/50 rounded-xl p-6 border border-neutral-200 dark:border-neutral-600"
+      >
+        <div className="flex items-center gap-3 mb-6">
+          <HeroIcon
+            icon={editingLocation ? PencilIcon : PlusIcon}
+            size="md"
+            color="primary"
+          />
+          <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100">
+            {editingLocation ? "Edit Location" : "Add New Location"}
+          </h3>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <Input
+            label="Location Name"
+            required
+            value={locationForm.name}
+            onChange={(e) =>
+              setLocationForm({ ...locationForm, name: e.target.value })
+            }
+            placeholder="e.g., Travel kit"
+            error={locationFormErrors.name}
+          />
+
+          <Input
+            label="Description"
+            value={locationForm.description}
+            onChange={(e) =>
+              setLocationForm({ ...locationForm, description: e.target.value })
+            }
+            placeholder="Optional"
+          />
+        </div>
+
+        <label className="flex items-center cursor-pointer mt-6">
+          <input
+            type="checkbox"
+            checked={locationForm.is_default}
+            onChange={(e) =>
+              setLocationForm({ ...locationForm, is_default: e.target.checked })
+            }
+            className="mr-3 h-4 w-4 text-primary-600 focus:ring-primary-500 border-neutral-300 rounded"
+          />
+          <span className="text-sm text-neutral-700 dark:text-neutral-300">
+            Default location for doses
+          </span>
+        </label>
+
+        <div className="flex justify-end gap-3 mt-6">
+          {editingLocation && (
+            <Button type="button" variant="secondary" onClick={resetForm}>
+              <HeroIcon icon={XMarkIcon} size="sm" />
+              Cancel
+            </Button>
+          )}
+          <Button
+            type="submit"
+            variant="primary"
+            loading={savingLocation}
+            disabled={savingLocation}
+          >
+            <HeroIcon
+              icon={editingLocation ? CheckCircleIcon : PlusIcon}
+              size="sm"
+            />
+            {editingLocation ? "Update Location" : "Add Location"}
+          </Button>
+        </div>
+      </form>
+
+      <div>
+        <h3 className="text-heading-5 text-neutral-900 dark:text-neutral-100 mb-4">
+          Existing Locations ({locations.length})
+        </h3>
+
+        <div className="space-y-4">
+          {locations.length > 0 ? (
+            locations.map((location) => (
+              <div
+                key={location.id}
+                className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl p-6 hover:shadow-md transition-shadow"
+              >
+                <div className="flex justify-between items-start">
+                  <div className="flex-1 min-w-0">
+                    <h4 className="text-heading-6 text-neutral-900 dark:text-neutral-100 truncate mb-1">
+                      {location.name}
+                      {location.is_default && " (default)"}
+                    </h4>
+                    {location.description && (
+                      <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                        {location.description}
+                      </p>
+                    )}
+                    <p className="text-caption text-neutral-500 dark:text-neutral-500 mt-1">
+                      Holds {location.medication_count} medication
+                      {location.medication_count === 1 ? "" : "s"}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-2 ml-4 flex-shrink-0">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleEdit(location)}
+                    >
+                      <HeroIcon icon={PencilIcon} size="sm" />
+                      Edit
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleDelete(location)}
+                      className="text-error-600 hover:text-error-700 hover:bg-error-50 dark:hover:bg-error-900/20"
+                    >
+                      <HeroIcon icon={TrashIcon} size="sm" />
+                      Delete
+                    </Button>
+                  </div>
+                </div>
+              </div>
+            ))
+          ) : (
+            <div className="text-center py-12">
+              <div className="w-16 h-16 bg-neutral-100 dark:bg-neutral-800 rounded-full flex items-center justify-center mx-auto mb-4">
+                <HeroIcon icon={ArchiveBoxIcon} size="xl" color="muted" />
+              </div>
+              <h4 className="text-heading-6 text-neutral-900 dark:text-neutral-100 mb-2">
+                No locations yet
+              </h4>
+              <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                Add the places your medications are kept using the form above.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 export default Settings;
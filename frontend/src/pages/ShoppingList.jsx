@@ -0,0 +1,277 @@
+import { useState, useEffect, useCallback } from "react";
+import LoadingSpinner from "../components/LoadingSpinner";
+import ErrorMessage from "../components/ErrorMessage";
+import Button from "../components/ui/Button";
+import Input from "../components/ui/Input";
+import { HeroIcon } from "../components/ui/Icon";
+import { usePatient } from "../hooks/usePatient";
+import { formatQuantity, getUnitLabel } from "../utils/units";
+import {
+  ShoppingBagIcon,
+  PrinterIcon,
+  ArrowDownTrayIcon,
+  BuildingStorefrontIcon,
+} from "@heroicons/react/24/outline";
+
+const ALERT_STYLES = {
+  critical: "text-error-700 dark:text-error-300",
+  urgent: "text-warning-700 dark:text-warning-300",
+  warning: "text-neutral-700 dark:text-neutral-300",
+};
+
+const ShoppingList = () => {
+  const { selectedPatientId } = usePatient();
+  const [days, setDays] = useState("7");
+  const [horizon, setHorizon] = useState("30");
+  // The days and horizon the list is fetched for; edits to the inputs apply on submit
+  const [applied, setApplied] = useState({ days: "7", horizon: "30" });
+  const [shoppingList, setShoppingList] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const buildParams = (format = null) => {
+    const params = new URLSearchParams({ days, horizon });
+    if (selectedPatientId) params.append("patient_id", selectedPatientId);
+    if (format) params.append("format", format);
+    return params;
+  };
+
+  const fetchShoppingList = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError("");
+
+      const params = new URLSearchParams(applied);
+      if (selectedPatientId) params.append("patient_id", selectedPatientId);
+
+      const response = await fetch(`/api/inventory/shopping-list?${params}`);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(
+          result.error?.details?.[0]?.message ||
+            result.error?.message ||
+            "Failed to fetch shopping list"
+        );
+      }
+
+      setShoppingList(result.data);
+    } catch (err) {
+      console.error("Error fetching shopping list:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [applied, selectedPatientId]);
+
+  useEffect(() => {
+    fetchShoppingList();
+  }, [fetchShoppingList]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setApplied({ days, horizon });
+  };
+
+  const handleExportCsv = async () => {
+    try {
+      const response = await fetch(
+        `/api/inventory/shopping-list?${buildParams("csv")}`
+      );
+      if (!response.ok) {
+        throw new Error("Failed to export shopping list");
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `shopping_list_${shoppingList?.generated_on || ""}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      setError(`Export failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-neutral-50 dark:bg-neutral-900 print:bg-white print:min-h-0">
+      <header className="bg-gradient-to-r from-white to-neutral-50 dark:from-neutral-800 dark:to-neutral-900 shadow-sm border-b border-neutral-200 dark:border-neutral-700 print:shadow-none print:bg-none">
+        <div className="layout-container py-8 print:py-2">
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-6">
+            <div className="flex-1 min-w-0">
+              <h1 className="text-heading-2 text-neutral-900 dark:text-neutral-100 mb-2">
+                Shopping List
+              </h1>
+              <p className="text-lg text-neutral-600 dark:text-neutral-400">
+                {shoppingList
+                  ? `Running out within ${shoppingList.days_ahead} days, bought for ${shoppingList.horizon_days} days · ${shoppingList.generated_on}`
+                  : "Medications to buy before they run out"}
+              </p>
+            </div>
+
+            <div className="flex items-center gap-3 print:hidden">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => window.print()}
+                disabled={!shoppingList || shoppingList.items.length === 0}
+              >
+                <HeroIcon icon={PrinterIcon} size="sm" className="mr-2" />
+                Print
+              </Button>
+              <Button
+                type="button"
+                variant="outline"
+                onClick={handleExportCsv}
+                disabled={!shoppingList || shoppingList.items.length === 0}
+              >
+                <HeroIcon icon={ArrowDownTrayIcon} size="sm" className="mr-2" />
+                Export CSV
+              </Button>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="layout-container py-8 print:py-2">
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-col sm:flex-row sm:items-end gap-4 mb-8 print:hidden"
+        >
+          <Input
+            label="Runs Out Within (days)"
+            type="number"
+            min="1"
+            max="30"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+          />
+          <Input
+            label="Buy Enough For (days)"
+            type="number"
+            min="1"
+            max="365"
+            value={horizon}
+            onChange={(e) => setHorizon(e.target.value)}
+          />
+          <Button type="submit" variant="primary" disabled={loading}>
+            Update List
+          </Button>
+        </form>
+
+        {error && (
+          <div className="mb-6 print:hidden">
+            <ErrorMessage message={error} />
+          </div>
+        )}
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : (
+          shoppingList &&
+          (shoppingList.items.length === 0 ? (
+            <div className="text-center py-12 text-neutral-600 dark:text-neutral-400">
+              <HeroIcon
+                icon={ShoppingBagIcon}
+                size="xl"
+                className="mx-auto mb-4 text-neutral-400"
+              />
+              <p>Nothing runs out within {shoppingList.days_ahead} days.</p>
+            </div>
+          ) : (
+            <div className="space-y-8">
+              {shoppingList.pharmacies.map((group) => (
+                <section
+                  key={group.pharmacy_id ?? "none"}
+                  data-testid={`pharmacy-${group.pharmacy_id ?? "none"}`}
+                  className="print:break-inside-avoid"
+                >
+                  <div className="flex items-start gap-3 mb-3">
+                    <HeroIcon
+                      icon={BuildingStorefrontIcon}
+                      size="md"
+                      className="text-neutral-400 mt-0.5 print:hidden"
+                    />
+                    <div>
+                      <h2 className="text-heading-5 text-neutral-900 dark:text-neutral-100">
+                        {group.pharmacy_name || "No preferred pharmacy"}
+                      </h2>
+                      {(group.address || group.phone || group.hours) && (
+                        <p className="text-body-small text-neutral-600 dark:text-neutral-400">
+                          {[group.address, group.phone, group.hours]
+                            .filter(Boolean)
+                            .join(" · ")}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl overflow-hidden print:border-0">
+                    <table className="w-full text-left text-sm">
+                      <thead className="bg-neutral-50 dark:bg-neutral-700/50 text-neutral-600 dark:text-neutral-300">
+                        <tr>
+                          <th className="px-4 py-3 font-semibold">Medication</th>
+                          <th className="px-4 py-3 font-semibold">In Stock</th>
+                          <th className="px-4 py-3 font-semibold">Runs Out</th>
+                          <th className="px-4 py-3 font-semibold">Buy</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-neutral-200 dark:divide-neutral-700">
+                        {group.items.map((item) => (
+                          <tr
+                            key={item.medication_id}
+                            className="text-neutral-900 dark:text-neutral-100"
+                          >
+                            <td className="px-4 py-3">
+                              <span className="font-medium">
+                                {item.medication_name}
+                              </span>
+                              {item.medication_strength && (
+                                <span className="text-neutral-500 dark:text-neutral-400">
+                                  {" "}
+                                  {item.medication_strength}
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3">
+                              {formatQuantity(item.current_tablets, item.dose_unit)}
+                            </td>
+                            <td
+                              className={`px-4 py-3 ${ALERT_STYLES[item.alert_level] || ""}`}
+                            >
+                              {item.run_out_date}
+                              {item.days_remaining !== null &&
+                                ` (${item.days_remaining} days)`}
+                            </td>
+                            <td className="px-4 py-3">
+                              <span className="font-semibold">
+                                {formatQuantity(
+                                  item.packages_to_buy,
+                                  item.package_unit
+                                )}
+                              </span>
+                              <span className="text-neutral-500 dark:text-neutral-400">
+                                {" "}
+                                of {item.package_size}{" "}
+                                {getUnitLabel(item.dose_unit, item.package_size)}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </section>
+              ))}
+            </div>
+          ))
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ShoppingList;
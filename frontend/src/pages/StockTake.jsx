@@ -0,0 +1,339 @@
+import { useState, useEffect, useCallback } from "react";
+import LoadingSpinner from "../components/LoadingSpinner";
+import ErrorMessage from "../components/ErrorMessage";
+import Button from "../components/ui/Button";
+import Input from "../components/ui/Input";
+import { HeroIcon } from "../components/ui/Icon";
+import { usePatient } from "../hooks/usePatient";
+import { formatQuantity } from "../utils/units";
+import { ClipboardDocumentCheckIcon } from "@heroicons/react/24/outline";
+
+// Signed amount in dose units, e.g. "+2 tablets" or "-0.5 tablets"
+const formatDifference = (amount, unit) =>
+  `${amount > 0 ? "+" : ""}${formatQuantity(amount, unit)}`;
+
+const differenceStyle = (amount) =>
+  amount < 0
+    ? "text-error-700 dark:text-error-300"
+    : amount > 0
+    ? "text-warning-700 dark:text-warning-300"
+    : "text-neutral-600 dark:text-neutral-400";
+
+const StockTake = () => {
+  const { selectedPatientId } = usePatient();
+  const [medications, setMedications] = useState([]);
+  const [counted, setCounted] = useState({});
+  const [notes, setNotes] = useState("");
+  const [result, setResult] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [drift, setDrift] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const patientQuery = selectedPatientId
+    ? `?patient_id=${selectedPatientId}`
+    : "";
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError("");
+
+      const [medicationsResponse, historyResponse, driftResponse] =
+        await Promise.all([
+          fetch(`/api/medications${patientQuery}`),
+          fetch(`/api/inventory/stock-takes${patientQuery}`),
+          fetch(`/api/inventory/drift${patientQuery}`),
+        ]);
+      const [medicationsResult, historyResult, driftResult] =
+        await Promise.all([
+          medicationsResponse.json(),
+          historyResponse.json(),
+          driftResponse.json(),
+        ]);
+
+      if (!medicationsResponse.ok) {
+        throw new Error(
+          medicationsResult.error?.message || "Failed to fetch medications"
+        );
+      }
+
+      setMedications(medicationsResult.data || []);
+      setHistory(historyResponse.ok ? historyResult.data || [] : []);
+      setDrift(driftResponse.ok ? driftResult.data : null);
+    } catch (err) {
+      console.error("Error fetching stock-take data:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [patientQuery]);
+
+  // Start over when another patient is selected
+  useEffect(() => {
+    setCounted({});
+    setResult(null);
+    fetchData();
+  }, [fetchData]);
+
+  const countedMedications = medications.filter(
+    (medication) => (counted[medication.id] ?? "") !== ""
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError("");
+
+      const response = await fetch("/api/inventory/stock-takes", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...(selectedPatientId && { patient_id: selectedPatientId }),
+          notes,
+          counts: countedMedications.map((medication) => ({
+            medication_id: medication.id,
+            counted_quantity: parseFloat(counted[medication.id]),
+          })),
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(
+          data.error?.details?.[0]?.message ||
+            data.error?.message ||
+            "Failed to record stock-take"
+        );
+      }
+
+      setResult(data.data);
+      setCounted({});
+      setNotes("");
+      await fetchData();
+    } catch (err) {
+      console.error("Error recording stock-take:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-neutral-50 dark:bg-neutral-900">
+      <header className="bg-gradient-to-r from-white to-neutral-50 dark:from-neutral-800 dark:to-neutral-900 shadow-sm border-b border-neutral-200 dark:border-neutral-700">
+        <div className="layout-container py-8">
+          <h1 className="text-heading-2 text-neutral-900 dark:text-neutral-100 mb-2">
+            Stock-Take
+          </h1>
+          <p className="text-lg text-neutral-600 dark:text-neutral-400">
+            Count what is on hand and reconcile it with the expected stock
+          </p>
+        </div>
+      </header>
+
+      <main className="layout-container py-8 space-y-8">
+        {error && <ErrorMessage message={error} />}
+
+        {result && (
+          <section
+            data-testid="stock-take-result"
+            className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl p-4"
+          >
+            <h2 className="font-semibold text-neutral-900 dark:text-neutral-100 mb-2">
+              Stock-take recorded
+            </h2>
+            <ul className="space-y-1 text-sm">
+              {result.counts.map((count) => (
+                <li key={count.medication_id}>
+                  {count.medication_name}:{" "}
+                  {formatQuantity(count.counted_quantity, count.dose_unit)}{" "}
+                  counted,{" "}
+                  <span className={differenceStyle(count.discrepancy)}>
+                    {count.discrepancy === 0
+                      ? "as expected"
+                      : `${formatDifference(count.discrepancy, count.dose_unit)} against ${formatQuantity(count.expected_quantity, count.dose_unit)} expected`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : medications.length === 0 ? (
+          <div className="text-center py-12 text-neutral-600 dark:text-neutral-400">
+            <HeroIcon
+              icon={ClipboardDocumentCheckIcon}
+              size="xl"
+              className="mx-auto mb-4 text-neutral-400"
+            />
+            <p>No medications to count.</p>
+          </div>
+        ) : (
+          <>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl overflow-hidden">
+                <table className="w-full text-left text-sm">
+                  <thead className="bg-neutral-50 dark:bg-neutral-700/50 text-neutral-600 dark:text-neutral-300">
+                    <tr>
+                      <th className="px-4 py-3 font-semibold">Medication</th>
+                      <th className="px-4 py-3 font-semibold">Expected</th>
+                      <th className="px-4 py-3 font-semibold">Counted</th>
+                      <th className="px-4 py-3 font-semibold">Difference</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-neutral-200 dark:divide-neutral-700">
+                    {medications.map((medication) => {
+                      const value = counted[medication.id] ?? "";
+                      const difference =
+                        value === ""
+                          ? null
+                          : Math.round(
+                              (parseFloat(value) - medication.total_tablets) *
+                                100
+                            ) / 100;
+
+                      return (
+                        <tr
+                          key={medication.id}
+                          className="text-neutral-900 dark:text-neutral-100"
+                        >
+                          <td className="px-4 py-3">
+                            <span className="font-medium">{medication.name}</span>
+                            {medication.strength && (
+                              <span className="text-neutral-500 dark:text-neutral-400">
+                                {" "}
+                                {medication.strength}
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-4 py-3">
+                            {formatQuantity(
+                              medication.total_tablets,
+                              medication.dose_unit
+                            )}
+                          </td>
+                          <td className="px-4 py-3">
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              aria-label={`Counted ${medication.name}`}
+                              value={value}
+                              onChange={(e) =>
+                                setCounted({
+                                  ...counted,
+                                  [medication.id]: e.target.value,
+                                })
+                              }
+                              className="w-28 px-3 py-2 rounded-lg border border-neutral-300 dark:border-neutral-600 bg-white dark:bg-neutral-900"
+                            />
+                          </td>
+                          <td
+                            className={`px-4 py-3 ${
+                              difference === null || isNaN(difference)
+                                ? ""
+                                : differenceStyle(difference)
+                            }`}
+                          >
+                            {difference !== null &&
+                              !isNaN(difference) &&
+                              formatDifference(difference, medication.dose_unit)}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+                <Input
+                  label="Notes"
+                  value={notes}
+                  maxLength={1000}
+                  onChange={(e) => setNotes(e.target.value)}
+                />
+                <Button
+                  type="submit"
+                  variant="primary"
+                  disabled={saving || countedMedications.length === 0}
+                >
+                  Record Stock-Take
+                </Button>
+              </div>
+            </form>
+
+            {drift && drift.medications.length > 0 && (
+              <section data-testid="inventory-drift">
+                <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100 mb-3">
+                  Drift
+                </h2>
+                <div className="bg-white dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 rounded-xl overflow-hidden">
+                  <table className="w-full text-left text-sm">
+                    <thead className="bg-neutral-50 dark:bg-neutral-700/50 text-neutral-600 dark:text-neutral-300">
+                      <tr>
+                        <th className="px-4 py-3 font-semibold">Medication</th>
+                        <th className="px-4 py-3 font-semibold">Counts Off</th>
+                        <th className="px-4 py-3 font-semibold">Net Drift</th>
+                        <th className="px-4 py-3 font-semibold">Per Stock-Take</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-neutral-200 dark:divide-neutral-700">
+                      {drift.medications.map((entry) => (
+                        <tr
+                          key={entry.medication_id}
+                          className="text-neutral-900 dark:text-neutral-100"
+                        >
+                          <td className="px-4 py-3 font-medium">
+                            {entry.medication_name}
+                          </td>
+                          <td className="px-4 py-3">
+                            {entry.discrepancies} of {entry.stock_takes}
+                          </td>
+                          <td
+                            className={`px-4 py-3 ${differenceStyle(entry.net_drift)}`}
+                          >
+                            {formatDifference(entry.net_drift, entry.dose_unit)}
+                          </td>
+                          <td className="px-4 py-3">
+                            {formatDifference(entry.average_drift, entry.dose_unit)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            )}
+
+            {history.length > 0 && (
+              <section>
+                <h2 className="text-heading-4 text-neutral-900 dark:text-neutral-100 mb-3">
+                  Past Stock-Takes
+                </h2>
+                <ul className="space-y-2 text-sm text-neutral-700 dark:text-neutral-300">
+                  {history.map((stockTake) => (
+                    <li key={stockTake.id}>
+                      {new Date(stockTake.created_at).toLocaleString()} ·{" "}
+                      {stockTake.medication_count} counted,{" "}
+                      {stockTake.discrepancy_count} off
+                      {stockTake.notes && ` · ${stockTake.notes}`}
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default StockTake;
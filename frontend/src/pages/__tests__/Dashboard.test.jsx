@@ -2,6 +2,25 @@ import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import { render, screen, fireEvent, waitFor } from "@testing-library/react";
 import Dashboard from "../Dashboard";
 
+// Mock the patient context with "all patients" selected
+// "All patients" selected unless a test picks one
+let mockSelectedPatientId = null;
+vi.mock("../../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [],
+    selectedPatient: null,
+    selectedPatientId: mockSelectedPatientId,
+  }),
+}));
+
+const mockGetLocations = vi.fn();
+
+vi.mock("../../utils/apiClient", () => ({
+  settingsApi: {
+    getLocations: (...args) => mockGetLocations(...args),
+  },
+}));
+
 // Mock fetch globally
 global.fetch = vi.fn();
 
@@ -95,6 +114,7 @@ describe("Dashboard", () => {
 
   beforeEach(() => {
     vi.clearAllMocks();
+    mockGetLocations.mockResolvedValue({ data: [] });
     // Mock successful API response by default
     fetch.mockResolvedValue({
       ok: true,
@@ -240,4 +260,151 @@ describe("Dashboard", () => {
       expect(fetch).toHaveBeenCalledTimes(1); // Only initial load
     });
   });
+
+  describe("As-needed Medications", () => {
+    const prnEntry = {
+      medication_id: 7,
+      medication_name: "Ibuprofen",
+      medication_strength: "200mg",
+      dose_amount: 2,
+      min_interval_hours: 6,
+      max_daily_amount: 6,
+      last_taken_at: new Date().toISOString(),
+      taken_last_24h: 2,
+      can_take: false,
+      next_allowed_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      violations: ["Minimum interval of 6 hours since the last dose has not passed"],
+    };
+    const prnScheduleData = { ...mockScheduleData, as_needed: [prnEntry] };
+
+    beforeEach(() => {
+      globalThis.confirm = vi.fn();
+    });
+
+    it("shows when the next as-needed dose is allowed", async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ data: prnScheduleData }),
+      });
+
+      render(<Dashboard />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Take as needed")).toBeInTheDocument();
+      });
+
+      expect(screen.getByText(/Ibuprofen/)).toBeInTheDocument();
+      expect(screen.getByText(/at least 6 h apart, max 6 per 24 h/)).toBeInTheDocument();
+      expect(screen.getByText(/^Next dose at/)).toBeInTheDocument();
+    });
+
+    it("asks before overriding a refused dose", async () => {
+      globalThis.confirm.mockReturnValue(true);
+      let attempts = 0;
+      fetch.mockImplementation((url) => {
+        if (url === "/api/medications/7/mark-dose-given" && attempts++ === 0) {
+          return Promise.resolve({
+            ok: false,
+            status: 409,
+            json: () =>
+              Promise.resolve({
+                error: {
+                  code: "PRN_LIMIT_EXCEEDED",
+                  message: "PRN limit exceeded: Minimum interval",
+                },
+              }),
+          });
+        }
+
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ data: prnScheduleData }),
+        });
+      });
+
+      render(<Dashboard />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Take now")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Take now"));
+
+      await waitFor(() => {
+        expect(globalThis.confirm).toHaveBeenCalledWith(
+          expect.stringContaining("Record this dose anyway?")
+        );
+        expect(fetch).toHaveBeenCalledWith(
+          "/api/medications/7/mark-dose-given",
+          expect.objectContaining({
+            body: expect.stringContaining('"override_limits":true'),
+          })
+        );
+      });
+    });
+  });
+
+  describe("Dose Locations", () => {
+    afterEach(() => {
+      mockSelectedPatientId = null;
+    });
+
+    it("offers no locations without a selected patient", async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ data: mockScheduleData }),
+      });
+
+      render(<Dashboard />);
+
+      await waitFor(() => {
+        expect(fetch).toHaveBeenCalled();
+      });
+      expect(mockGetLocations).not.toHaveBeenCalled();
+      expect(screen.queryByLabelText("Doses from")).not.toBeInTheDocument();
+    });
+
+    it("takes doses from the chosen storage location", async () => {
+      mockSelectedPatientId = 3;
+      mockGetLocations.mockResolvedValue({
+        data: [
+          { id: 1, name: "Home", is_default: true },
+          { id: 2, name: "Travel kit", is_default: false },
+        ],
+      });
+      const prnScheduleData = {
+        ...mockScheduleData,
+        as_needed: [
+          {
+            medication_id: 7,
+            medication_name: "Ibuprofen",
+            dose_amount: 2,
+            can_take: true,
+            violations: [],
+          },
+        ],
+      };
+      fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ data: prnScheduleData }),
+      });
+
+      render(<Dashboard />);
+
+      fireEvent.change(await screen.findByLabelText("Doses from"), {
+        target: { value: "2" },
+      });
+      expect(mockGetLocations).toHaveBeenCalledWith(3);
+      fireEvent.click(screen.getByText("Take now"));
+
+      await waitFor(() => {
+        expect(fetch).toHaveBeenCalledWith(
+          "/api/medications/7/mark-dose-given",
+          expect.objectContaining({
+            body: expect.stringContaining('"location_id":2'),
+          })
+        );
+      });
+    });
+  });
 });
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import Login from "../Login";
+
+const mockNavigate = vi.fn();
+vi.mock("react-router-dom", async () => {
+  const actual = await vi.importActual("react-router-dom");
+  return {
+    ...actual,
+    useNavigate: () => mockNavigate,
+  };
+});
+
+const mockLogin = vi.fn();
+const mockRegister = vi.fn();
+vi.mock("../../hooks/useAuth", () => ({
+  useAuth: () => ({
+    login: mockLogin,
+    register: mockRegister,
+    isAuthenticated: false,
+  }),
+}));
+
+const renderLogin = (state) =>
+  render(
+    <MemoryRouter initialEntries={[{ pathname: "/login", state }]}>
+      <Login />
+    </MemoryRouter>
+  );
+
+describe("Login", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("signs in and returns to the requested page", async () => {
+    mockLogin.mockResolvedValue({ id: 1 });
+    renderLogin({ from: { pathname: "/manage" } });
+
+    fireEvent.change(screen.getByLabelText(/email/i), {
+      target: { value: "sam@example.com" },
+    });
+    fireEvent.change(screen.getByLabelText(/^password/i), {
+      target: { value: "long-enough" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Sign In" }));
+
+    await waitFor(() => {
+      expect(mockLogin).toHaveBeenCalledWith("sam@example.com", "long-enough");
+      expect(mockNavigate).toHaveBeenCalledWith("/manage", { replace: true });
+    });
+  });
+
+  it("shows the error when sign in fails", async () => {
+    mockLogin.mockRejectedValue(new Error("Invalid email or password"));
+    renderLogin();
+
+    fireEvent.change(screen.getByLabelText(/email/i), {
+      target: { value: "sam@example.com" },
+    });
+    fireEvent.change(screen.getByLabelText(/^password/i), {
+      target: { value: "wrong-password" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Sign In" }));
+
+    expect(
+      await screen.findByText("Invalid email or password")
+    ).toBeInTheDocument();
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+
+  it("switches to account creation", async () => {
+    mockRegister.mockResolvedValue({ id: 1 });
+    renderLogin();
+
+    fireEvent.click(screen.getByRole("button", { name: "Create one" }));
+
+    fireEvent.change(screen.getByLabelText(/name/i), {
+      target: { value: "Sam" },
+    });
+    fireEvent.change(screen.getByLabelText(/email/i), {
+      target: { value: "sam@example.com" },
+    });
+    fireEvent.change(screen.getByLabelText(/^password/i), {
+      target: { value: "long-enough" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Create Account" }));
+
+    await waitFor(() => {
+      expect(mockRegister).toHaveBeenCalledWith({
+        name: "Sam",
+        email: "sam@example.com",
+        password: "long-enough",
+      });
+      expect(mockNavigate).toHaveBeenCalledWith("/", { replace: true });
+    });
+  });
+});
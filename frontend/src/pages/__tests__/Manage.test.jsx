@@ -2,6 +2,15 @@ import { describe, it, expect, vi, beforeEach } from "vitest";
 import { render, screen, fireEvent, waitFor } from "@testing-library/react";
 import Manage from "../Manage";
 
+// Mock the patient context with "all patients" selected
+vi.mock("../../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [],
+    selectedPatient: null,
+    selectedPatientId: null,
+  }),
+}));
+
 // Mock SearchFilter component
 vi.mock("../components/SearchFilter", () => ({
   default: ({ onSearch, onFilter, onSort }) => (
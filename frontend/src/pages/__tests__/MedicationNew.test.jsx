@@ -2,6 +2,17 @@ import { describe, it, expect, vi, beforeEach } from "vitest";
 import { render, screen, fireEvent, waitFor } from "@testing-library/react";
 import MedicationNew from "../MedicationNew";
 
+// Mock the patient context with "all patients" selected
+const mockRefreshPatients = vi.fn();
+vi.mock("../../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [],
+    selectedPatient: null,
+    selectedPatientId: null,
+    refreshPatients: mockRefreshPatients,
+  }),
+}));
+
 // Mock react-router-dom
 const mockNavigate = vi.fn();
 vi.mock("react-router-dom", () => ({
@@ -54,6 +65,7 @@ describe("MedicationNew", () => {
   beforeEach(() => {
     vi.clearAllMocks();
     mockNavigate.mockClear();
+    mockRefreshPatients.mockClear();
   });
 
   it("renders the page with correct title", () => {
@@ -94,6 +106,8 @@ describe("MedicationNew", () => {
       });
     });
 
+    // The medication went to the user's own patient, which may be new
+    expect(mockRefreshPatients).toHaveBeenCalled();
     expect(mockNavigate).toHaveBeenCalledWith("/manage");
   });
 
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import Reports from "../Reports";
+
+// Mock the patient context with one patient selected
+vi.mock("../../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [],
+    selectedPatient: null,
+    selectedPatientId: 4,
+  }),
+}));
+
+vi.mock("../../components/LoadingSpinner", () => ({
+  default: () => <div data-testid="loading-spinner">Loading...</div>,
+}));
+
+globalThis.fetch = vi.fn();
+
+const mockReport = {
+  start_date: "2024-01-01",
+  end_date: "2024-03-31",
+  total_cost: 42.75,
+  average_monthly_cost: 14.25,
+  refill_count: 4,
+  unpriced_count: 1,
+  by_month: [
+    { month: "2024-01", total_cost: 12.5, refill_count: 1, unpriced_count: 0 },
+    { month: "2024-02", total_cost: 0, refill_count: 0, unpriced_count: 0 },
+    { month: "2024-03", total_cost: 30.25, refill_count: 3, unpriced_count: 1 },
+  ],
+  by_medication: [
+    {
+      medication_id: 3,
+      medication_name: "Aspirin",
+      medication_strength: "100mg",
+      dose_unit: "tablet",
+      total_cost: 42.75,
+      total_quantity: 120,
+      refill_count: 4,
+      unpriced_count: 1,
+    },
+  ],
+};
+
+describe("Reports", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ data: mockReport }),
+    });
+  });
+
+  it("shows the spend of the selected patient", async () => {
+    render(<Reports />);
+
+    expect(await screen.findByText("Aspirin")).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith("/api/reports/spend?patient_id=4");
+    expect(screen.getAllByText("42.75")).toHaveLength(2);
+    expect(screen.getByText("14.25")).toBeInTheDocument();
+    expect(screen.getByText("1 without a cost")).toBeInTheDocument();
+    expect(screen.getByText("120 tablets")).toBeInTheDocument();
+  });
+
+  it("charts every month", async () => {
+    render(<Reports />);
+
+    const chart = await screen.findByTestId("spend-chart");
+    expect(chart.children).toHaveLength(3);
+    expect(chart).toHaveTextContent("Jan 2024");
+    expect(chart).toHaveTextContent("30.25");
+    expect(screen.getByTitle("Feb 2024: 0.00")).toBeInTheDocument();
+  });
+
+  it("reloads the report for a date range", async () => {
+    render(<Reports />);
+    await screen.findByText("Aspirin");
+
+    fireEvent.change(screen.getByLabelText("From"), {
+      target: { value: "2024-02-01" },
+    });
+    fireEvent.click(screen.getByText("Update Report"));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenLastCalledWith(
+        "/api/reports/spend?start_date=2024-02-01&patient_id=4"
+      );
+    });
+  });
+
+  it("shows errors from the report", async () => {
+    fetch.mockResolvedValue({
+      ok: false,
+      json: async () => ({
+        error: { message: "Validation failed: Spend reports cover at most 36 months" },
+      }),
+    });
+
+    render(<Reports />);
+
+    expect(
+      await screen.findByText("Validation failed: Spend reports cover at most 36 months")
+    ).toBeInTheDocument();
+  });
+});
@@ -2,6 +2,63 @@ import { render, screen, fireEvent, waitFor } from "@testing-library/react";
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import Settings from "../Settings";
 
+const mockCreatePatient = vi.fn();
+const mockRefreshPatients = vi.fn();
+const mockGetInvitations = vi.fn();
+const mockAcceptInvitation = vi.fn();
+const mockGetPrescribers = vi.fn();
+const mockCreatePrescriber = vi.fn();
+const mockGetPharmacies = vi.fn();
+const mockCreatePharmacy = vi.fn();
+const mockGetLocations = vi.fn();
+const mockCreateLocation = vi.fn();
+
+vi.mock("../../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [
+      { id: 1, name: "Alex", notes: "Penicillin allergy", role: "owner" },
+      { id: 4, name: "Grandpa", role: "viewer" },
+    ],
+    createPatient: mockCreatePatient,
+    updatePatient: vi.fn(),
+    deletePatient: vi.fn(),
+    refreshPatients: mockRefreshPatients,
+    installationTimeZone: "UTC",
+    availableTimeZones: ["America/Chicago", "Asia/Tokyo", "UTC"],
+  }),
+}));
+
+vi.mock("../../hooks/useAuth", () => ({
+  useAuth: () => ({ user: { id: 1, name: "Kim" } }),
+}));
+
+vi.mock("../../utils/apiClient", () => ({
+  invitationApi: {
+    getAll: (...args) => mockGetInvitations(...args),
+    accept: (...args) => mockAcceptInvitation(...args),
+    decline: vi.fn(),
+  },
+  patientApi: {
+    getMembers: vi.fn().mockResolvedValue({ data: [] }),
+    getInvitations: vi.fn().mockResolvedValue({ data: [] }),
+    removeMember: vi.fn(),
+  },
+  settingsApi: {
+    getPrescribers: (...args) => mockGetPrescribers(...args),
+    createPrescriber: (...args) => mockCreatePrescriber(...args),
+    updatePrescriber: vi.fn(),
+    deletePrescriber: vi.fn(),
+    getPharmacies: (...args) => mockGetPharmacies(...args),
+    createPharmacy: (...args) => mockCreatePharmacy(...args),
+    updatePharmacy: vi.fn(),
+    deletePharmacy: vi.fn(),
+    getLocations: (...args) => mockGetLocations(...args),
+    createLocation: (...args) => mockCreateLocation(...args),
+    updateLocation: vi.fn(),
+    deleteLocation: vi.fn(),
+  },
+}));
+
 // Mock fetch globally
 global.fetch = vi.fn();
 
@@ -552,6 +609,11 @@ describe("Settings Component", () => {
           body: JSON.stringify({
             name: "As Needed",
             description: "When required",
+            recurrence_type: "daily",
+            interval_days: null,
+            weekdays: [],
+            day_of_month: null,
+            interval_hours: null,
           }),
         });
       });
@@ -672,4 +734,371 @@ describe("Settings Component", () => {
       });
     });
   });
+
+  describe("Patient Management", () => {
+    beforeEach(() => {
+      mockCreatePatient.mockReset();
+      mockRefreshPatients.mockReset();
+      mockAcceptInvitation.mockReset();
+      mockGetInvitations.mockReset();
+      mockGetInvitations.mockResolvedValue({ data: [] });
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ data: [] }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ data: [] }),
+        });
+    });
+
+    it("lists patients and adds a new one", async () => {
+      mockCreatePatient.mockResolvedValue({ id: 2, name: "Sam" });
+
+      render(<Settings />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Patients (2)")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Patients (2)"));
+
+      expect(screen.getByText("Alex")).toBeInTheDocument();
+      expect(screen.getByText("Penicillin allergy")).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText(/Patient Name/), {
+        target: { value: " Sam " },
+      });
+      fireEvent.change(screen.getByLabelText("Timezone"), {
+        target: { value: "Asia/Tokyo" },
+      });
+      fireEvent.click(screen.getByRole("button", { name: /Add Patient/ }));
+
+      await waitFor(() => {
+        expect(mockCreatePatient).toHaveBeenCalledWith({
+          name: "Sam",
+          date_of_birth: null,
+          timezone: "Asia/Tokyo",
+          notes: null,
+        });
+      });
+    });
+
+    it("requires a patient name", async () => {
+      render(<Settings />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Patients (2)")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Patients (2)"));
+      fireEvent.click(screen.getByRole("button", { name: /Add Patient/ }));
+
+      expect(
+        screen.getByText("Patient name is required")
+      ).toBeInTheDocument();
+      expect(mockCreatePatient).not.toHaveBeenCalled();
+    });
+
+    it("only offers sharing on patients the user owns", async () => {
+      render(<Settings />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Patients (2)")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Patients (2)"));
+
+      expect(screen.getByText("Owner")).toBeInTheDocument();
+      expect(screen.getByText("Viewer")).toBeInTheDocument();
+      expect(screen.getAllByRole("button", { name: /Share/ })).toHaveLength(1);
+      expect(screen.getAllByRole("button", { name: /Leave/ })).toHaveLength(1);
+    });
+
+    it("accepts invitations addressed to the user", async () => {
+      mockGetInvitations.mockResolvedValue({
+        data: [
+          {
+            id: 9,
+            patient_name: "Jo",
+            invited_by_name: "Sam",
+            role: "caregiver",
+          },
+        ],
+      });
+      mockAcceptInvitation.mockResolvedValue({ data: { id: 9 } });
+
+      render(<Settings />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Patients (2)")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Patients (2)"));
+
+      await waitFor(() => {
+        expect(screen.getByText("Invitations for you")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByRole("button", { name: "Accept" }));
+
+      await waitFor(() => {
+        expect(mockAcceptInvitation).toHaveBeenCalledWith(9);
+        expect(mockRefreshPatients).toHaveBeenCalled();
+        expect(screen.queryByText("Invitations for you")).not.toBeInTheDocument();
+      });
+    });
+  });
+
+  describe("Prescriber Management", () => {
+    beforeEach(() => {
+      mockGetPrescribers.mockReset();
+      mockCreatePrescriber.mockReset();
+      mockGetInvitations.mockResolvedValue({ data: [] });
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ data: [] }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ data: [] }),
+        });
+    });
+
+    it("lists prescribers and adds a new one", async () => {
+      mockGetPrescribers.mockResolvedValue({
+        data: [
+          {
+            id: 1,
+            name: "Dr. Smith",
+            practice: "Riverside Clinic",
+            phone: "",
+            email: "",
+            prescription_count: 2,
+          },
+        ],
+      });
+      mockCreatePrescriber.mockResolvedValue({ data: { id: 2 } });
+
+      render(<Settings />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Prescribers")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Prescribers"));
+
+      expect(await screen.findByText("Dr. Smith")).toBeInTheDocument();
+      expect(screen.getByText("Riverside Clinic")).toBeInTheDocument();
+      expect(screen.getByText("2 prescriptions")).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText(/Prescriber Name/), {
+        target: { value: " Dr. Jones " },
+      });
+      fireEvent.click(screen.getByRole("button", { name: /Add Prescriber/ }));
+
+      await waitFor(() => {
+        expect(mockCreatePrescriber).toHaveBeenCalledWith({
+          name: "Dr. Jones",
+          practice: null,
+          phone: null,
+          email: null,
+        });
+        expect(mockGetPrescribers).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    it("validates the prescriber's email", async () => {
+      mockGetPrescribers.mockResolvedValue({ data: [] });
+
+      render(<Settings />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Prescribers")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Prescribers"));
+      fireEvent.change(screen.getByLabelText(/Prescriber Name/), {
+        target: { value: "Dr. Jones" },
+      });
+      fireEvent.change(screen.getByLabelText("Email"), {
+        target: { value: "jones" },
+      });
+      // Submit past the browser's own email check
+      fireEvent.submit(
+        screen.getByRole("button", { name: /Add Prescriber/ }).closest("form")
+      );
+
+      expect(
+        screen.getByText("Email must be a valid email address")
+      ).toBeInTheDocument();
+      expect(mockCreatePrescriber).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Pharmacy Management", () => {
+    beforeEach(() => {
+      mockGetPharmacies.mockReset();
+      mockCreatePharmacy.mockReset();
+      mockGetInvitations.mockResolvedValue({ data: [] });
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ data: [] }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ data: [] }),
+        });
+    });
+
+    it("lists pharmacies and adds a new one", async () => {
+      mockGetPharmacies.mockResolvedValue({
+        data: [
+          {
+            id: 1,
+            name: "Main Street Pharmacy",
+            address: "1 Main Street",
+            phone: "555-0100",
+            hours: "Mon-Fri 8:00-18:00",
+            medication_count: 1,
+          },
+        ],
+      });
+      mockCreatePharmacy.mockResolvedValue({ data: { id: 2 } });
+
+      render(<Settings />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Pharmacies")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Pharmacies"));
+
+      expect(await screen.findByText("Main Street Pharmacy")).toBeInTheDocument();
+      expect(
+        screen.getByText("1 Main Street · 555-0100 · Mon-Fri 8:00-18:00")
+      ).toBeInTheDocument();
+      expect(screen.getByText("Preferred for 1 medication")).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText(/Pharmacy Name/), {
+        target: { value: " Corner Chemist " },
+      });
+      fireEvent.change(screen.getByLabelText("Opening Hours"), {
+        target: { value: "Daily 9:00-21:00" },
+      });
+      fireEvent.click(screen.getByRole("button", { name: /Add Pharmacy/ }));
+
+      await waitFor(() => {
+        expect(mockCreatePharmacy).toHaveBeenCalledWith({
+          name: "Corner Chemist",
+          address: null,
+          phone: null,
+          hours: "Daily 9:00-21:00",
+        });
+        expect(mockGetPharmacies).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    it("requires a pharmacy name", async () => {
+      mockGetPharmacies.mockResolvedValue({ data: [] });
+
+      render(<Settings />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Pharmacies")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Pharmacies"));
+      expect(await screen.findByText("No pharmacies yet")).toBeInTheDocument();
+      fireEvent.submit(
+        screen.getByRole("button", { name: /Add Pharmacy/ }).closest("form")
+      );
+
+      expect(screen.getByText("Pharmacy name is required")).toBeInTheDocument();
+      expect(mockCreatePharmacy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Storage Location Management", () => {
+    beforeEach(() => {
+      mockGetLocations.mockReset();
+      mockCreateLocation.mockReset();
+      mockGetInvitations.mockResolvedValue({ data: [] });
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ data: [] }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ data: [] }),
+        });
+    });
+
+    it("lists locations and adds a new default one", async () => {
+      mockGetLocations.mockResolvedValue({
+        data: [
+          {
+            id: 1,
+            name: "Home",
+            description: "Kitchen cupboard",
+            is_default: true,
+            medication_count: 3,
+          },
+        ],
+      });
+      mockCreateLocation.mockResolvedValue({ data: { id: 2 } });
+
+      render(<Settings />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Locations")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Locations"));
+
+      expect(await screen.findByText("Home (default)")).toBeInTheDocument();
+      expect(mockGetLocations).toHaveBeenCalledWith(1);
+      expect(screen.getByText("Kitchen cupboard")).toBeInTheDocument();
+      expect(screen.getByText("Holds 3 medications")).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText(/Location Name/), {
+        target: { value: " Travel kit " },
+      });
+      fireEvent.click(screen.getByLabelText("Default location for doses"));
+      fireEvent.click(screen.getByRole("button", { name: /Add Location/ }));
+
+      await waitFor(() => {
+        expect(mockCreateLocation).toHaveBeenCalledWith({
+          name: "Travel kit",
+          description: null,
+          is_default: true,
+          patient_id: 1,
+        });
+        expect(mockGetLocations).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    it("requires a location name", async () => {
+      mockGetLocations.mockResolvedValue({ data: [] });
+
+      render(<Settings />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Locations")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Locations"));
+      expect(await screen.findByText("No locations yet")).toBeInTheDocument();
+      fireEvent.submit(
+        screen.getByRole("button", { name: /Add Location/ }).closest("form")
+      );
+
+      expect(screen.getByText("Location name is required")).toBeInTheDocument();
+      expect(mockCreateLocation).not.toHaveBeenCalled();
+    });
+  });
 });
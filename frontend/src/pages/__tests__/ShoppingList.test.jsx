@@ -0,0 +1,179 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import ShoppingList from "../ShoppingList";
+
+// Mock the patient context with one patient selected
+vi.mock("../../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [],
+    selectedPatient: null,
+    selectedPatientId: 4,
+  }),
+}));
+
+vi.mock("../../components/LoadingSpinner", () => ({
+  default: () => <div data-testid="loading-spinner">Loading...</div>,
+}));
+
+globalThis.fetch = vi.fn();
+
+const mockItem = {
+  medication_id: 1,
+  medication_name: "Aspirin",
+  medication_strength: "100mg",
+  pharmacy_id: 2,
+  pharmacy_name: "Main Street Pharmacy",
+  current_tablets: 4,
+  dose_unit: "tablet",
+  days_remaining: 2,
+  run_out_date: "2024-01-18",
+  alert_level: "warning",
+  quantity_needed: 60,
+  quantity_short: 56,
+  package_unit: "sheet",
+  package_size: 20,
+  packages_to_buy: 3,
+  quantity_to_buy: 60,
+};
+
+const mockShoppingList = {
+  days_ahead: 7,
+  horizon_days: 30,
+  generated_on: "2024-01-15",
+  total_packages: 3,
+  items: [mockItem],
+  pharmacies: [
+    {
+      pharmacy_id: 2,
+      pharmacy_name: "Main Street Pharmacy",
+      address: "1 Main Street",
+      phone: "555-0100",
+      hours: null,
+      items: [mockItem],
+      total_packages: 3,
+    },
+  ],
+};
+
+describe("ShoppingList", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ data: mockShoppingList }),
+    });
+  });
+
+  it("lists the packages to buy for the selected patient", async () => {
+    render(<ShoppingList />);
+
+    expect(await screen.findByText("Aspirin")).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith(
+      "/api/inventory/shopping-list?days=7&horizon=30&patient_id=4"
+    );
+    expect(screen.getByText("3 sheets")).toBeInTheDocument();
+    expect(screen.getByText(/of 20 tablets/)).toBeInTheDocument();
+    expect(screen.getByText("2024-01-18 (2 days)")).toBeInTheDocument();
+  });
+
+  it("reloads the list for new days", async () => {
+    render(<ShoppingList />);
+    await screen.findByText("Aspirin");
+
+    fireEvent.change(screen.getByLabelText("Runs Out Within (days)"), {
+      target: { value: "14" },
+    });
+    fireEvent.click(screen.getByText("Update List"));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenLastCalledWith(
+        "/api/inventory/shopping-list?days=14&horizon=30&patient_id=4"
+      );
+    });
+  });
+
+  it("groups the items by their preferred pharmacy", async () => {
+    const otherItem = {
+      ...mockItem,
+      medication_id: 3,
+      medication_name: "Vitamin D",
+      pharmacy_id: null,
+      pharmacy_name: null,
+    };
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        data: {
+          ...mockShoppingList,
+          items: [mockItem, otherItem],
+          pharmacies: [
+            mockShoppingList.pharmacies[0],
+            {
+              pharmacy_id: null,
+              pharmacy_name: null,
+              address: null,
+              phone: null,
+              hours: null,
+              items: [otherItem],
+              total_packages: 3,
+            },
+          ],
+        },
+      }),
+    });
+
+    render(<ShoppingList />);
+
+    const pharmacy = await screen.findByTestId("pharmacy-2");
+    expect(pharmacy).toHaveTextContent("Main Street Pharmacy");
+    expect(pharmacy).toHaveTextContent("1 Main Street · 555-0100");
+    expect(pharmacy).toHaveTextContent("Aspirin");
+    expect(pharmacy).not.toHaveTextContent("Vitamin D");
+    expect(screen.getByTestId("pharmacy-none")).toHaveTextContent(
+      "No preferred pharmacy"
+    );
+    expect(screen.getByTestId("pharmacy-none")).toHaveTextContent("Vitamin D");
+  });
+
+  it("says when nothing needs buying", async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        data: {
+          ...mockShoppingList,
+          items: [],
+          pharmacies: [],
+          total_packages: 0,
+        },
+      }),
+    });
+
+    render(<ShoppingList />);
+
+    expect(
+      await screen.findByText("Nothing runs out within 7 days.")
+    ).toBeInTheDocument();
+    expect(screen.getByText("Export CSV").closest("button")).toBeDisabled();
+  });
+
+  it("downloads the CSV export", async () => {
+    window.URL.createObjectURL = vi.fn(() => "blob:shopping-list");
+    window.URL.revokeObjectURL = vi.fn();
+
+    render(<ShoppingList />);
+    await screen.findByText("Aspirin");
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      blob: async () => new Blob(["Medication"]),
+    });
+    fireEvent.click(screen.getByText("Export CSV"));
+
+    await waitFor(() => {
+      expect(window.URL.createObjectURL).toHaveBeenCalled();
+    });
+    expect(fetch).toHaveBeenLastCalledWith(
+      "/api/inventory/shopping-list?days=7&horizon=30&patient_id=4&format=csv"
+    );
+  });
+});
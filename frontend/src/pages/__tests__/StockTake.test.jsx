@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import StockTake from "../StockTake";
+
+// Mock the patient context with one patient selected
+vi.mock("../../hooks/usePatient", () => ({
+  usePatient: () => ({
+    patients: [],
+    selectedPatient: null,
+    selectedPatientId: 4,
+  }),
+}));
+
+vi.mock("../../components/LoadingSpinner", () => ({
+  default: () => <div data-testid="loading-spinner">Loading...</div>,
+}));
+
+globalThis.fetch = vi.fn();
+
+const mockMedications = [
+  { id: 1, name: "Aspirin", strength: "100mg", total_tablets: 20, dose_unit: "tablet" },
+  { id: 2, name: "Metformin", strength: "500mg", total_tablets: 30, dose_unit: "tablet" },
+];
+
+const mockDrift = {
+  total_reconciliations: 2,
+  medications: [
+    {
+      medication_id: 1,
+      medication_name: "Aspirin",
+      dose_unit: "tablet",
+      stock_takes: 2,
+      discrepancies: 1,
+      net_drift: -3,
+      absolute_drift: 3,
+      average_drift: -1.5,
+      last_reconciled_at: "2024-02-01T10:00:00Z",
+      history: [],
+    },
+  ],
+};
+
+const respond = (data, ok = true) => ({
+  ok,
+  json: async () => data,
+});
+
+const mockGets = () => {
+  fetch.mockImplementation(async (url) => {
+    if (url.startsWith("/api/medications")) return respond({ data: mockMedications });
+    if (url.startsWith("/api/inventory/stock-takes")) {
+      return respond({
+        data: [{ id: 9, created_at: "2024-02-01T10:00:00Z", medication_count: 2, discrepancy_count: 1, notes: "Monthly" }],
+      });
+    }
+    return respond({ data: mockDrift });
+  });
+};
+
+describe("StockTake", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGets();
+  });
+
+  it("shows the expected stock of the selected patient's medications", async () => {
+    render(<StockTake />);
+
+    expect(await screen.findByLabelText("Counted Aspirin")).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith("/api/medications?patient_id=4");
+    expect(screen.getByText("20 tablets")).toBeInTheDocument();
+    expect(screen.getByText("Record Stock-Take").closest("button")).toBeDisabled();
+  });
+
+  it("shows the difference as counts are entered", async () => {
+    render(<StockTake />);
+    await screen.findByLabelText("Counted Aspirin");
+
+    fireEvent.change(screen.getByLabelText("Counted Aspirin"), {
+      target: { value: "17.5" },
+    });
+
+    expect(screen.getByText("-2.5 tablets")).toBeInTheDocument();
+  });
+
+  it("records the counted medications and shows the discrepancies", async () => {
+    render(<StockTake />);
+    await screen.findByLabelText("Counted Aspirin");
+
+    fireEvent.change(screen.getByLabelText("Counted Aspirin"), {
+      target: { value: "18" },
+    });
+
+    fetch.mockImplementationOnce(async () =>
+      respond({
+        data: {
+          id: 10,
+          counts: [
+            {
+              medication_id: 1,
+              medication_name: "Aspirin",
+              dose_unit: "tablet",
+              expected_quantity: 20,
+              counted_quantity: 18,
+              discrepancy: -2,
+            },
+          ],
+        },
+      })
+    );
+    fireEvent.click(screen.getByText("Record Stock-Take"));
+
+    expect(await screen.findByTestId("stock-take-result")).toHaveTextContent(
+      "Aspirin: 18 tablets counted, -2 tablets against 20 tablets expected"
+    );
+
+    const [url, options] = fetch.mock.calls.find(
+      ([, init]) => init?.method === "POST"
+    );
+    expect(url).toBe("/api/inventory/stock-takes");
+    expect(JSON.parse(options.body)).toEqual({
+      patient_id: 4,
+      notes: "",
+      counts: [{ medication_id: 1, counted_quantity: 18 }],
+    });
+  });
+
+  it("reports the drift and past stock-takes", async () => {
+    render(<StockTake />);
+
+    expect(await screen.findByTestId("inventory-drift")).toHaveTextContent("1 of 2");
+    expect(screen.getByText("-3 tablets")).toBeInTheDocument();
+    expect(screen.getByText(/2 counted, 1 off · Monthly/)).toBeInTheDocument();
+  });
+
+  it("shows errors from the stock-take", async () => {
+    render(<StockTake />);
+    await screen.findByLabelText("Counted Aspirin");
+
+    fireEvent.change(screen.getByLabelText("Counted Metformin"), {
+      target: { value: "29" },
+    });
+    fetch.mockImplementationOnce(async () =>
+      respond({ error: { message: "Medication not found" } }, false)
+    );
+    fireEvent.click(screen.getByText("Record Stock-Take"));
+
+    await waitFor(() => {
+      expect(screen.getByText("Medication not found")).toBeInTheDocument();
+    });
+  });
+});
@@ -8,6 +8,7 @@ class ApiClient {
             'Content-Type': 'application/json',
         };
         this.offlineQueueCallback = null;
+        this.unauthorizedCallback = null;
         this.requestInterceptors = [];
         this.responseInterceptors = [];
     }
@@ -17,6 +18,11 @@ class ApiClient {
         this.offlineQueueCallback = callback;
     }
 
+    // Set callback for requests rejected because the session is missing or expired
+    setUnauthorizedCallback(callback) {
+        this.unauthorizedCallback = callback;
+    }
+
     // Add request interceptor
     addRequestInterceptor(interceptor) {
         this.requestInterceptors.push(interceptor);
@@ -30,6 +36,7 @@ class ApiClient {
     async request(endpoint, options = {}) {
         const url = `${this.baseURL}${endpoint}`;
         let config = {
+            credentials: 'include',
             headers: {
                 ...this.defaultHeaders,
                 ...options.headers,
@@ -96,6 +103,12 @@ class ApiClient {
                     const error = new Error(errorData.error?.message || `Request failed with status ${response.status}`);
                     error.status = response.status;
                     error.data = errorData;
+
+                    // Session expired or missing - auth endpoints report their own failures
+                    if (response.status === 401 && !endpoint.startsWith('/auth/') && this.unauthorizedCallback) {
+                        this.unauthorizedCallback(error);
+                    }
+
                     throw error;
                 }
 
@@ -170,6 +183,33 @@ const apiClient = new ApiClient();
 export default apiClient;
 
 // Export specific API functions for common operations
+export const patientApi = {
+    getAll: () => apiClient.get('/patients'),
+    getById: (id) => apiClient.get(`/patients/${id}`),
+    create: (data) => apiClient.post('/patients', data),
+    update: (id, data) => apiClient.put(`/patients/${id}`, data),
+    delete: (id) => apiClient.delete(`/patients/${id}`),
+
+    getMembers: (id) => apiClient.get(`/patients/${id}/members`),
+
+    updateMember: (id, userId, role) => apiClient.put(`/patients/${id}/members/${userId}`, { role }),
+
+    removeMember: (id, userId) => apiClient.delete(`/patients/${id}/members/${userId}`),
+
+    getInvitations: (id) => apiClient.get(`/patients/${id}/invitations`),
+
+    invite: (id, data) => apiClient.post(`/patients/${id}/invitations`, data),
+
+    revokeInvitation: (id, invitationId) => apiClient.delete(`/patients/${id}/invitations/${invitationId}`),
+};
+
+// Invitations addressed to the signed-in user
+export const invitationApi = {
+    getAll: () => apiClient.get('/invitations'),
+    accept: (id) => apiClient.post(`/invitations/${id}/accept`),
+    decline: (id) => apiClient.post(`/invitations/${id}/decline`),
+};
+
 export const medicationApi = {
     getAll: (params = {}) => {
         const searchParams = new URLSearchParams(params);
@@ -187,6 +227,20 @@ export const medicationApi = {
     markDoseGiven: (id, data) => apiClient.post(`/medications/${id}/mark-dose-given`, data),
 
     updateInventory: (id, data) => apiClient.post(`/medications/${id}/update-inventory`, data),
+
+    getRefills: (id) => apiClient.get(`/medications/${id}/refills`),
+
+    // Not queued offline: the new stock is only known from the response
+    recordRefill: (id, data) => apiClient.post(`/medications/${id}/refills`, data, { queueWhenOffline: false }),
+
+    getPrescriptions: (id) => apiClient.get(`/medications/${id}/prescriptions`),
+    createPrescription: (id, data) => apiClient.post(`/medications/${id}/prescriptions`, data),
+    updatePrescription: (id, prescriptionId, data) => apiClient.put(`/medications/${id}/prescriptions/${prescriptionId}`, data),
+    deletePrescription: (id, prescriptionId) => apiClient.delete(`/medications/${id}/prescriptions/${prescriptionId}`),
+
+    getLocations: (id) => apiClient.get(`/medications/${id}/locations`),
+    // Not queued offline: a transfer is refused when the location no longer holds the stock
+    transferStock: (id, data) => apiClient.post(`/medications/${id}/locations/transfers`, data, { queueWhenOffline: false }),
 };
 
 export const scheduleApi = {
@@ -203,9 +257,54 @@ export const settingsApi = {
     createFrequency: (data) => apiClient.post('/settings/frequencies', data),
     updateFrequency: (id, data) => apiClient.put(`/settings/frequencies/${id}`, data),
     deleteFrequency: (id) => apiClient.delete(`/settings/frequencies/${id}`),
+
+    getPrescribers: () => apiClient.get('/settings/prescribers'),
+    createPrescriber: (data) => apiClient.post('/settings/prescribers', data),
+    updatePrescriber: (id, data) => apiClient.put(`/settings/prescribers/${id}`, data),
+    deletePrescriber: (id) => apiClient.delete(`/settings/prescribers/${id}`),
+
+    getPharmacies: () => apiClient.get('/settings/pharmacies'),
+    createPharmacy: (data) => apiClient.post('/settings/pharmacies', data),
+    updatePharmacy: (id, data) => apiClient.put(`/settings/pharmacies/${id}`, data),
+    deletePharmacy: (id) => apiClient.delete(`/settings/pharmacies/${id}`),
+
+    // Locations of a patient, or of all the user's patients when patientId is null
+    getLocations: (patientId = null) => apiClient.get(
+        patientId ? `/settings/locations?patient_id=${patientId}` : '/settings/locations'
+    ),
+    createLocation: (data) => apiClient.post('/settings/locations', data),
+    updateLocation: (id, data) => apiClient.put(`/settings/locations/${id}`, data),
+    deleteLocation: (id) => apiClient.delete(`/settings/locations/${id}`),
+
+    getTimezone: () => apiClient.get('/settings/timezone'),
 };
 
 export const notificationApi = {
     getAll: () => apiClient.get('/notifications'),
     markAsRead: (id) => apiClient.post(`/notifications/${id}/mark-read`, {}),
-};
\ No newline at end of file
+
+    getChannels: () => apiClient.get('/notifications/channels'),
+    getAvailableChannels: () => apiClient.get('/notifications/channels/available'),
+    createChannel: (data) => apiClient.post('/notifications/channels', data, { queueWhenOffline: false }),
+    updateChannel: (id, data) => apiClient.put(`/notifications/channels/${id}`, data),
+    deleteChannel: (id) => apiClient.delete(`/notifications/channels/${id}`),
+    // Not queued offline: the result of the test message is shown straight away
+    testChannel: (id) => apiClient.post(`/notifications/channels/${id}/test`, {}, { queueWhenOffline: false }),
+    getChannelDeliveries: (id) => apiClient.get(`/notifications/channels/${id}/deliveries`),
+
+    // Preferences of a patient, or of medications without a patient when patientId is null
+    getPreferences: (patientId = null) => apiClient.get(
+        patientId ? `/notifications/preferences?patient_id=${patientId}` : '/notifications/preferences'
+    ),
+    updatePreferences: (patientId, data) => apiClient.put('/notifications/preferences', {
+        ...data,
+        ...(patientId && { patient_id: patientId }),
+    }),
+};
+
+export const authApi = {
+    login: (email, password) => apiClient.post('/auth/login', { email, password }, { queueWhenOffline: false }),
+    register: (data) => apiClient.post('/auth/register', data, { queueWhenOffline: false }),
+    logout: () => apiClient.post('/auth/logout', {}, { queueWhenOffline: false }),
+    me: () => apiClient.get('/auth/me'),
+};
@@ -0,0 +1,33 @@
+/**
+ * Calendar date helpers that respect the patient's timezone
+ * Dates are YYYY-MM-DD strings, the same format the API uses
+ */
+
+// en-CA formats dates as YYYY-MM-DD
+const formatDate = (instant, timeZone) =>
+    new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).format(instant);
+
+// Date (YYYY-MM-DD) of an instant in a timezone, the browser's when none is given
+export const toDateString = (instant = new Date(), timeZone = undefined) => {
+    try {
+        return formatDate(instant, timeZone || undefined);
+    } catch {
+        // Unknown timezone names fall back to the browser's
+        return formatDate(instant, undefined);
+    }
+};
+
+// Today's date in a timezone
+export const getToday = (timeZone = undefined) => toDateString(new Date(), timeZone);
+
+// Add days to a YYYY-MM-DD date without going through any timezone
+export const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
@@ -0,0 +1,108 @@
+/**
+ * Shared Server-Sent Events connection to /api/events
+ *
+ * One EventSource serves every subscriber; it is opened for the first and closed after
+ * the last. The browser reconnects dropped streams by itself; a stream the server
+ * refused (e.g. while signed out) is reopened here with a growing delay.
+ */
+
+const EVENTS_URL = '/api/events';
+const EVENT_TYPES = ['notification', 'dose_given', 'inventory'];
+const INITIAL_RECONNECT_DELAY = 5000;
+const MAX_RECONNECT_DELAY = 60000;
+
+const subscribers = new Set();
+let source = null;
+let connected = false;
+let reconnectTimer = null;
+let reconnectDelay = INITIAL_RECONNECT_DELAY;
+
+// Check if the browser supports Server-Sent Events
+export const isEventStreamSupported = () => {
+    return typeof window !== 'undefined' && 'EventSource' in window;
+};
+
+// Whether the stream is currently open
+export const isEventStreamConnected = () => connected;
+
+const setConnected = (value) => {
+    if (connected === value) {
+        return;
+    }
+    connected = value;
+    subscribers.forEach((subscriber) => subscriber.onStatusChange?.(value));
+};
+
+const dispatch = (type, message) => {
+    let data;
+    try {
+        data = JSON.parse(message.data);
+    } catch (error) {
+        console.error('Event stream: Ignoring malformed event', error);
+        return;
+    }
+    subscribers.forEach((subscriber) => subscriber.onEvent(type, data));
+};
+
+const connect = () => {
+    source = new window.EventSource(EVENTS_URL, { withCredentials: true });
+
+    source.onopen = () => {
+        reconnectDelay = INITIAL_RECONNECT_DELAY;
+        setConnected(true);
+    };
+
+    source.onerror = () => {
+        setConnected(false);
+
+        if (source?.readyState === window.EventSource.CLOSED) {
+            source = null;
+            reconnectTimer = setTimeout(() => {
+                reconnectTimer = null;
+                if (subscribers.size > 0) {
+                    connect();
+                }
+            }, reconnectDelay);
+            reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+        }
+    };
+
+    EVENT_TYPES.forEach((type) => {
+        source.addEventListener(type, (message) => dispatch(type, message));
+    });
+};
+
+const disconnect = () => {
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    }
+    if (source) {
+        source.close();
+        source = null;
+    }
+    reconnectDelay = INITIAL_RECONNECT_DELAY;
+    setConnected(false);
+};
+
+// Receive events as onEvent(type, data) and connection changes as onStatusChange(connected);
+// returns a function that unsubscribes
+export const subscribeToEvents = (onEvent, onStatusChange) => {
+    if (!isEventStreamSupported()) {
+        return () => { };
+    }
+
+    const subscriber = { onEvent, onStatusChange };
+    subscribers.add(subscriber);
+
+    if (!source && !reconnectTimer) {
+        connect();
+    }
+
+    return () => {
+        subscribers.delete(subscriber);
+        if (subscribers.size === 0) {
+            disconnect();
+        }
+    };
+};
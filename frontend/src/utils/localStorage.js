@@ -30,18 +30,12 @@ export const DEFAULT_PREFERENCES = {
     language: 'en',
 };
 
+// How this browser presents notifications. Which notifications are raised, their lead
+// times and quiet hours are kept on the server per patient (notificationApi.getPreferences).
 export const DEFAULT_NOTIFICATION_SETTINGS = {
     enabled: true,
     sound: true,
     vibration: true,
-    medicationReminders: true,
-    lowInventoryAlerts: true,
-    systemUpdates: false,
-    quietHours: {
-        enabled: false,
-        start: '22:00',
-        end: '07:00',
-    },
 };
 
 // Storage utilities
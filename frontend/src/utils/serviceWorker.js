@@ -203,6 +203,60 @@ export const getNetworkStatus = () => {
     };
 };
 
+// Check if the browser can receive web push notifications
+export const isPushSupported = () => {
+    return isServiceWorkerSupported() && 'PushManager' in window && 'Notification' in window;
+};
+
+// Convert the server's base64url VAPID public key to the bytes pushManager expects
+const urlBase64ToUint8Array = (base64String) => {
+    const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = window.atob(base64);
+    return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+// Get this browser's current push subscription, if any
+export const getPushSubscription = async () => {
+    if (!isPushSupported()) {
+        return null;
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+};
+
+// Ask for permission and subscribe this browser to push; returns the subscription
+// as JSON ({ endpoint, keys }) for the server's web push channel
+export const subscribeToPush = async (publicKey) => {
+    if (!isPushSupported()) {
+        throw new Error('Push notifications are not supported in this browser');
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        throw new Error('Notification permission was not granted');
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(publicKey),
+        });
+
+    return subscription.toJSON();
+};
+
+// Unsubscribe this browser from push
+export const unsubscribeFromPush = async () => {
+    const subscription = await getPushSubscription();
+    if (!subscription) {
+        return false;
+    }
+    return subscription.unsubscribe();
+};
+
 // Service worker event listeners
 export const setupServiceWorkerListeners = (callbacks = {}) => {
     if (!isServiceWorkerSupported()) {
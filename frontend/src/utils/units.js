@@ -0,0 +1,53 @@
+/**
+ * Units of measure for doses and stock, matching the API's dose_unit and package_unit
+ * Stock and package sizes are counted in the dose unit
+ */
+
+export const DOSE_UNITS = {
+    tablet: { singular: 'tablet', plural: 'tablets' },
+    capsule: { singular: 'capsule', plural: 'capsules' },
+    ml: { singular: 'ml', plural: 'ml' },
+    puff: { singular: 'puff', plural: 'puffs' },
+    unit: { singular: 'unit', plural: 'units' },
+    patch: { singular: 'patch', plural: 'patches' },
+    drop: { singular: 'drop', plural: 'drops' },
+};
+
+export const PACKAGE_UNITS = {
+    sheet: { singular: 'sheet', plural: 'sheets' },
+    bottle: { singular: 'bottle', plural: 'bottles' },
+    inhaler: { singular: 'inhaler', plural: 'inhalers' },
+    pen: { singular: 'pen', plural: 'pens' },
+    cartridge: { singular: 'cartridge', plural: 'cartridges' },
+    vial: { singular: 'vial', plural: 'vials' },
+    box: { singular: 'box', plural: 'boxes' },
+    tube: { singular: 'tube', plural: 'tubes' },
+};
+
+// Name of a unit for an amount: '1 tablet' but '2 tablets'; unknown units are returned as given
+export const getUnitLabel = (unit, amount = 2) => {
+    const names = DOSE_UNITS[unit] || PACKAGE_UNITS[unit];
+    if (!names) {
+        return unit;
+    }
+    return Number(amount) === 1 ? names.singular : names.plural;
+};
+
+// Amount with its unit, e.g. '12 puffs'; doses without a unit are in tablets
+export const formatQuantity = (amount, unit = 'tablet') =>
+    `${amount} ${getUnitLabel(unit || 'tablet', amount)}`;
+
+// 'tablets' -> 'Tablets', for labels and headings
+export const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Dose units in one package of a medication: from its volume for liquids, else its sheet size
+export const getPackageSize = (medication) => {
+    const volume = parseFloat(medication.package_volume_ml);
+    if (volume > 0) {
+        const unitsPerMl = medication.dose_unit === 'ml' ? 1 : parseFloat(medication.units_per_ml);
+        if (unitsPerMl > 0) {
+            return Math.round(volume * unitsPerMl * 100) / 100;
+        }
+    }
+    return medication.sheet_size;
+};